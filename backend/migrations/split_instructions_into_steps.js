@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Migration: Split recipe instructions into numbered steps
+ *
+ * Recipes saved before the recipe_steps table existed only have a free-text
+ * `instructions` column. This migration creates their steps:
+ * - By default, heuristically (numbered lines, then lines/paragraphs; "Section:" headings)
+ * - With --ai, using the configured AI provider, falling back to the heuristic on errors
+ *
+ * Recipes that already have steps are skipped, so it is safe to run more than once.
+ *
+ * Usage: node backend/migrations/split_instructions_into_steps.js [--ai]
+ */
+
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { splitInstructions } = require('../src/utils/steps');
+
+const useAI = process.argv.includes('--ai');
+
+async function splitWithAI(AIService, recipe) {
+  try {
+    const steps = await AIService.splitInstructions(recipe.instructions);
+    if (steps.length > 0) return steps;
+  } catch (error) {
+    console.warn(`  AI split failed for recipe ${recipe.id} (${error.message}), using heuristic`);
+  }
+  return splitInstructions(recipe.instructions);
+}
+
+async function runMigration() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'meteo-mysql-prod',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME || 'moms_recipes'
+  });
+
+  // Loaded only when needed: it reads the AI settings through the app's database pool
+  const AIService = useAI ? require('../src/services/aiService') : null;
+
+  try {
+    console.log('Connected to MySQL database');
+    console.log(`Database: ${process.env.DB_NAME || 'moms_recipes'}`);
+
+    if (AIService && !(await AIService.isAvailable())) {
+      throw new Error('--ai requires an AI provider API key in Admin Settings');
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_steps (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        position INT NOT NULL,
+        section VARCHAR(255) DEFAULT NULL,
+        text TEXT NOT NULL,
+        timer_seconds INT DEFAULT NULL,
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        INDEX idx_recipe_steps_recipe_id (recipe_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✓ recipe_steps table exists');
+
+    const [recipes] = await connection.query(`
+      SELECT r.id, r.title, r.instructions
+      FROM recipes r
+      WHERE r.instructions IS NOT NULL AND TRIM(r.instructions) != ''
+        AND NOT EXISTS (SELECT 1 FROM recipe_steps s WHERE s.recipe_id = r.id)
+    `);
+
+    if (recipes.length === 0) {
+      console.log('✓ All recipes already have steps. No migration needed.');
+      return;
+    }
+
+    console.log(`Splitting instructions for ${recipes.length} recipes${useAI ? ' with AI' : ''}...`);
+
+    for (const recipe of recipes) {
+      const steps = AIService
+        ? await splitWithAI(AIService, recipe)
+        : splitInstructions(recipe.instructions);
+
+      await connection.beginTransaction();
+      try {
+        for (let index = 0; index < steps.length; index++) {
+          const step = steps[index];
+          await connection.execute(
+            'INSERT INTO recipe_steps (recipe_id, position, section, text, timer_seconds) VALUES (?, ?, ?, ?, ?)',
+            [recipe.id, index, step.section, step.text, step.timerSeconds]
+          );
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+
+      console.log(`✓ ${recipe.title}: ${steps.length} steps`);
+    }
+
+    console.log('\n✓ Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+// Run migration
+runMigration()
+  .then(() => {
+    console.log('Done.');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
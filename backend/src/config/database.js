@@ -2,6 +2,7 @@
 // This application requires MySQL for all environments (development, test, production)
 
 const mysql = require('mysql2/promise');
+const { ingredientKey, STARTER_CATALOG } = require('../utils/ingredientCatalog');
 
 // MySQL connection configuration
 const getDbConfig = () => {
@@ -38,6 +39,33 @@ const getPool = () => {
   return pool;
 };
 
+// Add a column to an existing table if it's missing
+// Uses INFORMATION_SCHEMA check for MySQL 5.7 compatibility (no ADD COLUMN IF NOT EXISTS support)
+const addColumnIfMissing = async (connection, dbName, table, column, definition) => {
+  const [existing] = await connection.query(`
+    SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [dbName, table, column]);
+
+  if (existing.length === 0) {
+    await connection.query(
+      `ALTER TABLE ${connection.escapeId(table)} ADD COLUMN ${connection.escapeId(column)} ${definition}`
+    );
+  }
+};
+
+// Add an index to an existing table if it's missing
+const addIndexIfMissing = async (connection, dbName, table, indexName, definition) => {
+  const [existing] = await connection.query(`
+    SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?
+  `, [dbName, table, indexName]);
+
+  if (existing.length === 0) {
+    await connection.query(`ALTER TABLE ${connection.escapeId(table)} ADD ${definition}`);
+  }
+};
+
 // Initialize database schema
 const initDatabase = async () => {
   const connection = await getPool().getConnection();
@@ -62,10 +90,15 @@ const initDatabase = async () => {
         date_added INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         instructions TEXT,
         servings INT DEFAULT NULL,
+        prep_time_minutes INT DEFAULT NULL,
+        cook_time_minutes INT DEFAULT NULL,
+        total_time_minutes INT DEFAULT NULL,
         estimated_calories INT DEFAULT NULL,
         calories_confidence ENUM('low', 'medium', 'high') DEFAULT NULL,
         image_path VARCHAR(255),
         times_cooked INT NOT NULL DEFAULT 0,
+        rating_average FLOAT DEFAULT NULL,
+        rating_count INT NOT NULL DEFAULT 0,
         created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         INDEX idx_recipes_title (title),
@@ -106,6 +139,7 @@ const initDatabase = async () => {
         name VARCHAR(255) NOT NULL,
         quantity VARCHAR(50),
         unit VARCHAR(50),
+        section VARCHAR(255) DEFAULT NULL,
         position INT NOT NULL,
         FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
         INDEX idx_ingredients_name (name),
@@ -113,6 +147,20 @@ const initDatabase = async () => {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Instruction steps (recipes.instructions keeps a plain-text copy for search)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_steps (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        position INT NOT NULL,
+        section VARCHAR(255) DEFAULT NULL,
+        text TEXT NOT NULL,
+        timer_seconds INT DEFAULT NULL,
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        INDEX idx_recipe_steps_recipe_id (recipe_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
     // Tags table
     await connection.query(`
       CREATE TABLE IF NOT EXISTS tags (
@@ -162,6 +210,7 @@ const initDatabase = async () => {
         uploaded_by INT NOT NULL,
         uploaded_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         processed BOOLEAN NOT NULL DEFAULT FALSE,
+        recipes_detected INT DEFAULT NULL,
         FOREIGN KEY (uploaded_by) REFERENCES users(id),
         INDEX idx_uploaded_files_uploaded_by (uploaded_by)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -177,8 +226,15 @@ const initDatabase = async () => {
         category VARCHAR(255),
         description TEXT,
         instructions TEXT,
+        servings INT DEFAULT NULL,
+        prep_time_minutes INT DEFAULT NULL,
+        cook_time_minutes INT DEFAULT NULL,
+        total_time_minutes INT DEFAULT NULL,
         raw_text TEXT,
         parsed_data JSON,
+        page_start INT DEFAULT NULL,
+        page_end INT DEFAULT NULL,
+        ocr_data JSON DEFAULT NULL,
         created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         FOREIGN KEY (file_id) REFERENCES uploaded_files(id) ON DELETE CASCADE,
         INDEX idx_pending_recipes_file_id (file_id)
@@ -193,6 +249,7 @@ const initDatabase = async () => {
         name VARCHAR(255) NOT NULL,
         quantity VARCHAR(50),
         unit VARCHAR(50),
+        section VARCHAR(255) DEFAULT NULL,
         position INT NOT NULL,
         FOREIGN KEY (pending_recipe_id) REFERENCES pending_recipes(id) ON DELETE CASCADE,
         INDEX idx_pending_ingredients_recipe_id (pending_recipe_id)
@@ -227,27 +284,72 @@ const initDatabase = async () => {
       CREATE TABLE IF NOT EXISTS user_preferences (
         user_id INT PRIMARY KEY,
         theme VARCHAR(20) DEFAULT 'light',
+        unit_system VARCHAR(20) DEFAULT NULL,
         created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
-    // User saved recipes (favorites)
+    // Users' recipe collections ("Thanksgiving", "Kids' lunches"). Each user has one default
+    // collection, Favorites, which is what saving a recipe adds to: is_default is TRUE for it and
+    // NULL otherwise, so the unique key allows just one. cover_filename is an image in uploads/images.
     await connection.query(`
-      CREATE TABLE IF NOT EXISTS user_saved_recipes (
+      CREATE TABLE IF NOT EXISTS collections (
         id INT AUTO_INCREMENT PRIMARY KEY,
         user_id INT NOT NULL,
-        recipe_id INT NOT NULL,
-        saved_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
-        UNIQUE KEY unique_user_recipe (user_id, recipe_id),
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        cover_filename VARCHAR(255) DEFAULT NULL,
+        is_default BOOLEAN DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uq_collections_default (user_id, is_default),
+        INDEX idx_collections_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // A recipe can be in any number of a user's collections; position is the order the user arranged
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS collection_recipes (
+        collection_id INT NOT NULL,
+        recipe_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        added_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        PRIMARY KEY (collection_id, recipe_id),
+        FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
         FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
-        INDEX idx_saved_recipes_user (user_id),
-        INDEX idx_saved_recipes_recipe (recipe_id)
+        INDEX idx_collection_recipes_recipe (recipe_id)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Saved recipes used to be a flat list (user_saved_recipes). Each user's saved recipes become
+    // their Favorites, newest first as they were shown, before the old table is dropped
+    // (INSERT IGNORE, so an interrupted migration can simply run again).
+    const [savedRecipesTable] = await connection.query(`
+      SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'user_saved_recipes'
+    `, [dbName]);
+
+    if (savedRecipesTable.length > 0) {
+      await connection.query(`
+        INSERT IGNORE INTO collections (user_id, name, is_default, created_at, updated_at)
+        SELECT user_id, 'Favorites', TRUE, MIN(saved_at), MAX(saved_at)
+        FROM user_saved_recipes
+        GROUP BY user_id
+      `);
+      await connection.query(`
+        INSERT IGNORE INTO collection_recipes (collection_id, recipe_id, position, added_at)
+        SELECT c.id, usr.recipe_id,
+          ROW_NUMBER() OVER (PARTITION BY usr.user_id ORDER BY usr.saved_at DESC, usr.id DESC) - 1,
+          usr.saved_at
+        FROM user_saved_recipes usr
+        JOIN collections c ON c.user_id = usr.user_id AND c.is_default = TRUE
+      `);
+      await connection.query('DROP TABLE user_saved_recipes');
+    }
+
     // User submitted recipes (pending admin approval)
     await connection.query(`
       CREATE TABLE IF NOT EXISTS user_submitted_recipes (
@@ -257,6 +359,9 @@ const initDatabase = async () => {
         source VARCHAR(255),
         instructions TEXT,
         servings INT DEFAULT NULL,
+        prep_time_minutes INT DEFAULT NULL,
+        cook_time_minutes INT DEFAULT NULL,
+        total_time_minutes INT DEFAULT NULL,
         status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
         admin_notes TEXT,
         reviewed_by INT,
@@ -278,6 +383,7 @@ const initDatabase = async () => {
         name VARCHAR(255) NOT NULL,
         quantity VARCHAR(50),
         unit VARCHAR(50),
+        section VARCHAR(255) DEFAULT NULL,
         position INT NOT NULL,
         FOREIGN KEY (submitted_recipe_id) REFERENCES user_submitted_recipes(id) ON DELETE CASCADE,
         INDEX idx_submitted_ingredients_recipe (submitted_recipe_id)
@@ -316,6 +422,315 @@ const initDatabase = async () => {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
+    // Cook log: each time a user made a recipe, with an optional rating, notes and photos.
+    // recipes.times_cooked / rating_average / rating_count are derived from it (see CookLogModel).
+    // user_id is NULL for counts carried over from before the log existed, or once a user is deleted.
+    const [cookLogTable] = await connection.query(`
+      SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'cook_log'
+    `, [dbName]);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS cook_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        user_id INT DEFAULT NULL,
+        cooked_on DATE NOT NULL,
+        rating TINYINT DEFAULT NULL,
+        notes TEXT,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cook_log_recipe (recipe_id),
+        INDEX idx_cook_log_user_date (user_id, cooked_on)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS cook_log_photos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        cook_log_id INT NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        file_size INT NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        uploaded_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (cook_log_id) REFERENCES cook_log(id) ON DELETE CASCADE,
+        INDEX idx_cook_log_photos_entry (cook_log_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Meal planner: one row per recipe planned for a user's breakfast, lunch or dinner on a date.
+    // servings overrides the recipe's own (NULL = as written); position orders a slot's recipes.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS meal_plans (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        recipe_id INT NOT NULL,
+        plan_date DATE NOT NULL,
+        meal ENUM('breakfast', 'lunch', 'dinner') NOT NULL,
+        servings INT DEFAULT NULL,
+        position INT NOT NULL DEFAULT 0,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        INDEX idx_meal_plans_user_date (user_id, plan_date),
+        INDEX idx_meal_plans_recipe (recipe_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Secret tokens for each user's iCalendar feed of their meal plan (calendar apps can't log in)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS meal_plan_feeds (
+        user_id INT PRIMARY KEY,
+        token VARCHAR(64) NOT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uq_meal_plan_feeds_token (token)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Shopping lists. Items are copied onto the list when it's built (combined across recipes,
+    // see utils/shoppingList.js), so later recipe edits don't change a list that's in use.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS shopping_lists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_shopping_lists_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // quantity is the whole amount as shown ("2 cups", "1 stick + 2 tbsp"); source names the
+    // recipes an item came from, and is NULL for items added by hand (is_custom)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        list_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        quantity VARCHAR(100) DEFAULT NULL,
+        category VARCHAR(50) NOT NULL,
+        source VARCHAR(500) DEFAULT NULL,
+        is_custom BOOLEAN NOT NULL DEFAULT FALSE,
+        checked BOOLEAN NOT NULL DEFAULT FALSE,
+        position INT NOT NULL DEFAULT 0,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE,
+        INDEX idx_shopping_list_items_list (list_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Household members a list is shared with; they can check off and add items
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_members (
+        list_id INT NOT NULL,
+        user_id INT NOT NULL,
+        added_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        PRIMARY KEY (list_id, user_id),
+        FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_shopping_list_members_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Canonical ingredient catalog. Each entry has aliases: the other names recipes use for it,
+    // stored as lookup keys (see utils/ingredientCatalog.js). ingredients.canonical_id links a
+    // recipe's ingredient to its entry; names no alias matches are left for an admin to review.
+    const [canonicalTable] = await connection.query(`
+      SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'canonical_ingredients'
+    `, [dbName]);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS canonical_ingredients (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        UNIQUE KEY uq_canonical_ingredients_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ingredient_aliases (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        canonical_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        alias_key VARCHAR(255) NOT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (canonical_id) REFERENCES canonical_ingredients(id) ON DELETE CASCADE,
+        UNIQUE KEY uq_ingredient_aliases_key (alias_key),
+        INDEX idx_ingredient_aliases_canonical (canonical_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // A new catalog starts with the common baking and cooking staples
+    if (canonicalTable.length === 0) {
+      for (const [name, aliases] of Object.entries(STARTER_CATALOG)) {
+        const [result] = await connection.query('INSERT INTO canonical_ingredients (name) VALUES (?)', [name]);
+        for (const alias of [name, ...aliases]) {
+          await connection.query(
+            'INSERT IGNORE INTO ingredient_aliases (canonical_id, name, alias_key) VALUES (?, ?, ?)',
+            [result.insertId, alias, ingredientKey(alias)]
+          );
+        }
+      }
+    }
+
+    // IDs of recipes merged into another one (see RecipeModel.merge), so old links keep working
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_redirects (
+        old_id INT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        INDEX idx_recipe_redirects_recipe (recipe_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Recipe history: a snapshot of the recipe (row, ingredients, steps, tags) taken before each
+    // change, with who made the change. action is 'update', 'restore' or 'merge' (see RecipeRevisionModel).
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        snapshot JSON NOT NULL,
+        action VARCHAR(20) NOT NULL DEFAULT 'update',
+        edited_by INT DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_recipe_revisions_recipe (recipe_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Family members recipes are attributed to. Years are nullable since they often aren't known;
+    // photo_filename is an image in uploads/images.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS people (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        relation VARCHAR(100) DEFAULT NULL,
+        birth_year INT DEFAULT NULL,
+        death_year INT DEFAULT NULL,
+        photo_filename VARCHAR(255) DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        INDEX idx_people_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Who a recipe came from: role is 'contributed' (they gave it to the collection) or
+    // 'handed_down' (it was passed down from them). position keeps the order shown on the recipe.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_people (
+        recipe_id INT NOT NULL,
+        person_id INT NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'contributed',
+        position INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (recipe_id, person_id, role),
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        FOREIGN KEY (person_id) REFERENCES people(id) ON DELETE CASCADE,
+        INDEX idx_recipe_people_person (person_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // The scanned card, photo or PDF a recipe was transcribed from, kept for viewing next to it.
+    // A recipe can have several (both sides of a card); page_start/page_end narrow a PDF binder
+    // down to the recipe's pages.
+    const [recipeOriginalsTable] = await connection.query(`
+      SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'recipe_originals'
+    `, [dbName]);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS recipe_originals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        recipe_id INT NOT NULL,
+        file_id INT NOT NULL,
+        page_start INT DEFAULT NULL,
+        page_end INT DEFAULT NULL,
+        position INT NOT NULL DEFAULT 0,
+        added_by INT DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+        FOREIGN KEY (file_id) REFERENCES uploaded_files(id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY uq_recipe_originals_file (recipe_id, file_id),
+        INDEX idx_recipe_originals_file (file_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Bulk imports: one row per batch, with one job per item (jobs.batch_id).
+    // skipped lists uploaded files or pasted lines that never became a job, and why.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS import_batches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        skipped JSON DEFAULT NULL,
+        created_by INT DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_import_batches_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Background jobs (PDF, photo and URL imports) run by the worker in services/jobWorker.js.
+    // status: queued -> running -> completed | failed; a failed attempt that can be retried
+    // goes back to queued with run_at pushed into the future.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        payload JSON NOT NULL,
+        result JSON DEFAULT NULL,
+        progress VARCHAR(255) DEFAULT NULL,
+        error TEXT,
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 3,
+        run_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        created_by INT DEFAULT NULL,
+        created_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        started_at INT DEFAULT NULL,
+        finished_at INT DEFAULT NULL,
+        updated_at INT NOT NULL DEFAULT (UNIX_TIMESTAMP()),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_jobs_status_run_at (status, run_at),
+        INDEX idx_jobs_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Jobs started by a bulk import. MySQL names the foreign key's index after the constraint.
+    await addColumnIfMissing(connection, dbName, 'jobs', 'batch_id', 'INT DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'jobs', 'fk_jobs_batch',
+      'CONSTRAINT fk_jobs_batch FOREIGN KEY (batch_id) REFERENCES import_batches(id) ON DELETE SET NULL');
+
+    await addColumnIfMissing(connection, dbName, 'recipes', 'rating_average', 'FLOAT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'recipes', 'rating_count', 'INT NOT NULL DEFAULT 0');
+
+    // times_cooked used to be a bare counter. When the log is first created, carry existing
+    // counts over as unattributed entries dated to the recipe's last update, so they survive
+    // the counter being recalculated from the log.
+    if (cookLogTable.length === 0) {
+      const [cookedRecipes] = await connection.query(
+        'SELECT id, times_cooked, updated_at FROM recipes WHERE times_cooked > 0'
+      );
+      for (const recipe of cookedRecipes) {
+        const cookedOn = new Date(recipe.updated_at * 1000).toISOString().slice(0, 10);
+        const rows = Array.from({ length: recipe.times_cooked }, () => [recipe.id, cookedOn]);
+        await connection.query('INSERT INTO cook_log (recipe_id, cooked_on) VALUES ?', [rows]);
+      }
+    }
+
     // Add email index on users table if not exists
     const [emailIndex] = await connection.query(`
       SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
@@ -345,6 +760,104 @@ const initDatabase = async () => {
       `);
     }
 
+    // Add prep/cook/total time columns (in minutes) to recipe tables for existing databases
+    for (const table of ['recipes', 'pending_recipes', 'user_submitted_recipes']) {
+      for (const column of ['prep_time_minutes', 'cook_time_minutes', 'total_time_minutes']) {
+        await addColumnIfMissing(connection, dbName, table, column, 'INT DEFAULT NULL');
+      }
+    }
+
+    // Measurement system preference (NULL shows recipes as written)
+    await addColumnIfMissing(connection, dbName, 'user_preferences', 'unit_system', 'VARCHAR(20) DEFAULT NULL');
+
+    // Ingredient groups ("For the crust") on every ingredient table
+    for (const table of ['ingredients', 'pending_ingredients', 'user_submitted_ingredients']) {
+      await addColumnIfMissing(connection, dbName, table, 'section', 'VARCHAR(255) DEFAULT NULL');
+    }
+
+    // Servings on pending recipes so imports keep the yield through review
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'servings', 'INT DEFAULT NULL');
+
+    // Multi-recipe PDFs: how many recipes a file held and which pages each pending recipe came from
+    await addColumnIfMissing(connection, dbName, 'uploaded_files', 'recipes_detected', 'INT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'page_start', 'INT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'page_end', 'INT DEFAULT NULL');
+
+    // Per-line OCR confidence for recipes read from scanned pages
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'ocr_data', 'JSON DEFAULT NULL');
+
+    // Duplicate detection: a content hash per uploaded file, the canonical URL a recipe was
+    // imported from, and the file an approved recipe came from
+    await addColumnIfMissing(connection, dbName, 'uploaded_files', 'content_hash', 'CHAR(64) DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'uploaded_files', 'idx_uploaded_files_content_hash',
+      'INDEX idx_uploaded_files_content_hash (content_hash)');
+    for (const table of ['recipes', 'pending_recipes']) {
+      await addColumnIfMissing(connection, dbName, table, 'source_url', 'VARCHAR(500) DEFAULT NULL');
+      await addIndexIfMissing(connection, dbName, table, `idx_${table}_source_url`, `INDEX idx_${table}_source_url (source_url)`);
+    }
+    await addColumnIfMissing(connection, dbName, 'recipes', 'source_file_id', 'INT DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'recipes', 'fk_recipes_source_file',
+      'CONSTRAINT fk_recipes_source_file FOREIGN KEY (source_file_id) REFERENCES uploaded_files(id) ON DELETE SET NULL');
+
+    // The recipe a submission was published as, or merged into
+    await addColumnIfMissing(connection, dbName, 'user_submitted_recipes', 'recipe_id', 'INT DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'user_submitted_recipes', 'fk_submitted_recipes_recipe',
+      'CONSTRAINT fk_submitted_recipes_recipe FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE SET NULL');
+
+    // Soft delete: recipes in the trash keep their rows and files until purged
+    await addColumnIfMissing(connection, dbName, 'recipes', 'deleted_at', 'INT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'recipes', 'deleted_by', 'INT DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'recipes', 'idx_recipes_deleted_at', 'INDEX idx_recipes_deleted_at (deleted_at)');
+    await addIndexIfMissing(connection, dbName, 'recipes', 'fk_recipes_deleted_by',
+      'CONSTRAINT fk_recipes_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL');
+
+    // Family stories: a memory that goes with a recipe, and who it came from as read by the AI parser
+    // (pending attributions are [{ name, relation, role }], matched to people on approval)
+    await addColumnIfMissing(connection, dbName, 'recipes', 'story', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'story', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'attributions', 'JSON DEFAULT NULL');
+
+    // Cook's notes, and the pages and photos an import came from (kept until approval creates
+    // the recipe's originals)
+    await addColumnIfMissing(connection, dbName, 'recipes', 'notes', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'pending_recipes', 'original_file_ids', 'JSON DEFAULT NULL');
+
+    // Preparation notes ("sifted", "finely chopped") split out of ingredient names on every
+    // ingredient table, and each recipe ingredient's catalog key and entry. Rows written before
+    // these existed are filled in by the ingredient backfill job.
+    for (const table of ['ingredients', 'pending_ingredients', 'user_submitted_ingredients']) {
+      await addColumnIfMissing(connection, dbName, table, 'preparation', 'VARCHAR(255) DEFAULT NULL');
+    }
+    await addColumnIfMissing(connection, dbName, 'ingredients', 'name_key', 'VARCHAR(255) DEFAULT NULL');
+    await addColumnIfMissing(connection, dbName, 'ingredients', 'canonical_id', 'INT DEFAULT NULL');
+    await addIndexIfMissing(connection, dbName, 'ingredients', 'idx_ingredients_name_key', 'INDEX idx_ingredients_name_key (name_key)');
+    await addIndexIfMissing(connection, dbName, 'ingredients', 'fk_ingredients_canonical',
+      'CONSTRAINT fk_ingredients_canonical FOREIGN KEY (canonical_id) REFERENCES canonical_ingredients(id) ON DELETE SET NULL');
+
+    // Recipes approved before originals existed only kept the file they came from (source_file_id).
+    // When the table is first created, list those files as the recipes' originals.
+    if (recipeOriginalsTable.length === 0) {
+      await connection.query(`
+        INSERT INTO recipe_originals (recipe_id, file_id, created_at)
+        SELECT r.id, r.source_file_id, r.created_at
+        FROM recipes r
+        JOIN uploaded_files uf ON r.source_file_id = uf.id
+        WHERE uf.mime_type <> 'text/x-url'
+      `);
+    }
+
+    // FULLTEXT indexes for recipe search (one per column so each field can be weighted separately)
+    const fullTextIndexes = [
+      ['recipes', 'ft_recipes_title', 'title'],
+      ['recipes', 'ft_recipes_source', 'source'],
+      ['recipes', 'ft_recipes_instructions', 'instructions'],
+      ['ingredients', 'ft_ingredients_name', 'name'],
+      ['tags', 'ft_tags_name', 'name']
+    ];
+    for (const [table, indexName, column] of fullTextIndexes) {
+      await addIndexIfMissing(connection, dbName, table, indexName, `FULLTEXT INDEX ${indexName} (${column})`);
+    }
+
     console.log('MySQL database initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -458,19 +971,37 @@ const clearDatabase = async () => {
   // Disable foreign key checks temporarily for clean deletion
   await pool.execute('SET FOREIGN_KEY_CHECKS = 0');
   await pool.execute('DELETE FROM settings');
+  await pool.execute('DELETE FROM jobs');
+  await pool.execute('DELETE FROM import_batches');
   await pool.execute('DELETE FROM pending_tags');
   await pool.execute('DELETE FROM pending_ingredients');
   await pool.execute('DELETE FROM pending_recipes');
   await pool.execute('DELETE FROM uploaded_files');
+  await pool.execute('DELETE FROM cook_log_photos');
+  await pool.execute('DELETE FROM cook_log');
+  await pool.execute('DELETE FROM recipe_redirects');
+  await pool.execute('DELETE FROM recipe_revisions');
+  await pool.execute('DELETE FROM recipe_people');
+  await pool.execute('DELETE FROM recipe_originals');
+  await pool.execute('DELETE FROM people');
   await pool.execute('DELETE FROM recipe_tags');
   await pool.execute('DELETE FROM recipe_images');
   await pool.execute('DELETE FROM ingredients');
+  await pool.execute('DELETE FROM ingredient_aliases');
+  await pool.execute('DELETE FROM canonical_ingredients');
+  await pool.execute('DELETE FROM recipe_steps');
   await pool.execute('DELETE FROM tags');
   await pool.execute('DELETE FROM recipes');
   await pool.execute('DELETE FROM user_submitted_tags');
   await pool.execute('DELETE FROM user_submitted_ingredients');
   await pool.execute('DELETE FROM user_submitted_recipes');
-  await pool.execute('DELETE FROM user_saved_recipes');
+  await pool.execute('DELETE FROM shopping_list_members');
+  await pool.execute('DELETE FROM shopping_list_items');
+  await pool.execute('DELETE FROM shopping_lists');
+  await pool.execute('DELETE FROM meal_plans');
+  await pool.execute('DELETE FROM meal_plan_feeds');
+  await pool.execute('DELETE FROM collection_recipes');
+  await pool.execute('DELETE FROM collections');
   await pool.execute('DELETE FROM user_preferences');
   await pool.execute('DELETE FROM users');
   await pool.execute('SET FOREIGN_KEY_CHECKS = 1');
@@ -0,0 +1,113 @@
+const JobModel = require('../models/jobModel');
+const ImportBatchModel = require('../models/importBatchModel');
+const BatchImportService = require('../services/batchImportService');
+const JobWorker = require('../services/jobWorker');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Queue many PDFs, photos or ZIP archives at once (one import job per PDF or photo)
+ * POST /api/admin/import-batches/files
+ */
+exports.importFiles = asyncHandler(async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0 && !req.skippedFiles?.length) {
+    throw new ApiError(400, 'No files uploaded');
+  }
+
+  const batchId = await BatchImportService.importFiles({
+    files,
+    skipped: req.skippedFiles,
+    name: req.body.name?.trim(),
+    createdBy: req.user.id
+  });
+  const batch = await BatchImportService.getBatch(batchId);
+
+  res.status(202).json({
+    success: true,
+    message: `${batch.totalJobs} item(s) queued for import`,
+    data: batch
+  });
+});
+
+/**
+ * Queue a pasted list of recipe URLs (one import job per URL)
+ * POST /api/admin/import-batches/urls
+ */
+exports.importUrls = asyncHandler(async (req, res) => {
+  const { urls, name } = req.body;
+  const isList = Array.isArray(urls) ? urls.length > 0 : typeof urls === 'string' && urls.trim();
+  if (!isList) {
+    throw new ApiError(400, 'Paste at least one URL');
+  }
+
+  const batchId = await BatchImportService.importUrls({
+    urls,
+    name: typeof name === 'string' ? name.trim() : '',
+    createdBy: req.user.id
+  });
+  const batch = await BatchImportService.getBatch(batchId);
+
+  res.status(202).json({
+    success: true,
+    message: `${batch.totalJobs} URL(s) queued for import`,
+    data: batch
+  });
+});
+
+/**
+ * List recent bulk imports with per-status counts
+ * GET /api/admin/import-batches
+ */
+exports.getBatches = asyncHandler(async (req, res) => {
+  const batches = await ImportBatchModel.getAll();
+
+  res.json({
+    success: true,
+    data: batches
+  });
+});
+
+/**
+ * Get a bulk import with every item's status and result
+ * GET /api/admin/import-batches/:id
+ */
+exports.getBatch = asyncHandler(async (req, res) => {
+  const batch = await BatchImportService.getBatch(req.params.id);
+
+  if (!batch) {
+    throw new ApiError(404, 'Import batch not found');
+  }
+
+  res.json({
+    success: true,
+    data: batch
+  });
+});
+
+/**
+ * Retry every failed item in a bulk import
+ * POST /api/admin/import-batches/:id/retry
+ */
+exports.retryBatch = asyncHandler(async (req, res) => {
+  const batch = await BatchImportService.getBatch(req.params.id);
+
+  if (!batch) {
+    throw new ApiError(404, 'Import batch not found');
+  }
+
+  let retried = 0;
+  for (const job of batch.jobs.filter(job => JobModel.canRetry(job))) {
+    if (await JobModel.retry(job.id)) retried++;
+  }
+
+  if (retried === 0) {
+    throw new ApiError(409, 'There are no failed items to retry in this batch');
+  }
+  JobWorker.wake();
+
+  res.json({
+    success: true,
+    message: `${retried} item(s) queued to run again`,
+    data: await BatchImportService.getBatch(batch.id)
+  });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const CollectionModel = require('../models/collectionModel');
+const RecipeModel = require('../models/recipeModel');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Validate and clean up collection fields from a multipart form
+ * @param {Object} body - req.body
+ * @param {Object|null} existing - Current collection when updating
+ * @returns {Object} - { changes, errors }
+ */
+const parseCollectionInput = (body, existing = null) => {
+  const errors = [];
+  const changes = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) {
+      errors.push('Name is required');
+    } else if (name.length > MAX_NAME_LENGTH) {
+      errors.push(`Name must be less than ${MAX_NAME_LENGTH} characters`);
+    }
+    changes.name = name;
+  }
+
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`Description must be less than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    changes.description = description || null;
+  }
+
+  return { changes, errors };
+};
+
+// Remove an uploaded cover that won't be kept (the request failed)
+const discardUpload = async (file) => {
+  if (file) {
+    await fs.unlink(file.path).catch(() => {});
+  }
+};
+
+// Get one of the current user's collections, or 404
+const findCollection = async (req) => {
+  const collection = await CollectionModel.getById(req.user.id, req.params.id);
+  if (!collection) {
+    throw new ApiError(404, 'Collection not found');
+  }
+  return collection;
+};
+
+/**
+ * List the current user's collections (Favorites first)
+ * GET /api/users/collections?recipeId=12 (recipeId adds hasRecipe to each)
+ */
+exports.getCollections = asyncHandler(async (req, res) => {
+  const recipeId = req.query.recipeId !== undefined ? parseInt(req.query.recipeId, 10) : null;
+  if (Number.isNaN(recipeId)) {
+    throw new ApiError(400, 'recipeId must be a recipe ID');
+  }
+
+  const collections = await CollectionModel.getAll(req.user.id, { recipeId });
+
+  res.json({
+    success: true,
+    collections
+  });
+});
+
+/**
+ * Create a collection (multipart: name, description, optional cover image)
+ * POST /api/users/collections
+ */
+exports.createCollection = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { changes, errors } = parseCollectionInput(req.body);
+  if (errors.length > 0) {
+    await discardUpload(req.file);
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  // Make sure Favorites exists first, so a new collection can't take its name
+  await CollectionModel.getDefaultId(userId);
+  if (await CollectionModel.nameTaken(userId, changes.name)) {
+    await discardUpload(req.file);
+    throw new ApiError(409, `You already have a collection called "${changes.name}"`);
+  }
+
+  const collection = await CollectionModel.create(userId, {
+    ...changes,
+    coverFilename: req.file ? req.file.filename : null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    collection
+  });
+});
+
+/**
+ * Get a collection and its recipes in order
+ * GET /api/users/collections/:id
+ */
+exports.getCollection = asyncHandler(async (req, res) => {
+  const collection = await findCollection(req);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const { recipes, total } = await CollectionModel.getRecipes(collection.id, { limit, offset });
+
+  res.json({
+    success: true,
+    collection,
+    recipes,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + recipes.length < total
+    }
+  });
+});
+
+/**
+ * Update a collection. A new cover replaces the old one; removeCover=true goes back to
+ * using the first recipe's image.
+ * PUT /api/users/collections/:id
+ */
+exports.updateCollection = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const existing = await CollectionModel.getById(userId, req.params.id);
+  if (!existing) {
+    await discardUpload(req.file);
+    throw new ApiError(404, 'Collection not found');
+  }
+
+  const { changes, errors } = parseCollectionInput(req.body, existing);
+  if (errors.length > 0) {
+    await discardUpload(req.file);
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+  if (changes.name && await CollectionModel.nameTaken(userId, changes.name, existing.id)) {
+    await discardUpload(req.file);
+    throw new ApiError(409, `You already have a collection called "${changes.name}"`);
+  }
+
+  if (req.file) {
+    changes.coverFilename = req.file.filename;
+  } else if (req.body.removeCover === 'true' || req.body.removeCover === true) {
+    changes.coverFilename = null;
+  }
+
+  const collection = await CollectionModel.update(userId, existing.id, changes);
+  res.json({
+    success: true,
+    message: 'Collection updated successfully',
+    collection
+  });
+});
+
+/**
+ * Delete a collection (not Favorites); its recipes stay in the user's other collections
+ * DELETE /api/users/collections/:id
+ */
+exports.deleteCollection = asyncHandler(async (req, res) => {
+  const collection = await findCollection(req);
+  if (collection.isDefault) {
+    throw new ApiError(400, `${collection.name} can't be deleted`);
+  }
+
+  await CollectionModel.delete(req.user.id, collection.id);
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+/**
+ * Add a recipe to the top of a collection
+ * POST /api/users/collections/:id/recipes
+ */
+exports.addRecipe = asyncHandler(async (req, res) => {
+  const collection = await findCollection(req);
+
+  const recipe = req.body.recipeId ? await RecipeModel.getById(req.body.recipeId) : null;
+  if (!recipe) {
+    throw new ApiError(404, 'Recipe not found');
+  }
+
+  const added = await CollectionModel.addRecipe(collection.id, recipe.id);
+  if (!added) {
+    throw new ApiError(409, `Recipe is already in ${collection.name}`);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Recipe added to ${collection.name}`
+  });
+});
+
+/**
+ * Take a recipe out of a collection
+ * DELETE /api/users/collections/:id/recipes/:recipeId
+ */
+exports.removeRecipe = asyncHandler(async (req, res) => {
+  const collection = await findCollection(req);
+
+  const removed = await CollectionModel.removeRecipe(collection.id, req.params.recipeId);
+  if (!removed) {
+    throw new ApiError(404, `Recipe is not in ${collection.name}`);
+  }
+
+  res.json({
+    success: true,
+    message: `Recipe removed from ${collection.name}`
+  });
+});
+
+/**
+ * Put a collection's recipes in a new order
+ * PUT /api/users/collections/:id/recipes/reorder
+ */
+exports.reorderRecipes = asyncHandler(async (req, res) => {
+  const collection = await findCollection(req);
+  const { recipeOrder } = req.body;
+
+  if (!Array.isArray(recipeOrder)) {
+    throw new ApiError(400, 'recipeOrder must be an array of recipe IDs');
+  }
+
+  const reordered = await CollectionModel.reorderRecipes(collection.id, recipeOrder);
+  if (!reordered) {
+    throw new ApiError(400, `recipeOrder must list every recipe in ${collection.name} once`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Recipe order updated successfully'
+  });
+});
@@ -0,0 +1,169 @@
+const CookLogModel = require('../models/cookLogModel');
+const RecipeModel = require('../models/recipeModel');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+
+const MAX_NOTES_LENGTH = 5000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Validate and normalize the date, rating and notes of an entry
+ * Fields left undefined are skipped, so updates can send only what changed.
+ * Values may arrive as strings from multipart forms.
+ * @param {Object} body - { cookedOn, rating, notes }
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} - { cookedOn, rating, notes }
+ */
+const parseEntryFields = ({ cookedOn, rating, notes }, errors) => {
+  const fields = {};
+
+  if (cookedOn !== undefined && cookedOn !== '') {
+    const date = new Date(`${cookedOn}T00:00:00Z`);
+    // A day of slack so "today" in time zones ahead of UTC is accepted
+    const latest = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (typeof cookedOn !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(cookedOn) ||
+      Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== cookedOn) {
+      errors.push('cookedOn must be a date in YYYY-MM-DD format');
+    } else if (cookedOn > latest) {
+      errors.push('cookedOn cannot be in the future');
+    } else {
+      fields.cookedOn = cookedOn;
+    }
+  }
+
+  if (rating !== undefined) {
+    if (rating === null || rating === '') {
+      fields.rating = null;
+    } else {
+      const value = Number(rating);
+      if (!Number.isInteger(value) || value < 1 || value > 5) {
+        errors.push('Rating must be a whole number from 1 to 5');
+      } else {
+        fields.rating = value;
+      }
+    }
+  }
+
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== 'string') {
+      errors.push('Notes must be a string');
+    } else if (notes && notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+    } else {
+      fields.notes = notes?.trim() || null;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Get an entry owned by the current user, or 404
+ */
+const getOwnEntry = async (id, userId) => {
+  const entry = await CookLogModel.getById(id);
+  if (!entry || entry.userId !== userId) {
+    throw new ApiError(404, 'Cook log entry not found');
+  }
+  return entry;
+};
+
+/**
+ * Record that the current user cooked a recipe, with optional rating, notes and photos
+ * POST /api/recipes/:id/cook-log
+ */
+exports.logCook = asyncHandler(async (req, res) => {
+  const photos = req.files || [];
+
+  try {
+    const recipe = await RecipeModel.getById(req.params.id);
+    if (!recipe) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+
+    const errors = [];
+    const fields = parseEntryFields(req.body || {}, errors);
+    if (errors.length > 0) {
+      throw new ApiError(400, 'Validation failed', errors);
+    }
+
+    const entry = await CookLogModel.create({
+      recipeId: recipe.id,
+      userId: req.user.id,
+      cookedOn: fields.cookedOn || today(),
+      rating: fields.rating ?? null,
+      notes: fields.notes ?? null,
+      photos
+    });
+    const updated = await RecipeModel.getById(recipe.id);
+
+    res.status(201).json({
+      success: true,
+      entry,
+      timesCooked: updated.timesCooked,
+      ratingAverage: updated.ratingAverage,
+      ratingCount: updated.ratingCount
+    });
+  } catch (error) {
+    await CookLogModel.discardUploads(photos);
+    throw error;
+  }
+});
+
+/**
+ * Get the current user's cooking history
+ * GET /api/users/cook-log?recipeId=&limit=&offset=
+ */
+exports.getMyCookLog = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const recipeId = parseInt(req.query.recipeId, 10) || null;
+
+  const { entries, total } = await CookLogModel.getByUserId(req.user.id, { recipeId, limit, offset });
+
+  res.json({
+    success: true,
+    entries,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + entries.length < total
+    }
+  });
+});
+
+/**
+ * Change the date, rating or notes of one of the current user's entries
+ * PUT /api/users/cook-log/:id
+ */
+exports.updateCookLogEntry = asyncHandler(async (req, res) => {
+  await getOwnEntry(req.params.id, req.user.id);
+
+  const errors = [];
+  const fields = parseEntryFields(req.body || {}, errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const entry = await CookLogModel.update(req.params.id, fields);
+
+  res.json({
+    success: true,
+    entry
+  });
+});
+
+/**
+ * Delete one of the current user's entries
+ * DELETE /api/users/cook-log/:id
+ */
+exports.deleteCookLogEntry = asyncHandler(async (req, res) => {
+  await getOwnEntry(req.params.id, req.user.id);
+  await CookLogModel.delete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Cook log entry deleted'
+  });
+});
@@ -0,0 +1,246 @@
+const CanonicalIngredientModel = require('../models/canonicalIngredientModel');
+const IngredientBackfill = require('../services/ingredientBackfill');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+const { ingredientKey } = require('../utils/ingredientCatalog');
+
+const MAX_NAME_LENGTH = 255;
+// Aliases one request may add along with a new entry
+const MAX_ALIASES = 50;
+
+/**
+ * Validate an entry or alias name
+ * @param {*} name
+ * @param {string} field - Name of the field, for messages
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {string|undefined} - The trimmed name
+ */
+const parseName = (name, field, errors) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push(`${field} is required`);
+    return undefined;
+  }
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    errors.push(`${field} must be at most ${MAX_NAME_LENGTH} characters`);
+    return undefined;
+  }
+  if (!ingredientKey(trimmed)) {
+    errors.push(`${field} must contain a word`);
+    return undefined;
+  }
+  return trimmed;
+};
+
+/**
+ * Refuse an alias some other entry already has (one name can only mean one ingredient)
+ * @param {string} name
+ * @param {number|null} id - The entry it's being added to
+ */
+const checkAliasFree = async (name, id = null) => {
+  const owner = await CanonicalIngredientModel.findAliasOwner(ingredientKey(name));
+  if (owner && owner.canonicalId !== id) {
+    throw new ApiError(409, `"${name}" already means ${owner.canonicalName}`);
+  }
+};
+
+const getEntry = async (id) => {
+  const entry = await CanonicalIngredientModel.getById(id);
+  if (!entry) {
+    throw new ApiError(404, 'Ingredient not found');
+  }
+  return entry;
+};
+
+/**
+ * The ingredient catalog
+ * GET /api/admin/ingredients
+ */
+exports.getIngredients = asyncHandler(async (req, res) => {
+  const ingredients = await CanonicalIngredientModel.getAll();
+
+  res.json({
+    success: true,
+    ingredients
+  });
+});
+
+/**
+ * Ingredient names recipes use that the catalog doesn't know, and the latest backfill job
+ * GET /api/admin/ingredients/unmatched?limit=100
+ */
+exports.getUnmatched = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const unmatched = await CanonicalIngredientModel.getUnmatched({ limit });
+
+  res.json({
+    success: true,
+    ...unmatched,
+    backfill: await IngredientBackfill.latest()
+  });
+});
+
+/**
+ * Add an entry to the catalog
+ * POST /api/admin/ingredients
+ * Body: { name, aliases: ["AP flour", ...] }
+ */
+exports.createIngredient = asyncHandler(async (req, res) => {
+  const errors = [];
+  const name = parseName(req.body.name, 'name', errors);
+
+  const aliases = req.body.aliases ?? [];
+  if (!Array.isArray(aliases)) {
+    errors.push('aliases must be an array');
+  } else if (aliases.length > MAX_ALIASES) {
+    errors.push(`At most ${MAX_ALIASES} aliases can be added at once`);
+  }
+  const aliasNames = Array.isArray(aliases)
+    ? aliases.map((alias, index) => parseName(alias, `aliases[${index}]`, errors))
+    : [];
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  if (await CanonicalIngredientModel.nameTaken(name)) {
+    throw new ApiError(409, `${name} is already in the catalog`);
+  }
+  for (const alias of [name, ...aliasNames]) {
+    await checkAliasFree(alias);
+  }
+
+  const ingredient = await CanonicalIngredientModel.create(name, aliasNames);
+
+  res.status(201).json({
+    success: true,
+    ingredient
+  });
+});
+
+/**
+ * Rename an entry
+ * PUT /api/admin/ingredients/:id
+ * Body: { name }
+ */
+exports.updateIngredient = asyncHandler(async (req, res) => {
+  const existing = await getEntry(req.params.id);
+
+  const errors = [];
+  const name = parseName(req.body.name, 'name', errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  if (await CanonicalIngredientModel.nameTaken(name, existing.id)) {
+    throw new ApiError(409, `${name} is already in the catalog`);
+  }
+  await checkAliasFree(name, existing.id);
+
+  const ingredient = await CanonicalIngredientModel.rename(existing.id, name);
+
+  res.json({
+    success: true,
+    ingredient
+  });
+});
+
+/**
+ * Remove an entry; the recipes using it keep their ingredient names, unmatched
+ * DELETE /api/admin/ingredients/:id
+ */
+exports.deleteIngredient = asyncHandler(async (req, res) => {
+  const existing = await getEntry(req.params.id);
+  await CanonicalIngredientModel.delete(existing.id);
+
+  res.json({
+    success: true,
+    message: `${existing.name} removed from the catalog`
+  });
+});
+
+/**
+ * Add an alias, such as an unmatched name from a recipe
+ * POST /api/admin/ingredients/:id/aliases
+ * Body: { name }
+ */
+exports.addAlias = asyncHandler(async (req, res) => {
+  const existing = await getEntry(req.params.id);
+
+  const errors = [];
+  const name = parseName(req.body.name, 'name', errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  await checkAliasFree(name, existing.id);
+  const ingredient = await CanonicalIngredientModel.addAlias(existing.id, name);
+
+  res.status(201).json({
+    success: true,
+    ingredient
+  });
+});
+
+/**
+ * Remove an alias
+ * DELETE /api/admin/ingredients/:id/aliases/:aliasId
+ */
+exports.removeAlias = asyncHandler(async (req, res) => {
+  const existing = await getEntry(req.params.id);
+
+  if (!(await CanonicalIngredientModel.removeAlias(existing.id, req.params.aliasId))) {
+    throw new ApiError(404, 'Alias not found');
+  }
+
+  res.json({
+    success: true,
+    ingredient: await CanonicalIngredientModel.getById(existing.id)
+  });
+});
+
+/**
+ * Merge an entry into another, which takes over its aliases and recipes
+ * POST /api/admin/ingredients/:id/merge
+ * Body: { intoId }
+ */
+exports.mergeIngredient = asyncHandler(async (req, res) => {
+  const existing = await getEntry(req.params.id);
+
+  const intoId = Number(req.body.intoId);
+  if (!Number.isInteger(intoId) || intoId <= 0) {
+    throw new ApiError(400, 'intoId is required');
+  }
+  if (intoId === existing.id) {
+    throw new ApiError(400, 'An ingredient cannot be merged into itself');
+  }
+  const target = await CanonicalIngredientModel.getById(intoId);
+  if (!target) {
+    throw new ApiError(404, 'Ingredient to merge into not found');
+  }
+
+  const ingredient = await CanonicalIngredientModel.merge(existing.id, target.id);
+
+  res.json({
+    success: true,
+    message: `${existing.name} merged into ${target.name}`,
+    ingredient
+  });
+});
+
+/**
+ * Queue the backfill job: split preparation notes out of existing ingredient rows and link
+ * recipe ingredients to the catalog
+ * POST /api/admin/ingredients/backfill
+ */
+exports.startBackfill = asyncHandler(async (req, res) => {
+  const job = await IngredientBackfill.queue(req.user.id);
+  if (!job) {
+    throw new ApiError(409, 'A backfill is already running');
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Backfill queued',
+    job
+  });
+});
@@ -0,0 +1,70 @@
+const JobModel = require('../models/jobModel');
+const JobWorker = require('../services/jobWorker');
+const { JOB_STATUSES } = require('../models/jobModel');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List recent jobs
+ * GET /api/admin/jobs?status=failed&limit=50
+ */
+exports.getJobs = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new ApiError(400, `status must be one of: ${JOB_STATUSES.join(', ')}`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const jobs = await JobModel.getAll({ status: status || null, limit });
+
+  res.json({
+    success: true,
+    data: jobs
+  });
+});
+
+/**
+ * Get a job's status, progress and result
+ * GET /api/admin/jobs/:id
+ */
+exports.getJob = asyncHandler(async (req, res) => {
+  const job = await JobModel.findById(req.params.id);
+
+  if (!job) {
+    throw new ApiError(404, 'Job not found');
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * Run a failed job again, or re-parse the recipes a finished PDF import couldn't read,
+ * using the files already uploaded
+ * POST /api/admin/jobs/:id/retry
+ */
+exports.retryJob = asyncHandler(async (req, res) => {
+  const job = await JobModel.findById(req.params.id);
+
+  if (!job) {
+    throw new ApiError(404, 'Job not found');
+  }
+
+  if (!JobModel.canRetry(job)) {
+    throw new ApiError(409, job.status === 'completed'
+      ? 'This job finished without errors; there is nothing to retry'
+      : 'This job is already queued or running');
+  }
+
+  if (!(await JobModel.retry(job.id))) {
+    throw new ApiError(409, 'This job is already queued or running');
+  }
+  JobWorker.wake();
+
+  res.json({
+    success: true,
+    message: 'Job queued to run again',
+    data: await JobModel.findById(job.id)
+  });
+});
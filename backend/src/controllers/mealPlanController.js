@@ -0,0 +1,228 @@
+const MealPlanModel = require('../models/mealPlanModel');
+const RecipeModel = require('../models/recipeModel');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+const {
+  MEALS, MAX_RANGE_DAYS, isValidDate, addDays, daysBetween, startOfWeek, dailyTotals, buildCalendar
+} = require('../utils/mealPlan');
+
+// Matches the recipe page's serving stepper
+const MAX_SERVINGS = 100;
+// What the calendar feed covers, around today
+const FEED_DAYS_BEFORE = 28;
+const FEED_DAYS_AFTER = 90;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Validate and normalize the date, meal and servings of an entry
+ * Fields left undefined are skipped, so updates can send only what changed.
+ * @param {Object} body - { date, meal, servings }
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} - { date, meal, servings }
+ */
+const parseEntryFields = ({ date, meal, servings }, errors) => {
+  const fields = {};
+
+  if (date !== undefined) {
+    if (!isValidDate(date)) {
+      errors.push('date must be a date in YYYY-MM-DD format');
+    } else {
+      fields.date = date;
+    }
+  }
+
+  if (meal !== undefined) {
+    if (!MEALS.includes(meal)) {
+      errors.push(`meal must be one of: ${MEALS.join(', ')}`);
+    } else {
+      fields.meal = meal;
+    }
+  }
+
+  if (servings !== undefined) {
+    if (servings === null || servings === '') {
+      fields.servings = null;
+    } else {
+      const value = Number(servings);
+      if (!Number.isInteger(value) || value < 1 || value > MAX_SERVINGS) {
+        errors.push(`servings must be a whole number from 1 to ${MAX_SERVINGS}`);
+      } else {
+        fields.servings = value;
+      }
+    }
+  }
+
+  return fields;
+};
+
+// Where a feed token's calendar is served, relative to the API's host
+const feedPath = (token) => `/api/meal-plan/feed/${token}.ics`;
+
+/**
+ * Get the current user's plan for a date range, with daily calorie totals
+ * GET /api/meal-plan?start=2024-03-04&end=2024-03-10 (defaults to this week)
+ */
+exports.getMealPlan = asyncHandler(async (req, res) => {
+  const start = req.query.start || startOfWeek(today());
+  const end = req.query.end || addDays(start, 6);
+
+  if (!isValidDate(start) || !isValidDate(end)) {
+    throw new ApiError(400, 'start and end must be dates in YYYY-MM-DD format');
+  }
+  const days = daysBetween(start, end);
+  if (days < 0) {
+    throw new ApiError(400, 'end must not be before start');
+  }
+  if (days >= MAX_RANGE_DAYS) {
+    throw new ApiError(400, `The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const entries = await MealPlanModel.getRange(req.user.id, start, end);
+
+  res.json({
+    success: true,
+    start,
+    end,
+    entries,
+    days: dailyTotals(entries, start, end)
+  });
+});
+
+/**
+ * Plan a recipe for a meal
+ * POST /api/meal-plan
+ */
+exports.addEntry = asyncHandler(async (req, res) => {
+  const { recipeId, ...body } = req.body || {};
+  const errors = [];
+  const fields = parseEntryFields(body, errors);
+  if (body.date === undefined) errors.push('date is required');
+  if (body.meal === undefined) errors.push('meal is required');
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const recipe = recipeId ? await RecipeModel.getById(recipeId) : null;
+  if (!recipe) {
+    throw new ApiError(404, 'Recipe not found');
+  }
+
+  const entry = await MealPlanModel.create(req.user.id, { ...fields, recipeId: recipe.id });
+  res.status(201).json({
+    success: true,
+    entry
+  });
+});
+
+/**
+ * Move a planned entry to another day or meal, or change its servings (null for the recipe's own)
+ * PUT /api/meal-plan/:id
+ */
+exports.updateEntry = asyncHandler(async (req, res) => {
+  const errors = [];
+  const fields = parseEntryFields(req.body || {}, errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const entry = await MealPlanModel.update(req.user.id, req.params.id, fields);
+  if (!entry) {
+    throw new ApiError(404, 'Meal plan entry not found');
+  }
+
+  res.json({
+    success: true,
+    entry
+  });
+});
+
+/**
+ * Take an entry off the plan
+ * DELETE /api/meal-plan/:id
+ */
+exports.deleteEntry = asyncHandler(async (req, res) => {
+  const deleted = await MealPlanModel.delete(req.user.id, req.params.id);
+  if (!deleted) {
+    throw new ApiError(404, 'Meal plan entry not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Removed from meal plan'
+  });
+});
+
+/**
+ * Copy the previous week's plan into the week starting weekStart
+ * POST /api/meal-plan/copy-week
+ */
+exports.copyWeek = asyncHandler(async (req, res) => {
+  const { weekStart } = req.body || {};
+  if (!isValidDate(weekStart)) {
+    throw new ApiError(400, 'weekStart must be a date in YYYY-MM-DD format');
+  }
+
+  const copied = await MealPlanModel.copyWeek(req.user.id, addDays(weekStart, -7), weekStart);
+  const end = addDays(weekStart, 6);
+  const entries = await MealPlanModel.getRange(req.user.id, weekStart, end);
+
+  res.json({
+    success: true,
+    message: copied > 0
+      ? `Copied ${copied} meal${copied !== 1 ? 's' : ''} from last week`
+      : 'Nothing new to copy from last week',
+    copied,
+    entries,
+    days: dailyTotals(entries, weekStart, end)
+  });
+});
+
+/**
+ * Get the link to the current user's calendar feed
+ * GET /api/meal-plan/feed
+ */
+exports.getFeed = asyncHandler(async (req, res) => {
+  const token = await MealPlanModel.getFeedToken(req.user.id);
+  res.json({
+    success: true,
+    feedPath: feedPath(token)
+  });
+});
+
+/**
+ * Replace the calendar feed link (the old one stops working)
+ * POST /api/meal-plan/feed/reset
+ */
+exports.resetFeed = asyncHandler(async (req, res) => {
+  const token = await MealPlanModel.resetFeedToken(req.user.id);
+  res.json({
+    success: true,
+    message: 'Calendar link replaced',
+    feedPath: feedPath(token)
+  });
+});
+
+/**
+ * The plan as an iCalendar feed, for calendar apps to subscribe to. The token in the link
+ * stands in for logging in.
+ * GET /api/meal-plan/feed/:token.ics
+ */
+exports.getCalendar = asyncHandler(async (req, res) => {
+  const userId = await MealPlanModel.getUserIdByFeedToken(req.params.token);
+  if (!userId) {
+    throw new ApiError(404, 'Calendar not found');
+  }
+
+  const now = today();
+  const entries = await MealPlanModel.getRange(
+    userId, addDays(now, -FEED_DAYS_BEFORE), addDays(now, FEED_DAYS_AFTER)
+  );
+  const frontendUrl = process.env.FRONTEND_URL?.replace(/\/+$/, '');
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="meal-plan.ics"');
+  res.send(buildCalendar(entries, {
+    name: "Mom's Recipes Meal Plan",
+    recipeUrl: frontendUrl ? (recipeId) => `${frontendUrl}/recipe/${recipeId}` : null
+  }));
+});
@@ -1,94 +1,144 @@
-const path = require('path');
 const FileModel = require('../models/fileModel');
 const PendingRecipeModel = require('../models/pendingRecipeModel');
-const PDFParser = require('../services/pdfParser');
-const AIService = require('../services/aiService');
+const RecipeModel = require('../models/recipeModel');
+const RecipeImageModel = require('../models/recipeImageModel');
+const PersonModel = require('../models/personModel');
+const JobModel = require('../models/jobModel');
+const JobWorker = require('../services/jobWorker');
 const UrlScraper = require('../services/urlScraper');
+const DuplicateService = require('../services/duplicateService');
 const { ApiError, asyncHandler } = require('../middleware/errorHandler');
-const { UPLOAD_DIRS } = require('../middleware/upload');
+const { parseDurationToMinutes } = require('../utils/duration');
+const { parseServings } = require('../utils/quantity');
+const { normalizeIngredientUnits } = require('../utils/units');
+const { splitIngredientLines, normalizeIngredientSections } = require('../utils/ingredientSections');
+const { splitInstructions } = require('../utils/steps');
+const { normalizeAttributions } = require('../utils/people');
 
 /**
- * Upload PDF and parse recipe
- * POST /api/admin/upload-pdf
+ * Queue an import for the job worker (see services/importService.js for the work itself)
+ * @param {Object} req
+ * @param {string} type
+ * @param {Object} payload
+ * @returns {Promise<Object>} - The queued job
  */
-exports.uploadAndParse = asyncHandler(async (req, res) => {
-  if (!req.file) {
-    throw new ApiError(400, 'No PDF file uploaded');
+const queueImport = async (req, type, payload) => {
+  const job = await JobModel.create({ type, payload, createdBy: req.user.id });
+  JobWorker.wake();
+  return job;
+};
+
+/**
+ * Turn a pending recipe's attributions into people, adding anyone not already in the family list
+ * @param {Object} pendingRecipe
+ * @returns {Promise<Array>} - [{ personId, role }] for RecipeModel
+ */
+const resolveAttributions = async (pendingRecipe) => {
+  const people = [];
+  for (const { name, relation, role } of normalizeAttributions(pendingRecipe.attributions)) {
+    people.push({ personId: await PersonModel.findOrCreate({ name, relation }), role });
   }
+  return people;
+};
 
-  const file = req.file;
-  const userId = req.user.id;
+/**
+ * The uploads a pending recipe was read from, to keep with the recipe as its originals:
+ * every photo of a card, or the PDF with the pages the recipe is on. URL imports have none.
+ * @param {Object} pendingRecipe
+ * @returns {Array} - [{ fileId, pageStart, pageEnd }] for RecipeModel
+ */
+const pendingOriginals = (pendingRecipe) => {
+  if (Array.isArray(pendingRecipe.original_file_ids) && pendingRecipe.original_file_ids.length > 0) {
+    return pendingRecipe.original_file_ids.map(fileId => ({ fileId }));
+  }
+  if (pendingRecipe.mime_type === 'application/pdf') {
+    return [{ fileId: pendingRecipe.file_id, pageStart: pendingRecipe.page_start, pageEnd: pendingRecipe.page_end }];
+  }
+  if (pendingRecipe.mime_type?.startsWith('image/')) {
+    return [{ fileId: pendingRecipe.file_id }];
+  }
+  return [];
+};
+
+/**
+ * Move a pending recipe's extracted image to a recipe's gallery
+ * If the image can't be saved its file is removed, so it isn't left orphaned.
+ * @param {Object} pendingRecipe
+ * @param {number} recipeId
+ * @param {Object} options - { isHero, userId }
+ * @returns {Promise<boolean>} - Whether an image was added
+ */
+const attachPendingImage = async (pendingRecipe, recipeId, { isHero, userId }) => {
+  if (!pendingRecipe.image_filename || !pendingRecipe.image_file_path) {
+    return false;
+  }
 
   try {
-    // 1. Save file record to database
-    const fileId = await FileModel.create({
-      filename: file.filename,
-      originalName: file.originalname,
-      filePath: file.path,
-      fileSize: file.size,
-      mimeType: file.mimetype,
+    await RecipeImageModel.create({
+      recipeId: recipeId,
+      filename: pendingRecipe.image_filename,
+      originalName: pendingRecipe.image_original_name || 'recipe-image.jpg',
+      filePath: pendingRecipe.image_file_path,
+      fileSize: pendingRecipe.image_file_size || 0,
+      mimeType: pendingRecipe.image_mime_type || 'image/jpeg',
+      isHero,
       uploadedBy: userId
     });
-
-    // 2. Extract text from PDF
-    let rawText;
+    console.log(`Added ${isHero ? 'hero' : 'gallery'} image for recipe ${recipeId}: ${pendingRecipe.image_filename}`);
+    return true;
+  } catch (imageError) {
+    // Image insert failed - clean up the orphaned file
+    console.error('Failed to create recipe image:', imageError.message);
     try {
-      rawText = await PDFParser.extractAndClean(file.path);
-    } catch (pdfError) {
-      throw new ApiError(400,
-        'Failed to read PDF file. This may be a corrupted PDF or an unsupported format. ' +
-        'Error: ' + pdfError.message
-      );
+      const fs = require('fs').promises;
+      await fs.unlink(pendingRecipe.image_file_path);
+      console.log(`Cleaned up orphaned image file: ${pendingRecipe.image_file_path}`);
+    } catch (cleanupError) {
+      console.warn(`Failed to clean up orphaned image: ${cleanupError.message}`);
     }
+    return false;
+  }
+};
 
-    // Check if we got meaningful text
-    if (!rawText || rawText.trim().length < 10) {
-      throw new ApiError(400,
-        'Could not extract text from this PDF. This appears to be an image-based or scanned PDF. ' +
-        'OCR (Optical Character Recognition) support is coming in a future update. ' +
-        'For now, please use text-based PDFs or manually enter the recipe.'
-      );
-    }
+/**
+ * Upload a PDF and queue it for parsing (one pending recipe per recipe found)
+ * POST /api/admin/upload-pdf
+ */
+exports.uploadAndParse = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, 'No PDF file uploaded');
+  }
 
-    // Warn if text seems too short (might be low quality extraction)
-    if (rawText.trim().length < 50) {
-      console.warn(`Warning: PDF text extraction yielded very short text (${rawText.length} chars) for file: ${file.originalname}`);
-    }
+  const file = req.file;
+  const contentHash = await DuplicateService.hashFile(file.path);
+
+  // Keep the file record so the import can be retried without uploading again
+  const fileId = await FileModel.create({
+    filename: file.filename,
+    originalName: file.originalname,
+    filePath: file.path,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    uploadedBy: req.user.id,
+    contentHash
+  });
 
-    // 3. Parse recipe with AI
-    const parsedRecipe = await AIService.parseRecipe(rawText);
+  const job = await queueImport(req, 'pdf_import', { fileId, fileName: file.originalname });
 
-    // 4. Save as pending recipe
-    const pendingRecipeId = await PendingRecipeModel.create({
-      fileId,
-      title: parsedRecipe.title,
-      source: parsedRecipe.source,
-      category: parsedRecipe.category,
-      description: parsedRecipe.description,
-      instructions: parsedRecipe.instructions,
-      rawText,
-      parsedData: parsedRecipe,
-      ingredients: parsedRecipe.ingredients,
-      tags: parsedRecipe.tags
-    });
+  // Still imported, but the admin is told what the same PDF produced last time
+  const alreadyImported = await DuplicateService.findPreviousImports({ fileHash: contentHash, excludeFileId: fileId });
 
-    // 5. Mark file as processed
-    await FileModel.markAsProcessed(fileId);
-
-    res.json({
-      success: true,
-      message: 'PDF parsed successfully',
-      data: {
-        fileId,
-        pendingRecipeId,
-        fileName: file.originalname,
-        recipe: await PendingRecipeModel.findById(pendingRecipeId)
-      }
-    });
-  } catch (error) {
-    // If parsing fails, we still keep the file record but don't mark as processed
-    throw new ApiError(500, `PDF processing failed: ${error.message}`);
-  }
+  res.status(202).json({
+    success: true,
+    message: 'PDF uploaded and queued for parsing',
+    data: {
+      jobId: job.id,
+      fileId,
+      fileName: file.originalname,
+      alreadyImported,
+      job
+    }
+  });
 });
 
 /**
@@ -105,7 +155,7 @@ exports.getPendingRecipes = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get single pending recipe
+ * Get single pending recipe, with any existing recipes it probably duplicates
  * GET /api/admin/pending-recipes/:id
  */
 exports.getPendingRecipe = asyncHandler(async (req, res) => {
@@ -117,9 +167,16 @@ exports.getPendingRecipe = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Pending recipe not found');
   }
 
+  const duplicates = await DuplicateService.findDuplicates({
+    title: recipe.title,
+    ingredients: recipe.ingredients.map(ing => ing.name),
+    sourceUrl: recipe.source_url || recipe.source,
+    fileHash: recipe.content_hash
+  });
+
   res.json({
     success: true,
-    data: recipe
+    data: { ...recipe, duplicates }
   });
 });
 
@@ -129,7 +186,7 @@ exports.getPendingRecipe = asyncHandler(async (req, res) => {
  */
 exports.updatePendingRecipe = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { title, source, category, description, instructions, ingredients, tags } = req.body;
+  const { title, source, category, description, story, tags } = req.body;
 
   // Validate
   if (!title || !title.trim()) {
@@ -142,14 +199,35 @@ exports.updatePendingRecipe = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Pending recipe not found');
   }
 
+  // The review form edits ingredients/instructions as plain text
+  // (one ingredient per line, with "For the crust:" style lines starting a group)
+  const instructions = req.body.instructions ?? req.body.instructions_text;
+  let ingredients = req.body.ingredients;
+  if (ingredients === undefined && typeof req.body.ingredients_text === 'string') {
+    ingredients = splitIngredientLines(req.body.ingredients_text)
+      .map(({ section, line }) => ({ ...UrlScraper.parseIngredientString(line), section }));
+  }
+
+  // Times are optional; omitted fields keep their current value
+  const time = (field, column) => {
+    if (req.body[field] === undefined) return existing[column];
+    return parseDurationToMinutes(req.body[field]);
+  };
+
   // Update
   await PendingRecipeModel.update(id, {
     title,
-    source,
-    category,
-    description,
-    instructions,
-    ingredients,
+    source: source !== undefined ? source : existing.source,
+    category: category !== undefined ? category : existing.category,
+    description: description !== undefined ? description : existing.description,
+    story: story !== undefined ? story : existing.story,
+    attributions: req.body.attributions !== undefined ? normalizeAttributions(req.body.attributions) : undefined,
+    instructions: instructions !== undefined ? instructions : existing.instructions,
+    servings: req.body.servings !== undefined ? parseServings(req.body.servings) : existing.servings,
+    prepTimeMinutes: time('prepTimeMinutes', 'prep_time_minutes'),
+    cookTimeMinutes: time('cookTimeMinutes', 'cook_time_minutes'),
+    totalTimeMinutes: time('totalTimeMinutes', 'total_time_minutes'),
+    ingredients: normalizeIngredientSections(normalizeIngredientUnits(ingredients)),
     tags
   });
 
@@ -185,112 +263,74 @@ exports.deletePendingRecipe = asyncHandler(async (req, res) => {
 });
 
 /**
- * Import recipe from URL
+ * Queue a recipe import from a URL
  * POST /api/admin/import-url
  */
 exports.importFromUrl = asyncHandler(async (req, res) => {
   const { url } = req.body;
-  const userId = req.user.id;
 
   if (!url || !url.trim()) {
     throw new ApiError(400, 'URL is required');
   }
 
-  let downloadedImage = null;
-
-  try {
-    // 1. Scrape the URL
-    const scraped = await UrlScraper.scrape(url.trim());
-
-    let parsedRecipe;
-    let rawText;
-
-    if (scraped.type === 'structured') {
-      // Structured data (JSON-LD) was found - use it directly
-      parsedRecipe = scraped.data;
-      rawText = JSON.stringify(scraped.data, null, 2);
-    } else {
-      // Unstructured - need AI to parse it
-      rawText = `URL: ${scraped.source}\nTitle: ${scraped.data.title}\n\n${scraped.data.content}`;
-      parsedRecipe = await AIService.parseRecipeFromWebPage(scraped.data, scraped.source);
-    }
+  const job = await queueImport(req, 'url_import', { url: url.trim() });
+  const alreadyImported = await DuplicateService.findPreviousImports({ sourceUrl: url.trim() });
 
-    // Ensure source URL is preserved
-    if (!parsedRecipe.source) {
-      parsedRecipe.source = scraped.hostname;
+  res.status(202).json({
+    success: true,
+    message: 'URL queued for import',
+    data: {
+      jobId: job.id,
+      sourceUrl: url.trim(),
+      alreadyImported,
+      job
     }
+  });
+});
 
-    // 2. Try to download the recipe image if available
-    if (parsedRecipe.image) {
-      console.log(`Attempting to download image from: ${parsedRecipe.image}`);
-      downloadedImage = await UrlScraper.downloadImage(parsedRecipe.image, UPLOAD_DIRS.images);
-      if (downloadedImage) {
-        console.log(`Successfully downloaded image: ${downloadedImage.filename}`);
-      } else {
-        console.log('Image download failed or was skipped');
-      }
-    }
+/**
+ * Queue a recipe import from photos of a recipe card or cookbook page (one photo per page)
+ * POST /api/admin/import-image
+ */
+exports.importFromImage = asyncHandler(async (req, res) => {
+  const photos = req.files || [];
+  if (photos.length === 0) {
+    throw new ApiError(400, 'No photos uploaded');
+  }
 
-    // 3. Create a file record for tracking (using URL as reference)
-    const fileId = await FileModel.create({
-      filename: `url-import-${Date.now()}.txt`,
-      originalName: url,
-      filePath: url, // Store URL as file path for reference
-      fileSize: rawText.length,
-      mimeType: 'text/x-url',
-      uploadedBy: userId
-    });
+  // Save a file record per photo so every original is kept
+  const fileIds = [];
+  const hashes = [];
+  for (const photo of photos) {
+    const contentHash = await DuplicateService.hashFile(photo.path);
+    hashes.push(contentHash);
+    fileIds.push(await FileModel.create({
+      filename: photo.filename,
+      originalName: photo.originalname,
+      filePath: photo.path,
+      fileSize: photo.size,
+      mimeType: photo.mimetype,
+      uploadedBy: req.user.id,
+      contentHash
+    }));
+  }
 
-    // 4. Save as pending recipe (include image data if downloaded)
-    const pendingRecipeId = await PendingRecipeModel.create({
-      fileId,
-      title: parsedRecipe.title,
-      source: parsedRecipe.source,
-      category: parsedRecipe.category,
-      description: parsedRecipe.description,
-      instructions: parsedRecipe.instructions,
-      rawText,
-      parsedData: parsedRecipe,
-      ingredients: parsedRecipe.ingredients || [],
-      tags: parsedRecipe.tags || [],
-      // Image data for pending recipe
-      imageData: downloadedImage
-    });
+  const job = await queueImport(req, 'image_import', { fileIds, fileName: photos[0].originalname });
 
-    // 5. Mark file as processed
-    await FileModel.markAsProcessed(fileId);
-
-    res.json({
-      success: true,
-      message: 'Recipe imported successfully from URL',
-      data: {
-        fileId,
-        pendingRecipeId,
-        sourceUrl: url,
-        extractionType: scraped.type,
-        hasImage: !!downloadedImage,
-        recipe: await PendingRecipeModel.findById(pendingRecipeId)
-      }
-    });
-  } catch (error) {
-    // Clean up downloaded image if import failed after download
-    if (downloadedImage && downloadedImage.filePath) {
-      try {
-        const fs = require('fs').promises;
-        await fs.unlink(downloadedImage.filePath);
-        console.log(`Cleaned up image after failed import: ${downloadedImage.filePath}`);
-      } catch (cleanupError) {
-        console.warn(`Failed to clean up image after failed import: ${cleanupError.message}`);
-      }
-    }
+  // The recipe is linked to its first photo, so that is the one compared
+  const alreadyImported = await DuplicateService.findPreviousImports({ fileHash: hashes[0], excludeFileId: fileIds[0] });
 
-    // Re-throw API errors as-is
-    if (error instanceof ApiError) {
-      throw error;
+  res.status(202).json({
+    success: true,
+    message: 'Photos uploaded and queued for import',
+    data: {
+      jobId: job.id,
+      fileId: fileIds[0],
+      photosCount: photos.length,
+      alreadyImported,
+      job
     }
-    // Wrap other errors
-    throw new ApiError(400, error.message);
-  }
+  });
 });
 
 /**
@@ -307,50 +347,32 @@ exports.approvePendingRecipe = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Pending recipe not found');
   }
 
-  // Import models
-  const RecipeModel = require('../models/recipeModel');
-  const RecipeImageModel = require('../models/recipeImageModel');
-
   // Create actual recipe (returns full recipe object, not just ID)
+  const people = await resolveAttributions(pendingRecipe);
   const recipe = await RecipeModel.create({
     title: pendingRecipe.title,
     source: pendingRecipe.source,
+    sourceUrl: pendingRecipe.source_url,
+    sourceFileId: pendingRecipe.file_id,
     instructions: pendingRecipe.instructions,
+    steps: splitInstructions(pendingRecipe.instructions),
+    servings: pendingRecipe.servings,
+    prepTimeMinutes: pendingRecipe.prep_time_minutes,
+    cookTimeMinutes: pendingRecipe.cook_time_minutes,
+    totalTimeMinutes: pendingRecipe.total_time_minutes,
     ingredients: pendingRecipe.ingredients,
     tags: pendingRecipe.tags,
+    story: pendingRecipe.story,
+    people,
+    originals: pendingOriginals(pendingRecipe),
+    addedBy: userId,
     imagePath: null
   });
 
   const recipeId = recipe.id;
 
-  // If there's an extracted image, create a RecipeImageModel entry
-  let imageCreated = false;
-  if (pendingRecipe.image_filename && pendingRecipe.image_file_path) {
-    try {
-      await RecipeImageModel.create({
-        recipeId: recipeId,
-        filename: pendingRecipe.image_filename,
-        originalName: pendingRecipe.image_original_name || 'recipe-image.jpg',
-        filePath: pendingRecipe.image_file_path,
-        fileSize: pendingRecipe.image_file_size || 0,
-        mimeType: pendingRecipe.image_mime_type || 'image/jpeg',
-        isHero: true, // Set as hero image
-        uploadedBy: userId
-      });
-      imageCreated = true;
-      console.log(`Created hero image for recipe ${recipeId}: ${pendingRecipe.image_filename}`);
-    } catch (imageError) {
-      // Image insert failed - clean up the orphaned file
-      console.error('Failed to create recipe image:', imageError.message);
-      try {
-        const fs = require('fs').promises;
-        await fs.unlink(pendingRecipe.image_file_path);
-        console.log(`Cleaned up orphaned image file: ${pendingRecipe.image_file_path}`);
-      } catch (cleanupError) {
-        console.warn(`Failed to clean up orphaned image: ${cleanupError.message}`);
-      }
-    }
-  }
+  // If there's an extracted image, it becomes the recipe's hero image
+  const imageCreated = await attachPendingImage(pendingRecipe, recipeId, { isHero: true, userId });
 
   // Delete pending recipe (image file is now associated with the approved recipe, or was cleaned up)
   await PendingRecipeModel.delete(id);
@@ -364,3 +386,60 @@ exports.approvePendingRecipe = asyncHandler(async (req, res) => {
     }
   });
 });
+
+/**
+ * Merge a pending recipe into an existing recipe instead of approving it as a new one
+ * Only fills in what the existing recipe is missing; its image is added to the gallery.
+ * POST /api/admin/pending-recipes/:id/merge
+ */
+exports.mergePendingRecipe = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { recipeId } = req.body;
+  const userId = req.user.id;
+
+  if (!recipeId) {
+    throw new ApiError(400, 'Choose the recipe to merge into');
+  }
+
+  const pendingRecipe = await PendingRecipeModel.findById(id);
+  if (!pendingRecipe) {
+    throw new ApiError(404, 'Pending recipe not found');
+  }
+
+  const merged = await RecipeModel.fillMissing(recipeId, {
+    source: pendingRecipe.source,
+    sourceUrl: pendingRecipe.source_url,
+    sourceFileId: pendingRecipe.file_id,
+    instructions: pendingRecipe.instructions,
+    steps: splitInstructions(pendingRecipe.instructions),
+    servings: pendingRecipe.servings,
+    prepTimeMinutes: pendingRecipe.prep_time_minutes,
+    cookTimeMinutes: pendingRecipe.cook_time_minutes,
+    totalTimeMinutes: pendingRecipe.total_time_minutes,
+    ingredients: pendingRecipe.ingredients,
+    tags: pendingRecipe.tags,
+    story: pendingRecipe.story,
+    people: await resolveAttributions(pendingRecipe),
+    originals: pendingOriginals(pendingRecipe)
+  }, req.user.id);
+  if (!merged) {
+    throw new ApiError(404, 'Recipe not found');
+  }
+
+  // The existing recipe keeps its hero image unless it has none
+  const imageCount = await RecipeImageModel.getCountByRecipeId(recipeId);
+  const imageAdded = await attachPendingImage(pendingRecipe, recipeId, { isHero: imageCount === 0, userId });
+
+  await PendingRecipeModel.delete(id);
+
+  res.json({
+    success: true,
+    message: 'Pending recipe merged into existing recipe',
+    data: {
+      recipeId: Number(recipeId),
+      filled: merged.filled,
+      tagsAdded: merged.tagsAdded,
+      imageAdded
+    }
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const PersonModel = require('../models/personModel');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { MAX_NAME_LENGTH, MAX_RELATION_LENGTH } = require('../utils/people');
+
+/**
+ * Read a year sent as a form field ("" or null clears it)
+ * @param {*} value
+ * @returns {number|null|undefined} - undefined when not sent; NaN when not a year
+ */
+const parseYear = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const year = Number(value);
+  return Number.isInteger(year) && year > 0 && year <= 9999 ? year : NaN;
+};
+
+/**
+ * Validate and clean up person fields from a multipart form
+ * @param {Object} body - req.body
+ * @param {Object|null} existing - Current person when updating
+ * @returns {Object} - { changes, errors }
+ */
+const parsePersonInput = (body, existing = null) => {
+  const errors = [];
+  const changes = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      errors.push('Name is required');
+    } else if (name.length > MAX_NAME_LENGTH) {
+      errors.push(`Name must be less than ${MAX_NAME_LENGTH} characters`);
+    }
+    changes.name = name;
+  }
+
+  if (body.relation !== undefined) {
+    const relation = typeof body.relation === 'string' ? body.relation.trim() : '';
+    if (relation.length > MAX_RELATION_LENGTH) {
+      errors.push(`Relation must be less than ${MAX_RELATION_LENGTH} characters`);
+    }
+    changes.relation = relation || null;
+  }
+
+  for (const field of ['birthYear', 'deathYear']) {
+    const year = parseYear(body[field]);
+    if (Number.isNaN(year)) {
+      errors.push(`${field} must be a year`);
+    } else if (year !== undefined) {
+      changes[field] = year;
+    }
+  }
+
+  const birthYear = changes.birthYear !== undefined ? changes.birthYear : existing?.birthYear;
+  const deathYear = changes.deathYear !== undefined ? changes.deathYear : existing?.deathYear;
+  if (birthYear && deathYear && deathYear < birthYear) {
+    errors.push('deathYear cannot be before birthYear');
+  }
+
+  return { changes, errors };
+};
+
+// Remove an uploaded photo that won't be kept (the request failed)
+const discardUpload = async (file) => {
+  if (file) {
+    await fs.unlink(file.path).catch(() => {});
+  }
+};
+
+class PeopleController {
+  /**
+   * List family members with their recipe counts
+   * GET /api/people
+   */
+  static getPeople = asyncHandler(async (req, res) => {
+    const people = await PersonModel.getAll();
+    res.json({ people });
+  });
+
+  /**
+   * Get a person and the recipes that came from them
+   * GET /api/people/:id
+   */
+  static getPerson = asyncHandler(async (req, res) => {
+    const person = await PersonModel.getById(req.params.id);
+    if (!person) {
+      throw new ApiError(404, 'Person not found');
+    }
+
+    const recipes = await PersonModel.getRecipes(person.id);
+    res.json({ person, recipes });
+  });
+
+  /**
+   * Add a family member (multipart: name, relation, birthYear, deathYear, optional photo)
+   * POST /api/people
+   */
+  static createPerson = asyncHandler(async (req, res) => {
+    const { changes, errors } = parsePersonInput(req.body);
+    if (errors.length > 0) {
+      await discardUpload(req.file);
+      throw new ApiError(400, 'Validation failed', errors);
+    }
+
+    const person = await PersonModel.create({
+      ...changes,
+      photoFilename: req.file ? req.file.filename : null
+    });
+
+    res.status(201).json({
+      message: 'Person added successfully',
+      person
+    });
+  });
+
+  /**
+   * Update a family member. A new photo replaces the old one; removePhoto=true clears it.
+   * PUT /api/people/:id
+   */
+  static updatePerson = asyncHandler(async (req, res) => {
+    const existing = await PersonModel.getById(req.params.id);
+    if (!existing) {
+      await discardUpload(req.file);
+      throw new ApiError(404, 'Person not found');
+    }
+
+    const { changes, errors } = parsePersonInput(req.body, existing);
+    if (errors.length > 0) {
+      await discardUpload(req.file);
+      throw new ApiError(400, 'Validation failed', errors);
+    }
+
+    if (req.file) {
+      changes.photoFilename = req.file.filename;
+    } else if (req.body.removePhoto === 'true' || req.body.removePhoto === true) {
+      changes.photoFilename = null;
+    }
+
+    const person = await PersonModel.update(existing.id, changes);
+    res.json({
+      message: 'Person updated successfully',
+      person
+    });
+  });
+
+  /**
+   * Delete a family member; their recipes are kept
+   * DELETE /api/people/:id
+   */
+  static deletePerson = asyncHandler(async (req, res) => {
+    const deleted = await PersonModel.delete(req.params.id);
+    if (!deleted) {
+      throw new ApiError(404, 'Person not found');
+    }
+
+    res.json({ message: 'Person deleted successfully' });
+  });
+}
+
+module.exports = PeopleController;
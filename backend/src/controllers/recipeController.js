@@ -1,5 +1,26 @@
 const RecipeModel = require('../models/recipeModel');
+const CookLogModel = require('../models/cookLogModel');
+const DuplicateService = require('../services/duplicateService');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { MAX_MINUTES } = require('../utils/duration');
+const { expandExclusions, listAllergens } = require('../utils/allergens');
+const { MAX_SERVINGS, scaleIngredient } = require('../utils/quantity');
+const { UNIT_SYSTEMS, normalizeUnit, convertIngredient } = require('../utils/units');
+const { MAX_SECTION_LENGTH, normalizeSection } = require('../utils/ingredientSections');
+const { MAX_STEP_LENGTH, MAX_TIMER_SECONDS, splitInstructions, formatSteps, normalizeSteps } = require('../utils/steps');
+const { canonicalUrl } = require('../utils/duplicates');
+const { diffSnapshots } = require('../utils/revisions');
+const RecipeRevisionModel = require('../models/recipeRevisionModel');
+const TrashPurger = require('../services/trashPurger');
+const PersonModel = require('../models/personModel');
+const { ATTRIBUTION_ROLES, MAX_ATTRIBUTIONS } = require('../utils/people');
+
+const TIME_FIELDS = ['prepTimeMinutes', 'cookTimeMinutes', 'totalTimeMinutes'];
+const MAX_INSTRUCTIONS_LENGTH = 50000;
+// Stories and cook's notes are light markdown (**bold**, *italic*, - lists)
+const MAX_STORY_LENGTH = 10000;
+// Fields a merge can take from the recipe being merged away (see RecipeModel.merge)
+const MERGE_FIELDS = ['title', 'source', 'servings', 'prepTimeMinutes', 'cookTimeMinutes', 'totalTimeMinutes', 'ingredients', 'instructions', 'story', 'notes'];
 
 // Helper to normalize and dedupe tags
 const normalizeTags = (tags) => {
@@ -14,15 +35,67 @@ const normalizeTags = (tags) => {
   return [...new Set(normalized)];
 };
 
-// Helper to normalize ingredients
+// Helper to normalize ingredients (units are stored in canonical form, e.g. "Tablespoons" -> "tbsp")
 const normalizeIngredients = (ingredients) => {
   if (!Array.isArray(ingredients)) return ingredients;
 
-  return ingredients.map(ingredient => ({
-    name: ingredient.name ? ingredient.name.trim() : ingredient.name,
-    quantity: ingredient.quantity ? ingredient.quantity.trim() : ingredient.quantity,
-    unit: ingredient.unit ? ingredient.unit.trim() : ingredient.unit
-  }));
+  return ingredients.map(ingredient => {
+    const quantity = ingredient.quantity ? ingredient.quantity.trim() : ingredient.quantity;
+    return {
+      name: ingredient.name ? ingredient.name.trim() : ingredient.name,
+      preparation: ingredient.preparation ? ingredient.preparation.trim() : null,
+      quantity,
+      unit: normalizeUnit(ingredient.unit, quantity),
+      section: normalizeSection(ingredient.section)
+    };
+  });
+};
+
+// Helper to resolve steps and the plain-text instructions kept alongside them
+// Steps win when both are sent; instructions alone (older clients) are split into steps
+const resolveInstructions = ({ instructions, steps }) => {
+  if (Array.isArray(steps)) {
+    const normalized = normalizeSteps(steps);
+    return { steps: normalized, instructions: normalized.length > 0 ? formatSteps(normalized) : null };
+  }
+
+  if (instructions !== undefined) {
+    const text = instructions ? instructions.trim() : null;
+    return { steps: splitInstructions(text), instructions: text || null };
+  }
+
+  return { steps: undefined, instructions: undefined };
+};
+
+// Helper to normalize the people a recipe came from, keeping the first listing of each person in each role
+const normalizePeople = (people) => {
+  if (!Array.isArray(people)) return people;
+
+  const seen = new Set();
+  return people
+    .map(person => ({ personId: person.personId, role: person.role || 'contributed' }))
+    .filter(person => {
+      const key = `${person.personId}|${person.role}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Helper to turn people with unknown IDs into validation errors
+const findUnknownPeople = async (people) => {
+  if (!Array.isArray(people) || people.length === 0) return [];
+
+  const existing = await PersonModel.findExistingIds([...new Set(people.map(person => person.personId))]);
+  return people
+    .filter(person => !existing.has(person.personId))
+    .map(person => `Person ${person.personId} not found`);
+};
+
+// Helper to split a comma-separated query param into trimmed, non-empty values
+const parseListParam = (value) => {
+  if (!value || typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
 };
 
 // Validation helper
@@ -57,8 +130,91 @@ const validateRecipeInput = (data, isUpdate = false) => {
   if (data.instructions !== undefined && data.instructions !== null) {
     if (typeof data.instructions !== 'string') {
       errors.push('Instructions must be a string');
-    } else if (data.instructions.length > 50000) {
-      errors.push('Instructions must be less than 50000 characters');
+    } else if (data.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      errors.push(`Instructions must be less than ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+  }
+
+  // Steps validation (optional, replaces instructions when sent)
+  if (data.steps !== undefined) {
+    if (!Array.isArray(data.steps)) {
+      errors.push('Steps must be an array');
+    } else {
+      if (data.steps.length > 100) {
+        errors.push('Maximum 100 steps allowed');
+      }
+
+      let totalLength = 0;
+      data.steps.forEach((step, index) => {
+        if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+          errors.push(`Step at index ${index} must be an object`);
+          return;
+        }
+
+        if (!step.text || typeof step.text !== 'string' || step.text.trim().length === 0) {
+          errors.push(`Step at index ${index} must have a non-empty 'text' string`);
+        } else if (step.text.length > MAX_STEP_LENGTH) {
+          errors.push(`Step text at index ${index} must be less than ${MAX_STEP_LENGTH} characters`);
+        } else {
+          totalLength += step.text.length;
+        }
+
+        if (step.section !== undefined && step.section !== null) {
+          if (typeof step.section !== 'string') {
+            errors.push(`Step section at index ${index} must be a string`);
+          } else if (step.section.length > MAX_SECTION_LENGTH) {
+            errors.push(`Step section at index ${index} must be less than ${MAX_SECTION_LENGTH} characters`);
+          }
+        }
+
+        // timerSeconds is optional (omit it to detect a timer from the text, null for none)
+        if (step.timerSeconds !== undefined && step.timerSeconds !== null) {
+          if (!Number.isInteger(step.timerSeconds) || step.timerSeconds < 1 || step.timerSeconds > MAX_TIMER_SECONDS) {
+            errors.push(`Step timerSeconds at index ${index} must be a whole number between 1 and ${MAX_TIMER_SECONDS}`);
+          }
+        }
+      });
+
+      if (totalLength > MAX_INSTRUCTIONS_LENGTH) {
+        errors.push(`Steps must be less than ${MAX_INSTRUCTIONS_LENGTH} characters in total`);
+      }
+    }
+  }
+
+  // Story and notes validation (optional: a family memory that goes with the recipe, and cook's notes)
+  for (const [field, label] of [['story', 'Story'], ['notes', 'Notes']]) {
+    if (data[field] !== undefined && data[field] !== null) {
+      if (typeof data[field] !== 'string') {
+        errors.push(`${label} must be a string`);
+      } else if (data[field].length > MAX_STORY_LENGTH) {
+        errors.push(`${label} must be less than ${MAX_STORY_LENGTH} characters`);
+      }
+    }
+  }
+
+  // People validation (optional, who the recipe came from)
+  if (data.people !== undefined) {
+    if (!Array.isArray(data.people)) {
+      errors.push('People must be an array');
+    } else {
+      if (data.people.length > MAX_ATTRIBUTIONS) {
+        errors.push(`Maximum ${MAX_ATTRIBUTIONS} people allowed`);
+      }
+
+      data.people.forEach((person, index) => {
+        if (typeof person !== 'object' || person === null || Array.isArray(person)) {
+          errors.push(`Person at index ${index} must be an object`);
+          return;
+        }
+
+        if (!Number.isInteger(person.personId) || person.personId < 1) {
+          errors.push(`Person at index ${index} must have a numeric 'personId'`);
+        }
+
+        if (person.role !== undefined && !ATTRIBUTION_ROLES.includes(person.role)) {
+          errors.push(`Person role at index ${index} must be one of: ${ATTRIBUTION_ROLES.join(', ')}`);
+        }
+      });
     }
   }
 
@@ -71,6 +227,23 @@ const validateRecipeInput = (data, isUpdate = false) => {
     }
   }
 
+  // Time validation (optional, whole minutes)
+  TIME_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value !== undefined && value !== null) {
+      if (!Number.isInteger(value) || value < 0 || value > MAX_MINUTES) {
+        errors.push(`${field} must be a whole number of minutes between 0 and ${MAX_MINUTES}`);
+      }
+    }
+  });
+
+  // Servings validation (optional, whole number)
+  if (data.servings !== undefined && data.servings !== null) {
+    if (!Number.isInteger(data.servings) || data.servings < 1 || data.servings > MAX_SERVINGS) {
+      errors.push(`Servings must be a whole number between 1 and ${MAX_SERVINGS}`);
+    }
+  }
+
   // Ingredients validation
   if (data.ingredients !== undefined) {
     if (!Array.isArray(data.ingredients)) {
@@ -111,6 +284,24 @@ const validateRecipeInput = (data, isUpdate = false) => {
             errors.push(`Ingredient unit at index ${index} must be less than 50 characters`);
           }
         }
+
+        // section (group heading like "For the crust") is optional but must be a string if provided
+        if (ingredient.section !== undefined && ingredient.section !== null) {
+          if (typeof ingredient.section !== 'string') {
+            errors.push(`Ingredient section at index ${index} must be a string`);
+          } else if (ingredient.section.length > MAX_SECTION_LENGTH) {
+            errors.push(`Ingredient section at index ${index} must be less than ${MAX_SECTION_LENGTH} characters`);
+          }
+        }
+
+        // preparation ("sifted", "finely chopped") is optional but must be a string if provided
+        if (ingredient.preparation !== undefined && ingredient.preparation !== null) {
+          if (typeof ingredient.preparation !== 'string') {
+            errors.push(`Ingredient preparation at index ${index} must be a string`);
+          } else if (ingredient.preparation.length > 200) {
+            errors.push(`Ingredient preparation at index ${index} must be less than 200 characters`);
+          }
+        }
       });
     }
   }
@@ -145,20 +336,34 @@ const validateRecipeInput = (data, isUpdate = false) => {
 class RecipeController {
   // Create a new recipe
   static createRecipe = asyncHandler(async (req, res) => {
-    const { title, source, instructions, imagePath, ingredients, tags } = req.body;
+    const { title, source, imagePath, ingredients, tags, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, story, notes, people } = req.body;
 
     const validationErrors = validateRecipeInput(req.body);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await findUnknownPeople(req.body.people));
+    }
     if (validationErrors.length > 0) {
       throw new ApiError(400, 'Validation failed', validationErrors);
     }
 
+    const { instructions, steps } = resolveInstructions({ instructions: req.body.instructions ?? null, steps: req.body.steps });
+
     const recipe = await RecipeModel.create({
       title: title.trim(),
       source: source ? source.trim() : null,
-      instructions: instructions ? instructions.trim() : null,
+      sourceUrl: canonicalUrl(source),
+      instructions,
+      steps,
       imagePath: imagePath ? imagePath.trim() : null,
+      servings: servings ?? null,
+      prepTimeMinutes: prepTimeMinutes ?? null,
+      cookTimeMinutes: cookTimeMinutes ?? null,
+      totalTimeMinutes: totalTimeMinutes ?? null,
       ingredients: normalizeIngredients(ingredients || []),
-      tags: normalizeTags(tags || [])
+      tags: normalizeTags(tags || []),
+      story: story ? story.trim() : null,
+      notes: notes ? notes.trim() : null,
+      people: normalizePeople(people || [])
     });
 
     res.status(201).json({
@@ -189,25 +394,72 @@ class RecipeController {
     });
   });
 
-  // Get recipe by ID
+  // Get recipe by ID, optionally scaled to a number of servings (?servings=N)
+  // and converted to a measurement system (?units=metric|imperial)
   static getRecipeById = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { units } = req.query;
+
+    if (units !== undefined && !UNIT_SYSTEMS.includes(units)) {
+      throw new ApiError(400, `units must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+    }
+
     const recipe = await RecipeModel.getById(id);
 
     if (!recipe) {
+      // Recipes merged into another one send old links on to it, keeping ?servings= etc.
+      const redirectId = await RecipeModel.getRedirect(id);
+      if (redirectId) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        return res.redirect(301, `/api/recipes/${redirectId}${queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)}`);
+      }
       throw new ApiError(404, 'Recipe not found');
     }
 
+    if (req.query.servings !== undefined) {
+      const servings = Number(req.query.servings);
+      if (!Number.isInteger(servings) || servings < 1 || servings > MAX_SERVINGS) {
+        throw new ApiError(400, `servings must be a whole number between 1 and ${MAX_SERVINGS}`);
+      }
+      if (!recipe.servings) {
+        throw new ApiError(400, 'This recipe has no serving size to scale from');
+      }
+
+      const scaleFactor = servings / recipe.servings;
+      recipe.originalServings = recipe.servings;
+      recipe.servings = servings;
+      recipe.scaleFactor = Math.round(scaleFactor * 1000) / 1000;
+      recipe.ingredients = recipe.ingredients.map(ingredient => scaleIngredient(ingredient, scaleFactor));
+    }
+
+    if (units) {
+      recipe.units = units;
+      recipe.ingredients = recipe.ingredients.map(ingredient => convertIngredient(ingredient, units));
+    }
+
     res.json({ recipe });
   });
 
   // Search recipes
   static searchRecipes = asyncHandler(async (req, res) => {
-    const { title, ingredient, ingredients, tags } = req.query;
+    const { q, title, ingredient, ingredients, tags } = req.query;
+
+    // Exclusions; allergen group names like "tree nuts" expand to their ingredients
+    const excludeIngredients = expandExclusions(parseListParam(req.query.excludeIngredients));
+    const excludeTags = parseListParam(req.query.excludeTags);
+    const hasExclusions = excludeIngredients.length > 0 || excludeTags.length > 0;
 
     // Check if at least one search parameter is provided
-    if (!title && !ingredient && !ingredients && !tags) {
-      throw new ApiError(400, 'Please provide at least one search parameter: title, ingredient, ingredients, or tags');
+    if (!q && !title && !ingredient && !ingredients && !tags && !hasExclusions) {
+      throw new ApiError(400, 'Please provide at least one search parameter: q, title, ingredient, ingredients, tags, excludeIngredients, or excludeTags');
+    }
+
+    if (excludeIngredients.length > 200 || excludeTags.length > 50) {
+      throw new ApiError(400, 'Too many exclusions');
+    }
+
+    if (q !== undefined && (typeof q !== 'string' || q.length > 200)) {
+      throw new ApiError(400, 'Search query must be a string of at most 200 characters');
     }
 
     // Build combined search filters
@@ -233,11 +485,29 @@ class RecipeController {
       filters.tags = tags.split(',').map(t => t.trim());
     }
 
+    if (excludeIngredients.length > 0) {
+      filters.excludeIngredients = excludeIngredients;
+    }
+
+    if (excludeTags.length > 0) {
+      filters.excludeTags = excludeTags;
+    }
+
+    // Free-text query: ranked full-text search, with any other params narrowing the results
+    if (q && q.trim()) {
+      const recipes = await RecipeModel.fullTextSearch(q, filters);
+      return res.json({
+        count: recipes.length,
+        query: q.trim(),
+        recipes
+      });
+    }
+
     // Use combined search if multiple filters, otherwise use specific methods for backward compatibility
     let recipes;
     const filterCount = Object.keys(filters).length;
 
-    if (filterCount > 1 || (filters.ingredients && filters.ingredients.length > 1) || filters.tags) {
+    if (filterCount > 1 || (filters.ingredients && filters.ingredients.length > 1) || filters.tags || hasExclusions) {
       recipes = await RecipeModel.combinedSearch(filters);
     } else if (filters.title) {
       recipes = await RecipeModel.searchByTitle(filters.title);
@@ -253,10 +523,70 @@ class RecipeController {
     });
   });
 
+  // Pantry search ("What can I make?")
+  static pantrySearch = asyncHandler(async (req, res) => {
+    const { have, maxMissing, includeStaples, limit } = req.query;
+
+    if (!have || typeof have !== 'string' || have.trim().length === 0) {
+      throw new ApiError(400, 'Please provide the ingredients you have as a comma-separated "have" list');
+    }
+
+    const pantry = [...new Set(
+      have.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+    )];
+
+    if (pantry.length > 50) {
+      throw new ApiError(400, 'Maximum 50 pantry ingredients allowed');
+    }
+
+    let missingAllowed = maxMissing !== undefined ? parseInt(maxMissing, 10) : 2;
+    if (isNaN(missingAllowed) || missingAllowed < 0) missingAllowed = 2;
+    missingAllowed = Math.min(missingAllowed, 20);
+
+    const recipes = await RecipeModel.pantrySearch(pantry, {
+      maxMissing: missingAllowed,
+      includeStaples: includeStaples === 'true',
+      limit: parseInt(limit, 10) || 50
+    });
+
+    res.json({
+      count: recipes.length,
+      pantry,
+      maxMissing: missingAllowed,
+      recipes
+    });
+  });
+
+  // Find existing recipes that a recipe about to be saved probably duplicates
+  // (the recipe form checks before creating, so the admin can open the existing one instead)
+  static findDuplicates = asyncHandler(async (req, res) => {
+    const { title, source, ingredients, excludeId } = req.body;
+
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      throw new ApiError(400, 'Title is required');
+    }
+    if (ingredients !== undefined && !Array.isArray(ingredients)) {
+      throw new ApiError(400, 'Ingredients must be an array');
+    }
+
+    const duplicates = await DuplicateService.findDuplicates({
+      title,
+      ingredients: (ingredients || [])
+        .map(ingredient => typeof ingredient === 'string' ? ingredient : ingredient?.name)
+        .filter(name => typeof name === 'string'),
+      sourceUrl: typeof source === 'string' ? source : null
+    }, { excludeRecipeId: excludeId ?? null });
+
+    res.json({
+      count: duplicates.length,
+      duplicates
+    });
+  });
+
   // Update recipe
   static updateRecipe = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { title, source, instructions, imagePath, ingredients, tags } = req.body;
+    const { title, source, imagePath, ingredients, tags, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, story, notes, people } = req.body;
 
     const existingRecipe = await RecipeModel.getById(id);
     if (!existingRecipe) {
@@ -265,18 +595,31 @@ class RecipeController {
 
     // Validate update data
     const validationErrors = validateRecipeInput(req.body, true);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await findUnknownPeople(people));
+    }
     if (validationErrors.length > 0) {
       throw new ApiError(400, 'Validation failed', validationErrors);
     }
 
+    const { instructions, steps } = resolveInstructions(req.body);
+
     const recipe = await RecipeModel.update(id, {
       title: title !== undefined ? title.trim() : existingRecipe.title,
       source: source !== undefined ? (source ? source.trim() : null) : existingRecipe.source,
-      instructions: instructions !== undefined ? (instructions ? instructions.trim() : null) : existingRecipe.instructions,
+      instructions: instructions !== undefined ? instructions : existingRecipe.instructions,
+      steps,
       imagePath: imagePath !== undefined ? (imagePath ? imagePath.trim() : null) : existingRecipe.imagePath,
+      servings: servings !== undefined ? servings : existingRecipe.servings,
+      prepTimeMinutes: prepTimeMinutes !== undefined ? prepTimeMinutes : existingRecipe.prepTimeMinutes,
+      cookTimeMinutes: cookTimeMinutes !== undefined ? cookTimeMinutes : existingRecipe.cookTimeMinutes,
+      totalTimeMinutes: totalTimeMinutes !== undefined ? totalTimeMinutes : existingRecipe.totalTimeMinutes,
       ingredients: ingredients !== undefined ? normalizeIngredients(ingredients) : undefined,
-      tags: tags !== undefined ? normalizeTags(tags) : undefined
-    });
+      tags: tags !== undefined ? normalizeTags(tags) : undefined,
+      story: story !== undefined ? (story ? story.trim() : null) : existingRecipe.story,
+      notes: notes !== undefined ? (notes ? notes.trim() : null) : existingRecipe.notes,
+      people: people !== undefined ? normalizePeople(people) : undefined
+    }, req.user.id);
 
     res.json({
       message: 'Recipe updated successfully',
@@ -284,16 +627,170 @@ class RecipeController {
     });
   });
 
-  // Delete recipe
+  // Move recipe to the trash
   static deleteRecipe = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const deleted = await RecipeModel.delete(id);
+    const deleted = await RecipeModel.delete(id, req.user.id);
 
     if (!deleted) {
       throw new ApiError(404, 'Recipe not found');
     }
 
-    res.json({ message: 'Recipe deleted successfully' });
+    res.json({ message: 'Recipe moved to trash' });
+  });
+
+  // List recipes in the trash with the date each will be purged
+  static getTrash = asyncHandler(async (req, res) => {
+    let limit = parseInt(req.query.limit) || 50;
+    let offset = parseInt(req.query.offset) || 0;
+    if (limit < 1) limit = 50;
+    if (offset < 0) offset = 0;
+
+    const retentionDays = TrashPurger.getRetentionDays();
+    const { recipes, total } = await RecipeModel.getTrash(limit, offset);
+
+    res.json({
+      recipes: recipes.map(recipe => ({
+        ...recipe,
+        purgeAt: recipe.deletedAt + retentionDays * 24 * 60 * 60
+      })),
+      retentionDays,
+      pagination: { limit: Math.min(limit, 100), offset, total }
+    });
+  });
+
+  // Take a recipe out of the trash
+  static restoreFromTrash = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const restored = await RecipeModel.restore(id);
+
+    if (!restored) {
+      throw new ApiError(404, 'Recipe not found in trash');
+    }
+
+    const recipe = await RecipeModel.getById(id);
+    res.json({
+      message: 'Recipe restored from trash',
+      recipe
+    });
+  });
+
+  // Permanently delete a recipe in the trash, files included
+  static deleteFromTrash = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const deleted = await RecipeModel.permanentlyDelete(id);
+
+    if (!deleted) {
+      throw new ApiError(404, 'Recipe not found in trash');
+    }
+
+    res.json({ message: 'Recipe permanently deleted' });
+  });
+
+  // Merge another recipe into this one, taking the listed fields from it, then delete it
+  static mergeRecipes = asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const fromId = Number(req.body.fromId);
+    const take = req.body.take ?? [];
+
+    if (!Number.isInteger(id)) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+    if (!Number.isInteger(fromId) || fromId < 1) {
+      throw new ApiError(400, 'Choose the recipe to merge into this one');
+    }
+    if (fromId === id) {
+      throw new ApiError(400, 'A recipe cannot be merged into itself');
+    }
+    if (!Array.isArray(take)) {
+      throw new ApiError(400, 'take must be an array of field names');
+    }
+    const unknown = take.filter(field => !MERGE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ApiError(400, 'Validation failed', unknown.map(field =>
+        `Unknown field "${field}"; choose from: ${MERGE_FIELDS.join(', ')}`));
+    }
+
+    const moved = await RecipeModel.merge(id, fromId, [...new Set(take)], req.user.id);
+    if (!moved) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+
+    const recipe = await RecipeModel.getById(id);
+    res.json({
+      message: 'Recipes merged successfully',
+      recipe,
+      merged: { fromId, ...moved }
+    });
+  });
+
+  // List a recipe's earlier versions, newest first
+  static getRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const recipe = await RecipeModel.getById(id);
+    if (!recipe) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+
+    const revisions = await RecipeRevisionModel.getByRecipeId(recipe.id);
+    res.json({ recipeId: recipe.id, title: recipe.title, revisions });
+  });
+
+  // Get one earlier version in full
+  static getRevision = asyncHandler(async (req, res) => {
+    const revision = await RecipeRevisionModel.getById(req.params.id, req.params.revisionId);
+    if (!revision) {
+      throw new ApiError(404, 'Revision not found');
+    }
+
+    res.json({ revision });
+  });
+
+  // Field-level differences between two versions; without ?to= the newer one is the current recipe
+  static diffRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!from) {
+      throw new ApiError(400, 'Choose the revision to compare (from)');
+    }
+
+    const fromRevision = await RecipeRevisionModel.getById(id, from);
+    const toRevision = to ? await RecipeRevisionModel.getById(id, to) : null;
+    if (!fromRevision || (to && !toRevision)) {
+      throw new ApiError(404, 'Revision not found');
+    }
+
+    const current = toRevision ? null : await RecipeRevisionModel.snapshot(id);
+    const { snapshot: fromSnapshot, ...fromMeta } = fromRevision;
+    const { snapshot: toSnapshot, ...toMeta } = toRevision || { snapshot: current };
+
+    res.json({
+      from: fromMeta,
+      to: toRevision ? toMeta : null,
+      changes: diffSnapshots(fromSnapshot, toSnapshot)
+    });
+  });
+
+  // Put a recipe back the way it was in an earlier version
+  static restoreRevision = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    if (!(await RecipeModel.getById(id))) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+
+    const restored = await RecipeModel.restoreRevision(id, revisionId, req.user.id);
+    if (!restored) {
+      throw new ApiError(404, 'Revision not found');
+    }
+
+    const recipe = await RecipeModel.getById(id);
+    res.json({
+      message: 'Recipe restored successfully',
+      recipe
+    });
   });
 
   // Get all tags
@@ -302,6 +799,11 @@ class RecipeController {
     res.json({ tags: tags.map(t => t.name) });
   });
 
+  // Get allergen groups usable as exclusions
+  static getAllergens = asyncHandler(async (req, res) => {
+    res.json({ allergens: listAllergens() });
+  });
+
   // Get dashboard statistics
   static getDashboardStats = asyncHandler(async (req, res) => {
     const stats = await RecipeModel.getDashboardStats();
@@ -332,7 +834,7 @@ class RecipeController {
     });
   });
 
-  // Increment times cooked for a recipe
+  // Log that the current user cooked a recipe today (times cooked is counted from the cook log)
   static incrementTimesCooked = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -341,7 +843,12 @@ class RecipeController {
       throw new ApiError(404, 'Recipe not found');
     }
 
-    const recipe = await RecipeModel.incrementTimesCooked(id);
+    await CookLogModel.create({
+      recipeId: existingRecipe.id,
+      userId: req.user.id,
+      cookedOn: new Date().toISOString().slice(0, 10)
+    });
+    const recipe = await RecipeModel.getById(id);
     res.json({
       message: 'Times cooked updated successfully',
       timesCooked: recipe.timesCooked
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const RecipeOriginalModel = require('../models/recipeOriginalModel');
+const RecipeModel = require('../models/recipeModel');
+const FileModel = require('../models/fileModel');
+const db = require('../config/database');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Read a page number sent as a form field ("" or omitted means none)
+ * @param {*} value
+ * @returns {number|null} - NaN when not a page number
+ */
+const parsePage = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const page = Number(value);
+  return Number.isInteger(page) && page > 0 ? page : NaN;
+};
+
+class RecipeOriginalController {
+  /**
+   * Get the scans and PDFs a recipe was transcribed from
+   * GET /api/recipes/:id/originals
+   */
+  static getOriginals = asyncHandler(async (req, res) => {
+    const recipe = await RecipeModel.getById(req.params.id);
+    if (!recipe) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+
+    res.json({ originals: recipe.originals });
+  });
+
+  /**
+   * Attach an original (multipart: file, plus pageStart/pageEnd for a page range of a PDF)
+   * POST /api/recipes/:id/originals
+   */
+  static addOriginal = asyncHandler(async (req, res) => {
+    const { file } = req;
+    if (!file) {
+      throw new ApiError(400, 'No PDF or image file provided');
+    }
+
+    const recipe = await RecipeModel.getById(req.params.id);
+    const isPdf = file.mimetype === 'application/pdf';
+    const pageStart = isPdf ? parsePage(req.body.pageStart) : null;
+    const pageEnd = isPdf ? parsePage(req.body.pageEnd) : null;
+
+    const errors = [];
+    if (Number.isNaN(pageStart) || Number.isNaN(pageEnd)) {
+      errors.push('Pages must be positive whole numbers');
+    } else if (pageEnd !== null && (pageStart === null || pageEnd < pageStart)) {
+      errors.push('pageEnd must come after pageStart');
+    }
+
+    if (!recipe || errors.length > 0) {
+      await fs.unlink(file.path).catch(() => {});
+      if (!recipe) {
+        throw new ApiError(404, 'Recipe not found');
+      }
+      throw new ApiError(400, 'Validation failed', errors);
+    }
+
+    const fileId = await FileModel.create({
+      filename: file.filename,
+      originalName: file.originalname,
+      filePath: file.path,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      uploadedBy: req.user.id
+    });
+    await FileModel.markAsProcessed(fileId);
+    await RecipeOriginalModel.addToRecipe(db, recipe.id, [{ fileId, pageStart, pageEnd }], req.user.id);
+
+    res.status(201).json({
+      message: 'Original attached successfully',
+      originals: await RecipeOriginalModel.getByRecipeId(recipe.id)
+    });
+  });
+
+  /**
+   * Remove an original from a recipe (the file is deleted once nothing else uses it)
+   * DELETE /api/recipes/:id/originals/:originalId
+   */
+  static removeOriginal = asyncHandler(async (req, res) => {
+    const { id, originalId } = req.params;
+
+    const removed = await RecipeOriginalModel.remove(id, originalId);
+    if (!removed) {
+      throw new ApiError(404, 'Original not found');
+    }
+
+    res.json({ message: 'Original removed successfully' });
+  });
+}
+
+module.exports = RecipeOriginalController;
@@ -1,28 +1,23 @@
 const SavedRecipeModel = require('../models/savedRecipeModel');
+const RecipeModel = require('../models/recipeModel');
 const { ApiError, asyncHandler } = require('../middleware/errorHandler');
 
 /**
- * Save a recipe for the current user
+ * Save a recipe for the current user (adds it to their Favorites collection)
  * POST /api/users/saved-recipes/:recipeId
  */
 exports.saveRecipe = asyncHandler(async (req, res) => {
   const { recipeId } = req.params;
   const userId = req.user.id;
 
-  // Check if already saved
-  const alreadySaved = await SavedRecipeModel.isSaved(userId, recipeId);
-  if (alreadySaved) {
-    throw new ApiError(409, 'Recipe is already saved');
+  const recipe = await RecipeModel.getById(recipeId);
+  if (!recipe) {
+    throw new ApiError(404, 'Recipe not found');
   }
 
-  try {
-    await SavedRecipeModel.save(userId, recipeId);
-  } catch (error) {
-    // Handle foreign key constraint (recipe doesn't exist)
-    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
-      throw new ApiError(404, 'Recipe not found');
-    }
-    throw error;
+  const saved = await SavedRecipeModel.save(userId, recipe.id);
+  if (!saved) {
+    throw new ApiError(409, 'Recipe is already saved');
   }
 
   res.status(201).json({
@@ -19,13 +19,17 @@ exports.getAISettings = asyncHandler(async (req, res) => {
  * PUT /api/admin/settings/ai
  */
 exports.updateAISettings = asyncHandler(async (req, res) => {
-  const { provider, model, apiKey } = req.body;
+  const { provider, model, apiKey, ocrVision } = req.body;
 
   // Validate at least one field is being updated
-  if (provider === undefined && model === undefined && apiKey === undefined) {
+  if (provider === undefined && model === undefined && apiKey === undefined && ocrVision === undefined) {
     throw new ApiError(400, 'At least one setting must be provided');
   }
 
+  if (ocrVision !== undefined && typeof ocrVision !== 'boolean') {
+    throw new ApiError(400, 'ocrVision must be true or false');
+  }
+
   // Validate provider if provided
   const providers = SettingsModel.getProviders();
   if (provider && !providers[provider]) {
@@ -41,7 +45,7 @@ exports.updateAISettings = asyncHandler(async (req, res) => {
   }
 
   await SettingsModel.setAIConfig(
-    { provider, model, apiKey },
+    { provider, model, apiKey, ocrVision },
     req.user.id
   );
 
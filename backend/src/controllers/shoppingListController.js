@@ -0,0 +1,407 @@
+const ShoppingListModel = require('../models/shoppingListModel');
+const MealPlanModel = require('../models/mealPlanModel');
+const UserModel = require('../models/userModel');
+const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+const { MAX_SERVINGS } = require('../utils/quantity');
+const { MAX_RANGE_DAYS, isValidDate, daysBetween } = require('../utils/mealPlan');
+const { CATEGORIES, categorize, combineIngredients, formatListText } = require('../utils/shoppingList');
+
+const DEFAULT_LIST_NAME = 'Shopping List';
+const MAX_NAME_LENGTH = 100;
+const MAX_ITEM_NAME_LENGTH = 255;
+const MAX_QUANTITY_LENGTH = 100;
+// Recipes one list can be built from
+const MAX_RECIPES = 50;
+
+/**
+ * Check the current user can use the list in req.params.id
+ * Lists the user can't see are reported as not found, so IDs don't reveal other users' lists.
+ * @param {Object} req
+ * @param {Object} options
+ * @param {boolean} options.ownerOnly - Only the owner may (renaming, deleting, sharing)
+ * @returns {Promise<string>} - 'owner' or 'member'
+ */
+const checkAccess = async (req, { ownerOnly = false } = {}) => {
+  const role = await ShoppingListModel.getRole(req.params.id, req.user.id);
+  if (!role) {
+    throw new ApiError(404, 'Shopping list not found');
+  }
+  if (ownerOnly && role !== 'owner') {
+    throw new ApiError(403, "Only the list's owner can do that");
+  }
+  return role;
+};
+
+/**
+ * Validate a list name
+ * @param {*} name
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {string|undefined} - The trimmed name
+ */
+const parseName = (name, errors) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+    return undefined;
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    return undefined;
+  }
+  return name.trim();
+};
+
+/**
+ * Validate and normalize an item's fields
+ * Fields left undefined are skipped, so updates can send only what changed.
+ * @param {Object} body - { name, quantity, category, checked }
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object}
+ */
+const parseItemFields = ({ name, quantity, category, checked }, errors) => {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    } else if (name.trim().length > MAX_ITEM_NAME_LENGTH) {
+      errors.push(`name must be at most ${MAX_ITEM_NAME_LENGTH} characters`);
+    } else {
+      fields.name = name.trim();
+    }
+  }
+
+  if (quantity !== undefined) {
+    if (quantity === null || (typeof quantity === 'string' && !quantity.trim())) {
+      fields.quantity = null;
+    } else if (typeof quantity !== 'string' || quantity.trim().length > MAX_QUANTITY_LENGTH) {
+      errors.push(`quantity must be text of at most ${MAX_QUANTITY_LENGTH} characters`);
+    } else {
+      fields.quantity = quantity.trim();
+    }
+  }
+
+  if (category !== undefined) {
+    if (!CATEGORIES.includes(category)) {
+      errors.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+    } else {
+      fields.category = category;
+    }
+  }
+
+  if (checked !== undefined) {
+    if (typeof checked !== 'boolean') {
+      errors.push('checked must be true or false');
+    } else {
+      fields.checked = checked;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Validate what a list is built from: recipes ([{ id, servings }] or IDs) and/or a meal plan range
+ * @param {Object} body - { recipes, mealPlan: { start, end } }
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} - { recipes: [{ id, servings }], mealPlan }
+ */
+const parseSources = ({ recipes = [], mealPlan }, errors) => {
+  const sources = { recipes: [], mealPlan: null };
+
+  if (!Array.isArray(recipes)) {
+    errors.push('recipes must be an array');
+  } else if (recipes.length > MAX_RECIPES) {
+    errors.push(`A list can be built from at most ${MAX_RECIPES} recipes`);
+  } else {
+    for (const recipe of recipes) {
+      const { id, servings = null } = typeof recipe === 'object' && recipe !== null ? recipe : { id: recipe };
+      const recipeId = Number(id);
+      if (!Number.isInteger(recipeId) || recipeId < 1) {
+        errors.push('Each recipe needs a valid id');
+        break;
+      }
+      const value = servings === null ? null : Number(servings);
+      if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_SERVINGS)) {
+        errors.push(`servings must be a whole number from 1 to ${MAX_SERVINGS}`);
+        break;
+      }
+      sources.recipes.push({ id: recipeId, servings: value });
+    }
+  }
+
+  if (mealPlan !== undefined && mealPlan !== null) {
+    const { start, end } = mealPlan;
+    if (!isValidDate(start) || !isValidDate(end)) {
+      errors.push('mealPlan start and end must be dates in YYYY-MM-DD format');
+    } else if (daysBetween(start, end) < 0) {
+      errors.push('mealPlan end must not be before start');
+    } else if (daysBetween(start, end) >= MAX_RANGE_DAYS) {
+      errors.push(`mealPlan can cover at most ${MAX_RANGE_DAYS} days`);
+    } else {
+      sources.mealPlan = { start, end };
+    }
+  }
+
+  return sources;
+};
+
+// How much of a recipe to buy for: the servings asked for over the servings it makes
+const scaleFactor = (servings, recipeServings) => (servings && recipeServings ? servings / recipeServings : 1);
+
+/**
+ * Get the lists the current user owns or that are shared with them
+ * GET /api/shopping-lists
+ */
+exports.getLists = asyncHandler(async (req, res) => {
+  const lists = await ShoppingListModel.getAllForUser(req.user.id);
+  res.json({
+    success: true,
+    lists
+  });
+});
+
+/**
+ * Build a list from recipes and/or a meal plan date range, combining their ingredients
+ * POST /api/shopping-lists
+ */
+exports.createList = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  const name = body.name === undefined ? DEFAULT_LIST_NAME : parseName(body.name, errors);
+  const { recipes, mealPlan } = parseSources(body, errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const planned = mealPlan
+    ? await MealPlanModel.getRange(req.user.id, mealPlan.start, mealPlan.end)
+    : [];
+  const details = await ShoppingListModel.getRecipeIngredients([
+    ...recipes.map(recipe => recipe.id),
+    ...planned.map(entry => entry.recipeId)
+  ]);
+
+  const sources = [];
+  for (const { id, servings } of recipes) {
+    const recipe = details.get(id);
+    if (!recipe) {
+      throw new ApiError(404, 'Recipe not found');
+    }
+    sources.push({ ...recipe, factor: scaleFactor(servings, recipe.servings) });
+  }
+  for (const entry of planned) {
+    const recipe = details.get(entry.recipeId);
+    if (recipe) sources.push({ ...recipe, factor: scaleFactor(entry.servings, recipe.servings) });
+  }
+
+  const id = await ShoppingListModel.create(req.user.id, { name, items: combineIngredients(sources) });
+  const list = await ShoppingListModel.getById(id, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    list
+  });
+});
+
+/**
+ * Get a list with its items (by aisle) and members
+ * GET /api/shopping-lists/:id
+ */
+exports.getList = asyncHandler(async (req, res) => {
+  const list = await ShoppingListModel.getById(req.params.id, req.user.id);
+  if (!list) {
+    throw new ApiError(404, 'Shopping list not found');
+  }
+
+  res.json({
+    success: true,
+    list
+  });
+});
+
+/**
+ * Rename a list (owner only)
+ * PUT /api/shopping-lists/:id
+ */
+exports.updateList = asyncHandler(async (req, res) => {
+  await checkAccess(req, { ownerOnly: true });
+
+  const errors = [];
+  const name = parseName((req.body || {}).name, errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  await ShoppingListModel.update(req.params.id, { name });
+  const list = await ShoppingListModel.getById(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    list
+  });
+});
+
+/**
+ * Delete a list (owner only)
+ * DELETE /api/shopping-lists/:id
+ */
+exports.deleteList = asyncHandler(async (req, res) => {
+  await checkAccess(req, { ownerOnly: true });
+  await ShoppingListModel.delete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Shopping list deleted'
+  });
+});
+
+/**
+ * Add an item by hand; its aisle is guessed from the name unless given
+ * POST /api/shopping-lists/:id/items
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  await checkAccess(req);
+
+  const body = req.body || {};
+  const errors = [];
+  const fields = parseItemFields({ ...body, checked: undefined }, errors);
+  if (body.name === undefined) errors.push('name is required');
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const item = await ShoppingListModel.addItem(req.params.id, {
+    ...fields,
+    category: fields.category || categorize(fields.name),
+    isCustom: true
+  });
+
+  res.status(201).json({
+    success: true,
+    item
+  });
+});
+
+/**
+ * Check off an item, or change its name, quantity or aisle
+ * PUT /api/shopping-lists/:id/items/:itemId
+ */
+exports.updateItem = asyncHandler(async (req, res) => {
+  await checkAccess(req);
+
+  const errors = [];
+  const fields = parseItemFields(req.body || {}, errors);
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validation failed', errors);
+  }
+
+  const item = await ShoppingListModel.updateItem(req.params.id, req.params.itemId, fields);
+  if (!item) {
+    throw new ApiError(404, 'Item not found');
+  }
+
+  res.json({
+    success: true,
+    item
+  });
+});
+
+/**
+ * Remove an item
+ * DELETE /api/shopping-lists/:id/items/:itemId
+ */
+exports.deleteItem = asyncHandler(async (req, res) => {
+  await checkAccess(req);
+
+  const deleted = await ShoppingListModel.deleteItem(req.params.id, req.params.itemId);
+  if (!deleted) {
+    throw new ApiError(404, 'Item not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Item removed'
+  });
+});
+
+/**
+ * Remove every checked item
+ * POST /api/shopping-lists/:id/clear-checked
+ */
+exports.clearChecked = asyncHandler(async (req, res) => {
+  await checkAccess(req);
+
+  const removed = await ShoppingListModel.clearChecked(req.params.id);
+  res.json({
+    success: true,
+    message: `Removed ${removed} checked item${removed !== 1 ? 's' : ''}`,
+    removed
+  });
+});
+
+/**
+ * Download a list as plain text
+ * GET /api/shopping-lists/:id/export.txt
+ */
+exports.exportText = asyncHandler(async (req, res) => {
+  const list = await ShoppingListModel.getById(req.params.id, req.user.id);
+  if (!list) {
+    throw new ApiError(404, 'Shopping list not found');
+  }
+
+  const filename = list.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'shopping-list';
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.txt"`);
+  res.send(formatListText(list));
+});
+
+/**
+ * Share a list with a household member by username (owner only)
+ * POST /api/shopping-lists/:id/members
+ */
+exports.addMember = asyncHandler(async (req, res) => {
+  await checkAccess(req, { ownerOnly: true });
+
+  const { username } = req.body || {};
+  if (typeof username !== 'string' || !username.trim()) {
+    throw new ApiError(400, 'username is required');
+  }
+
+  const user = await UserModel.findByUsername(username.trim());
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  if (user.id === req.user.id) {
+    throw new ApiError(400, 'You already own this list');
+  }
+
+  await ShoppingListModel.addMember(req.params.id, user.id);
+  const members = await ShoppingListModel.getMembers(req.params.id);
+
+  res.status(201).json({
+    success: true,
+    message: `Shared with ${user.username}`,
+    members
+  });
+});
+
+/**
+ * Stop sharing a list with someone; the owner can remove anyone, and members can leave
+ * DELETE /api/shopping-lists/:id/members/:userId
+ */
+exports.removeMember = asyncHandler(async (req, res) => {
+  const leaving = Number(req.params.userId) === req.user.id;
+  await checkAccess(req, { ownerOnly: !leaving });
+
+  const removed = await ShoppingListModel.removeMember(req.params.id, req.params.userId);
+  if (!removed) {
+    throw new ApiError(404, 'Member not found');
+  }
+
+  const members = await ShoppingListModel.getMembers(req.params.id);
+  res.json({
+    success: true,
+    message: leaving ? 'You left the list' : 'Member removed',
+    members
+  });
+});
@@ -1,5 +1,11 @@
 const SubmittedRecipeModel = require('../models/submittedRecipeModel');
+const RecipeModel = require('../models/recipeModel');
+const DuplicateService = require('../services/duplicateService');
 const { ApiError, asyncHandler } = require('../middleware/errorHandler');
+const { MAX_MINUTES, normalizeRecipeTimes } = require('../utils/duration');
+const { normalizeIngredientUnits } = require('../utils/units');
+const { MAX_SECTION_LENGTH, normalizeIngredientSections } = require('../utils/ingredientSections');
+const { splitInstructions } = require('../utils/steps');
 
 /**
  * Validate recipe submission input
@@ -21,6 +27,14 @@ const validateSubmission = (data) => {
     errors.push('Servings must be a positive number');
   }
 
+  ['prepTimeMinutes', 'cookTimeMinutes', 'totalTimeMinutes'].forEach(field => {
+    const value = data[field];
+    if (value !== undefined && value !== null && value !== '' &&
+        (isNaN(value) || value < 0 || value > MAX_MINUTES)) {
+      errors.push(`${field} must be between 0 and ${MAX_MINUTES} minutes`);
+    }
+  });
+
   if (data.ingredients) {
     if (!Array.isArray(data.ingredients)) {
       errors.push('Ingredients must be an array');
@@ -29,6 +43,9 @@ const validateSubmission = (data) => {
         if (!ing.name || ing.name.trim().length === 0) {
           errors.push(`Ingredient ${index + 1} requires a name`);
         }
+        if (ing.section && (typeof ing.section !== 'string' || ing.section.length > MAX_SECTION_LENGTH)) {
+          errors.push(`Ingredient ${index + 1} section must be ${MAX_SECTION_LENGTH} characters or less`);
+        }
       });
     }
   }
@@ -50,7 +67,7 @@ const validateSubmission = (data) => {
  */
 exports.submitRecipe = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { title, source, instructions, servings, ingredients, tags } = req.body;
+  const { title, source, instructions, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, ingredients, tags } = req.body;
 
   const errors = validateSubmission(req.body);
   if (errors.length > 0) {
@@ -62,7 +79,8 @@ exports.submitRecipe = asyncHandler(async (req, res) => {
     source: source?.trim(),
     instructions: instructions?.trim(),
     servings: servings ? parseInt(servings, 10) : null,
-    ingredients: ingredients || [],
+    ...normalizeRecipeTimes({ prepTime: prepTimeMinutes, cookTime: cookTimeMinutes, totalTime: totalTimeMinutes }),
+    ingredients: normalizeIngredientSections(normalizeIngredientUnits(ingredients || [])),
     tags: tags || []
   });
 
@@ -232,6 +250,15 @@ exports.getSubmissionForReview = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Submission not found');
   }
 
+  // Only worth checking while the submission can still be approved or merged
+  if (submission.status === 'pending') {
+    submission.duplicates = await DuplicateService.findDuplicates({
+      title: submission.title,
+      ingredients: submission.ingredients.map(ing => ing.name),
+      sourceUrl: submission.source
+    });
+  }
+
   res.json({
     success: true,
     submission
@@ -263,6 +290,58 @@ exports.approveSubmission = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Approve a submission by merging it into an existing recipe (admin only)
+ * Only fills in what the existing recipe is missing.
+ * POST /api/admin/submissions/:id/merge
+ */
+exports.mergeSubmission = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { recipeId, notes } = req.body;
+  const adminId = req.user.id;
+
+  if (!recipeId) {
+    throw new ApiError(400, 'Choose the recipe to merge into');
+  }
+
+  const submission = await SubmittedRecipeModel.getById(id);
+  if (!submission || submission.status !== 'pending') {
+    throw new ApiError(404, 'Submission not found or already reviewed');
+  }
+
+  const merged = await RecipeModel.fillMissing(recipeId, {
+    source: submission.source,
+    instructions: submission.instructions,
+    steps: splitInstructions(submission.instructions),
+    servings: submission.servings,
+    prepTimeMinutes: submission.prepTimeMinutes,
+    cookTimeMinutes: submission.cookTimeMinutes,
+    totalTimeMinutes: submission.totalTimeMinutes,
+    ingredients: submission.ingredients,
+    tags: submission.tags
+  }, adminId);
+  if (!merged) {
+    throw new ApiError(404, 'Recipe not found');
+  }
+
+  try {
+    await SubmittedRecipeModel.markMerged(id, adminId, recipeId, notes || null);
+  } catch (error) {
+    if (error.message === 'Submission not found or already reviewed') {
+      throw new ApiError(404, error.message);
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Submission merged into existing recipe',
+    recipeId: Number(recipeId),
+    filled: merged.filled,
+    tagsAdded: merged.tagsAdded
+  });
+});
+
 /**
  * Reject a submission (admin only)
  * POST /api/admin/submissions/:id/reject
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const UserModel = require('../models/userModel');
 const { ApiError, asyncHandler } = require('../middleware/errorHandler');
 const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/jwt');
+const { UNIT_SYSTEMS } = require('../utils/units');
 
 /**
  * Generate JWT token for user
@@ -132,9 +133,11 @@ exports.getProfile = asyncHandler(async (req, res) => {
       createdAt: user.created_at
     },
     preferences: preferences ? {
-      theme: preferences.theme
+      theme: preferences.theme,
+      unitSystem: preferences.unit_system
     } : {
-      theme: 'light'
+      theme: 'light',
+      unitSystem: null
     }
   });
 });
@@ -180,7 +183,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
  * PUT /api/users/preferences
  */
 exports.updatePreferences = asyncHandler(async (req, res) => {
-  const { theme } = req.body;
+  const { theme, unitSystem } = req.body;
 
   // Validate theme
   const validThemes = ['light', 'dark', 'system'];
@@ -188,8 +191,18 @@ exports.updatePreferences = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Invalid theme. Must be one of: ${validThemes.join(', ')}`);
   }
 
-  if (theme) {
-    await UserModel.updatePreferences(req.user.id, { theme });
+  // Validate measurement system (null shows recipes as written)
+  if (unitSystem !== undefined && unitSystem !== null && !UNIT_SYSTEMS.includes(unitSystem)) {
+    throw new ApiError(400, `Invalid unitSystem. Must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+
+  if (theme || unitSystem !== undefined) {
+    // Keep whichever preference wasn't sent
+    const current = await UserModel.getPreferences(req.user.id);
+    await UserModel.updatePreferences(req.user.id, {
+      theme: theme || current?.theme || 'light',
+      unitSystem: unitSystem !== undefined ? unitSystem : current?.unit_system ?? null
+    });
   }
 
   const preferences = await UserModel.getPreferences(req.user.id);
@@ -198,7 +211,8 @@ exports.updatePreferences = asyncHandler(async (req, res) => {
     success: true,
     message: 'Preferences updated successfully',
     preferences: {
-      theme: preferences?.theme || 'light'
+      theme: preferences?.theme || 'light',
+      unitSystem: preferences?.unit_system ?? null
     }
   });
 });
@@ -2,7 +2,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const convertHeic = require('heic-convert');
 const { ApiError } = require('./errorHandler');
+const { importTypeFor } = require('../utils/batchImport');
 
 // Ensure upload directories exist
 const UPLOAD_DIRS = {
@@ -40,6 +42,17 @@ const imageStorage = multer.diskStorage({
   }
 });
 
+// Bulk import configuration: photos go with the other images, PDFs and ZIPs with the PDFs
+const batchStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, importTypeFor(file.originalname, file.mimetype) === 'image' ? UPLOAD_DIRS.images : UPLOAD_DIRS.pdfs);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
 // File filter for PDFs
 const pdfFileFilter = (req, file, cb) => {
   if (file.mimetype === 'application/pdf') {
@@ -49,14 +62,41 @@ const pdfFileFilter = (req, file, cb) => {
   }
 };
 
+// HEIC/HEIF is what iPhones save photos as; some browsers send it without a MIME type
+const HEIC_MIMES = ['image/heic', 'image/heif'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+
+const isHeic = (file) =>
+  HEIC_MIMES.includes(file.mimetype) || HEIC_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
 // File filter for images
 const imageFileFilter = (req, file, cb) => {
   const allowedMimes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
 
-  if (allowedMimes.includes(file.mimetype)) {
+  if (allowedMimes.includes(file.mimetype) || isHeic(file)) {
+    cb(null, true);
+  } else {
+    cb(new ApiError(400, 'Only image files (JPEG, PNG, GIF, WebP, HEIC) are allowed'), false);
+  }
+};
+
+// File filter for bulk imports: one stray file shouldn't reject a hundred good ones,
+// so unsupported files are skipped and listed in req.skippedFiles for the batch report
+const batchFileFilter = (req, file, cb) => {
+  if (importTypeFor(file.originalname, file.mimetype)) {
+    cb(null, true);
+  } else {
+    req.skippedFiles = [...(req.skippedFiles || []), { name: file.originalname, reason: 'Not a PDF, photo or ZIP file' }];
+    cb(null, false);
+  }
+};
+
+// File filter for a recipe's originals: the scanned PDF or photos of the handwritten card
+const originalFileFilter = (req, file, cb) => {
+  if (['pdf', 'image'].includes(importTypeFor(file.originalname, file.mimetype))) {
     cb(null, true);
   } else {
-    cb(new ApiError(400, 'Only image files (JPEG, PNG, GIF, WebP) are allowed'), false);
+    cb(new ApiError(400, 'Only PDF or image files (JPEG, PNG, HEIC) are allowed'), false);
   }
 };
 
@@ -78,12 +118,35 @@ const uploadImage = multer({
   }
 });
 
+// Bulk uploader (max 100 files; 100MB each so ZIP archives fit, PDFs and photos are checked
+// against their usual limits per item)
+const uploadBatch = multer({
+  storage: batchStorage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB
+    files: 100
+  }
+});
+
+// Original scan uploader (max 10MB, stored with the imported PDFs and photos)
+const uploadOriginal = multer({
+  storage: batchStorage,
+  fileFilter: originalFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
 // Error handler for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return next(new ApiError(400, 'File size exceeds limit'));
     }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return next(new ApiError(400, 'Too many files in one upload'));
+    }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
       return next(new ApiError(400, 'Unexpected file field'));
     }
@@ -92,9 +155,49 @@ const handleMulterError = (err, req, res, next) => {
   next(err);
 };
 
+/**
+ * Convert a HEIC photo on disk to JPEG, replacing the original
+ * @param {Object} file - Multer-style file; its path, filename, mimetype and size are updated
+ * @returns {Promise<void>}
+ */
+const convertHeicFile = async (file) => {
+  const heicBuffer = await fs.promises.readFile(file.path);
+  const jpegBuffer = Buffer.from(await convertHeic({ buffer: heicBuffer, format: 'JPEG', quality: 0.9 }));
+  const filename = `${path.basename(file.filename, path.extname(file.filename))}.jpg`;
+  const filePath = path.join(path.dirname(file.path), filename);
+
+  await fs.promises.writeFile(filePath, jpegBuffer);
+  await fs.promises.unlink(file.path);
+
+  Object.assign(file, { filename, path: filePath, mimetype: 'image/jpeg', size: jpegBuffer.length });
+};
+
+/**
+ * Convert uploaded HEIC photos to JPEG in place, since browsers can't display HEIC.
+ * Runs after uploadImage; updates each file's path, filename, mimetype and size.
+ */
+const convertHeicImages = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    for (const file of files.filter(isHeic)) {
+      await convertHeicFile(file);
+    }
+    next();
+  } catch (error) {
+    await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+    next(new ApiError(400, `Could not read HEIC photo: ${error.message}`));
+  }
+};
+
 module.exports = {
   uploadPDF,
   uploadImage,
+  uploadBatch,
+  uploadOriginal,
   handleMulterError,
+  convertHeicImages,
+  convertHeicFile,
+  isHeic,
   UPLOAD_DIRS
 };
@@ -0,0 +1,389 @@
+const db = require('../config/database');
+const SettingsModel = require('./settingsModel');
+const {
+  ingredientKey, normalizeIngredientName, planAliasRekey, INGREDIENT_KEY_VERSION
+} = require('../utils/ingredientCatalog');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Rows the backfill job reads at a time
+const BACKFILL_BATCH_SIZE = 500;
+
+// Ingredient tables the backfill job splits preparation out of. Only recipe ingredients are
+// linked to the catalog; pending and submitted ones are linked when they become recipes.
+const BACKFILL_TABLES = [
+  { table: 'ingredients', label: 'Recipe ingredients', link: true },
+  { table: 'pending_ingredients', label: 'Pending recipe ingredients', link: false },
+  { table: 'user_submitted_ingredients', label: 'Submitted recipe ingredients', link: false }
+];
+
+// Recipes using an entry, not counting ones in the trash
+const RECIPE_COUNT = `
+  (SELECT COUNT(DISTINCT i.recipe_id) FROM ingredients i
+   JOIN recipes r ON i.recipe_id = r.id AND r.deleted_at IS NULL
+   WHERE i.canonical_id = ci.id) as recipe_count
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Link recipe ingredients with any of these keys to a catalog entry
+ * @param {Object} database - db or a transaction
+ * @param {number} id - Catalog entry ID
+ * @param {Array<string>} keys
+ */
+const linkKeys = async (database, id, keys) => {
+  if (keys.length === 0) return;
+  await database.prepare(`
+    UPDATE ingredients SET canonical_id = ? WHERE name_key IN (${placeholders(keys)})
+  `).run(id, ...keys);
+};
+
+/**
+ * Add aliases to an entry and link the recipe ingredients they match.
+ * Keys that already belong to an entry are skipped.
+ * @param {Object} database - db or a transaction
+ * @param {number} id - Catalog entry ID
+ * @param {Array<string>} names
+ */
+const insertAliases = async (database, id, names) => {
+  const keys = [];
+  for (const name of names) {
+    const key = ingredientKey(name);
+    if (!key) continue;
+
+    const result = await database.prepare(
+      'INSERT IGNORE INTO ingredient_aliases (canonical_id, name, alias_key) VALUES (?, ?, ?)'
+    ).run(id, name, key);
+    if (result.changes > 0) keys.push(key);
+  }
+  await linkKeys(database, id, keys);
+};
+
+class CanonicalIngredientModel {
+  /**
+   * Look up the catalog entries for ingredient names
+   * @param {Array<string>} names - Ingredient names (preparation already split out)
+   * @param {Object} database - db or a transaction
+   * @returns {Promise<Map>} - Key -> catalog entry ID, for the names the catalog knows
+   */
+  static async matchNames(names, database = db) {
+    const keys = [...new Set(names.map(ingredientKey).filter(Boolean))];
+    if (keys.length === 0) return new Map();
+
+    const rows = await database.prepare(`
+      SELECT alias_key, canonical_id FROM ingredient_aliases WHERE alias_key IN (${placeholders(keys)})
+    `).all(...keys);
+    return new Map(rows.map(row => [row.alias_key, row.canonical_id]));
+  }
+
+  /**
+   * The whole catalog, alphabetically, with each entry's aliases and how many recipes use it
+   * @returns {Promise<Array>} - [{ id, name, recipeCount, aliases: [{ id, name }] }]
+   */
+  static async getAll() {
+    const rows = await db.prepare(`
+      SELECT ci.id, ci.name, ci.created_at, ci.updated_at, ${RECIPE_COUNT}
+      FROM canonical_ingredients ci
+      ORDER BY ci.name
+    `).all();
+
+    const aliases = await db.prepare(`
+      SELECT id, canonical_id, name FROM ingredient_aliases ORDER BY name
+    `).all();
+
+    return rows.map(row => ({
+      ...toCamelCase(row),
+      aliases: aliases
+        .filter(alias => alias.canonical_id === row.id)
+        .map(({ id, name }) => ({ id, name }))
+    }));
+  }
+
+  /**
+   * Get a catalog entry with its aliases
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(id) {
+    const row = await db.prepare(`
+      SELECT ci.id, ci.name, ci.created_at, ci.updated_at, ${RECIPE_COUNT}
+      FROM canonical_ingredients ci
+      WHERE ci.id = ?
+    `).get(id);
+    if (!row) return null;
+
+    const aliases = await db.prepare(
+      'SELECT id, name FROM ingredient_aliases WHERE canonical_id = ? ORDER BY name'
+    ).all(id);
+    return { ...toCamelCase(row), aliases };
+  }
+
+  /**
+   * Whether another entry already has this name (case-insensitive)
+   * @param {string} name
+   * @param {number|null} excludeId - The entry being renamed
+   * @returns {Promise<boolean>}
+   */
+  static async nameTaken(name, excludeId = null) {
+    const row = await db.prepare(
+      'SELECT id FROM canonical_ingredients WHERE LOWER(name) = LOWER(?) AND id <> ?'
+    ).get(name, excludeId || 0);
+    return Boolean(row);
+  }
+
+  /**
+   * The entry an alias key belongs to
+   * @param {string} key - From ingredientKey()
+   * @returns {Promise<Object|null>} - { aliasId, aliasName, canonicalId, canonicalName }
+   */
+  static async findAliasOwner(key) {
+    const row = await db.prepare(`
+      SELECT a.id as alias_id, a.name as alias_name, ci.id as canonical_id, ci.name as canonical_name
+      FROM ingredient_aliases a
+      JOIN canonical_ingredients ci ON a.canonical_id = ci.id
+      WHERE a.alias_key = ?
+    `).get(key);
+    return row ? toCamelCase(row) : null;
+  }
+
+  /**
+   * Add an entry to the catalog, with its own name and any others as aliases,
+   * and link the recipe ingredients they match
+   * @param {string} name
+   * @param {Array<string>} aliases
+   * @returns {Promise<Object>} - The new entry
+   */
+  static async create(name, aliases = []) {
+    const insert = db.transaction(async (txDb) => {
+      const result = await txDb.prepare('INSERT INTO canonical_ingredients (name) VALUES (?)').run(name);
+      await insertAliases(txDb, result.lastInsertRowid, [name, ...aliases]);
+      return result.lastInsertRowid;
+    });
+
+    return this.getById(await insert());
+  }
+
+  /**
+   * Rename an entry; the new name becomes an alias too if no entry has it yet
+   * @param {number} id
+   * @param {string} name
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async rename(id, name) {
+    const update = db.transaction(async (txDb) => {
+      await txDb.prepare(
+        'UPDATE canonical_ingredients SET name = ?, updated_at = UNIX_TIMESTAMP() WHERE id = ?'
+      ).run(name, id);
+      await insertAliases(txDb, id, [name]);
+    });
+
+    await update();
+    return this.getById(id);
+  }
+
+  /**
+   * Remove an entry; recipe ingredients linked to it become unmatched again
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const result = await db.prepare('DELETE FROM canonical_ingredients WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Add an alias to an entry and link the recipe ingredients it matches
+   * @param {number} id
+   * @param {string} name - e.g. "AP flour"
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async addAlias(id, name) {
+    await insertAliases(db, id, [name]);
+    await db.prepare('UPDATE canonical_ingredients SET updated_at = UNIX_TIMESTAMP() WHERE id = ?').run(id);
+    return this.getById(id);
+  }
+
+  /**
+   * Remove an alias; recipe ingredients that matched it become unmatched again
+   * @param {number} id - Catalog entry ID
+   * @param {number} aliasId
+   * @returns {Promise<boolean>} - False if the entry has no such alias
+   */
+  static async removeAlias(id, aliasId) {
+    const remove = db.transaction(async (txDb) => {
+      const alias = await txDb.prepare(
+        'SELECT alias_key FROM ingredient_aliases WHERE id = ? AND canonical_id = ?'
+      ).get(aliasId, id);
+      if (!alias) return false;
+
+      await txDb.prepare('DELETE FROM ingredient_aliases WHERE id = ?').run(aliasId);
+      await txDb.prepare(
+        'UPDATE ingredients SET canonical_id = NULL WHERE canonical_id = ? AND name_key = ?'
+      ).run(id, alias.alias_key);
+      return true;
+    });
+
+    return remove();
+  }
+
+  /**
+   * Merge one entry into another: its aliases and recipe ingredients move over, and it is removed
+   * @param {number} id - The entry that goes away
+   * @param {number} intoId - The entry that stays
+   * @returns {Promise<Object>} - The entry that stays
+   */
+  static async merge(id, intoId) {
+    const merge = db.transaction(async (txDb) => {
+      await txDb.prepare('UPDATE ingredient_aliases SET canonical_id = ? WHERE canonical_id = ?').run(intoId, id);
+      await txDb.prepare('UPDATE ingredients SET canonical_id = ? WHERE canonical_id = ?').run(intoId, id);
+      await txDb.prepare('DELETE FROM canonical_ingredients WHERE id = ?').run(id);
+      await txDb.prepare(
+        'UPDATE canonical_ingredients SET updated_at = UNIX_TIMESTAMP() WHERE id = ?'
+      ).run(intoId);
+    });
+
+    await merge();
+    return this.getById(intoId);
+  }
+
+  /**
+   * Ingredient names no alias matches, grouped by key, the most used first
+   * (recipes in the trash are left out)
+   * @param {Object} options
+   * @param {number} options.limit
+   * @returns {Promise<Object>} - { names: [{ key, name, spellings, recipeCount }], total, unprocessed }
+   *   where unprocessed counts rows written before the catalog existed (see backfill())
+   */
+  static async getUnmatched({ limit = 100 } = {}) {
+    const rows = await db.prepare(`
+      SELECT i.name_key, i.name, COUNT(DISTINCT i.recipe_id) as recipe_count
+      FROM ingredients i
+      JOIN recipes r ON i.recipe_id = r.id AND r.deleted_at IS NULL
+      WHERE i.canonical_id IS NULL AND i.name_key IS NOT NULL AND i.name_key <> ''
+      GROUP BY i.name_key, i.name
+      ORDER BY recipe_count DESC, i.name
+    `).all();
+
+    // One entry per key, named by its most used spelling
+    const byKey = new Map();
+    for (const row of rows) {
+      if (!byKey.has(row.name_key)) {
+        byKey.set(row.name_key, { key: row.name_key, name: row.name, spellings: [], recipeCount: 0 });
+      }
+      const entry = byKey.get(row.name_key);
+      entry.spellings.push(row.name);
+      entry.recipeCount += row.recipe_count;
+    }
+    const names = [...byKey.values()]
+      .sort((a, b) => b.recipeCount - a.recipeCount || a.key.localeCompare(b.key));
+
+    const { unprocessed } = await db.prepare(
+      'SELECT COUNT(*) as unprocessed FROM ingredients WHERE name_key IS NULL'
+    ).get();
+
+    return { names: names.slice(0, limit), total: names.length, unprocessed };
+  }
+
+  /**
+   * Normalize ingredient rows written before the catalog, or since its rules changed: re-key
+   * aliases, split out preparation notes, and recompute recipe ingredients' keys and catalog links.
+   * Run by the job worker (job type 'ingredient_backfill').
+   * @param {Function} reportProgress - (progress) => Promise
+   * @returns {Promise<Object>} - Rows scanned and updated per table, and recipe ingredients left unmatched
+   */
+  static async backfill(reportProgress = async () => {}) {
+    const result = { ingredient_aliases: await this.rekeyAliases() };
+
+    for (const { table, label, link } of BACKFILL_TABLES) {
+      const { total } = await db.prepare(`SELECT COUNT(*) as total FROM ${table}`).get();
+      const counts = { scanned: 0, updated: 0 };
+      let lastId = 0;
+
+      while (counts.scanned < total) {
+        const rows = await db.prepare(`
+          SELECT id, name, preparation${link ? ', name_key, canonical_id' : ''}
+          FROM ${table} WHERE id > ? ORDER BY id LIMIT ?
+        `).all(lastId, BACKFILL_BATCH_SIZE);
+        if (rows.length === 0) break;
+
+        const normalized = rows.map(normalizeIngredientName);
+        const matches = link ? await this.matchNames(normalized.map(row => row.name)) : new Map();
+
+        for (let i = 0; i < rows.length; i++) {
+          const row = rows[i];
+          const { name, preparation } = normalized[i];
+          const changes = { name, preparation };
+          if (link) {
+            changes.name_key = ingredientKey(name);
+            changes.canonical_id = matches.get(changes.name_key) || null;
+          }
+
+          if (Object.keys(changes).some(column => changes[column] !== row[column])) {
+            const columns = Object.keys(changes);
+            await db.prepare(`
+              UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?
+            `).run(...columns.map(column => changes[column]), row.id);
+            counts.updated++;
+          }
+        }
+
+        counts.scanned += rows.length;
+        lastId = rows[rows.length - 1].id;
+        await reportProgress(`${label}: ${counts.scanned} of ${total}`);
+      }
+
+      result[table] = counts;
+    }
+
+    const { unmatched } = await db.prepare(
+      'SELECT COUNT(*) as unmatched FROM ingredients WHERE canonical_id IS NULL'
+    ).get();
+    result.unmatched = unmatched;
+
+    await SettingsModel.set(SettingsModel.KEYS.INGREDIENT_KEY_VERSION, String(INGREDIENT_KEY_VERSION));
+    return result;
+  }
+
+  /**
+   * Recompute alias keys after the key rules change (see planAliasRekey())
+   * @returns {Promise<Object>} - { scanned, updated, removed }
+   */
+  static async rekeyAliases() {
+    const aliases = await db.prepare('SELECT id, name, alias_key FROM ingredient_aliases ORDER BY id').all();
+    const { updates, removed } = planAliasRekey(aliases);
+
+    const rekey = db.transaction(async (txDb) => {
+      if (removed.length > 0) {
+        await txDb.prepare(`DELETE FROM ingredient_aliases WHERE id IN (${placeholders(removed)})`).run(...removed);
+      }
+      // Park the moving aliases on keys no name reduces to first, so swapping keys between
+      // two aliases doesn't trip the unique index
+      for (const { id } of updates) {
+        await txDb.prepare('UPDATE ingredient_aliases SET alias_key = ? WHERE id = ?').run(`~${id}`, id);
+      }
+      for (const { id, key } of updates) {
+        await txDb.prepare('UPDATE ingredient_aliases SET alias_key = ? WHERE id = ?').run(key, id);
+      }
+    });
+    await rekey();
+
+    return { scanned: aliases.length, updated: updates.length, removed: removed.length };
+  }
+}
+
+module.exports = CanonicalIngredientModel;
@@ -0,0 +1,353 @@
+const db = require('../config/database');
+const fs = require('fs').promises;
+const path = require('path');
+const { UPLOAD_DIRS } = require('../middleware/upload');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Saving a recipe adds it to the user's default collection, created the first time it's needed
+const DEFAULT_COLLECTION_NAME = 'Favorites';
+
+// The hero image of the first recipe in a collection (outside the trash), for collections without a cover
+const FIRST_RECIPE_IMAGE = `
+  (SELECT ri.filename FROM collection_recipes cr
+   JOIN recipes r ON cr.recipe_id = r.id
+   JOIN recipe_images ri ON ri.recipe_id = r.id
+   WHERE cr.collection_id = c.id AND r.deleted_at IS NULL
+   ORDER BY cr.position, cr.added_at DESC, ri.is_hero DESC, ri.position
+   LIMIT 1)
+`;
+
+const COLLECTION_COLUMNS = `
+  c.id, c.name, c.description, c.cover_filename, c.is_default, c.created_at, c.updated_at,
+  (SELECT COUNT(*) FROM collection_recipes cr
+   JOIN recipes r ON cr.recipe_id = r.id
+   WHERE cr.collection_id = c.id AND r.deleted_at IS NULL) as recipe_count,
+  ${FIRST_RECIPE_IMAGE} as first_recipe_image
+`;
+
+// Public collection details: the cover as a URL (its own, or the first recipe's image)
+const formatCollection = (row) => {
+  if (!row) return null;
+  const { coverFilename, firstRecipeImage, isDefault, ...collection } = toCamelCase(row);
+  collection.isDefault = Boolean(isDefault);
+  collection.hasCustomCover = Boolean(coverFilename);
+  const coverImage = coverFilename || firstRecipeImage;
+  collection.coverUrl = coverImage ? `/uploads/images/${coverImage}` : null;
+  return collection;
+};
+
+/**
+ * Remove a collection's cover image file, logging (not failing) when it is already gone
+ * @param {string|null} filename
+ */
+const removeCoverFile = async (filename) => {
+  if (!filename) return;
+  const filePath = path.join(UPLOAD_DIRS.images, filename);
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    console.warn(`Failed to delete collection cover: ${filePath}`, err.message);
+  }
+};
+
+class CollectionModel {
+  /**
+   * Get the ID of a user's default collection (Favorites), creating it if they don't have one yet
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  static async getDefaultId(userId) {
+    await db.prepare(`
+      INSERT IGNORE INTO collections (user_id, name, is_default) VALUES (?, ?, TRUE)
+    `).run(userId, DEFAULT_COLLECTION_NAME);
+
+    const row = await db.prepare(
+      'SELECT id FROM collections WHERE user_id = ? AND is_default = TRUE'
+    ).get(userId);
+    return row.id;
+  }
+
+  /**
+   * A user's collections, Favorites first and then by name
+   * @param {number} userId
+   * @param {Object} options
+   * @param {number|null} options.recipeId - Also say whether each collection has this recipe
+   * @returns {Promise<Array>}
+   */
+  static async getAll(userId, { recipeId = null } = {}) {
+    await this.getDefaultId(userId);
+
+    const rows = await db.prepare(`
+      SELECT ${COLLECTION_COLUMNS}
+        ${recipeId ? ', EXISTS (SELECT 1 FROM collection_recipes cr WHERE cr.collection_id = c.id AND cr.recipe_id = ?) as has_recipe' : ''}
+      FROM collections c
+      WHERE c.user_id = ?
+      ORDER BY c.is_default IS NULL, c.name
+    `).all(...(recipeId ? [recipeId, userId] : [userId]));
+
+    return rows.map(row => {
+      const collection = formatCollection(row);
+      if (recipeId) collection.hasRecipe = Boolean(collection.hasRecipe);
+      return collection;
+    });
+  }
+
+  /**
+   * Get one of a user's collections
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(userId, id) {
+    const row = await db.prepare(`
+      SELECT ${COLLECTION_COLUMNS} FROM collections c WHERE c.id = ? AND c.user_id = ?
+    `).get(id, userId);
+    return formatCollection(row);
+  }
+
+  /**
+   * Whether the user already has a collection with this name (ignoring case)
+   * @param {number} userId
+   * @param {string} name
+   * @param {number|null} excludeId - The collection being renamed
+   * @returns {Promise<boolean>}
+   */
+  static async nameTaken(userId, name, excludeId = null) {
+    const row = await db.prepare(`
+      SELECT id FROM collections WHERE user_id = ? AND LOWER(name) = LOWER(?) AND id <> ?
+    `).get(userId, name, excludeId || 0);
+    return Boolean(row);
+  }
+
+  /**
+   * Create a collection
+   * @param {number} userId
+   * @param {Object} collection - { name, description, coverFilename }
+   * @returns {Promise<Object>} - The new collection
+   */
+  static async create(userId, { name, description = null, coverFilename = null }) {
+    const result = await db.prepare(`
+      INSERT INTO collections (user_id, name, description, cover_filename) VALUES (?, ?, ?, ?)
+    `).run(userId, name, description, coverFilename);
+
+    return this.getById(userId, result.lastInsertRowid);
+  }
+
+  /**
+   * Update a collection. Omitted fields keep their value; a new cover replaces the old file.
+   * @param {number} userId
+   * @param {number} id
+   * @param {Object} changes - name, description, coverFilename
+   * @returns {Promise<Object|null>} - The updated collection, or null if the user has no such collection
+   */
+  static async update(userId, id, changes) {
+    const existing = await db.prepare('SELECT * FROM collections WHERE id = ? AND user_id = ?').get(id, userId);
+    if (!existing) return null;
+
+    const value = (field, column) => (changes[field] !== undefined ? changes[field] : existing[column]);
+    await db.prepare(`
+      UPDATE collections
+      SET name = ?, description = ?, cover_filename = ?, updated_at = UNIX_TIMESTAMP()
+      WHERE id = ?
+    `).run(
+      value('name', 'name'),
+      value('description', 'description'),
+      value('coverFilename', 'cover_filename'),
+      id
+    );
+
+    if (changes.coverFilename !== undefined && existing.cover_filename !== changes.coverFilename) {
+      await removeCoverFile(existing.cover_filename);
+    }
+
+    return this.getById(userId, id);
+  }
+
+  /**
+   * Delete a collection and its cover; its recipes stay in any other collections
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async delete(userId, id) {
+    const existing = await db.prepare(
+      'SELECT cover_filename FROM collections WHERE id = ? AND user_id = ?'
+    ).get(id, userId);
+    if (!existing) return false;
+
+    await db.prepare('DELETE FROM collections WHERE id = ?').run(id);
+    await removeCoverFile(existing.cover_filename);
+    return true;
+  }
+
+  /**
+   * Recipes in a collection (outside the trash), in the user's order
+   * @param {number} collectionId
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - { recipes, total }
+   */
+  static async getRecipes(collectionId, { limit = 100, offset = 0 } = {}) {
+    const { total } = await db.prepare(`
+      SELECT COUNT(*) as total
+      FROM collection_recipes cr
+      JOIN recipes r ON cr.recipe_id = r.id
+      WHERE cr.collection_id = ? AND r.deleted_at IS NULL
+    `).get(collectionId);
+
+    const rows = await db.prepare(`
+      SELECT r.id, r.title, r.source, r.date_added, r.instructions,
+             r.servings, r.estimated_calories, r.calories_confidence,
+             r.image_path, r.times_cooked, r.rating_average, r.rating_count,
+             r.total_time_minutes, r.created_at, r.updated_at,
+             cr.added_at, cr.position,
+             GROUP_CONCAT(DISTINCT t.name) as tags,
+             (SELECT ri.filename FROM recipe_images ri
+              WHERE ri.recipe_id = r.id
+              ORDER BY ri.is_hero DESC, ri.position ASC
+              LIMIT 1) as hero_image_filename
+      FROM collection_recipes cr
+      JOIN recipes r ON cr.recipe_id = r.id
+      LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
+      LEFT JOIN tags t ON rt.tag_id = t.id
+      WHERE cr.collection_id = ? AND r.deleted_at IS NULL
+      GROUP BY r.id, cr.added_at, cr.position
+      ORDER BY cr.position, cr.added_at DESC
+      LIMIT ?, ?
+    `).all(collectionId, offset, limit);
+
+    const recipes = rows.map(row => {
+      const { heroImageFilename, tags, ...recipe } = toCamelCase(row);
+      recipe.tags = tags ? tags.split(',') : [];
+      recipe.heroImage = heroImageFilename ? `/uploads/images/${heroImageFilename}` : null;
+      return recipe;
+    });
+
+    return { recipes, total };
+  }
+
+  /**
+   * Add a recipe to the top of a collection
+   * @param {number} collectionId
+   * @param {number} recipeId
+   * @returns {Promise<boolean>} - false if it was already there
+   */
+  static async addRecipe(collectionId, recipeId) {
+    const { firstPosition } = await db.prepare(`
+      SELECT COALESCE(MIN(position), 0) as firstPosition FROM collection_recipes WHERE collection_id = ?
+    `).get(collectionId);
+
+    const result = await db.prepare(`
+      INSERT IGNORE INTO collection_recipes (collection_id, recipe_id, position) VALUES (?, ?, ?)
+    `).run(collectionId, recipeId, firstPosition - 1);
+
+    if (result.changes > 0) {
+      await db.prepare('UPDATE collections SET updated_at = UNIX_TIMESTAMP() WHERE id = ?').run(collectionId);
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Take a recipe out of a collection
+   * @param {number} collectionId
+   * @param {number} recipeId
+   * @returns {Promise<boolean>} - false if it wasn't there
+   */
+  static async removeRecipe(collectionId, recipeId) {
+    const result = await db.prepare(`
+      DELETE FROM collection_recipes WHERE collection_id = ? AND recipe_id = ?
+    `).run(collectionId, recipeId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Whether a collection has a recipe
+   * @param {number} collectionId
+   * @param {number} recipeId
+   * @returns {Promise<boolean>}
+   */
+  static async hasRecipe(collectionId, recipeId) {
+    const row = await db.prepare(`
+      SELECT 1 as found FROM collection_recipes WHERE collection_id = ? AND recipe_id = ?
+    `).get(collectionId, recipeId);
+    return Boolean(row);
+  }
+
+  /**
+   * IDs of the recipes in a collection, in order (trashed recipes included)
+   * @param {number} collectionId
+   * @returns {Promise<Array<number>>}
+   */
+  static async getRecipeIds(collectionId) {
+    const rows = await db.prepare(`
+      SELECT recipe_id FROM collection_recipes WHERE collection_id = ? ORDER BY position, added_at DESC
+    `).all(collectionId);
+    return rows.map(row => row.recipe_id);
+  }
+
+  /**
+   * Put a collection's recipes in the given order
+   * @param {number} collectionId
+   * @param {Array<number>} recipeIds - Every recipe in the collection, in the new order
+   * @returns {Promise<boolean>} - false if recipeIds aren't exactly the collection's recipes
+   */
+  static async reorderRecipes(collectionId, recipeIds) {
+    const current = await this.getRecipeIds(collectionId);
+    const wanted = new Set(recipeIds.map(Number));
+    if (wanted.size !== recipeIds.length || wanted.size !== current.length ||
+        !current.every(recipeId => wanted.has(recipeId))) {
+      return false;
+    }
+
+    const reorder = db.transaction(async (txDb) => {
+      for (let position = 0; position < recipeIds.length; position++) {
+        await txDb.prepare(`
+          UPDATE collection_recipes SET position = ? WHERE collection_id = ? AND recipe_id = ?
+        `).run(position, collectionId, recipeIds[position]);
+      }
+      await txDb.prepare('UPDATE collections SET updated_at = UNIX_TIMESTAMP() WHERE id = ?').run(collectionId);
+    });
+    await reorder();
+    return true;
+  }
+
+  /**
+   * Put one recipe in every collection another is in, in its place (used when merging recipes).
+   * Collections that already have the target keep it where it is.
+   * @param {Object} txDb - Transaction-bound database
+   * @param {number} fromRecipeId
+   * @param {number} toRecipeId
+   * @returns {Promise<number>} - How many users' Favorites gained the recipe
+   */
+  static async moveToRecipe(txDb, fromRecipeId, toRecipeId) {
+    let savedBy = 0;
+    for (const isDefault of [true, false]) {
+      const result = await txDb.prepare(`
+        INSERT IGNORE INTO collection_recipes (collection_id, recipe_id, position, added_at)
+        SELECT cr.collection_id, ?, cr.position, cr.added_at
+        FROM collection_recipes cr
+        JOIN collections c ON cr.collection_id = c.id
+        WHERE cr.recipe_id = ? AND c.is_default ${isDefault ? '= TRUE' : 'IS NULL'}
+      `).run(toRecipeId, fromRecipeId);
+      if (isDefault) savedBy = result.changes;
+    }
+    await txDb.prepare('DELETE FROM collection_recipes WHERE recipe_id = ?').run(fromRecipeId);
+    return savedBy;
+  }
+}
+
+module.exports = CollectionModel;
@@ -0,0 +1,276 @@
+const db = require('../config/database');
+const fs = require('fs').promises;
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Entry columns, with the date as YYYY-MM-DD rather than a JS Date at UTC midnight
+const ENTRY_COLUMNS = `
+  cl.id, cl.recipe_id, cl.user_id, DATE_FORMAT(cl.cooked_on, '%Y-%m-%d') as cooked_on,
+  cl.rating, cl.notes, cl.created_at, cl.updated_at
+`;
+
+/**
+ * Recalculate a recipe's times cooked and aggregate rating from its log
+ * @param {Object} database - db or a transaction-bound txDb
+ * @param {number} recipeId
+ */
+const refreshRecipeStats = async (database, recipeId) => {
+  await database.prepare(`
+    UPDATE recipes SET
+      times_cooked = (SELECT COUNT(*) FROM cook_log WHERE recipe_id = ?),
+      rating_count = (SELECT COUNT(rating) FROM cook_log WHERE recipe_id = ?),
+      rating_average = (SELECT ROUND(AVG(rating), 2) FROM cook_log WHERE recipe_id = ?)
+    WHERE id = ?
+  `).run(recipeId, recipeId, recipeId, recipeId);
+};
+
+/**
+ * Remove uploaded photo files, logging (not failing) when one is already gone
+ * @param {Array<string>} filePaths
+ */
+const removePhotoFiles = async (filePaths) => {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+    } catch (err) {
+      console.warn(`Failed to delete cook log photo: ${filePath}`, err.message);
+    }
+  }
+};
+
+class CookLogModel {
+  /**
+   * Record that a user cooked a recipe
+   * @param {Object} entry
+   * @param {number} entry.recipeId
+   * @param {number} entry.userId
+   * @param {string} entry.cookedOn - YYYY-MM-DD
+   * @param {number|null} entry.rating - 1-5
+   * @param {string|null} entry.notes
+   * @param {Array<Object>} entry.photos - Uploaded files (multer)
+   * @returns {Promise<Object>} - The created entry
+   */
+  static async create({ recipeId, userId, cookedOn, rating = null, notes = null, photos = [] }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const entryId = await db.transaction(async (txDb) => {
+      const result = await txDb.prepare(`
+        INSERT INTO cook_log (recipe_id, user_id, cooked_on, rating, notes, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(recipeId, userId, cookedOn, rating, notes, timestamp, timestamp);
+
+      for (let position = 0; position < photos.length; position++) {
+        const photo = photos[position];
+        await txDb.prepare(`
+          INSERT INTO cook_log_photos (cook_log_id, filename, original_name, file_path, file_size, mime_type, position)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(result.lastInsertRowid, photo.filename, photo.originalname, photo.path, photo.size, photo.mimetype, position);
+      }
+
+      await refreshRecipeStats(txDb, recipeId);
+      return result.lastInsertRowid;
+    })();
+
+    return this.getById(entryId);
+  }
+
+  /**
+   * Get a cook log entry with its photos
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(id) {
+    const entry = await db.prepare(`
+      SELECT ${ENTRY_COLUMNS}, r.title as recipe_title
+      FROM cook_log cl
+      JOIN recipes r ON cl.recipe_id = r.id
+      WHERE cl.id = ?
+    `).get(id);
+
+    if (!entry) return null;
+
+    const [withPhotos] = await this.attachPhotos([toCamelCase(entry)]);
+    return withPhotos;
+  }
+
+  /**
+   * Get a user's cooking history, most recent first
+   * @param {number} userId
+   * @param {Object} options - Pagination and an optional recipe filter
+   * @returns {Promise<Object>} - { entries, total }
+   */
+  static async getByUserId(userId, { recipeId = null, limit = 20, offset = 0 } = {}) {
+    // Recipes in the trash drop out of the history until they are restored
+    const conditions = ['cl.user_id = ?', 'r.deleted_at IS NULL'];
+    const params = [userId];
+    if (recipeId) {
+      conditions.push('cl.recipe_id = ?');
+      params.push(recipeId);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await db.prepare(`
+      SELECT COUNT(*) as total FROM cook_log cl JOIN recipes r ON cl.recipe_id = r.id WHERE ${where}
+    `).get(...params);
+
+    const entries = await db.prepare(`
+      SELECT ${ENTRY_COLUMNS}, r.title as recipe_title,
+        (SELECT ri.filename FROM recipe_images ri
+         WHERE ri.recipe_id = r.id
+         ORDER BY ri.is_hero DESC, ri.position ASC
+         LIMIT 1) as hero_image_filename
+      FROM cook_log cl
+      JOIN recipes r ON cl.recipe_id = r.id
+      WHERE ${where}
+      ORDER BY cl.cooked_on DESC, cl.id DESC
+      LIMIT ?, ?
+    `).all(...params, offset, limit);
+
+    const camelEntries = entries.map((entry) => {
+      const { heroImageFilename, ...rest } = toCamelCase(entry);
+      return {
+        ...rest,
+        recipeHeroImage: heroImageFilename ? `/uploads/images/${heroImageFilename}` : null,
+      };
+    });
+
+    return {
+      entries: await this.attachPhotos(camelEntries),
+      total: countResult.total,
+    };
+  }
+
+  /**
+   * Add public photo details (no server paths) to entries
+   * @param {Array<Object>} entries - camelCase entries
+   * @returns {Promise<Array<Object>>}
+   */
+  static async attachPhotos(entries) {
+    if (entries.length === 0) return entries;
+
+    const ids = entries.map((entry) => entry.id);
+    const photos = await db.prepare(`
+      SELECT id, cook_log_id, filename, original_name
+      FROM cook_log_photos
+      WHERE cook_log_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY position
+    `).all(...ids);
+
+    return entries.map((entry) => ({
+      ...entry,
+      photos: photos
+        .filter((photo) => photo.cook_log_id === entry.id)
+        .map((photo) => ({
+          id: photo.id,
+          originalName: photo.original_name,
+          url: `/uploads/images/${photo.filename}`,
+        })),
+    }));
+  }
+
+  /**
+   * Update the date, rating or notes of an entry
+   * @param {number} id
+   * @param {Object} updates - Any of { cookedOn, rating, notes }
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async update(id, updates) {
+    const columns = { cookedOn: 'cooked_on', rating: 'rating', notes: 'notes' };
+    const fields = Object.keys(columns).filter((key) => updates[key] !== undefined);
+
+    await db.transaction(async (txDb) => {
+      if (fields.length > 0) {
+        await txDb.prepare(`
+          UPDATE cook_log
+          SET ${fields.map((key) => `${columns[key]} = ?`).join(', ')}, updated_at = UNIX_TIMESTAMP()
+          WHERE id = ?
+        `).run(...fields.map((key) => updates[key]), id);
+      }
+
+      const entry = await txDb.prepare('SELECT recipe_id FROM cook_log WHERE id = ?').get(id);
+      await refreshRecipeStats(txDb, entry.recipe_id);
+    })();
+
+    return this.getById(id);
+  }
+
+  /**
+   * Delete an entry and its photo files
+   * @param {number} id
+   * @returns {Promise<boolean>} - Whether an entry was deleted
+   */
+  static async delete(id) {
+    const photos = await db.prepare(`
+      SELECT file_path FROM cook_log_photos WHERE cook_log_id = ?
+    `).all(id);
+
+    const deleted = await db.transaction(async (txDb) => {
+      const entry = await txDb.prepare('SELECT recipe_id FROM cook_log WHERE id = ?').get(id);
+      if (!entry) return false;
+
+      await txDb.prepare('DELETE FROM cook_log WHERE id = ?').run(id);
+      await refreshRecipeStats(txDb, entry.recipe_id);
+      return true;
+    })();
+
+    if (deleted) {
+      await removePhotoFiles(photos.map((photo) => photo.file_path));
+    }
+    return deleted;
+  }
+
+  /**
+   * Delete the photo files of every entry for a recipe (the rows go with the recipe's FK cascade)
+   * @param {number} recipeId
+   */
+  static async deletePhotoFilesByRecipeId(recipeId) {
+    const photos = await db.prepare(`
+      SELECT p.file_path
+      FROM cook_log_photos p
+      JOIN cook_log cl ON p.cook_log_id = cl.id
+      WHERE cl.recipe_id = ?
+    `).all(recipeId);
+
+    await removePhotoFiles(photos.map((photo) => photo.file_path));
+  }
+
+  /**
+   * Move every entry for one recipe onto another and recount the target (used when merging recipes)
+   * @param {Object} txDb - Transaction-bound database
+   * @param {number} fromRecipeId
+   * @param {number} toRecipeId
+   * @returns {Promise<number>} - Number of entries moved
+   */
+  static async moveToRecipe(txDb, fromRecipeId, toRecipeId) {
+    const result = await txDb.prepare(`
+      UPDATE cook_log SET recipe_id = ? WHERE recipe_id = ?
+    `).run(toRecipeId, fromRecipeId);
+
+    await refreshRecipeStats(txDb, toRecipeId);
+    return result.changes;
+  }
+
+  /**
+   * Remove files uploaded for an entry that was never saved
+   * @param {Array<Object>} files - Uploaded files (multer)
+   */
+  static async discardUploads(files = []) {
+    await removePhotoFiles(files.map((file) => file.path));
+  }
+}
+
+module.exports = CookLogModel;
@@ -10,14 +10,15 @@ class FileModel {
    * @param {number} fileData.fileSize - File size in bytes
    * @param {string} fileData.mimeType - MIME type
    * @param {number} fileData.uploadedBy - User ID who uploaded
+   * @param {string|null} fileData.contentHash - SHA-256 of the contents, for spotting repeat uploads
    * @returns {Promise<number>} - File ID
    */
-  static async create({ filename, originalName, filePath, fileSize, mimeType, uploadedBy }) {
+  static async create({ filename, originalName, filePath, fileSize, mimeType, uploadedBy, contentHash = null }) {
     const timestamp = Math.floor(Date.now() / 1000);
 
     const stmt = db.prepare(`
-      INSERT INTO uploaded_files (filename, original_name, file_path, file_size, mime_type, uploaded_by, uploaded_at, processed)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO uploaded_files (filename, original_name, file_path, file_size, mime_type, uploaded_by, uploaded_at, processed, content_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = await stmt.run(
@@ -28,7 +29,8 @@ class FileModel {
       mimeType,
       uploadedBy,
       timestamp,
-      0 // not processed yet
+      0, // not processed yet
+      contentHash
     );
 
     return result.lastInsertRowid;
@@ -65,18 +67,19 @@ class FileModel {
   /**
    * Mark file as processed
    * @param {number} fileId
+   * @param {number|null} recipesDetected - How many recipes were found in the file
    * @returns {Promise<void>}
    */
-  static async markAsProcessed(fileId) {
+  static async markAsProcessed(fileId, recipesDetected = null) {
     const stmt = db.prepare(`
       UPDATE uploaded_files
-      SET processed = 1
+      SET processed = 1, recipes_detected = COALESCE(?, recipes_detected)
       WHERE id = ?
     `);
     // Note: Using 1 instead of TRUE for SQLite/MySQL compatibility
     // SQLite: INTEGER 0/1, MySQL: BOOLEAN/TINYINT(1)
 
-    await stmt.run(fileId);
+    await stmt.run(recipesDetected, fileId);
   }
 
   /**
@@ -0,0 +1,97 @@
+const db = require('../config/database');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Per-status job counts; a batch is done when nothing is queued or running
+const BATCH_COLUMNS = `
+  b.*, u.username as created_by_username,
+  COUNT(j.id) as total_jobs,
+  SUM(j.status = 'queued') as queued_jobs,
+  SUM(j.status = 'running') as running_jobs,
+  SUM(j.status = 'completed') as completed_jobs,
+  SUM(j.status = 'failed') as failed_jobs
+`;
+
+const formatBatch = (row) => {
+  if (!row) return null;
+  const batch = toCamelCase(row);
+  batch.skipped = (typeof batch.skipped === 'string' ? JSON.parse(batch.skipped) : batch.skipped) || [];
+  for (const key of ['totalJobs', 'queuedJobs', 'runningJobs', 'completedJobs', 'failedJobs']) {
+    batch[key] = Number(batch[key]) || 0;
+  }
+  batch.finished = batch.queuedJobs + batch.runningJobs === 0;
+  return batch;
+};
+
+class ImportBatchModel {
+  /**
+   * Create a bulk import
+   * @param {Object} batchData
+   * @param {string} batchData.name - Shown in the batch list, e.g. "shoebox.zip"
+   * @param {string} batchData.source - 'files', 'zip' or 'urls'
+   * @param {Array<Object>} batchData.skipped - [{ name, reason }] for items that weren't queued
+   * @param {number} batchData.createdBy - User ID
+   * @returns {Promise<number>} - Batch ID
+   */
+  static async create({ name, source, skipped = [], createdBy }) {
+    const result = await db.prepare(`
+      INSERT INTO import_batches (name, source, skipped, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, source, JSON.stringify(skipped), createdBy, Math.floor(Date.now() / 1000));
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Get a batch with its job counts
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const row = await db.prepare(`
+      SELECT ${BATCH_COLUMNS}
+      FROM import_batches b
+      LEFT JOIN users u ON b.created_by = u.id
+      LEFT JOIN jobs j ON j.batch_id = b.id
+      WHERE b.id = ?
+      GROUP BY b.id, u.username
+    `).all(id);
+
+    return formatBatch(row[0]);
+  }
+
+  /**
+   * List recent batches, newest first
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  static async getAll(limit = 20) {
+    const rows = await db.prepare(`
+      SELECT ${BATCH_COLUMNS}
+      FROM import_batches b
+      LEFT JOIN users u ON b.created_by = u.id
+      LEFT JOIN jobs j ON j.batch_id = b.id
+      GROUP BY b.id, u.username
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT ?
+    `).all(limit);
+
+    return rows.map(formatBatch);
+  }
+}
+
+module.exports = ImportBatchModel;
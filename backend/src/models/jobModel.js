@@ -0,0 +1,264 @@
+const db = require('../config/database');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// mysql2 returns JSON columns parsed, but older rows or drivers may hand back strings
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const formatJob = (row) => {
+  if (!row) return null;
+  const job = toCamelCase(row);
+  job.payload = parseJson(job.payload);
+  job.result = parseJson(job.result);
+  return job;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+class JobModel {
+  /**
+   * Queue a job for the worker
+   * @param {Object} jobData
+   * @param {string} jobData.type - e.g. 'pdf_import'
+   * @param {Object} jobData.payload - Everything the handler needs to run (no file contents)
+   * @param {number} jobData.createdBy - User ID
+   * @param {number} jobData.maxAttempts - Automatic attempts before the job is marked failed
+   * @param {number|null} jobData.batchId - Bulk import the job belongs to
+   * @returns {Promise<Object>} - The queued job
+   */
+  static async create({ type, payload, createdBy, maxAttempts = 3, batchId = null }) {
+    const timestamp = now();
+
+    const result = await db.prepare(`
+      INSERT INTO jobs (type, status, payload, max_attempts, run_at, created_by, batch_id, created_at, updated_at)
+      VALUES (?, 'queued', ?, ?, ?, ?, ?, ?, ?)
+    `).run(type, JSON.stringify(payload), maxAttempts, timestamp, createdBy, batchId, timestamp, timestamp);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const row = await db.prepare(`
+      SELECT j.*, u.username as created_by_username
+      FROM jobs j
+      LEFT JOIN users u ON j.created_by = u.id
+      WHERE j.id = ?
+    `).get(id);
+
+    return formatJob(row);
+  }
+
+  /**
+   * List recent jobs, newest first
+   * @param {Object} options
+   * @param {string|null} options.status - Only jobs with this status
+   * @param {number} options.limit
+   * @returns {Promise<Array>}
+   */
+  static async getAll({ status = null, limit = 50 } = {}) {
+    const where = status ? 'WHERE j.status = ?' : '';
+    const params = status ? [status] : [];
+
+    const rows = await db.prepare(`
+      SELECT j.*, u.username as created_by_username
+      FROM jobs j
+      LEFT JOIN users u ON j.created_by = u.id
+      ${where}
+      ORDER BY j.created_at DESC, j.id DESC
+      LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map(formatJob);
+  }
+
+  /**
+   * Get the jobs of a bulk import in the order they were queued
+   * @param {number} batchId
+   * @returns {Promise<Array>}
+   */
+  static async findByBatchId(batchId) {
+    const rows = await db.prepare(`
+      SELECT * FROM jobs WHERE batch_id = ? ORDER BY id ASC
+    `).all(batchId);
+
+    return rows.map(formatJob);
+  }
+
+  /**
+   * Get the most recently queued job of a type (e.g. the last ingredient backfill)
+   * @param {string} type
+   * @returns {Promise<Object|null>}
+   */
+  static async findLatestByType(type) {
+    const row = await db.prepare(`
+      SELECT j.*, u.username as created_by_username
+      FROM jobs j
+      LEFT JOIN users u ON j.created_by = u.id
+      WHERE j.type = ?
+      ORDER BY j.id DESC
+      LIMIT 1
+    `).get(type);
+
+    return formatJob(row);
+  }
+
+  /**
+   * Take the next due job off the queue and mark it running
+   * SKIP LOCKED keeps two workers from claiming the same job.
+   * @returns {Promise<Object|null>} - The claimed job, or null when nothing is due
+   */
+  static async claimNext() {
+    const jobId = await db.transaction(async (txDb) => {
+      const timestamp = now();
+      const next = await txDb.prepare(`
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_at <= ?
+        ORDER BY run_at ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `).get(timestamp);
+
+      if (!next) return null;
+
+      await txDb.prepare(`
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, progress = NULL,
+            started_at = ?, finished_at = NULL, updated_at = ?
+        WHERE id = ?
+      `).run(timestamp, timestamp, next.id);
+
+      return next.id;
+    })();
+
+    return jobId ? this.findById(jobId) : null;
+  }
+
+  /**
+   * Save what a running job has done so far
+   * @param {number} id
+   * @param {string|null} progress - Short status line for the UI, e.g. "Parsing recipe 2 of 5"
+   * @param {Object} result - Partial result; a re-run picks up from here
+   * @returns {Promise<void>}
+   */
+  static async updateProgress(id, progress, result = undefined) {
+    if (result === undefined) {
+      await db.prepare(`
+        UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ?
+      `).run(progress, now(), id);
+      return;
+    }
+
+    await db.prepare(`
+      UPDATE jobs SET progress = ?, result = ?, updated_at = ? WHERE id = ?
+    `).run(progress, JSON.stringify(result), now(), id);
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {number} id
+   * @param {Object} result
+   * @returns {Promise<void>}
+   */
+  static async complete(id, result) {
+    const timestamp = now();
+
+    await db.prepare(`
+      UPDATE jobs
+      SET status = 'completed', result = ?, error = NULL, progress = NULL, finished_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(JSON.stringify(result), timestamp, timestamp, id);
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {number} id
+   * @param {string} error
+   * @param {number|null} retryAt - Unix time to try again, or null to give up
+   * @returns {Promise<void>}
+   */
+  static async fail(id, error, retryAt = null) {
+    const timestamp = now();
+
+    if (retryAt) {
+      await db.prepare(`
+        UPDATE jobs
+        SET status = 'queued', error = ?, progress = NULL, run_at = ?, updated_at = ?
+        WHERE id = ?
+      `).run(error, retryAt, timestamp, id);
+      return;
+    }
+
+    await db.prepare(`
+      UPDATE jobs
+      SET status = 'failed', error = ?, progress = NULL, finished_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(error, timestamp, timestamp, id);
+  }
+
+  /**
+   * Check whether a job has anything to retry: it failed, or it's a PDF import that
+   * finished with some recipes unreadable
+   * @param {Object} job
+   * @returns {boolean}
+   */
+  static canRetry(job) {
+    return job.status === 'failed' || (job.status === 'completed' && job.result?.failedSegments?.length > 0);
+  }
+
+  /**
+   * Put a failed or partly failed job back on the queue with a fresh set of attempts
+   * @param {number} id
+   * @returns {Promise<boolean>} - False if the job was already queued or running
+   */
+  static async retry(id) {
+    const timestamp = now();
+
+    const result = await db.prepare(`
+      UPDATE jobs
+      SET status = 'queued', attempts = 0, error = NULL, progress = NULL,
+          run_at = ?, finished_at = NULL, updated_at = ?
+      WHERE id = ? AND status IN ('completed', 'failed')
+    `).run(timestamp, timestamp, id);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Re-queue jobs left running when the server stopped mid-job
+   * @returns {Promise<number>} - How many jobs were re-queued
+   */
+  static async requeueInterrupted() {
+    const timestamp = now();
+
+    const result = await db.prepare(`
+      UPDATE jobs SET status = 'queued', progress = NULL, run_at = ?, updated_at = ?
+      WHERE status = 'running'
+    `).run(timestamp, timestamp);
+
+    return result.changes;
+  }
+}
+
+module.exports = JobModel;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { addDays, daysBetween, entryCalories } = require('../utils/mealPlan');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Entry columns with the recipe details the planner shows, and the date as YYYY-MM-DD
+// rather than a JS Date at UTC midnight
+const ENTRY_COLUMNS = `
+  mp.id, mp.recipe_id, DATE_FORMAT(mp.plan_date, '%Y-%m-%d') as date, mp.meal, mp.servings,
+  mp.position, mp.created_at, mp.updated_at,
+  r.title as recipe_title, r.servings as recipe_servings, r.estimated_calories as recipe_estimated_calories,
+  (SELECT ri.filename FROM recipe_images ri
+   WHERE ri.recipe_id = r.id
+   ORDER BY ri.is_hero DESC, ri.position ASC
+   LIMIT 1) as hero_image_filename
+`;
+
+// Recipes in the trash drop out of the plan until they're restored
+const ENTRY_FROM = `
+  FROM meal_plans mp
+  JOIN recipes r ON mp.recipe_id = r.id AND r.deleted_at IS NULL
+`;
+
+const formatEntry = (row) => {
+  if (!row) return null;
+  const {
+    recipeTitle, recipeServings, recipeEstimatedCalories, heroImageFilename, ...entry
+  } = toCamelCase(row);
+  entry.recipe = {
+    id: entry.recipeId,
+    title: recipeTitle,
+    servings: recipeServings,
+    estimatedCalories: recipeEstimatedCalories,
+    heroImage: heroImageFilename ? `/uploads/images/${heroImageFilename}` : null
+  };
+  entry.calories = entryCalories(entry);
+  return entry;
+};
+
+// Next position at the end of a user's meal slot
+const nextPosition = async (database, userId, date, meal) => {
+  const { position } = await database.prepare(`
+    SELECT COALESCE(MAX(position), -1) + 1 as position
+    FROM meal_plans WHERE user_id = ? AND plan_date = ? AND meal = ?
+  `).get(userId, date, meal);
+  return position;
+};
+
+class MealPlanModel {
+  /**
+   * A user's planned entries between two dates, by day, meal and position
+   * @param {number} userId
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} end - YYYY-MM-DD (inclusive)
+   * @returns {Promise<Array>}
+   */
+  static async getRange(userId, start, end) {
+    const rows = await db.prepare(`
+      SELECT ${ENTRY_COLUMNS}
+      ${ENTRY_FROM}
+      WHERE mp.user_id = ? AND mp.plan_date BETWEEN ? AND ?
+      ORDER BY mp.plan_date, mp.meal, mp.position, mp.id
+    `).all(userId, start, end);
+
+    return rows.map(formatEntry);
+  }
+
+  /**
+   * Get one of a user's entries
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(userId, id) {
+    const row = await db.prepare(`
+      SELECT ${ENTRY_COLUMNS}
+      ${ENTRY_FROM}
+      WHERE mp.id = ? AND mp.user_id = ?
+    `).get(id, userId);
+    return formatEntry(row);
+  }
+
+  /**
+   * Plan a recipe at the end of a meal slot
+   * @param {number} userId
+   * @param {Object} entry - { recipeId, date, meal, servings }
+   * @returns {Promise<Object>} - The new entry
+   */
+  static async create(userId, { recipeId, date, meal, servings = null }) {
+    const position = await nextPosition(db, userId, date, meal);
+    const result = await db.prepare(`
+      INSERT INTO meal_plans (user_id, recipe_id, plan_date, meal, servings, position)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, recipeId, date, meal, servings, position);
+
+    return this.getById(userId, result.lastInsertRowid);
+  }
+
+  /**
+   * Move an entry or change its servings. Omitted fields keep their value; servings null goes
+   * back to the recipe's own. A moved entry goes to the end of its new slot.
+   * @param {number} userId
+   * @param {number} id
+   * @param {Object} changes - Any of { date, meal, servings }
+   * @returns {Promise<Object|null>} - The updated entry, or null if the user has no such entry
+   */
+  static async update(userId, id, changes) {
+    const existing = await this.getById(userId, id);
+    if (!existing) return null;
+
+    const date = changes.date ?? existing.date;
+    const meal = changes.meal ?? existing.meal;
+    const servings = changes.servings !== undefined ? changes.servings : existing.servings;
+    const moved = date !== existing.date || meal !== existing.meal;
+    const position = moved ? await nextPosition(db, userId, date, meal) : existing.position;
+
+    await db.prepare(`
+      UPDATE meal_plans
+      SET plan_date = ?, meal = ?, servings = ?, position = ?, updated_at = UNIX_TIMESTAMP()
+      WHERE id = ?
+    `).run(date, meal, servings, position, id);
+
+    return this.getById(userId, id);
+  }
+
+  /**
+   * Remove an entry from a user's plan
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async delete(userId, id) {
+    const result = await db.prepare('DELETE FROM meal_plans WHERE id = ? AND user_id = ?').run(id, userId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Copy a week of the plan onto another week, day for day. Recipes already planned for the
+   * same meal on the target day are skipped, so copying twice doesn't double up.
+   * @param {number} userId
+   * @param {string} fromStart - First day of the week to copy (YYYY-MM-DD)
+   * @param {string} toStart - First day of the week to fill
+   * @returns {Promise<number>} - How many entries were copied
+   */
+  static async copyWeek(userId, fromStart, toStart) {
+    const offset = daysBetween(fromStart, toStart);
+
+    const copy = db.transaction(async (txDb) => {
+      const source = await txDb.prepare(`
+        SELECT mp.recipe_id, DATE_FORMAT(mp.plan_date, '%Y-%m-%d') as date, mp.meal, mp.servings
+        ${ENTRY_FROM}
+        WHERE mp.user_id = ? AND mp.plan_date BETWEEN ? AND ?
+        ORDER BY mp.plan_date, mp.meal, mp.position, mp.id
+      `).all(userId, fromStart, addDays(fromStart, 6));
+
+      let copied = 0;
+      for (const entry of source) {
+        const date = addDays(entry.date, offset);
+        const existing = await txDb.prepare(`
+          SELECT id FROM meal_plans WHERE user_id = ? AND plan_date = ? AND meal = ? AND recipe_id = ?
+        `).get(userId, date, entry.meal, entry.recipe_id);
+        if (existing) continue;
+
+        const position = await nextPosition(txDb, userId, date, entry.meal);
+        await txDb.prepare(`
+          INSERT INTO meal_plans (user_id, recipe_id, plan_date, meal, servings, position)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(userId, entry.recipe_id, date, entry.meal, entry.servings, position);
+        copied += 1;
+      }
+      return copied;
+    });
+
+    return copy();
+  }
+
+  /**
+   * Point planned entries at another recipe (when recipes are merged)
+   * @param {Object} txDb - Transaction-bound database
+   * @param {number} fromRecipeId
+   * @param {number} toRecipeId
+   * @returns {Promise<number>} - How many entries moved
+   */
+  static async moveToRecipe(txDb, fromRecipeId, toRecipeId) {
+    const result = await txDb.prepare(
+      'UPDATE meal_plans SET recipe_id = ? WHERE recipe_id = ?'
+    ).run(toRecipeId, fromRecipeId);
+    return result.changes;
+  }
+
+  /**
+   * Get the secret token for a user's calendar feed, creating one the first time
+   * @param {number} userId
+   * @returns {Promise<string>}
+   */
+  static async getFeedToken(userId) {
+    await db.prepare(
+      'INSERT IGNORE INTO meal_plan_feeds (user_id, token) VALUES (?, ?)'
+    ).run(userId, crypto.randomBytes(24).toString('hex'));
+
+    const row = await db.prepare('SELECT token FROM meal_plan_feeds WHERE user_id = ?').get(userId);
+    return row.token;
+  }
+
+  /**
+   * Replace a user's feed token, so the old feed link stops working
+   * @param {number} userId
+   * @returns {Promise<string>} - The new token
+   */
+  static async resetFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.prepare(`
+      INSERT INTO meal_plan_feeds (user_id, token) VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE token = VALUES(token), created_at = UNIX_TIMESTAMP()
+    `).run(userId, token);
+    return token;
+  }
+
+  /**
+   * Find whose feed a token belongs to
+   * @param {string} token
+   * @returns {Promise<number|null>} - The user ID
+   */
+  static async getUserIdByFeedToken(token) {
+    const row = await db.prepare('SELECT user_id FROM meal_plan_feeds WHERE token = ?').get(token);
+    return row ? row.user_id : null;
+  }
+}
+
+module.exports = MealPlanModel;
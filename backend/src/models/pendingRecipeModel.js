@@ -1,5 +1,29 @@
 const db = require('../config/database');
 const fs = require('fs').promises;
+const { formatIngredientLines } = require('../utils/ingredientSections');
+const { normalizeIngredientNames, withPreparation } = require('../utils/ingredientCatalog');
+
+// Insert ingredients, numbered by their order in the array, with preparation notes split out of names
+const insertIngredients = async (txDb, pendingRecipeId, ingredients) => {
+  const ingredientStmt = txDb.prepare(`
+    INSERT INTO pending_ingredients (pending_recipe_id, name, preparation, quantity, unit, section, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const normalized = normalizeIngredientNames(ingredients);
+  for (let index = 0; index < normalized.length; index++) {
+    const ingredient = normalized[index];
+    await ingredientStmt.run(
+      pendingRecipeId,
+      ingredient.name,
+      ingredient.preparation,
+      ingredient.quantity || null,
+      ingredient.unit || null,
+      ingredient.section || null,
+      index
+    );
+  }
+};
 
 class PendingRecipeModel {
   /**
@@ -11,22 +35,33 @@ class PendingRecipeModel {
    * @param {string} recipeData.category - Recipe category
    * @param {string} recipeData.description - Recipe description
    * @param {string} recipeData.instructions - Cooking instructions
+   * @param {number} recipeData.servings - Number of servings (optional)
+   * @param {number} recipeData.prepTimeMinutes - Prep time in minutes (optional)
+   * @param {number} recipeData.cookTimeMinutes - Cook time in minutes (optional)
+   * @param {number} recipeData.totalTimeMinutes - Total time in minutes (optional)
    * @param {string} recipeData.rawText - Raw extracted PDF text
    * @param {Object} recipeData.parsedData - Full parsed data from LLM
    * @param {Array} recipeData.ingredients - Array of ingredient objects
    * @param {Array} recipeData.tags - Array of tag strings
    * @param {Object} recipeData.imageData - Downloaded image data (optional)
+   * @param {number|null} recipeData.pageStart - First PDF page the recipe came from (optional)
+   * @param {number|null} recipeData.pageEnd - Last PDF page the recipe came from (optional)
+   * @param {Object|null} recipeData.ocrData - OCR results for scanned pages, with per-line confidence (optional)
+   * @param {string|null} recipeData.sourceUrl - Canonical URL of the page it was imported from (optional)
+   * @param {string|null} recipeData.story - Family memory or note read from the recipe (optional)
+   * @param {Array} recipeData.attributions - People the recipe came from: [{ name, relation, role }] (optional)
+   * @param {Array|null} recipeData.originalFileIds - Every uploaded photo it was read from, in page order (optional)
    * @returns {Promise<number>} - Pending recipe ID
    */
-  static async create({ fileId, title, source, category, description, instructions, rawText, parsedData, ingredients = [], tags = [], imageData = null }) {
+  static async create({ fileId, title, source, category, description, instructions, servings = null, prepTimeMinutes = null, cookTimeMinutes = null, totalTimeMinutes = null, rawText, parsedData, ingredients = [], tags = [], imageData = null, pageStart = null, pageEnd = null, ocrData = null, sourceUrl = null, story = null, attributions = [], originalFileIds = null }) {
     const timestamp = Math.floor(Date.now() / 1000);
 
     // Use async transaction with connection-bound db
     const insertPending = db.transaction(async (txDb) => {
       // Insert pending recipe with image data if available
       const recipeStmt = txDb.prepare(`
-        INSERT INTO pending_recipes (file_id, title, source, category, description, instructions, raw_text, parsed_data, created_at, image_filename, image_original_name, image_file_path, image_file_size, image_mime_type)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO pending_recipes (file_id, title, source, category, description, instructions, servings, prep_time_minutes, cook_time_minutes, total_time_minutes, raw_text, parsed_data, page_start, page_end, ocr_data, source_url, story, attributions, original_file_ids, created_at, image_filename, image_original_name, image_file_path, image_file_size, image_mime_type)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const result = await recipeStmt.run(
@@ -36,8 +71,19 @@ class PendingRecipeModel {
         category || null,
         description || null,
         instructions || null,
+        servings ?? null,
+        prepTimeMinutes ?? null,
+        cookTimeMinutes ?? null,
+        totalTimeMinutes ?? null,
         rawText || null,
         JSON.stringify(parsedData),
+        pageStart ?? null,
+        pageEnd ?? null,
+        ocrData ? JSON.stringify(ocrData) : null,
+        sourceUrl,
+        story || null,
+        JSON.stringify(attributions || []),
+        originalFileIds ? JSON.stringify(originalFileIds) : null,
         timestamp,
         imageData?.filename || null,
         imageData?.originalName || null,
@@ -50,21 +96,7 @@ class PendingRecipeModel {
 
       // Insert ingredients
       if (ingredients && ingredients.length > 0) {
-        const ingredientStmt = txDb.prepare(`
-          INSERT INTO pending_ingredients (pending_recipe_id, name, quantity, unit, position)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-
-        for (let index = 0; index < ingredients.length; index++) {
-          const ingredient = ingredients[index];
-          await ingredientStmt.run(
-            newPendingRecipeId,
-            ingredient.name,
-            ingredient.quantity || null,
-            ingredient.unit || null,
-            index
-          );
-        }
+        await insertIngredients(txDb, newPendingRecipeId, ingredients);
       }
 
       // Insert tags
@@ -92,7 +124,7 @@ class PendingRecipeModel {
    */
   static async findById(id) {
     const recipeStmt = db.prepare(`
-      SELECT pr.*, uf.original_name, uf.filename
+      SELECT pr.*, uf.original_name, uf.filename, uf.content_hash, uf.mime_type
       FROM pending_recipes pr
       JOIN uploaded_files uf ON pr.file_id = uf.id
       WHERE pr.id = ?
@@ -106,7 +138,7 @@ class PendingRecipeModel {
 
     // Get ingredients
     const ingredientsStmt = db.prepare(`
-      SELECT name, quantity, unit, position
+      SELECT name, preparation, quantity, unit, section, position
       FROM pending_ingredients
       WHERE pending_recipe_id = ?
       ORDER BY position
@@ -124,22 +156,24 @@ class PendingRecipeModel {
     const tags = tagRows.map(row => row.tag_name);
 
     // Parse JSON data
-    if (recipe.parsed_data) {
-      try {
-        recipe.parsed_data = JSON.parse(recipe.parsed_data);
-      } catch (e) {
-        // Keep as string if invalid JSON
+    for (const column of ['parsed_data', 'ocr_data', 'attributions', 'original_file_ids']) {
+      if (typeof recipe[column] === 'string') {
+        try {
+          recipe[column] = JSON.parse(recipe[column]);
+        } catch (e) {
+          // Keep as string if invalid JSON
+        }
       }
     }
 
-    // Format ingredients as text (one per line) for frontend
-    const ingredients_text = ingredients.map(ing => {
+    // Format ingredients as text (one per line, with "Section:" heading lines) for frontend
+    const ingredients_text = formatIngredientLines(ingredients, ing => {
       const parts = [];
       if (ing.quantity) parts.push(ing.quantity);
       if (ing.unit) parts.push(ing.unit);
-      if (ing.name) parts.push(ing.name);
+      if (ing.name) parts.push(withPreparation(ing));
       return parts.join(' ');
-    }).join('\n');
+    });
 
     // Use instructions as instructions_text for frontend compatibility
     const instructions_text = recipe.instructions || '';
@@ -155,6 +189,7 @@ class PendingRecipeModel {
 
     return {
       ...recipe,
+      attributions: Array.isArray(recipe.attributions) ? recipe.attributions : [],
       ingredients,
       tags,
       ingredients_text,
@@ -169,10 +204,10 @@ class PendingRecipeModel {
    */
   static async getAll() {
     const stmt = db.prepare(`
-      SELECT pr.*, uf.original_name, uf.filename
+      SELECT pr.*, uf.original_name, uf.filename, uf.recipes_detected
       FROM pending_recipes pr
       JOIN uploaded_files uf ON pr.file_id = uf.id
-      ORDER BY pr.created_at DESC
+      ORDER BY uf.uploaded_at DESC, pr.file_id DESC, pr.page_start, pr.id
     `);
 
     const recipes = await stmt.all();
@@ -199,41 +234,42 @@ class PendingRecipeModel {
    * @param {string} updates.category
    * @param {string} updates.description
    * @param {string} updates.instructions
+   * @param {number|null} updates.servings
+   * @param {number|null} updates.prepTimeMinutes
+   * @param {number|null} updates.cookTimeMinutes
+   * @param {number|null} updates.totalTimeMinutes
+   * @param {string|null} updates.story
+   * @param {Array} updates.attributions - [{ name, relation, role }]; omit to keep the current ones
    * @param {Array} updates.ingredients
    * @param {Array} updates.tags
    * @returns {Promise<void>}
    */
-  static async update(id, { title, source, category, description, instructions, ingredients, tags }) {
+  static async update(id, { title, source, category, description, instructions, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, story = null, attributions, ingredients, tags }) {
     // Use async transaction
     const updatePending = db.transaction(async (txDb) => {
       // Update main record
       const updateStmt = txDb.prepare(`
         UPDATE pending_recipes
-        SET title = ?, source = ?, category = ?, description = ?, instructions = ?
+        SET title = ?, source = ?, category = ?, description = ?, instructions = ?, servings = ?,
+            prep_time_minutes = ?, cook_time_minutes = ?, total_time_minutes = ?, story = ?
         WHERE id = ?
       `);
 
-      await updateStmt.run(title, source, category, description, instructions, id);
+      await updateStmt.run(
+        title, source, category, description, instructions, servings ?? null,
+        prepTimeMinutes ?? null, cookTimeMinutes ?? null, totalTimeMinutes ?? null, story || null,
+        id
+      );
+
+      if (attributions) {
+        await txDb.prepare('UPDATE pending_recipes SET attributions = ? WHERE id = ?')
+          .run(JSON.stringify(attributions), id);
+      }
 
       // Delete and re-insert ingredients if provided
       if (ingredients) {
         await txDb.prepare('DELETE FROM pending_ingredients WHERE pending_recipe_id = ?').run(id);
-
-        const ingredientStmt = txDb.prepare(`
-          INSERT INTO pending_ingredients (pending_recipe_id, name, quantity, unit, position)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-
-        for (let index = 0; index < ingredients.length; index++) {
-          const ingredient = ingredients[index];
-          await ingredientStmt.run(
-            id,
-            ingredient.name,
-            ingredient.quantity || null,
-            ingredient.unit || null,
-            index
-          );
-        }
+        await insertIngredients(txDb, id, ingredients);
       }
 
       // Delete and re-insert tags if provided
@@ -294,6 +330,7 @@ class PendingRecipeModel {
     const stmt = db.prepare(`
       SELECT * FROM pending_recipes
       WHERE file_id = ?
+      ORDER BY page_start, id
     `);
 
     return await stmt.all(fileId);
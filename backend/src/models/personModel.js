@@ -0,0 +1,253 @@
+const db = require('../config/database');
+const fs = require('fs').promises;
+const path = require('path');
+const { UPLOAD_DIRS } = require('../middleware/upload');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+const PERSON_COLUMNS = 'p.id, p.name, p.relation, p.birth_year, p.death_year, p.photo_filename';
+
+// Public person details: the photo as a URL rather than a filename
+const formatPerson = (row) => {
+  if (!row) return null;
+  const { photoFilename, ...person } = toCamelCase(row);
+  person.photoUrl = photoFilename ? `/uploads/images/${photoFilename}` : null;
+  return person;
+};
+
+/**
+ * Remove a person's photo file, logging (not failing) when it is already gone
+ * @param {string|null} filename
+ */
+const removePhotoFile = async (filename) => {
+  if (!filename) return;
+  const filePath = path.join(UPLOAD_DIRS.images, filename);
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    console.warn(`Failed to delete person photo: ${filePath}`, err.message);
+  }
+};
+
+class PersonModel {
+  /**
+   * Add a family member
+   * @param {Object} person
+   * @param {string} person.name
+   * @param {string|null} person.relation - e.g. "Aunt", "Great-grandmother"
+   * @param {number|null} person.birthYear
+   * @param {number|null} person.deathYear
+   * @param {string|null} person.photoFilename - Uploaded image in uploads/images
+   * @returns {Promise<Object>} - The new person
+   */
+  static async create({ name, relation = null, birthYear = null, deathYear = null, photoFilename = null }) {
+    const result = await db.prepare(`
+      INSERT INTO people (name, relation, birth_year, death_year, photo_filename)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, relation, birthYear, deathYear, photoFilename);
+
+    return this.getById(result.lastInsertRowid);
+  }
+
+  /**
+   * Get a person
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(id) {
+    const row = await db.prepare(`SELECT ${PERSON_COLUMNS} FROM people p WHERE p.id = ?`).get(id);
+    return formatPerson(row);
+  }
+
+  /**
+   * List everyone, oldest generation first, with how many recipes each is linked to
+   * @returns {Promise<Array>}
+   */
+  static async getAll() {
+    const rows = await db.prepare(`
+      SELECT ${PERSON_COLUMNS},
+        (SELECT COUNT(DISTINCT rp.recipe_id) FROM recipe_people rp
+         JOIN recipes r ON rp.recipe_id = r.id
+         WHERE rp.person_id = p.id AND r.deleted_at IS NULL) as recipe_count
+      FROM people p
+      ORDER BY p.birth_year IS NULL, p.birth_year, p.name
+    `).all();
+
+    return rows.map(formatPerson);
+  }
+
+  /**
+   * Update a person's details. Omitted fields keep their value; a new photo replaces the old file.
+   * @param {number} id
+   * @param {Object} changes - name, relation, birthYear, deathYear, photoFilename
+   * @returns {Promise<Object|null>} - The updated person, or null if there is no such person
+   */
+  static async update(id, changes) {
+    const existing = await db.prepare('SELECT * FROM people WHERE id = ?').get(id);
+    if (!existing) return null;
+
+    const value = (field, column) => (changes[field] !== undefined ? changes[field] : existing[column]);
+    await db.prepare(`
+      UPDATE people
+      SET name = ?, relation = ?, birth_year = ?, death_year = ?, photo_filename = ?, updated_at = UNIX_TIMESTAMP()
+      WHERE id = ?
+    `).run(
+      value('name', 'name'),
+      value('relation', 'relation'),
+      value('birthYear', 'birth_year'),
+      value('deathYear', 'death_year'),
+      value('photoFilename', 'photo_filename'),
+      id
+    );
+
+    if (changes.photoFilename !== undefined && existing.photo_filename !== changes.photoFilename) {
+      await removePhotoFile(existing.photo_filename);
+    }
+
+    return this.getById(id);
+  }
+
+  /**
+   * Delete a person and their photo; their recipes stay, without the attribution
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const existing = await db.prepare('SELECT photo_filename FROM people WHERE id = ?').get(id);
+    if (!existing) return false;
+
+    await db.prepare('DELETE FROM people WHERE id = ?').run(id);
+    await removePhotoFile(existing.photo_filename);
+    return true;
+  }
+
+  /**
+   * Find someone by name (ignoring case), preferring the same relation, or add them
+   * Used to turn attributions read from an imported recipe into people
+   * @param {Object} attribution - { name, relation }
+   * @returns {Promise<number>} - Person ID
+   */
+  static async findOrCreate({ name, relation = null }) {
+    const matches = await db.prepare(`
+      SELECT id, relation FROM people WHERE LOWER(name) = LOWER(?) ORDER BY id
+    `).all(name);
+
+    const sameRelation = matches.find(match =>
+      (match.relation || '').toLowerCase() === (relation || '').toLowerCase());
+    const match = sameRelation || matches.find(candidate => !candidate.relation || !relation);
+    if (match) return match.id;
+
+    const person = await this.create({ name, relation });
+    return person.id;
+  }
+
+  /**
+   * Which of the given IDs belong to people
+   * @param {Array<number>} ids
+   * @returns {Promise<Set<number>>}
+   */
+  static async findExistingIds(ids) {
+    if (ids.length === 0) return new Set();
+    const rows = await db.prepare(
+      `SELECT id FROM people WHERE id IN (${ids.map(() => '?').join(',')})`
+    ).all(...ids);
+    return new Set(rows.map(row => row.id));
+  }
+
+  /**
+   * People a recipe is attributed to, in display order
+   * @param {number} recipeId
+   * @param {Object} database - db or a transaction-bound txDb
+   * @returns {Promise<Array>} - Person details plus role
+   */
+  static async getByRecipeId(recipeId, database = db) {
+    const rows = await database.prepare(`
+      SELECT ${PERSON_COLUMNS}, rp.role
+      FROM recipe_people rp
+      JOIN people p ON rp.person_id = p.id
+      WHERE rp.recipe_id = ?
+      ORDER BY rp.position, p.name
+    `).all(recipeId);
+
+    return rows.map(formatPerson);
+  }
+
+  /**
+   * Recipes a person is linked to (outside the trash), newest first
+   * @param {number} personId
+   * @returns {Promise<Array>} - Recipe summaries plus role
+   */
+  static async getRecipes(personId) {
+    const rows = await db.prepare(`
+      SELECT
+        r.id, r.title, r.source, r.date_added, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count, rp.role,
+        (SELECT ri.filename FROM recipe_images ri
+         WHERE ri.recipe_id = r.id
+         ORDER BY ri.is_hero DESC, ri.position ASC
+         LIMIT 1) as hero_image_filename
+      FROM recipe_people rp
+      JOIN recipes r ON rp.recipe_id = r.id
+      WHERE rp.person_id = ? AND r.deleted_at IS NULL
+      ORDER BY r.date_added DESC, r.id DESC
+    `).all(personId);
+
+    return rows.map(row => {
+      const { heroImageFilename, ...recipe } = toCamelCase(row);
+      recipe.heroImage = heroImageFilename ? `/uploads/images/${heroImageFilename}` : null;
+      return recipe;
+    });
+  }
+
+  /**
+   * Replace a recipe's attributions
+   * @param {Object} txDb - Transaction the recipe is being saved in
+   * @param {number} recipeId
+   * @param {Array} people - [{ personId, role }] in display order
+   */
+  static async setForRecipe(txDb, recipeId, people) {
+    await txDb.prepare('DELETE FROM recipe_people WHERE recipe_id = ?').run(recipeId);
+    await this.addToRecipe(txDb, recipeId, people);
+  }
+
+  /**
+   * Add attributions after any the recipe already has, skipping ones it already has
+   * (and people who have since been deleted)
+   * @param {Object} txDb
+   * @param {number} recipeId
+   * @param {Array} people - [{ personId, role }]
+   * @returns {Promise<number>} - Attributions added
+   */
+  static async addToRecipe(txDb, recipeId, people) {
+    const { nextPosition } = await txDb.prepare(`
+      SELECT COALESCE(MAX(position), -1) + 1 as nextPosition FROM recipe_people WHERE recipe_id = ?
+    `).get(recipeId);
+
+    let added = 0;
+    for (let index = 0; index < people.length; index++) {
+      const { personId, role } = people[index];
+      const result = await txDb.prepare(`
+        INSERT IGNORE INTO recipe_people (recipe_id, person_id, role, position)
+        SELECT ?, id, ?, ? FROM people WHERE id = ?
+      `).run(recipeId, role, nextPosition + index, personId);
+      added += result.changes;
+    }
+    return added;
+  }
+}
+
+module.exports = PersonModel;
@@ -1,5 +1,24 @@
 const db = require('../config/database');
 const RecipeImageModel = require('./recipeImageModel');
+const CookLogModel = require('./cookLogModel');
+const RecipeRevisionModel = require('./recipeRevisionModel');
+const PersonModel = require('./personModel');
+const RecipeOriginalModel = require('./recipeOriginalModel');
+const CollectionModel = require('./collectionModel');
+const MealPlanModel = require('./mealPlanModel');
+const CanonicalIngredientModel = require('./canonicalIngredientModel');
+const { tokenize, buildBooleanQuery, buildSnippet } = require('../utils/search');
+const { ingredientWords, scoreRecipe } = require('../utils/pantry');
+const { normalizeIngredientNames, ingredientKey } = require('../utils/ingredientCatalog');
+
+// Relevance weights for full-text search, per field
+const SEARCH_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  ingredients: 3,
+  source: 1,
+  instructions: 1
+};
 
 // Helper to convert snake_case to camelCase
 const toCamelCase = (obj) => {
@@ -13,50 +32,170 @@ const toCamelCase = (obj) => {
   }, {});
 };
 
+// Build NOT EXISTS conditions that drop recipes with excluded ingredients or tags
+// Ingredient terms match whole words (plus plural endings), so "ham" excludes "smoked ham" but not "graham crackers"
+const buildExclusionConditions = ({ excludeIngredients, excludeTags } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (excludeIngredients && excludeIngredients.length > 0) {
+    const pattern = excludeIngredients
+      .map(term => term.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM ingredients xi
+      WHERE xi.recipe_id = r.id AND LOWER(xi.name) REGEXP ?
+    )`);
+    params.push(`\\b(${pattern})(s|es)?\\b`);
+  }
+
+  if (excludeTags && excludeTags.length > 0) {
+    const normalizedTags = excludeTags.map(tag => tag.trim().toLowerCase());
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM recipe_tags xrt
+      JOIN tags xt ON xrt.tag_id = xt.id
+      WHERE xrt.recipe_id = r.id AND LOWER(TRIM(xt.name)) IN (${normalizedTags.map(() => '?').join(',')})
+    )`);
+    params.push(...normalizedTags);
+  }
+
+  return { conditions, params };
+};
+
+// An ingredient filter matches names containing the term, or ingredients linked to the catalog
+// entry the term is a name for ("AP flour" finds recipes calling for "all-purpose flour")
+const ingredientCondition = (alias, term) => ({
+  sql: `(LOWER(TRIM(${alias}.name)) LIKE LOWER(?) OR ${alias}.canonical_id IN (
+    SELECT canonical_id FROM ingredient_aliases WHERE alias_key = ?
+  ))`,
+  params: [`%${term.trim()}%`, ingredientKey(term)]
+});
+
+// Insert instruction steps, numbered by their order in the array
+const insertSteps = async (txDb, recipeId, steps) => {
+  const stepStmt = txDb.prepare(`
+    INSERT INTO recipe_steps (recipe_id, position, section, text, timer_seconds)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    await stepStmt.run(recipeId, index, step.section || null, step.text, step.timerSeconds || null);
+  }
+};
+
+// Insert ingredients, numbered by their order in the array.
+// Preparation notes are split out of names and each name is linked to the ingredient catalog.
+const insertIngredients = async (txDb, recipeId, ingredients) => {
+  const normalized = normalizeIngredientNames(ingredients);
+  const matches = await CanonicalIngredientModel.matchNames(normalized.map(ing => ing.name), txDb);
+
+  const ingredientStmt = txDb.prepare(`
+    INSERT INTO ingredients (recipe_id, name, preparation, quantity, unit, section, position, name_key, canonical_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (let index = 0; index < normalized.length; index++) {
+    const ing = normalized[index];
+    const key = ingredientKey(ing.name);
+    await ingredientStmt.run(
+      recipeId,
+      ing.name,
+      ing.preparation,
+      ing.quantity || null,
+      ing.unit || null,
+      ing.section || null,
+      index,
+      key,
+      matches.get(key) || null
+    );
+  }
+};
+
+// Link tags to a recipe, creating any that don't exist yet
+const insertTags = async (txDb, recipeId, tags) => {
+  const tagStmt = txDb.prepare('INSERT IGNORE INTO tags (name) VALUES (?)');
+  const getTagStmt = txDb.prepare('SELECT id FROM tags WHERE name = ?');
+  const recipeTagStmt = txDb.prepare('INSERT INTO recipe_tags (recipe_id, tag_id) VALUES (?, ?)');
+
+  for (const tagName of tags) {
+    await tagStmt.run(tagName);
+    const tag = await getTagStmt.get(tagName);
+    await recipeTagStmt.run(recipeId, tag.id);
+  }
+};
+
+// Recipe fields a merged duplicate may fill in when the recipe has no value yet
+const FILLABLE_COLUMNS = {
+  source: 'source',
+  sourceUrl: 'source_url',
+  sourceFileId: 'source_file_id',
+  instructions: 'instructions',
+  servings: 'servings',
+  prepTimeMinutes: 'prep_time_minutes',
+  cookTimeMinutes: 'cook_time_minutes',
+  totalTimeMinutes: 'total_time_minutes',
+  story: 'story',
+  notes: 'notes'
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Fields an admin can take from the other recipe when merging two, and the columns each brings.
+// Ingredients bring their calorie estimate; instructions bring their steps.
+const MERGEABLE_FIELDS = {
+  title: ['title'],
+  source: ['source', 'source_url'],
+  servings: ['servings'],
+  prepTimeMinutes: ['prep_time_minutes'],
+  cookTimeMinutes: ['cook_time_minutes'],
+  totalTimeMinutes: ['total_time_minutes'],
+  ingredients: ['estimated_calories', 'calories_confidence'],
+  instructions: ['instructions'],
+  story: ['story'],
+  notes: ['notes']
+};
+
 class RecipeModel {
   // Create a new recipe with ingredients and tags
   static async create(recipeData) {
-    const { title, source, instructions, imagePath, ingredients, tags } = recipeData;
+    const {
+      title, source, instructions, steps, imagePath, ingredients, tags, servings = null,
+      prepTimeMinutes = null, cookTimeMinutes = null, totalTimeMinutes = null,
+      sourceUrl = null, sourceFileId = null, story = null, notes = null, people = [], originals = [], addedBy = null
+    } = recipeData;
 
     // Use async transaction with connection-bound db
     const insert = db.transaction(async (txDb) => {
       // Insert recipe using transaction-bound connection
       const recipeStmt = txDb.prepare(`
-        INSERT INTO recipes (title, source, instructions, image_path)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO recipes (title, source, instructions, image_path, servings, prep_time_minutes, cook_time_minutes, total_time_minutes, source_url, source_file_id, story, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
-      const result = await recipeStmt.run(title, source, instructions, imagePath);
+      const result = await recipeStmt.run(title, source, instructions, imagePath, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, sourceUrl, sourceFileId, story, notes);
       const recipeId = result.lastInsertRowid;
 
       // Insert ingredients
       if (ingredients && ingredients.length > 0) {
-        const ingredientStmt = txDb.prepare(`
-          INSERT INTO ingredients (recipe_id, name, quantity, unit, position)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-        for (let index = 0; index < ingredients.length; index++) {
-          const ing = ingredients[index];
-          await ingredientStmt.run(
-            recipeId,
-            ing.name,
-            ing.quantity || null,
-            ing.unit || null,
-            index
-          );
-        }
+        await insertIngredients(txDb, recipeId, ingredients);
+      }
+
+      // Insert instruction steps
+      if (steps && steps.length > 0) {
+        await insertSteps(txDb, recipeId, steps);
       }
 
       // Insert tags
       if (tags && tags.length > 0) {
-        const tagStmt = txDb.prepare(`INSERT IGNORE INTO tags (name) VALUES (?)`);
-        const getTagStmt = txDb.prepare(`SELECT id FROM tags WHERE name = ?`);
-        const recipeTagStmt = txDb.prepare(`INSERT INTO recipe_tags (recipe_id, tag_id) VALUES (?, ?)`);
-
-        for (const tagName of tags) {
-          await tagStmt.run(tagName);
-          const tag = await getTagStmt.get(tagName);
-          await recipeTagStmt.run(recipeId, tag.id);
-        }
+        await insertTags(txDb, recipeId, tags);
+      }
+
+      // Link the people it came from
+      if (people && people.length > 0) {
+        await PersonModel.addToRecipe(txDb, recipeId, people);
+      }
+
+      // Keep the scans or PDF pages it was transcribed from
+      if (originals.length > 0) {
+        await RecipeOriginalModel.addToRecipe(txDb, recipeId, originals, addedBy);
       }
 
       return recipeId;
@@ -66,8 +205,8 @@ class RecipeModel {
     return this.getById(recipeId);
   }
 
-  // Get recipe by ID with all related data
-  static async getById(id) {
+  // Get recipe by ID with all related data (recipes in the trash only when includeDeleted is set)
+  static async getById(id, { includeDeleted = false } = {}) {
     const recipe = await db.prepare(`
       SELECT
         r.*,
@@ -75,7 +214,7 @@ class RecipeModel {
       FROM recipes r
       LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
       LEFT JOIN tags t ON rt.tag_id = t.id
-      WHERE r.id = ?
+      WHERE r.id = ? ${includeDeleted ? '' : 'AND r.deleted_at IS NULL'}
       GROUP BY r.id
     `).get(id);
 
@@ -83,12 +222,20 @@ class RecipeModel {
 
     // Get ingredients
     const ingredients = await db.prepare(`
-      SELECT name, quantity, unit, position
+      SELECT name, preparation, quantity, unit, section, position
       FROM ingredients
       WHERE recipe_id = ?
       ORDER BY position
     `).all(id);
 
+    // Get instruction steps
+    const steps = await db.prepare(`
+      SELECT id, position, section, text, timer_seconds
+      FROM recipe_steps
+      WHERE recipe_id = ?
+      ORDER BY position
+    `).all(id);
+
     // Get images (sanitized - no server paths exposed)
     const images = await RecipeImageModel.getByRecipeIdPublic(id);
 
@@ -96,7 +243,10 @@ class RecipeModel {
     const camelRecipe = toCamelCase(recipe);
     camelRecipe.tags = recipe.tags ? recipe.tags.split(',') : [];
     camelRecipe.ingredients = ingredients.map(toCamelCase);
+    camelRecipe.steps = steps.map(toCamelCase);
     camelRecipe.images = images;
+    camelRecipe.people = await PersonModel.getByRecipeId(id);
+    camelRecipe.originals = await RecipeOriginalModel.getByRecipeId(id);
 
     // Set heroImage for convenience (first hero image or first image)
     const heroImage = images.find(img => img.isHero) || images[0] || null;
@@ -113,7 +263,8 @@ class RecipeModel {
 
     const recipes = await db.prepare(`
       SELECT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -122,6 +273,7 @@ class RecipeModel {
       FROM recipes r
       LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
       LEFT JOIN tags t ON rt.tag_id = t.id
+      WHERE r.deleted_at IS NULL
       GROUP BY r.id
       ORDER BY r.date_added DESC
       LIMIT ?, ?
@@ -142,10 +294,11 @@ class RecipeModel {
 
   // Search recipes by ingredient
   static async searchByIngredient(ingredientName) {
-    const trimmed = ingredientName.trim();
+    const match = ingredientCondition('i', ingredientName);
     const recipes = await db.prepare(`
       SELECT DISTINCT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -155,10 +308,10 @@ class RecipeModel {
       JOIN ingredients i ON r.id = i.recipe_id
       LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
       LEFT JOIN tags t ON rt.tag_id = t.id
-      WHERE LOWER(TRIM(i.name)) LIKE LOWER(?)
+      WHERE ${match.sql} AND r.deleted_at IS NULL
       GROUP BY r.id
       ORDER BY r.date_added DESC
-    `).all(`%${trimmed}%`);
+    `).all(...match.params);
 
     return recipes.map(recipe => {
       const camelRecipe = toCamelCase(recipe);
@@ -182,7 +335,8 @@ class RecipeModel {
 
     const recipes = await db.prepare(`
       SELECT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -191,7 +345,7 @@ class RecipeModel {
       FROM recipes r
       LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
       LEFT JOIN tags t ON rt.tag_id = t.id
-      WHERE r.id IN (
+      WHERE r.deleted_at IS NULL AND r.id IN (
         SELECT recipe_id
         FROM ingredients
         WHERE LOWER(TRIM(name)) IN (${placeholders})
@@ -223,7 +377,8 @@ class RecipeModel {
 
     const recipes = await db.prepare(`
       SELECT DISTINCT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t2.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -234,7 +389,7 @@ class RecipeModel {
       JOIN tags t ON rt.tag_id = t.id
       LEFT JOIN recipe_tags rt2 ON r.id = rt2.recipe_id
       LEFT JOIN tags t2 ON rt2.tag_id = t2.id
-      WHERE LOWER(TRIM(t.name)) IN (${placeholders})
+      WHERE LOWER(TRIM(t.name)) IN (${placeholders}) AND r.deleted_at IS NULL
       GROUP BY r.id
       ORDER BY r.date_added DESC
     `).all(...normalized);
@@ -254,7 +409,8 @@ class RecipeModel {
     const trimmed = title.trim();
     const recipes = await db.prepare(`
       SELECT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -263,7 +419,7 @@ class RecipeModel {
       FROM recipes r
       LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
       LEFT JOIN tags t ON rt.tag_id = t.id
-      WHERE LOWER(r.title) LIKE LOWER(?)
+      WHERE LOWER(r.title) LIKE LOWER(?) AND r.deleted_at IS NULL
       GROUP BY r.id
       ORDER BY r.date_added DESC
     `).all(`%${trimmed}%`);
@@ -286,7 +442,8 @@ class RecipeModel {
 
     let query = `
       SELECT DISTINCT
-        r.id, r.title, r.source, r.date_added, r.image_path,
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
         GROUP_CONCAT(DISTINCT t2.name) as tags,
         (SELECT ri.filename FROM recipe_images ri
          WHERE ri.recipe_id = r.id
@@ -314,7 +471,7 @@ class RecipeModel {
       `;
     }
 
-    query += ' WHERE 1=1 ';
+    query += ' WHERE r.deleted_at IS NULL ';
 
     // Title filter
     if (title) {
@@ -325,8 +482,9 @@ class RecipeModel {
     // Ingredient filters (AND logic with partial matching)
     if (ingredients && ingredients.length > 0) {
       ingredients.forEach((ingredient, index) => {
-        conditions.push(`LOWER(TRIM(i${index}.name)) LIKE LOWER(?)`);
-        params.push(`%${ingredient.trim()}%`);
+        const match = ingredientCondition(`i${index}`, ingredient);
+        conditions.push(match.sql);
+        params.push(...match.params);
       });
     }
 
@@ -338,6 +496,11 @@ class RecipeModel {
       params.push(...normalizedTags);
     }
 
+    // Exclusion filters (ingredients/allergens and tags)
+    const exclusions = buildExclusionConditions(filters);
+    conditions.push(...exclusions.conditions);
+    params.push(...exclusions.params);
+
     if (conditions.length > 0) {
       query += ' AND ' + conditions.join(' AND ');
     }
@@ -356,39 +519,231 @@ class RecipeModel {
     });
   }
 
-  // Update recipe
-  static async update(id, recipeData) {
-    const { title, source, instructions, imagePath, ingredients, tags } = recipeData;
+  // Full-text search across title, ingredients, tags, source and instructions
+  // Results are ranked by weighted relevance and include a highlighted snippet
+  static async fullTextSearch(queryText, filters = {}) {
+    const terms = tokenize(queryText);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const { title, ingredients, tags } = filters;
+    const booleanQuery = buildBooleanQuery(terms);
+    const w = SEARCH_WEIGHTS;
+
+    const conditions = ['r.deleted_at IS NULL', `(
+      MATCH(r.title) AGAINST (? IN BOOLEAN MODE)
+      OR MATCH(r.source) AGAINST (? IN BOOLEAN MODE)
+      OR MATCH(r.instructions) AGAINST (? IN BOOLEAN MODE)
+      OR r.id IN (SELECT i.recipe_id FROM ingredients i WHERE MATCH(i.name) AGAINST (? IN BOOLEAN MODE))
+      OR r.id IN (
+        SELECT rt.recipe_id FROM recipe_tags rt
+        JOIN tags t ON rt.tag_id = t.id
+        WHERE MATCH(t.name) AGAINST (? IN BOOLEAN MODE)
+      )
+    )`];
+    const conditionParams = Array(5).fill(booleanQuery);
+
+    // Optional title filter
+    if (title) {
+      conditions.push('LOWER(r.title) LIKE LOWER(?)');
+      conditionParams.push(`%${title.trim()}%`);
+    }
+
+    // Optional ingredient filters (AND logic with partial matching)
+    if (ingredients && ingredients.length > 0) {
+      ingredients.forEach(ingredient => {
+        const match = ingredientCondition('fi', ingredient);
+        conditions.push(`EXISTS (
+          SELECT 1 FROM ingredients fi
+          WHERE fi.recipe_id = r.id AND ${match.sql}
+        )`);
+        conditionParams.push(...match.params);
+      });
+    }
+
+    // Optional tag filters (OR logic)
+    if (tags && tags.length > 0) {
+      const normalizedTags = tags.map(tag => tag.trim().toLowerCase());
+      conditions.push(`EXISTS (
+        SELECT 1 FROM recipe_tags frt
+        JOIN tags ft ON frt.tag_id = ft.id
+        WHERE frt.recipe_id = r.id AND LOWER(TRIM(ft.name)) IN (${normalizedTags.map(() => '?').join(',')})
+      )`);
+      conditionParams.push(...normalizedTags);
+    }
+
+    const exclusions = buildExclusionConditions(filters);
+    conditions.push(...exclusions.conditions);
+    conditionParams.push(...exclusions.params);
+
+    const recipes = await db.prepare(`
+      SELECT
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
+        r.instructions,
+        (SELECT GROUP_CONCAT(t.name) FROM recipe_tags rt
+         JOIN tags t ON rt.tag_id = t.id
+         WHERE rt.recipe_id = r.id) as tags,
+        (SELECT GROUP_CONCAT(i.name ORDER BY i.position SEPARATOR ', ') FROM ingredients i
+         WHERE i.recipe_id = r.id) as ingredient_names,
+        (SELECT ri.filename FROM recipe_images ri
+         WHERE ri.recipe_id = r.id
+         ORDER BY ri.is_hero DESC, ri.position ASC
+         LIMIT 1) as hero_image_filename,
+        (
+          MATCH(r.title) AGAINST (? IN BOOLEAN MODE) * ${w.title}
+          + MATCH(r.source) AGAINST (? IN BOOLEAN MODE) * ${w.source}
+          + MATCH(r.instructions) AGAINST (? IN BOOLEAN MODE) * ${w.instructions}
+          + COALESCE((SELECT SUM(MATCH(i.name) AGAINST (? IN BOOLEAN MODE))
+                      FROM ingredients i WHERE i.recipe_id = r.id), 0) * ${w.ingredients}
+          + COALESCE((SELECT SUM(MATCH(t.name) AGAINST (? IN BOOLEAN MODE))
+                      FROM recipe_tags rt JOIN tags t ON rt.tag_id = t.id
+                      WHERE rt.recipe_id = r.id), 0) * ${w.tags}
+        ) as relevance
+      FROM recipes r
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY relevance DESC, r.date_added DESC
+      LIMIT 100
+    `).all(...Array(5).fill(booleanQuery), ...conditionParams);
+
+    return recipes.map(recipe => {
+      const { instructions, ingredient_names: ingredientNames, ...listFields } = recipe;
+      const camelRecipe = toCamelCase(listFields);
+      camelRecipe.tags = recipe.tags ? recipe.tags.split(',') : [];
+      camelRecipe.heroImage = recipe.hero_image_filename
+        ? `/uploads/images/${recipe.hero_image_filename}`
+        : null;
+      camelRecipe.relevance = Math.round(Number(recipe.relevance) * 1000) / 1000;
+      // Title is checked last since cards already show it
+      camelRecipe.snippet = buildSnippet({
+        ingredients: ingredientNames,
+        instructions,
+        tags: camelRecipe.tags.join(', '),
+        source: recipe.source,
+        title: recipe.title
+      }, terms);
+      return camelRecipe;
+    });
+  }
+
+  // Pantry search: rank recipes by how many of their ingredients are on hand
+  // Returns recipes missing at most `maxMissing` ingredients, each with its missing list
+  static async pantrySearch(pantry, { maxMissing = 2, includeStaples = false, limit = 50 } = {}) {
+    const pantryWords = [...new Set(pantry.flatMap(ingredientWords))];
+    if (pantryWords.length === 0) {
+      return [];
+    }
+
+    // Narrow to recipes sharing at least one word with the pantry before scoring in JS
+    const likeConditions = pantryWords.map(() => 'LOWER(i.name) LIKE ?').join(' OR ');
+    const candidateRows = await db.prepare(`
+      SELECT recipe_id, name
+      FROM ingredients
+      WHERE recipe_id IN (
+        SELECT DISTINCT i.recipe_id
+        FROM ingredients i
+        JOIN recipes r ON i.recipe_id = r.id
+        WHERE r.deleted_at IS NULL AND (${likeConditions})
+      )
+      ORDER BY recipe_id, position
+    `).all(...pantryWords.map(word => `%${word}%`));
+
+    const ingredientsByRecipe = new Map();
+    for (const row of candidateRows) {
+      if (!ingredientsByRecipe.has(row.recipe_id)) {
+        ingredientsByRecipe.set(row.recipe_id, []);
+      }
+      ingredientsByRecipe.get(row.recipe_id).push({ name: row.name });
+    }
+
+    const scored = [];
+    for (const [recipeId, ingredients] of ingredientsByRecipe) {
+      const score = scoreRecipe(ingredients, pantry, { includeStaples });
+      if (score.matchedCount > 0 && score.missingIngredients.length <= maxMissing) {
+        scored.push({ recipeId, ...score });
+      }
+    }
+
+    // Fewest missing first, then the best coverage of the recipe
+    scored.sort((a, b) =>
+      a.missingIngredients.length - b.missingIngredients.length ||
+      b.matchScore - a.matchScore ||
+      b.matchedCount - a.matchedCount
+    );
+    const top = scored.slice(0, Math.min(Math.max(1, limit), 100));
+    if (top.length === 0) {
+      return [];
+    }
+
+    const placeholders = top.map(() => '?').join(',');
+    const recipes = await db.prepare(`
+      SELECT
+        r.id, r.title, r.source, r.date_added, r.image_path, r.total_time_minutes,
+        r.times_cooked, r.rating_average, r.rating_count,
+        GROUP_CONCAT(DISTINCT t.name) as tags,
+        (SELECT ri.filename FROM recipe_images ri
+         WHERE ri.recipe_id = r.id
+         ORDER BY ri.is_hero DESC, ri.position ASC
+         LIMIT 1) as hero_image_filename
+      FROM recipes r
+      LEFT JOIN recipe_tags rt ON r.id = rt.recipe_id
+      LEFT JOIN tags t ON rt.tag_id = t.id
+      WHERE r.id IN (${placeholders}) AND r.deleted_at IS NULL
+      GROUP BY r.id
+    `).all(...top.map(match => match.recipeId));
+
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+
+    return top
+      .filter(match => recipesById.has(match.recipeId))
+      .map(({ recipeId, ...score }) => {
+        const recipe = recipesById.get(recipeId);
+        const camelRecipe = toCamelCase(recipe);
+        camelRecipe.tags = recipe.tags ? recipe.tags.split(',') : [];
+        camelRecipe.heroImage = recipe.hero_image_filename
+          ? `/uploads/images/${recipe.hero_image_filename}`
+          : null;
+        return { ...camelRecipe, ...score };
+      });
+  }
+
+  // Update recipe, keeping its previous version in the revision history
+  static async update(id, recipeData, editedBy = null) {
+    const {
+      title, source, instructions, steps, imagePath, ingredients, tags, servings = null,
+      prepTimeMinutes = null, cookTimeMinutes = null, totalTimeMinutes = null, story = null, notes = null, people
+    } = recipeData;
 
     // Use async transaction with connection-bound db
     const update = db.transaction(async (txDb) => {
+      const before = await RecipeRevisionModel.snapshot(id, txDb);
+
       // Update recipe using transaction-bound connection
       const updateStmt = txDb.prepare(`
         UPDATE recipes
-        SET title = ?, source = ?, instructions = ?, image_path = ?, updated_at = UNIX_TIMESTAMP()
+        SET title = ?, source = ?, instructions = ?, image_path = ?, servings = ?,
+            prep_time_minutes = ?, cook_time_minutes = ?, total_time_minutes = ?, story = ?, notes = ?,
+            updated_at = UNIX_TIMESTAMP()
         WHERE id = ?
       `);
-      await updateStmt.run(title, source, instructions, imagePath, id);
+      await updateStmt.run(title, source, instructions, imagePath, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, story, notes, id);
 
       // Delete and re-insert ingredients if provided
       if (ingredients !== undefined) {
         await txDb.prepare('DELETE FROM ingredients WHERE recipe_id = ?').run(id);
 
         if (ingredients.length > 0) {
-          const ingredientStmt = txDb.prepare(`
-            INSERT INTO ingredients (recipe_id, name, quantity, unit, position)
-            VALUES (?, ?, ?, ?, ?)
-          `);
-          for (let index = 0; index < ingredients.length; index++) {
-            const ing = ingredients[index];
-            await ingredientStmt.run(
-              id,
-              ing.name,
-              ing.quantity || null,
-              ing.unit || null,
-              index
-            );
-          }
+          await insertIngredients(txDb, id, ingredients);
+        }
+      }
+
+      // Delete and re-insert steps if provided
+      if (steps !== undefined) {
+        await txDb.prepare('DELETE FROM recipe_steps WHERE recipe_id = ?').run(id);
+
+        if (steps.length > 0) {
+          await insertSteps(txDb, id, steps);
         }
       }
 
@@ -397,17 +752,16 @@ class RecipeModel {
         await txDb.prepare('DELETE FROM recipe_tags WHERE recipe_id = ?').run(id);
 
         if (tags.length > 0) {
-          const tagStmt = txDb.prepare('INSERT IGNORE INTO tags (name) VALUES (?)');
-          const getTagStmt = txDb.prepare('SELECT id FROM tags WHERE name = ?');
-          const recipeTagStmt = txDb.prepare('INSERT INTO recipe_tags (recipe_id, tag_id) VALUES (?, ?)');
-
-          for (const tagName of tags) {
-            await tagStmt.run(tagName);
-            const tag = await getTagStmt.get(tagName);
-            await recipeTagStmt.run(id, tag.id);
-          }
+          await insertTags(txDb, id, tags);
         }
       }
+
+      // Replace who the recipe came from if provided
+      if (people !== undefined) {
+        await PersonModel.setForRecipe(txDb, id, people);
+      }
+
+      await RecipeRevisionModel.record(txDb, id, before, { action: 'update', editedBy });
     });
 
     await update();
@@ -418,29 +772,323 @@ class RecipeModel {
     return this.getById(id);
   }
 
-  // Delete recipe
-  static async delete(id) {
+  // Merge a duplicate into this recipe: fill in fields the recipe has no value for, add
+  // ingredients or steps only if it has none, and add any new tags and people. Nothing is overwritten.
+  // Returns { filled: field names, tagsAdded }, or null if the recipe doesn't exist
+  static async fillMissing(id, incoming, editedBy = null) {
+    const fill = db.transaction(async (txDb) => {
+      const recipe = await txDb.prepare(
+        'SELECT * FROM recipes WHERE id = ? AND deleted_at IS NULL FOR UPDATE'
+      ).get(id);
+      if (!recipe) return null;
+      const before = await RecipeRevisionModel.snapshot(id, txDb);
+
+      const filled = [];
+      const assignments = [];
+      const params = [];
+      for (const [field, column] of Object.entries(FILLABLE_COLUMNS)) {
+        if (isBlank(recipe[column]) && !isBlank(incoming[field])) {
+          assignments.push(`${column} = ?`);
+          params.push(incoming[field]);
+          filled.push(field);
+        }
+      }
+      if (assignments.length > 0) {
+        await txDb.prepare(`
+          UPDATE recipes SET ${assignments.join(', ')}, updated_at = UNIX_TIMESTAMP() WHERE id = ?
+        `).run(...params, id);
+      }
+
+      const { ingredientCount } = await txDb.prepare(
+        'SELECT COUNT(*) as ingredientCount FROM ingredients WHERE recipe_id = ?'
+      ).get(id);
+      if (ingredientCount === 0 && incoming.ingredients?.length > 0) {
+        await insertIngredients(txDb, id, incoming.ingredients);
+        filled.push('ingredients');
+      }
+
+      const { stepCount } = await txDb.prepare(
+        'SELECT COUNT(*) as stepCount FROM recipe_steps WHERE recipe_id = ?'
+      ).get(id);
+      if (stepCount === 0 && incoming.steps?.length > 0) {
+        await insertSteps(txDb, id, incoming.steps);
+        filled.push('steps');
+      }
+
+      const tagRows = await txDb.prepare(`
+        SELECT t.name FROM recipe_tags rt JOIN tags t ON rt.tag_id = t.id WHERE rt.recipe_id = ?
+      `).all(id);
+      const seenTags = new Set(tagRows.map(row => row.name.trim().toLowerCase()));
+      const tagsAdded = [];
+      for (const tag of (incoming.tags || []).map(name => name.trim()).filter(Boolean)) {
+        if (seenTags.has(tag.toLowerCase())) continue;
+        seenTags.add(tag.toLowerCase());
+        tagsAdded.push(tag);
+      }
+      await insertTags(txDb, id, tagsAdded);
+
+      if (incoming.people?.length > 0 && await PersonModel.addToRecipe(txDb, id, incoming.people) > 0) {
+        filled.push('people');
+      }
+
+      // Keep the duplicate's scans too, so every copy of the handwritten original stays viewable
+      if (incoming.originals?.length > 0) {
+        await RecipeOriginalModel.addToRecipe(txDb, id, incoming.originals, editedBy);
+      }
+
+      await RecipeRevisionModel.record(txDb, id, before, { action: 'merge', editedBy });
+      return { filled, tagsAdded };
+    });
+
+    return fill();
+  }
+
+  // Merge recipe fromId into id and delete it. Fields listed in take are copied from fromId;
+  // everything else keeps id's value. Images, originals, tags, people, saves and collections, meal plans,
+  // cook log entries and submissions move over, and fromId (plus any IDs that already pointed to it)
+  // redirects to id.
+  // Returns counts of what moved, or null if either recipe doesn't exist
+  static async merge(id, fromId, take = [], editedBy = null) {
+    const merge = db.transaction(async (txDb) => {
+      const recipes = await txDb.prepare(
+        'SELECT * FROM recipes WHERE id IN (?, ?) AND deleted_at IS NULL ORDER BY id FOR UPDATE'
+      ).all(id, fromId);
+      const target = recipes.find(recipe => recipe.id === id);
+      const from = recipes.find(recipe => recipe.id === fromId);
+      if (!target || !from) return null;
+      const before = await RecipeRevisionModel.snapshot(id, txDb);
+
+      const columns = take.flatMap(field => MERGEABLE_FIELDS[field]);
+      // Keep where the other recipe came from if this one doesn't record it
+      for (const column of ['source_url', 'source_file_id']) {
+        if (!columns.includes(column) && isBlank(target[column]) && !isBlank(from[column])) {
+          columns.push(column);
+        }
+      }
+      if (columns.length > 0) {
+        await txDb.prepare(`
+          UPDATE recipes SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = UNIX_TIMESTAMP()
+          WHERE id = ?
+        `).run(...columns.map(column => from[column]), id);
+      }
+
+      if (take.includes('ingredients')) {
+        await txDb.prepare('DELETE FROM ingredients WHERE recipe_id = ?').run(id);
+        await txDb.prepare('UPDATE ingredients SET recipe_id = ? WHERE recipe_id = ?').run(id, fromId);
+      }
+      if (take.includes('instructions')) {
+        await txDb.prepare('DELETE FROM recipe_steps WHERE recipe_id = ?').run(id);
+        await txDb.prepare('UPDATE recipe_steps SET recipe_id = ? WHERE recipe_id = ?').run(id, fromId);
+      }
+
+      const tagsAdded = (await txDb.prepare(`
+        SELECT t.name FROM recipe_tags rt JOIN tags t ON rt.tag_id = t.id
+        WHERE rt.recipe_id = ? AND rt.tag_id NOT IN (SELECT tag_id FROM recipe_tags WHERE recipe_id = ?)
+        ORDER BY t.name
+      `).all(fromId, id)).map(row => row.name);
+      await txDb.prepare(`
+        INSERT IGNORE INTO recipe_tags (recipe_id, tag_id) SELECT ?, tag_id FROM recipe_tags WHERE recipe_id = ?
+      `).run(id, fromId);
+
+      const fromPeople = await PersonModel.getByRecipeId(fromId, txDb);
+      await PersonModel.addToRecipe(txDb, id, fromPeople.map(person => ({ personId: person.id, role: person.role })));
+
+      // Images go after this recipe's own, and only stay a hero if this recipe has none
+      const { nextPosition, heroCount } = await txDb.prepare(`
+        SELECT COALESCE(MAX(position), -1) + 1 as nextPosition, COUNT(NULLIF(is_hero, FALSE)) as heroCount
+        FROM recipe_images WHERE recipe_id = ?
+      `).get(id);
+      if (heroCount > 0) {
+        await txDb.prepare('UPDATE recipe_images SET is_hero = FALSE WHERE recipe_id = ?').run(fromId);
+      }
+      const images = await txDb.prepare(`
+        UPDATE recipe_images SET recipe_id = ?, position = position + ? WHERE recipe_id = ?
+      `).run(id, nextPosition, fromId);
+
+      const savedBy = await CollectionModel.moveToRecipe(txDb, fromId, id);
+      await MealPlanModel.moveToRecipe(txDb, fromId, id);
+
+      await RecipeOriginalModel.moveToRecipe(txDb, fromId, id);
+
+      const cooks = await CookLogModel.moveToRecipe(txDb, fromId, id);
+
+      await txDb.prepare('UPDATE user_submitted_recipes SET recipe_id = ? WHERE recipe_id = ?').run(id, fromId);
+
+      await txDb.prepare('UPDATE recipe_redirects SET recipe_id = ? WHERE recipe_id = ?').run(id, fromId);
+      await txDb.prepare('INSERT INTO recipe_redirects (old_id, recipe_id) VALUES (?, ?)').run(fromId, id);
+
+      await txDb.prepare('DELETE FROM recipes WHERE id = ?').run(fromId);
+
+      await RecipeRevisionModel.record(txDb, id, before, { action: 'merge', editedBy });
+      return { images: images.changes, savedBy, cooks, tagsAdded };
+    });
+
+    const moved = await merge();
+    if (moved) {
+      await this.cleanupOrphanedTags();
+    }
+    return moved;
+  }
+
+  // Put a recipe back the way it was in one of its revisions. The version being replaced
+  // becomes a revision too, so a restore can itself be undone. Returns false if there is no such revision
+  static async restoreRevision(id, revisionId, editedBy = null) {
+    const restore = db.transaction(async (txDb) => {
+      const revision = await RecipeRevisionModel.getById(id, revisionId, txDb);
+      if (!revision) return false;
+
+      const before = await RecipeRevisionModel.snapshot(id, txDb);
+      const { snapshot } = revision;
+
+      await txDb.prepare(`
+        UPDATE recipes
+        SET title = ?, source = ?, source_url = ?, instructions = ?, servings = ?,
+            prep_time_minutes = ?, cook_time_minutes = ?, total_time_minutes = ?, image_path = ?,
+            estimated_calories = ?, calories_confidence = ?, updated_at = UNIX_TIMESTAMP()
+        WHERE id = ?
+      `).run(
+        snapshot.title, snapshot.source, snapshot.sourceUrl, snapshot.instructions, snapshot.servings,
+        snapshot.prepTimeMinutes, snapshot.cookTimeMinutes, snapshot.totalTimeMinutes, snapshot.imagePath,
+        snapshot.estimatedCalories, snapshot.caloriesConfidence, id
+      );
+
+      await txDb.prepare('DELETE FROM ingredients WHERE recipe_id = ?').run(id);
+      await insertIngredients(txDb, id, snapshot.ingredients);
+      await txDb.prepare('DELETE FROM recipe_steps WHERE recipe_id = ?').run(id);
+      await insertSteps(txDb, id, snapshot.steps);
+      await txDb.prepare('DELETE FROM recipe_tags WHERE recipe_id = ?').run(id);
+      await insertTags(txDb, id, snapshot.tags);
+
+      // Revisions saved before recipes had stories, notes and people leave those as they are
+      for (const [field, column] of [['story', 'story'], ['notes', 'notes']]) {
+        if (snapshot[field] !== undefined) {
+          await txDb.prepare(`UPDATE recipes SET ${column} = ? WHERE id = ?`).run(snapshot[field], id);
+        }
+      }
+      if (snapshot.people !== undefined) {
+        await PersonModel.setForRecipe(txDb, id, snapshot.people);
+      }
+
+      await RecipeRevisionModel.record(txDb, id, before, { action: 'restore', editedBy });
+      return true;
+    });
+
+    const restored = await restore();
+    if (restored) {
+      await this.cleanupOrphanedTags();
+    }
+    return restored;
+  }
+
+  // ID a merged recipe now lives under, or null if id was never merged away
+  static async getRedirect(id) {
+    const redirect = await db.prepare('SELECT recipe_id FROM recipe_redirects WHERE old_id = ?').get(id);
+    return redirect ? redirect.recipe_id : null;
+  }
+
+  // Move a recipe to the trash. Its rows and files stay until it is restored or purged
+  static async delete(id, deletedBy = null) {
+    const result = await db.prepare(`
+      UPDATE recipes SET deleted_at = UNIX_TIMESTAMP(), deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `).run(deletedBy, id);
+
+    return result.changes > 0;
+  }
+
+  // Take a recipe back out of the trash
+  static async restore(id) {
+    const result = await db.prepare(`
+      UPDATE recipes SET deleted_at = NULL, deleted_by = NULL
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `).run(id);
+
+    return result.changes > 0;
+  }
+
+  // Permanently delete a recipe in the trash, along with its files
+  static async permanentlyDelete(id) {
+    const recipe = await db.prepare('SELECT id FROM recipes WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+    if (!recipe) return false;
+
     // Delete associated image files from disk before removing DB records
     // (FK cascade will delete recipe_images rows, but not the actual files)
     await RecipeImageModel.deleteByRecipeId(id);
+    await CookLogModel.deletePhotoFilesByRecipeId(id);
+    const originalFileIds = await RecipeOriginalModel.getFileIds(id);
 
     const stmt = db.prepare('DELETE FROM recipes WHERE id = ?');
     const result = await stmt.run(id);
 
-    // Clean up orphaned tags after deletion
+    // Clean up orphaned tags and original scans no other recipe uses after deletion
     if (result.changes > 0) {
       await this.cleanupOrphanedTags();
+      await RecipeOriginalModel.deleteUnusedFiles(originalFileIds);
     }
 
     return result.changes > 0;
   }
 
-  // Get all tags (only tags that are actually used by recipes)
+  // Recipes in the trash, most recently deleted first
+  static async getTrash(limit = 50, offset = 0) {
+    const cappedLimit = Math.min(Math.max(1, limit), 100);
+    const cappedOffset = Math.max(0, offset);
+
+    const recipes = await db.prepare(`
+      SELECT
+        r.id, r.title, r.source, r.date_added, r.deleted_at, r.deleted_by,
+        u.username as deleted_by_username,
+        (SELECT ri.filename FROM recipe_images ri
+         WHERE ri.recipe_id = r.id
+         ORDER BY ri.is_hero DESC, ri.position ASC
+         LIMIT 1) as hero_image_filename
+      FROM recipes r
+      LEFT JOIN users u ON r.deleted_by = u.id
+      WHERE r.deleted_at IS NOT NULL
+      ORDER BY r.deleted_at DESC, r.id DESC
+      LIMIT ?, ?
+    `).all(cappedOffset, cappedLimit);
+
+    const { count } = await db.prepare(
+      'SELECT COUNT(*) as count FROM recipes WHERE deleted_at IS NOT NULL'
+    ).get();
+
+    return {
+      recipes: recipes.map(recipe => {
+        const { deletedByUsername, heroImageFilename, ...camelRecipe } = toCamelCase(recipe);
+        camelRecipe.deletedBy = recipe.deleted_by ? { id: recipe.deleted_by, username: deletedByUsername } : null;
+        camelRecipe.heroImage = heroImageFilename ? `/uploads/images/${heroImageFilename}` : null;
+        return camelRecipe;
+      }),
+      total: count
+    };
+  }
+
+  // Permanently delete recipes that have been in the trash longer than retentionDays
+  // Returns the number of recipes removed
+  static async purgeExpired(retentionDays) {
+    const cutoff = Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+    const expired = await db.prepare(
+      'SELECT id FROM recipes WHERE deleted_at IS NOT NULL AND deleted_at <= ?'
+    ).all(cutoff);
+
+    let purged = 0;
+    for (const { id } of expired) {
+      if (await this.permanentlyDelete(id)) {
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  // Get all tags (only tags that are actually used by recipes outside the trash)
   static async getAllTags() {
     return await db.prepare(`
       SELECT DISTINCT t.name
       FROM tags t
       INNER JOIN recipe_tags rt ON t.id = rt.tag_id
+      INNER JOIN recipes r ON rt.recipe_id = r.id
+      WHERE r.deleted_at IS NULL
       ORDER BY t.name
     `).all();
   }
@@ -455,7 +1103,7 @@ class RecipeModel {
 
   // Get total count of recipes
   static async getCount() {
-    const result = await db.prepare('SELECT COUNT(*) as count FROM recipes').get();
+    const result = await db.prepare('SELECT COUNT(*) as count FROM recipes WHERE deleted_at IS NULL').get();
     return result.count;
   }
 
@@ -499,6 +1147,7 @@ class RecipeModel {
          ORDER BY i.position
          LIMIT 1) as main_ingredient
       FROM recipes r
+      WHERE r.deleted_at IS NULL
       ORDER BY ${safeSortBy} ${safeSortOrder}
       LIMIT ?, ?
     `).all(cappedOffset, cappedLimit);
@@ -506,21 +1155,10 @@ class RecipeModel {
     return recipes.map(recipe => toCamelCase(recipe));
   }
 
-  // Update times_cooked for a recipe
-  static async incrementTimesCooked(id) {
-    const stmt = db.prepare(`
-      UPDATE recipes
-      SET times_cooked = times_cooked + 1, updated_at = UNIX_TIMESTAMP()
-      WHERE id = ?
-    `);
-    await stmt.run(id);
-    return this.getById(id);
-  }
-
   // Get dashboard statistics
   static async getDashboardStats() {
     // Get total recipes count
-    const totalRecipesResult = await db.prepare('SELECT COUNT(*) as count FROM recipes').get();
+    const totalRecipesResult = await db.prepare('SELECT COUNT(*) as count FROM recipes WHERE deleted_at IS NULL').get();
     const totalRecipes = totalRecipesResult.count;
 
     // Get pending recipes count
@@ -532,6 +1170,8 @@ class RecipeModel {
       SELECT COUNT(DISTINCT t.name) as count
       FROM tags t
       INNER JOIN recipe_tags rt ON t.id = rt.tag_id
+      INNER JOIN recipes r ON rt.recipe_id = r.id
+      WHERE r.deleted_at IS NULL
     `).get();
     const categoriesCount = categoriesResult.count;
 
@@ -540,7 +1180,7 @@ class RecipeModel {
     const recentRecipesResult = await db.prepare(`
       SELECT COUNT(*) as count
       FROM recipes
-      WHERE date_added >= ?
+      WHERE date_added >= ? AND deleted_at IS NULL
     `).get(oneWeekAgo);
     const recentRecipes = recentRecipesResult.count;
 
@@ -548,7 +1188,7 @@ class RecipeModel {
     const avgCaloriesResult = await db.prepare(`
       SELECT AVG(estimated_calories) as avg
       FROM recipes
-      WHERE estimated_calories IS NOT NULL
+      WHERE estimated_calories IS NOT NULL AND deleted_at IS NULL
     `).get();
     const avgCalories = avgCaloriesResult.avg || 0;
 
@@ -556,7 +1196,7 @@ class RecipeModel {
     const recipesWithCaloriesResult = await db.prepare(`
       SELECT COUNT(*) as count
       FROM recipes
-      WHERE estimated_calories IS NOT NULL
+      WHERE estimated_calories IS NOT NULL AND deleted_at IS NULL
     `).get();
     const recipesWithCalories = recipesWithCaloriesResult.count;
 
@@ -0,0 +1,178 @@
+const db = require('../config/database');
+const fs = require('fs').promises;
+const path = require('path');
+const { UPLOAD_DIRS } = require('../middleware/upload');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Uploaded PDFs and photos live under uploads/, which is served at /uploads
+const UPLOADS_ROOT = path.dirname(UPLOAD_DIRS.images);
+
+/**
+ * Public URL of an uploaded file, or null if it isn't under uploads/
+ * @param {string} filePath - Absolute path on disk
+ * @returns {string|null}
+ */
+const fileUrl = (filePath) => {
+  const relative = path.relative(UPLOADS_ROOT, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return `/uploads/${relative.split(path.sep).join('/')}`;
+};
+
+// Public original details: no server paths, with the URL to view it and a PDF #page anchor
+const formatOriginal = (row) => {
+  const { filePath, ...original } = toCamelCase(row);
+  const url = fileUrl(filePath);
+  const isPdf = original.mimeType === 'application/pdf';
+  return {
+    ...original,
+    type: isPdf ? 'pdf' : 'image',
+    url: url && isPdf && original.pageStart ? `${url}#page=${original.pageStart}` : url
+  };
+};
+
+const ORIGINAL_COLUMNS = `
+  ro.id, ro.file_id, ro.page_start, ro.page_end, ro.position, ro.created_at,
+  uf.original_name, uf.mime_type, uf.file_size, uf.file_path
+`;
+
+class RecipeOriginalModel {
+  /**
+   * The scans and PDFs a recipe was transcribed from, in display order
+   * @param {number} recipeId
+   * @returns {Promise<Array>}
+   */
+  static async getByRecipeId(recipeId) {
+    const rows = await db.prepare(`
+      SELECT ${ORIGINAL_COLUMNS}
+      FROM recipe_originals ro
+      JOIN uploaded_files uf ON ro.file_id = uf.id
+      WHERE ro.recipe_id = ?
+      ORDER BY ro.position, ro.id
+    `).all(recipeId);
+
+    return rows.map(formatOriginal).filter(original => original.url);
+  }
+
+  /**
+   * Link uploaded files to a recipe after any originals it already has, skipping files it already has
+   * @param {Object} txDb - db or a transaction-bound txDb
+   * @param {number} recipeId
+   * @param {Array} originals - [{ fileId, pageStart, pageEnd }]
+   * @param {number|null} addedBy - User ID
+   * @returns {Promise<number>} - Originals added
+   */
+  static async addToRecipe(txDb, recipeId, originals, addedBy = null) {
+    const { nextPosition } = await txDb.prepare(`
+      SELECT COALESCE(MAX(position), -1) + 1 as nextPosition FROM recipe_originals WHERE recipe_id = ?
+    `).get(recipeId);
+
+    let added = 0;
+    for (let index = 0; index < originals.length; index++) {
+      const { fileId, pageStart = null, pageEnd = null } = originals[index];
+      const result = await txDb.prepare(`
+        INSERT IGNORE INTO recipe_originals (recipe_id, file_id, page_start, page_end, position, added_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(recipeId, fileId, pageStart, pageEnd, nextPosition + index, addedBy);
+      added += result.changes;
+    }
+    return added;
+  }
+
+  /**
+   * Move one recipe's originals onto another, after its own (used when merging recipes).
+   * Files both recipes already share stay with the target once.
+   * @param {Object} txDb - Transaction-bound database
+   * @param {number} fromRecipeId
+   * @param {number} toRecipeId
+   * @returns {Promise<number>} - Originals moved
+   */
+  static async moveToRecipe(txDb, fromRecipeId, toRecipeId) {
+    const originals = await txDb.prepare(`
+      SELECT file_id, page_start, page_end, added_by FROM recipe_originals WHERE recipe_id = ? ORDER BY position, id
+    `).all(fromRecipeId);
+
+    let moved = 0;
+    for (const original of originals) {
+      moved += await this.addToRecipe(txDb, toRecipeId, [{
+        fileId: original.file_id,
+        pageStart: original.page_start,
+        pageEnd: original.page_end
+      }], original.added_by);
+    }
+    await txDb.prepare('DELETE FROM recipe_originals WHERE recipe_id = ?').run(fromRecipeId);
+    return moved;
+  }
+
+  /**
+   * Unlink an original from a recipe. The file itself is deleted once nothing else uses it
+   * (another recipe, a pending recipe, or a recipe recording it as where it was imported from).
+   * @param {number} recipeId
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async remove(recipeId, id) {
+    const original = await db.prepare(`
+      SELECT file_id FROM recipe_originals WHERE recipe_id = ? AND id = ?
+    `).get(recipeId, id);
+    if (!original) return false;
+
+    await db.prepare('DELETE FROM recipe_originals WHERE id = ?').run(id);
+    await this.deleteUnusedFiles([original.file_id]);
+    return true;
+  }
+
+  /**
+   * File IDs a recipe's originals use (read before permanently deleting the recipe)
+   * @param {number} recipeId
+   * @returns {Promise<Array<number>>}
+   */
+  static async getFileIds(recipeId) {
+    const rows = await db.prepare('SELECT file_id FROM recipe_originals WHERE recipe_id = ?').all(recipeId);
+    return rows.map(row => row.file_id);
+  }
+
+  /**
+   * Delete uploaded files (record and file on disk) that no recipe or pending recipe uses any more
+   * @param {Array<number>} fileIds
+   * @returns {Promise<number>} - Files deleted
+   */
+  static async deleteUnusedFiles(fileIds) {
+    let deleted = 0;
+    for (const fileId of fileIds) {
+      const file = await db.prepare(`
+        SELECT uf.id, uf.file_path FROM uploaded_files uf
+        WHERE uf.id = ?
+          AND NOT EXISTS (SELECT 1 FROM recipe_originals ro WHERE ro.file_id = uf.id)
+          AND NOT EXISTS (SELECT 1 FROM pending_recipes pr WHERE pr.file_id = uf.id)
+          AND NOT EXISTS (SELECT 1 FROM recipes r WHERE r.source_file_id = uf.id)
+      `).get(fileId);
+      if (!file) continue;
+
+      await db.prepare('DELETE FROM uploaded_files WHERE id = ?').run(file.id);
+      try {
+        await fs.unlink(file.file_path);
+      } catch (err) {
+        console.warn(`Failed to delete original file: ${file.file_path}`, err.message);
+      }
+      deleted++;
+    }
+    return deleted;
+  }
+}
+
+module.exports = RecipeOriginalModel;
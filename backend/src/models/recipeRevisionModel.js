@@ -0,0 +1,128 @@
+const db = require('../config/database');
+const PersonModel = require('./personModel');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+const formatRevision = (row) => {
+  if (!row) return null;
+  const { editedByUsername, ...revision } = toCamelCase(row);
+  if (typeof revision.snapshot === 'string') {
+    revision.snapshot = JSON.parse(revision.snapshot);
+  }
+  if (revision.snapshot) {
+    revision.title = revision.snapshot.title;
+  }
+  revision.editedBy = revision.editedBy ? { id: revision.editedBy, username: editedByUsername } : null;
+  return revision;
+};
+
+class RecipeRevisionModel {
+  /**
+   * Capture a recipe as it is now: the fields an editor can change, its ingredients, steps, tags and people
+   * @param {number} recipeId
+   * @param {Object} database - db or a transaction-bound txDb
+   * @returns {Promise<Object|null>} - null if the recipe doesn't exist
+   */
+  static async snapshot(recipeId, database = db) {
+    const recipe = await database.prepare(`
+      SELECT title, source, source_url, instructions, servings, prep_time_minutes, cook_time_minutes,
+             total_time_minutes, image_path, estimated_calories, calories_confidence, story, notes
+      FROM recipes WHERE id = ?
+    `).get(recipeId);
+    if (!recipe) return null;
+
+    const ingredients = await database.prepare(`
+      SELECT name, preparation, quantity, unit, section FROM ingredients WHERE recipe_id = ? ORDER BY position
+    `).all(recipeId);
+    const steps = await database.prepare(`
+      SELECT section, text, timer_seconds FROM recipe_steps WHERE recipe_id = ? ORDER BY position
+    `).all(recipeId);
+    const tags = await database.prepare(`
+      SELECT t.name FROM recipe_tags rt JOIN tags t ON rt.tag_id = t.id WHERE rt.recipe_id = ? ORDER BY t.name
+    `).all(recipeId);
+    const people = await PersonModel.getByRecipeId(recipeId, database);
+
+    return {
+      ...toCamelCase(recipe),
+      ingredients,
+      steps: steps.map(toCamelCase),
+      tags: tags.map(tag => tag.name),
+      people: people.map(person => ({ personId: person.id, name: person.name, role: person.role }))
+    };
+  }
+
+  /**
+   * Save the recipe as it was before a change, unless the change left it as it was
+   * @param {Object} txDb - Transaction the change was made in
+   * @param {number} recipeId
+   * @param {Object} before - Snapshot taken before the change
+   * @param {Object} options
+   * @param {string} options.action - 'update', 'restore' or 'merge'
+   * @param {number|null} options.editedBy - User who made the change
+   * @returns {Promise<number|null>} - Revision ID, or null when nothing changed
+   */
+  static async record(txDb, recipeId, before, { action = 'update', editedBy = null } = {}) {
+    const after = await this.snapshot(recipeId, txDb);
+    if (!before || JSON.stringify(before) === JSON.stringify(after)) return null;
+
+    const result = await txDb.prepare(`
+      INSERT INTO recipe_revisions (recipe_id, snapshot, action, edited_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(recipeId, JSON.stringify(before), action, editedBy, Math.floor(Date.now() / 1000));
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * List a recipe's revisions, newest first (without their snapshots)
+   * @param {number} recipeId
+   * @returns {Promise<Array>}
+   */
+  static async getByRecipeId(recipeId) {
+    const rows = await db.prepare(`
+      SELECT rr.id, rr.recipe_id, rr.action, rr.edited_by, rr.created_at,
+             JSON_UNQUOTE(JSON_EXTRACT(rr.snapshot, '$.title')) as title,
+             u.username as edited_by_username
+      FROM recipe_revisions rr
+      LEFT JOIN users u ON rr.edited_by = u.id
+      WHERE rr.recipe_id = ?
+      ORDER BY rr.created_at DESC, rr.id DESC
+    `).all(recipeId);
+
+    return rows.map(formatRevision);
+  }
+
+  /**
+   * Get one of a recipe's revisions with its snapshot
+   * @param {number} recipeId
+   * @param {number} revisionId
+   * @param {Object} database - db or a transaction-bound txDb
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(recipeId, revisionId, database = db) {
+    const row = await database.prepare(`
+      SELECT rr.*, u.username as edited_by_username
+      FROM recipe_revisions rr
+      LEFT JOIN users u ON rr.edited_by = u.id
+      WHERE rr.id = ? AND rr.recipe_id = ?
+    `).get(revisionId, recipeId);
+
+    return formatRevision(row);
+  }
+}
+
+module.exports = RecipeRevisionModel;
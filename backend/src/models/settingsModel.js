@@ -69,7 +69,11 @@ const SETTING_KEYS = {
   // API keys are stored per provider to avoid sending wrong key when switching
   AI_API_KEY_ANTHROPIC: 'ai_api_key_anthropic',
   AI_API_KEY_OPENAI: 'ai_api_key_openai',
-  AI_API_KEY_GOOGLE: 'ai_api_key_google'
+  AI_API_KEY_GOOGLE: 'ai_api_key_google',
+  // Send scanned PDF pages to the provider's vision support instead of local OCR
+  OCR_AI_VISION: 'ocr_ai_vision',
+  // INGREDIENT_KEY_VERSION the stored ingredient and alias keys were last computed with
+  INGREDIENT_KEY_VERSION: 'ingredient_key_version'
 };
 
 // Helper to get the API key setting name for a provider
@@ -148,6 +152,7 @@ class SettingsModel {
   static async getAIConfig() {
     const provider = await this.get(SETTING_KEYS.AI_PROVIDER) || 'anthropic';
     const model = await this.get(SETTING_KEYS.AI_MODEL);
+    const ocrVision = (await this.get(SETTING_KEYS.OCR_AI_VISION)) === 'true';
 
     // Check for provider-specific database key
     const apiKeySettingName = getApiKeySettingName(provider);
@@ -170,6 +175,7 @@ class SettingsModel {
       modelName: modelInfo?.name || activeModel,
       hasApiKey: hasDbKey || hasEnvKey,
       keySource: hasDbKey ? 'database' : (hasEnvKey ? 'environment' : 'none'),
+      ocrVision,
       availableProviders: Object.entries(AI_PROVIDERS).map(([id, config]) => ({
         id,
         name: config.name,
@@ -185,9 +191,10 @@ class SettingsModel {
    * @param {string} config.provider - Provider ID
    * @param {string} config.model - Model ID
    * @param {string} config.apiKey - API key (optional, will be encrypted and stored for the provider)
+   * @param {boolean} config.ocrVision - Read scanned PDFs with AI vision (optional)
    * @param {number} userId - User making the change
    */
-  static async setAIConfig({ provider, model, apiKey }, userId) {
+  static async setAIConfig({ provider, model, apiKey, ocrVision }, userId) {
     if (provider && !AI_PROVIDERS[provider]) {
       throw new Error(`Invalid AI provider: ${provider}`);
     }
@@ -204,6 +211,10 @@ class SettingsModel {
       await this.set(SETTING_KEYS.AI_MODEL, model, false, userId);
     }
 
+    if (ocrVision !== undefined) {
+      await this.set(SETTING_KEYS.OCR_AI_VISION, ocrVision ? 'true' : 'false', false, userId);
+    }
+
     // Only update API key if explicitly provided (even if empty to clear it)
     // Store the key for the specific provider
     if (apiKey !== undefined) {
@@ -0,0 +1,317 @@
+const db = require('../config/database');
+const { CATEGORIES } = require('../utils/shoppingList');
+
+/**
+ * Convert snake_case keys to camelCase
+ */
+const toCamelCase = (obj) => {
+  if (obj === null || obj === undefined) return obj;
+
+  const newObj = {};
+  for (const key in obj) {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
+      letter.toUpperCase()
+    );
+    newObj[camelKey] = obj[key];
+  }
+  return newObj;
+};
+
+// Lists a user owns or has been added to
+const VISIBLE_TO_USER = `
+  (sl.user_id = ? OR EXISTS (
+    SELECT 1 FROM shopping_list_members m WHERE m.list_id = sl.id AND m.user_id = ?
+  ))
+`;
+
+const LIST_COLUMNS = `
+  sl.id, sl.name, sl.user_id as owner_id, u.username as owner_username, sl.created_at, sl.updated_at,
+  (SELECT COUNT(*) FROM shopping_list_items i WHERE i.list_id = sl.id) as item_count,
+  (SELECT COUNT(*) FROM shopping_list_items i WHERE i.list_id = sl.id AND i.checked = TRUE) as checked_count
+`;
+
+const formatList = (row, userId) => {
+  if (!row) return null;
+  const { ownerId, ownerUsername, ...list } = toCamelCase(row);
+  list.owner = { id: ownerId, username: ownerUsername };
+  list.isOwner = ownerId === userId;
+  return list;
+};
+
+const formatItem = (row) => {
+  const item = toCamelCase(row);
+  item.isCustom = Boolean(item.isCustom);
+  item.checked = Boolean(item.checked);
+  return item;
+};
+
+// Items by aisle, in the order they were added within each
+const compareItems = (a, b) =>
+  CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || a.position - b.position || a.id - b.id;
+
+const insertItem = async (database, listId, { name, quantity = null, category, source = null, isCustom = false }, position) => {
+  const result = await database.prepare(`
+    INSERT INTO shopping_list_items (list_id, name, quantity, category, source, is_custom, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(listId, name, quantity, category, source, isCustom ? 1 : 0, position);
+  return result.lastInsertRowid;
+};
+
+const touchList = (listId) =>
+  db.prepare('UPDATE shopping_lists SET updated_at = UNIX_TIMESTAMP() WHERE id = ?').run(listId);
+
+class ShoppingListModel {
+  /**
+   * Lists a user owns or that are shared with them, most recently changed first
+   * @param {number} userId
+   * @returns {Promise<Array>} - Lists with owner, isOwner, itemCount and checkedCount
+   */
+  static async getAllForUser(userId) {
+    const rows = await db.prepare(`
+      SELECT ${LIST_COLUMNS}
+      FROM shopping_lists sl
+      JOIN users u ON sl.user_id = u.id
+      WHERE ${VISIBLE_TO_USER}
+      ORDER BY sl.updated_at DESC, sl.id DESC
+    `).all(userId, userId);
+
+    return rows.map(row => formatList(row, userId));
+  }
+
+  /**
+   * Get a list with its items and members, if the user can see it
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async getById(id, userId) {
+    const row = await db.prepare(`
+      SELECT ${LIST_COLUMNS}
+      FROM shopping_lists sl
+      JOIN users u ON sl.user_id = u.id
+      WHERE sl.id = ? AND ${VISIBLE_TO_USER}
+    `).get(id, userId, userId);
+    if (!row) return null;
+
+    const list = formatList(row, userId);
+    const items = await db.prepare(`
+      SELECT id, name, quantity, category, source, is_custom, checked, position, created_at
+      FROM shopping_list_items
+      WHERE list_id = ?
+    `).all(id);
+    list.items = items.map(formatItem).sort(compareItems);
+    list.members = await this.getMembers(id);
+    return list;
+  }
+
+  /**
+   * How a user can use a list
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<string|null>} - 'owner', 'member', or null if they can't see it
+   */
+  static async getRole(id, userId) {
+    const row = await db.prepare(`
+      SELECT sl.user_id,
+        EXISTS (SELECT 1 FROM shopping_list_members m WHERE m.list_id = sl.id AND m.user_id = ?) as is_member
+      FROM shopping_lists sl
+      WHERE sl.id = ?
+    `).get(userId, id);
+
+    if (!row) return null;
+    if (row.user_id === userId) return 'owner';
+    return row.is_member ? 'member' : null;
+  }
+
+  /**
+   * Create a list with its first items
+   * @param {number} userId
+   * @param {Object} list - { name, items: [{ name, quantity, category, source }] }
+   * @returns {Promise<number>} - The new list's ID
+   */
+  static async create(userId, { name, items = [] }) {
+    const create = db.transaction(async (txDb) => {
+      const result = await txDb.prepare(
+        'INSERT INTO shopping_lists (user_id, name) VALUES (?, ?)'
+      ).run(userId, name);
+      const listId = result.lastInsertRowid;
+
+      for (const [index, item] of items.entries()) {
+        await insertItem(txDb, listId, item, index);
+      }
+      return listId;
+    });
+
+    return create();
+  }
+
+  /**
+   * Rename a list
+   * @param {number} id
+   * @param {Object} changes - { name }
+   */
+  static async update(id, { name }) {
+    await db.prepare(
+      'UPDATE shopping_lists SET name = ?, updated_at = UNIX_TIMESTAMP() WHERE id = ?'
+    ).run(name, id);
+  }
+
+  /**
+   * Delete a list (its items and sharing go with it)
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const result = await db.prepare('DELETE FROM shopping_lists WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Add an item to the end of a list
+   * @param {number} listId
+   * @param {Object} item - { name, quantity, category, isCustom }
+   * @returns {Promise<Object>} - The new item
+   */
+  static async addItem(listId, item) {
+    const { position } = await db.prepare(`
+      SELECT COALESCE(MAX(position), -1) + 1 as position FROM shopping_list_items WHERE list_id = ?
+    `).get(listId);
+    const id = await insertItem(db, listId, item, position);
+    await touchList(listId);
+    return this.getItem(listId, id);
+  }
+
+  /**
+   * @param {number} listId
+   * @param {number} itemId
+   * @returns {Promise<Object|null>}
+   */
+  static async getItem(listId, itemId) {
+    const row = await db.prepare(`
+      SELECT id, name, quantity, category, source, is_custom, checked, position, created_at
+      FROM shopping_list_items
+      WHERE id = ? AND list_id = ?
+    `).get(itemId, listId);
+    return row ? formatItem(row) : null;
+  }
+
+  /**
+   * Check or uncheck an item, or change what it says
+   * @param {number} listId
+   * @param {number} itemId
+   * @param {Object} changes - Any of { name, quantity, category, checked }
+   * @returns {Promise<Object|null>} - The updated item, or null if the list has no such item
+   */
+  static async updateItem(listId, itemId, changes) {
+    const existing = await this.getItem(listId, itemId);
+    if (!existing) return null;
+
+    const item = { ...existing, ...changes };
+    await db.prepare(`
+      UPDATE shopping_list_items SET name = ?, quantity = ?, category = ?, checked = ?
+      WHERE id = ?
+    `).run(item.name, item.quantity, item.category, item.checked ? 1 : 0, itemId);
+    await touchList(listId);
+
+    return this.getItem(listId, itemId);
+  }
+
+  /**
+   * @param {number} listId
+   * @param {number} itemId
+   * @returns {Promise<boolean>}
+   */
+  static async deleteItem(listId, itemId) {
+    const result = await db.prepare(
+      'DELETE FROM shopping_list_items WHERE id = ? AND list_id = ?'
+    ).run(itemId, listId);
+    if (result.changes > 0) await touchList(listId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove every checked item (after a shop)
+   * @param {number} listId
+   * @returns {Promise<number>} - How many were removed
+   */
+  static async clearChecked(listId) {
+    const result = await db.prepare(
+      'DELETE FROM shopping_list_items WHERE list_id = ? AND checked = TRUE'
+    ).run(listId);
+    if (result.changes > 0) await touchList(listId);
+    return result.changes;
+  }
+
+  /**
+   * Household members a list is shared with
+   * @param {number} listId
+   * @returns {Promise<Array>} - [{ id, username, addedAt }]
+   */
+  static async getMembers(listId) {
+    const rows = await db.prepare(`
+      SELECT u.id, u.username, m.added_at
+      FROM shopping_list_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.list_id = ?
+      ORDER BY u.username
+    `).all(listId);
+    return rows.map(toCamelCase);
+  }
+
+  /**
+   * Share a list with a user (sharing twice is a no-op)
+   * @param {number} listId
+   * @param {number} userId
+   */
+  static async addMember(listId, userId) {
+    await db.prepare(
+      'INSERT IGNORE INTO shopping_list_members (list_id, user_id) VALUES (?, ?)'
+    ).run(listId, userId);
+  }
+
+  /**
+   * Stop sharing a list with a user
+   * @param {number} listId
+   * @param {number} userId
+   * @returns {Promise<boolean>}
+   */
+  static async removeMember(listId, userId) {
+    const result = await db.prepare(
+      'DELETE FROM shopping_list_members WHERE list_id = ? AND user_id = ?'
+    ).run(listId, userId);
+    return result.changes > 0;
+  }
+
+  /**
+   * The titles, servings and ingredients of recipes to shop for (recipes in the trash are left out)
+   * @param {Array<number>} recipeIds
+   * @returns {Promise<Map>} - Recipe ID -> { id, title, servings, ingredients: [{ name, quantity, unit }] }
+   */
+  static async getRecipeIngredients(recipeIds) {
+    const recipes = new Map();
+    const ids = [...new Set(recipeIds)];
+    if (ids.length === 0) return recipes;
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const recipeRows = await db.prepare(`
+      SELECT id, title, servings FROM recipes WHERE id IN (${placeholders}) AND deleted_at IS NULL
+    `).all(...ids);
+    recipeRows.forEach(row => recipes.set(row.id, { ...row, ingredients: [] }));
+
+    // Ingredients in the catalog go by its name, so "AP flour" and "all-purpose flour" add up
+    const ingredientRows = await db.prepare(`
+      SELECT i.recipe_id, COALESCE(ci.name, i.name) as name, i.quantity, i.unit
+      FROM ingredients i
+      LEFT JOIN canonical_ingredients ci ON i.canonical_id = ci.id
+      WHERE i.recipe_id IN (${placeholders})
+      ORDER BY i.recipe_id, i.position
+    `).all(...ids);
+    for (const { recipe_id: recipeId, ...ingredient } of ingredientRows) {
+      if (recipes.has(recipeId)) recipes.get(recipeId).ingredients.push(ingredient);
+    }
+
+    return recipes;
+  }
+}
+
+module.exports = ShoppingListModel;
@@ -1,4 +1,8 @@
 const db = require('../config/database');
+const { splitInstructions } = require('../utils/steps');
+const { canonicalUrl } = require('../utils/duplicates');
+const { normalizeIngredientNames, ingredientKey } = require('../utils/ingredientCatalog');
+const CanonicalIngredientModel = require('./canonicalIngredientModel');
 
 class SubmittedRecipeModel {
   /**
@@ -7,15 +11,15 @@ class SubmittedRecipeModel {
    * @param {Object} recipeData - Recipe data
    * @returns {Promise<number>} - Submitted recipe ID
    */
-  static async create(userId, { title, source, instructions, servings, ingredients = [], tags = [] }) {
+  static async create(userId, { title, source, instructions, servings, prepTimeMinutes, cookTimeMinutes, totalTimeMinutes, ingredients = [], tags = [] }) {
     const timestamp = Math.floor(Date.now() / 1000);
 
     const insert = db.transaction(async (txDb) => {
       // Insert the submitted recipe
       const recipeStmt = txDb.prepare(`
         INSERT INTO user_submitted_recipes
-        (user_id, title, source, instructions, servings, status, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+        (user_id, title, source, instructions, servings, prep_time_minutes, cook_time_minutes, total_time_minutes, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
       `);
 
       const result = await recipeStmt.run(
@@ -24,6 +28,9 @@ class SubmittedRecipeModel {
         source || null,
         instructions || null,
         servings || null,
+        prepTimeMinutes || null,
+        cookTimeMinutes || null,
+        totalTimeMinutes || null,
         timestamp,
         timestamp
       );
@@ -34,17 +41,20 @@ class SubmittedRecipeModel {
       if (ingredients.length > 0) {
         const ingredientStmt = txDb.prepare(`
           INSERT INTO user_submitted_ingredients
-          (submitted_recipe_id, name, quantity, unit, position)
-          VALUES (?, ?, ?, ?, ?)
+          (submitted_recipe_id, name, preparation, quantity, unit, section, position)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
 
-        for (let i = 0; i < ingredients.length; i++) {
-          const ing = ingredients[i];
+        const normalized = normalizeIngredientNames(ingredients);
+        for (let i = 0; i < normalized.length; i++) {
+          const ing = normalized[i];
           await ingredientStmt.run(
             submittedRecipeId,
             ing.name,
+            ing.preparation,
             ing.quantity || null,
             ing.unit || null,
+            ing.section || null,
             i
           );
         }
@@ -88,7 +98,7 @@ class SubmittedRecipeModel {
 
     // Get ingredients
     const ingredientsStmt = db.prepare(`
-      SELECT name, quantity, unit, position
+      SELECT name, preparation, quantity, unit, section, position
       FROM user_submitted_ingredients
       WHERE submitted_recipe_id = ?
       ORDER BY position
@@ -257,15 +267,19 @@ class SubmittedRecipeModel {
 
       // Create the actual recipe
       const recipeStmt = txDb.prepare(`
-        INSERT INTO recipes (title, source, instructions, servings, date_added, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO recipes (title, source, source_url, instructions, servings, prep_time_minutes, cook_time_minutes, total_time_minutes, date_added, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const recipeResult = await recipeStmt.run(
         submission.title,
         submission.source,
+        canonicalUrl(submission.source),
         submission.instructions,
         submission.servings,
+        submission.prep_time_minutes,
+        submission.cook_time_minutes,
+        submission.total_time_minutes,
         timestamp,
         timestamp,
         timestamp
@@ -273,31 +287,51 @@ class SubmittedRecipeModel {
 
       const newRecipeId = recipeResult.lastInsertRowid;
 
-      // Copy ingredients
+      // Copy ingredients, linked to the ingredient catalog
       const getIngredientsStmt = txDb.prepare(`
-        SELECT name, quantity, unit, position
+        SELECT name, preparation, quantity, unit, section, position
         FROM user_submitted_ingredients
         WHERE submitted_recipe_id = ?
       `);
-      const ingredients = await getIngredientsStmt.all(id);
+      const ingredients = normalizeIngredientNames(await getIngredientsStmt.all(id));
 
       if (ingredients.length > 0) {
+        const matches = await CanonicalIngredientModel.matchNames(ingredients.map(ing => ing.name), txDb);
         const ingredientStmt = txDb.prepare(`
-          INSERT INTO ingredients (recipe_id, name, quantity, unit, position)
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO ingredients (recipe_id, name, preparation, quantity, unit, section, position, name_key, canonical_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         for (const ing of ingredients) {
+          const key = ingredientKey(ing.name);
           await ingredientStmt.run(
             newRecipeId,
             ing.name,
+            ing.preparation,
             ing.quantity,
             ing.unit,
-            ing.position
+            ing.section,
+            ing.position,
+            key,
+            matches.get(key) || null
           );
         }
       }
 
+      // Split the submitted instructions into steps
+      const steps = splitInstructions(submission.instructions);
+      if (steps.length > 0) {
+        const stepStmt = txDb.prepare(`
+          INSERT INTO recipe_steps (recipe_id, position, section, text, timer_seconds)
+          VALUES (?, ?, ?, ?, ?)
+        `);
+
+        for (let index = 0; index < steps.length; index++) {
+          const step = steps[index];
+          await stepStmt.run(newRecipeId, index, step.section, step.text, step.timerSeconds);
+        }
+      }
+
       // Copy tags (create if not exist)
       const getTagsStmt = txDb.prepare(`
         SELECT tag_name FROM user_submitted_tags WHERE submitted_recipe_id = ?
@@ -325,10 +359,10 @@ class SubmittedRecipeModel {
       // Update submission status
       const updateStmt = txDb.prepare(`
         UPDATE user_submitted_recipes
-        SET status = 'approved', admin_notes = ?, reviewed_by = ?, reviewed_at = ?, updated_at = ?
+        SET status = 'approved', recipe_id = ?, admin_notes = ?, reviewed_by = ?, reviewed_at = ?, updated_at = ?
         WHERE id = ?
       `);
-      await updateStmt.run(notes, adminId, timestamp, timestamp, id);
+      await updateStmt.run(newRecipeId, notes, adminId, timestamp, timestamp, id);
 
       return newRecipeId;
     });
@@ -336,6 +370,31 @@ class SubmittedRecipeModel {
     return await approve();
   }
 
+  /**
+   * Mark a submission approved by merging it into an existing recipe
+   * The merge itself is done with RecipeModel.fillMissing.
+   * @param {number} id - Submitted recipe ID
+   * @param {number} adminId - Admin user ID
+   * @param {number} recipeId - The recipe it was merged into
+   * @param {string|null} notes
+   * @returns {Promise<void>}
+   */
+  static async markMerged(id, adminId, recipeId, notes = null) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const stmt = db.prepare(`
+      UPDATE user_submitted_recipes
+      SET status = 'approved', recipe_id = ?, admin_notes = ?, reviewed_by = ?, reviewed_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `);
+
+    const result = await stmt.run(recipeId, notes, adminId, timestamp, timestamp, id);
+
+    if (result.changes === 0) {
+      throw new Error('Submission not found or already reviewed');
+    }
+  }
+
   /**
    * Reject a submission
    * @param {number} id - Submitted recipe ID
@@ -193,7 +193,7 @@ class UserModel {
    */
   static async getPreferences(userId) {
     const stmt = db.prepare(`
-      SELECT user_id, theme, created_at, updated_at
+      SELECT user_id, theme, unit_system, created_at, updated_at
       FROM user_preferences
       WHERE user_id = ?
     `);
@@ -205,19 +205,21 @@ class UserModel {
    * Update user preferences (upsert - creates if not exists)
    * @param {number} userId
    * @param {Object} preferences
+   * @param {string} preferences.theme
+   * @param {string|null} preferences.unitSystem - 'metric', 'imperial', or null for recipes as written
    * @returns {Promise<void>}
    */
-  static async updatePreferences(userId, { theme }) {
+  static async updatePreferences(userId, { theme, unitSystem = null }) {
     const timestamp = Math.floor(Date.now() / 1000);
 
     // Use INSERT ... ON DUPLICATE KEY UPDATE for MySQL upsert
     const stmt = db.prepare(`
-      INSERT INTO user_preferences (user_id, theme, created_at, updated_at)
-      VALUES (?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE theme = VALUES(theme), updated_at = VALUES(updated_at)
+      INSERT INTO user_preferences (user_id, theme, unit_system, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE theme = VALUES(theme), unit_system = VALUES(unit_system), updated_at = VALUES(updated_at)
     `);
 
-    await stmt.run(userId, theme, timestamp, timestamp);
+    await stmt.run(userId, theme, unitSystem, timestamp, timestamp);
   }
 
   /**
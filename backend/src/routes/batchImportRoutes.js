@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const batchImportController = require('../controllers/batchImportController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { uploadBatch, handleMulterError } = require('../middleware/upload');
+const { csrfProtection } = require('../middleware/csrf');
+
+// All bulk import routes require admin authentication
+router.use(authenticate);
+router.use(requireAdmin);
+
+// GET /api/admin/import-batches - Recent bulk imports
+router.get('/', batchImportController.getBatches);
+
+// POST /api/admin/import-batches/files - PDFs, photos and ZIP archives (up to 100 files)
+router.post('/files', csrfProtection, uploadBatch.array('files', 100), handleMulterError, batchImportController.importFiles);
+
+// POST /api/admin/import-batches/urls - A pasted list of URLs
+router.post('/urls', csrfProtection, batchImportController.importUrls);
+
+// GET /api/admin/import-batches/:id - Batch results, item by item
+router.get('/:id', batchImportController.getBatch);
+
+// POST /api/admin/import-batches/:id/retry - Retry the batch's failed items
+router.post('/:id/retry', csrfProtection, batchImportController.retryBatch);
+
+module.exports = router;
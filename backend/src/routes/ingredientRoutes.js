@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const ingredientController = require('../controllers/ingredientController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/csrf');
+
+// All ingredient catalog routes require admin authentication
+router.use(authenticate);
+router.use(requireAdmin);
+
+// GET /api/admin/ingredients - The catalog, with aliases and recipe counts
+router.get('/', ingredientController.getIngredients);
+
+// GET /api/admin/ingredients/unmatched - Names recipes use that the catalog doesn't know
+router.get('/unmatched', ingredientController.getUnmatched);
+
+// POST /api/admin/ingredients/backfill - Normalize existing ingredient rows (background job)
+router.post('/backfill', csrfProtection, ingredientController.startBackfill);
+
+// POST /api/admin/ingredients - Add an entry
+router.post('/', csrfProtection, ingredientController.createIngredient);
+
+// PUT /api/admin/ingredients/:id - Rename an entry
+router.put('/:id', csrfProtection, ingredientController.updateIngredient);
+
+// DELETE /api/admin/ingredients/:id - Remove an entry
+router.delete('/:id', csrfProtection, ingredientController.deleteIngredient);
+
+// POST /api/admin/ingredients/:id/aliases - Add an alias
+router.post('/:id/aliases', csrfProtection, ingredientController.addAlias);
+
+// DELETE /api/admin/ingredients/:id/aliases/:aliasId - Remove an alias
+router.delete('/:id/aliases/:aliasId', csrfProtection, ingredientController.removeAlias);
+
+// POST /api/admin/ingredients/:id/merge - Merge an entry into another
+router.post('/:id/merge', csrfProtection, ingredientController.mergeIngredient);
+
+module.exports = router;
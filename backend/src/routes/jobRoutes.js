@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/csrf');
+
+// All job routes require admin authentication
+router.use(authenticate);
+router.use(requireAdmin);
+
+// GET /api/admin/jobs - Recent import jobs
+router.get('/', jobController.getJobs);
+
+// GET /api/admin/jobs/:id - Job status (polled by the import pages)
+router.get('/:id', jobController.getJob);
+
+// POST /api/admin/jobs/:id/retry - Queue a failed job again
+router.post('/:id/retry', csrfProtection, jobController.retryJob);
+
+module.exports = router;
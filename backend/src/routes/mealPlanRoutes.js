@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const mealPlanController = require('../controllers/mealPlanController');
+const { authenticate } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/csrf');
+
+// GET /api/meal-plan/feed/:token.ics - Calendar feed (public; the token is the secret)
+router.get('/feed/:token.ics', mealPlanController.getCalendar);
+
+// GET /api/meal-plan/feed - Link to the current user's calendar feed
+router.get('/feed', authenticate, mealPlanController.getFeed);
+
+// POST /api/meal-plan/feed/reset - Replace the calendar feed link
+router.post('/feed/reset', authenticate, csrfProtection, mealPlanController.resetFeed);
+
+// POST /api/meal-plan/copy-week - Copy last week's plan into a week
+router.post('/copy-week', authenticate, csrfProtection, mealPlanController.copyWeek);
+
+// GET /api/meal-plan - The plan for a date range, with daily calorie totals
+router.get('/', authenticate, mealPlanController.getMealPlan);
+
+// POST /api/meal-plan - Plan a recipe for a meal
+router.post('/', authenticate, csrfProtection, mealPlanController.addEntry);
+
+// PUT /api/meal-plan/:id - Move an entry or change its servings
+router.put('/:id', authenticate, csrfProtection, mealPlanController.updateEntry);
+
+// DELETE /api/meal-plan/:id - Take an entry off the plan
+router.delete('/:id', authenticate, csrfProtection, mealPlanController.deleteEntry);
+
+module.exports = router;
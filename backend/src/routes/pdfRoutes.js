@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pdfController = require('../controllers/pdfController');
 const { authenticate, requireAdmin } = require('../middleware/auth');
-const { uploadPDF, handleMulterError } = require('../middleware/upload');
+const { uploadPDF, uploadImage, handleMulterError, convertHeicImages } = require('../middleware/upload');
 const { csrfProtection } = require('../middleware/csrf');
 
 // All routes require admin authentication
@@ -12,6 +12,9 @@ router.use(requireAdmin);
 // Upload and parse PDF (state-changing, needs CSRF)
 router.post('/upload-pdf', csrfProtection, uploadPDF.single('pdf'), handleMulterError, pdfController.uploadAndParse);
 
+// Import recipe from photos of a recipe card, one photo per page (state-changing, needs CSRF)
+router.post('/import-image', csrfProtection, uploadImage.array('photos', 10), handleMulterError, convertHeicImages, pdfController.importFromImage);
+
 // Import recipe from URL (state-changing, needs CSRF)
 router.post('/import-url', csrfProtection, pdfController.importFromUrl);
 
@@ -21,5 +24,6 @@ router.get('/pending-recipes/:id', pdfController.getPendingRecipe);
 router.put('/pending-recipes/:id', csrfProtection, pdfController.updatePendingRecipe);
 router.delete('/pending-recipes/:id', csrfProtection, pdfController.deletePendingRecipe);
 router.post('/pending-recipes/:id/approve', csrfProtection, pdfController.approvePendingRecipe);
+router.post('/pending-recipes/:id/merge', csrfProtection, pdfController.mergePendingRecipe);
 
 module.exports = router;
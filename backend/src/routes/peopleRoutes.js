@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const PeopleController = require('../controllers/peopleController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/csrf');
+const { uploadImage, handleMulterError, convertHeicImages } = require('../middleware/upload');
+
+// GET /api/people - Family members recipes are attributed to (public, read-only)
+router.get('/', PeopleController.getPeople);
+
+// GET /api/people/:id - A person and their recipes (public, read-only)
+router.get('/:id', PeopleController.getPerson);
+
+// POST /api/people - Add a person, with an optional photo (admin-only, requires CSRF)
+router.post(
+  '/',
+  authenticate,
+  requireAdmin,
+  csrfProtection,
+  uploadImage.single('photo'),
+  handleMulterError,
+  convertHeicImages,
+  PeopleController.createPerson
+);
+
+// PUT /api/people/:id - Update a person or replace their photo (admin-only, requires CSRF)
+router.put(
+  '/:id',
+  authenticate,
+  requireAdmin,
+  csrfProtection,
+  uploadImage.single('photo'),
+  handleMulterError,
+  convertHeicImages,
+  PeopleController.updatePerson
+);
+
+// DELETE /api/people/:id - Delete a person; their recipes are kept (admin-only, requires CSRF)
+router.delete('/:id', authenticate, requireAdmin, csrfProtection, PeopleController.deletePerson);
+
+module.exports = router;
@@ -1,19 +1,23 @@
 const express = require('express');
 const RecipeController = require('../controllers/recipeController');
 const RecipeImageController = require('../controllers/recipeImageController');
+const RecipeOriginalController = require('../controllers/recipeOriginalController');
+const cookLogController = require('../controllers/cookLogController');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const { csrfProtection } = require('../middleware/csrf');
-const { uploadImage, handleMulterError } = require('../middleware/upload');
+const { uploadImage, uploadOriginal, handleMulterError, convertHeicImages } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Public routes (read-only)
 router.get('/recipes', RecipeController.getAllRecipes);
 router.get('/recipes/search', RecipeController.searchRecipes);
+router.get('/recipes/pantry', RecipeController.pantrySearch);
 router.get('/recipes/:id', RecipeController.getRecipeById);
 
 // Admin-only routes (require authentication and CSRF)
 router.post('/recipes', authenticate, requireAdmin, csrfProtection, RecipeController.createRecipe);
+router.post('/recipes/duplicates', authenticate, requireAdmin, csrfProtection, RecipeController.findDuplicates);
 router.put('/recipes/:id', authenticate, requireAdmin, csrfProtection, RecipeController.updateRecipe);
 router.delete('/recipes/:id', authenticate, requireAdmin, csrfProtection, RecipeController.deleteRecipe);
 router.post('/recipes/:id/estimate-calories', authenticate, requireAdmin, csrfProtection, RecipeController.estimateCalories);
@@ -24,12 +28,40 @@ router.get('/admin/stats', authenticate, requireAdmin, RecipeController.getDashb
 // Admin recipe list for table view (admin-only, read-only so no CSRF needed)
 router.get('/admin/recipes', authenticate, requireAdmin, RecipeController.getAdminRecipeList);
 
-// Increment times cooked (admin-only, requires CSRF)
-router.post('/recipes/:id/cooked', authenticate, requireAdmin, csrfProtection, RecipeController.incrementTimesCooked);
+// Merge another recipe into this one (admin-only, requires CSRF)
+router.post('/admin/recipes/:id/merge', authenticate, requireAdmin, csrfProtection, RecipeController.mergeRecipes);
+
+// Revision history: earlier versions of a recipe, diffs between them, and restoring one (admin-only)
+router.get('/admin/recipes/:id/revisions', authenticate, requireAdmin, RecipeController.getRevisions);
+router.get('/admin/recipes/:id/revisions/diff', authenticate, requireAdmin, RecipeController.diffRevisions);
+router.get('/admin/recipes/:id/revisions/:revisionId', authenticate, requireAdmin, RecipeController.getRevision);
+router.post('/admin/recipes/:id/revisions/:revisionId/restore', authenticate, requireAdmin, csrfProtection, RecipeController.restoreRevision);
+
+// Trash: deleted recipes waiting to be purged, with restore and permanent delete (admin-only)
+router.get('/admin/trash', authenticate, requireAdmin, RecipeController.getTrash);
+router.post('/admin/trash/:id/restore', authenticate, requireAdmin, csrfProtection, RecipeController.restoreFromTrash);
+router.delete('/admin/trash/:id', authenticate, requireAdmin, csrfProtection, RecipeController.deleteFromTrash);
+
+// Log that the current user cooked a recipe today (any logged-in user, requires CSRF)
+router.post('/recipes/:id/cooked', authenticate, csrfProtection, RecipeController.incrementTimesCooked);
+
+// Log a cook with date, rating, notes and up to 5 photos (any logged-in user, requires CSRF)
+router.post(
+  '/recipes/:id/cook-log',
+  authenticate,
+  csrfProtection,
+  uploadImage.array('photos', 5),
+  handleMulterError,
+  convertHeicImages,
+  cookLogController.logCook
+);
 
 // Tags (public, read-only)
 router.get('/tags', RecipeController.getAllTags);
 
+// Allergen groups for search exclusions (public, read-only)
+router.get('/allergens', RecipeController.getAllergens);
+
 // Recipe image routes (admin-only)
 // Get images for a recipe (public, read-only)
 router.get('/recipes/:id/images', RecipeImageController.getImages);
@@ -42,6 +74,7 @@ router.post(
   csrfProtection,
   uploadImage.array('images', 10),
   handleMulterError,
+  convertHeicImages,
   RecipeImageController.uploadImages
 );
 
@@ -72,4 +105,29 @@ router.delete(
   RecipeImageController.deleteImage
 );
 
+// Originals: the handwritten card scans or PDF pages a recipe was transcribed from
+// Get originals for a recipe (public, read-only)
+router.get('/recipes/:id/originals', RecipeOriginalController.getOriginals);
+
+// Attach an original (admin-only, requires CSRF)
+router.post(
+  '/recipes/:id/originals',
+  authenticate,
+  requireAdmin,
+  csrfProtection,
+  uploadOriginal.single('file'),
+  handleMulterError,
+  convertHeicImages,
+  RecipeOriginalController.addOriginal
+);
+
+// Remove an original (admin-only, requires CSRF)
+router.delete(
+  '/recipes/:id/originals/:originalId',
+  authenticate,
+  requireAdmin,
+  csrfProtection,
+  RecipeOriginalController.removeOriginal
+);
+
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const shoppingListController = require('../controllers/shoppingListController');
+const { authenticate } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/csrf');
+
+// Every shopping list route needs a signed-in user
+router.use(authenticate);
+
+// GET /api/shopping-lists - Lists the user owns or that are shared with them
+router.get('/', shoppingListController.getLists);
+
+// POST /api/shopping-lists - Build a list from recipes and/or a meal plan range
+router.post('/', csrfProtection, shoppingListController.createList);
+
+// GET /api/shopping-lists/:id/export.txt - The list as plain text
+router.get('/:id/export.txt', shoppingListController.exportText);
+
+// GET /api/shopping-lists/:id - A list with its items and members
+router.get('/:id', shoppingListController.getList);
+
+// PUT /api/shopping-lists/:id - Rename a list (owner)
+router.put('/:id', csrfProtection, shoppingListController.updateList);
+
+// DELETE /api/shopping-lists/:id - Delete a list (owner)
+router.delete('/:id', csrfProtection, shoppingListController.deleteList);
+
+// Items (owner and members)
+router.post('/:id/items', csrfProtection, shoppingListController.addItem);
+router.put('/:id/items/:itemId', csrfProtection, shoppingListController.updateItem);
+router.delete('/:id/items/:itemId', csrfProtection, shoppingListController.deleteItem);
+router.post('/:id/clear-checked', csrfProtection, shoppingListController.clearChecked);
+
+// Sharing with household members (owner; members can remove themselves)
+router.post('/:id/members', csrfProtection, shoppingListController.addMember);
+router.delete('/:id/members/:userId', csrfProtection, shoppingListController.removeMember);
+
+module.exports = router;
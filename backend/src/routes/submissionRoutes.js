@@ -22,6 +22,9 @@ router.get('/:id', submittedRecipeController.getSubmissionForReview);
 // Approve submission
 router.post('/:id/approve', csrfProtection, submittedRecipeController.approveSubmission);
 
+// Approve submission by merging it into an existing recipe
+router.post('/:id/merge', csrfProtection, submittedRecipeController.mergeSubmission);
+
 // Reject submission
 router.post('/:id/reject', csrfProtection, submittedRecipeController.rejectSubmission);
 
@@ -3,8 +3,11 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const savedRecipeController = require('../controllers/savedRecipeController');
 const submittedRecipeController = require('../controllers/submittedRecipeController');
+const cookLogController = require('../controllers/cookLogController');
+const collectionController = require('../controllers/collectionController');
 const { authenticate } = require('../middleware/auth');
 const { csrfProtection } = require('../middleware/csrf');
+const { uploadImage, handleMulterError, convertHeicImages } = require('../middleware/upload');
 
 // Public routes
 router.post('/register', csrfProtection, userController.register);
@@ -21,6 +24,37 @@ router.get('/saved-recipes/:recipeId/check', authenticate, savedRecipeController
 router.post('/saved-recipes/:recipeId', authenticate, csrfProtection, savedRecipeController.saveRecipe);
 router.delete('/saved-recipes/:recipeId', authenticate, csrfProtection, savedRecipeController.unsaveRecipe);
 
+// Collection routes (Favorites is the collection behind saved-recipes)
+router.get('/collections', authenticate, collectionController.getCollections);
+router.post(
+  '/collections',
+  authenticate,
+  csrfProtection,
+  uploadImage.single('cover'),
+  handleMulterError,
+  convertHeicImages,
+  collectionController.createCollection
+);
+router.get('/collections/:id', authenticate, collectionController.getCollection);
+router.put(
+  '/collections/:id',
+  authenticate,
+  csrfProtection,
+  uploadImage.single('cover'),
+  handleMulterError,
+  convertHeicImages,
+  collectionController.updateCollection
+);
+router.delete('/collections/:id', authenticate, csrfProtection, collectionController.deleteCollection);
+router.post('/collections/:id/recipes', authenticate, csrfProtection, collectionController.addRecipe);
+router.put('/collections/:id/recipes/reorder', authenticate, csrfProtection, collectionController.reorderRecipes);
+router.delete('/collections/:id/recipes/:recipeId', authenticate, csrfProtection, collectionController.removeRecipe);
+
+// Cooking history routes (entries are created via POST /api/recipes/:id/cook-log)
+router.get('/cook-log', authenticate, cookLogController.getMyCookLog);
+router.put('/cook-log/:id', authenticate, csrfProtection, cookLogController.updateCookLogEntry);
+router.delete('/cook-log/:id', authenticate, csrfProtection, cookLogController.deleteCookLogEntry);
+
 // Recipe submissions routes
 router.get('/submissions', authenticate, submittedRecipeController.getMySubmissions);
 router.get('/submissions/counts', authenticate, submittedRecipeController.getMySubmissionCounts);
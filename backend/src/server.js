@@ -9,6 +9,15 @@ const pdfRoutes = require('./routes/pdfRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const userRoutes = require('./routes/userRoutes');
 const submissionRoutes = require('./routes/submissionRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const batchImportRoutes = require('./routes/batchImportRoutes');
+const peopleRoutes = require('./routes/peopleRoutes');
+const mealPlanRoutes = require('./routes/mealPlanRoutes');
+const shoppingListRoutes = require('./routes/shoppingListRoutes');
+const ingredientRoutes = require('./routes/ingredientRoutes');
+const JobWorker = require('./services/jobWorker');
+const TrashPurger = require('./services/trashPurger');
+const IngredientBackfill = require('./services/ingredientBackfill');
 const { errorHandler } = require('./middleware/errorHandler');
 const { getCsrfToken } = require('./middleware/csrf');
 
@@ -50,6 +59,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/admin', pdfRoutes);
 app.use('/api/admin/settings', settingsRoutes);
 app.use('/api/admin/submissions', submissionRoutes);
+app.use('/api/admin/jobs', jobRoutes);
+app.use('/api/admin/import-batches', batchImportRoutes);
+app.use('/api/admin/ingredients', ingredientRoutes);
+app.use('/api/people', peopleRoutes);
+app.use('/api/meal-plan', mealPlanRoutes);
+app.use('/api/shopping-lists', shoppingListRoutes);
 app.use('/api', recipeRoutes);
 
 // Health check endpoint
@@ -77,6 +92,15 @@ if (require.main === module) {
         console.log(`Server is running on port ${PORT}`);
         console.log(`Health check: http://localhost:${PORT}/health`);
       });
+
+      TrashPurger.start();
+
+      // Recompute stored ingredient keys if the matching rules changed since they were saved
+      IngredientBackfill.queueIfKeysChanged()
+        .catch((error) => console.error('Failed to queue the ingredient backfill:', error));
+
+      // Imports run in the background; tests drive the worker directly instead
+      return JobWorker.start();
     })
     .catch((error) => {
       console.error('Failed to initialize database:', error);
@@ -1,4 +1,5 @@
 const SettingsModel = require('../models/settingsModel');
+const { formatSteps, normalizeSteps } = require('../utils/steps');
 
 // Lazy-loaded provider clients
 let anthropicClient = null;
@@ -53,9 +54,10 @@ class AIService {
    * Send a message to the configured AI provider
    * @param {string} userMessage - The user message/prompt
    * @param {string} systemPrompt - System instructions
+   * @param {Array<Object>} images - Images sent ahead of the message: [{ data: Buffer, mimeType }]
    * @returns {Promise<string>} - AI response text
    */
-  static async sendMessage(userMessage, systemPrompt = '') {
+  static async sendMessage(userMessage, systemPrompt = '', images = []) {
     const config = await SettingsModel.getAIConfig();
     const apiKey = await SettingsModel.getActiveApiKey();
 
@@ -68,11 +70,11 @@ class AIService {
     try {
       switch (provider) {
         case 'anthropic':
-          return await this._sendAnthropicMessage(apiKey, model, userMessage, systemPrompt);
+          return await this._sendAnthropicMessage(apiKey, model, userMessage, systemPrompt, images);
         case 'openai':
-          return await this._sendOpenAIMessage(apiKey, model, userMessage, systemPrompt);
+          return await this._sendOpenAIMessage(apiKey, model, userMessage, systemPrompt, images);
         case 'google':
-          return await this._sendGoogleMessage(apiKey, model, userMessage, systemPrompt);
+          return await this._sendGoogleMessage(apiKey, model, userMessage, systemPrompt, images);
         default:
           throw new Error(`Unsupported AI provider: ${provider}`);
       }
@@ -91,13 +93,21 @@ class AIService {
   /**
    * Send message via Anthropic Claude
    */
-  static async _sendAnthropicMessage(apiKey, model, userMessage, systemPrompt) {
+  static async _sendAnthropicMessage(apiKey, model, userMessage, systemPrompt, images = []) {
     const client = getAnthropicClient(apiKey);
 
+    const content = images.length === 0 ? userMessage : [
+      ...images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mimeType, data: image.data.toString('base64') }
+      })),
+      { type: 'text', text: userMessage }
+    ];
+
     const params = {
       model,
       max_tokens: 4096,
-      messages: [{ role: 'user', content: userMessage }]
+      messages: [{ role: 'user', content }]
     };
 
     if (systemPrompt) {
@@ -116,14 +126,23 @@ class AIService {
   /**
    * Send message via OpenAI
    */
-  static async _sendOpenAIMessage(apiKey, model, userMessage, systemPrompt) {
+  static async _sendOpenAIMessage(apiKey, model, userMessage, systemPrompt, images = []) {
     const client = getOpenAIClient(apiKey);
 
     const messages = [];
     if (systemPrompt) {
       messages.push({ role: 'system', content: systemPrompt });
     }
-    messages.push({ role: 'user', content: userMessage });
+    messages.push({
+      role: 'user',
+      content: images.length === 0 ? userMessage : [
+        { type: 'text', text: userMessage },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` }
+        }))
+      ]
+    });
 
     const response = await client.chat.completions.create({
       model,
@@ -141,7 +160,7 @@ class AIService {
   /**
    * Send message via Google Gemini
    */
-  static async _sendGoogleMessage(apiKey, model, userMessage, systemPrompt) {
+  static async _sendGoogleMessage(apiKey, model, userMessage, systemPrompt, images = []) {
     const client = getGoogleClient(apiKey);
     const genModel = client.getGenerativeModel({ model });
 
@@ -150,7 +169,10 @@ class AIService {
       ? `${systemPrompt}\n\n---\n\n${userMessage}`
       : userMessage;
 
-    const result = await genModel.generateContent(fullPrompt);
+    const result = await genModel.generateContent([
+      fullPrompt,
+      ...images.map(image => ({ inlineData: { data: image.data.toString('base64'), mimeType: image.mimeType } }))
+    ]);
     const response = await result.response;
 
     return response.text();
@@ -202,11 +224,29 @@ The JSON structure should be:
     {
       "name": "ingredient name",
       "quantity": "amount (e.g., '2', '1/2', '1.5')",
-      "unit": "unit of measurement (e.g., 'cups', 'tbsp', 'grams', 'whole')"
+      "unit": "unit of measurement (e.g., 'cups', 'tbsp', 'grams', 'whole')",
+      "section": "ingredient group heading this belongs to (e.g., 'For the crust'), or null"
     }
   ],
-  "instructions": "Step by step cooking instructions as a single text block",
-  "tags": ["tag1", "tag2"]
+  "steps": [
+    {
+      "text": "one instruction step",
+      "section": "instruction group heading this step belongs to (e.g., 'For the sauce'), or null"
+    }
+  ],
+  "tags": ["tag1", "tag2"],
+  "servings": <number or null>,
+  "prepTime": <prep time in minutes or null>,
+  "cookTime": <cook time in minutes or null>,
+  "totalTime": <total time in minutes or null>,
+  "story": "Family memory or note about the recipe, or null",
+  "attributions": [
+    {
+      "name": "person's name, without the relation (e.g., 'Ruth')",
+      "relation": "how they are family (e.g., 'Aunt', 'Grandma'), or null",
+      "role": "contributed" or "handed_down"
+    }
+  ]
 }
 
 Guidelines:
@@ -218,13 +258,25 @@ Guidelines:
   * Separate quantity, unit, and ingredient name
   * Use "whole" or "piece" for countable items without units
   * Keep fractions as strings: "1/2", "1/4", etc.
-- Combine all instruction steps into a single text block with proper formatting
+  * If ingredients are grouped under headings ("For the crust", "Filling"), set "section" to the heading on every ingredient in that group; otherwise null
+- Split the instructions into steps, one entry per step in order:
+  * Keep the recipe's own wording; drop step numbers ("1.", "Step 2")
+  * If steps are grouped under headings ("For the sauce"), set "section" to the heading on every step in that group; otherwise null
+- Extract prep, cook and total times as whole minutes (e.g., "1 hour 15 minutes" = 75)
+  * Only use times stated in the text; use null rather than guessing
+- Extract servings/yield if mentioned
 - Generate 3-5 relevant tags based on:
   * Meal type (breakfast, lunch, dinner, dessert, snack)
   * Cuisine type (italian, mexican, asian, etc.)
   * Main ingredient (chicken, beef, pasta, etc.)
   * Cooking method (baked, grilled, slow-cooker, etc.)
   * Dietary (vegetarian, vegan, gluten-free, etc.)
+- List the family members the recipe is credited to in "attributions" ("from Aunt Ruth", "Grandma Edna's"):
+  * Use "contributed" for whoever wrote down or gave the recipe, "handed_down" for anyone it was passed down from before them
+  * e.g. "Mom's pie, which she got from her mother Edna" = Mom contributed, Edna handed_down
+  * If only a relation is given ("Mom's recipe"), use it as the name with a null relation
+  * Cookbooks, websites and restaurants are sources, not attributions; use [] when no person is named
+- Put a memory or note about the recipe ("We made this every Christmas Eve") in "story" in its own words; otherwise null
 - If any field is unclear or missing, use reasonable defaults or null`;
 
     const userMessage = `Parse this recipe and return structured JSON:
@@ -239,6 +291,64 @@ ${recipeText}`;
     }
   }
 
+  /**
+   * Transcribe a scanned recipe page with the provider's vision support
+   * @param {Buffer} image - Image of the page
+   * @param {string} mimeType - e.g. 'image/png', 'image/jpeg'
+   * @returns {Promise<Object>} - { text, confidence, lines: [{ text, confidence }] } with confidence 0-100
+   */
+  static async transcribePage(image, mimeType = 'image/png') {
+    if (!(await this.isAvailable())) {
+      throw new Error('Reading scanned pages with AI requires an API key in Admin Settings.');
+    }
+
+    const systemPrompt = `You transcribe scanned or photographed recipe pages: typed cards, cookbook pages and handwritten notes.
+
+IMPORTANT: Respond with ONLY valid JSON in this exact format:
+{
+  "lines": [
+    {
+      "text": "one line of the page, exactly as written",
+      "confidence": <0-100, how sure you are this line is read correctly>
+    }
+  ]
+}
+
+Guidelines:
+- One entry per line, top to bottom; keep blank-line breaks between blocks as entries with empty text
+- Copy the writing as it is: keep abbreviations, fractions and spelling; do not fix or complete the recipe
+- Where a word is illegible, give your best guess and lower that line's confidence (below 60 for a real guess)
+- Read the page the right way up even if the image is rotated or skewed
+- Leave out anything that is not writing (stains, drawings, borders, the table behind a photographed card)`;
+
+    try {
+      const response = await this.sendMessage(
+        'Transcribe this recipe page.',
+        systemPrompt,
+        [{ data: image, mimeType }]
+      );
+      const parsed = this._parseJsonResponse(response, 'Page transcription');
+
+      const lines = (Array.isArray(parsed.lines) ? parsed.lines : [])
+        .filter(line => line && typeof line.text === 'string')
+        .map(line => ({
+          text: line.text.trim(),
+          confidence: Math.max(0, Math.min(100, Math.round(Number(line.confidence) || 0)))
+        }));
+      const readLines = lines.filter(line => line.text);
+
+      return {
+        text: lines.map(line => line.text).join('\n'),
+        confidence: readLines.length
+          ? Math.round(readLines.reduce((sum, line) => sum + line.confidence, 0) / readLines.length)
+          : 0,
+        lines: readLines
+      };
+    } catch (error) {
+      throw new Error(`Page transcription failed: ${error.message}`);
+    }
+  }
+
   /**
    * Parse recipe from unstructured web page content
    * @param {Object} pageContent - Extracted page content
@@ -264,12 +374,29 @@ The JSON structure should be:
     {
       "name": "ingredient name",
       "quantity": "amount (e.g., '2', '1/2', '1.5')",
-      "unit": "unit of measurement (e.g., 'cups', 'tbsp', 'grams', 'whole')"
+      "unit": "unit of measurement (e.g., 'cups', 'tbsp', 'grams', 'whole')",
+      "section": "ingredient group heading this belongs to (e.g., 'For the crust'), or null"
+    }
+  ],
+  "steps": [
+    {
+      "text": "one instruction step",
+      "section": "instruction group heading this step belongs to (e.g., 'For the sauce'), or null"
     }
   ],
-  "instructions": "Step by step cooking instructions as a single text block",
   "tags": ["tag1", "tag2"],
-  "servings": <number or null>
+  "servings": <number or null>,
+  "prepTime": <prep time in minutes or null>,
+  "cookTime": <cook time in minutes or null>,
+  "totalTime": <total time in minutes or null>,
+  "story": "Family memory or note about the recipe, or null",
+  "attributions": [
+    {
+      "name": "person's name, without the relation (e.g., 'Ruth')",
+      "relation": "how they are family (e.g., 'Aunt', 'Grandma'), or null",
+      "role": "contributed" or "handed_down"
+    }
+  ]
 }
 
 Guidelines:
@@ -281,9 +408,14 @@ Guidelines:
   * Separate quantity, unit, and ingredient name
   * Use "whole" or "piece" for countable items without units
   * Keep fractions as strings: "1/2", "1/4", etc.
-- Extract and format instructions as numbered steps
+  * If ingredients are grouped under headings ("For the crust", "Filling"), set "section" to the heading on every ingredient in that group; otherwise null
+- Split the instructions into steps, one entry per step in order, without step numbers
+  * If steps are grouped under headings ("For the sauce"), set "section" on every step in that group; otherwise null
 - Generate 3-5 relevant tags based on meal type, cuisine, main ingredients, cooking method, dietary restrictions
 - Extract servings/yield if mentioned
+- Extract prep, cook and total times as whole minutes if mentioned (e.g., "1 hr 15 mins" = 75), otherwise null
+- If the author credits the recipe to a family member ("my grandmother's recipe"), list them in "attributions" with role "handed_down" ("contributed" if they gave it to the author directly); otherwise []
+- Put the author's own memory of the recipe in "story" if it is short (a few sentences); otherwise null
 - Ignore ads, comments, navigation, and non-recipe content
 - If the page doesn't appear to contain a recipe, return: {"error": "No recipe found on this page"}`;
 
@@ -312,6 +444,7 @@ ${pageContent.content}`;
       if (!Array.isArray(parsed.ingredients)) parsed.ingredients = [];
       if (!parsed.instructions) parsed.instructions = '';
       if (!Array.isArray(parsed.tags)) parsed.tags = [];
+      if (!Array.isArray(parsed.attributions)) parsed.attributions = [];
 
       return parsed;
     } catch (error) {
@@ -322,6 +455,47 @@ ${pageContent.content}`;
     }
   }
 
+  /**
+   * Split free-text instructions into steps (used to migrate recipes saved before steps existed)
+   * @param {string} instructions - Instructions text
+   * @returns {Promise<Array<Object>>} - [{ section, text, timerSeconds }]
+   */
+  static async splitInstructions(instructions) {
+    if (!(await this.isAvailable())) {
+      throw new Error('Splitting instructions with AI requires an API key in Admin Settings.');
+    }
+
+    const systemPrompt = `You split recipe instructions into individual steps.
+
+IMPORTANT: Respond with ONLY valid JSON in this exact format:
+{
+  "steps": [
+    {
+      "text": "one instruction step",
+      "section": "instruction group heading this step belongs to (e.g., 'For the sauce'), or null"
+    }
+  ]
+}
+
+Guidelines:
+- One entry per action a cook would check off, in order
+- Keep the original wording; do not add, drop or rewrite instructions
+- Drop step numbers ("1.", "Step 2")
+- Use headings in the text ("For the sauce:") as the section of the steps that follow them`;
+
+    const userMessage = `Split these instructions into steps:
+
+${instructions}`;
+
+    try {
+      const response = await this.sendMessage(userMessage, systemPrompt);
+      const parsed = this._parseJsonResponse(response, 'Instruction splitting');
+      return normalizeSteps(parsed.steps);
+    } catch (error) {
+      throw new Error(`Instruction splitting failed: ${error.message}`);
+    }
+  }
+
   /**
    * Estimate calories for a recipe
    * @param {Object} recipe - Recipe with ingredients
@@ -385,9 +559,10 @@ ${ingredientList}`;
     try {
       const parsed = JSON.parse(jsonStr);
 
-      // Apply common defaults for recipe parsing
+      // Apply common defaults for recipe parsing (steps are kept as numbered text until approval)
       if (parsed.title === undefined) parsed.title = 'Untitled Recipe';
       if (!Array.isArray(parsed.ingredients)) parsed.ingredients = [];
+      if (Array.isArray(parsed.steps)) parsed.instructions = formatSteps(normalizeSteps(parsed.steps));
       if (!parsed.instructions) parsed.instructions = '';
       if (!Array.isArray(parsed.tags)) parsed.tags = [];
 
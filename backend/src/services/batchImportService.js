@@ -0,0 +1,246 @@
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const FileModel = require('../models/fileModel');
+const JobModel = require('../models/jobModel');
+const ImportBatchModel = require('../models/importBatchModel');
+const JobWorker = require('./jobWorker');
+const DuplicateService = require('./duplicateService');
+const { ApiError } = require('../middleware/errorHandler');
+const { UPLOAD_DIRS, convertHeicFile, isHeic } = require('../middleware/upload');
+const {
+  MAX_BATCH_ITEMS,
+  MAX_FILE_SIZES,
+  importTypeFor,
+  isImportableEntry,
+  parseUrlList,
+  formatSize
+} = require('../utils/batchImport');
+
+const JOB_TYPES = { pdf: 'pdf_import', image: 'image_import' };
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif'
+};
+
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+/**
+ * Why a ZIP entry can't be imported, checked before anything is written to disk
+ * @param {Object} entry - yauzl entry
+ * @param {string|null} type - From importTypeFor()
+ * @returns {string|null}
+ */
+const entrySkipReason = (entry, type) => {
+  if (!type) return 'Not a PDF or photo';
+  if (type === 'zip') return 'ZIP archives inside ZIP archives are not opened';
+  if (entry.uncompressedSize > MAX_FILE_SIZES[type]) return `Larger than ${formatSize(MAX_FILE_SIZES[type])}`;
+  return null;
+};
+
+/**
+ * Bulk imports. Every PDF, photo or URL in a batch is queued as its own import job
+ * (see services/importService.js), so one bad item never holds up the rest.
+ */
+class BatchImportService {
+  /**
+   * Queue a batch of uploaded PDFs, photos and ZIP archives of them
+   * @param {Object} options
+   * @param {Array<Object>} options.files - Multer files
+   * @param {Array<Object>} options.skipped - Files the upload already turned away ({ name, reason })
+   * @param {string} options.name - Optional batch name
+   * @param {number} options.createdBy - User ID
+   * @returns {Promise<number>} - Batch ID
+   */
+  static async importFiles({ files, skipped = [], name = '', createdBy }) {
+    const items = [];
+    const skippedItems = [...skipped];
+
+    for (const file of files) {
+      if (importTypeFor(file.originalname, file.mimetype) !== 'zip') {
+        items.push(file);
+        continue;
+      }
+
+      try {
+        const extracted = await this.extractZip(file.path, MAX_BATCH_ITEMS - items.length);
+        items.push(...extracted.files);
+        skippedItems.push(...extracted.skipped);
+      } catch (zipError) {
+        skippedItems.push({ name: file.originalname, reason: `Could not open ZIP archive: ${zipError.message}` });
+      } finally {
+        await removeFile(file.path);
+      }
+    }
+
+    // Check each item against the single-upload limits, and make HEIC photos viewable
+    const accepted = [];
+    for (const file of items) {
+      const type = importTypeFor(file.originalname, file.mimetype);
+      let reason = null;
+
+      if (accepted.length >= MAX_BATCH_ITEMS) {
+        reason = `Batch limit of ${MAX_BATCH_ITEMS} items reached`;
+      } else if (file.size > MAX_FILE_SIZES[type]) {
+        reason = `Larger than ${formatSize(MAX_FILE_SIZES[type])}`;
+      } else if (type === 'image' && isHeic(file)) {
+        try {
+          await convertHeicFile(file);
+        } catch (heicError) {
+          reason = `Could not read HEIC photo: ${heicError.message}`;
+        }
+      }
+
+      if (reason) {
+        skippedItems.push({ name: file.originalname, reason });
+        await removeFile(file.path);
+      } else {
+        accepted.push({ type, file });
+      }
+    }
+
+    if (accepted.length === 0) {
+      throw new ApiError(400, 'No PDFs or photos found to import',
+        skippedItems.map(item => `${item.name}: ${item.reason}`));
+    }
+
+    const archives = files.filter(file => importTypeFor(file.originalname, file.mimetype) === 'zip');
+    const batchId = await ImportBatchModel.create({
+      name: name || (files.length === 1 ? files[0].originalname : `${accepted.length} files`),
+      source: archives.length > 0 ? 'zip' : 'files',
+      skipped: skippedItems,
+      createdBy
+    });
+
+    for (const { type, file } of accepted) {
+      const fileId = await FileModel.create({
+        filename: file.filename,
+        originalName: file.originalname,
+        filePath: file.path,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        uploadedBy: createdBy,
+        contentHash: await DuplicateService.hashFile(file.path)
+      });
+
+      const payload = type === 'pdf'
+        ? { fileId, fileName: file.originalname }
+        : { fileIds: [fileId], fileName: file.originalname };
+      await JobModel.create({ type: JOB_TYPES[type], payload, createdBy, batchId });
+    }
+
+    JobWorker.wake();
+    return batchId;
+  }
+
+  /**
+   * Queue a batch of recipe URLs
+   * @param {Object} options
+   * @param {string|Array<string>} options.urls - Pasted text (one URL per line) or a list
+   * @param {string} options.name - Optional batch name
+   * @param {number} options.createdBy - User ID
+   * @returns {Promise<number>} - Batch ID
+   */
+  static async importUrls({ urls: input, name = '', createdBy }) {
+    const { urls, invalid } = parseUrlList(input);
+    const skipped = invalid.map(entry => ({ name: entry, reason: 'Not a valid http(s) URL' }));
+
+    for (const url of urls.splice(MAX_BATCH_ITEMS)) {
+      skipped.push({ name: url, reason: `Batch limit of ${MAX_BATCH_ITEMS} items reached` });
+    }
+
+    if (urls.length === 0) {
+      throw new ApiError(400, 'No valid URLs found', skipped.map(item => item.name));
+    }
+
+    const batchId = await ImportBatchModel.create({
+      name: name || (urls.length === 1 ? urls[0] : `${urls.length} URLs`),
+      source: 'urls',
+      skipped,
+      createdBy
+    });
+
+    for (const url of urls) {
+      await JobModel.create({ type: 'url_import', payload: { url }, createdBy, batchId });
+    }
+
+    JobWorker.wake();
+    return batchId;
+  }
+
+  /**
+   * Unpack the PDFs and photos in a ZIP archive into the upload folders
+   * Anything else, and anything over the usual size limits, is listed as skipped without
+   * being written to disk. Folders and macOS/Windows metadata files are ignored.
+   * @param {string} zipPath
+   * @param {number} maxFiles - Stop extracting after this many files
+   * @returns {Promise<Object>} - { files: multer-style files, skipped: [{ name, reason }] }
+   */
+  static async extractZip(zipPath, maxFiles = MAX_BATCH_ITEMS) {
+    const files = [];
+    const skipped = [];
+    const zipfile = await yauzl.openPromise(zipPath);
+
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        if (!isImportableEntry(entry.fileName)) continue;
+
+        const type = importTypeFor(entry.fileName);
+        const reason = entrySkipReason(entry, type) ||
+          (files.length >= maxFiles ? `Batch limit of ${MAX_BATCH_ITEMS} items reached` : null);
+
+        if (reason) {
+          skipped.push({ name: entry.fileName, reason });
+          continue;
+        }
+
+        const extension = path.extname(entry.fileName).toLowerCase();
+        const filename = `${Date.now()}-${uuidv4()}${extension}`;
+        const filePath = path.join(type === 'image' ? UPLOAD_DIRS.images : UPLOAD_DIRS.pdfs, filename);
+
+        try {
+          await pipeline(await zipfile.openReadStreamPromise(entry), fs.createWriteStream(filePath));
+        } catch (entryError) {
+          await removeFile(filePath);
+          skipped.push({ name: entry.fileName, reason: `Could not extract: ${entryError.message}` });
+          continue;
+        }
+
+        files.push({
+          originalname: entry.fileName,
+          filename,
+          path: filePath,
+          size: entry.uncompressedSize,
+          mimetype: MIME_TYPES[extension]
+        });
+      }
+    } catch (error) {
+      if (zipfile.isOpen) zipfile.close();
+      await Promise.all(files.map(file => removeFile(file.path)));
+      throw error;
+    }
+
+    return { files, skipped };
+  }
+
+  /**
+   * Get a batch with every item's job
+   * @param {number} id
+   * @returns {Promise<Object|null>} - The batch with its jobs, in the order they were queued
+   */
+  static async getBatch(id) {
+    const batch = await ImportBatchModel.findById(id);
+    if (!batch) return null;
+
+    return { ...batch, jobs: await JobModel.findByBatchId(id) };
+  }
+}
+
+module.exports = BatchImportService;
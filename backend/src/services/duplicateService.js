@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('../config/database');
+const RecipeModel = require('../models/recipeModel');
+const { DUPLICATE_THRESHOLD, titleWords, jaccard, canonicalUrl, scoreDuplicate } = require('../utils/duplicates');
+
+// Recipes scored in full (with ingredients) per check, best title matches first
+const MAX_CANDIDATES = 50;
+
+/**
+ * Finds recipes that a new recipe (pending import, user submission or manual entry)
+ * probably duplicates. See utils/duplicates.js for the scoring.
+ */
+class DuplicateService {
+  /**
+   * SHA-256 of a file's contents, to spot the same PDF or photo uploaded twice
+   * @param {string} filePath
+   * @returns {Promise<string>} - Hex digest
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Find existing recipes that look like the same recipe
+   * @param {Object} candidate
+   * @param {string} candidate.title
+   * @param {Array<string>} candidate.ingredients - Ingredient names
+   * @param {string|null} candidate.sourceUrl
+   * @param {string|null} candidate.fileHash - Content hash of the file it was imported from
+   * @param {Object} options
+   * @param {number|null} options.excludeRecipeId - Leave this recipe out (e.g. the recipe itself)
+   * @param {number} options.limit
+   * @returns {Promise<Array>} - [{ recipe, score, reasons }], most likely first
+   */
+  static async findDuplicates(candidate, { excludeRecipeId = null, limit = 5 } = {}) {
+    const rows = await db.prepare(`
+      SELECT r.id, r.title, r.source, r.source_url, uf.content_hash, uf.recipes_detected
+      FROM recipes r
+      LEFT JOIN uploaded_files uf ON r.source_file_id = uf.id
+      WHERE r.deleted_at IS NULL
+    `).all();
+
+    // Narrow to recipes sharing a title word, the source URL or the file before loading ingredients
+    const candidateTitle = titleWords(candidate.title);
+    const candidateUrl = canonicalUrl(candidate.sourceUrl);
+    const shortlist = rows
+      .filter(row => row.id !== Number(excludeRecipeId))
+      .map(row => ({ row, titleScore: jaccard(candidateTitle, titleWords(row.title)) }))
+      .filter(({ row, titleScore }) => titleScore > 0 ||
+        (candidateUrl && canonicalUrl(row.source_url || row.source) === candidateUrl) ||
+        (candidate.fileHash && row.content_hash === candidate.fileHash))
+      .sort((a, b) => b.titleScore - a.titleScore)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ row }) => row);
+
+    if (shortlist.length === 0) return [];
+
+    const ingredientRows = await db.prepare(`
+      SELECT recipe_id, name FROM ingredients
+      WHERE recipe_id IN (${shortlist.map(() => '?').join(',')})
+    `).all(...shortlist.map(row => row.id));
+
+    const matches = shortlist
+      .map(row => ({
+        id: row.id,
+        ...scoreDuplicate(candidate, {
+          title: row.title,
+          ingredients: ingredientRows.filter(ing => ing.recipe_id === row.id).map(ing => ing.name),
+          sourceUrl: row.source_url || row.source,
+          fileHash: row.content_hash,
+          fileRecipeCount: row.recipes_detected
+        })
+      }))
+      .filter(match => match.score >= DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const duplicates = [];
+    for (const { id, score, reasons } of matches) {
+      const recipe = await RecipeModel.getById(id);
+      if (recipe) duplicates.push({ recipe, score, reasons });
+    }
+    return duplicates;
+  }
+
+  /**
+   * Find what an earlier import of the same URL or file produced
+   * Used when an import is queued, before there is a recipe to compare.
+   * @param {Object} source
+   * @param {string|null} source.sourceUrl
+   * @param {string|null} source.fileHash
+   * @param {number|null} source.excludeFileId - The upload being checked
+   * @returns {Promise<Array>} - [{ type: 'recipe' | 'pending', id, title }]
+   */
+  static async findPreviousImports({ sourceUrl = null, fileHash = null, excludeFileId = null }) {
+    const url = canonicalUrl(sourceUrl);
+    if (!url && !fileHash) return [];
+
+    const recipes = await db.prepare(`
+      SELECT r.id, r.title
+      FROM recipes r
+      LEFT JOIN uploaded_files uf ON r.source_file_id = uf.id
+      WHERE r.deleted_at IS NULL AND (r.source_url = ? OR (uf.content_hash = ? AND uf.id <> ?))
+      ORDER BY r.id
+    `).all(url, fileHash, excludeFileId ?? 0);
+
+    const pendingRecipes = await db.prepare(`
+      SELECT pr.id, pr.title
+      FROM pending_recipes pr
+      JOIN uploaded_files uf ON pr.file_id = uf.id
+      WHERE pr.source_url = ? OR (uf.content_hash = ? AND uf.id <> ?)
+      ORDER BY pr.id
+    `).all(url, fileHash, excludeFileId ?? 0);
+
+    return [
+      ...recipes.map(recipe => ({ type: 'recipe', ...recipe })),
+      ...pendingRecipes.map(recipe => ({ type: 'pending', ...recipe }))
+    ];
+  }
+}
+
+module.exports = DuplicateService;
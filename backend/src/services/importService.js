@@ -0,0 +1,329 @@
+const path = require('path');
+const fs = require('fs').promises;
+const FileModel = require('../models/fileModel');
+const PendingRecipeModel = require('../models/pendingRecipeModel');
+const PDFParser = require('./pdfParser');
+const OCRService = require('./ocrService');
+const AIService = require('./aiService');
+const UrlScraper = require('./urlScraper');
+const { ApiError } = require('../middleware/errorHandler');
+const { UPLOAD_DIRS } = require('../middleware/upload');
+const { normalizeRecipeTimes } = require('../utils/duration');
+const { parseServings } = require('../utils/quantity');
+const { normalizeIngredientUnits } = require('../utils/units');
+const { normalizeIngredientSections } = require('../utils/ingredientSections');
+const { splitRecipeSegments } = require('../utils/recipeSegments');
+const { canonicalUrl } = require('../utils/duplicates');
+const { normalizeAttributions } = require('../utils/people');
+
+/**
+ * Pending recipe fields shared by every import type
+ * @param {Object} parsedRecipe - From AI parsing or structured page data
+ * @returns {Object}
+ */
+const pendingRecipeFields = (parsedRecipe) => ({
+  title: parsedRecipe.title,
+  source: parsedRecipe.source,
+  category: parsedRecipe.category,
+  description: parsedRecipe.description,
+  instructions: parsedRecipe.instructions,
+  servings: parseServings(parsedRecipe.servings),
+  ...normalizeRecipeTimes(parsedRecipe),
+  story: typeof parsedRecipe.story === 'string' ? parsedRecipe.story.trim() || null : null,
+  attributions: normalizeAttributions(parsedRecipe.attributions),
+  parsedData: parsedRecipe,
+  ingredients: normalizeIngredientSections(normalizeIngredientUnits(parsedRecipe.ingredients || [])),
+  tags: parsedRecipe.tags || []
+});
+
+/**
+ * Imports run by the job worker (see services/jobWorker.js). Each takes the job and a
+ * reportProgress(message, partialResult) callback, and returns the job's result.
+ * Errors thrown as ApiError with a 4xx status are problems with the input and are not
+ * retried automatically; anything else (AI or network trouble) is.
+ */
+class ImportService {
+  /**
+   * Parse every recipe in an uploaded PDF into pending recipes
+   * Recipes saved by an earlier attempt are kept in the job result and skipped, so
+   * retrying a binder where two recipes failed only re-parses those two.
+   * @param {Object} job - payload: { fileId, fileName }
+   * @param {Function} reportProgress
+   * @returns {Promise<Object>} - { fileId, fileName, recipesCount, recipes, failedSegments }
+   */
+  static async importPdf(job, reportProgress) {
+    const file = await FileModel.findById(job.payload.fileId);
+    if (!file) {
+      throw new ApiError(404, 'The uploaded PDF no longer exists');
+    }
+
+    // 1. Extract text from PDF, keeping pages apart for recipe splitting
+    await reportProgress('Reading PDF');
+    let pages;
+    try {
+      pages = await PDFParser.extractAndCleanPages(file.file_path);
+    } catch (pdfError) {
+      throw new ApiError(400,
+        'Failed to read PDF file. This may be a corrupted PDF or an unsupported format. ' +
+        'Error: ' + pdfError.message
+      );
+    }
+    let rawText = pages.map(page => page.text).filter(Boolean).join('\n\n');
+
+    // Scanned cards and handwritten pages have no text layer, so read the page images instead
+    let ocrPages = null;
+    if (!rawText || rawText.trim().length < 10) {
+      await reportProgress('Scanning pages with OCR');
+      try {
+        ocrPages = await OCRService.readPdf(file.file_path);
+      } catch (ocrError) {
+        throw new ApiError(400, 'Failed to read the scanned pages of this PDF. Error: ' + ocrError.message);
+      }
+      pages = ocrPages.map(({ num, text }) => ({ num, text }));
+      rawText = pages.map(page => page.text).filter(Boolean).join('\n\n');
+    }
+
+    // Check if we got meaningful text
+    if (!rawText || rawText.trim().length < 10) {
+      throw new ApiError(400,
+        'Could not find any text in this PDF, even after scanning its pages with OCR. ' +
+        'Try a clearer scan, or enter the recipe manually.'
+      );
+    }
+
+    // Warn if text seems too short (might be low quality extraction)
+    if (rawText.trim().length < 50) {
+      console.warn(`Warning: PDF text extraction yielded very short text (${rawText.length} chars) for file: ${file.original_name}`);
+    }
+
+    // 2. Split cookbooks and recipe binders into one segment per recipe
+    const segments = splitRecipeSegments(pages);
+
+    // 3. Parse each recipe with AI and save it as a pending recipe.
+    // One unreadable recipe shouldn't throw away the rest of a 40-page binder.
+    const recipes = [...(job.result?.recipes || [])];
+    const failedSegments = [];
+    for (const [index, segment] of segments.entries()) {
+      if (recipes.some(recipe => recipe.segment === index)) continue;
+
+      const progress = segments.length > 1 ? `Parsing recipe ${index + 1} of ${segments.length}` : 'Parsing recipe';
+      await reportProgress(progress);
+
+      try {
+        const parsedRecipe = await AIService.parseRecipe(segment.text);
+
+        const pendingRecipeId = await PendingRecipeModel.create({
+          fileId: file.id,
+          ...pendingRecipeFields(parsedRecipe),
+          rawText: segment.text,
+          pageStart: segment.pageStart,
+          pageEnd: segment.pageEnd,
+          ocrData: ocrPages ? OCRService.forPages(ocrPages, segment.pageStart, segment.pageEnd) : null
+        });
+        recipes.push({
+          id: pendingRecipeId,
+          title: parsedRecipe.title,
+          pageStart: segment.pageStart,
+          pageEnd: segment.pageEnd,
+          segment: index
+        });
+        // Saved straight away so a crash or retry doesn't create this recipe twice
+        await reportProgress(progress, { fileId: file.id, fileName: file.original_name, recipes });
+      } catch (segmentError) {
+        if (segments.length === 1) throw segmentError;
+        console.error(`Failed to parse recipe on pages ${segment.pageStart}-${segment.pageEnd} of ${file.original_name}:`, segmentError.message);
+        failedSegments.push({ pageStart: segment.pageStart, pageEnd: segment.pageEnd, error: segmentError.message });
+      }
+    }
+
+    if (recipes.length === 0) {
+      throw new Error(`None of the ${segments.length} recipes found could be parsed`);
+    }
+
+    // 4. Mark file as processed
+    await FileModel.markAsProcessed(file.id, recipes.length);
+
+    recipes.sort((a, b) => a.segment - b.segment);
+    return {
+      fileId: file.id,
+      fileName: file.original_name,
+      recipesCount: recipes.length,
+      recipes,
+      failedSegments
+    };
+  }
+
+  /**
+   * Import a recipe from a web page
+   * @param {Object} job - payload: { url }
+   * @param {Function} reportProgress
+   * @returns {Promise<Object>} - { fileId, sourceUrl, extractionType, hasImage, recipes }
+   */
+  static async importUrl(job, reportProgress) {
+    const { url } = job.payload;
+    let downloadedImage = null;
+
+    try {
+      // 1. Scrape the URL. Unreachable or blocked pages need a different URL, not another attempt.
+      await reportProgress('Fetching page');
+      let scraped;
+      try {
+        scraped = await UrlScraper.scrape(url);
+      } catch (scrapeError) {
+        throw new ApiError(400, scrapeError.message);
+      }
+
+      let parsedRecipe;
+      let rawText;
+
+      if (scraped.type === 'structured') {
+        // Structured data (JSON-LD) was found - use it directly
+        parsedRecipe = scraped.data;
+        rawText = JSON.stringify(scraped.data, null, 2);
+      } else {
+        // Unstructured - need AI to parse it
+        await reportProgress('Parsing recipe');
+        rawText = `URL: ${scraped.source}\nTitle: ${scraped.data.title}\n\n${scraped.data.content}`;
+        parsedRecipe = await AIService.parseRecipeFromWebPage(scraped.data, scraped.source);
+      }
+
+      // Ensure source URL is preserved
+      if (!parsedRecipe.source) {
+        parsedRecipe.source = scraped.hostname;
+      }
+
+      // 2. Try to download the recipe image if available
+      if (parsedRecipe.image) {
+        await reportProgress('Downloading image');
+        console.log(`Attempting to download image from: ${parsedRecipe.image}`);
+        downloadedImage = await UrlScraper.downloadImage(parsedRecipe.image, UPLOAD_DIRS.images);
+        if (downloadedImage) {
+          console.log(`Successfully downloaded image: ${downloadedImage.filename}`);
+        } else {
+          console.log('Image download failed or was skipped');
+        }
+      }
+
+      // 3. Create a file record for tracking (using URL as reference)
+      const fileId = await FileModel.create({
+        filename: `url-import-${Date.now()}.txt`,
+        originalName: url,
+        filePath: url, // Store URL as file path for reference
+        fileSize: rawText.length,
+        mimeType: 'text/x-url',
+        uploadedBy: job.createdBy
+      });
+
+      // 4. Save as pending recipe (include image data if downloaded)
+      const pendingRecipeId = await PendingRecipeModel.create({
+        fileId,
+        ...pendingRecipeFields(parsedRecipe),
+        rawText,
+        imageData: downloadedImage,
+        sourceUrl: canonicalUrl(url)
+      });
+
+      // 5. Mark file as processed
+      await FileModel.markAsProcessed(fileId);
+
+      return {
+        fileId,
+        sourceUrl: url,
+        extractionType: scraped.type,
+        hasImage: !!downloadedImage,
+        recipes: [{ id: pendingRecipeId, title: parsedRecipe.title }]
+      };
+    } catch (error) {
+      // Clean up downloaded image if import failed after download
+      if (downloadedImage && downloadedImage.filePath) {
+        try {
+          await fs.unlink(downloadedImage.filePath);
+          console.log(`Cleaned up image after failed import: ${downloadedImage.filePath}`);
+        } catch (cleanupError) {
+          console.warn(`Failed to clean up image after failed import: ${cleanupError.message}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Import a recipe from photos of a recipe card or cookbook page (one photo per page)
+   * @param {Object} job - payload: { fileIds, fileName } with the photos in page order
+   * @param {Function} reportProgress
+   * @returns {Promise<Object>} - { fileId, photosCount, recipes }
+   */
+  static async importImages(job, reportProgress) {
+    const photos = [];
+    for (const fileId of job.payload.fileIds) {
+      const file = await FileModel.findById(fileId);
+      if (!file) {
+        throw new ApiError(404, 'An uploaded photo no longer exists');
+      }
+      photos.push(file);
+    }
+    const [firstPhoto] = photos;
+    let recipeImage = null;
+
+    try {
+      // 1. Read the photos (deskewed Tesseract OCR, or AI vision when enabled)
+      await reportProgress(photos.length > 1 ? `Reading ${photos.length} photos` : 'Reading photo');
+      const ocrPages = await OCRService.readPhotos(photos.map(photo => ({ path: photo.file_path, mimeType: photo.mime_type })));
+      const rawText = ocrPages.map(page => page.text).filter(Boolean).join('\n\n');
+
+      if (rawText.trim().length < 10) {
+        throw new ApiError(400,
+          'Could not find any text in these photos. ' +
+          'Try again with the card flat, well lit and filling the frame.'
+        );
+      }
+
+      // 2. Parse recipe with AI
+      await reportProgress('Parsing recipe');
+      const parsedRecipe = await AIService.parseRecipe(rawText);
+
+      // 3. Copy the first photo to become the recipe's first gallery image, leaving the original upload in place
+      const extension = path.extname(firstPhoto.filename);
+      const imageFilename = `${path.basename(firstPhoto.filename, extension)}-recipe${extension}`;
+      recipeImage = {
+        filename: imageFilename,
+        originalName: firstPhoto.original_name,
+        filePath: path.join(UPLOAD_DIRS.images, imageFilename),
+        fileSize: firstPhoto.file_size,
+        mimeType: firstPhoto.mime_type
+      };
+      await fs.copyFile(firstPhoto.file_path, recipeImage.filePath);
+
+      // 4. Save as pending recipe
+      const pendingRecipeId = await PendingRecipeModel.create({
+        fileId: firstPhoto.id,
+        ...pendingRecipeFields(parsedRecipe),
+        rawText,
+        imageData: recipeImage,
+        pageStart: 1,
+        pageEnd: photos.length,
+        ocrData: { pages: ocrPages },
+        originalFileIds: photos.map(photo => photo.id)
+      });
+
+      // 5. Mark files as processed
+      for (const photo of photos) {
+        await FileModel.markAsProcessed(photo.id);
+      }
+
+      return {
+        fileId: firstPhoto.id,
+        photosCount: photos.length,
+        recipes: [{ id: pendingRecipeId, title: parsedRecipe.title }]
+      };
+    } catch (error) {
+      // Keep the uploaded photos (like PDFs) but not the gallery copy
+      if (recipeImage) {
+        await fs.unlink(recipeImage.filePath).catch(() => {});
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = ImportService;
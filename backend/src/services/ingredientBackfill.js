@@ -0,0 +1,53 @@
+const JobModel = require('../models/jobModel');
+const SettingsModel = require('../models/settingsModel');
+const JobWorker = require('./jobWorker');
+const { INGREDIENT_KEY_VERSION } = require('../utils/ingredientCatalog');
+
+const JOB_TYPE = 'ingredient_backfill';
+
+/**
+ * Queues the ingredient backfill job (CanonicalIngredientModel.backfill()), one at a time:
+ * when an admin asks for it, and at startup when stored ingredient keys were computed under
+ * older matching rules, so catalog search and linking don't miss them until someone notices.
+ */
+class IngredientBackfill {
+  /**
+   * The most recently queued backfill
+   * @returns {Promise<Object|null>}
+   */
+  static latest() {
+    return JobModel.findLatestByType(JOB_TYPE);
+  }
+
+  /**
+   * Queue a backfill unless one is already queued or running
+   * @param {number|null} createdBy - User ID, or null when the server queues it
+   * @returns {Promise<Object|null>} - The queued job, or null if one is already on its way
+   */
+  static async queue(createdBy = null) {
+    const latest = await this.latest();
+    if (latest && (latest.status === 'queued' || latest.status === 'running')) return null;
+
+    const job = await JobModel.create({ type: JOB_TYPE, payload: {}, createdBy, maxAttempts: 1 });
+    JobWorker.wake();
+    return job;
+  }
+
+  /**
+   * Queue a backfill if the stored keys are out of date (or were never computed)
+   * @returns {Promise<Object|null>} - The queued job, or null when none was needed
+   */
+  static async queueIfKeysChanged() {
+    const stored = await SettingsModel.get(SettingsModel.KEYS.INGREDIENT_KEY_VERSION);
+    if (stored === String(INGREDIENT_KEY_VERSION)) return null;
+
+    const job = await this.queue();
+    if (job) {
+      console.log('Queued an ingredient backfill: ingredient keys are out of date');
+    }
+    return job;
+  }
+}
+
+module.exports = IngredientBackfill;
+module.exports.JOB_TYPE = JOB_TYPE;
@@ -0,0 +1,132 @@
+const JobModel = require('../models/jobModel');
+const ImportService = require('./importService');
+const CanonicalIngredientModel = require('../models/canonicalIngredientModel');
+const { ApiError } = require('../middleware/errorHandler');
+
+// How often an idle worker checks the queue; enqueuing a job wakes it straight away
+const POLL_INTERVAL_MS = 5000;
+
+// Wait before each automatic retry, indexed by attempts made so far (AI rate limits, flaky sites)
+const RETRY_DELAYS_SECONDS = [30, 120, 600];
+
+const HANDLERS = {
+  pdf_import: (job, reportProgress) => ImportService.importPdf(job, reportProgress),
+  url_import: (job, reportProgress) => ImportService.importUrl(job, reportProgress),
+  image_import: (job, reportProgress) => ImportService.importImages(job, reportProgress),
+  ingredient_backfill: (job, reportProgress) => CanonicalIngredientModel.backfill(reportProgress)
+};
+
+let timer = null;
+let running = false;
+let started = false;
+
+/**
+ * Input problems (a corrupt PDF, a blocked URL) fail the same way every time
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => !(error instanceof ApiError && error.statusCode < 500);
+
+/**
+ * Runs queued jobs one at a time inside the backend process.
+ * Assumes a single backend process: on start, jobs left "running" by a previous
+ * process are taken to have been interrupted and are queued again.
+ */
+class JobWorker {
+  /**
+   * Start polling the queue
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    if (started) return;
+    started = true;
+
+    const requeued = await JobModel.requeueInterrupted();
+    if (requeued > 0) {
+      console.log(`Re-queued ${requeued} job(s) interrupted by a restart`);
+    }
+
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling; a job already running is left to finish
+   */
+  static stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /**
+   * Check the queue now rather than at the next poll (called after a job is queued)
+   */
+  static wake() {
+    if (started && !running) this.schedule(0);
+  }
+
+  static schedule(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(() => this.drain(), delay);
+  }
+
+  /**
+   * Run jobs until the queue is empty, then go back to polling
+   */
+  static async drain() {
+    if (running) return;
+    running = true;
+
+    try {
+      while (started && (await this.runNext())) {
+        // Keep going while there is work
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      running = false;
+      if (started) this.schedule(POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Claim and run the next due job
+   * @returns {Promise<Object|null>} - The job as it ended up, or null if the queue was empty
+   */
+  static async runNext() {
+    const job = await JobModel.claimNext();
+    if (!job) return null;
+
+    await this.runJob(job);
+    return JobModel.findById(job.id);
+  }
+
+  /**
+   * Run a claimed job and record how it went
+   * @param {Object} job - A job in the running state
+   * @returns {Promise<void>}
+   */
+  static async runJob(job) {
+    const handler = HANDLERS[job.type];
+    const reportProgress = (progress, result) => JobModel.updateProgress(job.id, progress, result);
+
+    try {
+      if (!handler) {
+        throw new ApiError(400, `Unknown job type: ${job.type}`);
+      }
+
+      const result = await handler(job, reportProgress);
+      await JobModel.complete(job.id, result);
+    } catch (error) {
+      const canRetry = isRetryable(error) && job.attempts < job.maxAttempts;
+      const retryAt = canRetry
+        ? Math.floor(Date.now() / 1000) + RETRY_DELAYS_SECONDS[Math.min(job.attempts, RETRY_DELAYS_SECONDS.length) - 1]
+        : null;
+
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed${canRetry ? ', will retry' : ''}:`, error.message);
+      await JobModel.fail(job.id, error.message, retryAt);
+    }
+  }
+}
+
+module.exports = JobWorker;
@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const { createWorker } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const PDFParser = require('./pdfParser');
+const AIService = require('./aiService');
+const SettingsModel = require('../models/settingsModel');
+
+// Lines read with less confidence than this are flagged for the reviewer as guesses
+const GUESS_THRESHOLD = 70;
+
+class OCRService {
+  /**
+   * Start a Tesseract worker with the bundled English data (no download at runtime)
+   * @returns {Promise<Object>} - Tesseract worker; call terminate() when done
+   */
+  static async createWorker() {
+    return await createWorker(englishData.code, 1, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    });
+  }
+
+  /**
+   * Read one page image with Tesseract, straightening skewed photos first
+   * @param {Object} worker - From createWorker()
+   * @param {Buffer} image - PNG or JPEG of the page
+   * @returns {Promise<Object>} - { text, confidence, lines: [{ text, confidence }] }
+   */
+  static async recognizeImage(worker, image) {
+    const { data } = await worker.recognize(image, { rotateAuto: true }, { text: true, blocks: true });
+
+    const lines = (data.blocks || [])
+      .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+      .map(line => ({ text: line.text.trim(), confidence: Math.round(line.confidence) }))
+      .filter(line => line.text);
+
+    return { text: data.text, confidence: Math.round(data.confidence), lines };
+  }
+
+  /**
+   * Read every page of a scanned PDF
+   * @param {string} filePath
+   * @returns {Promise<Array<Object>>} - See readPages()
+   */
+  static async readPdf(filePath) {
+    return await this.readPages(PDFParser.renderPages(filePath));
+  }
+
+  /**
+   * Read photos of a recipe, one photo per page
+   * @param {Array<Object>} photos - [{ path, mimeType }] in page order
+   * @returns {Promise<Array<Object>>} - See readPages()
+   */
+  static async readPhotos(photos) {
+    async function* loadPhotos() {
+      for (const [index, photo] of photos.entries()) {
+        yield { num: index + 1, image: await fs.readFile(photo.path), mimeType: photo.mimeType };
+      }
+    }
+
+    return await this.readPages(loadPhotos());
+  }
+
+  /**
+   * Read page images one at a time. Uses the AI provider's vision support when
+   * it is switched on in AI Settings, and Tesseract for any page the AI can't read.
+   * @param {AsyncIterable<Object>} pageImages - Yields { num, image, mimeType }
+   * @returns {Promise<Array<Object>>} - [{ num, text, confidence, engine, lines: [{ text, confidence, guessed }] }]
+   */
+  static async readPages(pageImages) {
+    const { ocrVision } = await SettingsModel.getAIConfig();
+    const useVision = ocrVision && (await AIService.isAvailable());
+    const pages = [];
+    let worker = null;
+
+    try {
+      for await (const { num, image, mimeType = 'image/png' } of pageImages) {
+        let result = null;
+
+        if (useVision) {
+          try {
+            result = { ...(await AIService.transcribePage(image, mimeType)), engine: 'ai' };
+          } catch (error) {
+            console.warn(`AI could not read page ${num}, falling back to Tesseract:`, error.message);
+          }
+        }
+
+        if (!result) {
+          worker = worker || (await this.createWorker());
+          result = { ...(await this.recognizeImage(worker, image)), engine: 'tesseract' };
+        }
+
+        pages.push({
+          num,
+          text: PDFParser.cleanText(result.text),
+          confidence: result.confidence,
+          engine: result.engine,
+          lines: result.lines.map(line => ({ ...line, guessed: line.confidence < GUESS_THRESHOLD }))
+        });
+      }
+    } finally {
+      if (worker) await worker.terminate();
+    }
+
+    return pages;
+  }
+
+  /**
+   * Pick out the OCR results for the pages one recipe came from
+   * @param {Array<Object>} ocrPages - From readPdf()
+   * @param {number} pageStart
+   * @param {number} pageEnd
+   * @returns {Object|null} - { pages } to store with the pending recipe
+   */
+  static forPages(ocrPages, pageStart, pageEnd) {
+    const pages = (ocrPages || []).filter(page => page.num >= pageStart && page.num <= pageEnd);
+    return pages.length > 0 ? { pages } : null;
+  }
+}
+
+module.exports = OCRService;
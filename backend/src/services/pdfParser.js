@@ -1,28 +1,30 @@
-const pdfParse = require('pdf-parse');
+const { PDFParse } = require('pdf-parse');
 const fs = require('fs').promises;
 
 class PDFParser {
   /**
    * Extract text from PDF file
    * @param {string} filePath - Path to PDF file
-   * @returns {Promise<Object>} - Extracted data
+   * @returns {Promise<Object>} - { text, numpages, pages: [{ num, text }] }
    */
   static async extractText(filePath) {
+    let parser;
     try {
       // Read PDF file
       const dataBuffer = await fs.readFile(filePath);
 
-      // Parse PDF using pdf-parse default export (it's a function, not a class)
-      const result = await pdfParse(dataBuffer);
+      parser = new PDFParse({ data: dataBuffer });
+      const result = await parser.getText();
 
       return {
-        text: result.text,
-        numpages: result.numpages,
-        info: result.info,
-        metadata: result.metadata
+        text: result.pages.map(page => page.text).join('\n\n'),
+        numpages: result.total,
+        pages: result.pages.map(({ num, text }) => ({ num, text }))
       };
     } catch (error) {
       throw new Error(`PDF parsing failed: ${error.message}`);
+    } finally {
+      if (parser) await parser.destroy();
     }
   }
 
@@ -57,6 +59,40 @@ class PDFParser {
     const data = await this.extractText(filePath);
     return this.cleanText(data.text);
   }
+
+  /**
+   * Extract and clean text from PDF, keeping each page separate
+   * @param {string} filePath
+   * @returns {Promise<Array<Object>>} - [{ num, text }]
+   */
+  static async extractAndCleanPages(filePath) {
+    const data = await this.extractText(filePath);
+    return data.pages.map(page => ({ num: page.num, text: this.cleanText(page.text) }));
+  }
+
+  /**
+   * Render each page to a PNG for OCR, one page at a time so a long scan
+   * never holds every page image in memory
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {number} options.width - Rendered page width in pixels
+   * @returns {AsyncGenerator<Object>} - Yields { num, image } with image as a PNG Buffer
+   */
+  static async *renderPages(filePath, { width = 2400 } = {}) {
+    const dataBuffer = await fs.readFile(filePath);
+    const parser = new PDFParse({ data: dataBuffer });
+
+    try {
+      const { total } = await parser.getInfo();
+      for (let num = 1; num <= total; num++) {
+        const result = await parser.getScreenshot({ partial: [num], desiredWidth: width, imageDataUrl: false });
+        const [page] = result.pages;
+        if (page) yield { num: page.pageNumber, image: Buffer.from(page.data) };
+      }
+    } finally {
+      await parser.destroy();
+    }
+  }
 }
 
 module.exports = PDFParser;
@@ -0,0 +1,60 @@
+const RecipeModel = require('../models/recipeModel');
+
+// Days a deleted recipe stays in the trash before it is removed for good
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often to look for recipes past their retention period
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Periodically removes recipes that have been in the trash longer than the
+ * retention period, image and cook log photo files included.
+ */
+class TrashPurger {
+  /**
+   * Retention period from TRASH_RETENTION_DAYS, or the default if unset or not a positive whole number
+   * @returns {number}
+   */
+  static getRetentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Purge now, then again every PURGE_INTERVAL_MS
+   */
+  static start() {
+    if (timer) return;
+    timer = setInterval(() => this.purgeNow(), PURGE_INTERVAL_MS);
+    this.purgeNow();
+  }
+
+  /**
+   * Stop purging
+   */
+  static stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Remove expired recipes; errors are logged so a bad run doesn't stop later ones
+   * @returns {Promise<number>} - Recipes removed
+   */
+  static async purgeNow() {
+    try {
+      const purged = await RecipeModel.purgeExpired(this.getRetentionDays());
+      if (purged > 0) {
+        console.log(`Purged ${purged} recipe(s) from the trash`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = TrashPurger;
@@ -3,6 +3,10 @@ const dns = require('dns').promises;
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { parseDurationToMinutes } = require('../utils/duration');
+const { normalizeUnit } = require('../utils/units');
+const { splitIngredientLines } = require('../utils/ingredientSections');
+const { splitInstructions, formatSteps, normalizeSteps } = require('../utils/steps');
 
 // Maximum response size (5MB should be plenty for any recipe page)
 const MAX_RESPONSE_SIZE = 5 * 1024 * 1024;
@@ -473,37 +477,18 @@ class UrlScraper {
    * @returns {Object} - Normalized recipe data
    */
   static normalizeStructuredRecipe(recipe) {
-    // Extract ingredients
+    // Extract ingredients (some sites list group headings like "For the crust:" as ingredients)
     let ingredients = [];
     if (recipe.recipeIngredient) {
-      ingredients = (Array.isArray(recipe.recipeIngredient)
+      ingredients = splitIngredientLines(Array.isArray(recipe.recipeIngredient)
         ? recipe.recipeIngredient
         : [recipe.recipeIngredient]
-      ).map(ing => this.parseIngredientString(ing));
-    }
-
-    // Extract instructions
-    let instructions = '';
-    if (recipe.recipeInstructions) {
-      if (typeof recipe.recipeInstructions === 'string') {
-        instructions = recipe.recipeInstructions;
-      } else if (Array.isArray(recipe.recipeInstructions)) {
-        instructions = recipe.recipeInstructions.map((step, index) => {
-          if (typeof step === 'string') {
-            return `${index + 1}. ${step}`;
-          } else if (step.text) {
-            return `${index + 1}. ${step.text}`;
-          } else if (step['@type'] === 'HowToSection') {
-            // Handle sectioned instructions
-            const sectionSteps = step.itemListElement || [];
-            return `**${step.name || 'Section'}**\n` +
-              sectionSteps.map((s, i) => `${i + 1}. ${s.text || s}`).join('\n');
-          }
-          return '';
-        }).filter(Boolean).join('\n\n');
-      }
+      ).map(({ section, line }) => ({ ...this.parseIngredientString(line), section }));
     }
 
+    // Extract instructions: one step per HowToStep, HowToSection names become step sections
+    const instructions = formatSteps(this.extractInstructionSteps(recipe.recipeInstructions));
+
     // Extract category
     let category = null;
     if (recipe.recipeCategory) {
@@ -549,13 +534,43 @@ class UrlScraper {
       instructions,
       tags: tags.slice(0, 10), // Limit to 10 tags
       servings,
-      prepTime: recipe.prepTime || null,
-      cookTime: recipe.cookTime || null,
-      totalTime: recipe.totalTime || null,
+      // schema.org times are ISO-8601 durations (e.g. "PT1H30M"); store as minutes
+      prepTime: parseDurationToMinutes(recipe.prepTime),
+      cookTime: parseDurationToMinutes(recipe.cookTime),
+      totalTime: parseDurationToMinutes(recipe.totalTime),
       image: this.extractImageUrl(recipe.image),
     };
   }
 
+  /**
+   * Map schema.org recipeInstructions to steps
+   * Accepts a text block, an array of strings/HowToStep, or HowToSections wrapping their own steps
+   * @param {*} instructions - recipeInstructions field from recipe
+   * @param {string|null} section - Section name inherited from an enclosing HowToSection
+   * @returns {Array<Object>} - [{ section, text, timerSeconds }]
+   */
+  static extractInstructionSteps(instructions, section = null) {
+    if (!instructions) return [];
+    if (typeof instructions === 'string') {
+      return splitInstructions(instructions).map(step => ({ ...step, section: step.section || section }));
+    }
+    if (!Array.isArray(instructions)) {
+      return instructions.itemListElement
+        ? this.extractInstructionSteps(instructions.itemListElement, instructions.name || section)
+        : this.extractInstructionSteps([instructions], section);
+    }
+
+    return normalizeSteps(instructions.flatMap(step => {
+      if (typeof step === 'string') return [{ section, text: step }];
+      if (!step || typeof step !== 'object') return [];
+      if (step['@type'] === 'HowToSection' || Array.isArray(step.itemListElement)) {
+        return this.extractInstructionSteps(step.itemListElement, step.name || section);
+      }
+      const text = step.text || step.name;
+      return text ? [{ section, text }] : [];
+    }));
+  }
+
   /**
    * Extract image URL from various schema.org formats
    * @param {*} image - Image field from recipe
@@ -599,7 +614,7 @@ class UrlScraper {
         if (match.length === 4) {
           return {
             quantity: match[1],
-            unit: match[2].toLowerCase(),
+            unit: normalizeUnit(match[2].toLowerCase(), match[1]),
             name: match[3].trim(),
           };
         } else if (match.length === 3) {
@@ -0,0 +1,110 @@
+// Curated allergen and dietary dictionary for exclusion filters
+// Maps a group like "tree nuts" to the ingredient words that indicate it.
+// Matching errs on the side of excluding too much (e.g. "peanut butter" counts as dairy),
+// which is the safe direction for allergies.
+
+const ALLERGENS = {
+  'tree-nuts': {
+    label: 'Tree nuts',
+    ingredients: [
+      'almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'filbert',
+      'macadamia', 'brazil nut', 'pine nut', 'chestnut', 'praline', 'marzipan',
+      'nutella', 'mixed nuts'
+    ]
+  },
+  peanuts: {
+    label: 'Peanuts',
+    ingredients: ['peanut', 'groundnut', 'mixed nuts']
+  },
+  pork: {
+    label: 'Pork',
+    ingredients: [
+      'pork', 'bacon', 'ham', 'prosciutto', 'pancetta', 'chorizo', 'salami',
+      'pepperoni', 'lard', 'sausage', 'bratwurst', 'kielbasa', 'guanciale', 'spare ribs'
+    ]
+  },
+  shellfish: {
+    label: 'Shellfish',
+    ingredients: [
+      'shrimp', 'prawn', 'crab', 'lobster', 'crawfish', 'crayfish', 'scallop',
+      'clam', 'mussel', 'oyster', 'squid', 'calamari'
+    ]
+  },
+  fish: {
+    label: 'Fish',
+    ingredients: [
+      'fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'anchovy',
+      'anchovies', 'sardine', 'mackerel', 'haddock', 'catfish', 'snapper', 'worcestershire'
+    ]
+  },
+  dairy: {
+    label: 'Dairy',
+    ingredients: [
+      'milk', 'butter', 'buttermilk', 'cream', 'cheese', 'yogurt', 'yoghurt',
+      'sour cream', 'half-and-half', 'half and half', 'ghee', 'whey', 'parmesan',
+      'mozzarella', 'cheddar', 'ricotta', 'mascarpone', 'custard'
+    ]
+  },
+  eggs: {
+    label: 'Eggs',
+    ingredients: ['egg', 'mayonnaise', 'mayo', 'meringue']
+  },
+  gluten: {
+    label: 'Gluten',
+    ingredients: [
+      'flour', 'wheat', 'barley', 'rye', 'bread', 'breadcrumbs', 'bread crumbs',
+      'pasta', 'noodle', 'spaghetti', 'macaroni', 'couscous', 'semolina', 'cracker',
+      'panko', 'tortilla', 'biscuit', 'soy sauce', 'beer'
+    ]
+  },
+  soy: {
+    label: 'Soy',
+    ingredients: ['soy', 'soya', 'tofu', 'edamame', 'miso', 'tempeh', 'tamari']
+  },
+  sesame: {
+    label: 'Sesame',
+    ingredients: ['sesame', 'tahini']
+  }
+};
+
+/**
+ * Find the allergen group a term refers to, by key or label ("tree nuts", "tree-nuts", "Tree Nuts")
+ * @param {string} term
+ * @returns {string|null} - Allergen key
+ */
+const findAllergen = (term) => {
+  const normalized = term.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (ALLERGENS[normalized]) return normalized;
+
+  return Object.keys(ALLERGENS).find(key =>
+    ALLERGENS[key].label.toLowerCase().replace(/\s+/g, '-') === normalized
+  ) || null;
+};
+
+/**
+ * Expand exclusion terms, replacing allergen group names with their ingredient words
+ * @param {Array<string>} terms - e.g. ["tree nuts", "cilantro"]
+ * @returns {Array<string>} - e.g. ["almond", "walnut", ..., "cilantro"]
+ */
+const expandExclusions = (terms) => {
+  const expanded = terms.flatMap(term => {
+    const key = findAllergen(term);
+    return key ? ALLERGENS[key].ingredients : [term.trim().toLowerCase()];
+  });
+
+  return [...new Set(expanded.filter(Boolean))];
+};
+
+/**
+ * List allergen groups for the UI
+ * @returns {Array<Object>} - [{ key, label, ingredients }]
+ */
+const listAllergens = () =>
+  Object.entries(ALLERGENS).map(([key, { label, ingredients }]) => ({ key, label, ingredients }));
+
+module.exports = {
+  ALLERGENS,
+  findAllergen,
+  expandExclusions,
+  listAllergens
+};
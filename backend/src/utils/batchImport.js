@@ -0,0 +1,96 @@
+// Bulk imports: sorting uploaded files (and ZIP entries) into import types, and reading a
+// pasted list of URLs. Each accepted item becomes its own import job in the batch.
+
+const path = require('path');
+
+const MAX_BATCH_ITEMS = 200;
+
+// The same limits as the single-file upload forms
+const MAX_FILE_SIZES = {
+  pdf: 10 * 1024 * 1024,
+  image: 5 * 1024 * 1024
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic', '.heif'];
+const ZIP_MIMES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+/**
+ * Work out how a file in a batch is imported
+ * Extensions decide for ZIP entries, which have no MIME type; uploads also check the MIME type
+ * because some browsers send PDFs and photos with odd names.
+ * @param {string} filename
+ * @param {string} mimeType - Optional
+ * @returns {string|null} - 'pdf', 'image', 'zip', or null for files that can't be imported
+ */
+const importTypeFor = (filename, mimeType = '') => {
+  const extension = path.extname(filename || '').toLowerCase();
+
+  if (extension === '.pdf' || mimeType === 'application/pdf') return 'pdf';
+  if (IMAGE_EXTENSIONS.includes(extension) || ['image/jpeg', 'image/png', 'image/heic', 'image/heif'].includes(mimeType)) {
+    return 'image';
+  }
+  if (extension === '.zip' || ZIP_MIMES.includes(mimeType)) return 'zip';
+  return null;
+};
+
+/**
+ * Check whether a ZIP entry should be looked at at all
+ * Skips folders and the metadata macOS and Windows add to archives.
+ * @param {string} entryName - Path inside the archive
+ * @returns {boolean}
+ */
+const isImportableEntry = (entryName) => {
+  if (!entryName || entryName.endsWith('/')) return false;
+  const parts = entryName.split('/');
+  if (parts.includes('__MACOSX')) return false;
+
+  const basename = parts[parts.length - 1];
+  return !basename.startsWith('.') && basename.toLowerCase() !== 'thumbs.db';
+};
+
+/**
+ * Read a pasted list of URLs (one per line; commas and spaces also separate)
+ * @param {string|Array<string>} input
+ * @returns {Object} - { urls: unique http(s) URLs in order, invalid: lines that aren't URLs }
+ */
+const parseUrlList = (input) => {
+  const entries = (Array.isArray(input) ? input : String(input || '').split(/[\s,]+/))
+    .map(entry => String(entry || '').trim())
+    .filter(Boolean);
+
+  const urls = [];
+  const invalid = [];
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry);
+    } catch {
+      invalid.push(entry);
+      continue;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      invalid.push(entry);
+    } else if (!urls.includes(url.href)) {
+      urls.push(url.href);
+    }
+  }
+
+  return { urls, invalid };
+};
+
+/**
+ * Format a byte count for messages ("10 MB")
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  MAX_FILE_SIZES,
+  importTypeFor,
+  isImportableEntry,
+  parseUrlList,
+  formatSize
+};
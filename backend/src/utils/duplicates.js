@@ -0,0 +1,178 @@
+// Duplicate recipe detection: how alike two recipes are, judged by title words,
+// ingredient sets and where they came from (source URL or uploaded file)
+
+const { stem } = require('./search');
+const { ingredientWords, satisfies } = require('./pantry');
+
+// A match at or above this score is flagged as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+
+// Words that don't tell one recipe title from another
+const TITLE_FILLER_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'for', 'my', 'our',
+  'recipe', 'best', 'easy', 'homemade', 'famous', 'classic', 'favorite', 'favourite'
+]);
+
+// Query parameters that track the visit rather than identify the page
+const TRACKING_PARAMS = new Set(['fbclid', 'gclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'ref', 'ref_src', '_ga']);
+
+const MAX_URL_LENGTH = 500;
+
+/**
+ * Reduce a title to its identifying words, in any order
+ * "Mom's Lasagna" and "Lasagna (Mom)" both become ["lasagna", "mom"].
+ * @param {string} title
+ * @returns {Array<string>} - Sorted unique words
+ */
+const titleWords = (title) => {
+  if (!title || typeof title !== 'string') return [];
+
+  const words = title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !TITLE_FILLER_WORDS.has(word))
+    .map(stem);
+
+  return [...new Set(words)].sort();
+};
+
+/**
+ * Jaccard similarity of two sets: shared items over all items
+ * @param {Set|Array} a
+ * @param {Set|Array} b
+ * @returns {number} - 0 to 1 (0 when both are empty)
+ */
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of setA) {
+    if (setB.has(item)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+};
+
+// Identifying words of each distinct ingredient in a list
+const uniqueIngredientWords = (names) => {
+  const byKey = new Map();
+  for (const name of names || []) {
+    const words = ingredientWords(name);
+    if (words.length > 0) byKey.set(words.join(' '), words);
+  }
+  return [...byKey.values()];
+};
+
+/**
+ * Jaccard similarity of two ingredient lists
+ * Ingredients match the way pantry search matches them, so "ricotta" and
+ * "ricotta cheese" or "onions, chopped" and "yellow onion" count as shared.
+ * @param {Array<string>} a - Ingredient names
+ * @param {Array<string>} b - Ingredient names
+ * @returns {number|null} - 0 to 1, or null when either list is empty
+ */
+const ingredientSimilarity = (a, b) => {
+  const wordsA = uniqueIngredientWords(a);
+  const wordsB = uniqueIngredientWords(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return null;
+
+  const unmatched = [...wordsB];
+  let shared = 0;
+  for (const words of wordsA) {
+    const index = unmatched.findIndex(other => satisfies(words, other) || satisfies(other, words));
+    if (index !== -1) {
+      unmatched.splice(index, 1);
+      shared++;
+    }
+  }
+  return shared / (wordsA.length + wordsB.length - shared);
+};
+
+/**
+ * Canonical form of a recipe page URL, so the same page matches however it was linked
+ * Ignores http vs https, "www.", a trailing slash, the #fragment, tracking parameters
+ * and query parameter order.
+ * @param {string} input
+ * @returns {string|null} - null for anything that isn't an http(s) URL
+ */
+const canonicalUrl = (input) => {
+  if (!input || typeof input !== 'string') return null;
+
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const host = url.hostname.replace(/^www\./, '');
+  const port = url.port && url.port !== '80' && url.port !== '443' ? `:${url.port}` : '';
+  const path = url.pathname.replace(/\/+$/, '');
+
+  const params = [...url.searchParams]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  const canonical = `https://${host}${port}${path}${query}`;
+  return canonical.length <= MAX_URL_LENGTH ? canonical : null;
+};
+
+/**
+ * Score how likely two recipes are the same
+ * Title and ingredients are weighed together, so neither a shared title nor a shared
+ * ingredient list alone is enough when the other is clearly different. The same source URL
+ * is always a match; the same uploaded file is when it held one recipe, or the titles agree.
+ * @param {Object} candidate - { title, ingredients: names, sourceUrl, fileHash }
+ * @param {Object} existing - As candidate, plus fileRecipeCount: recipes found in its file
+ * @returns {Object} - { score: 0-1, reasons: [string] }
+ */
+const scoreDuplicate = (candidate, existing) => {
+  const candidateTitle = titleWords(candidate.title);
+  const existingTitle = titleWords(existing.title);
+  const titleScore = jaccard(candidateTitle, existingTitle);
+
+  const ingredientScore = ingredientSimilarity(candidate.ingredients, existing.ingredients);
+  const hasIngredients = ingredientScore !== null;
+
+  let score = hasIngredients ? titleScore * 0.6 + ingredientScore * 0.4 : titleScore * 0.8;
+  const reasons = [];
+
+  const candidateUrl = canonicalUrl(candidate.sourceUrl);
+  if (candidateUrl && candidateUrl === canonicalUrl(existing.sourceUrl)) {
+    score = 1;
+    reasons.push('Same source URL');
+  }
+
+  if (candidate.fileHash && candidate.fileHash === existing.fileHash) {
+    if ((existing.fileRecipeCount || 1) <= 1 || titleScore >= 0.5) score = 1;
+    reasons.push('Imported from the same file');
+  }
+
+  if (titleScore === 1) {
+    reasons.push('Same title');
+  } else if (titleScore >= 0.5) {
+    reasons.push('Similar title');
+  }
+
+  if (hasIngredients && ingredientScore >= 0.5) {
+    reasons.push(`${Math.round(ingredientScore * 100)}% of ingredients in common`);
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  titleWords,
+  jaccard,
+  ingredientSimilarity,
+  canonicalUrl,
+  scoreDuplicate
+};
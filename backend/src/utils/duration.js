@@ -0,0 +1,67 @@
+// Duration helpers for recipe prep/cook/total times
+// Times are stored as whole minutes; sources give us ISO-8601 durations (schema.org),
+// plain numbers (AI output) or loose text like "1 hr 30 min"
+
+// Upper bound for a sane recipe time (one week, covers long ferments and cures)
+const MAX_MINUTES = 7 * 24 * 60;
+
+const ISO_DURATION = /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+/**
+ * Parse a duration into whole minutes
+ * @param {string|number|null} value - ISO-8601 duration ("PT1H30M"), minutes, or text ("1 hr 30 min")
+ * @returns {number|null} - Minutes, or null if missing, zero or unparseable
+ */
+const parseDurationToMinutes = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let minutes = null;
+
+  if (typeof value === 'number') {
+    minutes = value;
+  } else if (typeof value === 'string') {
+    const str = value.trim();
+
+    const iso = str.match(ISO_DURATION);
+    if (iso && str.length > 1) {
+      const [, weeks, days, hours, mins, secs] = iso.map(part => parseFloat(part) || 0);
+      minutes = weeks * 10080 + days * 1440 + hours * 60 + mins + secs / 60;
+    } else if (/^\d+(?:\.\d+)?$/.test(str)) {
+      minutes = parseFloat(str);
+    } else {
+      const hoursMatch = str.match(/(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\b/i);
+      const minsMatch = str.match(/(\d+)\s*(?:m|mins?|minutes?)\b/i);
+      if (hoursMatch || minsMatch) {
+        minutes = (hoursMatch ? parseFloat(hoursMatch[1]) * 60 : 0) +
+          (minsMatch ? parseInt(minsMatch[1], 10) : 0);
+      }
+    }
+  }
+
+  if (minutes === null || !Number.isFinite(minutes) || minutes <= 0) return null;
+  return Math.min(Math.round(minutes), MAX_MINUTES);
+};
+
+/**
+ * Normalize prep/cook/total times from parsed recipe data (scraper or AI)
+ * Derives the total from prep + cook when the source doesn't give one
+ * @param {Object} parsed - Parsed recipe with prepTime, cookTime, totalTime
+ * @returns {Object} - { prepTimeMinutes, cookTimeMinutes, totalTimeMinutes }
+ */
+const normalizeRecipeTimes = (parsed = {}) => {
+  const prepTimeMinutes = parseDurationToMinutes(parsed.prepTime);
+  const cookTimeMinutes = parseDurationToMinutes(parsed.cookTime);
+  let totalTimeMinutes = parseDurationToMinutes(parsed.totalTime);
+
+  if (totalTimeMinutes === null && (prepTimeMinutes || cookTimeMinutes)) {
+    totalTimeMinutes = (prepTimeMinutes || 0) + (cookTimeMinutes || 0);
+  }
+
+  return { prepTimeMinutes, cookTimeMinutes, totalTimeMinutes };
+};
+
+module.exports = {
+  MAX_MINUTES,
+  parseDurationToMinutes,
+  normalizeRecipeTimes
+};
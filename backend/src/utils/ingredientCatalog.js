@@ -0,0 +1,205 @@
+// Ingredient name normalization for the canonical ingredient catalog
+// Names are free text per recipe ("all-purpose flour", "AP flour", "flour, sifted"). On write,
+// preparation notes are split into their own column and the rest is reduced to a key that is
+// looked up in the catalog's aliases, so every spelling of an ingredient links to one entry.
+
+const { ingredientWords } = require('./pantry');
+
+const MAX_PREPARATION_LENGTH = 255;
+
+// Version of the rules ingredientKey() follows, stemming included. Bump it whenever they change:
+// keys stored under an older version are recomputed by a backfill queued at startup.
+const INGREDIENT_KEY_VERSION = 2;
+
+// Words that say how an ingredient is prepared, not what it is ("chopped onions" are onions).
+// Words that also name a product you buy are left out: ground beef, crushed tomatoes, dried
+// cranberries, toasted sesame oil, whipped cream.
+const PREPARATION_WORDS = new Set([
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'sifted', 'melted', 'softened',
+  'beaten', 'whisked', 'peeled', 'cubed', 'halved', 'quartered', 'julienned', 'trimmed', 'rinsed',
+  'drained', 'seeded', 'deseeded', 'cored', 'pitted', 'crumbled', 'mashed', 'zested', 'thawed',
+  'cooked', 'boiled', 'scalded', 'packed', 'divided'
+]);
+
+// Words that only modify a preparation word ("finely chopped", "lightly beaten")
+const PREPARATION_MODIFIERS = new Set([
+  'finely', 'coarsely', 'roughly', 'thinly', 'thickly', 'freshly', 'lightly', 'firmly', 'loosely',
+  'well', 'very', 'and'
+]);
+
+// Sizes don't make a different ingredient ("large eggs" are eggs)
+const SIZE_WORDS = new Set(ingredientWords('small medium large jumbo'));
+
+/**
+ * Split a name at its first comma outside parentheses
+ * @param {string} name - e.g. "tomatoes (14 oz, drained), chopped"
+ * @returns {Array<string>} - [before, after], after is '' when there is no comma
+ */
+const splitAtComma = (name) => {
+  let depth = 0;
+  for (let i = 0; i < name.length; i++) {
+    const char = name[i];
+    if (char === '(') depth++;
+    else if (char === ')') depth = Math.max(0, depth - 1);
+    else if (char === ',' && depth === 0) return [name.slice(0, i), name.slice(i + 1)];
+  }
+  return [name, ''];
+};
+
+const isPreparationWord = (word) => {
+  const parts = word.toLowerCase().replace(/[.;:]+$/, '').split('-');
+  return parts.every(part => PREPARATION_WORDS.has(part) || PREPARATION_MODIFIERS.has(part)) &&
+    PREPARATION_WORDS.has(parts[parts.length - 1]);
+};
+
+const isModifierWord = (word) => PREPARATION_MODIFIERS.has(word.toLowerCase());
+
+/**
+ * Split the preparation notes out of an ingredient name
+ * Everything after the first comma is preparation ("flour, sifted"), and so are leading
+ * preparation words ("finely chopped onions"). The name is left alone if nothing would remain.
+ * @param {string} name - e.g. "Finely chopped onions, divided"
+ * @returns {Object} - { name: "onions", preparation: "Finely chopped, divided" } (preparation may be null)
+ */
+const splitPreparation = (name) => {
+  if (!name || typeof name !== 'string') return { name, preparation: null };
+
+  const [head, tail] = splitAtComma(name.trim());
+  const words = head.trim().split(/\s+/).filter(Boolean);
+
+  // Take leading preparation words, ending on a real one ("freshly ground pepper" keeps "freshly")
+  let taken = 0;
+  for (let i = 0; i < words.length; i++) {
+    if (isPreparationWord(words[i])) taken = i + 1;
+    else if (!isModifierWord(words[i])) break;
+  }
+  if (taken === words.length) taken = 0;
+
+  const rest = words.slice(taken).join(' ');
+  if (!rest) return { name: name.trim(), preparation: null };
+
+  const notes = [words.slice(0, taken).join(' '), tail.trim()].filter(Boolean);
+  return { name: rest, preparation: notes.length > 0 ? notes.join(', ') : null };
+};
+
+/**
+ * Normalize an ingredient before it is saved: split preparation notes out of its name,
+ * keeping any preparation it already has
+ * @param {Object} ingredient - { name, preparation, ... }
+ * @returns {Object} - Same ingredient with name and preparation set
+ */
+const normalizeIngredientName = (ingredient) => {
+  const split = splitPreparation(ingredient.name);
+  const given = typeof ingredient.preparation === 'string' ? ingredient.preparation.trim() : '';
+
+  const notes = [split.preparation, given].filter(Boolean);
+  const unique = notes.filter((note, index) =>
+    notes.findIndex(other => other.toLowerCase() === note.toLowerCase()) === index
+  );
+
+  return {
+    ...ingredient,
+    name: split.name,
+    preparation: unique.length > 0 ? unique.join(', ').slice(0, MAX_PREPARATION_LENGTH) : null
+  };
+};
+
+/**
+ * Split preparation notes out of a list of ingredients before they are saved
+ * @param {Array<Object>} ingredients - [{ name, preparation, quantity, unit }]
+ * @returns {Array<Object>}
+ */
+const normalizeIngredientNames = (ingredients) => {
+  if (!Array.isArray(ingredients)) return ingredients;
+  return ingredients.map(normalizeIngredientName);
+};
+
+/**
+ * The key an ingredient name is looked up by in the catalog: its identifying words, stemmed,
+ * without sizes, so "Large Eggs" and "egg" share one key
+ * @param {string} name - e.g. "All-Purpose Flour"
+ * @returns {string} - e.g. "all purpose flour" ('' when there are no words)
+ */
+const ingredientKey = (name) => {
+  const words = ingredientWords(name);
+  const kept = words.filter(word => !SIZE_WORDS.has(word));
+  return (kept.length > 0 ? kept : words).join(' ');
+};
+
+/**
+ * An ingredient's name as written, with its preparation after a comma
+ * @param {Object} ingredient - { name, preparation }
+ * @returns {string} - e.g. "flour, sifted"
+ */
+const withPreparation = (ingredient) =>
+  [ingredient.name, ingredient.preparation].filter(Boolean).join(', ');
+
+/**
+ * Work out how to bring stored alias keys up to date with ingredientKey(). Every alias is
+ * re-keyed first, then aliases that end up sharing a key are resolved: the one that already
+ * had the key keeps it (otherwise the oldest), and the rest are removed, since one name can
+ * only mean one ingredient. Names that no longer reduce to a key keep their old one.
+ * @param {Array<Object>} aliases - [{ id, name, alias_key }]
+ * @returns {Object} - { updates: [{ id, key }], removed: [id] }
+ */
+const planAliasRekey = (aliases) => {
+  const byKey = new Map();
+  for (const alias of aliases) {
+    const key = ingredientKey(alias.name) || alias.alias_key;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(alias);
+  }
+
+  const updates = [];
+  const removed = [];
+  for (const [key, sharing] of byKey) {
+    const keeper = sharing.find(alias => alias.alias_key === key)
+      || sharing.reduce((oldest, alias) => (alias.id < oldest.id ? alias : oldest));
+    if (keeper.alias_key !== key) updates.push({ id: keeper.id, key });
+    sharing.filter(alias => alias !== keeper).forEach(alias => removed.push(alias.id));
+  }
+
+  return { updates, removed };
+};
+
+// Entries the catalog starts with, and other names they go by. Admins add the rest from the
+// names recipes actually use.
+const STARTER_CATALOG = {
+  'all-purpose flour': ['all purpose flour', 'AP flour', 'plain flour', 'flour', 'white flour'],
+  'granulated sugar': ['sugar', 'white sugar', 'caster sugar'],
+  'brown sugar': ['light brown sugar', 'dark brown sugar'],
+  'powdered sugar': ["confectioners' sugar", 'confectioners sugar', 'icing sugar'],
+  'butter': ['unsalted butter', 'salted butter', 'sweet butter'],
+  'eggs': ['egg', 'whole eggs'],
+  'milk': ['whole milk'],
+  'heavy cream': ['heavy whipping cream', 'whipping cream', 'double cream'],
+  'salt': ['table salt', 'kosher salt', 'sea salt'],
+  'black pepper': ['pepper', 'ground black pepper', 'ground pepper'],
+  'baking soda': ['bicarbonate of soda', 'bicarb soda'],
+  'baking powder': [],
+  'vanilla extract': ['vanilla', 'pure vanilla extract', 'vanilla essence'],
+  'olive oil': ['extra virgin olive oil', 'extra-virgin olive oil', 'EVOO'],
+  'vegetable oil': ['canola oil', 'cooking oil'],
+  'onion': ['yellow onion', 'white onion', 'onions'],
+  'garlic': ['garlic cloves', 'garlic clove', 'cloves garlic'],
+  'lemon juice': ['fresh lemon juice'],
+  'sour cream': [],
+  'cream cheese': [],
+  'cheddar cheese': ['cheddar', 'sharp cheddar', 'sharp cheddar cheese'],
+  'parmesan cheese': ['parmesan', 'parmigiano-reggiano', 'parmigiano reggiano'],
+  'chicken broth': ['chicken stock'],
+  'ground cinnamon': ['cinnamon']
+};
+
+module.exports = {
+  MAX_PREPARATION_LENGTH,
+  INGREDIENT_KEY_VERSION,
+  PREPARATION_WORDS,
+  splitPreparation,
+  normalizeIngredientName,
+  normalizeIngredientNames,
+  ingredientKey,
+  withPreparation,
+  planAliasRekey,
+  STARTER_CATALOG
+};
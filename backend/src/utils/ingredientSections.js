@@ -0,0 +1,114 @@
+// Ingredient groups ("For the crust", "For the filling")
+// Each ingredient row carries an optional `section`. In plain-text ingredient lists
+// (imports, the pending review form) a group starts with a heading line such as
+// "For the crust:", "**Filling**" or "## Topping".
+
+const MAX_SECTION_LENGTH = 100;
+
+/**
+ * Clean up a section name: trims, drops a trailing colon and markdown emphasis
+ * @param {string} section - e.g. "  For the crust: "
+ * @returns {string|null} - e.g. "For the crust", or null when empty
+ */
+const normalizeSection = (section) => {
+  if (!section || typeof section !== 'string') return null;
+
+  const cleaned = section
+    .trim()
+    .replace(/^[#*_\s]+|[*_\s]+$/g, '')
+    .replace(/:$/, '')
+    .trim();
+  return cleaned || null;
+};
+
+/**
+ * Recognize a heading line in a plain-text ingredient list
+ * @param {string} line - e.g. "For the crust:", "**Filling**", "## Topping"
+ * @returns {string|null} - Section name, or null if the line is an ingredient
+ */
+const parseSectionHeading = (line) => {
+  if (!line || typeof line !== 'string') return null;
+
+  const trimmed = line.trim();
+  const markdown = trimmed.match(/^(?:\*\*(.+?)\*\*:?|#{1,6}\s+(.+))$/);
+  if (markdown) return normalizeSection(markdown[1] || markdown[2]);
+
+  // A colon-terminated line that doesn't start with an amount ("1 cup milk:" is still an ingredient)
+  if (trimmed.endsWith(':') && !/^[\d½⅓⅔¼¾⅛⅜⅝⅞.]/.test(trimmed) && trimmed.length <= MAX_SECTION_LENGTH) {
+    return normalizeSection(trimmed);
+  }
+
+  return null;
+};
+
+/**
+ * Split a plain-text ingredient list into ingredient lines tagged with their section
+ * @param {string|Array<string>} lines - Newline-separated text or an array of lines
+ * @returns {Array<Object>} - [{ section, line }] with heading and blank lines removed
+ */
+const splitIngredientLines = (lines) => {
+  const list = Array.isArray(lines) ? lines : String(lines || '').split('\n');
+  let section = null;
+
+  return list.reduce((result, rawLine) => {
+    if (typeof rawLine !== 'string') return result;
+
+    const line = rawLine.trim();
+    if (!line) return result;
+
+    const heading = parseSectionHeading(line);
+    if (heading) {
+      section = heading;
+    } else {
+      result.push({ section, line });
+    }
+    return result;
+  }, []);
+};
+
+/**
+ * Write ingredients as plain text, one per line, with a heading line where each section starts
+ * (ungrouped ingredients should come first: after a heading there is no way back to "no section")
+ * @param {Array<Object>} ingredients - [{ section, ... }]
+ * @param {Function} formatLine - Formats one ingredient as a line of text
+ * @returns {string}
+ */
+const formatIngredientLines = (ingredients, formatLine) => {
+  const lines = [];
+  let currentSection = null;
+
+  ingredients.forEach(ingredient => {
+    const section = ingredient.section || null;
+    if (section !== currentSection) {
+      if (lines.length > 0) lines.push('');
+      if (section) lines.push(`${section}:`);
+      currentSection = section;
+    }
+    lines.push(formatLine(ingredient));
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Normalize the section on each ingredient before it is saved
+ * @param {Array<Object>} ingredients
+ * @returns {Array<Object>}
+ */
+const normalizeIngredientSections = (ingredients) => {
+  if (!Array.isArray(ingredients)) return ingredients;
+
+  return ingredients.map(ingredient => ({
+    ...ingredient,
+    section: normalizeSection(ingredient.section)
+  }));
+};
+
+module.exports = {
+  MAX_SECTION_LENGTH,
+  normalizeSection,
+  parseSectionHeading,
+  splitIngredientLines,
+  formatIngredientLines,
+  normalizeIngredientSections
+};
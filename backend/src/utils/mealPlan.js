@@ -0,0 +1,200 @@
+// Meal planner helpers: plan dates, calorie totals and the iCalendar (.ics) feed
+// Dates are plain YYYY-MM-DD strings (a day in the family's kitchen, not an instant),
+// so the arithmetic here is done at UTC midnight to stay clear of time zones.
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// When each meal appears in calendar apps. Floating local times (no time zone),
+// so dinner shows at 6pm wherever the phone is.
+const MEAL_TIMES = {
+  breakfast: '080000',
+  lunch: '120000',
+  dinner: '180000'
+};
+const MEAL_DURATION = 'PT1H';
+
+// Longest range one request can ask for (about two months)
+const MAX_RANGE_DAYS = 62;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toUtcDate = (date) => new Date(`${date}T00:00:00Z`);
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD format
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = toUtcDate(value);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  const result = toUtcDate(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Whole days from one date to another (negative if `to` is earlier)
+ */
+const daysBetween = (from, to) => Math.round((toUtcDate(to) - toUtcDate(from)) / (24 * 60 * 60 * 1000));
+
+/**
+ * The Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+const startOfWeek = (date) => addDays(date, -((toUtcDate(date).getUTCDay() + 6) % 7));
+
+/**
+ * Calories for a planned entry: the recipe's per-serving estimate times the servings planned.
+ * A recipe without servings is estimated as a whole, so its estimate is used as is.
+ * @param {Object} entry - { servings, recipe: { servings, estimatedCalories } }
+ * @returns {number|null} - null when the recipe has no estimate
+ */
+const entryCalories = (entry) => {
+  const estimate = entry.recipe.estimatedCalories;
+  if (estimate === null || estimate === undefined) return null;
+  if (!entry.recipe.servings) return Math.round(estimate);
+  return Math.round(estimate * (entry.servings ?? entry.recipe.servings));
+};
+
+/**
+ * Calorie totals for each day from start to end
+ * calories is everything planned that day (all servings); caloriesPerServing is one serving of
+ * each recipe, roughly what one person eats, leaving out recipes without servings (their estimate
+ * is the whole dish); notPerServing is how many were left out. uncounted is how many entries have
+ * no estimate.
+ * @param {Array<Object>} entries - Planned entries with date and recipe
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {Array<Object>} - [{ date, calories, caloriesPerServing, notPerServing, uncounted }]
+ */
+const dailyTotals = (entries, start, end) => {
+  const days = new Map();
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    days.set(date, { date, calories: 0, caloriesPerServing: 0, notPerServing: 0, uncounted: 0 });
+  }
+
+  for (const entry of entries) {
+    const day = days.get(entry.date);
+    if (!day) continue;
+    const calories = entryCalories(entry);
+    if (calories === null) {
+      day.uncounted += 1;
+    } else {
+      day.calories += calories;
+      if (entry.recipe.servings) {
+        day.caloriesPerServing += entry.recipe.estimatedCalories;
+      } else {
+        day.notPerServing += 1;
+      }
+    }
+  }
+
+  return [...days.values()];
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, continuing with a leading space (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Unix seconds as a UTC date-time (20240310T153000Z)
+const formatTimestamp = (seconds) => new Date(seconds * 1000).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Build an iCalendar document with one event per planned entry
+ * @param {Array<Object>} entries - Planned entries (see MealPlanModel)
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown in calendar apps
+ * @param {Function} options.recipeUrl - Optional (recipeId) => link to the recipe
+ * @returns {string}
+ */
+const buildCalendar = (entries, { name, recipeUrl = null }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    "PRODID:-//Mom's Recipes//Meal Plan//EN",
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H'
+  ];
+
+  for (const entry of entries) {
+    const servings = entry.servings ?? entry.recipe.servings;
+    const calories = entryCalories(entry);
+    const details = [
+      servings ? `Serves ${servings}` : null,
+      calories !== null ? `About ${calories} calories` : null
+    ].filter(Boolean);
+    const url = recipeUrl ? recipeUrl(entry.recipeId) : null;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:meal-plan-${entry.id}@moms-recipes`,
+      `DTSTAMP:${formatTimestamp(entry.updatedAt)}`,
+      `DTSTART:${entry.date.replace(/-/g, '')}T${MEAL_TIMES[entry.meal]}`,
+      `DURATION:${MEAL_DURATION}`,
+      `SUMMARY:${escapeText(`${capitalize(entry.meal)}: ${entry.recipe.title}`)}`
+    );
+    if (details.length > 0) {
+      lines.push(`DESCRIPTION:${escapeText(details.join('\n'))}`);
+    }
+    if (url) {
+      lines.push(`URL:${url}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  MEALS,
+  MAX_RANGE_DAYS,
+  isValidDate,
+  addDays,
+  daysBetween,
+  startOfWeek,
+  entryCalories,
+  dailyTotals,
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,123 @@
+// Pantry matching helpers for "What can I make?" search
+// Decides whether ingredients on hand satisfy a recipe's ingredients, so
+// "chicken breast" in the pantry covers a recipe that just needs "chicken"
+
+const { stem } = require('./search');
+
+// Words that don't identify an ingredient
+const FILLER_WORDS = new Set([
+  'a', 'an', 'and', 'or', 'of', 'the', 'for', 'to', 'with', 'into', 'in', 'optional'
+]);
+
+// Two-word names of products that are a different thing from either word on its own, so
+// "butter" and "peanut butter" never cover each other
+const COMPOUND_NOUNS = [
+  'peanut butter', 'almond butter', 'apple butter',
+  'coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'evaporated milk', 'condensed milk',
+  'cream cheese', 'sour cream', 'ice cream', 'cream of tartar',
+  'brown sugar', 'powdered sugar', 'confectioners sugar', 'maple syrup', 'corn syrup',
+  'almond flour', 'coconut flour', 'rice flour', 'corn flour',
+  'chicken broth', 'chicken stock', 'beef broth', 'beef stock', 'vegetable broth', 'vegetable stock',
+  'rice vinegar', 'coconut oil', 'sesame oil', 'coconut cream',
+  'red pepper', 'bell pepper', 'cayenne pepper', 'sweet potato', 'green onion', 'white chocolate'
+];
+
+// Ingredients almost every kitchen has; not counted as missing unless asked
+const PANTRY_STAPLES = ['water', 'ice', 'salt', 'pepper', 'black pepper', 'salt and pepper'];
+
+/**
+ * Reduce an ingredient name to its identifying words
+ * Drops prep notes after a comma, parentheticals and filler words, and stems plurals
+ * @param {string} name - Ingredient name (e.g. "Onions, finely chopped")
+ * @returns {Array<string>} - Words (e.g. ["onion"])
+ */
+const ingredientWords = (name) => {
+  if (!name || typeof name !== 'string') return [];
+
+  return name
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !FILLER_WORDS.has(word))
+    .map(stem);
+};
+
+const STAPLE_KEYS = new Set(PANTRY_STAPLES.map(name => ingredientWords(name).join(' ')));
+const COMPOUND_KEYS = new Set(COMPOUND_NOUNS.map(name => ingredientWords(name).join(' ')));
+
+// The compound nouns among an ingredient's adjacent words, e.g. "creamy peanut butter" -> "peanut butter"
+const compoundsOf = (words) => words.slice(1)
+  .map((word, index) => `${words[index]} ${word}`)
+  .filter(pair => COMPOUND_KEYS.has(pair))
+  .sort()
+  .join('|');
+
+/**
+ * Check whether a pantry item satisfies a recipe ingredient
+ * Matches when every word of the recipe ingredient is in the pantry item ("chicken" <- "chicken breast"),
+ * or the pantry item names the recipe ingredient's main noun ("onion" -> "yellow onion", but not
+ * "chicken" -> "chicken broth"). Either way both must name the same compound nouns, so "butter"
+ * and "peanut butter" or "chicken" and "chicken broth" don't cover each other.
+ * @param {Array<string>} recipeWords - From ingredientWords()
+ * @param {Array<string>} pantryWords - From ingredientWords()
+ * @returns {boolean}
+ */
+const satisfies = (recipeWords, pantryWords) => {
+  if (recipeWords.length === 0 || pantryWords.length === 0) return false;
+  if (compoundsOf(recipeWords) !== compoundsOf(pantryWords)) return false;
+
+  const pantrySet = new Set(pantryWords);
+  if (recipeWords.every(word => pantrySet.has(word))) return true;
+
+  const recipeSet = new Set(recipeWords);
+  const headNoun = recipeWords[recipeWords.length - 1];
+  return pantryWords.every(word => recipeSet.has(word)) && pantrySet.has(headNoun);
+};
+
+/**
+ * Check whether an ingredient is a pantry staple (salt, water, ...)
+ * @param {string} name - Ingredient name
+ * @returns {boolean}
+ */
+const isStaple = (name) => STAPLE_KEYS.has(ingredientWords(name).join(' '));
+
+/**
+ * Score a recipe's ingredients against the pantry
+ * @param {Array<Object>} ingredients - Recipe ingredients ({ name })
+ * @param {Array<string>} pantry - Ingredient names on hand
+ * @param {Object} options
+ * @param {boolean} options.includeStaples - Count staples like salt and water as needed (default: false)
+ * @returns {Object} - { matchedCount, totalIngredients, missingIngredients, matchScore }
+ */
+const scoreRecipe = (ingredients, pantry, { includeStaples = false } = {}) => {
+  const pantryWords = pantry.map(ingredientWords).filter(words => words.length > 0);
+
+  const needed = ingredients.filter(ing => ing.name && (includeStaples || !isStaple(ing.name)));
+  const missingIngredients = [];
+  let matchedCount = 0;
+
+  for (const ingredient of needed) {
+    const recipeWords = ingredientWords(ingredient.name);
+    if (pantryWords.some(words => satisfies(recipeWords, words))) {
+      matchedCount++;
+    } else {
+      missingIngredients.push(ingredient.name);
+    }
+  }
+
+  const totalIngredients = needed.length;
+  return {
+    matchedCount,
+    totalIngredients,
+    missingIngredients,
+    matchScore: totalIngredients > 0 ? Math.round((matchedCount / totalIngredients) * 100) / 100 : 0
+  };
+};
+
+module.exports = {
+  ingredientWords,
+  satisfies,
+  isStaple,
+  scoreRecipe
+};
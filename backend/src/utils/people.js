@@ -0,0 +1,65 @@
+// Family provenance: the people recipes came from.
+// A recipe links to people in one of two roles, "contributed" (they gave it to the collection)
+// and "handed_down" (it was passed down from them), shown in that order on the recipe.
+
+const ATTRIBUTION_ROLES = ['contributed', 'handed_down'];
+
+const ROLE_LABELS = {
+  contributed: 'Contributed by',
+  handed_down: 'Handed down from'
+};
+
+const MAX_NAME_LENGTH = 255;
+const MAX_RELATION_LENGTH = 100;
+const MAX_ATTRIBUTIONS = 20;
+
+const cleanText = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+  const cleaned = value.trim().replace(/\s+/g, ' ');
+  return cleaned ? cleaned.slice(0, maxLength) : null;
+};
+
+/**
+ * Clean up attributions read from a recipe by the AI parser, or edited on the review page
+ * @param {Array} attributions - [{ name, relation, role }]; anything else is ignored
+ * @returns {Array<Object>} - [{ name, relation, role }] with empty names dropped, unknown roles
+ *   read as "contributed", and the same person in the same role listed once
+ */
+const normalizeAttributions = (attributions) => {
+  if (!Array.isArray(attributions)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+  for (const attribution of attributions) {
+    if (!attribution || typeof attribution !== 'object') continue;
+
+    const name = cleanText(attribution.name, MAX_NAME_LENGTH);
+    if (!name) continue;
+
+    const role = ATTRIBUTION_ROLES.includes(attribution.role) ? attribution.role : 'contributed';
+    const key = `${name.toLowerCase()}|${role}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    normalized.push({ name, relation: cleanText(attribution.relation, MAX_RELATION_LENGTH), role });
+  }
+  return normalized.slice(0, MAX_ATTRIBUTIONS);
+};
+
+/**
+ * One line per linked person, e.g. "Handed down from Ruth" (used to diff recipe revisions)
+ * @param {Array} people - [{ name, role }] in display order
+ * @returns {Array<string>}
+ */
+const formatAttributionLines = (people) =>
+  people.map(person => `${ROLE_LABELS[person.role] || ROLE_LABELS.contributed} ${person.name}`);
+
+module.exports = {
+  ATTRIBUTION_ROLES,
+  ROLE_LABELS,
+  MAX_NAME_LENGTH,
+  MAX_RELATION_LENGTH,
+  MAX_ATTRIBUTIONS,
+  normalizeAttributions,
+  formatAttributionLines
+};
@@ -0,0 +1,204 @@
+// Ingredient quantity parsing, formatting and scaling
+// Quantities are free text ("1 1/2", "½", "2-3", "1.5"), so scaling parses the leading
+// amount, multiplies it and formats it back the way a cook would write it ("1/3 cup", not "0.333 cup")
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+  '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5', '⅙': '1/6', '⅚': '5/6',
+  '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Mixed number ("1 1/2", "1-1/2"), fraction, whole or decimal number
+const NUMBER = String.raw`\d+\s+\d+\/\d+|\d+-\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?|\.\d+`;
+const QUANTITY_PATTERN = new RegExp(
+  String.raw`^(${NUMBER})(?:\s*(?:-|–|—|to)\s*(${NUMBER}))?(?=$|\s|[^\d\/.])(.*)$`,
+  'i'
+);
+
+// Fractions a recipe would print, as [value, text]
+const KITCHEN_FRACTIONS = [
+  [0, ''], [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [1 / 2, '1/2'],
+  [2 / 3, '2/3'], [3 / 4, '3/4'], [1, '']
+];
+const HALF_FRACTIONS = [[0, ''], [1 / 2, '1/2'], [1, '']];
+
+// Countable/volume units that take a plural form, keyed by singular
+const UNIT_PLURALS = {
+  cup: 'cups', tablespoon: 'tablespoons', teaspoon: 'teaspoons', pound: 'pounds',
+  ounce: 'ounces', quart: 'quarts', pint: 'pints', gallon: 'gallons', liter: 'liters',
+  litre: 'litres', can: 'cans', jar: 'jars', package: 'packages', pkg: 'pkgs',
+  stick: 'sticks', clove: 'cloves', slice: 'slices', piece: 'pieces', head: 'heads',
+  sprig: 'sprigs', stalk: 'stalks', handful: 'handfuls', bottle: 'bottles', box: 'boxes',
+  pinch: 'pinches', dash: 'dashes', bunch: 'bunches'
+};
+const UNIT_SINGULARS = Object.fromEntries(
+  Object.entries(UNIT_PLURALS).map(([singular, plural]) => [plural, singular])
+);
+
+// Servings accepted by the scaling endpoint
+const MAX_SERVINGS = 100;
+
+/**
+ * Convert one number token ("1 1/2", "1-1/2", "3/4", "2", "0.5") to a value
+ * @param {string} token
+ * @returns {number|null}
+ */
+const parseNumber = (token) => {
+  const mixed = token.match(/^(\d+)[\s-]+(\d+)\/(\d+)$/);
+  if (mixed) {
+    const denominator = parseInt(mixed[3], 10);
+    return denominator ? parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / denominator : null;
+  }
+
+  const fraction = token.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    const denominator = parseInt(fraction[2], 10);
+    return denominator ? parseInt(fraction[1], 10) / denominator : null;
+  }
+
+  const value = parseFloat(token);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Parse the leading amount of a quantity string
+ * Handles mixed numbers, unicode fractions ("1½"), decimals and ranges ("2-3", "2 to 3")
+ * @param {string} quantity - e.g. "1 1/2", "½", "2-3 large"
+ * @returns {Object|null} - { min, max, rest, decimal } or null when there's no leading amount
+ */
+const parseQuantity = (quantity) => {
+  if (quantity === null || quantity === undefined) return null;
+
+  const normalized = String(quantity)
+    .replace(/[½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]/g, char => ` ${UNICODE_FRACTIONS[char]}`)
+    .replace(/⁄/g, '/')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const match = normalized.match(QUANTITY_PATTERN);
+  if (!match) return null;
+
+  const min = parseNumber(match[1]);
+  const max = match[2] ? parseNumber(match[2]) : min;
+  if (min === null || max === null) return null;
+
+  return {
+    min,
+    max,
+    rest: match[3].trim(),
+    decimal: /\./.test(match[1]) || /\./.test(match[2] || '')
+  };
+};
+
+/**
+ * Read a serving count from imported data ("4", 6, "Serves 4-6")
+ * @param {string|number} value
+ * @returns {number|null} - Whole number of servings, or null if missing or out of range
+ */
+const parseServings = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = String(value).match(/\d+/);
+  const servings = match ? parseInt(match[0], 10) : NaN;
+  return servings >= 1 && servings <= MAX_SERVINGS ? servings : null;
+};
+
+/**
+ * Format a number as a friendly kitchen amount
+ * Rounds to common fractions (1/8, 1/4, 1/3, 1/2, 2/3, 3/4), to halves from 10 and to whole numbers from 50
+ * @param {number} value
+ * @param {Object} options
+ * @param {boolean} options.decimal - Write decimals instead of fractions (default: false)
+ * @returns {string} - e.g. "1/3", "2 1/2", "12"
+ */
+const formatQuantity = (value, { decimal = false } = {}) => {
+  if (!Number.isFinite(value) || value <= 0) return '0';
+
+  if (decimal) {
+    const places = value >= 10 ? 0 : value >= 1 ? 1 : 2;
+    return String(parseFloat(value.toFixed(places)) || parseFloat(value.toPrecision(1)));
+  }
+
+  if (value >= 50) return String(Math.round(value));
+
+  let whole = Math.floor(value);
+  const remainder = value - whole;
+  const candidates = value >= 10 ? HALF_FRACTIONS : KITCHEN_FRACTIONS;
+  let [closestValue, closestText] = candidates.reduce((best, candidate) =>
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+  );
+
+  if (closestValue === 1) whole += 1;
+  // Never round a small amount away entirely
+  if (whole === 0 && !closestText) [closestValue, closestText] = KITCHEN_FRACTIONS[1];
+
+  if (whole === 0) return closestText;
+  return closestText ? `${whole} ${closestText}` : String(whole);
+};
+
+/**
+ * Pick the singular or plural form of a known unit, keeping its capitalization
+ * @param {string} unit - e.g. "cup", "Tablespoons", "g"
+ * @param {boolean} plural
+ * @returns {string}
+ */
+const inflectUnit = (unit, plural) => {
+  if (!unit) return unit;
+
+  const lower = unit.toLowerCase();
+  const replacement = plural ? UNIT_PLURALS[lower] : UNIT_SINGULARS[lower];
+  if (!replacement) return unit;
+
+  return unit[0] === unit[0].toUpperCase()
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+};
+
+/**
+ * Scale a quantity string by a factor
+ * @param {string} quantity - e.g. "1 1/2", "2-3"
+ * @param {number} factor - e.g. 2 to double
+ * @returns {string|null} - Scaled quantity, or null when it has no amount to scale
+ */
+const scaleQuantity = (quantity, factor) => {
+  const parsed = parseQuantity(quantity);
+  if (!parsed) return null;
+
+  const options = { decimal: parsed.decimal };
+  const min = formatQuantity(parsed.min * factor, options);
+  const max = formatQuantity(parsed.max * factor, options);
+  const amount = parsed.max > parsed.min && max !== min ? `${min}-${max}` : min;
+
+  return parsed.rest ? `${amount} ${parsed.rest}` : amount;
+};
+
+/**
+ * Scale an ingredient's quantity, adjusting the unit between singular and plural
+ * Ingredients without a parseable amount ("to taste", "a pinch") are returned unchanged
+ * @param {Object} ingredient - { name, quantity, unit }
+ * @param {number} factor
+ * @returns {Object} - Ingredient with scaled quantity/unit and a `scaled` flag
+ */
+const scaleIngredient = (ingredient, factor) => {
+  const parsed = parseQuantity(ingredient.quantity);
+  if (!parsed) return { ...ingredient, scaled: false };
+
+  const wasPlural = parsed.max > 1;
+  const isPlural = parsed.max * factor > 1;
+  return {
+    ...ingredient,
+    quantity: scaleQuantity(ingredient.quantity, factor),
+    unit: wasPlural === isPlural ? ingredient.unit : inflectUnit(ingredient.unit, isPlural),
+    scaled: true
+  };
+};
+
+module.exports = {
+  MAX_SERVINGS,
+  parseQuantity,
+  parseServings,
+  formatQuantity,
+  inflectUnit,
+  scaleQuantity,
+  scaleIngredient
+};
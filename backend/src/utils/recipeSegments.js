@@ -0,0 +1,170 @@
+// Recipe boundaries in multi-recipe PDFs (scanned cookbooks, recipe binders)
+// Every recipe has one ingredient list, so each new ingredient list that follows a
+// finished recipe (one whose directions have started) marks a new recipe. The recipe
+// itself starts at its title, the heading-styled line just above the ingredients.
+
+const INGREDIENTS_HEADING = /^(?:ingredients?|you(?:'ll| will) need)\s*:?$/i;
+const METHOD_HEADING = /^(?:directions?|instructions?|method|preparation|steps)\s*:?$/i;
+const STEP_LINE = /^(?:step\s*)?\d+\s*[.):]\s+\S/i;
+const INGREDIENT_LINE = /^(?:\d+(?:[\s-]+\d+\/\d+|\/\d+|\.\d+)?|[½⅓⅔¼¾⅛⅜⅝⅞])\s*[a-zA-Z(]/;
+const METADATA_LINE = /^(?:serves|servings|makes|yields?|prep|cook|total|bake|from the kitchen of)\b/i;
+const BULLET = /^[-•*·]\s*/;
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_TITLE_WORDS = 10;
+const MIN_PROSE_LENGTH = 40;
+const TITLE_LOOKBACK = 6;
+
+/**
+ * Check whether a line is part of an ingredient list ("2 cups flour", "- ½ tsp salt")
+ * @param {string} line
+ * @returns {boolean}
+ */
+const isIngredientLine = (line) => {
+  const text = line.replace(BULLET, '');
+  return text.length <= MAX_TITLE_LENGTH && !STEP_LINE.test(text) && INGREDIENT_LINE.test(text);
+};
+
+/**
+ * Check whether a line reads as directions: a numbered step or a full sentence
+ * @param {string} line
+ * @returns {boolean}
+ */
+const isDirectionLine = (line) =>
+  STEP_LINE.test(line) || (line.length >= MIN_PROSE_LENGTH && /[.!?]$/.test(line) && !isIngredientLine(line));
+
+/**
+ * Check whether a line could be a recipe title
+ * @param {string} line - e.g. "Aunt Ruth's Pound Cake"
+ * @returns {boolean}
+ */
+const isTitleLine = (line) => {
+  if (!line || line.length > MAX_TITLE_LENGTH || !/[a-z]/i.test(line)) return false;
+  if (/[.,;:!?]$/.test(line) || /^\d+$/.test(line) || /^page\s+\d+/i.test(line)) return false;
+  if (INGREDIENTS_HEADING.test(line) || METHOD_HEADING.test(line) || METADATA_LINE.test(line)) return false;
+  if (isIngredientLine(line) || STEP_LINE.test(line)) return false;
+  return line.split(/\s+/).length <= MAX_TITLE_WORDS;
+};
+
+/**
+ * Check whether a title line is styled as a heading (ALL CAPS or Title Case)
+ * @param {string} line
+ * @returns {boolean}
+ */
+const looksLikeHeading = (line) => {
+  if (line === line.toUpperCase()) return true;
+
+  const words = line.split(/\s+/).filter(word => word.length > 3);
+  if (words.length === 0) return /^[A-Z]/.test(line);
+  const capitalized = words.filter(word => /^[A-Z]/.test(word)).length;
+  return capitalized / words.length >= 0.6;
+};
+
+/**
+ * Find where each ingredient list starts
+ * @param {Array<string>} lines - Trimmed lines
+ * @returns {Array<number>} - Line indexes
+ */
+const findIngredientAnchors = (lines) => {
+  const anchors = [];
+  // 'none' before the first recipe, then 'ingredients' -> 'method' for each recipe
+  let state = 'none';
+
+  const nextLine = (index) => lines.slice(index + 1).find(line => line) || '';
+
+  lines.forEach((line, index) => {
+    if (!line) return;
+
+    if (INGREDIENTS_HEADING.test(line)) {
+      if (state !== 'ingredients') anchors.push(index);
+      state = 'ingredients';
+    } else if (isIngredientLine(line)) {
+      if (state !== 'ingredients' && isIngredientLine(nextLine(index))) {
+        anchors.push(index);
+        state = 'ingredients';
+      }
+    } else if (state === 'ingredients' && (METHOD_HEADING.test(line) || isDirectionLine(line))) {
+      state = 'method';
+    }
+  });
+
+  return anchors;
+};
+
+/**
+ * Find the title line that starts the recipe owning an ingredient list
+ * @param {Array<string>} lines
+ * @param {number} anchor - Index of the ingredient list
+ * @param {number} lowerBound - First index that may belong to this recipe
+ * @param {Set<number>} pageStarts - Indexes of the first line on each page
+ * @returns {number} - Index the recipe starts at
+ */
+const findRecipeStart = (lines, anchor, lowerBound, pageStarts) => {
+  const candidates = [];
+  for (let index = anchor - 1; index >= lowerBound && candidates.length < TITLE_LOOKBACK; index--) {
+    if (lines[index]) candidates.push(index);
+  }
+
+  const titles = candidates.filter(index => isTitleLine(lines[index]));
+  const heading = titles.find(index => looksLikeHeading(lines[index]));
+  if (heading !== undefined) return heading;
+
+  // An unstyled title still stands apart from the text above it
+  const standalone = titles.find(index => {
+    const previous = lines[index - 1];
+    return pageStarts.has(index) || !previous || /[.!?]$/.test(previous);
+  });
+  return standalone !== undefined ? standalone : anchor;
+};
+
+/**
+ * Split the text of a PDF into one segment per recipe
+ * A document with zero or one detected recipe comes back as a single segment.
+ * @param {Array<Object|string>} pages - [{ num, text }] or page texts in order
+ * @returns {Array<Object>} - [{ text, pageStart, pageEnd }]
+ */
+const splitRecipeSegments = (pages) => {
+  const lines = [];
+  const linePages = [];
+  const pageStarts = new Set();
+
+  (pages || []).forEach((page, index) => {
+    const text = typeof page === 'string' ? page : page?.text;
+    const num = typeof page === 'string' ? index + 1 : page?.num || index + 1;
+    pageStarts.add(lines.length);
+    String(text || '').split('\n').forEach(line => {
+      lines.push(line.trim());
+      linePages.push(num);
+    });
+  });
+
+  const anchors = findIngredientAnchors(lines);
+  const starts = anchors.map((anchor, index) =>
+    index === 0 ? 0 : findRecipeStart(lines, anchor, anchors[index - 1] + 1, pageStarts)
+  );
+  if (starts.length === 0) starts.push(0);
+
+  return starts
+    .map((start, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1] : lines.length;
+      const used = [];
+      for (let i = start; i < end; i++) {
+        if (lines[i]) used.push(i);
+      }
+      if (used.length === 0) return null;
+
+      return {
+        text: lines.slice(start, end).join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+        pageStart: linePages[used[0]],
+        pageEnd: linePages[used[used.length - 1]]
+      };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  isIngredientLine,
+  isTitleLine,
+  looksLikeHeading,
+  splitRecipeSegments
+};
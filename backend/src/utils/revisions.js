@@ -0,0 +1,125 @@
+// Recipe revision diffs: which fields changed between two snapshots of a recipe.
+// Ingredients, steps and tags are compared line by line, the way an editor sees them.
+
+const { formatIngredientLines } = require('./ingredientSections');
+const { splitInstructions } = require('./steps');
+const { formatAttributionLines } = require('./people');
+const { withPreparation } = require('./ingredientCatalog');
+
+const formatIngredient = (ingredient) =>
+  [ingredient.quantity, ingredient.unit, withPreparation(ingredient)].filter(Boolean).join(' ');
+
+// Plain-text lines with a heading where each section starts (blank separators dropped)
+const toLines = (items, formatLine) =>
+  formatIngredientLines(items, formatLine).split('\n').filter(Boolean);
+
+// Snapshot fields in display order. List fields give the lines to diff.
+const REVISION_FIELDS = [
+  { field: 'title', label: 'Title' },
+  { field: 'source', label: 'Source' },
+  { field: 'servings', label: 'Servings' },
+  { field: 'prepTimeMinutes', label: 'Prep time (minutes)' },
+  { field: 'cookTimeMinutes', label: 'Cook time (minutes)' },
+  { field: 'totalTimeMinutes', label: 'Total time (minutes)' },
+  { field: 'imagePath', label: 'Image' },
+  { field: 'estimatedCalories', label: 'Estimated calories' },
+  {
+    field: 'ingredients',
+    label: 'Ingredients',
+    lines: (snapshot) => toLines(snapshot.ingredients || [], formatIngredient)
+  },
+  {
+    // Recipes saved before steps existed only have instructions text
+    field: 'steps',
+    label: 'Instructions',
+    lines: (snapshot) => toLines(
+      snapshot.steps?.length > 0 ? snapshot.steps : splitInstructions(snapshot.instructions),
+      step => step.text
+    )
+  },
+  {
+    field: 'tags',
+    label: 'Tags',
+    lines: (snapshot) => [...(snapshot.tags || [])].sort()
+  },
+  {
+    field: 'people',
+    label: 'People',
+    lines: (snapshot) => formatAttributionLines(snapshot.people || [])
+  },
+  { field: 'story', label: 'Story' },
+  { field: 'notes', label: "Cook's notes" }
+];
+
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Line-by-line diff via the longest common subsequence
+ * @param {Array<string>} before
+ * @param {Array<string>} after
+ * @returns {Array<Object>} - [{ type: 'same' | 'removed' | 'added', text }] in reading order
+ */
+const diffLines = (before, after) => {
+  // common[i][j] = length of the LCS of before[i..] and after[j..]
+  const common = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (i < before.length && (j === after.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ type: 'removed', text: before[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: after[j] });
+      j++;
+    }
+  }
+  return lines;
+};
+
+/**
+ * Fields that differ between two recipe snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<Object>} - [{ field, label, before, after }] for single values and
+ *   [{ field, label, lines }] for lists, where lines come from diffLines
+ */
+const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  for (const { field, label, lines } of REVISION_FIELDS) {
+    if (lines) {
+      const diff = diffLines(lines(before), lines(after));
+      if (diff.some(line => line.type !== 'same')) {
+        changes.push({ field, label, lines: diff });
+      }
+      continue;
+    }
+
+    const oldValue = normalizeValue(before[field]);
+    const newValue = normalizeValue(after[field]);
+    if (oldValue !== newValue) {
+      changes.push({ field, label, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  diffLines,
+  diffSnapshots
+};
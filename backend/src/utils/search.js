@@ -0,0 +1,139 @@
+// Full-text search helpers
+// Turns free-text queries into MySQL boolean-mode search strings and builds
+// highlighted snippets for search results
+
+// Characters with special meaning in MySQL boolean-mode FULLTEXT queries
+const BOOLEAN_OPERATORS = /[+\-><()~*"@]/g;
+
+const SNIPPET_LENGTH = 160;
+
+// Words whose singular ends in "-ie", so "cookies" loses only the "s"
+const IE_WORDS = new Set(['cookie', 'brownie', 'pie', 'potpie', 'smoothie', 'veggie', 'hoagie', 'calorie']);
+
+/**
+ * Reduce a word to a crude stem so plurals match singulars ("tomatoes" -> "tomato")
+ * "-ies" and "-y" share a stem ("berries" and "berry" -> "berr")
+ * MySQL FULLTEXT has no stemming, so the stem is used as a prefix search term
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stemmed word
+ */
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) {
+    return IE_WORDS.has(word.slice(0, -1)) ? word.slice(0, -1) : word.slice(0, -3);
+  }
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1);
+  if (/(?:o|s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Split a search query into unique lowercase terms
+ * @param {string} query - Free-text search query
+ * @returns {Array<string>} - Search terms
+ */
+const tokenize = (query) => {
+  if (!query || typeof query !== 'string') return [];
+
+  // Drop possessives ("mom's" -> "mom") and single letters, which would match almost everything
+  const terms = query
+    .toLowerCase()
+    .replace(BOOLEAN_OPERATORS, ' ')
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+
+  return [...new Set(terms)].slice(0, 10);
+};
+
+/**
+ * Build a MySQL boolean-mode FULLTEXT query from search terms
+ * Each term becomes an optional prefix match so relevance ranks recipes matching more terms higher
+ * @param {Array<string>} terms - Terms from tokenize()
+ * @returns {string} - Boolean-mode search string (e.g. "chicken* tomato*")
+ */
+const buildBooleanQuery = (terms) => terms.map(term => `${stem(term)}*`).join(' ');
+
+/**
+ * Build a regex matching any of the search terms (and their stems) at word starts
+ * @param {Array<string>} terms - Terms from tokenize()
+ * @returns {RegExp|null}
+ */
+const buildTermRegex = (terms) => {
+  if (!terms.length) return null;
+  const escaped = [...new Set(terms.map(stem))]
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Find highlight ranges for search terms in a piece of text
+ * @param {string} text
+ * @param {RegExp} regex - From buildTermRegex()
+ * @returns {Array<Array<number>>} - [start, end] offsets of each match
+ */
+const findHighlights = (text, regex) => {
+  const highlights = [];
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    highlights.push([match.index, match.index + match[0].length]);
+  }
+  return highlights;
+};
+
+/**
+ * Build a highlighted snippet showing where a recipe matched the search
+ * Fields are checked in order; the first one containing a term is used
+ * @param {Object} fields - Map of field name to text, e.g. { instructions, ingredients, source }
+ * @param {Array<string>} terms - Terms from tokenize()
+ * @returns {Object|null} - { field, text, highlights } or null if no field matched
+ */
+const buildSnippet = (fields, terms) => {
+  const regex = buildTermRegex(terms);
+  if (!regex) return null;
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (!value) continue;
+
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    const allHighlights = findHighlights(text, regex);
+    if (allHighlights.length === 0) continue;
+
+    // Center the window around the first match
+    const [firstStart] = allHighlights[0];
+    let start = Math.max(0, firstStart - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+
+    // Snap to word boundaries so the snippet doesn't start or end mid-word
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < firstStart) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippetText = prefix + text.slice(start, end) + suffix;
+
+    const highlights = allHighlights
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+
+    return { field, text: snippetText, highlights };
+  }
+
+  return null;
+};
+
+module.exports = {
+  tokenize,
+  stem,
+  buildBooleanQuery,
+  buildSnippet
+};
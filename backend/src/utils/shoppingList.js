@@ -0,0 +1,275 @@
+// Shopping list building: the ingredients of several recipes become one line per ingredient,
+// with amounts added up ("1 cup milk" twice is "2 cups milk") and grouped by store aisle.
+// Measurable units are converted to a common base first, so "1 cup" and "2 tbsp" add up too.
+
+const { parseQuantity, formatQuantity, inflectUnit } = require('./quantity');
+const { UNITS, findUnit, formatMetric, chooseImperialUnit } = require('./units');
+const { ingredientWords } = require('./pantry');
+
+// Store aisles, in the order a list is shown (roughly a walk through the store)
+const CATEGORIES = [
+  'Produce', 'Meat & Seafood', 'Dairy & Eggs', 'Bakery', 'Baking', 'Pantry',
+  'Canned & Jarred', 'Spices & Seasonings', 'Frozen', 'Beverages', 'Other'
+];
+const DEFAULT_CATEGORY = 'Other';
+
+// What each aisle stocks. A keyword of several words needs them all ("peanut butter").
+const CATEGORY_KEYWORDS = {
+  'Produce': [
+    'apple', 'banana', 'lemon', 'lime', 'orange', 'grape', 'peach', 'pear', 'pineapple', 'mango',
+    'avocado', 'berries', 'strawberries', 'blueberries', 'raspberries', 'cherries', 'cranberries',
+    'onion', 'green onion', 'shallot', 'scallion', 'leek', 'garlic', 'ginger', 'potato', 'sweet potato',
+    'tomato', 'carrot', 'celery', 'cucumber', 'zucchini', 'squash', 'pumpkin', 'lettuce', 'spinach',
+    'kale', 'cabbage', 'broccoli', 'cauliflower', 'bell pepper', 'green pepper', 'red pepper', 'jalapeno',
+    'jalapeño', 'chili', 'corn', 'pea', 'green bean', 'mushroom', 'parsley', 'cilantro', 'basil', 'dill',
+    'mint', 'chive', 'lemon juice', 'lime juice', 'lemon zest', 'orange zest'
+  ],
+  'Meat & Seafood': [
+    'chicken', 'beef', 'ground beef', 'pork', 'turkey', 'ham', 'bacon', 'sausage', 'lamb', 'veal',
+    'steak', 'brisket', 'roast', 'meat', 'pepperoni', 'fish', 'salmon', 'tuna', 'cod', 'tilapia',
+    'shrimp', 'crab', 'scallop'
+  ],
+  'Dairy & Eggs': [
+    'milk', 'butter', 'cream', 'sour cream', 'cream cheese', 'cheese', 'cheddar', 'mozzarella',
+    'parmesan', 'ricotta', 'cottage cheese', 'yogurt', 'buttermilk', 'half and half', 'egg', 'margarine'
+  ],
+  'Bakery': ['bread', 'bun', 'tortilla', 'pita', 'bagel', 'croissant', 'baguette', 'english muffin'],
+  'Baking': [
+    'flour', 'sugar', 'brown sugar', 'powdered sugar', 'baking soda', 'baking powder', 'yeast',
+    'vanilla', 'extract', 'cocoa', 'chocolate', 'chocolate chips', 'cornstarch', 'cornmeal',
+    'shortening', 'molasses', 'corn syrup', 'sprinkles', 'gelatin', 'pie crust', 'condensed milk',
+    'evaporated milk', 'coconut'
+  ],
+  'Pantry': [
+    'rice', 'pasta', 'spaghetti', 'macaroni', 'noodle', 'oats', 'cereal', 'oil', 'vinegar', 'honey',
+    'syrup', 'maple syrup', 'peanut butter', 'jam', 'jelly', 'almond', 'walnut', 'pecan', 'peanut',
+    'raisin', 'cracker', 'breadcrumbs', 'bread crumbs', 'lentil', 'quinoa', 'soy sauce', 'ketchup',
+    'mustard', 'mayonnaise', 'mayo', 'worcestershire sauce', 'hot sauce', 'salsa'
+  ],
+  'Canned & Jarred': [
+    'broth', 'stock', 'soup', 'sauce', 'tomato sauce', 'tomato paste', 'diced tomato', 'bean',
+    'chickpea', 'coconut milk', 'olive', 'pickle'
+  ],
+  'Spices & Seasonings': [
+    'salt', 'pepper', 'black pepper', 'cinnamon', 'nutmeg', 'cumin', 'paprika', 'oregano', 'thyme',
+    'rosemary', 'bay leaf', 'bay leaves', 'chili powder', 'garlic powder', 'onion powder', 'cayenne',
+    'red pepper flakes', 'crushed red pepper', 'ground ginger', 'allspice', 'turmeric', 'curry',
+    'sage', 'seasoning', 'spice'
+  ],
+  'Frozen': ['ice cream'],
+  'Beverages': ['coffee', 'tea', 'juice', 'wine', 'beer', 'soda']
+};
+
+const KEYWORD_ENTRIES = Object.entries(CATEGORY_KEYWORDS).flatMap(([category, keywords]) =>
+  keywords.map(keyword => ({ words: ingredientWords(keyword), category }))
+);
+
+// Words that send anything to one aisle, whatever it is ("frozen peas", "canned corn")
+const CATEGORY_MARKERS = { frozen: 'Frozen', canned: 'Canned & Jarred' };
+const CANNED_UNITS = ['can', 'jar'];
+
+// Prep and size words that don't make a different thing to buy ("chopped onion" is an onion)
+const PREP_WORDS = new Set(ingredientWords(
+  'fresh large medium small chopped diced minced sliced grated shredded finely coarsely roughly ' +
+  'thinly peeled softened melted beaten cubed packed sifted divided ripe cold warm'
+));
+const SIZE_UNITS = ['small', 'medium', 'large', 'whole'];
+
+// Water and ice come from the tap and the freezer, not the store
+const TAP_WORDS = new Set(ingredientWords('water ice hot cold warm lukewarm boiling tap'));
+const TAP_ITEMS = ingredientWords('water ice');
+
+/**
+ * Pick the store aisle for an ingredient
+ * The most specific keyword wins ("peanut butter" over "butter"), then the one nearest the end of
+ * the name, which is usually what the thing is ("chicken broth" is broth)
+ * @param {string} name - Ingredient name
+ * @param {string} unit - Optional; cans and jars go to the canned aisle
+ * @returns {string} - One of CATEGORIES
+ */
+const categorize = (name, unit) => {
+  const words = ingredientWords(name);
+
+  const marker = words.find(word => CATEGORY_MARKERS[word]);
+  if (marker) return CATEGORY_MARKERS[marker];
+
+  const unitWord = unit ? unit.trim().toLowerCase().split(/\s+/).pop() : '';
+  if (CANNED_UNITS.includes(inflectUnit(unitWord, false))) return 'Canned & Jarred';
+
+  let best = null;
+  for (const entry of KEYWORD_ENTRIES) {
+    if (!entry.words.every(word => words.includes(word))) continue;
+
+    const last = Math.max(...entry.words.map(word => words.lastIndexOf(word)));
+    if (!best || entry.words.length > best.length || (entry.words.length === best.length && last > best.last)) {
+      best = { length: entry.words.length, last, category: entry.category };
+    }
+  }
+  return best ? best.category : DEFAULT_CATEGORY;
+};
+
+/**
+ * The key ingredients are combined by: their identifying words without prep and size words,
+ * so "Onions, chopped" and "1 large onion" are one line
+ * @param {string} name
+ * @returns {string}
+ */
+const shoppingKey = (name) => {
+  const words = ingredientWords(name);
+  const kept = words.filter(word => !PREP_WORDS.has(word));
+  return (kept.length > 0 ? kept : words).join(' ') || name.trim().toLowerCase();
+};
+
+/**
+ * An ingredient name as a shopping list shows it, without prep notes or parentheticals
+ * @param {string} name - e.g. "Onions (about 2), finely chopped"
+ * @returns {string} - e.g. "Onions"
+ */
+const cleanName = (name) => {
+  const cleaned = name.replace(/\([^)]*\)/g, ' ').split(',')[0].replace(/\s+/g, ' ').trim();
+  return cleaned || name.trim();
+};
+
+const isFromTheTap = (words) =>
+  words.length > 0 && words.every(word => TAP_WORDS.has(word)) && words.some(word => TAP_ITEMS.includes(word));
+
+const formatRange = (low, high, min, max) => (max > min && low !== high ? `${low}-${high}` : high);
+
+/**
+ * Add an ingredient's amount to a line's running totals, one total per kind of unit
+ * (volume, mass, or a count of something like cloves or cans)
+ */
+const addAmount = (line, { quantity, unit }, factor) => {
+  // "to taste", "a pinch": nothing to add up, and not something to shop by
+  const parsed = parseQuantity(quantity);
+  if (!parsed) return;
+
+  let unitText = [parsed.rest, unit].filter(Boolean).join(' ').trim();
+  if (SIZE_UNITS.includes(unitText.toLowerCase())) unitText = '';
+
+  const canonical = findUnit(unitText);
+  const key = canonical ? UNITS[canonical].type : `count:${inflectUnit(unitText.toLowerCase(), false)}`;
+  const size = canonical ? UNITS[canonical].size : 1;
+
+  let total = line.totals.get(key);
+  if (!total) {
+    total = { type: canonical ? UNITS[canonical].type : null, unit: unitText, units: new Set(), min: 0, max: 0, decimal: true };
+    line.totals.set(key, total);
+  }
+  total.min += parsed.min * factor * size;
+  total.max += parsed.max * factor * size;
+  total.decimal = total.decimal && parsed.decimal;
+  if (canonical) total.units.add(canonical);
+};
+
+/**
+ * Format a running total. Measured amounts are shown in metric when every unit added was metric
+ * (teaspoons and tablespoons go either way), otherwise in US units sized to the amount.
+ */
+const formatTotal = ({ type, unit, units, min, max, decimal }) => {
+  if (!type) {
+    const low = formatQuantity(min, { decimal });
+    const high = formatQuantity(max, { decimal });
+    const amount = formatRange(low, high, min, max);
+    return unit ? `${amount} ${inflectUnit(unit, max > 1)}` : amount;
+  }
+
+  const used = [...units];
+  const metric = used.some(name => UNITS[name].system === 'metric') &&
+    used.every(name => UNITS[name].system === 'metric' || name === 'tsp' || name === 'tbsp');
+
+  if (metric) {
+    const high = formatMetric(max, type);
+    const low = formatMetric(min, type, high.unit === 'kg' || high.unit === 'l');
+    return `${formatRange(low.amount, high.amount, min, max)} ${high.unit}`;
+  }
+
+  const chosen = chooseImperialUnit(max, type);
+  const size = UNITS[chosen].size;
+  const low = formatQuantity(min / size);
+  const high = formatQuantity(max / size);
+  return `${formatRange(low, high, min, max)} ${inflectUnit(chosen, parseQuantity(high).max > 1)}`;
+};
+
+const compareItems = (a, b) =>
+  CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || a.name.localeCompare(b.name);
+
+/**
+ * Combine the ingredients of several recipes into shopping list items
+ * The same recipe can appear more than once (planned for two dinners), and each counts.
+ * Water and ice are left off.
+ * @param {Array<Object>} sources - [{ title, factor, ingredients: [{ name, quantity, unit }] }],
+ *   where factor scales the recipe (2 for double)
+ * @returns {Array<Object>} - [{ name, quantity, category, source }], by aisle then name;
+ *   quantity is null when no recipe gave an amount, and source lists the recipes' titles
+ */
+const combineIngredients = (sources) => {
+  const lines = new Map();
+
+  for (const { title, factor = 1, ingredients = [] } of sources) {
+    for (const ingredient of ingredients) {
+      if (!ingredient.name || !ingredient.name.trim()) continue;
+      if (isFromTheTap(ingredientWords(ingredient.name))) continue;
+
+      const key = shoppingKey(ingredient.name);
+      let line = lines.get(key);
+      if (!line) {
+        line = {
+          name: cleanName(ingredient.name),
+          category: categorize(ingredient.name, ingredient.unit),
+          totals: new Map(),
+          sources: []
+        };
+        lines.set(key, line);
+      }
+
+      if (title && !line.sources.includes(title)) line.sources.push(title);
+      addAmount(line, ingredient, factor);
+    }
+  }
+
+  return [...lines.values()]
+    .map(line => ({
+      name: line.name,
+      quantity: line.totals.size > 0 ? [...line.totals.values()].map(formatTotal).join(' + ') : null,
+      category: line.category,
+      source: line.sources.join(', ') || null
+    }))
+    .sort(compareItems);
+};
+
+/**
+ * An item as one line of text, e.g. "2 cups milk"
+ * @param {Object} item - { name, quantity }
+ * @returns {string}
+ */
+const itemLabel = ({ name, quantity }) => (quantity ? `${quantity} ${name}` : name);
+
+/**
+ * A list as plain text, by aisle, with checked items marked
+ * @param {Object} list - { name, items: [{ name, quantity, category, checked }] }
+ * @returns {string}
+ */
+const formatListText = ({ name, items }) => {
+  const lines = [name];
+
+  for (const category of CATEGORIES) {
+    const inCategory = items.filter(item => (CATEGORIES.includes(item.category) ? item.category : DEFAULT_CATEGORY) === category);
+    if (inCategory.length === 0) continue;
+
+    lines.push('', category);
+    inCategory.forEach(item => lines.push(`[${item.checked ? 'x' : ' '}] ${itemLabel(item)}`));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  CATEGORIES,
+  categorize,
+  shoppingKey,
+  cleanName,
+  combineIngredients,
+  itemLabel,
+  formatListText
+};
@@ -0,0 +1,164 @@
+// Numbered instruction steps
+// Steps are stored one row per step with an optional section ("For the sauce") and timer.
+// `recipes.instructions` keeps a plain-text copy (numbered lines with "Section:" headings) for
+// search and older clients; the same format is what import/review forms edit and what old
+// free-text instructions are split from.
+
+const { normalizeSection, parseSectionHeading } = require('./ingredientSections');
+const { parseQuantity } = require('./quantity');
+
+const MAX_STEP_LENGTH = 5000;
+
+// Longest timer a step can carry (24 hours covers overnight rises and brines)
+const MAX_TIMER_SECONDS = 24 * 60 * 60;
+
+// "1.", "2)", "Step 3:", "Step 4 -" at the start of a line
+const STEP_NUMBER = /^(?:step\s*)?(\d+)\s*(?:[.):](?!\d)|-(?!\d))\s*/i;
+
+// An amount ("25", "1 1/2", "10-12", "2 to 3") followed by a time unit
+const DURATION_PATTERN = /(\d+(?:[\s-]+\d+\/\d+|\/\d+|\.\d+)?(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?)\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\b/gi;
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+/**
+ * Find how long a step says to wait ("bake for 25-30 minutes" -> 1500)
+ * Uses the first duration mentioned, taking the low end of a range so the cook checks early.
+ * "1 hour 15 minutes" is read as one duration.
+ * @param {string} text - Step text
+ * @returns {number|null} - Seconds, or null when the step has no duration
+ */
+const detectStepTimer = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const matches = [...text.matchAll(DURATION_PATTERN)];
+  if (matches.length === 0) return null;
+
+  const toSeconds = (match) => {
+    const parsed = parseQuantity(match[1]);
+    return parsed ? parsed.min * UNIT_SECONDS[match[2][0].toLowerCase()] : 0;
+  };
+
+  let seconds = toSeconds(matches[0]);
+  const [first, second] = matches;
+  if (second && /^h/i.test(first[2]) && !/^h/i.test(second[2]) &&
+    /^\s*(?:and\s*)?$/i.test(text.slice(first.index + first[0].length, second.index))) {
+    seconds += toSeconds(second);
+  }
+
+  seconds = Math.round(seconds);
+  return seconds > 0 ? Math.min(seconds, MAX_TIMER_SECONDS) : null;
+};
+
+/**
+ * Split inline numbering ("1. Mix. 2. Bake at 350.") into separate steps
+ * Only numbers counting up from 1 start a step, so "Bake at 350. Cool" stays whole.
+ * @param {string} paragraph
+ * @returns {Array<string>}
+ */
+const splitInlineNumbers = (paragraph) => {
+  const starts = [];
+  const marker = /(?:^|\s)(\d+)[.)](?=\s)/g;
+  let match;
+  while ((match = marker.exec(paragraph)) !== null) {
+    if (parseInt(match[1], 10) === starts.length + 1) starts.push(match.index);
+  }
+  if (starts.length < 2) return [paragraph];
+
+  return starts.map((start, i) => paragraph.slice(start, starts[i + 1]).trim());
+};
+
+/**
+ * Split free-text instructions into steps
+ * Numbered lines start new steps (unnumbered lines after them are continuations);
+ * otherwise each line or paragraph is a step. Heading lines ("For the sauce:") start a section.
+ * @param {string} instructions
+ * @returns {Array<Object>} - [{ section, text, timerSeconds }]
+ */
+const splitInstructions = (instructions) => {
+  if (!instructions || typeof instructions !== 'string') return [];
+
+  let lines = instructions.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 1) lines = splitInlineNumbers(lines[0]);
+
+  const numbered = lines.some(line => STEP_NUMBER.test(line));
+  const steps = [];
+  let section = null;
+  let continuing = false;
+
+  lines.forEach(line => {
+    const isNumbered = STEP_NUMBER.test(line);
+    const heading = isNumbered ? null : parseSectionHeading(line);
+    if (heading) {
+      section = heading;
+      continuing = false;
+      return;
+    }
+
+    const text = line.replace(STEP_NUMBER, '').trim();
+    if (!text) return;
+
+    if (numbered && !isNumbered && continuing) {
+      steps[steps.length - 1].text += ` ${text}`;
+    } else {
+      steps.push({ section, text });
+      continuing = true;
+    }
+  });
+
+  return steps.map(step => ({ ...step, timerSeconds: detectStepTimer(step.text) }));
+};
+
+/**
+ * Write steps as numbered plain text, with a heading line where each section starts
+ * @param {Array<Object>} steps - [{ section, text }]
+ * @returns {string}
+ */
+const formatSteps = (steps) => {
+  const lines = [];
+  let currentSection = null;
+
+  steps.forEach((step, index) => {
+    const section = step.section || null;
+    if (section !== currentSection) {
+      if (lines.length > 0) lines.push('');
+      if (section) lines.push(`${section}:`);
+      currentSection = section;
+    }
+    lines.push(`${index + 1}. ${step.text}`);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Clean up steps before they are saved: trims text (one line per step), normalizes sections
+ * and fills in a timer from the text when none was given
+ * @param {Array<Object|string>} steps - [{ text, section, timerSeconds }] or plain step strings
+ * @returns {Array<Object>}
+ */
+const normalizeSteps = (steps) => {
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .map(step => (typeof step === 'string' ? { text: step } : step || {}))
+    .map(step => {
+      const text = String(step.text || '').replace(/\s+/g, ' ').trim();
+      const timer = parseInt(step.timerSeconds, 10);
+      return {
+        section: normalizeSection(step.section),
+        text,
+        timerSeconds: step.timerSeconds === undefined
+          ? detectStepTimer(text)
+          : (timer > 0 ? Math.min(timer, MAX_TIMER_SECONDS) : null)
+      };
+    })
+    .filter(step => step.text);
+};
+
+module.exports = {
+  MAX_STEP_LENGTH,
+  MAX_TIMER_SECONDS,
+  detectStepTimer,
+  splitInstructions,
+  formatSteps,
+  normalizeSteps
+};
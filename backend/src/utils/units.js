@@ -0,0 +1,244 @@
+// Unit normalization and US customary <-> metric conversion
+// Ingredient units are free text ("Tbsp", "tablespoons", "grams"), so aliases are mapped to one
+// canonical spelling on write, and amounts are converted on read. Volume-to-mass conversion uses
+// per-ingredient densities, so "1 cup flour" becomes 120 g for cooks who bake by weight.
+
+const { parseQuantity, formatQuantity, inflectUnit } = require('./quantity');
+const { ingredientWords } = require('./pantry');
+
+const UNIT_SYSTEMS = ['imperial', 'metric'];
+
+// Canonical units with their size in the base unit (ml for volume, g for mass)
+const UNITS = {
+  tsp: { type: 'volume', system: 'imperial', size: 4.92892, aliases: ['tsp', 'tsps', 'ts', 'teaspoon', 'teaspoons'] },
+  tbsp: { type: 'volume', system: 'imperial', size: 14.7868, aliases: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'] },
+  cup: { type: 'volume', system: 'imperial', size: 236.588, aliases: ['c', 'cup', 'cups'] },
+  'fl oz': { type: 'volume', system: 'imperial', size: 29.5735, aliases: ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+  pint: { type: 'volume', system: 'imperial', size: 473.176, aliases: ['pt', 'pint', 'pints'] },
+  quart: { type: 'volume', system: 'imperial', size: 946.353, aliases: ['qt', 'quart', 'quarts'] },
+  gallon: { type: 'volume', system: 'imperial', size: 3785.41, aliases: ['gal', 'gallon', 'gallons'] },
+  ml: { type: 'volume', system: 'metric', size: 1, aliases: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  l: { type: 'volume', system: 'metric', size: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  oz: { type: 'mass', system: 'imperial', size: 28.3495, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { type: 'mass', system: 'imperial', size: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  g: { type: 'mass', system: 'metric', size: 1, aliases: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'] },
+  kg: { type: 'mass', system: 'metric', size: 1000, aliases: ['kg', 'kgs', 'kilogram', 'kilograms'] }
+};
+
+// Case matters for the classic recipe-card shorthand: "T" is a tablespoon, "t" a teaspoon
+const CASE_SENSITIVE_ALIASES = { T: 'tbsp', t: 'tsp' };
+
+const UNIT_ALIASES = Object.entries(UNITS).reduce((aliases, [unit, { aliases: names }]) => {
+  names.forEach(name => { aliases[name] = unit; });
+  return aliases;
+}, {});
+
+// Grams per US cup for common baking staples
+const DENSITIES = {
+  'flour': 120,
+  'all purpose flour': 120,
+  'bread flour': 127,
+  'cake flour': 114,
+  'whole wheat flour': 113,
+  'almond flour': 96,
+  'sugar': 200,
+  'granulated sugar': 200,
+  'white sugar': 200,
+  'brown sugar': 213,
+  'powdered sugar': 120,
+  'confectioners sugar': 120,
+  'icing sugar': 120,
+  'butter': 227,
+  'shortening': 191,
+  'cocoa powder': 85,
+  'cocoa': 85,
+  'cornstarch': 112,
+  'cornmeal': 138,
+  'rolled oats': 90,
+  'oats': 90,
+  'rice': 190,
+  'honey': 340,
+  'maple syrup': 312,
+  'molasses': 337,
+  'peanut butter': 270,
+  'chocolate chips': 170,
+  'raisins': 149,
+  'walnuts': 113,
+  'pecans': 113,
+  'almonds': 142,
+  'breadcrumbs': 112,
+  'bread crumbs': 112,
+  'shredded cheese': 113,
+  'grated parmesan': 100,
+  'grated parmesan cheese': 100
+};
+
+// Density keys reduced to the same stemmed words used to match ingredient names
+const DENSITY_ENTRIES = Object.entries(DENSITIES)
+  .map(([name, gramsPerCup]) => ({ words: ingredientWords(name), gramsPerCup }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * Find the canonical unit for an alias ("Tablespoons" -> "tbsp")
+ * @param {string} unit
+ * @returns {string|null} - Canonical unit, or null if it isn't a measurable unit
+ */
+const findUnit = (unit) => {
+  if (!unit || typeof unit !== 'string') return null;
+
+  const trimmed = unit.trim();
+  if (CASE_SENSITIVE_ALIASES[trimmed]) return CASE_SENSITIVE_ALIASES[trimmed];
+
+  const key = trimmed.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+  return UNIT_ALIASES[key] || null;
+};
+
+/**
+ * Canonicalize a unit for storage, e.g. "Tablespoons" -> "tbsp", "cup" -> "cups" for 2
+ * Units that aren't measurable ("cloves", "large") are returned trimmed but otherwise as entered
+ * @param {string} unit
+ * @param {string} quantity - Used to choose singular or plural for word units like "cup"
+ * @returns {string|null}
+ */
+const normalizeUnit = (unit, quantity) => {
+  if (!unit || typeof unit !== 'string') return unit || null;
+
+  const canonical = findUnit(unit);
+  if (!canonical) return unit.trim();
+
+  const parsed = parseQuantity(quantity);
+  return inflectUnit(canonical, parsed ? parsed.max > 1 : false);
+};
+
+/**
+ * Canonicalize units on a list of ingredients before they are saved
+ * @param {Array<Object>} ingredients - [{ name, quantity, unit }]
+ * @returns {Array<Object>}
+ */
+const normalizeIngredientUnits = (ingredients) => {
+  if (!Array.isArray(ingredients)) return ingredients;
+
+  return ingredients.map(ingredient => ({
+    ...ingredient,
+    unit: normalizeUnit(ingredient.unit, ingredient.quantity)
+  }));
+};
+
+/**
+ * Look up the density of an ingredient ("all-purpose flour, sifted" -> 120)
+ * Prefers the most specific match, so "brown sugar" wins over "sugar". The entry must name
+ * what the ingredient is (its last word), so "almond milk" and "rice vinegar" stay in volume
+ * instead of weighing like almonds or rice.
+ * @param {string} name - Ingredient name
+ * @returns {number|null} - Grams per US cup
+ */
+const findDensity = (name) => {
+  const nameWords = ingredientWords(name);
+  if (nameWords.length === 0) return null;
+
+  const words = new Set(nameWords);
+  const headNoun = nameWords[nameWords.length - 1];
+  const entry = DENSITY_ENTRIES.find(({ words: keyWords }) =>
+    keyWords[keyWords.length - 1] === headNoun && keyWords.every(word => words.has(word)));
+  return entry ? entry.gramsPerCup : null;
+};
+
+/**
+ * Format a metric amount, in kg/l when large
+ * Rounds to what a kitchen scale or jug shows: tenths below 10, whole numbers below 100, then 5s
+ * @param {number} value - Amount in g or ml
+ * @param {string} type - 'mass' or 'volume'
+ * @param {boolean} large - Write in kg/l (default: from 1000)
+ * @returns {Object} - { amount, unit }
+ */
+const formatMetric = (value, type, large = value >= 1000) => {
+  if (large) {
+    return { amount: String(parseFloat((value / 1000).toFixed(2))), unit: type === 'mass' ? 'kg' : 'l' };
+  }
+
+  let rounded;
+  if (value < 10) rounded = parseFloat(value.toFixed(1)) || 0.1;
+  else if (value < 100) rounded = Math.round(value);
+  else rounded = Math.round(value / 5) * 5;
+
+  return { amount: String(rounded), unit: type === 'mass' ? 'g' : 'ml' };
+};
+
+/**
+ * Pick a US unit for an amount in the base unit
+ * @param {number} value - Amount in g or ml
+ * @param {string} type - 'mass' or 'volume'
+ * @returns {string} - Canonical unit
+ */
+const chooseImperialUnit = (value, type) => {
+  if (type === 'mass') return value >= UNITS.lb.size ? 'lb' : 'oz';
+  if (value < UNITS.tbsp.size) return 'tsp';
+  if (value < UNITS.cup.size / 4) return 'tbsp';
+  return 'cup';
+};
+
+/**
+ * Convert an ingredient's amount to another measurement system
+ * Teaspoons and tablespoons are kept in metric, since they are used everywhere.
+ * Ingredients without a measurable unit or a plain amount are returned unchanged.
+ * @param {Object} ingredient - { name, quantity, unit }
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {Object} - Ingredient with converted quantity/unit and a `converted` flag
+ */
+const convertIngredient = (ingredient, system) => {
+  const canonical = findUnit(ingredient.unit);
+  const parsed = parseQuantity(ingredient.quantity);
+  const unchanged = { ...ingredient, converted: false };
+
+  if (!canonical || !parsed || parsed.rest) return unchanged;
+
+  const from = UNITS[canonical];
+  if (from.system === system) return unchanged;
+  if (system === 'metric' && (canonical === 'tsp' || canonical === 'tbsp')) return unchanged;
+
+  const density = findDensity(ingredient.name);
+  let type = from.type;
+  let min = parsed.min * from.size;
+  let max = parsed.max * from.size;
+
+  if (system === 'metric' && type === 'volume' && density) {
+    // Bakers weigh dry goods: convert cups of flour to grams
+    type = 'mass';
+    [min, max] = [min, max].map(ml => ml * density / UNITS.cup.size);
+  } else if (system === 'imperial' && type === 'mass' && density) {
+    // ...and the reverse: grams of flour become cups
+    type = 'volume';
+    [min, max] = [min, max].map(grams => grams * UNITS.cup.size / density);
+  }
+
+  let quantity;
+  let unit;
+  if (system === 'metric') {
+    const high = formatMetric(max, type);
+    const low = formatMetric(min, type, high.unit === 'kg' || high.unit === 'l');
+    unit = high.unit;
+    quantity = max > min && low.amount !== high.amount ? `${low.amount}-${high.amount}` : high.amount;
+  } else {
+    unit = chooseImperialUnit(max, type);
+    const size = UNITS[unit].size;
+    const low = formatQuantity(min / size);
+    const high = formatQuantity(max / size);
+    quantity = max > min && low !== high ? `${low}-${high}` : high;
+    unit = inflectUnit(unit, parseQuantity(high).max > 1);
+  }
+
+  return { ...ingredient, quantity, unit, converted: true };
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  UNITS,
+  DENSITIES,
+  findUnit,
+  normalizeUnit,
+  normalizeIngredientUnits,
+  findDensity,
+  formatMetric,
+  chooseImperialUnit,
+  convertIngredient
+};
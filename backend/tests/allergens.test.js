@@ -0,0 +1,30 @@
+const { findAllergen, expandExclusions, listAllergens } = require('../src/utils/allergens');
+
+describe('Allergen dictionary', () => {
+  test('should find allergen groups by key or label', () => {
+    expect(findAllergen('tree nuts')).toBe('tree-nuts');
+    expect(findAllergen('Tree-Nuts')).toBe('tree-nuts');
+    expect(findAllergen('pork')).toBe('pork');
+    expect(findAllergen('cilantro')).toBeNull();
+  });
+
+  test('should expand allergen groups and keep plain ingredients', () => {
+    const expanded = expandExclusions(['tree nuts', 'Cilantro']);
+
+    expect(expanded).toEqual(expect.arrayContaining(['walnut', 'pecan', 'almond', 'cilantro']));
+    expect(expanded).not.toContain('tree nuts');
+  });
+
+  test('should list every group with its ingredients', () => {
+    const allergens = listAllergens();
+
+    expect(allergens.length).toBeGreaterThan(0);
+    allergens.forEach(allergen => {
+      expect(allergen).toEqual({
+        key: expect.any(String),
+        label: expect.any(String),
+        ingredients: expect.any(Array)
+      });
+    });
+  });
+});
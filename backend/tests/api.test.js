@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const path = require('path');
 const request = require('supertest');
 
 // Set test environment variables before requiring the app
@@ -16,6 +18,16 @@ process.env.DB_NAME = process.env.TEST_DB_NAME || 'moms_recipes_test';
 const db = require('../src/config/database');
 const app = require('../src/server');
 const UserModel = require('../src/models/userModel');
+const FileModel = require('../src/models/fileModel');
+const PendingRecipeModel = require('../src/models/pendingRecipeModel');
+const RecipeOriginalModel = require('../src/models/recipeOriginalModel');
+const CanonicalIngredientModel = require('../src/models/canonicalIngredientModel');
+const JobWorker = require('../src/services/jobWorker');
+const IngredientBackfill = require('../src/services/ingredientBackfill');
+const SettingsModel = require('../src/models/settingsModel');
+const TrashPurger = require('../src/services/trashPurger');
+const { UPLOAD_DIRS } = require('../src/middleware/upload');
+const { ingredientKey } = require('../src/utils/ingredientCatalog');
 
 // Global test user and auth token
 let authToken = null;
@@ -77,6 +89,27 @@ const setupTestAuth = async () => {
   }
 };
 
+// Helper to log in as a (viewer) user, creating it on first use
+// Returns cookies for requests made as that user
+const loginAsViewer = async (username = 'testcook') => {
+  if (!(await UserModel.usernameExists(username))) {
+    await UserModel.create({
+      username,
+      email: `${username}@test.com`,
+      password: 'testpassword123'
+    });
+  }
+
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password: 'testpassword123' });
+
+  const tokenCookie = response.headers['set-cookie']
+    .find(cookie => cookie.startsWith('token='))
+    .split(';')[0];
+  return [tokenCookie, csrfCookie];
+};
+
 // Helper to build cookie string with both auth and CSRF cookies
 const buildCookieString = () => {
   const cookies = [];
@@ -262,6 +295,133 @@ describe('Recipe API Integration Tests', () => {
         expect(ingredient.quantity).toBe('2');
         expect(ingredient.unit).toBe('cups');
       });
+
+      test('should store canonical units', async () => {
+        const recipe = await createTestRecipe({
+          ingredients: [
+            { name: 'sugar', quantity: '2', unit: 'Tablespoons' },
+            { name: 'butter', quantity: '1/2', unit: 'cups' },
+            { name: 'garlic', quantity: '3', unit: 'cloves' }
+          ]
+        });
+
+        expect(recipe.ingredients.map(ing => ing.unit)).toEqual(['tbsp', 'cup', 'cloves']);
+      });
+
+      test('should store ingredient sections', async () => {
+        const recipe = await createTestRecipe({
+          ingredients: [
+            { name: 'flour', quantity: '2', unit: 'cups', section: 'For the crust:' },
+            { name: 'butter', quantity: '1/2', unit: 'cup', section: 'For the crust' },
+            { name: 'apples', quantity: '6', section: 'For the filling' },
+            { name: 'salt', quantity: '1', unit: 'pinch' }
+          ]
+        });
+
+        expect(recipe.ingredients.map(ing => ing.section)).toEqual([
+          'For the crust', 'For the crust', 'For the filling', null
+        ]);
+      });
+
+      test('should fail with an overly long ingredient section', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({
+            title: 'Long Section Recipe',
+            ingredients: [{ name: 'flour', section: 'x'.repeat(101) }]
+          })
+          .expect(400);
+
+        expect(response.body.errors).toEqual(
+          expect.arrayContaining([expect.stringContaining('Ingredient section at index 0')])
+        );
+      });
+
+      test('should split instructions into steps', async () => {
+        const recipe = await createTestRecipe();
+
+        expect(recipe.steps.map(({ position, text }) => ({ position, text }))).toEqual([
+          { position: 0, text: 'Mix ingredients' },
+          { position: 1, text: 'Bake at 350°F' }
+        ]);
+      });
+
+      test('should store steps with sections and timers', async () => {
+        const recipe = await createTestRecipe({
+          instructions: undefined,
+          steps: [
+            { text: 'Make the dough.' },
+            { text: 'Bake 25-30 minutes.', section: 'Bake' },
+            { text: 'Cool completely.', section: 'Bake', timerSeconds: 3600 }
+          ]
+        });
+
+        expect(recipe.steps.map(({ section, text, timerSeconds }) => ({ section, text, timerSeconds }))).toEqual([
+          { section: null, text: 'Make the dough.', timerSeconds: null },
+          { section: 'Bake', text: 'Bake 25-30 minutes.', timerSeconds: 1500 },
+          { section: 'Bake', text: 'Cool completely.', timerSeconds: 3600 }
+        ]);
+        expect(recipe.instructions).toBe('1. Make the dough.\n\nBake:\n2. Bake 25-30 minutes.\n3. Cool completely.');
+      });
+
+      test('should fail with invalid steps', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({
+            title: 'Bad Steps Recipe',
+            steps: [{ text: '' }, { text: 'Bake', timerSeconds: -1 }]
+          })
+          .expect(400);
+
+        expect(response.body.errors).toEqual(
+          expect.arrayContaining([
+            expect.stringContaining("Step at index 0 must have a non-empty 'text' string"),
+            expect.stringContaining('Step timerSeconds at index 1')
+          ])
+        );
+      });
+
+      test('should store prep, cook and total times', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({
+            title: 'Timed Recipe',
+            prepTimeMinutes: 15,
+            cookTimeMinutes: 45,
+            totalTimeMinutes: 60
+          })
+          .expect(201);
+
+        expect(response.body.recipe.prepTimeMinutes).toBe(15);
+        expect(response.body.recipe.cookTimeMinutes).toBe(45);
+        expect(response.body.recipe.totalTimeMinutes).toBe(60);
+      });
+
+      test('should fail with invalid time values', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({
+            title: 'Bad Time Recipe',
+            prepTimeMinutes: -5,
+            cookTimeMinutes: 'PT1H'
+          })
+          .expect(400);
+
+        expect(response.body.errors).toEqual(
+          expect.arrayContaining([
+            expect.stringContaining('prepTimeMinutes must be a whole number of minutes'),
+            expect.stringContaining('cookTimeMinutes must be a whole number of minutes')
+          ])
+        );
+      });
     });
 
     describe('GET /api/recipes - List Recipes', () => {
@@ -320,6 +480,76 @@ describe('Recipe API Integration Tests', () => {
 
         expect(response.body).toHaveProperty('error', 'Recipe not found');
       });
+
+      test('should scale ingredients to the requested servings', async () => {
+        const recipe = await createTestRecipe({
+          servings: 6,
+          ingredients: [
+            { name: 'flour', quantity: '1', unit: 'cup' },
+            { name: 'butter', quantity: '1 1/2', unit: 'sticks' },
+            { name: 'salt', quantity: 'to taste' }
+          ]
+        });
+
+        const response = await request(app)
+          .get(`/api/recipes/${recipe.id}?servings=2`)
+          .expect(200);
+
+        expect(response.body.recipe).toMatchObject({
+          servings: 2,
+          originalServings: 6,
+          scaleFactor: 0.333
+        });
+        expect(response.body.recipe.ingredients[0]).toMatchObject({ quantity: '1/3', unit: 'cup', scaled: true });
+        expect(response.body.recipe.ingredients[1]).toMatchObject({ quantity: '1/2', unit: 'stick', scaled: true });
+        expect(response.body.recipe.ingredients[2]).toMatchObject({ quantity: 'to taste', scaled: false });
+      });
+
+      test('should reject scaling a recipe without servings', async () => {
+        const recipe = await createTestRecipe();
+
+        await request(app)
+          .get(`/api/recipes/${recipe.id}?servings=4`)
+          .expect(400);
+      });
+
+      test('should convert ingredients to metric', async () => {
+        const recipe = await createTestRecipe({
+          ingredients: [
+            { name: 'all-purpose flour', quantity: '2', unit: 'cups' },
+            { name: 'milk', quantity: '1', unit: 'cup' },
+            { name: 'salt', quantity: '1', unit: 'tsp' }
+          ]
+        });
+
+        const response = await request(app)
+          .get(`/api/recipes/${recipe.id}?units=metric`)
+          .expect(200);
+
+        expect(response.body.recipe.units).toBe('metric');
+        expect(response.body.recipe.ingredients[0]).toMatchObject({ quantity: '240', unit: 'g', converted: true });
+        expect(response.body.recipe.ingredients[1]).toMatchObject({ quantity: '235', unit: 'ml', converted: true });
+        expect(response.body.recipe.ingredients[2]).toMatchObject({ quantity: '1', unit: 'tsp', converted: false });
+      });
+
+      test('should reject an unknown unit system', async () => {
+        const recipe = await createTestRecipe();
+
+        await request(app)
+          .get(`/api/recipes/${recipe.id}?units=nautical`)
+          .expect(400);
+      });
+
+      test('should reject invalid servings', async () => {
+        const recipe = await createTestRecipe({ servings: 4 });
+
+        await request(app)
+          .get(`/api/recipes/${recipe.id}?servings=0`)
+          .expect(400);
+        await request(app)
+          .get(`/api/recipes/${recipe.id}?servings=abc`)
+          .expect(400);
+      });
     });
 
     describe('GET /api/recipes/search - Search Recipes', () => {
@@ -380,6 +610,78 @@ describe('Recipe API Integration Tests', () => {
         expect(response.body.count).toBeGreaterThan(0);
       });
 
+      test('should rank full-text matches by relevance', async () => {
+        await createTestRecipe({
+          title: 'Fruit Salad',
+          instructions: 'Slice the banana and toss with berries',
+          ingredients: [{ name: 'berries', quantity: '2', unit: 'cups' }],
+          tags: ['salad']
+        });
+
+        const response = await request(app)
+          .get('/api/recipes/search?q=banana')
+          .expect(200);
+
+        expect(response.body.query).toBe('banana');
+        expect(response.body.count).toBe(2);
+        expect(response.body.recipes[0].title).toBe('Banana Bread');
+        expect(response.body.recipes[0].relevance)
+          .toBeGreaterThan(response.body.recipes[1].relevance);
+      });
+
+      test('should find words that only appear in instructions', async () => {
+        await createTestRecipe({
+          title: 'Sunday Roast',
+          instructions: 'Roast the chicken until golden',
+          ingredients: [{ name: 'potatoes', quantity: '4', unit: 'whole' }],
+          tags: ['dinner']
+        });
+
+        const response = await request(app)
+          .get('/api/recipes/search?q=chicken')
+          .expect(200);
+
+        expect(response.body.count).toBe(1);
+        const { snippet } = response.body.recipes[0];
+        expect(snippet.field).toBe('instructions');
+        const [start, end] = snippet.highlights[0];
+        expect(snippet.text.slice(start, end)).toBe('chicken');
+      });
+
+      test('should exclude recipes with excluded ingredients', async () => {
+        const response = await request(app)
+          .get('/api/recipes/search?ingredient=flour&excludeIngredients=banana')
+          .expect(200);
+
+        expect(response.body.count).toBe(1);
+        expect(response.body.recipes[0].title).toBe('Chocolate Chip Cookies');
+      });
+
+      test('should expand allergen groups in exclusions', async () => {
+        await createTestRecipe({
+          title: 'Walnut Brownies',
+          ingredients: [{ name: 'chopped walnuts', quantity: '1', unit: 'cup' }],
+          tags: ['dessert']
+        });
+
+        const response = await request(app)
+          .get('/api/recipes/search?tags=dessert&excludeIngredients=tree nuts')
+          .expect(200);
+
+        const titles = response.body.recipes.map(r => r.title);
+        expect(titles).toContain('Chocolate Chip Cookies');
+        expect(titles).not.toContain('Walnut Brownies');
+      });
+
+      test('should allow exclusions on their own', async () => {
+        const response = await request(app)
+          .get('/api/recipes/search?excludeTags=dessert')
+          .expect(200);
+
+        expect(response.body.count).toBe(1);
+        expect(response.body.recipes[0].title).toBe('Banana Bread');
+      });
+
       test('should fail without search parameters', async () => {
         const response = await request(app)
           .get('/api/recipes/search')
@@ -389,6 +691,60 @@ describe('Recipe API Integration Tests', () => {
       });
     });
 
+    describe('GET /api/recipes/pantry - Pantry Search', () => {
+      beforeEach(async () => {
+        await createTestRecipe({
+          title: 'Chicken and Rice',
+          ingredients: [
+            { name: 'chicken', quantity: '1', unit: 'lb' },
+            { name: 'rice', quantity: '2', unit: 'cups' },
+            { name: 'salt', quantity: '1', unit: 'tsp' }
+          ],
+          tags: ['dinner']
+        });
+        await createTestRecipe({
+          title: 'Chicken Soup',
+          ingredients: [
+            { name: 'chicken broth', quantity: '4', unit: 'cups' },
+            { name: 'carrots', quantity: '2', unit: 'whole' },
+            { name: 'celery', quantity: '2', unit: 'stalks' },
+            { name: 'noodles', quantity: '8', unit: 'oz' }
+          ],
+          tags: ['soup']
+        });
+      });
+
+      test('should rank recipes by ingredients on hand', async () => {
+        const response = await request(app)
+          .get('/api/recipes/pantry?have=chicken breast,rice,carrots')
+          .expect(200);
+
+        expect(response.body.maxMissing).toBe(2);
+        expect(response.body.count).toBe(1);
+        expect(response.body.recipes[0].title).toBe('Chicken and Rice');
+        expect(response.body.recipes[0].missingIngredients).toEqual([]);
+        expect(response.body.recipes[0].matchedCount).toBe(2);
+      });
+
+      test('should include recipes within the missing tolerance', async () => {
+        const response = await request(app)
+          .get('/api/recipes/pantry?have=carrots,celery&maxMissing=2')
+          .expect(200);
+
+        expect(response.body.count).toBe(1);
+        expect(response.body.recipes[0].title).toBe('Chicken Soup');
+        expect(response.body.recipes[0].missingIngredients).toEqual(['chicken broth', 'noodles']);
+      });
+
+      test('should fail without pantry ingredients', async () => {
+        const response = await request(app)
+          .get('/api/recipes/pantry')
+          .expect(400);
+
+        expect(response.body.error).toContain('ingredients you have');
+      });
+    });
+
     describe('PUT /api/recipes/:id - Update Recipe', () => {
       test('should update recipe with valid data', async () => {
         const recipe = await createTestRecipe();
@@ -409,6 +765,35 @@ describe('Recipe API Integration Tests', () => {
         expect(response.body.recipe.tags.sort()).toEqual(['test', 'updated']);
       });
 
+      test('should replace steps on update', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({
+            steps: [{ text: 'Stir.' }, { text: 'Serve.' }, { text: 'Enjoy.' }]
+          })
+          .expect(200);
+
+        expect(response.body.recipe.steps.map(step => step.text)).toEqual(['Stir.', 'Serve.', 'Enjoy.']);
+        expect(response.body.recipe.instructions).toBe('1. Stir.\n2. Serve.\n3. Enjoy.');
+      });
+
+      test('should keep steps when updating other fields', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Renamed Recipe' })
+          .expect(200);
+
+        expect(response.body.recipe.steps).toHaveLength(2);
+      });
+
       test('should normalize tags on update', async () => {
         const recipe = await createTestRecipe();
 
@@ -436,6 +821,21 @@ describe('Recipe API Integration Tests', () => {
         expect(response.body.error).toBe('Recipe not found');
       });
 
+      test('should keep times that are not part of the update', async () => {
+        const recipe = await createTestRecipe({ prepTimeMinutes: 10, cookTimeMinutes: 20 });
+
+        const response = await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ cookTimeMinutes: null, totalTimeMinutes: 30 })
+          .expect(200);
+
+        expect(response.body.recipe.prepTimeMinutes).toBe(10);
+        expect(response.body.recipe.cookTimeMinutes).toBeNull();
+        expect(response.body.recipe.totalTimeMinutes).toBe(30);
+      });
+
       test('should fail with invalid ingredient data', async () => {
         const recipe = await createTestRecipe();
 
@@ -472,7 +872,7 @@ describe('Recipe API Integration Tests', () => {
     });
 
     describe('DELETE /api/recipes/:id - Delete Recipe', () => {
-      test('should delete recipe', async () => {
+      test('should move recipe to the trash', async () => {
         const recipe = await createTestRecipe();
 
         const response = await request(app)
@@ -481,9 +881,9 @@ describe('Recipe API Integration Tests', () => {
           .set('x-csrf-token', csrfToken)
           .expect(200);
 
-        expect(response.body.message).toBe('Recipe deleted successfully');
+        expect(response.body.message).toBe('Recipe moved to trash');
 
-        // Verify recipe is deleted
+        // Verify recipe is no longer visible
         await request(app)
           .get(`/api/recipes/${recipe.id}`)
           .expect(404);
@@ -608,6 +1008,19 @@ describe('Recipe API Integration Tests', () => {
         expect(response2.body.timesCooked).toBe(2);
       });
 
+      test('should let a signed-in viewer mark a recipe cooked', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/cooked`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(response.body.timesCooked).toBe(1);
+      });
+
       test('should return 404 for non-existent recipe', async () => {
         const response = await request(app)
           .post('/api/recipes/99999/cooked')
@@ -642,6 +1055,2663 @@ describe('Recipe API Integration Tests', () => {
     });
   });
 
+  describe('Cook Log', () => {
+    describe('POST /api/recipes/:id/cook-log - Log a Cook', () => {
+      test('should log a cook with a rating and notes', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ cookedOn: '2024-03-10', rating: 4, notes: 'Used less sugar, better' })
+          .expect(201);
+
+        expect(response.body.entry).toMatchObject({
+          recipeId: recipe.id,
+          cookedOn: '2024-03-10',
+          rating: 4,
+          notes: 'Used less sugar, better',
+          photos: []
+        });
+        expect(response.body.timesCooked).toBe(1);
+        expect(response.body.ratingAverage).toBe(4);
+        expect(response.body.ratingCount).toBe(1);
+      });
+
+      test('should derive times cooked and the average rating from the log', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 5 })
+          .expect(201);
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 2 })
+          .expect(201);
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/cooked`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const response = await request(app)
+          .get('/api/recipes')
+          .expect(200);
+
+        const listed = response.body.recipes.find(r => r.id === recipe.id);
+        expect(listed.timesCooked).toBe(3);
+        expect(listed.ratingAverage).toBe(3.5);
+        expect(listed.ratingCount).toBe(2);
+      });
+
+      test('should attach uploaded photos', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('rating', '5')
+          .attach('photos', Buffer.from('fake image data'), { filename: 'dinner.png', contentType: 'image/png' })
+          .expect(201);
+
+        expect(response.body.entry.rating).toBe(5);
+        expect(response.body.entry.photos).toHaveLength(1);
+        expect(response.body.entry.photos[0].originalName).toBe('dinner.png');
+        expect(response.body.entry.photos[0].url).toMatch(/^\/uploads\/images\//);
+        expect(response.body.entry.photos[0]).not.toHaveProperty('filePath');
+
+        // Deleting the entry removes the uploaded file
+        await request(app)
+          .delete(`/api/users/cook-log/${response.body.entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+      });
+
+      test('should fail with an invalid rating or date', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ cookedOn: '2024-02-30', rating: 6 })
+          .expect(400);
+
+        expect(response.body.errors).toContain('cookedOn must be a date in YYYY-MM-DD format');
+        expect(response.body.errors).toContain('Rating must be a whole number from 1 to 5');
+      });
+
+      test('should return 404 for non-existent recipe', async () => {
+        const response = await request(app)
+          .post('/api/recipes/99999/cook-log')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 3 })
+          .expect(404);
+
+        expect(response.body.error).toBe('Recipe not found');
+      });
+
+      test('should require authentication', async () => {
+        const recipe = await createTestRecipe();
+
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 3 })
+          .expect(401);
+      });
+    });
+
+    describe('/api/users/cook-log - Cooking History', () => {
+      test("should list only the current user's entries, newest first", async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        for (const cookedOn of ['2024-01-05', '2024-02-05']) {
+          await request(app)
+            .post(`/api/recipes/${recipe.id}/cook-log`)
+            .set('Cookie', viewerCookies)
+            .set('x-csrf-token', csrfToken)
+            .send({ cookedOn })
+            .expect(201);
+        }
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({})
+          .expect(201);
+
+        const response = await request(app)
+          .get('/api/users/cook-log')
+          .set('Cookie', viewerCookies)
+          .expect(200);
+
+        expect(response.body.pagination.total).toBe(2);
+        expect(response.body.entries.map(e => e.cookedOn)).toEqual(['2024-02-05', '2024-01-05']);
+        expect(response.body.entries[0].recipeTitle).toBe(recipe.title);
+      });
+
+      test('should update and delete own entries and keep stats in sync', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        const created = await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 2 })
+          .expect(201);
+        const entryId = created.body.entry.id;
+
+        const updated = await request(app)
+          .put(`/api/users/cook-log/${entryId}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 5, notes: 'Much better the second time' })
+          .expect(200);
+
+        expect(updated.body.entry.rating).toBe(5);
+        expect(updated.body.entry.notes).toBe('Much better the second time');
+
+        let detail = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(detail.body.recipe.ratingAverage).toBe(5);
+
+        await request(app)
+          .delete(`/api/users/cook-log/${entryId}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        detail = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(detail.body.recipe.timesCooked).toBe(0);
+        expect(detail.body.recipe.ratingAverage).toBeNull();
+        expect(detail.body.recipe.ratingCount).toBe(0);
+      });
+
+      test("should not let users change another user's entries", async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        const created = await request(app)
+          .post(`/api/recipes/${recipe.id}/cook-log`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 4 })
+          .expect(201);
+
+        await request(app)
+          .put(`/api/users/cook-log/${created.body.entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ rating: 1 })
+          .expect(404);
+
+        await request(app)
+          .delete(`/api/users/cook-log/${created.body.entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+      });
+    });
+  });
+
+  describe('Pending Recipes', () => {
+    describe('GET /api/admin/pending-recipes - Multi-recipe PDFs', () => {
+      test('should list recipes split from one PDF with their pages and file summary', async () => {
+        const admin = await UserModel.findByUsername('testadmin');
+        const fileId = await FileModel.create({
+          filename: 'binder.pdf',
+          originalName: 'Recipe Binder.pdf',
+          filePath: '/tmp/binder.pdf',
+          fileSize: 2048,
+          mimeType: 'application/pdf',
+          uploadedBy: admin.id
+        });
+        await PendingRecipeModel.create({ fileId, title: 'Lemon Bars', rawText: 'Lemon Bars', parsedData: {}, pageStart: 3, pageEnd: 4 });
+        await PendingRecipeModel.create({ fileId, title: 'Pie Crust', rawText: 'Pie Crust', parsedData: {}, pageStart: 1, pageEnd: 1 });
+        await FileModel.markAsProcessed(fileId, 2);
+
+        const response = await request(app)
+          .get('/api/admin/pending-recipes')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        const fromFile = response.body.data.filter(recipe => recipe.file_id === fileId);
+        expect(fromFile.map(recipe => recipe.title)).toEqual(['Pie Crust', 'Lemon Bars']);
+        expect(fromFile[1]).toMatchObject({ page_start: 3, page_end: 4, recipes_detected: 2, original_name: 'Recipe Binder.pdf' });
+      });
+    });
+  });
+
+  describe('Photo Import', () => {
+    describe('POST /api/admin/import-image - Import from Photo', () => {
+      test('should require at least one photo', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-image')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(400);
+
+        expect(response.body.error).toBe('No photos uploaded');
+      });
+
+      test('should reject files that are not photos', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-image')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('photos', Buffer.from('%PDF-1.4'), { filename: 'card.pdf', contentType: 'application/pdf' })
+          .expect(400);
+
+        expect(response.body.error).toBe('Only image files (JPEG, PNG, GIF, WebP, HEIC) are allowed');
+      });
+
+      test('should reject an unreadable HEIC photo', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-image')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('photos', Buffer.from('not really heic'), { filename: 'IMG_0001.HEIC', contentType: 'image/heic' })
+          .expect(400);
+
+        expect(response.body.error).toMatch(/^Could not read HEIC photo/);
+      });
+
+      test('should not allow viewers to import photos', async () => {
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .post('/api/admin/import-image')
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .attach('photos', Buffer.from('fake image data'), { filename: 'card.jpg', contentType: 'image/jpeg' })
+          .expect(403);
+      });
+    });
+  });
+
+  describe('Import Jobs', () => {
+    beforeEach(async () => {
+      await db.getPool().execute('DELETE FROM jobs');
+    });
+
+    describe('POST /api/admin/upload-pdf - Queue PDF Import', () => {
+      test('should queue the upload and fail the job for an unreadable PDF', async () => {
+        const response = await request(app)
+          .post('/api/admin/upload-pdf')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('pdf', Buffer.from('not really a pdf'), { filename: 'cards.pdf', contentType: 'application/pdf' })
+          .expect(202);
+
+        expect(response.body.data.jobId).toBeDefined();
+        expect(response.body.data.job).toMatchObject({ type: 'pdf_import', status: 'queued', attempts: 0 });
+        expect(response.body.data.job.payload.fileName).toBe('cards.pdf');
+
+        const job = await JobWorker.runNext();
+
+        // A corrupt file fails the same way every time, so it isn't retried automatically
+        expect(job.id).toBe(response.body.data.jobId);
+        expect(job.status).toBe('failed');
+        expect(job.attempts).toBe(1);
+        expect(job.error).toMatch(/^Failed to read PDF file/);
+
+        const file = await FileModel.findById(response.body.data.fileId);
+        expect(file.processed).toBeFalsy();
+      });
+
+      test('should still require a PDF file', async () => {
+        const response = await request(app)
+          .post('/api/admin/upload-pdf')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(400);
+
+        expect(response.body.error).toBe('No PDF file uploaded');
+      });
+    });
+
+    describe('/api/admin/jobs - Job Status and Retry', () => {
+      const queueBlockedUrl = async () => {
+        const response = await request(app)
+          .post('/api/admin/import-url')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ url: 'http://localhost/recipes/pie' })
+          .expect(202);
+
+        return response.body.data.jobId;
+      };
+
+      test('should report a queued job and then its failure', async () => {
+        const jobId = await queueBlockedUrl();
+
+        const queued = await request(app)
+          .get(`/api/admin/jobs/${jobId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(queued.body.data).toMatchObject({
+          id: jobId,
+          type: 'url_import',
+          status: 'queued',
+          payload: { url: 'http://localhost/recipes/pie' },
+          createdByUsername: 'testadmin'
+        });
+
+        await JobWorker.runNext();
+
+        const failed = await request(app)
+          .get(`/api/admin/jobs/${jobId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(failed.body.data.status).toBe('failed');
+        expect(failed.body.data.error).toMatch(/not allowed/);
+        expect(failed.body.data.finishedAt).toBeTruthy();
+      });
+
+      test('should list jobs and filter by status', async () => {
+        const failedId = await queueBlockedUrl();
+        await JobWorker.runNext();
+        const queuedId = await queueBlockedUrl();
+
+        const all = await request(app)
+          .get('/api/admin/jobs')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(all.body.data.map(job => job.id)).toEqual([queuedId, failedId]);
+
+        const failed = await request(app)
+          .get('/api/admin/jobs?status=failed')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(failed.body.data.map(job => job.id)).toEqual([failedId]);
+      });
+
+      test('should reject an unknown status filter', async () => {
+        const response = await request(app)
+          .get('/api/admin/jobs?status=stuck')
+          .set('Cookie', buildCookieString())
+          .expect(400);
+
+        expect(response.body.error).toMatch(/^status must be one of/);
+      });
+
+      test('should queue a failed job again with fresh attempts', async () => {
+        const jobId = await queueBlockedUrl();
+        await JobWorker.runNext();
+
+        const response = await request(app)
+          .post(`/api/admin/jobs/${jobId}/retry`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(response.body.data).toMatchObject({ id: jobId, status: 'queued', attempts: 0, error: null });
+
+        const rerun = await JobWorker.runNext();
+        expect(rerun.id).toBe(jobId);
+        expect(rerun.attempts).toBe(1);
+      });
+
+      test('should not retry a job that is still queued', async () => {
+        const jobId = await queueBlockedUrl();
+
+        const response = await request(app)
+          .post(`/api/admin/jobs/${jobId}/retry`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(409);
+
+        expect(response.body.error).toBe('This job is already queued or running');
+      });
+
+      test('should return 404 for a missing job', async () => {
+        await request(app)
+          .get('/api/admin/jobs/999999')
+          .set('Cookie', buildCookieString())
+          .expect(404);
+      });
+
+      test('should return null when the queue is empty', async () => {
+        expect(await JobWorker.runNext()).toBeNull();
+      });
+
+      test('should not show jobs to viewers', async () => {
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .get('/api/admin/jobs')
+          .set('Cookie', viewerCookies)
+          .expect(403);
+      });
+    });
+  });
+
+  describe('Bulk Import', () => {
+    beforeEach(async () => {
+      await db.getPool().execute('DELETE FROM jobs');
+      await db.getPool().execute('DELETE FROM import_batches');
+    });
+
+    describe('POST /api/admin/import-batches/urls - Queue a List of URLs', () => {
+      test('should queue one job per URL and list the lines it skipped', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/urls')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ urls: 'http://localhost/recipes/pie\nnot a url\nhttp://localhost/recipes/stew\nhttp://localhost/recipes/pie' })
+          .expect(202);
+
+        expect(response.body.data).toMatchObject({
+          name: '2 URLs',
+          source: 'urls',
+          totalJobs: 2,
+          queuedJobs: 2,
+          finished: false,
+          skipped: [{ name: 'not a url', reason: 'Not a valid http(s) URL' }]
+        });
+        expect(response.body.data.jobs.map(job => job.payload.url)).toEqual([
+          'http://localhost/recipes/pie',
+          'http://localhost/recipes/stew'
+        ]);
+      });
+
+      test('should reject a list without any valid URLs', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/urls')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ urls: 'grandma\nftp://example.com/pie' })
+          .expect(400);
+
+        expect(response.body.error).toBe('No valid URLs found');
+        expect(response.body.errors).toEqual(['grandma', 'ftp://example.com/pie']);
+      });
+    });
+
+    describe('POST /api/admin/import-batches/files - Queue Uploaded Files', () => {
+      test('should queue PDFs and photos and skip everything else', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/files')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'Recipe box')
+          .attach('files', Buffer.from('not really a pdf'), { filename: 'pie.pdf', contentType: 'application/pdf' })
+          .attach('files', Buffer.from('not really a photo'), { filename: 'card.jpg', contentType: 'image/jpeg' })
+          .attach('files', Buffer.from('buy eggs'), { filename: 'notes.txt', contentType: 'text/plain' })
+          .attach('files', Buffer.from('not really a zip'), { filename: 'more.zip', contentType: 'application/zip' })
+          .expect(202);
+
+        expect(response.body.data).toMatchObject({ name: 'Recipe box', source: 'zip', totalJobs: 2 });
+        expect(response.body.data.jobs.map(job => [job.type, job.payload.fileName])).toEqual([
+          ['pdf_import', 'pie.pdf'],
+          ['image_import', 'card.jpg']
+        ]);
+        expect(response.body.data.skipped).toEqual([
+          { name: 'notes.txt', reason: 'Not a PDF, photo or ZIP file' },
+          { name: 'more.zip', reason: expect.stringMatching(/^Could not open ZIP archive/) }
+        ]);
+      });
+
+      test('should reject an upload with nothing to import', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/files')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('files', Buffer.from('buy eggs'), { filename: 'notes.txt', contentType: 'text/plain' })
+          .expect(400);
+
+        expect(response.body.error).toBe('No PDFs or photos found to import');
+        expect(response.body.errors).toEqual(['notes.txt: Not a PDF, photo or ZIP file']);
+      });
+
+      test('should require at least one file', async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/files')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(400);
+
+        expect(response.body.error).toBe('No files uploaded');
+      });
+    });
+
+    describe('/api/admin/import-batches - Batch Results and Retry', () => {
+      const queueBlockedUrls = async () => {
+        const response = await request(app)
+          .post('/api/admin/import-batches/urls')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ urls: ['http://localhost/recipes/pie', 'http://localhost/recipes/stew'], name: 'Blog favourites' })
+          .expect(202);
+
+        return response.body.data.id;
+      };
+
+      test('should report each item once the batch has run', async () => {
+        const batchId = await queueBlockedUrls();
+        await JobWorker.runNext();
+        await JobWorker.runNext();
+
+        const response = await request(app)
+          .get(`/api/admin/import-batches/${batchId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.data).toMatchObject({
+          id: batchId,
+          name: 'Blog favourites',
+          totalJobs: 2,
+          failedJobs: 2,
+          finished: true,
+          createdByUsername: 'testadmin'
+        });
+        response.body.data.jobs.forEach(job => {
+          expect(job.status).toBe('failed');
+          expect(job.error).toMatch(/not allowed/);
+        });
+
+        const list = await request(app)
+          .get('/api/admin/import-batches')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(list.body.data.map(batch => batch.id)).toEqual([batchId]);
+      });
+
+      test('should retry every failed item', async () => {
+        const batchId = await queueBlockedUrls();
+        await JobWorker.runNext();
+        await JobWorker.runNext();
+
+        const response = await request(app)
+          .post(`/api/admin/import-batches/${batchId}/retry`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(response.body.message).toBe('2 item(s) queued to run again');
+        expect(response.body.data).toMatchObject({ queuedJobs: 2, failedJobs: 0, finished: false });
+      });
+
+      test('should not retry a batch with nothing failed', async () => {
+        const batchId = await queueBlockedUrls();
+
+        const response = await request(app)
+          .post(`/api/admin/import-batches/${batchId}/retry`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(409);
+
+        expect(response.body.error).toBe('There are no failed items to retry in this batch');
+      });
+
+      test('should return 404 for a missing batch', async () => {
+        const response = await request(app)
+          .get('/api/admin/import-batches/999999')
+          .set('Cookie', buildCookieString())
+          .expect(404);
+
+        expect(response.body.error).toBe('Import batch not found');
+      });
+
+      test('should not show bulk imports to viewers', async () => {
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .get('/api/admin/import-batches')
+          .set('Cookie', viewerCookies)
+          .expect(403);
+      });
+    });
+  });
+
+  describe('Duplicate Detection', () => {
+    const lasagna = {
+      title: "Mom's Lasagna",
+      source: 'https://www.example.com/recipes/lasagna/?utm_source=pinterest',
+      ingredients: [
+        { name: 'lasagna noodles', quantity: '12' },
+        { name: 'ricotta cheese', quantity: '2', unit: 'cups' },
+        { name: 'ground beef', quantity: '1', unit: 'lb' },
+        { name: 'mozzarella', quantity: '2', unit: 'cups' }
+      ],
+      tags: ['pasta']
+    };
+
+    const createPendingRecipe = async (fields, contentHash = null) => {
+      const admin = await UserModel.findByUsername('testadmin');
+      const fileId = await FileModel.create({
+        filename: 'card.pdf',
+        originalName: 'Lasagna Card.pdf',
+        filePath: '/tmp/card.pdf',
+        fileSize: 1024,
+        mimeType: 'application/pdf',
+        uploadedBy: admin.id,
+        contentHash
+      });
+      return PendingRecipeModel.create({ fileId, rawText: fields.title, parsedData: {}, ...fields });
+    };
+
+    describe('POST /api/recipes/duplicates - Check Before Saving', () => {
+      test('should find an existing recipe under a reworded title', async () => {
+        const existing = await createTestRecipe({ ...lasagna, title: 'Lasagna (Mom)', source: 'Mom' });
+
+        const response = await request(app)
+          .post('/api/recipes/duplicates')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: lasagna.title, ingredients: lasagna.ingredients })
+          .expect(200);
+
+        expect(response.body.count).toBe(1);
+        expect(response.body.duplicates[0].recipe.id).toBe(existing.id);
+        expect(response.body.duplicates[0].reasons).toEqual(['Same title', '100% of ingredients in common']);
+      });
+
+      test('should match the same source URL however it was linked', async () => {
+        const existing = await createTestRecipe(lasagna);
+        expect(existing.sourceUrl).toBe('https://example.com/recipes/lasagna');
+
+        const response = await request(app)
+          .post('/api/recipes/duplicates')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Lasagna Bolognese', source: 'http://example.com/recipes/lasagna#reviews' })
+          .expect(200);
+
+        expect(response.body.duplicates[0]).toMatchObject({ score: 1, reasons: ['Same source URL'] });
+      });
+
+      test('should leave out the recipe being edited and require a title', async () => {
+        const existing = await createTestRecipe(lasagna);
+
+        const response = await request(app)
+          .post('/api/recipes/duplicates')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ ...lasagna, excludeId: existing.id })
+          .expect(200);
+        expect(response.body.count).toBe(0);
+
+        await request(app)
+          .post('/api/recipes/duplicates')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ ingredients: lasagna.ingredients })
+          .expect(400);
+      });
+    });
+
+    describe('/api/admin/pending-recipes/:id - Flag and Merge', () => {
+      test('should flag a pending recipe that duplicates an existing one', async () => {
+        const existing = await createTestRecipe(lasagna);
+        const pendingId = await createPendingRecipe({ title: 'Lasagna', ingredients: lasagna.ingredients });
+
+        const response = await request(app)
+          .get(`/api/admin/pending-recipes/${pendingId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.data.duplicates).toHaveLength(1);
+        expect(response.body.data.duplicates[0].recipe.id).toBe(existing.id);
+        expect(response.body.data.duplicates[0].reasons).toContain('100% of ingredients in common');
+      });
+
+      test('should merge a pending recipe into an existing recipe without overwriting it', async () => {
+        const existing = await createTestRecipe({ title: "Mom's Lasagna", source: 'Mom', instructions: null, ingredients: [], tags: ['pasta'] });
+        const pendingId = await createPendingRecipe({
+          title: 'Lasagna',
+          source: 'Grandma',
+          instructions: '1. Layer noodles and sauce\n2. Bake at 375°F for 45 minutes',
+          servings: 8,
+          ingredients: lasagna.ingredients,
+          tags: ['Pasta', 'dinner']
+        });
+
+        const response = await request(app)
+          .post(`/api/admin/pending-recipes/${pendingId}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeId: existing.id })
+          .expect(200);
+
+        expect(response.body.data).toMatchObject({
+          recipeId: existing.id,
+          filled: ['sourceFileId', 'instructions', 'servings', 'ingredients', 'steps'],
+          tagsAdded: ['dinner'],
+          imageAdded: false
+        });
+
+        const recipe = await request(app).get(`/api/recipes/${existing.id}`).expect(200);
+        expect(recipe.body.recipe.source).toBe('Mom');
+        expect(recipe.body.recipe.servings).toBe(8);
+        expect(recipe.body.recipe.ingredients).toHaveLength(4);
+        expect(recipe.body.recipe.steps).toHaveLength(2);
+        expect(await PendingRecipeModel.findById(pendingId)).toBeNull();
+      });
+
+      test('should keep the pending recipe when the recipe to merge into is missing', async () => {
+        const pendingId = await createPendingRecipe({ title: 'Lasagna' });
+
+        const response = await request(app)
+          .post(`/api/admin/pending-recipes/${pendingId}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeId: 999999 })
+          .expect(404);
+
+        expect(response.body.error).toBe('Recipe not found');
+        expect(await PendingRecipeModel.findById(pendingId)).not.toBeNull();
+      });
+    });
+
+    describe('POST /api/admin/upload-pdf - Repeat Uploads', () => {
+      test('should point out what the same PDF produced before', async () => {
+        await db.getPool().execute('DELETE FROM jobs');
+        const contents = Buffer.from('%PDF-1.4 the same recipe card');
+        const contentHash = crypto.createHash('sha256').update(contents).digest('hex');
+        const pendingId = await createPendingRecipe({ title: 'Lemon Bars' }, contentHash);
+
+        const response = await request(app)
+          .post('/api/admin/upload-pdf')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('pdf', contents, { filename: 'lemon-bars.pdf', contentType: 'application/pdf' })
+          .expect(202);
+
+        expect(response.body.data.alreadyImported).toEqual([{ type: 'pending', id: pendingId, title: 'Lemon Bars' }]);
+        const file = await FileModel.findById(response.body.data.fileId);
+        expect(file.content_hash).toBe(contentHash);
+      });
+    });
+
+    describe('/api/admin/submissions/:id - Flag and Merge', () => {
+      test('should flag a submitted recipe and merge it into the existing one', async () => {
+        const existing = await createTestRecipe({ ...lasagna, source: 'Mom', tags: [] });
+        const viewerCookies = await loginAsViewer();
+
+        const submitted = await request(app)
+          .post('/api/users/submissions')
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Lasagna', ingredients: lasagna.ingredients, tags: ['family'], servings: 10 })
+          .expect(201);
+        const submissionId = submitted.body.submission.id;
+
+        const review = await request(app)
+          .get(`/api/admin/submissions/${submissionId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(review.body.submission.duplicates[0].recipe.id).toBe(existing.id);
+
+        const response = await request(app)
+          .post(`/api/admin/submissions/${submissionId}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeId: existing.id })
+          .expect(200);
+
+        expect(response.body).toMatchObject({ recipeId: existing.id, filled: ['servings'], tagsAdded: ['family'] });
+
+        const merged = await request(app)
+          .get(`/api/admin/submissions/${submissionId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(merged.body.submission).toMatchObject({ status: 'approved', recipeId: existing.id });
+        expect(merged.body.submission.duplicates).toBeUndefined();
+
+        await request(app)
+          .post(`/api/admin/submissions/${submissionId}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeId: existing.id })
+          .expect(404);
+      });
+    });
+  });
+
+  describe('Recipe Merging', () => {
+    const mergeUrl = (id) => `/api/admin/recipes/${id}/merge`;
+
+    describe('POST /api/admin/recipes/:id/merge - Merge Two Recipes', () => {
+      test('should keep chosen fields from each recipe and delete the other', async () => {
+        const keep = await createTestRecipe({ title: "Mom's Lasagna", servings: 8, tags: ['pasta'] });
+        const other = await createTestRecipe({
+          title: 'Lasagna (Mom)',
+          source: 'Mom',
+          servings: 6,
+          instructions: 'Layer noodles and sauce\nBake for 45 minutes',
+          ingredients: [{ name: 'lasagna noodles', quantity: '12' }],
+          tags: ['pasta', 'italian']
+        });
+
+        const response = await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: other.id, take: ['ingredients', 'instructions'] })
+          .expect(200);
+
+        const { recipe, merged } = response.body;
+        expect(recipe.id).toBe(keep.id);
+        expect(recipe.title).toBe("Mom's Lasagna");
+        expect(recipe.servings).toBe(8);
+        expect(recipe.source).toBe('Test Cookbook');
+        expect(recipe.ingredients.map(ingredient => ingredient.name)).toEqual(['lasagna noodles']);
+        expect(recipe.steps.map(step => step.text)).toEqual(['Layer noodles and sauce', 'Bake for 45 minutes']);
+        expect(recipe.tags.sort()).toEqual(['italian', 'pasta']);
+        expect(merged).toMatchObject({ fromId: other.id, tagsAdded: ['italian'] });
+
+        const deleted = await db.prepare('SELECT id FROM recipes WHERE id = ?').get(other.id);
+        expect(deleted).toBeUndefined();
+      });
+
+      test('should move saves and cook log entries to the kept recipe', async () => {
+        const keep = await createTestRecipe({ title: "Mom's Lasagna" });
+        const other = await createTestRecipe({ title: 'Lasagna (Mom)' });
+        const viewerCookies = await loginAsViewer();
+
+        for (const recipe of [keep, other]) {
+          await request(app)
+            .post(`/api/users/saved-recipes/${recipe.id}`)
+            .set('Cookie', viewerCookies)
+            .set('x-csrf-token', csrfToken)
+            .expect(201);
+        }
+        await request(app)
+          .post(`/api/recipes/${other.id}/cook-log`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ cookedOn: '2024-03-10', rating: 4 })
+          .expect(201);
+
+        const response = await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: other.id, take: ['title'] })
+          .expect(200);
+
+        expect(response.body.recipe.title).toBe('Lasagna (Mom)');
+        expect(response.body.recipe.timesCooked).toBe(1);
+        expect(response.body.recipe.ratingAverage).toBe(4);
+        // The viewer had saved both, so only one save remains
+        expect(response.body.merged).toMatchObject({ savedBy: 0, cooks: 1 });
+
+        const saved = await request(app)
+          .get('/api/users/saved-recipes/ids')
+          .set('Cookie', viewerCookies)
+          .expect(200);
+        expect(saved.body.savedIds).toEqual([keep.id]);
+      });
+
+      test('should redirect the merged recipe ID to the kept recipe', async () => {
+        const first = await createTestRecipe({ title: 'Lasagna' });
+        const second = await createTestRecipe({ title: "Mom's Lasagna" });
+        const keep = await createTestRecipe({ title: 'Lasagna (Mom)', servings: 4 });
+
+        for (const from of [first, second]) {
+          const target = from === first ? second : keep;
+          await request(app)
+            .post(mergeUrl(target.id))
+            .set('Cookie', buildCookieString())
+            .set('x-csrf-token', csrfToken)
+            .send({ fromId: from.id })
+            .expect(200);
+        }
+
+        const response = await request(app)
+          .get(`/api/recipes/${second.id}?servings=8`)
+          .expect(301);
+        expect(response.headers.location).toBe(`/api/recipes/${keep.id}?servings=8`);
+
+        // IDs that already redirected to the merged recipe follow it
+        const earlier = await request(app)
+          .get(`/api/recipes/${first.id}`)
+          .expect(301);
+        expect(earlier.headers.location).toBe(`/api/recipes/${keep.id}`);
+      });
+
+      test('should reject unknown fields and merging a recipe into itself', async () => {
+        const keep = await createTestRecipe();
+        const other = await createTestRecipe({ title: 'Other Cookies' });
+
+        const response = await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: other.id, take: ['title', 'imagePath'] })
+          .expect(400);
+        expect(response.body.error).toBe('Validation failed');
+
+        await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: keep.id })
+          .expect(400);
+
+        await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({})
+          .expect(400);
+      });
+
+      test('should return 404 when either recipe is missing', async () => {
+        const keep = await createTestRecipe();
+
+        const response = await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: 99999 })
+          .expect(404);
+        expect(response.body.error).toBe('Recipe not found');
+
+        await request(app)
+          .post(mergeUrl(99999))
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: keep.id })
+          .expect(404);
+      });
+
+      test('should require an admin', async () => {
+        const keep = await createTestRecipe();
+        const other = await createTestRecipe({ title: 'Other Cookies' });
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .post(mergeUrl(keep.id))
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: other.id })
+          .expect(403);
+      });
+    });
+  });
+
+  describe('Recipe Revisions', () => {
+    const revisionsUrl = (id) => `/api/admin/recipes/${id}/revisions`;
+
+    const updateRecipe = (id, changes) => request(app)
+      .put(`/api/recipes/${id}`)
+      .set('Cookie', buildCookieString())
+      .set('x-csrf-token', csrfToken)
+      .send(changes)
+      .expect(200);
+
+    describe('GET /api/admin/recipes/:id/revisions - History', () => {
+      test('should keep the version each edit replaced, newest first', async () => {
+        const recipe = await createTestRecipe({ title: "Grandma's Cookies" });
+        await updateRecipe(recipe.id, { title: 'Cookies' });
+        await updateRecipe(recipe.id, { servings: 24 });
+
+        const response = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.title).toBe('Cookies');
+        expect(response.body.revisions).toHaveLength(2);
+        expect(response.body.revisions.map(revision => revision.title)).toEqual(['Cookies', "Grandma's Cookies"]);
+        expect(response.body.revisions[0]).toMatchObject({
+          action: 'update',
+          editedBy: { username: 'testadmin' }
+        });
+      });
+
+      test('should not record a save that changed nothing', async () => {
+        const recipe = await createTestRecipe();
+        await updateRecipe(recipe.id, { title: recipe.title });
+
+        const response = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.revisions).toEqual([]);
+      });
+
+      test('should snapshot ingredients and tags in full', async () => {
+        const recipe = await createTestRecipe();
+        await updateRecipe(recipe.id, { ingredients: [{ name: 'oats', quantity: '1', unit: 'cup' }], tags: ['breakfast'] });
+
+        const list = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        const response = await request(app)
+          .get(`${revisionsUrl(recipe.id)}/${list.body.revisions[0].id}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        const { snapshot } = response.body.revision;
+        expect(snapshot.ingredients.map(ingredient => ingredient.name)).toEqual(['flour', 'sugar', 'chocolate chips']);
+        expect(snapshot.tags).toEqual(['baking', 'cookies', 'dessert']);
+      });
+
+      test('should require an admin', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', viewerCookies)
+          .expect(403);
+      });
+    });
+
+    describe('GET /api/admin/recipes/:id/revisions/diff - Compare', () => {
+      test('should diff a revision against the current recipe', async () => {
+        const recipe = await createTestRecipe();
+        await updateRecipe(recipe.id, {
+          title: 'Oatmeal Cookies',
+          ingredients: [
+            { name: 'flour', quantity: '2', unit: 'cups' },
+            { name: 'oats', quantity: '1', unit: 'cup' }
+          ]
+        });
+        const list = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString());
+
+        const response = await request(app)
+          .get(`${revisionsUrl(recipe.id)}/diff`)
+          .query({ from: list.body.revisions[0].id })
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.to).toBeNull();
+        expect(response.body.changes.map(change => change.field)).toEqual(['title', 'ingredients']);
+        expect(response.body.changes[0]).toMatchObject({ before: 'Test Chocolate Chip Cookies', after: 'Oatmeal Cookies' });
+        expect(response.body.changes[1].lines).toEqual([
+          { type: 'same', text: '2 cups flour' },
+          { type: 'removed', text: '1 cup sugar' },
+          { type: 'removed', text: '2 cups chocolate chips' },
+          { type: 'added', text: '1 cup oats' }
+        ]);
+      });
+
+      test('should diff two revisions', async () => {
+        const recipe = await createTestRecipe();
+        await updateRecipe(recipe.id, { title: 'Second' });
+        await updateRecipe(recipe.id, { title: 'Third' });
+        const list = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString());
+        const [second, first] = list.body.revisions;
+
+        const response = await request(app)
+          .get(`${revisionsUrl(recipe.id)}/diff`)
+          .query({ from: first.id, to: second.id })
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.to.id).toBe(second.id);
+        expect(response.body.changes).toEqual([
+          { field: 'title', label: 'Title', before: 'Test Chocolate Chip Cookies', after: 'Second' }
+        ]);
+      });
+
+      test('should not compare revisions of another recipe', async () => {
+        const recipe = await createTestRecipe();
+        const other = await createTestRecipe({ title: 'Other' });
+        await updateRecipe(other.id, { title: 'Other Again' });
+        const list = await request(app)
+          .get(revisionsUrl(other.id))
+          .set('Cookie', buildCookieString());
+
+        await request(app)
+          .get(`${revisionsUrl(recipe.id)}/diff`)
+          .query({ from: list.body.revisions[0].id })
+          .set('Cookie', buildCookieString())
+          .expect(404);
+
+        await request(app)
+          .get(`${revisionsUrl(recipe.id)}/diff`)
+          .set('Cookie', buildCookieString())
+          .expect(400);
+      });
+    });
+
+    describe('POST /api/admin/recipes/:id/revisions/:revisionId/restore - Restore', () => {
+      test('should put back the old version and keep the replaced one', async () => {
+        const recipe = await createTestRecipe({ title: "Grandma's Cookies" });
+        await updateRecipe(recipe.id, { title: 'Cookies', ingredients: [{ name: 'oats' }], tags: ['breakfast'] });
+        const list = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString());
+
+        const response = await request(app)
+          .post(`${revisionsUrl(recipe.id)}/${list.body.revisions[0].id}/restore`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(response.body.recipe.title).toBe("Grandma's Cookies");
+        expect(response.body.recipe.ingredients.map(ingredient => ingredient.name)).toEqual(['flour', 'sugar', 'chocolate chips']);
+        expect(response.body.recipe.tags.sort()).toEqual(['baking', 'cookies', 'dessert']);
+
+        const history = await request(app)
+          .get(revisionsUrl(recipe.id))
+          .set('Cookie', buildCookieString());
+        expect(history.body.revisions[0]).toMatchObject({ action: 'restore', title: 'Cookies' });
+      });
+
+      test('should return 404 for an unknown revision', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .post(`${revisionsUrl(recipe.id)}/99999/restore`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+        expect(response.body.error).toBe('Revision not found');
+      });
+    });
+  });
+
+  describe('Trash', () => {
+    const trashRecipe = (id) => request(app)
+      .delete(`/api/recipes/${id}`)
+      .set('Cookie', buildCookieString())
+      .set('x-csrf-token', csrfToken)
+      .expect(200);
+
+    describe('DELETE /api/recipes/:id - Soft Delete', () => {
+      test('should hide a trashed recipe from listings, search and tags', async () => {
+        const recipe = await createTestRecipe({ title: 'Trashed Trifle', tags: ['trifles'] });
+        await createTestRecipe({ title: 'Kept Cookies' });
+        await trashRecipe(recipe.id);
+
+        const list = await request(app).get('/api/recipes').expect(200);
+        expect(list.body.recipes.map(r => r.title)).toEqual(['Kept Cookies']);
+
+        const search = await request(app).get('/api/recipes/search?title=Trifle').expect(200);
+        expect(search.body.recipes).toEqual([]);
+
+        const tags = await request(app).get('/api/tags').expect(200);
+        expect(tags.body.tags).not.toContain('trifles');
+
+        const adminList = await request(app)
+          .get('/api/admin/recipes')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(adminList.body.recipes.map(r => r.title)).toEqual(['Kept Cookies']);
+      });
+
+      test('should return 404 when the recipe is already in the trash', async () => {
+        const recipe = await createTestRecipe();
+        await trashRecipe(recipe.id);
+
+        await request(app)
+          .delete(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+      });
+    });
+
+    describe('GET /api/admin/trash - Trashed Recipes', () => {
+      test('should list trashed recipes with who deleted them and when they will be purged', async () => {
+        const recipe = await createTestRecipe({ title: 'Trashed Trifle' });
+        await createTestRecipe({ title: 'Kept Cookies' });
+        await trashRecipe(recipe.id);
+
+        const response = await request(app)
+          .get('/api/admin/trash')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(response.body.retentionDays).toBe(30);
+        expect(response.body.pagination.total).toBe(1);
+        expect(response.body.recipes).toHaveLength(1);
+        const [trashed] = response.body.recipes;
+        expect(trashed).toMatchObject({ id: recipe.id, title: 'Trashed Trifle', deletedBy: { username: 'testadmin' } });
+        expect(trashed.purgeAt - trashed.deletedAt).toBe(30 * 24 * 60 * 60);
+      });
+
+      test('should require an admin', async () => {
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .get('/api/admin/trash')
+          .set('Cookie', viewerCookies)
+          .expect(403);
+      });
+    });
+
+    describe('POST /api/admin/trash/:id/restore - Restore', () => {
+      test('should put a trashed recipe back with its ingredients and tags', async () => {
+        const recipe = await createTestRecipe();
+        await trashRecipe(recipe.id);
+
+        const response = await request(app)
+          .post(`/api/admin/trash/${recipe.id}/restore`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(response.body.message).toBe('Recipe restored from trash');
+        expect(response.body.recipe.ingredients).toHaveLength(3);
+        expect(response.body.recipe.tags.sort()).toEqual(['baking', 'cookies', 'dessert']);
+
+        await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+      });
+
+      test('should return 404 for a recipe that is not in the trash', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .post(`/api/admin/trash/${recipe.id}/restore`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+        expect(response.body.error).toBe('Recipe not found in trash');
+      });
+    });
+
+    describe('DELETE /api/admin/trash/:id - Delete Forever', () => {
+      test('should permanently delete a trashed recipe', async () => {
+        const recipe = await createTestRecipe();
+        await trashRecipe(recipe.id);
+
+        const response = await request(app)
+          .delete(`/api/admin/trash/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+        expect(response.body.message).toBe('Recipe permanently deleted');
+
+        const row = await db.prepare('SELECT id FROM recipes WHERE id = ?').get(recipe.id);
+        expect(row).toBeNull();
+      });
+
+      test('should not permanently delete a recipe outside the trash', async () => {
+        const recipe = await createTestRecipe();
+
+        await request(app)
+          .delete(`/api/admin/trash/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+
+        await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+      });
+    });
+
+    describe('Scheduled purge', () => {
+      test('should remove recipes trashed longer than the retention period', async () => {
+        const expired = await createTestRecipe({ title: 'Old Trash' });
+        const recent = await createTestRecipe({ title: 'New Trash' });
+        await trashRecipe(expired.id);
+        await trashRecipe(recent.id);
+        const thirtyOneDaysAgo = Math.floor(Date.now() / 1000) - 31 * 24 * 60 * 60;
+        await db.prepare('UPDATE recipes SET deleted_at = ? WHERE id = ?').run(thirtyOneDaysAgo, expired.id);
+
+        const purged = await TrashPurger.purgeNow();
+
+        expect(purged).toBe(1);
+        const remaining = await db.prepare('SELECT id FROM recipes WHERE id IN (?, ?)').all(expired.id, recent.id);
+        expect(remaining.map(row => row.id)).toEqual([recent.id]);
+      });
+
+      test('should use TRASH_RETENTION_DAYS when set', () => {
+        process.env.TRASH_RETENTION_DAYS = '7';
+        expect(TrashPurger.getRetentionDays()).toBe(7);
+        process.env.TRASH_RETENTION_DAYS = 'soon';
+        expect(TrashPurger.getRetentionDays()).toBe(30);
+        delete process.env.TRASH_RETENTION_DAYS;
+      });
+    });
+  });
+
+  describe('Family Provenance', () => {
+    const createPerson = async (fields) => {
+      const req = request(app)
+        .post('/api/people')
+        .set('Cookie', buildCookieString())
+        .set('x-csrf-token', csrfToken);
+      for (const [key, value] of Object.entries(fields)) {
+        req.field(key, String(value));
+      }
+      const response = await req.expect(201);
+      return response.body.person;
+    };
+
+    describe('POST /api/people - Add Person', () => {
+      test('should add a family member with their lifespan', async () => {
+        const person = await createPerson({ name: 'Ruth', relation: 'Aunt', birthYear: 1921, deathYear: 2004 });
+
+        expect(person).toMatchObject({ name: 'Ruth', relation: 'Aunt', birthYear: 1921, deathYear: 2004, photoUrl: null });
+      });
+
+      test('should reject a death year before the birth year', async () => {
+        const response = await request(app)
+          .post('/api/people')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'Ruth')
+          .field('birthYear', '1950')
+          .field('deathYear', '1920')
+          .expect(400);
+
+        expect(response.body.errors).toContain('deathYear cannot be before birthYear');
+      });
+
+      test('should require an admin', async () => {
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .post('/api/people')
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'Ruth')
+          .expect(403);
+      });
+    });
+
+    describe('Recipe attributions', () => {
+      test('should link a recipe to the people it came from, with its story', async () => {
+        const ruth = await createPerson({ name: 'Ruth', relation: 'Aunt' });
+        const edna = await createPerson({ name: 'Edna', relation: 'Great-grandmother' });
+
+        const recipe = await createTestRecipe({
+          story: 'Ruth brought these to every Fourth of July picnic.',
+          people: [
+            { personId: ruth.id, role: 'contributed' },
+            { personId: edna.id, role: 'handed_down' }
+          ]
+        });
+
+        const response = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(response.body.recipe.story).toBe('Ruth brought these to every Fourth of July picnic.');
+        expect(response.body.recipe.people.map(p => [p.name, p.role])).toEqual([
+          ['Ruth', 'contributed'],
+          ['Edna', 'handed_down']
+        ]);
+      });
+
+      test('should reject people who do not exist', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Mystery Pie', people: [{ personId: 999999, role: 'contributed' }] })
+          .expect(400);
+
+        expect(response.body.errors).toContain('Person 999999 not found');
+      });
+
+      test('should keep attributions when an update leaves them out', async () => {
+        const ruth = await createPerson({ name: 'Ruth' });
+        const recipe = await createTestRecipe({ story: 'A picnic classic', people: [{ personId: ruth.id }] });
+
+        await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Renamed Cookies' })
+          .expect(200);
+
+        const response = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(response.body.recipe.people.map(p => p.name)).toEqual(['Ruth']);
+        expect(response.body.recipe.story).toBe('A picnic classic');
+      });
+    });
+
+    describe('GET /api/people - Family Pages', () => {
+      test('should list people with counts of their recipes outside the trash', async () => {
+        const ruth = await createPerson({ name: 'Ruth', birthYear: 1921 });
+        await createPerson({ name: 'Edna', birthYear: 1899 });
+        await createTestRecipe({ title: 'Picnic Cookies', people: [{ personId: ruth.id }] });
+        const trashed = await createTestRecipe({ title: 'Old Trifle', people: [{ personId: ruth.id }] });
+        await request(app)
+          .delete(`/api/recipes/${trashed.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const response = await request(app).get('/api/people').expect(200);
+
+        expect(response.body.people.map(p => [p.name, p.recipeCount])).toEqual([['Edna', 0], ['Ruth', 1]]);
+      });
+
+      test('should show a person with the recipes that came from them', async () => {
+        const ruth = await createPerson({ name: 'Ruth', relation: 'Aunt' });
+        const recipe = await createTestRecipe({ title: 'Picnic Cookies', people: [{ personId: ruth.id, role: 'handed_down' }] });
+
+        const response = await request(app).get(`/api/people/${ruth.id}`).expect(200);
+
+        expect(response.body.person.name).toBe('Ruth');
+        expect(response.body.recipes).toHaveLength(1);
+        expect(response.body.recipes[0]).toMatchObject({ id: recipe.id, title: 'Picnic Cookies', role: 'handed_down' });
+      });
+
+      test('should return 404 for someone who does not exist', async () => {
+        const response = await request(app).get('/api/people/999999').expect(404);
+        expect(response.body.error).toBe('Person not found');
+      });
+    });
+
+    describe('DELETE /api/people/:id - Delete Person', () => {
+      test('should keep their recipes without the attribution', async () => {
+        const ruth = await createPerson({ name: 'Ruth' });
+        const recipe = await createTestRecipe({ people: [{ personId: ruth.id }] });
+
+        await request(app)
+          .delete(`/api/people/${ruth.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const response = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(response.body.recipe.people).toEqual([]);
+      });
+    });
+
+    describe('Imported attributions', () => {
+      const createPendingRecipe = async (fields) => {
+        const admin = await UserModel.findByUsername('testadmin');
+        const fileId = await FileModel.create({
+          filename: 'card.pdf',
+          originalName: 'Ruth Card.pdf',
+          filePath: '/tmp/card.pdf',
+          fileSize: 1024,
+          mimeType: 'application/pdf',
+          uploadedBy: admin.id
+        });
+        return PendingRecipeModel.create({ fileId, rawText: fields.title, parsedData: {}, ...fields });
+      };
+
+      test('should match attributions to family members on approval, adding anyone new', async () => {
+        const ruth = await createPerson({ name: 'Ruth', relation: 'Aunt' });
+        const pendingId = await createPendingRecipe({
+          title: 'Lemon Bars',
+          story: 'From the church cookbook Ruth kept by the stove.',
+          attributions: [
+            { name: 'ruth', relation: 'Aunt', role: 'contributed' },
+            { name: 'Edna', relation: 'Grandma', role: 'handed_down' }
+          ]
+        });
+
+        const pending = await request(app)
+          .get(`/api/admin/pending-recipes/${pendingId}`)
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(pending.body.data.attributions).toHaveLength(2);
+
+        const response = await request(app)
+          .post(`/api/admin/pending-recipes/${pendingId}/approve`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const recipe = await request(app).get(`/api/recipes/${response.body.data.recipeId}`).expect(200);
+        expect(recipe.body.recipe.story).toBe('From the church cookbook Ruth kept by the stove.');
+        expect(recipe.body.recipe.people.map(p => [p.id === ruth.id, p.name, p.relation, p.role])).toEqual([
+          [true, 'Ruth', 'Aunt', 'contributed'],
+          [false, 'Edna', 'Grandma', 'handed_down']
+        ]);
+      });
+
+      test('should save attributions edited on the review page', async () => {
+        const pendingId = await createPendingRecipe({ title: 'Lemon Bars', attributions: [{ name: 'Ruth', role: 'contributed' }] });
+
+        const response = await request(app)
+          .put(`/api/admin/pending-recipes/${pendingId}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Lemon Bars', story: 'Summer favorite', attributions: [{ name: ' Edna ', relation: 'Grandma', role: 'handed_down' }] })
+          .expect(200);
+
+        expect(response.body.data.story).toBe('Summer favorite');
+        expect(response.body.data.attributions).toEqual([{ name: 'Edna', relation: 'Grandma', role: 'handed_down' }]);
+      });
+    });
+  });
+
+  describe('Recipe Originals and Notes', () => {
+    const createUpload = async (fields) => {
+      const admin = await UserModel.findByUsername('testadmin');
+      return FileModel.create({ fileSize: 1024, uploadedBy: admin.id, ...fields });
+    };
+
+    const pdfUpload = () => createUpload({
+      filename: 'cards.pdf',
+      originalName: 'Recipe Cards.pdf',
+      filePath: path.join(UPLOAD_DIRS.pdfs, 'cards.pdf'),
+      mimeType: 'application/pdf'
+    });
+
+    const photoUpload = (name) => createUpload({
+      filename: name,
+      originalName: name,
+      filePath: path.join(UPLOAD_DIRS.images, name),
+      mimeType: 'image/jpeg'
+    });
+
+    const approve = async (pendingId) => {
+      const response = await request(app)
+        .post(`/api/admin/pending-recipes/${pendingId}/approve`)
+        .set('Cookie', buildCookieString())
+        .set('x-csrf-token', csrfToken)
+        .expect(200);
+      const recipe = await request(app).get(`/api/recipes/${response.body.data.recipeId}`).expect(200);
+      return recipe.body.recipe;
+    };
+
+    describe('Approving imports', () => {
+      test('should keep the PDF pages a recipe was read from', async () => {
+        const fileId = await pdfUpload();
+        const pendingId = await PendingRecipeModel.create({
+          fileId, title: 'Lemon Bars', rawText: 'Lemon Bars', parsedData: {}, pageStart: 3, pageEnd: 4
+        });
+
+        const recipe = await approve(pendingId);
+
+        expect(recipe.originals).toHaveLength(1);
+        expect(recipe.originals[0]).toMatchObject({
+          fileId,
+          type: 'pdf',
+          originalName: 'Recipe Cards.pdf',
+          pageStart: 3,
+          pageEnd: 4,
+          url: '/uploads/pdfs/cards.pdf#page=3'
+        });
+        expect(recipe.originals[0].filePath).toBeUndefined();
+      });
+
+      test('should keep every photo of a card, in order', async () => {
+        const front = await photoUpload('front.jpg');
+        const back = await photoUpload('back.jpg');
+        const pendingId = await PendingRecipeModel.create({
+          fileId: front, title: 'Pound Cake', rawText: 'Pound Cake', parsedData: {},
+          pageStart: 1, pageEnd: 2, originalFileIds: [front, back]
+        });
+
+        const recipe = await approve(pendingId);
+
+        expect(recipe.originals.map(original => [original.url, original.type, original.pageStart])).toEqual([
+          ['/uploads/images/front.jpg', 'image', null],
+          ['/uploads/images/back.jpg', 'image', null]
+        ]);
+      });
+
+      test('should add the originals of a pending recipe merged into an existing one', async () => {
+        const existing = await createTestRecipe({ title: 'Lemon Bars' });
+        const fileId = await pdfUpload();
+        const pendingId = await PendingRecipeModel.create({
+          fileId, title: 'Lemon Bars', rawText: 'Lemon Bars', parsedData: {}, pageStart: 7, pageEnd: 7
+        });
+
+        const response = await request(app)
+          .post(`/api/admin/pending-recipes/${pendingId}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeId: existing.id })
+          .expect(200);
+
+        expect(response.body.data.filled).not.toContain('originals');
+        const recipe = await request(app).get(`/api/recipes/${existing.id}`).expect(200);
+        expect(recipe.body.recipe.originals.map(original => original.pageStart)).toEqual([7]);
+      });
+    });
+
+    describe('POST /api/recipes/:id/originals - Attach Original', () => {
+      test('should attach a PDF page range and remove it again', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/originals`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .field('pageStart', '12')
+          .field('pageEnd', '13')
+          .attach('file', Buffer.from('%PDF-1.4'), { filename: 'church-cookbook.pdf', contentType: 'application/pdf' })
+          .expect(201);
+
+        expect(response.body.originals).toHaveLength(1);
+        const [original] = response.body.originals;
+        expect(original).toMatchObject({ type: 'pdf', originalName: 'church-cookbook.pdf', pageStart: 12, pageEnd: 13 });
+        expect(original.url).toMatch(/^\/uploads\/pdfs\/.+\.pdf#page=12$/);
+
+        await request(app)
+          .delete(`/api/recipes/${recipe.id}/originals/${original.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const after = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(after.body.recipe.originals).toEqual([]);
+        expect(await FileModel.findById(original.fileId)).toBeFalsy();
+      });
+
+      test('should reject files that are not PDFs or photos', async () => {
+        const recipe = await createTestRecipe();
+
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/originals`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .attach('file', Buffer.from('buy eggs'), { filename: 'notes.txt', contentType: 'text/plain' })
+          .expect(400);
+      });
+
+      test('should reject a page range that ends before it starts', async () => {
+        const recipe = await createTestRecipe();
+
+        const response = await request(app)
+          .post(`/api/recipes/${recipe.id}/originals`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .field('pageStart', '5')
+          .field('pageEnd', '2')
+          .attach('file', Buffer.from('%PDF-1.4'), { filename: 'cookbook.pdf', contentType: 'application/pdf' })
+          .expect(400);
+
+        expect(response.body.errors).toContain('pageEnd must come after pageStart');
+      });
+
+      test('should require an admin', async () => {
+        const recipe = await createTestRecipe();
+        const viewerCookies = await loginAsViewer();
+
+        await request(app)
+          .post(`/api/recipes/${recipe.id}/originals`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .attach('file', Buffer.from('fake image data'), { filename: 'card.jpg', contentType: 'image/jpeg' })
+          .expect(403);
+      });
+    });
+
+    describe('Merging recipes', () => {
+      test('should move the other recipe\'s originals after this one\'s', async () => {
+        const keep = await createTestRecipe({ title: 'Pound Cake' });
+        const other = await createTestRecipe({ title: 'Pound Cake (Ruth)' });
+        await RecipeOriginalModel.addToRecipe(db, keep.id, [{ fileId: await photoUpload('front.jpg') }]);
+        await RecipeOriginalModel.addToRecipe(db, other.id, [{ fileId: await photoUpload('ruth.jpg') }]);
+
+        await request(app)
+          .post(`/api/admin/recipes/${keep.id}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ fromId: other.id, take: [] })
+          .expect(200);
+
+        const recipe = await request(app).get(`/api/recipes/${keep.id}`).expect(200);
+        expect(recipe.body.recipe.originals.map(original => original.originalName)).toEqual(['front.jpg', 'ruth.jpg']);
+      });
+    });
+
+    describe("Cook's notes", () => {
+      test('should save notes and keep them when an update leaves them out', async () => {
+        const recipe = await createTestRecipe({ notes: '- Use **cold** butter\n- Freezes well' });
+
+        await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Renamed Cookies' })
+          .expect(200);
+
+        const response = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(response.body.recipe.notes).toBe('- Use **cold** butter\n- Freezes well');
+      });
+
+      test('should reject notes that are too long', async () => {
+        const response = await request(app)
+          .post('/api/recipes')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Wordy Pie', notes: 'x'.repeat(10001) })
+          .expect(400);
+
+        expect(response.body.errors).toContain('Notes must be less than 10000 characters');
+      });
+    });
+  });
+
+  describe('Recipe Collections', () => {
+    const collectionsUrl = '/api/users/collections';
+    let viewerCookies;
+
+    beforeEach(async () => {
+      await db.getPool().execute('DELETE FROM collections');
+      viewerCookies = await loginAsViewer('collector');
+    });
+
+    const createCollection = async (fields) => {
+      const req = request(app)
+        .post(collectionsUrl)
+        .set('Cookie', viewerCookies)
+        .set('x-csrf-token', csrfToken);
+      for (const [key, value] of Object.entries(fields)) {
+        req.field(key, String(value));
+      }
+      const response = await req.expect(201);
+      return response.body.collection;
+    };
+
+    const addToCollection = (collectionId, recipeId) => request(app)
+      .post(`${collectionsUrl}/${collectionId}/recipes`)
+      .set('Cookie', viewerCookies)
+      .set('x-csrf-token', csrfToken)
+      .send({ recipeId });
+
+    const getCollection = async (collectionId) => {
+      const response = await request(app)
+        .get(`${collectionsUrl}/${collectionId}`)
+        .set('Cookie', viewerCookies)
+        .expect(200);
+      return response.body;
+    };
+
+    describe('/api/users/collections - Manage Collections', () => {
+      test('should list Favorites first, holding the saved recipes', async () => {
+        const recipe = await createTestRecipe({ title: 'Pot Roast' });
+        await request(app)
+          .post(`/api/users/saved-recipes/${recipe.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(201);
+        await createCollection({ name: 'Holiday Baking', description: 'Cookies for December' });
+
+        const response = await request(app)
+          .get(collectionsUrl)
+          .set('Cookie', viewerCookies)
+          .expect(200);
+
+        const [favorites, holiday] = response.body.collections;
+        expect(favorites).toMatchObject({ name: 'Favorites', isDefault: true, recipeCount: 1 });
+        expect(holiday).toMatchObject({
+          name: 'Holiday Baking',
+          description: 'Cookies for December',
+          isDefault: false,
+          recipeCount: 0,
+          coverUrl: null
+        });
+      });
+
+      test('should reject a duplicate name', async () => {
+        await createCollection({ name: 'Sunday Dinners' });
+
+        const response = await request(app)
+          .post(collectionsUrl)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'sunday dinners')
+          .expect(409);
+        expect(response.body.error).toMatch(/already have a collection/);
+
+        await request(app)
+          .post(collectionsUrl)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'Favorites')
+          .expect(409);
+      });
+
+      test('should require a name', async () => {
+        const response = await request(app)
+          .post(collectionsUrl)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('description', 'No name')
+          .expect(400);
+
+        expect(response.body.errors).toContain('Name is required');
+      });
+
+      test('should rename a collection and keep its other fields', async () => {
+        const collection = await createCollection({ name: 'Soups', description: 'Warm things' });
+
+        const response = await request(app)
+          .put(`${collectionsUrl}/${collection.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .field('name', 'Soups & Stews')
+          .expect(200);
+
+        expect(response.body.collection).toMatchObject({ name: 'Soups & Stews', description: 'Warm things' });
+      });
+
+      test('should delete a collection but not Favorites', async () => {
+        const collection = await createCollection({ name: 'Soups' });
+        const { collections } = (await request(app).get(collectionsUrl).set('Cookie', viewerCookies)).body;
+        const favorites = collections.find(c => c.isDefault);
+
+        await request(app)
+          .delete(`${collectionsUrl}/${favorites.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(400);
+        await request(app)
+          .delete(`${collectionsUrl}/${collection.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        await request(app)
+          .get(`${collectionsUrl}/${collection.id}`)
+          .set('Cookie', viewerCookies)
+          .expect(404);
+      });
+
+      test("should not show another user's collection", async () => {
+        const collection = await createCollection({ name: 'Private' });
+        const otherCookies = await loginAsViewer('othercook');
+
+        await request(app)
+          .get(`${collectionsUrl}/${collection.id}`)
+          .set('Cookie', otherCookies)
+          .expect(404);
+        await request(app)
+          .delete(`${collectionsUrl}/${collection.id}`)
+          .set('Cookie', otherCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+      });
+
+      test('should require login', async () => {
+        await request(app).get(collectionsUrl).expect(401);
+      });
+    });
+
+    describe('/api/users/collections/:id/recipes - Collection Recipes', () => {
+      test('should add recipes to the top and use the first one as the cover', async () => {
+        const collection = await createCollection({ name: 'Weeknights' });
+        const first = await createTestRecipe({ title: 'Tacos' });
+        const second = await createTestRecipe({ title: 'Stir Fry' });
+        await db.prepare(`
+          INSERT INTO recipe_images (recipe_id, filename, original_name, file_path, file_size, mime_type, is_hero)
+          VALUES (?, 'stir-fry.jpg', 'stir-fry.jpg', ?, 100, 'image/jpeg', TRUE)
+        `).run(second.id, path.join(UPLOAD_DIRS.images, 'stir-fry.jpg'));
+
+        await addToCollection(collection.id, first.id).expect(201);
+        await addToCollection(collection.id, second.id).expect(201);
+        await addToCollection(collection.id, first.id).expect(409);
+
+        const body = await getCollection(collection.id);
+        expect(body.recipes.map(r => r.title)).toEqual(['Stir Fry', 'Tacos']);
+        expect(body.collection).toMatchObject({ recipeCount: 2, coverUrl: '/uploads/images/stir-fry.jpg' });
+        expect(body.pagination.total).toBe(2);
+      });
+
+      test('should put a recipe in several collections', async () => {
+        const recipe = await createTestRecipe({ title: 'Banana Bread' });
+        const baking = await createCollection({ name: 'Baking' });
+        const gifts = await createCollection({ name: 'Gifts' });
+
+        await addToCollection(baking.id, recipe.id).expect(201);
+        await addToCollection(gifts.id, recipe.id).expect(201);
+
+        const response = await request(app)
+          .get(`${collectionsUrl}?recipeId=${recipe.id}`)
+          .set('Cookie', viewerCookies)
+          .expect(200);
+        expect(response.body.collections.map(c => [c.name, c.hasRecipe])).toEqual([
+          ['Favorites', false],
+          ['Baking', true],
+          ['Gifts', true]
+        ]);
+      });
+
+      test('should 404 for a recipe that does not exist', async () => {
+        const collection = await createCollection({ name: 'Weeknights' });
+
+        await addToCollection(collection.id, 999999).expect(404);
+      });
+
+      test('should remove a recipe from one collection only', async () => {
+        const recipe = await createTestRecipe({ title: 'Banana Bread' });
+        const baking = await createCollection({ name: 'Baking' });
+        const gifts = await createCollection({ name: 'Gifts' });
+        await addToCollection(baking.id, recipe.id).expect(201);
+        await addToCollection(gifts.id, recipe.id).expect(201);
+
+        await request(app)
+          .delete(`${collectionsUrl}/${baking.id}/recipes/${recipe.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect((await getCollection(baking.id)).recipes).toEqual([]);
+        expect((await getCollection(gifts.id)).recipes.map(r => r.id)).toEqual([recipe.id]);
+      });
+
+      test('should reorder recipes', async () => {
+        const collection = await createCollection({ name: 'Weeknights' });
+        const recipes = [];
+        for (const title of ['Tacos', 'Stir Fry', 'Chili']) {
+          const recipe = await createTestRecipe({ title });
+          await addToCollection(collection.id, recipe.id).expect(201);
+          recipes.push(recipe);
+        }
+
+        await request(app)
+          .put(`${collectionsUrl}/${collection.id}/recipes/reorder`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeOrder: recipes.map(r => r.id) })
+          .expect(200);
+
+        const body = await getCollection(collection.id);
+        expect(body.recipes.map(r => r.title)).toEqual(['Tacos', 'Stir Fry', 'Chili']);
+      });
+
+      test('should reject an order that leaves recipes out', async () => {
+        const collection = await createCollection({ name: 'Weeknights' });
+        const first = await createTestRecipe({ title: 'Tacos' });
+        const second = await createTestRecipe({ title: 'Chili' });
+        await addToCollection(collection.id, first.id).expect(201);
+        await addToCollection(collection.id, second.id).expect(201);
+
+        await request(app)
+          .put(`${collectionsUrl}/${collection.id}/recipes/reorder`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ recipeOrder: [first.id] })
+          .expect(400);
+      });
+
+      test('should hide trashed recipes', async () => {
+        const collection = await createCollection({ name: 'Weeknights' });
+        const recipe = await createTestRecipe({ title: 'Tacos' });
+        await addToCollection(collection.id, recipe.id).expect(201);
+
+        await request(app)
+          .delete(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const body = await getCollection(collection.id);
+        expect(body.recipes).toEqual([]);
+        expect(body.collection.recipeCount).toBe(0);
+      });
+    });
+  });
+
+  describe('Meal Plan', () => {
+    let viewerCookies;
+
+    beforeEach(async () => {
+      await db.getPool().execute('DELETE FROM meal_plans');
+      viewerCookies = await loginAsViewer('planner');
+    });
+
+    const createPlannedRecipe = async (title, { servings = 4, calories = 500 } = {}) => {
+      const recipe = await createTestRecipe({ title, servings });
+      await db.prepare('UPDATE recipes SET estimated_calories = ? WHERE id = ?').run(calories, recipe.id);
+      return recipe;
+    };
+
+    const planMeal = (fields) => request(app)
+      .post('/api/meal-plan')
+      .set('Cookie', viewerCookies)
+      .set('x-csrf-token', csrfToken)
+      .send(fields);
+
+    const getWeek = async (start) => {
+      const response = await request(app)
+        .get(`/api/meal-plan?start=${start}`)
+        .set('Cookie', viewerCookies)
+        .expect(200);
+      return response.body;
+    };
+
+    describe('/api/meal-plan - Plan Meals', () => {
+      test('should plan recipes by day and meal with daily calorie totals', async () => {
+        const roast = await createPlannedRecipe('Pot Roast', { servings: 6, calories: 400 });
+        const oatmeal = await createPlannedRecipe('Oatmeal', { servings: 2, calories: 150 });
+
+        const response = await planMeal({ recipeId: roast.id, date: '2024-03-04', meal: 'dinner' }).expect(201);
+        expect(response.body.entry).toMatchObject({
+          recipeId: roast.id,
+          date: '2024-03-04',
+          meal: 'dinner',
+          servings: null,
+          calories: 2400,
+          recipe: { title: 'Pot Roast', servings: 6, estimatedCalories: 400 }
+        });
+        await planMeal({ recipeId: oatmeal.id, date: '2024-03-04', meal: 'breakfast', servings: 1 }).expect(201);
+
+        const week = await getWeek('2024-03-04');
+        expect(week.end).toBe('2024-03-10');
+        expect(week.entries.map(entry => entry.meal)).toEqual(['breakfast', 'dinner']);
+        expect(week.days).toHaveLength(7);
+        expect(week.days[0]).toEqual({ date: '2024-03-04', calories: 2550, caloriesPerServing: 550, notPerServing: 0, uncounted: 0 });
+        expect(week.days[1].calories).toBe(0);
+      });
+
+      test('should reject a bad date, meal or servings', async () => {
+        const recipe = await createPlannedRecipe('Pot Roast');
+
+        const response = await planMeal({ recipeId: recipe.id, date: '2024-02-30', meal: 'brunch', servings: 0 })
+          .expect(400);
+        expect(response.body.errors).toEqual([
+          'date must be a date in YYYY-MM-DD format',
+          'meal must be one of: breakfast, lunch, dinner',
+          'servings must be a whole number from 1 to 100'
+        ]);
+
+        await planMeal({ recipeId: 999999, date: '2024-03-04', meal: 'dinner' }).expect(404);
+      });
+
+      test('should move an entry and override its servings', async () => {
+        const recipe = await createPlannedRecipe('Pot Roast', { servings: 6, calories: 400 });
+        const { entry } = (await planMeal({ recipeId: recipe.id, date: '2024-03-04', meal: 'dinner' })).body;
+
+        const response = await request(app)
+          .put(`/api/meal-plan/${entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ date: '2024-03-05', meal: 'lunch', servings: 2 })
+          .expect(200);
+        expect(response.body.entry).toMatchObject({ date: '2024-03-05', meal: 'lunch', servings: 2, calories: 800 });
+
+        const reset = await request(app)
+          .put(`/api/meal-plan/${entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ servings: null })
+          .expect(200);
+        expect(reset.body.entry).toMatchObject({ date: '2024-03-05', servings: null, calories: 2400 });
+      });
+
+      test("should keep each user's plan to themselves", async () => {
+        const recipe = await createPlannedRecipe('Pot Roast');
+        const { entry } = (await planMeal({ recipeId: recipe.id, date: '2024-03-04', meal: 'dinner' })).body;
+        const otherCookies = await loginAsViewer('othercook');
+
+        const response = await request(app)
+          .get('/api/meal-plan?start=2024-03-04')
+          .set('Cookie', otherCookies)
+          .expect(200);
+        expect(response.body.entries).toEqual([]);
+
+        await request(app)
+          .delete(`/api/meal-plan/${entry.id}`)
+          .set('Cookie', otherCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(404);
+        await request(app)
+          .delete(`/api/meal-plan/${entry.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+      });
+
+      test('should reject ranges that are backwards or too long', async () => {
+        await request(app)
+          .get('/api/meal-plan?start=2024-03-10&end=2024-03-04')
+          .set('Cookie', viewerCookies)
+          .expect(400);
+        await request(app)
+          .get('/api/meal-plan?start=2024-01-01&end=2024-06-01')
+          .set('Cookie', viewerCookies)
+          .expect(400);
+      });
+
+      test('should require login', async () => {
+        await request(app).get('/api/meal-plan').expect(401);
+      });
+    });
+
+    describe('POST /api/meal-plan/copy-week - Copy Last Week', () => {
+      test("should copy last week's meals day for day without doubling up", async () => {
+        const roast = await createPlannedRecipe('Pot Roast');
+        const tacos = await createPlannedRecipe('Tacos');
+        await planMeal({ recipeId: roast.id, date: '2024-02-26', meal: 'dinner', servings: 3 }).expect(201);
+        await planMeal({ recipeId: tacos.id, date: '2024-03-01', meal: 'dinner' }).expect(201);
+        // Already planned for this week, so not copied again
+        await planMeal({ recipeId: tacos.id, date: '2024-03-08', meal: 'dinner' }).expect(201);
+
+        const response = await request(app)
+          .post('/api/meal-plan/copy-week')
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ weekStart: '2024-03-04' })
+          .expect(200);
+
+        expect(response.body.copied).toBe(1);
+        expect(response.body.entries.map(entry => [entry.date, entry.recipe.title, entry.servings])).toEqual([
+          ['2024-03-04', 'Pot Roast', 3],
+          ['2024-03-08', 'Tacos', null]
+        ]);
+      });
+    });
+
+    describe('/api/meal-plan/feed - Calendar Feed', () => {
+      test('should serve the plan as iCalendar at a secret link', async () => {
+        const recipe = await createPlannedRecipe('Pot Roast', { servings: 6, calories: 400 });
+        const today = new Date().toISOString().slice(0, 10);
+        await planMeal({ recipeId: recipe.id, date: today, meal: 'dinner' }).expect(201);
+
+        const feed = await request(app)
+          .get('/api/meal-plan/feed')
+          .set('Cookie', viewerCookies)
+          .expect(200);
+        expect(feed.body.feedPath).toMatch(/^\/api\/meal-plan\/feed\/[0-9a-f]{48}\.ics$/);
+
+        const calendar = await request(app).get(feed.body.feedPath).expect(200);
+        expect(calendar.headers['content-type']).toMatch(/^text\/calendar/);
+        expect(calendar.text).toContain('BEGIN:VCALENDAR');
+        expect(calendar.text).toContain(`DTSTART:${today.replace(/-/g, '')}T180000`);
+        expect(calendar.text).toContain('SUMMARY:Dinner: Pot Roast');
+      });
+
+      test('should stop serving the old link after a reset', async () => {
+        const feed = await request(app)
+          .get('/api/meal-plan/feed')
+          .set('Cookie', viewerCookies)
+          .expect(200);
+
+        const reset = await request(app)
+          .post('/api/meal-plan/feed/reset')
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+        expect(reset.body.feedPath).not.toBe(feed.body.feedPath);
+
+        await request(app).get(feed.body.feedPath).expect(404);
+        await request(app).get(reset.body.feedPath).expect(200);
+      });
+    });
+  });
+
+  describe('Shopping Lists', () => {
+    let viewerCookies;
+
+    beforeEach(async () => {
+      await db.getPool().execute('DELETE FROM shopping_lists');
+      await db.getPool().execute('DELETE FROM meal_plans');
+      viewerCookies = await loginAsViewer('shopper');
+    });
+
+    const createList = (fields, cookies = viewerCookies) => request(app)
+      .post('/api/shopping-lists')
+      .set('Cookie', cookies)
+      .set('x-csrf-token', csrfToken)
+      .send(fields);
+
+    const pancakeIngredients = [
+      { name: 'milk', quantity: '1', unit: 'cup' },
+      { name: 'eggs', quantity: '2', unit: null },
+      { name: 'water', quantity: '1/4', unit: 'cup' }
+    ];
+
+    describe('POST /api/shopping-lists - Build a List', () => {
+      test('should combine the ingredients of several recipes by aisle', async () => {
+        const pancakes = await createTestRecipe({ title: 'Pancakes', servings: 4, ingredients: pancakeIngredients });
+        const muffins = await createTestRecipe({
+          title: 'Muffins',
+          ingredients: [
+            { name: 'Milk', quantity: '2', unit: 'tbsp' },
+            { name: 'flour', quantity: '2', unit: 'cups' }
+          ]
+        });
+
+        const response = await createList({
+          name: 'Brunch',
+          recipes: [{ id: pancakes.id, servings: 8 }, muffins.id]
+        }).expect(201);
+
+        const { list } = response.body;
+        expect(list).toMatchObject({ name: 'Brunch', isOwner: true, itemCount: 3, members: [] });
+        expect(list.items.map(item => [item.category, item.quantity, item.name])).toEqual([
+          ['Dairy & Eggs', '4', 'eggs'],
+          ['Dairy & Eggs', '2 1/8 cups', 'milk'],
+          ['Baking', '2 cups', 'flour']
+        ]);
+        expect(list.items[1]).toMatchObject({ source: 'Pancakes, Muffins', checked: false, isCustom: false });
+      });
+
+      test('should build a list from a meal plan range with planned servings', async () => {
+        const pancakes = await createTestRecipe({ title: 'Pancakes', servings: 4, ingredients: pancakeIngredients });
+        for (const date of ['2024-03-04', '2024-03-05']) {
+          await request(app)
+            .post('/api/meal-plan')
+            .set('Cookie', viewerCookies)
+            .set('x-csrf-token', csrfToken)
+            .send({ recipeId: pancakes.id, date, meal: 'breakfast', servings: 2 })
+            .expect(201);
+        }
+
+        const response = await createList({ mealPlan: { start: '2024-03-04', end: '2024-03-10' } }).expect(201);
+        expect(response.body.list.name).toBe('Shopping List');
+        expect(response.body.list.items.map(item => `${item.quantity} ${item.name}`)).toEqual(['2 eggs', '1 cup milk']);
+      });
+
+      test('should reject bad sources', async () => {
+        const response = await createList({
+          recipes: [{ id: 'abc' }],
+          mealPlan: { start: '2024-03-10', end: '2024-03-04' }
+        }).expect(400);
+        expect(response.body.errors).toEqual([
+          'Each recipe needs a valid id',
+          'mealPlan end must not be before start'
+        ]);
+
+        await createList({ recipes: [999999] }).expect(404);
+      });
+
+      test('should require login', async () => {
+        await request(app).get('/api/shopping-lists').expect(401);
+      });
+    });
+
+    describe('/api/shopping-lists/:id/items - Items', () => {
+      test('should add, check off and clear items', async () => {
+        const { list } = (await createList({ name: 'Groceries' })).body;
+
+        const added = await request(app)
+          .post(`/api/shopping-lists/${list.id}/items`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ name: 'Bananas', quantity: '6' })
+          .expect(201);
+        expect(added.body.item).toMatchObject({ name: 'Bananas', quantity: '6', category: 'Produce', isCustom: true });
+
+        const checked = await request(app)
+          .put(`/api/shopping-lists/${list.id}/items/${added.body.item.id}`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ checked: true })
+          .expect(200);
+        expect(checked.body.item.checked).toBe(true);
+
+        const cleared = await request(app)
+          .post(`/api/shopping-lists/${list.id}/clear-checked`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+        expect(cleared.body.removed).toBe(1);
+      });
+
+      test('should reject a bad item', async () => {
+        const { list } = (await createList({ name: 'Groceries' })).body;
+
+        const response = await request(app)
+          .post(`/api/shopping-lists/${list.id}/items`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ quantity: '2', category: 'Hardware' })
+          .expect(400);
+        expect(response.body.errors).toContain('name is required');
+        expect(response.body.errors).toContain(
+          'category must be one of: Produce, Meat & Seafood, Dairy & Eggs, Bakery, Baking, Pantry, Canned & Jarred, Spices & Seasonings, Frozen, Beverages, Other'
+        );
+      });
+    });
+
+    describe('/api/shopping-lists/:id/members - Sharing', () => {
+      test('should let household members use a shared list but not manage it', async () => {
+        const { list } = (await createList({ name: 'Household' })).body;
+        const partnerCookies = await loginAsViewer('partner');
+
+        await request(app)
+          .get(`/api/shopping-lists/${list.id}`)
+          .set('Cookie', partnerCookies)
+          .expect(404);
+
+        const shared = await request(app)
+          .post(`/api/shopping-lists/${list.id}/members`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ username: 'partner' })
+          .expect(201);
+        expect(shared.body.members.map(member => member.username)).toEqual(['partner']);
+
+        const lists = await request(app)
+          .get('/api/shopping-lists')
+          .set('Cookie', partnerCookies)
+          .expect(200);
+        expect(lists.body.lists).toHaveLength(1);
+        expect(lists.body.lists[0]).toMatchObject({ name: 'Household', isOwner: false, owner: { username: 'shopper' } });
+
+        await request(app)
+          .post(`/api/shopping-lists/${list.id}/items`)
+          .set('Cookie', partnerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ name: 'Coffee' })
+          .expect(201);
+        await request(app)
+          .delete(`/api/shopping-lists/${list.id}`)
+          .set('Cookie', partnerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(403);
+
+        // Members can leave
+        const partnerId = shared.body.members[0].id;
+        await request(app)
+          .delete(`/api/shopping-lists/${list.id}/members/${partnerId}`)
+          .set('Cookie', partnerCookies)
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+        await request(app)
+          .get(`/api/shopping-lists/${list.id}`)
+          .set('Cookie', partnerCookies)
+          .expect(404);
+      });
+
+      test('should not share with unknown users or the owner', async () => {
+        const { list } = (await createList({ name: 'Household' })).body;
+
+        const share = (username) => request(app)
+          .post(`/api/shopping-lists/${list.id}/members`)
+          .set('Cookie', viewerCookies)
+          .set('x-csrf-token', csrfToken)
+          .send({ username });
+
+        await share('nobody-by-that-name').expect(404);
+        await share('shopper').expect(400);
+      });
+    });
+
+    describe('GET /api/shopping-lists/:id/export.txt - Plain Text', () => {
+      test('should download the list as text', async () => {
+        const pancakes = await createTestRecipe({ title: 'Pancakes', ingredients: pancakeIngredients });
+        const { list } = (await createList({ name: 'Sunday Brunch', recipes: [pancakes.id] })).body;
+
+        const response = await request(app)
+          .get(`/api/shopping-lists/${list.id}/export.txt`)
+          .set('Cookie', viewerCookies)
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        expect(response.headers['content-disposition']).toContain('sunday-brunch.txt');
+        expect(response.text).toBe('Sunday Brunch\n\nDairy & Eggs\n[ ] 2 eggs\n[ ] 1 cup milk\n');
+      });
+    });
+  });
+
+  describe('Ingredient Catalog', () => {
+    afterEach(async () => {
+      await db.getPool().execute('DELETE FROM canonical_ingredients');
+      await db.getPool().execute('DELETE FROM jobs');
+    });
+
+    const addEntry = (fields) => request(app)
+      .post('/api/admin/ingredients')
+      .set('Cookie', buildCookieString())
+      .set('x-csrf-token', csrfToken)
+      .send(fields);
+
+    const getUnmatched = () => request(app)
+      .get('/api/admin/ingredients/unmatched')
+      .set('Cookie', buildCookieString())
+      .expect(200);
+
+    describe('Normalizing ingredients on write', () => {
+      test('should split preparation notes out of ingredient names', async () => {
+        const recipe = await createTestRecipe({
+          ingredients: [
+            { name: 'flour, sifted', quantity: '2', unit: 'cups' },
+            { name: 'finely chopped onions', quantity: '1', unit: 'cup' },
+            { name: 'butter', preparation: 'softened', quantity: '1/2', unit: 'cup' }
+          ]
+        });
+
+        expect(recipe.ingredients.map(({ name, preparation }) => ({ name, preparation }))).toEqual([
+          { name: 'flour', preparation: 'sifted' },
+          { name: 'onions', preparation: 'finely chopped' },
+          { name: 'butter', preparation: 'softened' }
+        ]);
+      });
+
+      test('should keep the preparation when a recipe is saved again unchanged', async () => {
+        const recipe = await createTestRecipe({ ingredients: [{ name: 'flour, sifted', quantity: '2', unit: 'cups' }] });
+
+        const response = await request(app)
+          .put(`/api/recipes/${recipe.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ ingredients: recipe.ingredients })
+          .expect(200);
+
+        expect(response.body.recipe.ingredients[0]).toMatchObject({ name: 'flour', preparation: 'sifted' });
+      });
+
+      test('should split preparation out of submitted recipes and link them when approved', async () => {
+        await addEntry({ name: 'butter', aliases: ['unsalted butter'] }).expect(201);
+        const submitted = await request(app)
+          .post('/api/users/submissions')
+          .set('Cookie', await loginAsViewer('catalogcook'))
+          .set('x-csrf-token', csrfToken)
+          .send({ title: 'Scones', ingredients: [{ name: 'unsalted butter, cubed', quantity: '1/2', unit: 'cup' }] })
+          .expect(201);
+        expect(submitted.body.submission.ingredients[0]).toMatchObject({ name: 'unsalted butter', preparation: 'cubed' });
+
+        const approved = await request(app)
+          .post(`/api/admin/submissions/${submitted.body.submission.id}/approve`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        const recipe = await request(app).get(`/api/recipes/${approved.body.recipeId}`).expect(200);
+        expect(recipe.body.recipe.ingredients[0]).toMatchObject({ name: 'unsalted butter', preparation: 'cubed' });
+
+        const catalog = await request(app)
+          .get('/api/admin/ingredients')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(catalog.body.ingredients[0]).toMatchObject({ name: 'butter', recipeCount: 1 });
+      });
+    });
+
+    describe('POST /api/admin/ingredients - Catalog Entries', () => {
+      test('should link recipes that use any of the entry\'s names', async () => {
+        await createTestRecipe({ title: 'Bread', ingredients: [{ name: 'AP flour', quantity: '3', unit: 'cups' }] });
+        expect((await getUnmatched()).body.names.map(entry => entry.name)).toContain('AP flour');
+
+        const response = await addEntry({ name: 'all-purpose flour', aliases: ['AP flour', 'plain flour'] }).expect(201);
+
+        expect(response.body.ingredient).toMatchObject({ name: 'all-purpose flour', recipeCount: 1 });
+        expect(response.body.ingredient.aliases.map(alias => alias.name).sort())
+          .toEqual(['AP flour', 'all-purpose flour', 'plain flour']);
+        expect((await getUnmatched()).body.names.map(entry => entry.name)).not.toContain('AP flour');
+      });
+
+      test('should link new recipes on write and find them by any alias', async () => {
+        await addEntry({ name: 'all-purpose flour', aliases: ['AP flour'] }).expect(201);
+        await createTestRecipe({ title: 'Biscuits', ingredients: [{ name: 'All Purpose Flour', quantity: '2', unit: 'cups' }] });
+
+        const response = await request(app)
+          .get('/api/recipes/search?ingredient=AP flour')
+          .expect(200);
+
+        expect(response.body.recipes.map(recipe => recipe.title)).toEqual(['Biscuits']);
+      });
+
+      test('should refuse a name another entry already goes by', async () => {
+        await addEntry({ name: 'granulated sugar', aliases: ['sugar'] }).expect(201);
+
+        const response = await addEntry({ name: 'white sugar', aliases: ['Sugar'] }).expect(409);
+        expect(response.body.error).toBe('"Sugar" already means granulated sugar');
+      });
+
+      test('should require a name', async () => {
+        const response = await addEntry({ name: '  ' }).expect(400);
+        expect(response.body.errors).toContain('name is required');
+      });
+
+      test('should be for admins only', async () => {
+        const viewerCookies = await loginAsViewer('catalogviewer');
+        await request(app)
+          .get('/api/admin/ingredients')
+          .set('Cookie', viewerCookies)
+          .expect(403);
+      });
+    });
+
+    describe('Aliases and merging', () => {
+      test('should match an unmatched name by adding it as an alias', async () => {
+        await createTestRecipe({ title: 'Cake', ingredients: [{ name: 'caster sugar', quantity: '1', unit: 'cup' }] });
+        const { ingredient } = (await addEntry({ name: 'granulated sugar' }).expect(201)).body;
+
+        const response = await request(app)
+          .post(`/api/admin/ingredients/${ingredient.id}/aliases`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ name: 'caster sugar' })
+          .expect(201);
+
+        expect(response.body.ingredient.recipeCount).toBe(1);
+
+        const alias = response.body.ingredient.aliases.find(entry => entry.name === 'caster sugar');
+        const removed = await request(app)
+          .delete(`/api/admin/ingredients/${ingredient.id}/aliases/${alias.id}`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .expect(200);
+
+        expect(removed.body.ingredient.recipeCount).toBe(0);
+      });
+
+      test('should merge one entry into another', async () => {
+        await createTestRecipe({ title: 'Scones', ingredients: [{ name: 'heavy cream', quantity: '1', unit: 'cup' }] });
+        const cream = (await addEntry({ name: 'heavy cream' }).expect(201)).body.ingredient;
+        const whipping = (await addEntry({ name: 'whipping cream' }).expect(201)).body.ingredient;
+
+        const response = await request(app)
+          .post(`/api/admin/ingredients/${cream.id}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ intoId: whipping.id })
+          .expect(200);
+
+        expect(response.body.ingredient).toMatchObject({ name: 'whipping cream', recipeCount: 1 });
+        expect(response.body.ingredient.aliases.map(alias => alias.name).sort()).toEqual(['heavy cream', 'whipping cream']);
+
+        const catalog = await request(app)
+          .get('/api/admin/ingredients')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+        expect(catalog.body.ingredients.map(entry => entry.name)).toEqual(['whipping cream']);
+      });
+
+      test('should not merge an entry into itself', async () => {
+        const { ingredient } = (await addEntry({ name: 'milk' }).expect(201)).body;
+
+        await request(app)
+          .post(`/api/admin/ingredients/${ingredient.id}/merge`)
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ intoId: ingredient.id })
+          .expect(400);
+      });
+    });
+
+    describe('Backfill', () => {
+      test('should normalize rows written before the catalog', async () => {
+        const recipe = await createTestRecipe({ title: 'Old Cookies', ingredients: [{ name: 'flour', quantity: '2', unit: 'cups' }] });
+        await db.getPool().execute(
+          "UPDATE ingredients SET name = 'AP flour, sifted', preparation = NULL, name_key = NULL WHERE recipe_id = ?",
+          [recipe.id]
+        );
+        await addEntry({ name: 'all-purpose flour', aliases: ['AP flour'] }).expect(201);
+        expect((await getUnmatched()).body.unprocessed).toBe(1);
+
+        const result = await CanonicalIngredientModel.backfill();
+
+        expect(result.ingredients).toEqual({ scanned: 1, updated: 1 });
+        const updated = await request(app).get(`/api/recipes/${recipe.id}`).expect(200);
+        expect(updated.body.recipe.ingredients[0]).toMatchObject({ name: 'AP flour', preparation: 'sifted' });
+        expect((await getUnmatched()).body).toMatchObject({ names: [], unprocessed: 0 });
+      });
+
+      test('should re-key aliases saved under older key rules', async () => {
+        const entry = await CanonicalIngredientModel.create('cherries');
+        await db.prepare('UPDATE ingredient_aliases SET alias_key = ? WHERE canonical_id = ?').run('cherri', entry.id);
+
+        const result = await CanonicalIngredientModel.backfill();
+
+        expect(result.ingredient_aliases).toMatchObject({ updated: 1 });
+        const alias = await db.prepare('SELECT alias_key FROM ingredient_aliases WHERE canonical_id = ?').get(entry.id);
+        expect(alias.alias_key).toBe(ingredientKey('cherry'));
+      });
+
+      test('should queue a backfill at startup only while stored keys are out of date', async () => {
+        await SettingsModel.delete(SettingsModel.KEYS.INGREDIENT_KEY_VERSION);
+
+        const job = await IngredientBackfill.queueIfKeysChanged();
+        expect(job).toMatchObject({ type: 'ingredient_backfill', status: 'queued', createdBy: null });
+        expect(await IngredientBackfill.queueIfKeysChanged()).toBeNull();
+
+        await CanonicalIngredientModel.backfill();
+        await db.prepare('DELETE FROM jobs').run();
+        expect(await IngredientBackfill.queueIfKeysChanged()).toBeNull();
+      });
+
+      test('should queue the backfill job once at a time', async () => {
+        const start = () => request(app)
+          .post('/api/admin/ingredients/backfill')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken);
+
+        const response = await start().expect(202);
+        expect(response.body.job).toMatchObject({ type: 'ingredient_backfill', status: 'queued' });
+
+        await start().expect(409);
+        expect((await getUnmatched()).body.backfill.id).toBe(response.body.job.id);
+      });
+    });
+  });
+
+  describe('AI Settings', () => {
+    describe('PUT /api/admin/settings/ai - OCR with AI vision', () => {
+      test('should save the AI vision setting for scanned PDFs', async () => {
+        const response = await request(app)
+          .put('/api/admin/settings/ai')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ ocrVision: true })
+          .expect(200);
+
+        expect(response.body.data.ocrVision).toBe(true);
+
+        const getResponse = await request(app)
+          .get('/api/admin/settings/ai')
+          .set('Cookie', buildCookieString())
+          .expect(200);
+
+        expect(getResponse.body.data.ocrVision).toBe(true);
+      });
+
+      test('should reject a non-boolean AI vision setting', async () => {
+        const response = await request(app)
+          .put('/api/admin/settings/ai')
+          .set('Cookie', buildCookieString())
+          .set('x-csrf-token', csrfToken)
+          .send({ ocrVision: 'yes' })
+          .expect(400);
+
+        expect(response.body.error).toBe('ocrVision must be true or false');
+      });
+    });
+  });
+
   describe('Error Handling', () => {
     test('should return 404 for non-existent routes', async () => {
       const response = await request(app)
@@ -0,0 +1,48 @@
+const { importTypeFor, isImportableEntry, parseUrlList, formatSize } = require('../src/utils/batchImport');
+
+describe('Bulk import helpers', () => {
+  test('should sort files into import types by extension or MIME type', () => {
+    expect(importTypeFor('Pies.PDF')).toBe('pdf');
+    expect(importTypeFor('scan', 'application/pdf')).toBe('pdf');
+    expect(importTypeFor('card.jpeg')).toBe('image');
+    expect(importTypeFor('IMG_0042.HEIC')).toBe('image');
+    expect(importTypeFor('photo', 'image/png')).toBe('image');
+    expect(importTypeFor('recipe-box.zip')).toBe('zip');
+    expect(importTypeFor('download', 'application/x-zip-compressed')).toBe('zip');
+    expect(importTypeFor('notes.txt', 'text/plain')).toBeNull();
+    expect(importTypeFor('card.gif', 'image/gif')).toBeNull();
+  });
+
+  test('should skip folders and archive metadata', () => {
+    expect(isImportableEntry('Grandma/pie.pdf')).toBe(true);
+    expect(isImportableEntry('Grandma/')).toBe(false);
+    expect(isImportableEntry('__MACOSX/Grandma/._pie.pdf')).toBe(false);
+    expect(isImportableEntry('Grandma/.DS_Store')).toBe(false);
+    expect(isImportableEntry('Grandma/Thumbs.db')).toBe(false);
+  });
+
+  test('should read pasted URLs one per line, dropping duplicates', () => {
+    const { urls, invalid } = parseUrlList(`
+      https://example.com/pie
+      https://example.com/stew, https://example.com/pie
+
+      grandma's meatloaf
+      ftp://example.com/cake
+    `);
+
+    expect(urls).toEqual(['https://example.com/pie', 'https://example.com/stew']);
+    expect(invalid).toEqual(['grandma\'s', 'meatloaf', 'ftp://example.com/cake']);
+  });
+
+  test('should accept a list of URLs', () => {
+    expect(parseUrlList(['https://example.com/pie', ' ', 'pie'])).toEqual({
+      urls: ['https://example.com/pie'],
+      invalid: ['pie']
+    });
+    expect(parseUrlList(undefined)).toEqual({ urls: [], invalid: [] });
+  });
+
+  test('should format sizes in megabytes', () => {
+    expect(formatSize(10 * 1024 * 1024)).toBe('10 MB');
+  });
+});
@@ -0,0 +1,79 @@
+const { titleWords, jaccard, ingredientSimilarity, canonicalUrl, scoreDuplicate } = require('../src/utils/duplicates');
+
+describe('Duplicate detection', () => {
+  const lasagna = ['lasagna noodles', 'ricotta cheese', 'ground beef', 'mozzarella', 'marinara sauce', 'parmesan'];
+
+  test('should reduce titles to their identifying words', () => {
+    expect(titleWords("Mom's Lasagna")).toEqual(['lasagna', 'mom']);
+    expect(titleWords('Lasagna (Mom)')).toEqual(['lasagna', 'mom']);
+    expect(titleWords('The Best Homemade Crème Brûlée')).toEqual(titleWords('creme brulee'));
+    expect(titleWords('Mac & Cheese')).toEqual(titleWords('Mac and cheese'));
+    expect(titleWords('')).toEqual([]);
+    expect(titleWords(null)).toEqual([]);
+  });
+
+  test('should compute Jaccard similarity', () => {
+    expect(jaccard(['a', 'b'], ['a', 'b'])).toBe(1);
+    expect(jaccard(['a', 'b'], ['b', 'c'])).toBeCloseTo(1 / 3);
+    expect(jaccard(['a'], ['b'])).toBe(0);
+    expect(jaccard([], [])).toBe(0);
+  });
+
+  test('should match ingredients the way pantry search does', () => {
+    expect(ingredientSimilarity(
+      ['ricotta', 'onions, chopped', 'salt'],
+      ['ricotta cheese', 'yellow onion', 'salt']
+    )).toBe(1);
+    expect(ingredientSimilarity(['flour', 'sugar'], ['flour', 'eggs'])).toBeCloseTo(1 / 3);
+    expect(ingredientSimilarity([], ['flour'])).toBeNull();
+  });
+
+  test('should canonicalize recipe URLs', () => {
+    expect(canonicalUrl('http://www.example.com/recipes/pie/?utm_source=pinterest&b=2&a=1#comments'))
+      .toBe('https://example.com/recipes/pie?a=1&b=2');
+    expect(canonicalUrl('https://example.com:443/pie?fbclid=abc')).toBe('https://example.com/pie');
+    expect(canonicalUrl('https://example.com:8080/pie')).toBe('https://example.com:8080/pie');
+    expect(canonicalUrl('Grandma Rose')).toBeNull();
+    expect(canonicalUrl('ftp://example.com/pie')).toBeNull();
+    expect(canonicalUrl(`https://example.com/${'a'.repeat(600)}`)).toBeNull();
+  });
+
+  test('should flag the same recipe under a reworded title', () => {
+    const { score, reasons } = scoreDuplicate(
+      { title: "Mom's Lasagna", ingredients: lasagna },
+      { title: 'Lasagna (Mom)', ingredients: [...lasagna, 'basil'] }
+    );
+
+    expect(score).toBeGreaterThanOrEqual(0.6);
+    expect(reasons).toContain('Same title');
+    expect(reasons).toContain('86% of ingredients in common');
+  });
+
+  test('should not flag different recipes that share a word', () => {
+    const { score } = scoreDuplicate(
+      { title: 'Chocolate Chip Cookies', ingredients: ['flour', 'butter', 'sugar', 'chocolate chips', 'eggs'] },
+      { title: 'Oatmeal Cookies', ingredients: ['flour', 'butter', 'brown sugar', 'rolled oats', 'raisins'] }
+    );
+
+    expect(score).toBeLessThan(0.6);
+  });
+
+  test('should always flag the same source URL', () => {
+    const { score, reasons } = scoreDuplicate(
+      { title: 'Pie', ingredients: [], sourceUrl: 'https://www.example.com/pie?utm_medium=email' },
+      { title: 'Apple Pie', ingredients: [], sourceUrl: 'http://example.com/pie/' }
+    );
+
+    expect(score).toBe(1);
+    expect(reasons).toContain('Same source URL');
+  });
+
+  test('should flag the same file only when it held one recipe or the titles agree', () => {
+    const candidate = { title: 'Apple Pie', ingredients: ['apples'], fileHash: 'abc' };
+
+    expect(scoreDuplicate(candidate, { title: 'Pie Crust', ingredients: ['flour'], fileHash: 'abc', fileRecipeCount: 1 }).score).toBe(1);
+    expect(scoreDuplicate(candidate, { title: 'Pot Roast', ingredients: ['beef'], fileHash: 'abc', fileRecipeCount: 12 }).score).toBeLessThan(0.6);
+    expect(scoreDuplicate(candidate, { title: 'Apple Pie', ingredients: ['apples'], fileHash: 'abc', fileRecipeCount: 12 }).reasons)
+      .toEqual(['Imported from the same file', 'Same title', '100% of ingredients in common']);
+  });
+});
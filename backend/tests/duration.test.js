@@ -0,0 +1,39 @@
+const { parseDurationToMinutes, normalizeRecipeTimes, MAX_MINUTES } = require('../src/utils/duration');
+
+describe('Duration parsing', () => {
+  test('should parse ISO-8601 durations', () => {
+    expect(parseDurationToMinutes('PT30M')).toBe(30);
+    expect(parseDurationToMinutes('PT1H30M')).toBe(90);
+    expect(parseDurationToMinutes('P1DT2H')).toBe(1560);
+    expect(parseDurationToMinutes('PT90S')).toBe(2);
+  });
+
+  test('should accept plain minutes and loose text', () => {
+    expect(parseDurationToMinutes(45)).toBe(45);
+    expect(parseDurationToMinutes('20')).toBe(20);
+    expect(parseDurationToMinutes('1 hr 15 mins')).toBe(75);
+    expect(parseDurationToMinutes('2 hours')).toBe(120);
+  });
+
+  test('should return null for missing, zero or unparseable values', () => {
+    expect(parseDurationToMinutes(null)).toBeNull();
+    expect(parseDurationToMinutes('')).toBeNull();
+    expect(parseDurationToMinutes('PT0M')).toBeNull();
+    expect(parseDurationToMinutes('P')).toBeNull();
+    expect(parseDurationToMinutes('a while')).toBeNull();
+  });
+
+  test('should cap absurd durations', () => {
+    expect(parseDurationToMinutes('P30D')).toBe(MAX_MINUTES);
+  });
+
+  test('should derive total time from prep and cook', () => {
+    expect(normalizeRecipeTimes({ prepTime: 'PT15M', cookTime: 'PT45M' })).toEqual({
+      prepTimeMinutes: 15,
+      cookTimeMinutes: 45,
+      totalTimeMinutes: 60
+    });
+    expect(normalizeRecipeTimes({ cookTime: 30, totalTime: 40 }).totalTimeMinutes).toBe(40);
+    expect(normalizeRecipeTimes({}).totalTimeMinutes).toBeNull();
+  });
+});
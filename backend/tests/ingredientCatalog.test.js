@@ -0,0 +1,123 @@
+const {
+  splitPreparation, normalizeIngredientName, normalizeIngredientNames, ingredientKey, withPreparation,
+  planAliasRekey, STARTER_CATALOG
+} = require('../src/utils/ingredientCatalog');
+
+describe('Splitting out preparation', () => {
+  test('should move notes after a comma into the preparation', () => {
+    expect(splitPreparation('flour, sifted')).toEqual({ name: 'flour', preparation: 'sifted' });
+    expect(splitPreparation('Salt and pepper, to taste')).toEqual({ name: 'Salt and pepper', preparation: 'to taste' });
+  });
+
+  test('should move leading preparation words into the preparation', () => {
+    expect(splitPreparation('chopped onions')).toEqual({ name: 'onions', preparation: 'chopped' });
+    expect(splitPreparation('Finely chopped onions, divided')).toEqual({ name: 'onions', preparation: 'Finely chopped, divided' });
+    expect(splitPreparation('peeled and diced potatoes')).toEqual({ name: 'potatoes', preparation: 'peeled and diced' });
+    expect(splitPreparation('lightly beaten eggs')).toEqual({ name: 'eggs', preparation: 'lightly beaten' });
+  });
+
+  test('should leave words that name what you buy', () => {
+    expect(splitPreparation('ground beef')).toEqual({ name: 'ground beef', preparation: null });
+    expect(splitPreparation('freshly ground black pepper')).toEqual({ name: 'freshly ground black pepper', preparation: null });
+    expect(splitPreparation('crushed tomatoes')).toEqual({ name: 'crushed tomatoes', preparation: null });
+  });
+
+  test('should not split at commas inside parentheses', () => {
+    expect(splitPreparation('tomatoes (14 oz, drained), chopped'))
+      .toEqual({ name: 'tomatoes (14 oz, drained)', preparation: 'chopped' });
+  });
+
+  test('should keep the name when nothing else would be left', () => {
+    expect(splitPreparation('chopped')).toEqual({ name: 'chopped', preparation: null });
+    expect(splitPreparation(', sifted')).toEqual({ name: ', sifted', preparation: null });
+  });
+});
+
+describe('Normalizing ingredients on write', () => {
+  test('should keep a preparation that was already split out', () => {
+    expect(normalizeIngredientName({ name: 'flour', preparation: 'sifted', quantity: '2' }))
+      .toEqual({ name: 'flour', preparation: 'sifted', quantity: '2' });
+  });
+
+  test('should not repeat a preparation written in both places', () => {
+    expect(normalizeIngredientName({ name: 'flour, sifted', preparation: 'Sifted' }).preparation).toBe('sifted');
+    expect(normalizeIngredientName({ name: 'chopped pecans', preparation: 'toasted' }).preparation).toBe('chopped, toasted');
+  });
+
+  test('should give a null preparation when there is none', () => {
+    expect(normalizeIngredientName({ name: 'milk', preparation: '  ' }).preparation).toBeNull();
+  });
+
+  test('should normalize lists and pass anything else through', () => {
+    expect(normalizeIngredientNames([{ name: 'butter, softened' }])).toEqual([{ name: 'butter', preparation: 'softened' }]);
+    expect(normalizeIngredientNames(undefined)).toBeUndefined();
+  });
+});
+
+describe('Catalog keys', () => {
+  test('should match spellings of the same ingredient', () => {
+    expect(ingredientKey('All-Purpose Flour')).toBe(ingredientKey('all purpose flour'));
+    expect(ingredientKey('Large Eggs')).toBe(ingredientKey('egg'));
+    expect(ingredientKey('onions')).toBe(ingredientKey('Onion'));
+    expect(ingredientKey('cherries')).toBe(ingredientKey('cherry'));
+  });
+
+  test('should keep different ingredients apart', () => {
+    expect(ingredientKey('brown sugar')).not.toBe(ingredientKey('sugar'));
+    expect(ingredientKey('AP flour')).not.toBe(ingredientKey('flour'));
+  });
+
+  test('should give every starter entry and alias a key', () => {
+    Object.entries(STARTER_CATALOG).forEach(([name, aliases]) => {
+      [name, ...aliases].forEach(alias => expect(ingredientKey(alias)).not.toBe(''));
+    });
+  });
+});
+
+describe('Re-keying aliases', () => {
+  test('should update keys that are out of date', () => {
+    expect(planAliasRekey([
+      { id: 1, name: 'cherries', alias_key: 'cherri' },
+      { id: 2, name: 'flour', alias_key: ingredientKey('flour') }
+    ])).toEqual({ updates: [{ id: 1, key: ingredientKey('cherries') }], removed: [] });
+  });
+
+  test('should let the alias that already has a key keep it when a stale one moves onto it', () => {
+    expect(planAliasRekey([
+      { id: 1, name: 'cherries', alias_key: 'cherri' },
+      { id: 2, name: 'cherry', alias_key: ingredientKey('cherry') }
+    ])).toEqual({ updates: [], removed: [1] });
+  });
+
+  test('should not remove an alias for a key its holder is moving off', () => {
+    // Alias 2 sits on the key alias 1 now reduces to, but is itself moving away
+    const plan = planAliasRekey([
+      { id: 1, name: 'cherries', alias_key: 'cherri' },
+      { id: 2, name: 'berries', alias_key: ingredientKey('cherries') }
+    ]);
+
+    expect(plan.removed).toEqual([]);
+    expect(plan.updates).toEqual(expect.arrayContaining([
+      { id: 1, key: ingredientKey('cherries') },
+      { id: 2, key: ingredientKey('berries') }
+    ]));
+  });
+
+  test('should keep the oldest alias when stale ones collide', () => {
+    expect(planAliasRekey([
+      { id: 3, name: 'berry', alias_key: 'berry' },
+      { id: 2, name: 'berries', alias_key: 'berri' }
+    ])).toEqual({ updates: [{ id: 2, key: ingredientKey('berry') }], removed: [3] });
+  });
+
+  test('should leave aliases that no longer reduce to a key alone', () => {
+    expect(planAliasRekey([{ id: 1, name: 'x', alias_key: 'x' }])).toEqual({ updates: [], removed: [] });
+  });
+});
+
+describe('Displaying ingredients', () => {
+  test('should put the preparation after the name', () => {
+    expect(withPreparation({ name: 'flour', preparation: 'sifted' })).toBe('flour, sifted');
+    expect(withPreparation({ name: 'milk', preparation: null })).toBe('milk');
+  });
+});
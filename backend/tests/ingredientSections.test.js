@@ -0,0 +1,70 @@
+const {
+  normalizeSection,
+  parseSectionHeading,
+  splitIngredientLines,
+  formatIngredientLines,
+  normalizeIngredientSections
+} = require('../src/utils/ingredientSections');
+
+describe('Ingredient sections', () => {
+  test('should clean up section names', () => {
+    expect(normalizeSection('  For the crust: ')).toBe('For the crust');
+    expect(normalizeSection('**Filling**')).toBe('Filling');
+    expect(normalizeSection('   ')).toBeNull();
+    expect(normalizeSection(null)).toBeNull();
+  });
+
+  test('should recognize heading lines', () => {
+    expect(parseSectionHeading('For the crust:')).toBe('For the crust');
+    expect(parseSectionHeading('**Filling**')).toBe('Filling');
+    expect(parseSectionHeading('## Topping')).toBe('Topping');
+  });
+
+  test('should not mistake ingredients for headings', () => {
+    expect(parseSectionHeading('2 cups flour')).toBeNull();
+    expect(parseSectionHeading('1 cup milk:')).toBeNull();
+    expect(parseSectionHeading('½ tsp salt:')).toBeNull();
+    expect(parseSectionHeading('salt to taste')).toBeNull();
+  });
+
+  test('should tag ingredient lines with their section', () => {
+    const text = 'pinch of salt\n\nFor the crust:\n2 cups flour\n1/2 cup butter\n\n**Filling**\n6 apples';
+
+    expect(splitIngredientLines(text)).toEqual([
+      { section: null, line: 'pinch of salt' },
+      { section: 'For the crust', line: '2 cups flour' },
+      { section: 'For the crust', line: '1/2 cup butter' },
+      { section: 'Filling', line: '6 apples' }
+    ]);
+  });
+
+  test('should accept an array of lines', () => {
+    expect(splitIngredientLines(['Sauce:', '1 can tomatoes', null])).toEqual([
+      { section: 'Sauce', line: '1 can tomatoes' }
+    ]);
+  });
+
+  test('should write headings that read back as the same sections', () => {
+    const ingredients = [
+      { name: 'salt', section: null },
+      { name: 'flour', section: 'For the crust' },
+      { name: 'butter', section: 'For the crust' },
+      { name: 'apples', section: 'For the filling' }
+    ];
+
+    const text = formatIngredientLines(ingredients, ing => ing.name);
+    expect(text).toBe('salt\n\nFor the crust:\nflour\nbutter\n\nFor the filling:\napples');
+    expect(splitIngredientLines(text).map(({ section }) => section))
+      .toEqual(ingredients.map(({ section }) => section));
+  });
+
+  test('should normalize sections on a list of ingredients', () => {
+    expect(normalizeIngredientSections([
+      { name: 'flour', section: ' Crust: ' },
+      { name: 'salt' }
+    ])).toEqual([
+      { name: 'flour', section: 'Crust' },
+      { name: 'salt', section: null }
+    ]);
+  });
+});
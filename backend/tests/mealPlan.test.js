@@ -0,0 +1,127 @@
+const {
+  isValidDate, addDays, daysBetween, startOfWeek, entryCalories, dailyTotals, escapeText, foldLine, buildCalendar
+} = require('../src/utils/mealPlan');
+
+const plannedEntry = (overrides = {}) => ({
+  id: 1,
+  recipeId: 7,
+  date: '2024-03-04',
+  meal: 'dinner',
+  servings: null,
+  updatedAt: 1709560000,
+  ...overrides,
+  recipe: { title: 'Pot Roast', servings: 6, estimatedCalories: 400, ...overrides.recipe }
+});
+
+describe('Meal plan dates', () => {
+  test('should accept only real YYYY-MM-DD dates', () => {
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2023-02-29')).toBe(false);
+    expect(isValidDate('2024-3-4')).toBe(false);
+    expect(isValidDate('2024-13-01')).toBe(false);
+    expect(isValidDate(null)).toBe(false);
+  });
+
+  test('should add days across months and years', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDays('2024-03-04', -7)).toBe('2024-02-26');
+  });
+
+  test('should count days between dates', () => {
+    expect(daysBetween('2024-02-26', '2024-03-04')).toBe(7);
+    expect(daysBetween('2024-03-04', '2024-03-01')).toBe(-3);
+    // Not thrown off by a daylight saving change
+    expect(daysBetween('2024-03-09', '2024-03-11')).toBe(2);
+  });
+
+  test('should find the Monday of a week', () => {
+    expect(startOfWeek('2024-03-04')).toBe('2024-03-04');
+    expect(startOfWeek('2024-03-07')).toBe('2024-03-04');
+    expect(startOfWeek('2024-03-10')).toBe('2024-03-04');
+  });
+});
+
+describe('Meal plan calories', () => {
+  test("should use the recipe's servings unless the entry overrides them", () => {
+    expect(entryCalories(plannedEntry())).toBe(2400);
+    expect(entryCalories(plannedEntry({ servings: 2 }))).toBe(800);
+  });
+
+  test('should count a recipe without servings once', () => {
+    expect(entryCalories(plannedEntry({ recipe: { servings: null } }))).toBe(400);
+    expect(entryCalories(plannedEntry({ servings: 4, recipe: { servings: null } }))).toBe(400);
+  });
+
+  test('should return null without an estimate', () => {
+    expect(entryCalories(plannedEntry({ recipe: { estimatedCalories: null } }))).toBeNull();
+  });
+
+  test('should total each day in the range, including empty days', () => {
+    const entries = [
+      plannedEntry(),
+      plannedEntry({ id: 2, meal: 'lunch', servings: 1, recipe: { estimatedCalories: 350 } }),
+      plannedEntry({ id: 3, meal: 'breakfast', recipe: { estimatedCalories: null } }),
+      plannedEntry({ id: 4, date: '2024-03-06', servings: 4 })
+    ];
+
+    expect(dailyTotals(entries, '2024-03-04', '2024-03-06')).toEqual([
+      { date: '2024-03-04', calories: 2750, caloriesPerServing: 750, notPerServing: 0, uncounted: 1 },
+      { date: '2024-03-05', calories: 0, caloriesPerServing: 0, notPerServing: 0, uncounted: 0 },
+      { date: '2024-03-06', calories: 1600, caloriesPerServing: 400, notPerServing: 0, uncounted: 0 }
+    ]);
+  });
+
+  test('should leave whole-recipe estimates out of the per-serving total', () => {
+    const entries = [
+      plannedEntry(),
+      plannedEntry({ id: 2, meal: 'lunch', servings: 4, recipe: { servings: null, estimatedCalories: 1200 } })
+    ];
+
+    expect(dailyTotals(entries, '2024-03-04', '2024-03-04')).toEqual([
+      { date: '2024-03-04', calories: 3600, caloriesPerServing: 400, notPerServing: 1, uncounted: 0 }
+    ]);
+  });
+});
+
+describe('iCalendar export', () => {
+  test('should escape text values', () => {
+    expect(escapeText('Soup; bread, butter\\jam\nand tea')).toBe('Soup\\; bread\\, butter\\\\jam\\nand tea');
+  });
+
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(50)}`).split('\r\n');
+
+    expect(folded.length).toBe(2);
+    expect(folded.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded[1].startsWith(' ')).toBe(true);
+    expect(folded.map((line, i) => (i > 0 ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${'é'.repeat(50)}`);
+  });
+
+  test('should build an event per entry at the meal time', () => {
+    const calendar = buildCalendar([plannedEntry({ recipe: { title: "Mom's Roast, with gravy" } })], {
+      name: 'Meal Plan',
+      recipeUrl: (id) => `https://recipes.example.com/recipe/${id}`
+    });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toContain('UID:meal-plan-1@moms-recipes');
+    expect(lines).toContain('DTSTART:20240304T180000');
+    expect(lines).toContain('DTSTAMP:20240304T134640Z');
+    expect(lines).toContain("SUMMARY:Dinner: Mom's Roast\\, with gravy");
+    expect(lines).toContain('DESCRIPTION:Serves 6\\nAbout 2400 calories');
+    expect(lines).toContain('URL:https://recipes.example.com/recipe/7');
+  });
+
+  test('should leave out details a recipe does not have', () => {
+    const calendar = buildCalendar([
+      plannedEntry({ meal: 'breakfast', recipe: { servings: null, estimatedCalories: null } })
+    ], { name: 'Meal Plan' });
+
+    expect(calendar).toContain('DTSTART:20240304T080000');
+    expect(calendar).not.toContain('DESCRIPTION');
+    expect(calendar).not.toContain('URL:');
+  });
+});
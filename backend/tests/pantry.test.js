@@ -0,0 +1,68 @@
+const { ingredientWords, satisfies, isStaple, scoreRecipe } = require('../src/utils/pantry');
+
+const matches = (recipeIngredient, pantryItem) =>
+  satisfies(ingredientWords(recipeIngredient), ingredientWords(pantryItem));
+
+describe('Pantry matching', () => {
+  test('should strip prep notes and plurals from ingredient names', () => {
+    expect(ingredientWords('Onions, finely chopped')).toEqual(['onion']);
+    expect(ingredientWords('tomatoes (canned)')).toEqual(['tomato']);
+  });
+
+  test('should let a more specific pantry item satisfy a general ingredient', () => {
+    expect(matches('chicken', 'chicken breast')).toBe(true);
+    expect(matches('yellow onion', 'onions')).toBe(true);
+    expect(matches('large eggs', 'eggs')).toBe(true);
+    expect(matches('eggs', 'egg')).toBe(true);
+    expect(matches('strawberries', 'strawberry')).toBe(true);
+  });
+
+  test('should let a plain pantry item cover a qualified ingredient', () => {
+    expect(matches('all-purpose flour', 'flour')).toBe(true);
+    expect(matches('fresh parsley', 'parsley')).toBe(true);
+    expect(matches('chopped onion', 'onion')).toBe(true);
+    expect(matches('minced garlic', 'garlic')).toBe(true);
+    expect(matches('unsalted butter', 'butter')).toBe(true);
+    expect(matches('extra virgin olive oil', 'olive oil')).toBe(true);
+    expect(matches('boneless skinless chicken breasts', 'chicken breast')).toBe(true);
+    expect(matches('peanut butter', 'creamy peanut butter')).toBe(true);
+  });
+
+  test('should not treat a modifier as the ingredient itself', () => {
+    expect(matches('chicken broth', 'chicken')).toBe(false);
+    expect(matches('rice vinegar', 'rice')).toBe(false);
+    expect(matches('peanut butter', 'butter')).toBe(false);
+    expect(matches('brown sugar', 'sugar')).toBe(false);
+    expect(matches('coconut milk', 'milk')).toBe(false);
+    expect(matches('almond flour', 'flour')).toBe(false);
+    expect(matches('cream cheese', 'cheese')).toBe(false);
+    expect(matches('red pepper', 'pepper')).toBe(false);
+    expect(matches('white chocolate', 'chocolate')).toBe(false);
+  });
+
+  test('should not let a compound pantry item cover its parts', () => {
+    expect(matches('chicken', 'chicken broth')).toBe(false);
+    expect(matches('butter', 'peanut butter')).toBe(false);
+    expect(matches('milk', 'coconut milk')).toBe(false);
+    expect(matches('flour', 'almond flour')).toBe(false);
+  });
+
+  test('should recognize pantry staples', () => {
+    expect(isStaple('Salt and pepper')).toBe(true);
+    expect(isStaple('Water, warm')).toBe(true);
+    expect(isStaple('sea salt flakes')).toBe(false);
+  });
+
+  test('should score recipes and list missing ingredients', () => {
+    const ingredients = [{ name: 'chicken' }, { name: 'rice' }, { name: 'salt' }, { name: 'soy sauce' }];
+
+    expect(scoreRecipe(ingredients, ['chicken thighs', 'rice'])).toEqual({
+      matchedCount: 2,
+      totalIngredients: 3,
+      missingIngredients: ['soy sauce'],
+      matchScore: 0.67
+    });
+    expect(scoreRecipe(ingredients, ['chicken thighs', 'rice'], { includeStaples: true }).missingIngredients)
+      .toEqual(['salt', 'soy sauce']);
+  });
+});
@@ -0,0 +1,37 @@
+const { normalizeAttributions, formatAttributionLines } = require('../src/utils/people');
+
+describe('Recipe attributions', () => {
+  test('should clean up attributions read by the AI parser', () => {
+    expect(normalizeAttributions([
+      { name: '  Ruth ', relation: 'Aunt', role: 'contributed' },
+      { name: 'Great-Grandma   Edna', relation: '', role: 'handed_down' }
+    ])).toEqual([
+      { name: 'Ruth', relation: 'Aunt', role: 'contributed' },
+      { name: 'Great-Grandma Edna', relation: null, role: 'handed_down' }
+    ]);
+  });
+
+  test('should read unknown roles as contributed and list a person once per role', () => {
+    expect(normalizeAttributions([
+      { name: 'Ruth', role: 'author' },
+      { name: 'ruth', role: 'contributed' },
+      { name: 'Ruth', role: 'handed_down' }
+    ])).toEqual([
+      { name: 'Ruth', relation: null, role: 'contributed' },
+      { name: 'Ruth', relation: null, role: 'handed_down' }
+    ]);
+  });
+
+  test('should drop entries without a name', () => {
+    expect(normalizeAttributions([{ name: '  ' }, { relation: 'Mom' }, null, 'Ruth'])).toEqual([]);
+    expect(normalizeAttributions(null)).toEqual([]);
+    expect(normalizeAttributions('Aunt Ruth')).toEqual([]);
+  });
+
+  test('should format one line per person', () => {
+    expect(formatAttributionLines([
+      { name: 'Ruth', role: 'contributed' },
+      { name: 'Edna', role: 'handed_down' }
+    ])).toEqual(['Contributed by Ruth', 'Handed down from Edna']);
+  });
+});
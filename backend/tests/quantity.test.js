@@ -0,0 +1,96 @@
+const {
+  parseQuantity,
+  parseServings,
+  formatQuantity,
+  inflectUnit,
+  scaleQuantity,
+  scaleIngredient
+} = require('../src/utils/quantity');
+
+describe('Quantity parsing', () => {
+  test('should parse whole numbers, fractions and decimals', () => {
+    expect(parseQuantity('2')).toMatchObject({ min: 2, max: 2 });
+    expect(parseQuantity('3/4')).toMatchObject({ min: 0.75, max: 0.75 });
+    expect(parseQuantity('1.5')).toMatchObject({ min: 1.5, decimal: true });
+  });
+
+  test('should parse mixed numbers and unicode fractions', () => {
+    expect(parseQuantity('1 1/2').min).toBe(1.5);
+    expect(parseQuantity('1-1/2').min).toBe(1.5);
+    expect(parseQuantity('½').min).toBe(0.5);
+    expect(parseQuantity('1½').min).toBe(1.5);
+    expect(parseQuantity('2 ¾').min).toBe(2.75);
+  });
+
+  test('should parse ranges', () => {
+    expect(parseQuantity('2-3')).toMatchObject({ min: 2, max: 3 });
+    expect(parseQuantity('2 to 3')).toMatchObject({ min: 2, max: 3 });
+    expect(parseQuantity('1/2–1')).toMatchObject({ min: 0.5, max: 1 });
+  });
+
+  test('should keep text after the amount', () => {
+    expect(parseQuantity('2 large')).toMatchObject({ min: 2, rest: 'large' });
+  });
+
+  test('should return null when there is no amount', () => {
+    expect(parseQuantity('to taste')).toBeNull();
+    expect(parseQuantity('')).toBeNull();
+    expect(parseQuantity(null)).toBeNull();
+    expect(parseQuantity('1/0')).toBeNull();
+  });
+
+  test('should read servings from imported yields', () => {
+    expect(parseServings(4)).toBe(4);
+    expect(parseServings('Serves 6-8')).toBe(6);
+    expect(parseServings('')).toBeNull();
+    expect(parseServings('a crowd')).toBeNull();
+    expect(parseServings(0)).toBeNull();
+  });
+});
+
+describe('Quantity formatting', () => {
+  test('should round to common kitchen fractions', () => {
+    expect(formatQuantity(0.333)).toBe('1/3');
+    expect(formatQuantity(0.66)).toBe('2/3');
+    expect(formatQuantity(2.5)).toBe('2 1/2');
+    expect(formatQuantity(1.97)).toBe('2');
+  });
+
+  test('should never round a small amount down to zero', () => {
+    expect(formatQuantity(0.02)).toBe('1/8');
+  });
+
+  test('should use coarser rounding for large amounts', () => {
+    expect(formatQuantity(12.3)).toBe('12 1/2');
+    expect(formatQuantity(83.33)).toBe('83');
+  });
+
+  test('should write decimals when asked', () => {
+    expect(formatQuantity(0.333, { decimal: true })).toBe('0.33');
+    expect(formatQuantity(2.25, { decimal: true })).toBe('2.3');
+  });
+});
+
+describe('Quantity scaling', () => {
+  test('should scale amounts and ranges', () => {
+    expect(scaleQuantity('1 1/2', 2)).toBe('3');
+    expect(scaleQuantity('2-3', 2)).toBe('4-6');
+    expect(scaleQuantity('2 large', 1.5)).toBe('3 large');
+    expect(scaleQuantity('to taste', 2)).toBeNull();
+  });
+
+  test('should switch units between singular and plural', () => {
+    expect(inflectUnit('cup', true)).toBe('cups');
+    expect(inflectUnit('Tablespoons', false)).toBe('Tablespoon');
+    expect(inflectUnit('g', true)).toBe('g');
+  });
+
+  test('should scale ingredients and flag ones it cannot scale', () => {
+    expect(scaleIngredient({ name: 'flour', quantity: '1', unit: 'cup' }, 3))
+      .toEqual({ name: 'flour', quantity: '3', unit: 'cups', scaled: true });
+    expect(scaleIngredient({ name: 'sugar', quantity: '2', unit: 'cups' }, 1 / 4))
+      .toEqual({ name: 'sugar', quantity: '1/2', unit: 'cup', scaled: true });
+    expect(scaleIngredient({ name: 'salt', quantity: 'a pinch', unit: null }, 2))
+      .toEqual({ name: 'salt', quantity: 'a pinch', unit: null, scaled: false });
+  });
+});
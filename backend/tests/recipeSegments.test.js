@@ -0,0 +1,125 @@
+const {
+  isIngredientLine,
+  isTitleLine,
+  looksLikeHeading,
+  splitRecipeSegments
+} = require('../src/utils/recipeSegments');
+
+const PIE_CRUST = [
+  'PIE CRUST',
+  'Ingredients',
+  '2 1/2 cups flour',
+  '1 tsp salt',
+  '1 cup cold butter',
+  'Directions',
+  '1. Mix the flour and salt.',
+  '2. Cut in the butter until crumbly.'
+].join('\n');
+
+const LEMON_BARS = [
+  "Grandma's Lemon Bars",
+  'Makes 24 bars',
+  '- 1 cup butter, softened',
+  '- 2 cups sugar',
+  '- 4 eggs',
+  'Cream the butter and sugar, then beat in the eggs one at a time.',
+  'Bake at 350°F for 20 minutes.'
+].join('\n');
+
+describe('Recipe segments', () => {
+  test('should recognize ingredient lines', () => {
+    expect(isIngredientLine('2 cups flour')).toBe(true);
+    expect(isIngredientLine('- ½ tsp salt')).toBe(true);
+    expect(isIngredientLine('1 1/2 cups milk')).toBe(true);
+    expect(isIngredientLine('1. Mix the flour and salt.')).toBe(false);
+    expect(isIngredientLine('12')).toBe(false);
+  });
+
+  test('should recognize title lines', () => {
+    expect(isTitleLine("Aunt Ruth's Pound Cake")).toBe(true);
+    expect(isTitleLine('PIE CRUST')).toBe(true);
+    expect(isTitleLine('Ingredients')).toBe(false);
+    expect(isTitleLine('Serves 4')).toBe(false);
+    expect(isTitleLine('Bake until golden.')).toBe(false);
+    expect(isTitleLine('2 cups flour')).toBe(false);
+    expect(isTitleLine('Page 12')).toBe(false);
+  });
+
+  test('should tell headings from plain lines', () => {
+    expect(looksLikeHeading('PIE CRUST')).toBe(true);
+    expect(looksLikeHeading('Chicken and Dumplings')).toBe(true);
+    expect(looksLikeHeading('serve with whipped cream')).toBe(false);
+  });
+
+  test('should keep a single recipe as one segment', () => {
+    const segments = splitRecipeSegments([{ num: 1, text: PIE_CRUST }]);
+
+    expect(segments).toEqual([{ text: PIE_CRUST, pageStart: 1, pageEnd: 1 }]);
+  });
+
+  test('should keep text without any recipe structure as one segment', () => {
+    const segments = splitRecipeSegments(['A note from Mom about the holidays.']);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].text).toBe('A note from Mom about the holidays.');
+  });
+
+  test('should split two recipes on one page at the second title', () => {
+    const segments = splitRecipeSegments([`${PIE_CRUST}\n\n${LEMON_BARS}`]);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0].text).toBe(PIE_CRUST);
+    expect(segments[1].text).toBe(LEMON_BARS);
+    expect(segments[1]).toMatchObject({ pageStart: 1, pageEnd: 1 });
+  });
+
+  test('should give each recipe its own page range', () => {
+    const segments = splitRecipeSegments([
+      { num: 1, text: PIE_CRUST },
+      { num: 2, text: LEMON_BARS }
+    ]);
+
+    expect(segments.map(({ pageStart, pageEnd }) => [pageStart, pageEnd])).toEqual([[1, 1], [2, 2]]);
+  });
+
+  test('should keep a recipe continued on the next page together', () => {
+    const segments = splitRecipeSegments([
+      { num: 1, text: 'PIE CRUST\nIngredients\n2 1/2 cups flour\n1 tsp salt' },
+      { num: 2, text: '1 cup cold butter\nDirections\n1. Mix the flour and salt.' },
+      { num: 3, text: LEMON_BARS }
+    ]);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0]).toMatchObject({ pageStart: 1, pageEnd: 2 });
+    expect(segments[0].text).toContain('1. Mix the flour and salt.');
+    expect(segments[1]).toMatchObject({ pageStart: 3, pageEnd: 3 });
+  });
+
+  test('should not split on an ingredient list broken up by section headings', () => {
+    const text = [
+      'Strawberry Pie',
+      'For the crust:',
+      '1 cup flour',
+      '1/2 cup butter',
+      'For the filling:',
+      '4 cups strawberries',
+      '1 cup sugar',
+      'Bake the crust, then fill it with the berries and sugar.'
+    ].join('\n');
+
+    expect(splitRecipeSegments([text])).toHaveLength(1);
+  });
+
+  test('should find an unstyled title that follows a finished recipe', () => {
+    const second = 'mom\'s meatloaf\n2 lbs ground beef\n1 cup bread crumbs\nMix everything and bake for an hour.';
+    const segments = splitRecipeSegments([`${PIE_CRUST}\n${second}`]);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[1].text).toBe(second);
+  });
+
+  test('should handle empty input', () => {
+    expect(splitRecipeSegments([])).toEqual([]);
+    expect(splitRecipeSegments(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+const { diffLines, diffSnapshots } = require('../src/utils/revisions');
+
+describe('Recipe revisions', () => {
+  const original = {
+    title: "Grandma's Apple Pie",
+    source: 'Grandma Rose',
+    servings: 8,
+    prepTimeMinutes: 30,
+    ingredients: [
+      { name: 'flour', quantity: '2', unit: 'cups', section: 'For the crust' },
+      { name: 'butter', quantity: '1', unit: 'cup', section: 'For the crust' },
+      { name: 'apples', quantity: '6', unit: null, section: 'For the filling' }
+    ],
+    steps: [
+      { section: null, text: 'Make the crust' },
+      { section: null, text: 'Bake for 45 minutes' }
+    ],
+    tags: ['pie', 'dessert']
+  };
+
+  test('should diff lines, keeping what is unchanged', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'c', 'd'])).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+    expect(diffLines([], ['a'])).toEqual([{ type: 'added', text: 'a' }]);
+    expect(diffLines(['a'], [])).toEqual([{ type: 'removed', text: 'a' }]);
+  });
+
+  test('should show a reworded line as removed then added', () => {
+    expect(diffLines(['1 cup sugar', 'salt'], ['3/4 cup sugar', 'salt'])).toEqual([
+      { type: 'removed', text: '1 cup sugar' },
+      { type: 'added', text: '3/4 cup sugar' },
+      { type: 'same', text: 'salt' }
+    ]);
+  });
+
+  test('should report only the fields that changed', () => {
+    const edited = {
+      ...original,
+      title: 'Apple Pie',
+      servings: 10,
+      ingredients: [
+        ...original.ingredients.slice(0, 2),
+        { name: 'apples', quantity: '8', unit: null, section: 'For the filling' }
+      ]
+    };
+
+    const changes = diffSnapshots(original, edited);
+
+    expect(changes.map(change => change.field)).toEqual(['title', 'servings', 'ingredients']);
+    expect(changes[0]).toEqual({ field: 'title', label: 'Title', before: "Grandma's Apple Pie", after: 'Apple Pie' });
+    expect(changes[2].lines).toEqual([
+      { type: 'same', text: 'For the crust:' },
+      { type: 'same', text: '2 cups flour' },
+      { type: 'same', text: '1 cup butter' },
+      { type: 'same', text: 'For the filling:' },
+      { type: 'removed', text: '6 apples' },
+      { type: 'added', text: '8 apples' }
+    ]);
+  });
+
+  test('should treat blank values alike and ignore tag order', () => {
+    const changes = diffSnapshots(
+      { ...original, source: '' },
+      { ...original, source: null, tags: ['dessert', 'pie'] }
+    );
+
+    expect(changes).toEqual([]);
+  });
+
+  test('should compare instructions text when a snapshot has no steps', () => {
+    const changes = diffSnapshots(
+      { ...original, steps: [], instructions: '1. Make the crust\n2. Bake for 40 minutes' },
+      original
+    );
+
+    expect(changes).toEqual([{
+      field: 'steps',
+      label: 'Instructions',
+      lines: [
+        { type: 'same', text: 'Make the crust' },
+        { type: 'removed', text: 'Bake for 40 minutes' },
+        { type: 'added', text: 'Bake for 45 minutes' }
+      ]
+    }]);
+  });
+});
@@ -0,0 +1,40 @@
+const { tokenize, buildBooleanQuery, buildSnippet } = require('../src/utils/search');
+
+describe('Search helpers', () => {
+  test('should tokenize queries and strip boolean operators', () => {
+    expect(tokenize('Chicken +soup -"noodle" (mom\'s)')).toEqual(['chicken', 'soup', 'noodle', 'mom']);
+    expect(tokenize('a I')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('should build prefix terms with plural stemming', () => {
+    expect(buildBooleanQuery(['tomatoes', 'cookies', 'eggs', 'dish'])).toBe('tomato* cookie* egg* dish*');
+    expect(buildBooleanQuery(['berries'])).toBe(buildBooleanQuery(['berry']));
+    expect(buildBooleanQuery(['cherries', 'pies'])).toBe('cherr* pie*');
+  });
+
+  test('should build a snippet with highlight offsets', () => {
+    const snippet = buildSnippet({
+      ingredients: 'flour, sugar',
+      instructions: 'Brown the chicken, then add the chickens stock.'
+    }, tokenize('chicken'));
+
+    expect(snippet.field).toBe('instructions');
+    expect(snippet.highlights.map(([start, end]) => snippet.text.slice(start, end)))
+      .toEqual(['chicken', 'chickens']);
+  });
+
+  test('should trim long fields around the first match', () => {
+    const filler = 'stir well and wait. '.repeat(20);
+    const snippet = buildSnippet({ instructions: `${filler}Fold in the blueberries. ${filler}` }, ['blueberries']);
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    const [start, end] = snippet.highlights[0];
+    expect(snippet.text.slice(start, end)).toBe('blueberries');
+  });
+
+  test('should return null when nothing matches', () => {
+    expect(buildSnippet({ instructions: 'Bake until golden' }, ['chicken'])).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+const {
+  CATEGORIES, categorize, shoppingKey, cleanName, combineIngredients, itemLabel, formatListText
+} = require('../src/utils/shoppingList');
+
+const recipe = (title, ingredients, factor = 1) => ({
+  title,
+  factor,
+  ingredients: ingredients.map(([quantity, unit, name]) => ({ quantity, unit, name }))
+});
+
+const itemNamed = (items, name) => items.find(item => item.name.toLowerCase() === name);
+
+describe('Store aisles', () => {
+  test('should put ingredients in their aisle', () => {
+    expect(categorize('Yellow onions, chopped')).toBe('Produce');
+    expect(categorize('ground beef')).toBe('Meat & Seafood');
+    expect(categorize('large eggs')).toBe('Dairy & Eggs');
+    expect(categorize('all-purpose flour')).toBe('Baking');
+    expect(categorize('ground cinnamon')).toBe('Spices & Seasonings');
+    expect(categorize('something unusual')).toBe('Other');
+  });
+
+  test('should prefer the more specific keyword', () => {
+    expect(categorize('peanut butter')).toBe('Pantry');
+    expect(categorize('red bell pepper')).toBe('Produce');
+    expect(categorize('black pepper')).toBe('Spices & Seasonings');
+  });
+
+  test('should go by what the ingredient is, not what it is made from', () => {
+    expect(categorize('chicken broth')).toBe('Canned & Jarred');
+    expect(categorize('chicken breasts')).toBe('Meat & Seafood');
+  });
+
+  test('should send frozen and canned goods to their aisles', () => {
+    expect(categorize('frozen peas')).toBe('Frozen');
+    expect(categorize('canned corn')).toBe('Canned & Jarred');
+    expect(categorize('diced tomatoes', '(14 oz) cans')).toBe('Canned & Jarred');
+  });
+
+  test('should only use known aisles', () => {
+    ['milk', 'bread', 'rice', 'coffee', 'mystery'].forEach(name => {
+      expect(CATEGORIES).toContain(categorize(name));
+    });
+  });
+});
+
+describe('Shopping list names', () => {
+  test('should ignore prep and size words when matching ingredients', () => {
+    expect(shoppingKey('Onions, finely chopped')).toBe(shoppingKey('large onion'));
+    expect(shoppingKey('minced garlic')).toBe(shoppingKey('garlic'));
+    expect(shoppingKey('brown sugar')).not.toBe(shoppingKey('sugar'));
+  });
+
+  test('should drop prep notes and parentheticals from names', () => {
+    expect(cleanName('Onions (about 2), finely chopped')).toBe('Onions');
+    expect(cleanName('  butter ')).toBe('butter');
+  });
+});
+
+describe('Combining ingredients', () => {
+  test('should add up the same ingredient across recipes', () => {
+    const items = combineIngredients([
+      recipe('Pancakes', [['1', 'cup', 'milk']]),
+      recipe('Muffins', [['1', 'cup', 'milk']])
+    ]);
+
+    expect(items).toEqual([
+      { name: 'milk', quantity: '2 cups', category: 'Dairy & Eggs', source: 'Pancakes, Muffins' }
+    ]);
+  });
+
+  test('should convert units before adding', () => {
+    const items = combineIngredients([
+      recipe('Pancakes', [['1', 'cup', 'milk'], ['8', 'oz', 'cheddar']]),
+      recipe('Gravy', [['4', 'tbsp', 'milk'], ['1', 'lb', 'cheddar']])
+    ]);
+
+    expect(itemNamed(items, 'milk').quantity).toBe('1 1/4 cups');
+    expect(itemNamed(items, 'cheddar').quantity).toBe('1 1/2 lb');
+  });
+
+  test('should keep metric amounts metric', () => {
+    const items = combineIngredients([
+      recipe('Bread', [['500', 'g', 'flour']]),
+      recipe('Cake', [['0.75', 'kg', 'flour']])
+    ]);
+
+    expect(itemNamed(items, 'flour').quantity).toBe('1.25 kg');
+  });
+
+  test('should scale each recipe by its factor', () => {
+    const items = combineIngredients([
+      recipe('Omelette', [['2', null, 'eggs']], 2),
+      recipe('Omelette', [['2', null, 'eggs']], 0.5)
+    ]);
+
+    expect(itemNamed(items, 'eggs').quantity).toBe('5');
+    expect(itemNamed(items, 'eggs').source).toBe('Omelette');
+  });
+
+  test('should count things without a measurable unit', () => {
+    const items = combineIngredients([
+      recipe('Soup', [['2', 'cloves', 'garlic'], ['1', null, 'onion, diced']]),
+      recipe('Stew', [['1', 'clove', 'garlic, minced'], ['2', 'large', 'onions']])
+    ]);
+
+    expect(itemNamed(items, 'garlic').quantity).toBe('3 cloves');
+    expect(itemNamed(items, 'onion').quantity).toBe('3');
+  });
+
+  test('should list amounts that cannot be added together side by side', () => {
+    const items = combineIngredients([
+      recipe('Cookies', [['1', 'stick', 'butter']]),
+      recipe('Frosting', [['1/2', 'cup', 'butter']])
+    ]);
+
+    expect(itemNamed(items, 'butter').quantity).toBe('1 stick + 1/2 cup');
+  });
+
+  test('should add up ranges', () => {
+    const items = combineIngredients([
+      recipe('Stew', [['2-3', null, 'carrots']]),
+      recipe('Salad', [['1', null, 'carrot']])
+    ]);
+
+    expect(itemNamed(items, 'carrots').quantity).toBe('3-4');
+  });
+
+  test('should keep ingredients without an amount, without a quantity', () => {
+    const items = combineIngredients([recipe('Soup', [['to taste', null, 'salt']])]);
+    expect(itemNamed(items, 'salt').quantity).toBeNull();
+  });
+
+  test('should leave off water and ice', () => {
+    const items = combineIngredients([
+      recipe('Soup', [['4', 'cups', 'water'], ['1', 'cup', 'boiling water'], ['2', 'cups', 'ice'], ['1', 'cup', 'coconut water']])
+    ]);
+
+    expect(items.map(item => item.name)).toEqual(['coconut water']);
+  });
+
+  test('should sort by aisle, then name', () => {
+    const items = combineIngredients([
+      recipe('Dinner', [['1', null, 'onion'], ['1', 'cup', 'rice'], ['1', 'lb', 'chicken'], ['2', null, 'apples']])
+    ]);
+
+    expect(items.map(item => item.name)).toEqual(['apples', 'onion', 'chicken', 'rice']);
+  });
+});
+
+describe('Plain-text export', () => {
+  test('should label items with their quantity', () => {
+    expect(itemLabel({ name: 'milk', quantity: '2 cups' })).toBe('2 cups milk');
+    expect(itemLabel({ name: 'salt', quantity: null })).toBe('salt');
+  });
+
+  test('should list items by aisle with checkboxes', () => {
+    const text = formatListText({
+      name: 'Weekend',
+      items: [
+        { name: 'milk', quantity: '2 cups', category: 'Dairy & Eggs', checked: true },
+        { name: 'onion', quantity: '3', category: 'Produce', checked: false },
+        { name: 'birthday candles', quantity: null, category: 'Other', checked: false }
+      ]
+    });
+
+    expect(text).toBe([
+      'Weekend',
+      '',
+      'Produce',
+      '[ ] 3 onion',
+      '',
+      'Dairy & Eggs',
+      '[x] 2 cups milk',
+      '',
+      'Other',
+      '[ ] birthday candles',
+      ''
+    ].join('\n'));
+  });
+});
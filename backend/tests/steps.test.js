@@ -0,0 +1,91 @@
+const {
+  detectStepTimer,
+  splitInstructions,
+  formatSteps,
+  normalizeSteps
+} = require('../src/utils/steps');
+
+describe('Step timers', () => {
+  test('should read minutes, hours and seconds', () => {
+    expect(detectStepTimer('Bake for 25 minutes')).toBe(1500);
+    expect(detectStepTimer('Simmer 1 1/2 hours')).toBe(5400);
+    expect(detectStepTimer('Boil 30 seconds')).toBe(30);
+    expect(detectStepTimer('Roast 1 hour 15 mins')).toBe(4500);
+  });
+
+  test('should use the low end of a range', () => {
+    expect(detectStepTimer('Bake 25-30 minutes until golden')).toBe(1500);
+    expect(detectStepTimer('Simmer 2 to 3 hours')).toBe(7200);
+  });
+
+  test('should return null when the step has no duration', () => {
+    expect(detectStepTimer('Preheat the oven to 350 degrees')).toBeNull();
+    expect(detectStepTimer('')).toBeNull();
+  });
+});
+
+describe('Splitting instructions', () => {
+  test('should split numbered lines and join wrapped lines', () => {
+    const steps = splitInstructions('1. Preheat oven to 350.\n2. Mix flour and sugar\nuntil combined.\nStep 3: Bake 20 minutes.');
+
+    expect(steps).toEqual([
+      { section: null, text: 'Preheat oven to 350.', timerSeconds: null },
+      { section: null, text: 'Mix flour and sugar until combined.', timerSeconds: null },
+      { section: null, text: 'Bake 20 minutes.', timerSeconds: 1200 }
+    ]);
+  });
+
+  test('should treat each line as a step when nothing is numbered', () => {
+    expect(splitInstructions('Mix it all.\n\nBake until golden.').map(step => step.text))
+      .toEqual(['Mix it all.', 'Bake until golden.']);
+  });
+
+  test('should split inline numbering without breaking on temperatures', () => {
+    expect(splitInstructions('1. Mix everything. 2. Bake at 350. 3. Cool.').map(step => step.text))
+      .toEqual(['Mix everything.', 'Bake at 350.', 'Cool.']);
+  });
+
+  test('should keep an unnumbered paragraph as one step', () => {
+    expect(splitInstructions('Mix everything and bake at 350 until done.')).toHaveLength(1);
+  });
+
+  test('should assign heading lines as sections', () => {
+    const steps = splitInstructions('1. Make the dough.\n\nFor the glaze:\n2. Whisk sugar and milk.');
+
+    expect(steps.map(step => step.section)).toEqual([null, 'For the glaze']);
+  });
+
+  test('should return no steps for empty instructions', () => {
+    expect(splitInstructions(null)).toEqual([]);
+    expect(splitInstructions('   ')).toEqual([]);
+  });
+});
+
+describe('Formatting steps', () => {
+  test('should write numbered steps that split back the same way', () => {
+    const steps = [
+      { section: null, text: 'Make the dough.', timerSeconds: null },
+      { section: 'Filling', text: 'Mix apples and sugar:', timerSeconds: null },
+      { section: 'Filling', text: 'Bake 45 minutes.', timerSeconds: 2700 }
+    ];
+
+    const text = formatSteps(steps);
+    expect(text).toBe('1. Make the dough.\n\nFilling:\n2. Mix apples and sugar:\n3. Bake 45 minutes.');
+    expect(splitInstructions(text)).toEqual(steps);
+  });
+
+  test('should normalize steps before saving', () => {
+    expect(normalizeSteps([
+      { text: '  Bake\n 20 minutes ', section: ' Cake: ' },
+      { text: 'Cool', timerSeconds: 600 },
+      { text: 'Serve 5 minutes later', timerSeconds: null },
+      'Slice',
+      { text: '   ' }
+    ])).toEqual([
+      { section: 'Cake', text: 'Bake 20 minutes', timerSeconds: 1200 },
+      { section: null, text: 'Cool', timerSeconds: 600 },
+      { section: null, text: 'Serve 5 minutes later', timerSeconds: null },
+      { section: null, text: 'Slice', timerSeconds: null }
+    ]);
+  });
+});
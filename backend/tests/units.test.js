@@ -0,0 +1,113 @@
+const {
+  findUnit,
+  normalizeUnit,
+  normalizeIngredientUnits,
+  findDensity,
+  convertIngredient
+} = require('../src/utils/units');
+
+describe('Unit normalization', () => {
+  test('should map aliases to canonical units', () => {
+    expect(findUnit('Tablespoons')).toBe('tbsp');
+    expect(findUnit('tbs')).toBe('tbsp');
+    expect(findUnit('fl. oz.')).toBe('fl oz');
+    expect(findUnit('Grams')).toBe('g');
+    expect(findUnit('lbs')).toBe('lb');
+    expect(findUnit('cloves')).toBeNull();
+  });
+
+  test('should tell T (tablespoon) from t (teaspoon)', () => {
+    expect(findUnit('T')).toBe('tbsp');
+    expect(findUnit('t')).toBe('tsp');
+  });
+
+  test('should pick singular or plural for word units', () => {
+    expect(normalizeUnit('cup', '2')).toBe('cups');
+    expect(normalizeUnit('Cups', '1/2')).toBe('cup');
+    expect(normalizeUnit('teaspoons', '2')).toBe('tsp');
+  });
+
+  test('should leave units it does not know as entered', () => {
+    expect(normalizeUnit('  cloves ', '2')).toBe('cloves');
+    expect(normalizeUnit(null, '2')).toBeNull();
+  });
+
+  test('should normalize a list of ingredients', () => {
+    expect(normalizeIngredientUnits([{ name: 'sugar', quantity: '1', unit: 'Tablespoon' }]))
+      .toEqual([{ name: 'sugar', quantity: '1', unit: 'tbsp' }]);
+  });
+});
+
+describe('Ingredient densities', () => {
+  test('should prefer the most specific match', () => {
+    expect(findDensity('brown sugar, packed')).toBe(213);
+    expect(findDensity('granulated sugar')).toBe(200);
+    expect(findDensity('peanut butter')).toBe(270);
+    expect(findDensity('unsalted butter, softened')).toBe(227);
+  });
+
+  test('should not match unrelated ingredients', () => {
+    expect(findDensity('buttermilk')).toBeNull();
+    expect(findDensity('chicken breast')).toBeNull();
+  });
+
+  test('should not weigh liquids like the ingredient they are made from', () => {
+    expect(findDensity('almond milk')).toBeNull();
+    expect(findDensity('oat milk')).toBeNull();
+    expect(findDensity('rice vinegar')).toBeNull();
+    expect(findDensity('sugar water')).toBeNull();
+    expect(convertIngredient({ name: 'almond milk', quantity: '1', unit: 'cup' }, 'metric'))
+      .toMatchObject({ quantity: '235', unit: 'ml' });
+  });
+
+  test('should still match qualified names of a staple', () => {
+    expect(findDensity('finely chopped walnuts')).toBe(113);
+    expect(findDensity('shredded cheddar cheese')).toBe(113);
+    expect(findDensity('grated Parmesan cheese')).toBe(100);
+    expect(findDensity('long grain white rice')).toBe(190);
+  });
+});
+
+describe('Unit conversion', () => {
+  test('should convert cups of baking staples to grams', () => {
+    expect(convertIngredient({ name: 'all-purpose flour', quantity: '1', unit: 'cup' }, 'metric'))
+      .toMatchObject({ quantity: '120', unit: 'g', converted: true });
+  });
+
+  test('should convert liquids to ml and large amounts to litres', () => {
+    expect(convertIngredient({ name: 'milk', quantity: '2', unit: 'cups' }, 'metric'))
+      .toMatchObject({ quantity: '475', unit: 'ml' });
+    expect(convertIngredient({ name: 'stock', quantity: '1 1/2', unit: 'quarts' }, 'metric'))
+      .toMatchObject({ quantity: '1.42', unit: 'l' });
+  });
+
+  test('should convert weights', () => {
+    expect(convertIngredient({ name: 'ground beef', quantity: '1', unit: 'lb' }, 'metric'))
+      .toMatchObject({ quantity: '455', unit: 'g' });
+    expect(convertIngredient({ name: 'ground beef', quantity: '500', unit: 'g' }, 'imperial'))
+      .toMatchObject({ quantity: '1 1/8', unit: 'lb' });
+  });
+
+  test('should convert metric to US measures', () => {
+    expect(convertIngredient({ name: 'sugar', quantity: '200', unit: 'g' }, 'imperial'))
+      .toMatchObject({ quantity: '1', unit: 'cup' });
+    expect(convertIngredient({ name: 'milk', quantity: '500', unit: 'ml' }, 'imperial'))
+      .toMatchObject({ quantity: '2 1/8', unit: 'cups' });
+    expect(convertIngredient({ name: 'vanilla', quantity: '10', unit: 'ml' }, 'imperial'))
+      .toMatchObject({ quantity: '2', unit: 'tsp' });
+  });
+
+  test('should convert ranges', () => {
+    expect(convertIngredient({ name: 'milk', quantity: '1-2', unit: 'cups' }, 'metric'))
+      .toMatchObject({ quantity: '235-475', unit: 'ml' });
+  });
+
+  test('should leave spoons and unmeasurable units alone', () => {
+    expect(convertIngredient({ name: 'salt', quantity: '1', unit: 'tsp' }, 'metric'))
+      .toMatchObject({ quantity: '1', unit: 'tsp', converted: false });
+    expect(convertIngredient({ name: 'eggs', quantity: '2', unit: 'large' }, 'metric'))
+      .toMatchObject({ quantity: '2', unit: 'large', converted: false });
+    expect(convertIngredient({ name: 'flour', quantity: '1', unit: 'cup' }, 'imperial'))
+      .toMatchObject({ quantity: '1', unit: 'cup', converted: false });
+  });
+});
@@ -0,0 +1,58 @@
+const UrlScraper = require('../src/services/urlScraper');
+
+describe('JSON-LD instructions', () => {
+  test('should map each HowToStep to one step', () => {
+    const steps = UrlScraper.extractInstructionSteps([
+      { '@type': 'HowToStep', text: 'Preheat the oven.' },
+      { '@type': 'HowToStep', text: 'Mix the flour\nand sugar.' },
+      { '@type': 'HowToStep', text: 'Bake 30 minutes.' }
+    ]);
+
+    expect(steps).toEqual([
+      { section: null, text: 'Preheat the oven.', timerSeconds: null },
+      { section: null, text: 'Mix the flour and sugar.', timerSeconds: null },
+      { section: null, text: 'Bake 30 minutes.', timerSeconds: 1800 }
+    ]);
+  });
+
+  test('should use HowToSection names as step sections', () => {
+    const steps = UrlScraper.extractInstructionSteps([
+      {
+        '@type': 'HowToSection',
+        name: 'Crust',
+        itemListElement: [
+          { '@type': 'HowToStep', text: 'Cut in the butter.' },
+          { '@type': 'HowToStep', text: 'Chill 1 hour.' }
+        ]
+      },
+      {
+        '@type': 'HowToSection',
+        name: 'Filling',
+        itemListElement: ['Toss the apples.']
+      }
+    ]);
+
+    expect(steps.map(({ section, text }) => [section, text])).toEqual([
+      ['Crust', 'Cut in the butter.'],
+      ['Crust', 'Chill 1 hour.'],
+      ['Filling', 'Toss the apples.']
+    ]);
+  });
+
+  test('should keep one step per HowToStep through the pending text format', () => {
+    const recipe = UrlScraper.normalizeStructuredRecipe({
+      name: 'Pie',
+      recipeInstructions: [
+        { '@type': 'HowToStep', text: 'Step one: make the dough.' },
+        { '@type': 'HowToStep', text: '350 degrees is the oven temperature.' }
+      ]
+    });
+
+    expect(recipe.instructions).toBe('1. Step one: make the dough.\n2. 350 degrees is the oven temperature.');
+  });
+
+  test('should split a plain text block', () => {
+    expect(UrlScraper.extractInstructionSteps('1. Mix.\n2. Bake.').map(step => step.text))
+      .toEqual(['Mix.', 'Bake.']);
+  });
+});
@@ -5,13 +5,27 @@ import Header from './components/Header';
 import AdminLayout from './components/AdminLayout';
 import Home from './pages/Home';
 import RecipeDetail from './pages/RecipeDetail';
+import PantrySearch from './pages/PantrySearch';
+import People from './pages/People';
+import PersonDetail from './pages/PersonDetail';
+import MealPlan from './pages/MealPlan';
+import ShoppingLists from './pages/ShoppingLists';
+import ShoppingList from './pages/ShoppingList';
 import RecipeForm from './pages/RecipeForm';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/admin/Dashboard';
 import AdminRecipes from './pages/admin/AdminRecipes';
+import MergeRecipes from './pages/admin/MergeRecipes';
+import RecipeHistory from './pages/admin/RecipeHistory';
+import Trash from './pages/admin/Trash';
+import IngredientCatalog from './pages/admin/IngredientCatalog';
 import PdfUpload from './pages/admin/PdfUpload';
 import UrlImport from './pages/admin/UrlImport';
+import ImageImport from './pages/admin/ImageImport';
+import ImportJobs from './pages/admin/ImportJobs';
+import BulkImport from './pages/admin/BulkImport';
+import ImportBatch from './pages/admin/ImportBatch';
 import PendingRecipes from './pages/admin/PendingRecipes';
 import PendingRecipeReview from './pages/admin/PendingRecipeReview';
 import AISettings from './pages/admin/AISettings';
@@ -32,10 +46,37 @@ function App() {
             {/* Public routes */}
             <Route path="/" element={<Home />} />
             <Route path="/recipe/:id" element={<RecipeDetail />} />
+            <Route path="/pantry" element={<PantrySearch />} />
+            <Route path="/people" element={<People />} />
+            <Route path="/people/:id" element={<PersonDetail />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
 
             {/* User routes (protected - any logged in user) */}
+            <Route
+              path="/meal-plan"
+              element={
+                <ProtectedRoute>
+                  <MealPlan />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/shopping-lists"
+              element={
+                <ProtectedRoute>
+                  <ShoppingLists />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/shopping-lists/:id"
+              element={
+                <ProtectedRoute>
+                  <ShoppingList />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/dashboard"
               element={
@@ -90,6 +131,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/recipes/:id/merge"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <MergeRecipes />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/recipes/:id/history"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <RecipeHistory />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/trash"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <Trash />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/ingredients"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <IngredientCatalog />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin/upload"
               element={
@@ -110,6 +191,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/import-image"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <ImageImport />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/bulk-import"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <BulkImport />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/import-batches/:id"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <ImportBatch />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/jobs"
+              element={
+                <ProtectedRoute requireAdmin={true}>
+                  <AdminLayout>
+                    <ImportJobs />
+                  </AdminLayout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/admin/pending"
               element={
@@ -47,6 +47,30 @@ function AdminLayout({ children }) {
             <span className="sidebar-text">Import from URL</span>
           </NavLink>
 
+          <NavLink
+            to="/admin/import-image"
+            className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
+          >
+            <span className="sidebar-icon">📷</span>
+            <span className="sidebar-text">Import from Photo</span>
+          </NavLink>
+
+          <NavLink
+            to="/admin/bulk-import"
+            className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
+          >
+            <span className="sidebar-icon">📦</span>
+            <span className="sidebar-text">Bulk Import</span>
+          </NavLink>
+
+          <NavLink
+            to="/admin/jobs"
+            className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
+          >
+            <span className="sidebar-icon">⏳</span>
+            <span className="sidebar-text">Import Jobs</span>
+          </NavLink>
+
           <NavLink
             to="/add"
             className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
@@ -81,6 +105,22 @@ function AdminLayout({ children }) {
             <span className="sidebar-text">All Recipes</span>
           </NavLink>
 
+          <NavLink
+            to="/admin/ingredients"
+            className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
+          >
+            <span className="sidebar-icon">🥕</span>
+            <span className="sidebar-text">Ingredients</span>
+          </NavLink>
+
+          <NavLink
+            to="/admin/trash"
+            className={({ isActive }) => `sidebar-link ${isActive ? 'active' : ''}`}
+          >
+            <span className="sidebar-icon">🗑️</span>
+            <span className="sidebar-text">Trash</span>
+          </NavLink>
+
           <div className="sidebar-section-title">Settings</div>
 
           <NavLink
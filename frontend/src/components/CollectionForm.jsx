@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { collectionAPI } from '../services/api';
+import { getImageUrl } from '../utils/urlHelpers';
+import './CollectionForm.css';
+
+// Matches the API's limits
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Create or edit a collection: name, description and cover image
+function CollectionForm({ collection, onSaved, onCancel }) {
+  const [name, setName] = useState(collection?.name || '');
+  const [description, setDescription] = useState(collection?.description || '');
+  const [cover, setCover] = useState(null);
+  const [removeCover, setRemoveCover] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('name', name.trim());
+    formData.append('description', description.trim());
+    if (cover) {
+      formData.append('cover', cover);
+    } else if (removeCover) {
+      formData.append('removeCover', 'true');
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = collection
+        ? await collectionAPI.update(collection.id, formData)
+        : await collectionAPI.create(formData);
+      onSaved(response.data.collection);
+    } catch (err) {
+      const details = err.response?.data?.errors;
+      setError(details?.length ? details.join('. ') : err.response?.data?.error || 'Failed to save. Please try again.');
+      console.error('Error saving collection:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="collection-form" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor="collection-name">Name *</label>
+        <input
+          id="collection-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={MAX_NAME_LENGTH}
+          placeholder="e.g. Holiday Baking"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="collection-description">Description</label>
+        <textarea
+          id="collection-description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={MAX_DESCRIPTION_LENGTH}
+          rows={3}
+          placeholder="What's in this collection?"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="collection-cover">Cover image</label>
+        {collection?.hasCustomCover && !cover && !removeCover && (
+          <div className="collection-form-current-cover">
+            <img src={getImageUrl(collection.coverUrl)} alt={collection.name} />
+            <button type="button" className="btn btn-outline btn-small" onClick={() => setRemoveCover(true)}>
+              Remove cover
+            </button>
+          </div>
+        )}
+        <input
+          id="collection-cover"
+          type="file"
+          accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,.heic,.heif"
+          onChange={(e) => setCover(e.target.files[0] || null)}
+        />
+        <span className="collection-form-hint">Without a cover, the first recipe&apos;s photo is used.</span>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="collection-form-actions">
+        {onCancel && (
+          <button type="button" className="btn btn-outline" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : collection ? 'Save Changes' : 'Create Collection'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+CollectionForm.propTypes = {
+  collection: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    hasCustomCover: PropTypes.bool,
+    coverUrl: PropTypes.string,
+  }),
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+export default CollectionForm;
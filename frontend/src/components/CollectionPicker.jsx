@@ -0,0 +1,171 @@
+import { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { collectionAPI } from '../services/api';
+import './CollectionPicker.css';
+
+// "Add to collection" menu on a recipe: tick the collections it belongs in, or start a new one.
+// Ticking Favorites is the same as saving the recipe, so the parent is told when that changes.
+function CollectionPicker({ recipeId, onFavoritesChange }) {
+  const [open, setOpen] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Reload on every open, since saving from the heart button changes Favorites
+  useEffect(() => {
+    if (!open) return undefined;
+    const abortController = new AbortController();
+
+    const loadCollections = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await collectionAPI.getAll(recipeId, { signal: abortController.signal });
+        setCollections(response.data.collections || []);
+      } catch (err) {
+        if (abortController.signal.aborted) return;
+        setError('Failed to load collections');
+        console.error('Error loading collections:', err);
+      } finally {
+        if (!abortController.signal.aborted) setLoading(false);
+      }
+    };
+    loadCollections();
+
+    return () => abortController.abort();
+  }, [open, recipeId]);
+
+  const setHasRecipe = (collection, hasRecipe) => {
+    setCollections(prev => prev.map(c => (c.id === collection.id
+      ? { ...c, hasRecipe, recipeCount: c.recipeCount + (hasRecipe ? 1 : -1) }
+      : c)));
+    if (collection.isDefault && onFavoritesChange) {
+      onFavoritesChange(hasRecipe);
+    }
+  };
+
+  const handleToggle = async (collection) => {
+    try {
+      setBusyId(collection.id);
+      setError(null);
+      if (collection.hasRecipe) {
+        await collectionAPI.removeRecipe(collection.id, recipeId);
+      } else {
+        await collectionAPI.addRecipe(collection.id, recipeId);
+      }
+      setHasRecipe(collection, !collection.hasRecipe);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update collection');
+      console.error('Error updating collection:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    const formData = new FormData();
+    formData.append('name', newName.trim());
+
+    try {
+      setBusyId('new');
+      setError(null);
+      const response = await collectionAPI.create(formData);
+      const created = response.data.collection;
+      await collectionAPI.addRecipe(created.id, recipeId);
+      setCollections(prev => [...prev, { ...created, hasRecipe: true, recipeCount: 1 }]);
+      setNewName('');
+    } catch (err) {
+      const details = err.response?.data?.errors;
+      setError(details?.length ? details.join('. ') : err.response?.data?.error || 'Failed to create collection');
+      console.error('Error creating collection:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="collection-picker" ref={containerRef}>
+      <button
+        type="button"
+        className="btn btn-outline"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+      >
+        + Collection
+      </button>
+
+      {open && (
+        <div className="collection-picker-menu">
+          <div className="collection-picker-title">Add to collection</div>
+
+          {loading && collections.length === 0 ? (
+            <div className="collection-picker-status">Loading...</div>
+          ) : (
+            <ul className="collection-picker-list">
+              {collections.map((collection) => (
+                <li key={collection.id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(collection.hasRecipe)}
+                      disabled={busyId !== null}
+                      onChange={() => handleToggle(collection)}
+                    />
+                    <span className="collection-picker-name">{collection.name}</span>
+                    <span className="collection-picker-count">{collection.recipeCount}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="collection-picker-new" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={100}
+              placeholder="New collection"
+              aria-label="New collection name"
+            />
+            <button type="submit" className="btn btn-primary btn-small" disabled={busyId !== null || !newName.trim()}>
+              Add
+            </button>
+          </form>
+
+          {error && <div className="collection-picker-error">{error}</div>}
+
+          <Link to="/saved-recipes" className="collection-picker-manage">
+            Manage collections
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+CollectionPicker.propTypes = {
+  recipeId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  onFavoritesChange: PropTypes.func,
+};
+
+export default CollectionPicker;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { recipeAPI } from '../services/api';
+import { toDateInputValue } from '../utils/recipeHelpers';
+import StarRating from './StarRating';
+import './CookLogForm.css';
+
+// Matches the API's limits
+const MAX_PHOTOS = 5;
+const MAX_NOTES_LENGTH = 5000;
+
+// Form for logging that the user made a recipe: date, rating, notes and photos
+function CookLogForm({ recipeId, onSaved, onCancel }) {
+  const [cookedOn, setCookedOn] = useState(() => toDateInputValue());
+  const [rating, setRating] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePhotosChange = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_PHOTOS) {
+      setError(`You can add up to ${MAX_PHOTOS} photos.`);
+      e.target.value = '';
+      setPhotos([]);
+      return;
+    }
+    setError(null);
+    setPhotos(files);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('cookedOn', cookedOn);
+    if (rating) formData.append('rating', rating);
+    if (notes.trim()) formData.append('notes', notes.trim());
+    photos.forEach((photo) => formData.append('photos', photo));
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await recipeAPI.logCook(recipeId, formData);
+      onSaved(response.data);
+    } catch (err) {
+      const details = err.response?.data?.errors;
+      setError(details?.length ? details.join('. ') : err.response?.data?.error || 'Failed to save. Please try again.');
+      console.error('Error logging cook:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="cook-log-form" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor="cook-log-date">Date made</label>
+        <input
+          id="cook-log-date"
+          type="date"
+          value={cookedOn}
+          max={toDateInputValue()}
+          onChange={(e) => setCookedOn(e.target.value)}
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label>How did it turn out?</label>
+        <StarRating value={rating} onChange={setRating} label="Your rating" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="cook-log-notes">Notes</label>
+        <textarea
+          id="cook-log-notes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          maxLength={MAX_NOTES_LENGTH}
+          rows={3}
+          placeholder="e.g. used less sugar, better"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="cook-log-photos">Photos (up to {MAX_PHOTOS})</label>
+        <input
+          id="cook-log-photos"
+          type="file"
+          accept="image/jpeg,image/png,image/gif,image/webp"
+          multiple
+          onChange={handlePhotosChange}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="cook-log-form-actions">
+        {onCancel && (
+          <button type="button" className="btn btn-outline" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save to my cooking history'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+CookLogForm.propTypes = {
+  recipeId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+export default CookLogForm;
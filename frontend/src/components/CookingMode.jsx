@@ -0,0 +1,456 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useAuth } from '../contexts/AuthContext';
+import { formatTimer, getRecipeSteps } from '../utils/recipeHelpers';
+import CookLogForm from './CookLogForm';
+import './CookingMode.css';
+
+// Horizontal distance (px) a touch has to travel to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+// Durations in step text: "25 minutes", "1 1/2 hours", "10-12 mins" (a range starts its timer at the low end)
+const DURATION_PATTERN = /(\d+(?:[\s-]+\d+\/\d+|\/\d+|\.\d+)?)(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?\s*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\b/gi;
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+// Words that describe an ingredient rather than name it ("2 large eggs, beaten")
+const DESCRIPTORS = new Set([
+  'fresh', 'large', 'small', 'medium', 'chopped', 'minced', 'diced', 'sliced', 'grated', 'ground',
+  'whole', 'softened', 'melted', 'packed', 'cold', 'warm', 'room', 'temperature', 'optional',
+  'of', 'and', 'or', 'to', 'taste', 'for', 'the', 'a',
+]);
+
+const parseAmount = (amount) =>
+  amount.trim().split(/[\s-]+/).reduce((total, part) => {
+    const [numerator, denominator] = part.split('/');
+    return total + (denominator ? Number(numerator) / Number(denominator) : Number(numerator));
+  }, 0);
+
+// Split step text into plain text and duration segments ({ text, seconds })
+const splitDurations = (text) => {
+  const segments = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    if (match.index > cursor) segments.push({ text: text.slice(cursor, match.index) });
+    const seconds = Math.round(parseAmount(match[1]) * UNIT_SECONDS[match[2][0].toLowerCase()]);
+    segments.push({ text: match[0], seconds: seconds > 0 ? seconds : null });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+
+  return segments;
+};
+
+const singular = (word) => {
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const wordsOf = (text) => (text.toLowerCase().match(/[a-z]+/g) || []).map(singular);
+
+// Steps that mention each ingredient, matched on the last word of its name
+// ("all-purpose flour, sifted" is used wherever a step says "flour")
+const findIngredientSteps = (ingredients, steps) => {
+  const stepWords = steps.map((step) => new Set(wordsOf(step.text)));
+
+  return ingredients.map((ingredient) => {
+    const words = wordsOf(ingredient.name.split(/[,(]/)[0]).filter((word) => !DESCRIPTORS.has(word));
+    const key = words[words.length - 1];
+    if (!key) return [];
+    return stepWords.reduce((indexes, wordSet, index) => (wordSet.has(key) ? [...indexes, index] : indexes), []);
+  });
+};
+
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Three short beeps (and a buzz on phones) when a timer runs out
+const playChime = (audioContext) => {
+  navigator.vibrate?.([300, 150, 300, 150, 300]);
+  if (!audioContext) return;
+
+  [0, 0.4, 0.8].forEach((offset) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(audioContext.currentTime + offset);
+    oscillator.stop(audioContext.currentTime + offset + 0.25);
+  });
+};
+
+function CookingMode({ recipe, ingredients, onClose, onCooked }) {
+  const { user } = useAuth();
+  const steps = getRecipeSteps(recipe);
+  const ingredientSteps = findIngredientSteps(ingredients, steps);
+
+  const [stepIndex, setStepIndex] = useState(0);
+  const [finished, setFinished] = useState(false);
+  const [showIngredients, setShowIngredients] = useState(false);
+  // Ingredients the cook ticked or unticked by hand, overriding the automatic check
+  const [toggledIngredients, setToggledIngredients] = useState(() => new Set());
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(0);
+  const [wakeLockActive, setWakeLockActive] = useState(false);
+  const [cookedResult, setCookedResult] = useState(null);
+
+  const timersRef = useRef(timers);
+  const nextTimerId = useRef(1);
+  const audioContext = useRef(null);
+  const touchStart = useRef(null);
+
+  const goNext = () => {
+    if (stepIndex >= steps.length - 1) {
+      setFinished(true);
+    } else {
+      setStepIndex(stepIndex + 1);
+    }
+  };
+
+  const goPrevious = () => {
+    if (finished) {
+      setFinished(false);
+    } else if (stepIndex > 0) {
+      setStepIndex(stepIndex - 1);
+    }
+  };
+
+  const goTo = (index) => {
+    setFinished(false);
+    setStepIndex(index);
+  };
+
+  // Keyboard navigation: arrows/space/page keys move between steps, Escape leaves
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Leave keys alone while typing in the cook log form
+      const { tagName, type } = e.target;
+      if ((tagName === 'TEXTAREA' || (tagName === 'INPUT' && type !== 'checkbox')) && e.key !== 'Escape') return;
+
+      const onControl = ['BUTTON', 'INPUT', 'A'].includes(tagName);
+      if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === 'PageDown' || (e.key === ' ' && !onControl)) {
+        e.preventDefault();
+        if (stepIndex >= steps.length - 1) {
+          setFinished(true);
+        } else {
+          setStepIndex(stepIndex + 1);
+        }
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'PageUp') {
+        e.preventDefault();
+        if (finished) {
+          setFinished(false);
+        } else if (stepIndex > 0) {
+          setStepIndex(stepIndex - 1);
+        }
+      } else if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [stepIndex, steps.length, finished, onClose]);
+
+  // Keep the screen awake while cooking; the lock is dropped when the tab is hidden, so take it again on return
+  useEffect(() => {
+    if (!('wakeLock' in navigator)) return;
+
+    let sentinel = null;
+    let closed = false;
+
+    const requestWakeLock = () => {
+      navigator.wakeLock.request('screen')
+        .then((lock) => {
+          if (closed) {
+            lock.release();
+            return;
+          }
+          sentinel = lock;
+          setWakeLockActive(true);
+          lock.addEventListener('release', () => setWakeLockActive(false));
+        })
+        .catch((err) => console.error('Error requesting wake lock:', err));
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && (!sentinel || sentinel.released)) {
+        requestWakeLock();
+      }
+    };
+
+    requestWakeLock();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      closed = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      sentinel?.release().catch(() => {});
+    };
+  }, []);
+
+  useEffect(() => {
+    timersRef.current = timers;
+  }, [timers]);
+
+  // Tick running timers once a second and chime when one runs out
+  const hasTimers = timers.length > 0;
+  useEffect(() => {
+    if (!hasTimers) return;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+
+      const due = timersRef.current.filter((timer) => !timer.done && timer.endsAt <= current);
+      if (due.length > 0) {
+        playChime(audioContext.current);
+        const dueIds = new Set(due.map((timer) => timer.id));
+        setTimers((prev) => prev.map((timer) => (dueIds.has(timer.id) ? { ...timer, done: true } : timer)));
+      }
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [hasTimers]);
+
+  useEffect(() => () => {
+    audioContext.current?.close().catch(() => {});
+  }, []);
+
+  const startTimer = useCallback((seconds, label) => {
+    // Audio can only start from a tap, so set it up now for the chime later
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!audioContext.current && AudioContextClass) {
+      audioContext.current = new AudioContextClass();
+    }
+
+    const start = Date.now();
+    const id = nextTimerId.current;
+    nextTimerId.current += 1;
+    setNow(start);
+    setTimers((prev) => [...prev, { id, label, endsAt: start + seconds * 1000, done: false }]);
+  }, []);
+
+  const dismissTimer = (id) => {
+    setTimers((prev) => prev.filter((timer) => timer.id !== id));
+  };
+
+  const toggleIngredient = (index) => {
+    setToggledIngredients((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const handleTouchStart = (e) => {
+    touchStart.current = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!touchStart.current) return;
+    const dx = e.changedTouches[0].clientX - touchStart.current.x;
+    const dy = e.changedTouches[0].clientY - touchStart.current.y;
+    touchStart.current = null;
+
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      if (dx < 0) goNext();
+      else goPrevious();
+    }
+  };
+
+  const handleCooked = (result) => {
+    setCookedResult(result);
+    onCooked?.(result);
+  };
+
+  const step = steps[stepIndex];
+
+  return (
+    <div className="cooking-mode" role="dialog" aria-modal="true" aria-label={`Cooking ${recipe.title}`}>
+      <header className="cooking-header">
+        <div className="cooking-title">
+          <h2>{recipe.title}</h2>
+          {wakeLockActive && <span className="cooking-wake-lock">Screen stays on</span>}
+        </div>
+        <div className="cooking-header-actions">
+          {ingredients.length > 0 && (
+            <button
+              type="button"
+              className={`btn btn-outline cooking-ingredients-toggle ${showIngredients ? 'active' : ''}`}
+              onClick={() => setShowIngredients(!showIngredients)}
+              aria-expanded={showIngredients}
+            >
+              Ingredients
+            </button>
+          )}
+          <button type="button" className="cooking-close" onClick={onClose} aria-label="Exit cooking mode">
+            ✕
+          </button>
+        </div>
+      </header>
+
+      <div className="cooking-body">
+        <main className="cooking-main" onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+          {finished ? (
+            <div className="cooking-finished">
+              <h2>All done!</h2>
+              <p>Enjoy your {recipe.title}.</p>
+              {user ? (
+                cookedResult ? (
+                  <p className="cooking-cooked">
+                    Saved to your cooking history ({cookedResult.timesCooked} {cookedResult.timesCooked === 1 ? 'time' : 'times'} made so far).
+                  </p>
+                ) : (
+                  <CookLogForm recipeId={recipe.id} onSaved={handleCooked} />
+                )
+              ) : (
+                <p className="cooking-sign-in">
+                  <Link to="/login">Log in</Link> to keep a history of what you cook.
+                </p>
+              )}
+              <button type="button" className="btn btn-outline" onClick={onClose}>
+                Back to recipe
+              </button>
+            </div>
+          ) : step && (
+            <div className="cooking-step">
+              <p className="cooking-step-count">
+                Step {stepIndex + 1} of {steps.length}
+                {step.section && <span className="cooking-step-section"> · {step.section}</span>}
+              </p>
+              <p className="cooking-step-text">
+                {splitDurations(step.text).map((segment, index) => (
+                  segment.seconds ? (
+                    <button
+                      key={index}
+                      type="button"
+                      className="cooking-inline-timer"
+                      onClick={() => startTimer(segment.seconds, `Step ${stepIndex + 1}: ${segment.text}`)}
+                      title={`Start a ${formatTimer(segment.seconds)} timer`}
+                    >
+                      ⏱ {segment.text}
+                    </button>
+                  ) : (
+                    <span key={index}>{segment.text}</span>
+                  )
+                ))}
+              </p>
+              {step.timerSeconds > 0 && !splitDurations(step.text).some((segment) => segment.seconds) && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => startTimer(step.timerSeconds, `Step ${stepIndex + 1}`)}
+                >
+                  ⏱ Start {formatTimer(step.timerSeconds)} timer
+                </button>
+              )}
+            </div>
+          )}
+        </main>
+
+        {ingredients.length > 0 && (
+          <aside className={`cooking-ingredients ${showIngredients ? 'open' : ''}`}>
+            <h3>Ingredients</h3>
+            <ul>
+              {ingredients.map((ingredient, index) => {
+                const usedIn = ingredientSteps[index];
+                const usedSoFar = finished || usedIn.some((i) => i < stepIndex);
+                const checked = usedSoFar !== toggledIngredients.has(index);
+                const inThisStep = !finished && usedIn.includes(stepIndex);
+                return (
+                  <li key={index} className={`${checked ? 'checked' : ''} ${inThisStep ? 'current' : ''}`}>
+                    <label>
+                      <input type="checkbox" checked={checked} onChange={() => toggleIngredient(index)} />
+                      <span>
+                        {ingredient.quantity && `${ingredient.quantity} `}
+                        {ingredient.unit && `${ingredient.unit} `}
+                        {ingredient.name}
+                        {ingredient.preparation && `, ${ingredient.preparation}`}
+                      </span>
+                    </label>
+                  </li>
+                );
+              })}
+            </ul>
+          </aside>
+        )}
+      </div>
+
+      {timers.length > 0 && (
+        <div className="cooking-timers" aria-live="polite">
+          {timers.map((timer) => {
+            const remaining = Math.max(0, Math.ceil((timer.endsAt - now) / 1000));
+            return (
+              <div key={timer.id} className={`cooking-timer ${timer.done ? 'done' : ''}`}>
+                <span className="cooking-timer-label">{timer.label}</span>
+                <span className="cooking-timer-time">{timer.done ? 'Done!' : formatCountdown(remaining)}</span>
+                <button type="button" onClick={() => dismissTimer(timer.id)} aria-label={`Dismiss timer ${timer.label}`}>
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <footer className="cooking-footer">
+        <button
+          type="button"
+          className="btn btn-outline"
+          onClick={goPrevious}
+          disabled={!finished && stepIndex === 0}
+        >
+          ← Back
+        </button>
+        <div className="cooking-progress">
+          {steps.map((_, index) => (
+            <button
+              key={index}
+              type="button"
+              className={`cooking-progress-dot ${!finished && index === stepIndex ? 'active' : ''} ${finished || index < stepIndex ? 'complete' : ''}`}
+              onClick={() => goTo(index)}
+              aria-label={`Go to step ${index + 1}`}
+            />
+          ))}
+        </div>
+        {!finished && (
+          <button type="button" className="btn btn-primary" onClick={goNext}>
+            {stepIndex >= steps.length - 1 ? 'Finish' : 'Next →'}
+          </button>
+        )}
+      </footer>
+    </div>
+  );
+}
+
+CookingMode.propTypes = {
+  recipe: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    title: PropTypes.string.isRequired,
+    instructions: PropTypes.string,
+    steps: PropTypes.arrayOf(PropTypes.shape({
+      section: PropTypes.string,
+      text: PropTypes.string.isRequired,
+      timerSeconds: PropTypes.number,
+    })),
+  }).isRequired,
+  ingredients: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    quantity: PropTypes.string,
+    unit: PropTypes.string,
+  })).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCooked: PropTypes.func,
+};
+
+export default CookingMode;
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { formatMinutes, getRecipeSteps } from '../utils/recipeHelpers';
+import './DuplicateWarning.css';
+
+// Fields compared side by side; merging fills in the ones the existing recipe is missing
+const COMPARE_FIELDS = [
+  { label: 'Source', value: (recipe) => recipe.source },
+  { label: 'Servings', value: (recipe) => recipe.servings },
+  { label: 'Prep time', value: (recipe) => formatMinutes(recipe.prepTimeMinutes) },
+  { label: 'Cook time', value: (recipe) => formatMinutes(recipe.cookTimeMinutes) },
+  { label: 'Total time', value: (recipe) => formatMinutes(recipe.totalTimeMinutes) },
+  { label: 'Tags', value: (recipe) => (recipe.tags || []).join(', ') },
+];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const formatIngredient = (ingredient) =>
+  [ingredient.quantity, ingredient.unit, ingredient.name].filter(Boolean).join(' ')
+  + (ingredient.preparation ? `, ${ingredient.preparation}` : '');
+
+// Likely duplicates of a recipe under review, each with a side-by-side comparison
+// and (when onMerge is given) a button to merge into it instead of adding a new recipe
+function DuplicateWarning({ duplicates, incoming, onMerge, merging = false }) {
+  const [comparingId, setComparingId] = useState(null);
+
+  if (!duplicates || duplicates.length === 0) return null;
+
+  const renderCompare = (existing) => {
+    const incomingSteps = getRecipeSteps(incoming);
+    const existingSteps = getRecipeSteps(existing);
+
+    return (
+      <table className="duplicate-warning-compare">
+        <thead>
+          <tr>
+            <th scope="col"></th>
+            <th scope="col">This recipe</th>
+            <th scope="col">Existing: {existing.title}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th scope="row">Title</th>
+            <td>{incoming.title}</td>
+            <td>{existing.title}</td>
+          </tr>
+          {COMPARE_FIELDS.map(({ label, value }) => {
+            const fills = isBlank(value(existing)) && !isBlank(value(incoming));
+            return (
+              <tr key={label} className={fills ? 'duplicate-warning-fills' : undefined}>
+                <th scope="row">{label}</th>
+                <td>{value(incoming) || '—'}</td>
+                <td>{value(existing) || '—'}</td>
+              </tr>
+            );
+          })}
+          <tr className={existing.ingredients?.length === 0 && incoming.ingredients?.length > 0 ? 'duplicate-warning-fills' : undefined}>
+            <th scope="row">Ingredients</th>
+            <td>
+              <ul>
+                {(incoming.ingredients || []).map((ingredient, index) => (
+                  <li key={index}>{formatIngredient(ingredient)}</li>
+                ))}
+              </ul>
+            </td>
+            <td>
+              <ul>
+                {(existing.ingredients || []).map((ingredient, index) => (
+                  <li key={index}>{formatIngredient(ingredient)}</li>
+                ))}
+              </ul>
+            </td>
+          </tr>
+          <tr className={existingSteps.length === 0 && incomingSteps.length > 0 ? 'duplicate-warning-fills' : undefined}>
+            <th scope="row">Steps</th>
+            <td>
+              <ol>
+                {incomingSteps.map((step, index) => <li key={index}>{step.text}</li>)}
+              </ol>
+            </td>
+            <td>
+              <ol>
+                {existingSteps.map((step, index) => <li key={index}>{step.text}</li>)}
+              </ol>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div className="duplicate-warning" role="alert">
+      <h3>⚠️ This may already be in the collection</h3>
+      <p className="duplicate-warning-hint">
+        {onMerge
+          ? 'Merging fills in whatever the existing recipe is missing (highlighted below) and adds new tags. Nothing on it is overwritten.'
+          : 'Open the existing recipe to check before adding another copy.'}
+      </p>
+      <ul className="duplicate-warning-list">
+        {duplicates.map(({ recipe, score, reasons }) => (
+          <li key={recipe.id} className="duplicate-warning-item">
+            <div className="duplicate-warning-item-main">
+              <div className="duplicate-warning-item-details">
+                <Link to={`/recipe/${recipe.id}`} target="_blank" rel="noreferrer" className="duplicate-warning-title">
+                  {recipe.title}
+                </Link>
+                <span className="duplicate-warning-score">{Math.round(score * 100)}% match</span>
+                {reasons.length > 0 && <p className="duplicate-warning-reasons">{reasons.join(' · ')}</p>}
+              </div>
+              <div className="duplicate-warning-actions">
+                <button
+                  type="button"
+                  className="btn btn-outline btn-small"
+                  onClick={() => setComparingId(comparingId === recipe.id ? null : recipe.id)}
+                  aria-expanded={comparingId === recipe.id}
+                >
+                  {comparingId === recipe.id ? 'Hide comparison' : 'Compare'}
+                </button>
+                {onMerge && (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-small"
+                    onClick={() => onMerge(recipe)}
+                    disabled={merging}
+                  >
+                    {merging ? 'Merging...' : 'Merge into this recipe'}
+                  </button>
+                )}
+              </div>
+            </div>
+            {comparingId === recipe.id && renderCompare(recipe)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const recipeShape = PropTypes.shape({
+  title: PropTypes.string,
+  source: PropTypes.string,
+  servings: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  prepTimeMinutes: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  cookTimeMinutes: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  totalTimeMinutes: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  tags: PropTypes.arrayOf(PropTypes.string),
+  ingredients: PropTypes.arrayOf(PropTypes.object),
+  steps: PropTypes.arrayOf(PropTypes.object),
+  instructions: PropTypes.string,
+});
+
+DuplicateWarning.propTypes = {
+  duplicates: PropTypes.arrayOf(PropTypes.shape({
+    recipe: recipeShape.isRequired,
+    score: PropTypes.number.isRequired,
+    reasons: PropTypes.arrayOf(PropTypes.string).isRequired,
+  })),
+  incoming: recipeShape.isRequired,
+  onMerge: PropTypes.func,
+  merging: PropTypes.bool,
+};
+
+export default DuplicateWarning;
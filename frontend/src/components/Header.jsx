@@ -54,6 +54,10 @@ function Header() {
         </Link>
         <nav className="nav">
           <Link to="/">Browse</Link>
+          <Link to="/pantry">Cook from My Pantry</Link>
+          <Link to="/people">Family</Link>
+          {!loading && user && <Link to="/meal-plan">Meal Plan</Link>}
+          {!loading && user && <Link to="/shopping-lists">Shopping</Link>}
           {/* Only show Add Recipe to admins when NOT on admin pages (sidebar has it) */}
           {!loading && isAdmin() && !isOnAdminPage && <Link to="/add">Add Recipe</Link>}
 
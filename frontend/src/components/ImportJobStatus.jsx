@@ -0,0 +1,53 @@
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import './ImportJobStatus.css';
+
+// Progress of a queued or running import, or its error with a retry button once it has failed
+function ImportJobStatus({ job, onRetry, retrying = false }) {
+  if (job.status === 'failed') {
+    return (
+      <div className="error-message import-job-failed">
+        <span className="error-icon">⚠️</span>
+        <span className="import-job-error">{job.error || 'The import failed.'}</span>
+        <button type="button" className="btn btn-secondary btn-small" onClick={onRetry} disabled={retrying}>
+          {retrying ? 'Retrying...' : 'Retry'}
+        </button>
+      </div>
+    );
+  }
+
+  if (job.status !== 'queued' && job.status !== 'running') return null;
+
+  const waitingToRetry = job.status === 'queued' && job.error;
+
+  return (
+    <div className="import-job-status" role="status">
+      <div className="import-job-progress">
+        <span className="import-job-spinner" aria-hidden="true"></span>
+        {job.status === 'running' ? job.progress || 'Working...' : 'Waiting to start...'}
+      </div>
+      {waitingToRetry && (
+        <p className="import-job-retry-note">
+          Attempt {job.attempts} failed ({job.error}). Trying again automatically.
+        </p>
+      )}
+      <p className="import-job-hint">
+        You can leave this page; the import keeps running. Follow it under{' '}
+        <Link to="/admin/jobs">Import Jobs</Link>.
+      </p>
+    </div>
+  );
+}
+
+ImportJobStatus.propTypes = {
+  job: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    progress: PropTypes.string,
+    error: PropTypes.string,
+    attempts: PropTypes.number,
+  }).isRequired,
+  onRetry: PropTypes.func.isRequired,
+  retrying: PropTypes.bool,
+};
+
+export default ImportJobStatus;
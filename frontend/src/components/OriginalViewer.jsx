@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getImageUrl } from '../utils/urlHelpers';
+import './OriginalViewer.css';
+
+// "Page 3" or "Pages 3-4" for the part of a PDF a recipe is on
+const formatPages = ({ pageStart, pageEnd }) => {
+  if (!pageStart) return null;
+  return pageEnd && pageEnd !== pageStart ? `Pages ${pageStart}–${pageEnd}` : `Page ${pageStart}`;
+};
+
+// Full-screen view of the handwritten cards or PDF pages a recipe was transcribed from,
+// one at a time, with a button for each when there are several (e.g. front and back of a card)
+function OriginalViewer({ originals, onClose }) {
+  const [index, setIndex] = useState(0);
+  const original = originals[index];
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!original) return null;
+
+  const pages = formatPages(original);
+  const url = getImageUrl(original.url);
+
+  return (
+    <div className="original-viewer" onClick={onClose}>
+      <div
+        className="original-viewer-content"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Original recipe"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="original-viewer-header">
+          <span className="original-viewer-caption">
+            {original.originalName}
+            {pages && ` · ${pages}`}
+          </span>
+          <a href={url} target="_blank" rel="noopener noreferrer" className="original-viewer-open">
+            Open in new tab
+          </a>
+          <button type="button" className="original-viewer-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {original.type === 'pdf' ? (
+          <iframe key={original.id} src={url} title={original.originalName} className="original-viewer-pdf" />
+        ) : (
+          <img src={url} alt={original.originalName} className="original-viewer-image" />
+        )}
+
+        {originals.length > 1 && (
+          <div className="original-viewer-pager">
+            {originals.map((item, itemIndex) => (
+              <button
+                key={item.id}
+                type="button"
+                className={itemIndex === index ? 'active' : ''}
+                onClick={() => setIndex(itemIndex)}
+                aria-pressed={itemIndex === index}
+              >
+                {item.type === 'pdf' ? formatPages(item) || 'PDF' : `Photo ${itemIndex + 1}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+OriginalViewer.propTypes = {
+  originals: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      url: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(['pdf', 'image']).isRequired,
+      originalName: PropTypes.string,
+      pageStart: PropTypes.number,
+      pageEnd: PropTypes.number,
+    })
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default OriginalViewer;
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { peopleAPI } from '../services/api';
+import { getImageUrl } from '../utils/urlHelpers';
+import './PersonForm.css';
+
+// Matches the API's limits
+const MAX_NAME_LENGTH = 255;
+const MAX_RELATION_LENGTH = 100;
+
+// Add or edit a family member: name, relation, lifespan and photo
+function PersonForm({ person, onSaved, onCancel }) {
+  const [name, setName] = useState(person?.name || '');
+  const [relation, setRelation] = useState(person?.relation || '');
+  const [birthYear, setBirthYear] = useState(person?.birthYear ?? '');
+  const [deathYear, setDeathYear] = useState(person?.deathYear ?? '');
+  const [photo, setPhoto] = useState(null);
+  const [removePhoto, setRemovePhoto] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('name', name.trim());
+    formData.append('relation', relation.trim());
+    formData.append('birthYear', birthYear);
+    formData.append('deathYear', deathYear);
+    if (photo) {
+      formData.append('photo', photo);
+    } else if (removePhoto) {
+      formData.append('removePhoto', 'true');
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = person
+        ? await peopleAPI.update(person.id, formData)
+        : await peopleAPI.create(formData);
+      onSaved(response.data.person);
+    } catch (err) {
+      const details = err.response?.data?.errors;
+      setError(details?.length ? details.join('. ') : err.response?.data?.error || 'Failed to save. Please try again.');
+      console.error('Error saving person:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="person-form" onSubmit={handleSubmit}>
+      <div className="person-form-row">
+        <div className="form-group">
+          <label htmlFor="person-name">Name *</label>
+          <input
+            id="person-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_NAME_LENGTH}
+            placeholder="e.g. Ruth"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="person-relation">Relation</label>
+          <input
+            id="person-relation"
+            type="text"
+            value={relation}
+            onChange={(e) => setRelation(e.target.value)}
+            maxLength={MAX_RELATION_LENGTH}
+            placeholder="e.g. Aunt, Great-grandmother"
+          />
+        </div>
+      </div>
+
+      <div className="person-form-row">
+        <div className="form-group">
+          <label htmlFor="person-birth-year">Born</label>
+          <input
+            id="person-birth-year"
+            type="number"
+            min="1"
+            max="9999"
+            value={birthYear}
+            onChange={(e) => setBirthYear(e.target.value)}
+            placeholder="Year"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="person-death-year">Died</label>
+          <input
+            id="person-death-year"
+            type="number"
+            min="1"
+            max="9999"
+            value={deathYear}
+            onChange={(e) => setDeathYear(e.target.value)}
+            placeholder="Year"
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="person-photo">Photo</label>
+        {person?.photoUrl && !photo && !removePhoto && (
+          <div className="person-form-current-photo">
+            <img src={getImageUrl(person.photoUrl)} alt={person.name} />
+            <button type="button" className="btn btn-outline btn-small" onClick={() => setRemovePhoto(true)}>
+              Remove photo
+            </button>
+          </div>
+        )}
+        <input
+          id="person-photo"
+          type="file"
+          accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,.heic,.heif"
+          onChange={(e) => setPhoto(e.target.files[0] || null)}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="person-form-actions">
+        {onCancel && (
+          <button type="button" className="btn btn-outline" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : person ? 'Save Changes' : 'Add Person'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+PersonForm.propTypes = {
+  person: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    relation: PropTypes.string,
+    birthYear: PropTypes.number,
+    deathYear: PropTypes.number,
+    photoUrl: PropTypes.string,
+  }),
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+export default PersonForm;
@@ -0,0 +1,40 @@
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import './DuplicateWarning.css';
+
+// Recipes an earlier import of the same URL, PDF or photo produced (the new import still runs)
+function PreviousImports({ imports, what = 'this' }) {
+  if (!imports || imports.length === 0) return null;
+
+  return (
+    <div className="duplicate-warning previous-imports" role="status">
+      <p className="previous-imports-message">
+        ⚠️ You have imported {what} before. Check the new recipe against:
+      </p>
+      <ul>
+        {imports.map((item) => (
+          <li key={`${item.type}-${item.id}`}>
+            {item.type === 'recipe' ? (
+              <Link to={`/recipe/${item.id}`}>{item.title}</Link>
+            ) : (
+              <>
+                <Link to={`/admin/pending/${item.id}`}>{item.title}</Link> (awaiting review)
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+PreviousImports.propTypes = {
+  imports: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.oneOf(['recipe', 'pending']).isRequired,
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string,
+  })),
+  what: PropTypes.string,
+};
+
+export default PreviousImports;
@@ -2,8 +2,34 @@ import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { getTagClass, formatDate } from '../utils/recipeHelpers';
 import { getImageUrl } from '../utils/urlHelpers';
+import StarRating from './StarRating';
 import './RecipeCard.css';
 
+// Render snippet text with the matched search terms wrapped in <mark>
+function SearchSnippet({ snippet }) {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(([start, end], index) => {
+    if (start > cursor) {
+      parts.push(snippet.text.slice(cursor, start));
+    }
+    parts.push(<mark key={index}>{snippet.text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.text.slice(cursor));
+
+  return <p className="recipe-snippet">{parts}</p>;
+}
+
+SearchSnippet.propTypes = {
+  snippet: PropTypes.shape({
+    field: PropTypes.string,
+    text: PropTypes.string.isRequired,
+    highlights: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+  }).isRequired,
+};
+
 function RecipeCard({ recipe }) {
   // Determine the image to display: heroImage (uploaded), imagePath (legacy), or placeholder
   const getDisplayImage = () => {
@@ -32,6 +58,12 @@ function RecipeCard({ recipe }) {
         {recipe.source && (
           <p className="recipe-source">From: {recipe.source}</p>
         )}
+        {recipe.ratingCount > 0 && (
+          <p className="recipe-card-rating">
+            <StarRating value={recipe.ratingAverage} label="Average rating" />
+            <span>{recipe.ratingAverage.toFixed(1)} ({recipe.ratingCount})</span>
+          </p>
+        )}
         {recipe.tags && recipe.tags.length > 0 && (
           <div className="tags">
             {recipe.tags.slice(0, 3).map((tag, index) => (
@@ -44,6 +76,9 @@ function RecipeCard({ recipe }) {
             )}
           </div>
         )}
+        {recipe.snippet && recipe.snippet.field !== 'title' && (
+          <SearchSnippet snippet={recipe.snippet} />
+        )}
         {recipe.dateAdded && (
           <p className="recipe-meta">📅 Added {formatDate(recipe.dateAdded)}</p>
         )}
@@ -61,6 +96,9 @@ RecipeCard.propTypes = {
     heroImage: PropTypes.string,
     tags: PropTypes.arrayOf(PropTypes.string),
     dateAdded: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    ratingAverage: PropTypes.number,
+    ratingCount: PropTypes.number,
+    snippet: PropTypes.object,
   }).isRequired,
 };
 
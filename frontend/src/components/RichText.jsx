@@ -0,0 +1,91 @@
+import PropTypes from 'prop-types';
+import './RichText.css';
+
+// Stories and cook's notes are written in a small piece of markdown: **bold**, *italic*,
+// "- " bullet lists, "1. " numbered lists and blank lines between paragraphs.
+// Rendered as React elements (never as HTML), so nothing typed can inject markup.
+
+const INLINE_PATTERN = /\*\*(.+?)\*\*|\*(.+?)\*/g;
+const BULLET_PATTERN = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+
+// Bold and italic runs within a line
+function renderInline(text, keyPrefix) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index));
+    }
+    const key = `${keyPrefix}-${match.index}`;
+    parts.push(match[1] !== undefined
+      ? <strong key={key}>{renderInline(match[1], key)}</strong>
+      : <em key={key}>{match[2]}</em>);
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+  return parts;
+}
+
+// Group lines into paragraphs and lists
+function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const bullet = line.match(BULLET_PATTERN);
+    const numbered = !bullet && line.match(NUMBERED_PATTERN);
+    const type = bullet ? 'ul' : numbered ? 'ol' : line.trim() ? 'p' : null;
+
+    if (!type) {
+      current = null;
+      continue;
+    }
+    if (!current || current.type !== type) {
+      current = { type, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(bullet ? bullet[1] : numbered ? numbered[1] : line.trim());
+  }
+  return blocks;
+}
+
+function RichText({ text, className = '' }) {
+  if (!text) return null;
+
+  return (
+    <div className={`rich-text ${className}`.trim()}>
+      {parseBlocks(text).map((block, blockIndex) => {
+        if (block.type === 'p') {
+          return (
+            <p key={blockIndex}>
+              {block.lines.map((line, lineIndex) => (
+                <span key={lineIndex}>
+                  {lineIndex > 0 && <br />}
+                  {renderInline(line, `${blockIndex}-${lineIndex}`)}
+                </span>
+              ))}
+            </p>
+          );
+        }
+        const List = block.type;
+        return (
+          <List key={blockIndex}>
+            {block.lines.map((line, lineIndex) => (
+              <li key={lineIndex}>{renderInline(line, `${blockIndex}-${lineIndex}`)}</li>
+            ))}
+          </List>
+        );
+      })}
+    </div>
+  );
+}
+
+RichText.propTypes = {
+  text: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default RichText;
@@ -0,0 +1,92 @@
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import RichText from './RichText';
+import './RichTextEditor.css';
+
+// A textarea for the markdown RichText shows, with buttons that add the markup around
+// the selection and a preview of how it will look on the recipe
+function RichTextEditor({ id, value, onChange, maxLength, rows = 4, placeholder = '' }) {
+  const textareaRef = useRef(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  // Replace the text between start and end, then select the replaced text (minus its markup)
+  const replaceRange = (start, end, replacement, selectFrom, selectTo) => {
+    const next = value.slice(0, start) + replacement + value.slice(end);
+    if (maxLength && next.length > maxLength) return;
+    onChange(next);
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(selectFrom, selectTo);
+    });
+  };
+
+  const wrapSelection = (marker) => {
+    const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+    const selected = value.slice(start, end) || 'text';
+    replaceRange(start, end, `${marker}${selected}${marker}`, start + marker.length, start + marker.length + selected.length);
+  };
+
+  // Turn every line the selection touches into a bullet
+  const makeList = () => {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const start = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    const lineEnd = value.indexOf('\n', selectionEnd);
+    const end = lineEnd === -1 ? value.length : lineEnd;
+    const lines = value.slice(start, end).split('\n')
+      .map((line) => (/^\s*[-*]\s+/.test(line) ? line : `- ${line}`))
+      .join('\n');
+    replaceRange(start, end, lines, start, start + lines.length);
+  };
+
+  return (
+    <div className="rich-text-editor">
+      <div className="rich-text-toolbar" role="toolbar" aria-label="Formatting">
+        <button type="button" onClick={() => wrapSelection('**')} disabled={previewing} title="Bold" aria-label="Bold">
+          <strong>B</strong>
+        </button>
+        <button type="button" onClick={() => wrapSelection('*')} disabled={previewing} title="Italic" aria-label="Italic">
+          <em>I</em>
+        </button>
+        <button type="button" onClick={makeList} disabled={previewing} title="Bulleted list" aria-label="Bulleted list">
+          • List
+        </button>
+        <button
+          type="button"
+          className="rich-text-preview-toggle"
+          onClick={() => setPreviewing((prev) => !prev)}
+          aria-pressed={previewing}
+        >
+          {previewing ? 'Edit' : 'Preview'}
+        </button>
+      </div>
+      {previewing ? (
+        <div className="rich-text-preview">
+          {value.trim() ? <RichText text={value} /> : <p className="rich-text-empty">Nothing to preview yet.</p>}
+        </div>
+      ) : (
+        <textarea
+          ref={textareaRef}
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={maxLength}
+          rows={rows}
+          placeholder={placeholder}
+        />
+      )}
+    </div>
+  );
+}
+
+RichTextEditor.propTypes = {
+  id: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  maxLength: PropTypes.number,
+  rows: PropTypes.number,
+  placeholder: PropTypes.string,
+};
+
+export default RichTextEditor;
@@ -1,46 +1,256 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import api, { recipeAPI } from '../services/api';
 import './SearchBar.css';
 
+// Exclusions are kept between visits so allergy filters don't need re-entering
+const EXCLUSIONS_STORAGE_KEY = 'searchExclusions';
+const EMPTY_EXCLUSIONS = { allergens: [], ingredients: [], tags: [] };
+
+const loadStoredExclusions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXCLUSIONS_STORAGE_KEY));
+    return {
+      allergens: Array.isArray(stored?.allergens) ? stored.allergens : [],
+      ingredients: Array.isArray(stored?.ingredients) ? stored.ingredients : [],
+      tags: Array.isArray(stored?.tags) ? stored.tags : [],
+    };
+  } catch {
+    return EMPTY_EXCLUSIONS;
+  }
+};
+
+// Convert exclusions to search query params (allergen keys are expanded by the API)
+const toSearchParams = (exclusions) => {
+  const params = {};
+  const excludeIngredients = [...exclusions.allergens, ...exclusions.ingredients];
+  if (excludeIngredients.length > 0) params.excludeIngredients = excludeIngredients.join(',');
+  if (exclusions.tags.length > 0) params.excludeTags = exclusions.tags.join(',');
+  return params;
+};
+
 function SearchBar({ onSearch, placeholder = 'Try "chocolate" or "flour"...' }) {
   const [searchTerm, setSearchTerm] = useState('');
+  const [exclusions, setExclusions] = useState(loadStoredExclusions);
+  const [showFilters, setShowFilters] = useState(false);
+  const [allergens, setAllergens] = useState([]);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [ingredientInput, setIngredientInput] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const appliedStoredExclusions = useRef(false);
+
+  const exclusionCount = exclusions.allergens.length + exclusions.ingredients.length + exclusions.tags.length;
+
+  // Apply exclusions saved from a previous visit once on mount
+  useEffect(() => {
+    if (appliedStoredExclusions.current) return;
+    appliedStoredExclusions.current = true;
+
+    const stored = loadStoredExclusions();
+    if (stored.allergens.length || stored.ingredients.length || stored.tags.length) {
+      onSearch('', toSearchParams(stored));
+    }
+  }, [onSearch]);
+
+  // Load allergen groups and tags the first time the filter panel is opened
+  useEffect(() => {
+    if (!showFilters || allergens.length > 0) return;
+
+    const abortController = new AbortController();
+    Promise.all([
+      api.get('/allergens', { signal: abortController.signal }),
+      recipeAPI.getTags({ signal: abortController.signal }),
+    ])
+      .then(([allergenResponse, tagResponse]) => {
+        setAllergens(allergenResponse.data.allergens);
+        setAvailableTags(tagResponse.data.tags);
+      })
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          console.error('Error loading search filters:', err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [showFilters, allergens.length]);
+
+  const updateExclusions = (next) => {
+    setExclusions(next);
+    localStorage.setItem(EXCLUSIONS_STORAGE_KEY, JSON.stringify(next));
+    onSearch(searchTerm.trim(), toSearchParams(next));
+  };
+
+  const toggleAllergen = (key) => {
+    const selected = exclusions.allergens.includes(key)
+      ? exclusions.allergens.filter((a) => a !== key)
+      : [...exclusions.allergens, key];
+    updateExclusions({ ...exclusions, allergens: selected });
+  };
+
+  const addExclusion = (field, value, resetInput) => {
+    const items = value
+      .split(',')
+      .map((item) => item.trim().toLowerCase())
+      .filter((item) => item && !exclusions[field].includes(item));
+    resetInput('');
+    if (items.length > 0) {
+      updateExclusions({ ...exclusions, [field]: [...exclusions[field], ...new Set(items)] });
+    }
+  };
+
+  const removeExclusion = (field, value) => {
+    updateExclusions({ ...exclusions, [field]: exclusions[field].filter((item) => item !== value) });
+  };
+
+  const handleExclusionKeyDown = (field, value, resetInput) => (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addExclusion(field, value, resetInput);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSearch(searchTerm.trim());
+    onSearch(searchTerm.trim(), toSearchParams(exclusions));
   };
 
   const handleClear = () => {
     setSearchTerm('');
-    onSearch('');
+    onSearch('', toSearchParams(exclusions));
   };
 
   return (
-    <form onSubmit={handleSubmit} className="search-form">
-      <div className="search-bar">
-        <input
-          type="text"
-          className="search-input"
-          placeholder={placeholder}
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          aria-label="Search recipes by title or ingredient"
-        />
-        {searchTerm && (
-          <button
-            type="button"
-            onClick={handleClear}
-            className="btn-clear"
-            aria-label="Clear search"
-          >
-            ✕
-          </button>
-        )}
-      </div>
-      <button type="submit" className="btn btn-primary">
-        Search
-      </button>
-    </form>
+    <div className="search-container">
+      <form onSubmit={handleSubmit} className="search-form">
+        <div className="search-bar">
+          <input
+            type="text"
+            className="search-input"
+            placeholder={placeholder}
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            aria-label="Search recipes by title or ingredient"
+          />
+          {searchTerm && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="btn-clear"
+              aria-label="Clear search"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Search
+        </button>
+        <button
+          type="button"
+          className={`btn btn-outline btn-filters ${exclusionCount > 0 ? 'active' : ''}`}
+          onClick={() => setShowFilters(!showFilters)}
+          aria-expanded={showFilters}
+        >
+          Exclude{exclusionCount > 0 ? ` (${exclusionCount})` : ''}
+        </button>
+      </form>
+
+      {showFilters && (
+        <div className="search-filters">
+          <div className="filter-group">
+            <h4>Allergies &amp; diets</h4>
+            <div className="allergen-options">
+              {allergens.map((allergen) => (
+                <label
+                  key={allergen.key}
+                  className="allergen-option"
+                  title={`Excludes: ${allergen.ingredients.join(', ')}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={exclusions.allergens.includes(allergen.key)}
+                    onChange={() => toggleAllergen(allergen.key)}
+                  />
+                  No {allergen.label.toLowerCase()}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="filter-group">
+            <h4>Exclude ingredients</h4>
+            <input
+              type="text"
+              className="filter-input"
+              value={ingredientInput}
+              onChange={(e) => setIngredientInput(e.target.value)}
+              onKeyDown={handleExclusionKeyDown('ingredients', ingredientInput, setIngredientInput)}
+              placeholder="e.g., cilantro, mushrooms (press Enter)"
+            />
+            {exclusions.ingredients.length > 0 && (
+              <div className="exclusion-chips">
+                {exclusions.ingredients.map((item) => (
+                  <span key={item} className="exclusion-chip">
+                    {item}
+                    <button
+                      type="button"
+                      onClick={() => removeExclusion('ingredients', item)}
+                      aria-label={`Stop excluding ${item}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="filter-group">
+            <h4>Exclude tags</h4>
+            <input
+              type="text"
+              className="filter-input"
+              list="exclude-tag-options"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={handleExclusionKeyDown('tags', tagInput, setTagInput)}
+              placeholder="e.g., spicy (press Enter)"
+            />
+            <datalist id="exclude-tag-options">
+              {availableTags.map((tag) => (
+                <option key={tag} value={tag} />
+              ))}
+            </datalist>
+            {exclusions.tags.length > 0 && (
+              <div className="exclusion-chips">
+                {exclusions.tags.map((tag) => (
+                  <span key={tag} className="exclusion-chip">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => removeExclusion('tags', tag)}
+                      aria-label={`Stop excluding ${tag}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {exclusionCount > 0 && (
+            <button
+              type="button"
+              className="btn-clear-filters"
+              onClick={() => updateExclusions(EMPTY_EXCLUSIONS)}
+            >
+              Clear all exclusions
+            </button>
+          )}
+        </div>
+      )}
+    </div>
   );
 }
 
@@ -0,0 +1,46 @@
+import PropTypes from 'prop-types';
+import './StarRating.css';
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Five stars for a 1-5 rating; pass onChange to let the user pick one (picking it again clears it)
+function StarRating({ value, onChange, label = 'Rating' }) {
+  if (!onChange) {
+    const rounded = Math.round(value || 0);
+    return (
+      <span className="star-rating" role="img" aria-label={`${label}: ${value ? value.toFixed(1) : 'none'} out of 5`}>
+        {STARS.map((star) => (
+          <span key={star} className={star <= rounded ? 'star filled' : 'star'} aria-hidden="true">
+            ★
+          </span>
+        ))}
+      </span>
+    );
+  }
+
+  return (
+    <span className="star-rating star-rating-input" role="radiogroup" aria-label={label}>
+      {STARS.map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          aria-label={`${star} star${star === 1 ? '' : 's'}`}
+          className={star <= (value || 0) ? 'star filled' : 'star'}
+          onClick={() => onChange(value === star ? null : star)}
+        >
+          ★
+        </button>
+      ))}
+    </span>
+  );
+}
+
+StarRating.propTypes = {
+  value: PropTypes.number,
+  onChange: PropTypes.func,
+  label: PropTypes.string,
+};
+
+export default StarRating;
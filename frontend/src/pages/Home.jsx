@@ -17,8 +17,8 @@ function Home() {
 
   // Track active search controller to abort on new search or unmount
   const searchControllerRef = useRef(null);
-  // Track last search term for retry functionality
-  const lastSearchTermRef = useRef('');
+  // Track last search (term and exclusions) for retry functionality
+  const lastSearchRef = useRef(null);
 
   const loadRecipes = useCallback(async (signal, offset = pagination.offset) => {
     try {
@@ -59,16 +59,18 @@ function Home() {
     }
   }, [searchMode, pagination.offset, loadRecipes]);
 
-  const handleSearch = async (searchTerm) => {
+  const handleSearch = useCallback(async (searchTerm, exclusions = {}) => {
     // Abort any existing search
     if (searchControllerRef.current) {
       searchControllerRef.current.abort();
     }
 
-    if (!searchTerm) {
+    const hasExclusions = Boolean(exclusions.excludeIngredients || exclusions.excludeTags);
+
+    if (!searchTerm && !hasExclusions) {
       // Clear search and reset to page 1
       searchControllerRef.current = null;
-      lastSearchTermRef.current = '';
+      lastSearchRef.current = null;
       setSearchMode(false);
       setPagination((prev) => ({ ...prev, offset: 0 }));
       // loadRecipes will be triggered by the effect when searchMode changes
@@ -77,15 +79,15 @@ function Home() {
 
     const abortController = new AbortController();
     searchControllerRef.current = abortController;
-    lastSearchTermRef.current = searchTerm;
+    lastSearchRef.current = { searchTerm, exclusions };
 
     try {
       setLoading(true);
       setSearchMode(true);
       const response = await recipeAPI.search(
         {
-          title: searchTerm,
-          ingredient: searchTerm,
+          ...(searchTerm && { q: searchTerm }),
+          ...exclusions,
         },
         { signal: abortController.signal }
       );
@@ -103,7 +105,7 @@ function Home() {
         setLoading(false);
       }
     }
-  };
+  }, []);
 
   // Cleanup search controller on unmount
   useEffect(() => {
@@ -133,9 +135,9 @@ function Home() {
   };
 
   const handleRetry = () => {
-    if (lastSearchTermRef.current) {
+    if (lastSearchRef.current) {
       // Retry the search
-      handleSearch(lastSearchTermRef.current);
+      handleSearch(lastSearchRef.current.searchTerm, lastSearchRef.current.exclusions);
     } else {
       // Retry loading the recipe list
       loadRecipes(new AbortController().signal);
@@ -0,0 +1,371 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { mealPlanAPI, recipeAPI, shoppingListAPI } from '../services/api';
+import { getAbsoluteUrl } from '../utils/urlHelpers';
+import { addDays, startOfWeek, toDateInputValue } from '../utils/recipeHelpers';
+import './MealPlan.css';
+
+const MEALS = [
+  { value: 'breakfast', label: 'Breakfast' },
+  { value: 'lunch', label: 'Lunch' },
+  { value: 'dinner', label: 'Dinner' },
+];
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+});
+
+function MealPlan() {
+  const navigate = useNavigate();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(toDateInputValue()));
+  const [entries, setEntries] = useState([]);
+  const [days, setDays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [copying, setCopying] = useState(false);
+  const [buildingList, setBuildingList] = useState(false);
+  // The day and meal a recipe is being added to, and the search for it
+  const [adding, setAdding] = useState(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
+
+  const weekEnd = addDays(weekStart, 6);
+  const today = toDateInputValue();
+
+  const applyPlan = (data) => {
+    setEntries(data.entries || []);
+    setDays(data.days || []);
+  };
+
+  const loadWeek = useCallback(async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await mealPlanAPI.getRange(weekStart, addDays(weekStart, 6), { signal });
+      applyPlan(response.data);
+    } catch (err) {
+      if (signal?.aborted) return;
+      setError('Failed to load your meal plan.');
+      console.error('Error loading meal plan:', err);
+    } finally {
+      if (!signal?.aborted) setLoading(false);
+    }
+  }, [weekStart]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    loadWeek(abortController.signal);
+    return () => abortController.abort();
+  }, [loadWeek]);
+
+  const changeWeek = (start) => {
+    setAdding(null);
+    setMessage(null);
+    setWeekStart(start);
+  };
+
+  const openAdd = (date, meal) => {
+    setAdding({ date, meal });
+    setQuery('');
+    setResults(null);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    try {
+      setError(null);
+      const response = await recipeAPI.search({ q: query.trim() });
+      setResults((response.data.recipes || []).slice(0, 8));
+    } catch (err) {
+      setError('Search failed');
+      console.error(err);
+    }
+  };
+
+  const handleAdd = async (recipe) => {
+    try {
+      setError(null);
+      await mealPlanAPI.add({ recipeId: recipe.id, date: adding.date, meal: adding.meal });
+      setAdding(null);
+      loadWeek();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add the recipe.');
+      console.error('Error adding to meal plan:', err);
+    }
+  };
+
+  const handleServings = async (entry, value) => {
+    const servings = value === '' ? null : Number(value);
+    if (servings !== null && (!Number.isInteger(servings) || servings < 1 || servings > 100)) return;
+
+    try {
+      setError(null);
+      await mealPlanAPI.update(entry.id, { servings });
+      loadWeek();
+    } catch (err) {
+      setError(err.response?.data?.errors?.join('. ') || 'Failed to update servings.');
+      console.error('Error updating meal plan:', err);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      setError(null);
+      await mealPlanAPI.delete(entry.id);
+      loadWeek();
+    } catch (err) {
+      setError('Failed to remove the recipe.');
+      console.error('Error removing from meal plan:', err);
+    }
+  };
+
+  const handleCopyLastWeek = async () => {
+    try {
+      setCopying(true);
+      setError(null);
+      const response = await mealPlanAPI.copyLastWeek(weekStart);
+      applyPlan(response.data);
+      setMessage(response.data.message);
+    } catch (err) {
+      setError('Failed to copy last week.');
+      console.error('Error copying meal plan:', err);
+    } finally {
+      setCopying(false);
+    }
+  };
+
+  const handleShoppingList = async () => {
+    try {
+      setBuildingList(true);
+      setError(null);
+      const response = await shoppingListAPI.create({
+        name: `Week of ${formatDay(weekStart)}`,
+        mealPlan: { start: weekStart, end: weekEnd },
+      });
+      navigate(`/shopping-lists/${response.data.list.id}`);
+    } catch (err) {
+      setError('Failed to make a shopping list.');
+      console.error('Error creating shopping list:', err);
+      setBuildingList(false);
+    }
+  };
+
+  const handleShowFeed = async () => {
+    try {
+      setError(null);
+      const response = await mealPlanAPI.getFeed();
+      setFeedUrl(getAbsoluteUrl(response.data.feedPath));
+    } catch (err) {
+      setError('Failed to get your calendar link.');
+      console.error('Error loading calendar feed:', err);
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (!window.confirm('Make a new calendar link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await mealPlanAPI.resetFeed();
+      setFeedUrl(getAbsoluteUrl(response.data.feedPath));
+    } catch (err) {
+      setError('Failed to replace your calendar link.');
+      console.error('Error resetting calendar feed:', err);
+    }
+  };
+
+  const slotEntries = (date, meal) => entries.filter((entry) => entry.date === date && entry.meal === meal);
+  const weekDates = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+  return (
+    <div className="meal-plan-page">
+      <div className="hero">
+        <h1>Meal Plan</h1>
+        <p className="hero-subtitle">What&apos;s cooking this week</p>
+      </div>
+
+      <div className="container">
+        <div className="meal-plan-toolbar">
+          <h2 className="meal-plan-range">{formatDay(weekStart)} – {formatDay(weekEnd)}</h2>
+          <div className="meal-plan-nav">
+            <button type="button" className="btn btn-outline btn-small" onClick={() => changeWeek(addDays(weekStart, -7))}>
+              ← Previous
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={() => changeWeek(startOfWeek(today))}
+              disabled={weekStart === startOfWeek(today)}
+            >
+              This Week
+            </button>
+            <button type="button" className="btn btn-outline btn-small" onClick={() => changeWeek(addDays(weekStart, 7))}>
+              Next →
+            </button>
+            <button type="button" className="btn btn-secondary btn-small" onClick={handleCopyLastWeek} disabled={copying}>
+              {copying ? 'Copying...' : 'Copy Last Week'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary btn-small"
+              onClick={handleShoppingList}
+              disabled={buildingList || entries.length === 0}
+            >
+              {buildingList ? 'Building...' : 'Shopping List'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="meal-plan-message">{message}</div>}
+
+        {adding && (
+          <div className="meal-plan-add">
+            <div className="meal-plan-add-header">
+              <h3>
+                Add to {MEALS.find((m) => m.value === adding.meal).label.toLowerCase()} on {formatDay(adding.date)}
+              </h3>
+              <button type="button" className="meal-plan-close" onClick={() => setAdding(null)} aria-label="Close">
+                ✕
+              </button>
+            </div>
+            <form className="meal-plan-search" onSubmit={handleSearch}>
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search recipes..."
+                aria-label="Search recipes"
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary btn-small">Search</button>
+            </form>
+            {results && results.length === 0 && <p className="meal-plan-muted">No recipes found.</p>}
+            {results && results.length > 0 && (
+              <ul className="meal-plan-results">
+                {results.map((recipe) => (
+                  <li key={recipe.id}>
+                    <button type="button" onClick={() => handleAdd(recipe)}>
+                      <span>{recipe.title}</span>
+                      {recipe.estimatedCalories && (
+                        <span className="meal-plan-muted">{recipe.estimatedCalories} cal/serving</span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className={`meal-plan-grid ${loading ? 'meal-plan-loading' : ''}`}>
+          <div className="meal-plan-corner" />
+          {weekDates.map((date) => (
+            <div key={date} className={`meal-plan-day ${date === today ? 'today' : ''}`}>
+              {formatDay(date)}
+            </div>
+          ))}
+
+          {MEALS.map((meal) => (
+            <div key={meal.value} className="meal-plan-row">
+              <div className="meal-plan-meal">{meal.label}</div>
+              {weekDates.map((date) => (
+                <div key={date} className={`meal-plan-slot ${date === today ? 'today' : ''}`}>
+                  {slotEntries(date, meal.value).map((entry) => (
+                    <div key={entry.id} className="meal-plan-entry">
+                      <Link to={`/recipe/${entry.recipeId}`} className="meal-plan-entry-title">
+                        {entry.recipe.title}
+                      </Link>
+                      <div className="meal-plan-entry-details">
+                        <label>
+                          Serves
+                          <input
+                            type="number"
+                            min="1"
+                            max="100"
+                            defaultValue={entry.servings ?? ''}
+                            placeholder={entry.recipe.servings ?? '–'}
+                            onBlur={(e) => {
+                              if (e.target.value !== String(entry.servings ?? '')) handleServings(entry, e.target.value);
+                            }}
+                            aria-label={`Servings of ${entry.recipe.title}`}
+                          />
+                        </label>
+                        {entry.calories !== null && <span className="meal-plan-muted">{entry.calories} cal</span>}
+                        <button
+                          type="button"
+                          className="meal-plan-remove"
+                          onClick={() => handleRemove(entry)}
+                          aria-label={`Remove ${entry.recipe.title}`}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <button type="button" className="meal-plan-add-btn" onClick={() => openAdd(date, meal.value)}>
+                    + Add
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+
+          <div className="meal-plan-meal">Calories</div>
+          {weekDates.map((date) => {
+            const day = days.find((d) => d.date === date);
+            return (
+              <div key={date} className="meal-plan-total">
+                {day && day.calories > 0 ? (
+                  <>
+                    <strong>{day.calories.toLocaleString()}</strong>
+                    {day.caloriesPerServing > 0 && (
+                      <span className="meal-plan-muted">{day.caloriesPerServing.toLocaleString()} per person</span>
+                    )}
+                    {day.notPerServing > 0 && (
+                      <span className="meal-plan-muted">+{day.notPerServing} not per serving</span>
+                    )}
+                  </>
+                ) : (
+                  <span className="meal-plan-muted">–</span>
+                )}
+                {day?.uncounted > 0 && (
+                  <span className="meal-plan-muted">+{day.uncounted} without an estimate</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="meal-plan-feed">
+          <h3>Add to Your Calendar</h3>
+          <p className="meal-plan-muted">
+            Subscribe to your meal plan from your phone or calendar app. It updates as you change the plan.
+            Anyone with the link can see your plan.
+          </p>
+          {feedUrl ? (
+            <div className="meal-plan-feed-link">
+              <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} aria-label="Calendar link" />
+              <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="btn btn-primary btn-small">Subscribe</a>
+              <button type="button" className="btn btn-outline btn-small" onClick={handleResetFeed}>
+                New Link
+              </button>
+            </div>
+          ) : (
+            <button type="button" className="btn btn-outline btn-small" onClick={handleShowFeed}>
+              Get Calendar Link
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MealPlan;
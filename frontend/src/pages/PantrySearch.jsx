@@ -0,0 +1,213 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { recipeAPI } from '../services/api';
+import RecipeCard from '../components/RecipeCard';
+import './PantrySearch.css';
+
+// Remember what's in the pantry between visits
+const PANTRY_STORAGE_KEY = 'pantryIngredients';
+
+const loadStoredPantry = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PANTRY_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+function PantrySearch() {
+  const [pantry, setPantry] = useState(loadStoredPantry);
+  const [ingredientInput, setIngredientInput] = useState('');
+  const [maxMissing, setMaxMissing] = useState(2);
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searched, setSearched] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem(PANTRY_STORAGE_KEY, JSON.stringify(pantry));
+  }, [pantry]);
+
+  const findRecipes = useCallback(async (signal) => {
+    if (pantry.length === 0) {
+      setRecipes([]);
+      setSearched(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await recipeAPI.pantrySearch(
+        { have: pantry.join(','), maxMissing },
+        { signal }
+      );
+      if (!signal?.aborted) {
+        setRecipes(response.data.recipes);
+        setSearched(true);
+        setError(null);
+      }
+    } catch (err) {
+      if (!signal?.aborted) {
+        setError('Failed to search your pantry. Please try again.');
+        console.error('Error searching pantry:', err);
+      }
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [pantry, maxMissing]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    findRecipes(abortController.signal);
+    return () => abortController.abort();
+  }, [findRecipes]);
+
+  const addIngredients = () => {
+    // Allow pasting several ingredients at once, separated by commas
+    const additions = ingredientInput
+      .split(',')
+      .map((item) => item.trim().toLowerCase())
+      .filter((item) => item && !pantry.includes(item));
+
+    if (additions.length > 0) {
+      setPantry((prev) => [...prev, ...new Set(additions)]);
+    }
+    setIngredientInput('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addIngredients();
+    }
+  };
+
+  const removeIngredient = (item) => {
+    setPantry((prev) => prev.filter((i) => i !== item));
+  };
+
+  const clearPantry = () => {
+    if (window.confirm('Remove all ingredients from your pantry?')) {
+      setPantry([]);
+    }
+  };
+
+  return (
+    <div className="pantry-page">
+      <div className="hero">
+        <h1>Cook from My Pantry</h1>
+        <p className="hero-subtitle">
+          Tell us what you have and we&apos;ll find recipes you can make
+        </p>
+
+        <div className="pantry-input-group">
+          <input
+            type="text"
+            className="search-input"
+            value={ingredientInput}
+            onChange={(e) => setIngredientInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder='e.g., "chicken breast, rice, onion"'
+            aria-label="Add ingredients you have"
+          />
+          <button type="button" onClick={addIngredients} className="btn btn-primary">
+            Add
+          </button>
+        </div>
+
+        {pantry.length > 0 && (
+          <div className="pantry-items">
+            {pantry.map((item) => (
+              <span key={item} className="pantry-item">
+                {item}
+                <button
+                  type="button"
+                  onClick={() => removeIngredient(item)}
+                  aria-label={`Remove ${item}`}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+            <button type="button" onClick={clearPantry} className="btn-link">
+              Clear all
+            </button>
+          </div>
+        )}
+
+        <div className="pantry-tolerance">
+          <label htmlFor="maxMissing">Missing at most</label>
+          <select
+            id="maxMissing"
+            value={maxMissing}
+            onChange={(e) => setMaxMissing(parseInt(e.target.value, 10))}
+          >
+            {[0, 1, 2, 3, 4, 5].map((n) => (
+              <option key={n} value={n}>
+                {n} {n === 1 ? 'ingredient' : 'ingredients'}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="container">
+        {loading && (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Checking your pantry...</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="error">
+            <p>{error}</p>
+            <button onClick={() => findRecipes()} className="btn btn-primary">
+              Try Again
+            </button>
+          </div>
+        )}
+
+        {!loading && !error && pantry.length === 0 && (
+          <div className="no-results">
+            <p>Add a few ingredients to get started.</p>
+          </div>
+        )}
+
+        {!loading && !error && searched && recipes.length === 0 && (
+          <div className="no-results">
+            <p>No recipes match what you have yet.</p>
+            <p className="pantry-hint">Try allowing more missing ingredients, or <Link to="/">browse all recipes</Link>.</p>
+          </div>
+        )}
+
+        {!loading && !error && recipes.length > 0 && (
+          <div className="recipe-grid">
+            {recipes.map((recipe) => (
+              <div key={recipe.id} className="pantry-result">
+                <RecipeCard recipe={recipe} />
+                <div className="pantry-match">
+                  <p className="pantry-match-count">
+                    You have {recipe.matchedCount} of {recipe.totalIngredients} ingredients
+                  </p>
+                  {recipe.missingIngredients.length > 0 ? (
+                    <p className="pantry-missing">
+                      Missing: {recipe.missingIngredients.join(', ')}
+                    </p>
+                  ) : (
+                    <p className="pantry-complete">You have everything!</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PantrySearch;
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { peopleAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getImageUrl } from '../utils/urlHelpers';
+import { formatLifespan } from '../utils/recipeHelpers';
+import PersonForm from '../components/PersonForm';
+import './People.css';
+
+// The family members recipes came from, oldest generation first
+function People() {
+  const { isAdmin } = useAuth();
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const loadPeople = async () => {
+      try {
+        const response = await peopleAPI.getAll({ signal: abortController.signal });
+        setPeople(response.data.people);
+        setError(null);
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          setError('Failed to load family members.');
+          console.error('Error loading people:', err);
+        }
+      } finally {
+        if (!abortController.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadPeople();
+    return () => abortController.abort();
+  }, []);
+
+  const handleSaved = (person) => {
+    setPeople((prev) => [...prev, { ...person, recipeCount: 0 }]);
+    setShowForm(false);
+  };
+
+  return (
+    <div className="people-page">
+      <div className="hero">
+        <h1>Family</h1>
+        <p className="hero-subtitle">The people behind the recipes</p>
+      </div>
+
+      <div className="container">
+        {isAdmin() && (
+          <div className="people-actions">
+            {showForm ? (
+              <div className="people-form-card">
+                <h2>Add a family member</h2>
+                <PersonForm onSaved={handleSaved} onCancel={() => setShowForm(false)} />
+              </div>
+            ) : (
+              <button type="button" className="btn btn-primary" onClick={() => setShowForm(true)}>
+                + Add Person
+              </button>
+            )}
+          </div>
+        )}
+
+        {loading && (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading family...</p>
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        {!loading && !error && people.length === 0 && (
+          <div className="no-results">
+            <p>No family members yet.</p>
+          </div>
+        )}
+
+        {!loading && people.length > 0 && (
+          <div className="people-grid">
+            {people.map((person) => (
+              <Link key={person.id} to={`/people/${person.id}`} className="people-card">
+                <div className="people-photo">
+                  {person.photoUrl ? (
+                    <img src={getImageUrl(person.photoUrl)} alt={person.name} />
+                  ) : (
+                    <span>{person.name.charAt(0).toUpperCase()}</span>
+                  )}
+                </div>
+                <h3>{person.name}</h3>
+                {person.relation && <p className="people-relation">{person.relation}</p>}
+                {formatLifespan(person) && <p className="people-lifespan">{formatLifespan(person)}</p>}
+                <p className="people-count">
+                  {person.recipeCount} {person.recipeCount === 1 ? 'recipe' : 'recipes'}
+                </p>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default People;
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { peopleAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getImageUrl } from '../utils/urlHelpers';
+import { ATTRIBUTION_ROLES, formatLifespan } from '../utils/recipeHelpers';
+import RecipeCard from '../components/RecipeCard';
+import PersonForm from '../components/PersonForm';
+import './People.css';
+
+// A family member and the recipes that came from them, grouped by role
+function PersonDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const [person, setPerson] = useState(null);
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const loadPerson = async () => {
+      try {
+        setLoading(true);
+        const response = await peopleAPI.getById(id, { signal: abortController.signal });
+        setPerson(response.data.person);
+        setRecipes(response.data.recipes);
+        setError(null);
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          setError(err.response?.status === 404 ? 'Person not found.' : 'Failed to load this person.');
+          console.error('Error loading person:', err);
+        }
+      } finally {
+        if (!abortController.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadPerson();
+    return () => abortController.abort();
+  }, [id]);
+
+  const handleSaved = (updated) => {
+    setPerson(updated);
+    setEditing(false);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${person.name}? Their recipes are kept, without the attribution.`)) {
+      return;
+    }
+
+    try {
+      setDeleting(true);
+      await peopleAPI.delete(person.id);
+      navigate('/people');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete this person.');
+      console.error('Error deleting person:', err);
+      setDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!person) {
+    return (
+      <div className="container people-page">
+        <div className="error-message">{error}</div>
+        <Link to="/people" className="person-back">← All family</Link>
+      </div>
+    );
+  }
+
+  const lifespan = formatLifespan(person);
+
+  return (
+    <div className="container people-page">
+      <Link to="/people" className="person-back">← All family</Link>
+
+      {editing ? (
+        <div className="people-form-card">
+          <h2>Edit {person.name}</h2>
+          <PersonForm person={person} onSaved={handleSaved} onCancel={() => setEditing(false)} />
+        </div>
+      ) : (
+        <div className="person-header">
+          <div className="people-photo person-photo-large">
+            {person.photoUrl ? (
+              <img src={getImageUrl(person.photoUrl)} alt={person.name} />
+            ) : (
+              <span>{person.name.charAt(0).toUpperCase()}</span>
+            )}
+          </div>
+          <div className="person-info">
+            <h1>{person.name}</h1>
+            {person.relation && <p className="people-relation">{person.relation}</p>}
+            {lifespan && <p className="people-lifespan">{lifespan}</p>}
+            {isAdmin() && (
+              <div className="person-admin-actions">
+                <button type="button" className="btn btn-outline btn-small" onClick={() => setEditing(true)}>
+                  Edit
+                </button>
+                <button type="button" className="btn btn-outline btn-small" onClick={handleDelete} disabled={deleting}>
+                  {deleting ? 'Deleting...' : 'Delete'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {recipes.length === 0 && (
+        <div className="no-results">
+          <p>No recipes from {person.name} yet.</p>
+        </div>
+      )}
+
+      {ATTRIBUTION_ROLES.map(({ value, label }) => {
+        const roleRecipes = recipes.filter((recipe) => recipe.role === value);
+        if (roleRecipes.length === 0) return null;
+        return (
+          <section key={value} className="person-recipes">
+            <h2>{label} {person.name}</h2>
+            <div className="recipe-grid">
+              {roleRecipes.map((recipe) => (
+                <RecipeCard key={recipe.id} recipe={recipe} />
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PersonDetail;
@@ -1,11 +1,42 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import api, { recipeAPI } from '../services/api';
-import { getTagClass, formatDate } from '../utils/recipeHelpers';
+import { getTagClass, formatDate, formatMinutes, formatTimer, groupBySection, ATTRIBUTION_ROLES } from '../utils/recipeHelpers';
 import { getImageUrl } from '../utils/urlHelpers';
 import { useAuth } from '../contexts/AuthContext';
+import CookingMode from '../components/CookingMode';
+import CookLogForm from '../components/CookLogForm';
+import StarRating from '../components/StarRating';
+import RichText from '../components/RichText';
+import OriginalViewer from '../components/OriginalViewer';
+import CollectionPicker from '../components/CollectionPicker';
 import './RecipeDetail.css';
 
+// Matches the API's limit for ?servings=N
+const MAX_SERVINGS = 100;
+
+// Measurement system for ingredients; null shows them as written.
+// Kept in localStorage for guests and synced to user preferences when logged in.
+const UNIT_STORAGE_KEY = 'unitSystem';
+const UNIT_OPTIONS = [
+  { value: null, label: 'As written' },
+  { value: 'imperial', label: 'US' },
+  { value: 'metric', label: 'Metric' },
+];
+
+const loadStoredUnitSystem = () => {
+  const stored = localStorage.getItem(UNIT_STORAGE_KEY);
+  return stored === 'imperial' || stored === 'metric' ? stored : null;
+};
+
+const storeUnitSystem = (unitSystem) => {
+  if (unitSystem) {
+    localStorage.setItem(UNIT_STORAGE_KEY, unitSystem);
+  } else {
+    localStorage.removeItem(UNIT_STORAGE_KEY);
+  }
+};
+
 function RecipeDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -19,6 +50,14 @@ function RecipeDetail() {
   const [isSaved, setIsSaved] = useState(false);
   const [savingRecipe, setSavingRecipe] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
+  // Servings chosen with the stepper (null = as written), the measurement system,
+  // and the ingredients the API adjusted for them
+  const [servings, setServings] = useState(null);
+  const [unitSystem, setUnitSystem] = useState(loadStoredUnitSystem);
+  const [adjusted, setAdjusted] = useState(null);
+  const [cooking, setCooking] = useState(false);
+  const [showCookLog, setShowCookLog] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
 
   const loadRecipe = useCallback(async (signal) => {
     try {
@@ -26,7 +65,12 @@ function RecipeDetail() {
       const response = await recipeAPI.getById(id, { signal });
       if (!signal?.aborted) {
         setRecipe(response.data.recipe);
+        setServings(null);
         setError(null);
+        // The API redirects IDs of recipes merged into another one; show the kept recipe's URL
+        if (response.data.recipe.id !== Number(id)) {
+          navigate(`/recipe/${response.data.recipe.id}`, { replace: true });
+        }
       }
     } catch (err) {
       if (!signal?.aborted) {
@@ -38,7 +82,7 @@ function RecipeDetail() {
         setLoading(false);
       }
     }
-  }, [id]);
+  }, [id, navigate]);
 
   useEffect(() => {
     const abortController = new AbortController();
@@ -46,6 +90,48 @@ function RecipeDetail() {
     return () => abortController.abort();
   }, [loadRecipe]);
 
+  // Use the logged-in user's saved measurement system
+  useEffect(() => {
+    if (!user) return;
+
+    const abortController = new AbortController();
+    api.get('/users/profile', { signal: abortController.signal })
+      .then((response) => {
+        const saved = response.data.preferences?.unitSystem ?? null;
+        setUnitSystem(saved);
+        storeUnitSystem(saved);
+      })
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          console.error('Error loading preferences:', err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [user]);
+
+  // Ask the API to scale/convert the ingredients whenever servings or units change
+  useEffect(() => {
+    if (servings === null && !unitSystem) return;
+
+    const params = {};
+    if (servings !== null) params.servings = servings;
+    if (unitSystem) params.units = unitSystem;
+
+    const abortController = new AbortController();
+    recipeAPI.getById(id, { params, signal: abortController.signal })
+      .then((response) => {
+        setAdjusted({ key: `${servings}|${unitSystem}`, ingredients: response.data.recipe.ingredients });
+      })
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          console.error('Error adjusting recipe:', err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [id, servings, unitSystem]);
+
   // Check if recipe is saved by current user
   useEffect(() => {
     const checkSaved = async () => {
@@ -114,6 +200,39 @@ function RecipeDetail() {
     }
   };
 
+  const startCooking = () => {
+    // Fullscreen has to be requested from the click itself; browsers that refuse still get the overlay
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    setCooking(true);
+  };
+
+  const closeCooking = useCallback(() => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+    setCooking(false);
+  }, []);
+
+  // Show the recalculated times cooked and rating after the user logs a cook
+  const handleCooked = useCallback(({ timesCooked, ratingAverage, ratingCount }) => {
+    setRecipe((prev) => ({ ...prev, timesCooked, ratingAverage, ratingCount }));
+  }, []);
+
+  const changeServings = (delta) => {
+    const current = servings ?? recipe.servings;
+    const next = Math.min(Math.max(current + delta, 1), MAX_SERVINGS);
+    setServings(next === recipe.servings ? null : next);
+  };
+
+  const changeUnitSystem = (value) => {
+    setUnitSystem(value);
+    storeUnitSystem(value);
+    if (user) {
+      api.put('/users/preferences', { unitSystem: value })
+        .catch((err) => console.error('Error saving unit preference:', err));
+    }
+  };
+
   if (loading) {
     return (
       <div className="container">
@@ -138,6 +257,12 @@ function RecipeDetail() {
     );
   }
 
+  const displayedServings = servings ?? recipe.servings;
+  const isAdjusted = servings !== null || unitSystem !== null;
+  const ingredients = isAdjusted && adjusted?.key === `${servings}|${unitSystem}`
+    ? adjusted.ingredients
+    : recipe.ingredients;
+
   return (
     <div className="recipe-detail">
       <div className="container">
@@ -151,6 +276,23 @@ function RecipeDetail() {
             {recipe.source && (
               <p className="recipe-source-detail">From: {recipe.source}</p>
             )}
+            {ATTRIBUTION_ROLES.map(({ value, label }) => {
+              const people = (recipe.people || []).filter((person) => person.role === value);
+              if (people.length === 0) return null;
+              return (
+                <p key={value} className="recipe-attribution">
+                  {label}{' '}
+                  {people.map((person, index) => (
+                    <span key={person.id}>
+                      {index > 0 && (index === people.length - 1 ? ' and ' : ', ')}
+                      <Link to={`/people/${person.id}`}>
+                        {person.relation && person.relation !== person.name ? `${person.relation} ${person.name}` : person.name}
+                      </Link>
+                    </span>
+                  ))}
+                </p>
+              );
+            })}
             {recipe.tags && recipe.tags.length > 0 && (
               <div className="tags">
                 {recipe.tags.map((tag, index) => (
@@ -160,11 +302,60 @@ function RecipeDetail() {
                 ))}
               </div>
             )}
+            {(recipe.prepTimeMinutes > 0 || recipe.cookTimeMinutes > 0 || recipe.totalTimeMinutes > 0) && (
+              <div className="recipe-times">
+                {recipe.prepTimeMinutes > 0 && (
+                  <div className="recipe-time">
+                    <span className="recipe-time-label">Prep</span>
+                    <span className="recipe-time-value">{formatMinutes(recipe.prepTimeMinutes)}</span>
+                  </div>
+                )}
+                {recipe.cookTimeMinutes > 0 && (
+                  <div className="recipe-time">
+                    <span className="recipe-time-label">Cook</span>
+                    <span className="recipe-time-value">{formatMinutes(recipe.cookTimeMinutes)}</span>
+                  </div>
+                )}
+                {recipe.totalTimeMinutes > 0 && (
+                  <div className="recipe-time">
+                    <span className="recipe-time-label">Total</span>
+                    <span className="recipe-time-value">{formatMinutes(recipe.totalTimeMinutes)}</span>
+                  </div>
+                )}
+              </div>
+            )}
+            {(recipe.ratingCount > 0 || recipe.timesCooked > 0) && (
+              <p className="recipe-cook-stats">
+                {recipe.ratingCount > 0 && (
+                  <>
+                    <StarRating value={recipe.ratingAverage} label="Average rating" />
+                    {' '}{recipe.ratingAverage.toFixed(1)} ({recipe.ratingCount} {recipe.ratingCount === 1 ? 'rating' : 'ratings'})
+                  </>
+                )}
+                {recipe.ratingCount > 0 && recipe.timesCooked > 0 && ' · '}
+                {recipe.timesCooked > 0 && `Made ${recipe.timesCooked} ${recipe.timesCooked === 1 ? 'time' : 'times'}`}
+              </p>
+            )}
             {recipe.dateAdded && (
               <p className="recipe-date">📅 Added {formatDate(recipe.dateAdded, false)}</p>
             )}
           </div>
           <div className="recipe-actions">
+            {(recipe.steps?.length > 0 || recipe.instructions) && (
+              <button onClick={startCooking} className="btn btn-primary">
+                Start Cooking
+              </button>
+            )}
+            {user && (
+              <button onClick={() => setShowCookLog(true)} className="btn btn-outline">
+                I Made This
+              </button>
+            )}
+            {recipe.originals?.length > 0 && (
+              <button onClick={() => setShowOriginal(true)} className="btn btn-outline">
+                View Original
+              </button>
+            )}
             {/* Save button for logged-in non-admin users */}
             {user && !isAdmin() && (
               <button
@@ -175,6 +366,9 @@ function RecipeDetail() {
                 {savingRecipe ? '...' : isSaved ? '♥ Saved' : '♡ Save'}
               </button>
             )}
+            {user && !isAdmin() && (
+              <CollectionPicker recipeId={recipe.id} onFavoritesChange={setIsSaved} />
+            )}
             {/* Prompt to login for guests */}
             {!user && (
               <Link to="/register" className="btn btn-outline save-prompt">
@@ -187,6 +381,12 @@ function RecipeDetail() {
                 <Link to={`/edit/${recipe.id}`} className="btn btn-secondary">
                   Edit Recipe
                 </Link>
+                <Link to={`/admin/recipes/${recipe.id}/history`} className="btn btn-outline">
+                  History
+                </Link>
+                <Link to={`/admin/recipes/${recipe.id}/merge`} className="btn btn-outline">
+                  Merge…
+                </Link>
                 <button
                   onClick={() => setShowDeleteConfirm(true)}
                   className="btn btn-outline"
@@ -231,6 +431,12 @@ function RecipeDetail() {
           </div>
         )}
 
+        {recipe.story && (
+          <blockquote className="recipe-story">
+            <RichText text={recipe.story} />
+          </blockquote>
+        )}
+
         {/* Image Lightbox */}
         {selectedImage && (
           <div className="image-lightbox" onClick={() => setSelectedImage(null)}>
@@ -295,22 +501,100 @@ function RecipeDetail() {
           </div>
         )}
 
-        {recipe.ingredients && recipe.ingredients.length > 0 && (
+        {ingredients && ingredients.length > 0 && (
           <div className="recipe-section">
-            <h2>Ingredients</h2>
-            <ul className="ingredients-list">
-              {recipe.ingredients.map((ingredient, index) => (
-                <li key={index}>
-                  {ingredient.quantity && <span className="quantity">{ingredient.quantity}</span>}
-                  {ingredient.unit && <span className="unit">{ingredient.unit}</span>}
-                  <span className="ingredient-name">{ingredient.name}</span>
-                </li>
-              ))}
-            </ul>
+            <div className="ingredients-header">
+              <h2>Ingredients</h2>
+              <div className="ingredients-controls">
+                {recipe.servings > 0 && (
+                  <div className="servings-stepper">
+                    <button
+                      type="button"
+                      onClick={() => changeServings(-1)}
+                      disabled={displayedServings <= 1}
+                      aria-label="Fewer servings"
+                    >
+                      −
+                    </button>
+                    <span className="servings-count" aria-live="polite">
+                      {displayedServings} {displayedServings === 1 ? 'serving' : 'servings'}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => changeServings(1)}
+                      disabled={displayedServings >= MAX_SERVINGS}
+                      aria-label="More servings"
+                    >
+                      +
+                    </button>
+                    {servings !== null && (
+                      <button
+                        type="button"
+                        className="servings-reset"
+                        onClick={() => setServings(null)}
+                      >
+                        Reset to {recipe.servings}
+                      </button>
+                    )}
+                  </div>
+                )}
+                <div className="unit-toggle" role="group" aria-label="Measurement units">
+                  {UNIT_OPTIONS.map((option) => (
+                    <button
+                      key={option.label}
+                      type="button"
+                      className={unitSystem === option.value ? 'active' : ''}
+                      onClick={() => changeUnitSystem(option.value)}
+                      aria-pressed={unitSystem === option.value}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            {groupBySection(ingredients).map((group) => (
+              <div key={group.items[0].index} className="ingredient-group">
+                {group.section && <h3 className="ingredient-section">{group.section}</h3>}
+                <ul className="ingredients-list">
+                  {group.items.map(({ item: ingredient, index }) => (
+                    <li key={index}>
+                      {ingredient.quantity && <span className="quantity">{ingredient.quantity}</span>}
+                      {ingredient.unit && <span className="unit">{ingredient.unit}</span>}
+                      <span className="ingredient-name">
+                        {ingredient.name}
+                        {ingredient.preparation && (
+                          <span className="ingredient-preparation">, {ingredient.preparation}</span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
           </div>
         )}
 
-        {recipe.instructions && (
+        {recipe.steps?.length > 0 ? (
+          <div className="recipe-section">
+            <h2>Instructions</h2>
+            {groupBySection(recipe.steps).map((group) => (
+              <div key={group.items[0].index} className="step-group">
+                {group.section && <h3 className="ingredient-section">{group.section}</h3>}
+                <ol className="recipe-steps" start={group.items[0].index + 1}>
+                  {group.items.map(({ item: step, index }) => (
+                    <li key={index}>
+                      <span className="step-text">{step.text}</span>
+                      {step.timerSeconds > 0 && (
+                        <span className="step-timer">⏱ {formatTimer(step.timerSeconds)}</span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+        ) : recipe.instructions && (
           <div className="recipe-section">
             <h2>Instructions</h2>
             <div className="instructions">
@@ -319,11 +603,22 @@ function RecipeDetail() {
           </div>
         )}
 
+        {recipe.notes && (
+          <div className="recipe-section recipe-notes">
+            <h2>Cook&apos;s Notes</h2>
+            <RichText text={recipe.notes} />
+          </div>
+        )}
+
+        {showOriginal && (
+          <OriginalViewer originals={recipe.originals} onClose={() => setShowOriginal(false)} />
+        )}
+
         {showDeleteConfirm && (
           <div className="modal-overlay" onClick={() => setShowDeleteConfirm(false)}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
               <h3>Delete Recipe?</h3>
-              <p>Are you sure you want to delete "{recipe.title}"? This action cannot be undone.</p>
+              <p>&quot;{recipe.title}&quot; will be moved to the trash. You can restore it from Trash in the admin area until it is permanently deleted.</p>
               <div className="modal-actions">
                 <button
                   onClick={() => setShowDeleteConfirm(false)}
@@ -336,12 +631,37 @@ function RecipeDetail() {
                   className="btn btn-primary"
                   style={{ background: 'var(--terracotta)' }}
                 >
-                  Delete Recipe
+                  Move to Trash
                 </button>
               </div>
             </div>
           </div>
         )}
+
+        {showCookLog && (
+          <div className="modal-overlay" onClick={() => setShowCookLog(false)}>
+            <div className="modal cook-log-modal" onClick={(e) => e.stopPropagation()}>
+              <h3>I Made This</h3>
+              <CookLogForm
+                recipeId={recipe.id}
+                onSaved={(result) => {
+                  handleCooked(result);
+                  setShowCookLog(false);
+                }}
+                onCancel={() => setShowCookLog(false)}
+              />
+            </div>
+          </div>
+        )}
+
+        {cooking && (
+          <CookingMode
+            recipe={recipe}
+            ingredients={ingredients || []}
+            onClose={closeCooking}
+            onCooked={handleCooked}
+          />
+        )}
       </div>
     </div>
   );
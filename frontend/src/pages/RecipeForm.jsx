@@ -1,40 +1,76 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { recipeAPI } from '../services/api';
+import { recipeAPI, peopleAPI } from '../services/api';
 import { getImageUrl } from '../utils/urlHelpers';
+import { groupBySection, addToSection, getRecipeSteps, ATTRIBUTION_ROLES } from '../utils/recipeHelpers';
+import DuplicateWarning from '../components/DuplicateWarning';
+import RichTextEditor from '../components/RichTextEditor';
 import './RecipeForm.css';
 
+const EMPTY_STEP = { section: '', text: '', timerMinutes: '' };
+
+// Matches the API's limit (for notes too)
+const MAX_STORY_LENGTH = 10000;
+
+// Steps as edited in the form, with timers in minutes
+const toEditableSteps = (recipe) =>
+  getRecipeSteps(recipe).map((step) => ({
+    section: step.section || '',
+    text: step.text,
+    timerMinutes: step.timerSeconds ? String(Math.round(step.timerSeconds / 6) / 10) : '',
+  }));
+
 function RecipeForm() {
   const { id } = useParams();
   const navigate = useNavigate();
   const isEditMode = Boolean(id);
   const fileInputRef = useRef(null);
+  const originalInputRef = useRef(null);
 
   const [formData, setFormData] = useState({
     title: '',
     source: '',
-    instructions: '',
+    steps: [{ ...EMPTY_STEP }],
     imagePath: '',
+    servings: '',
+    prepTimeMinutes: '',
+    cookTimeMinutes: '',
+    totalTimeMinutes: '',
     ingredients: [],
     tags: [],
+    story: '',
+    notes: '',
+    people: [],
   });
 
   const [ingredientInput, setIngredientInput] = useState({
     name: '',
     quantity: '',
     unit: '',
+    section: '',
   });
 
   const [tagInput, setTagInput] = useState('');
+  // Family members to pick from, and the pick being added
+  const [familyMembers, setFamilyMembers] = useState([]);
+  const [personInput, setPersonInput] = useState({ personId: '', role: 'contributed' });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [loadingRecipe, setLoadingRecipe] = useState(isEditMode);
+  // Likely duplicates found when adding a recipe; once shown, saving again adds it anyway
+  const [duplicates, setDuplicates] = useState(null);
 
   // Image management state
   const [images, setImages] = useState([]);
   const [uploadingImages, setUploadingImages] = useState(false);
   const [imageError, setImageError] = useState(null);
 
+  // Originals: the scans or PDF pages the recipe was transcribed from
+  const [originals, setOriginals] = useState([]);
+  const [originalPages, setOriginalPages] = useState({ pageStart: '', pageEnd: '' });
+  const [uploadingOriginal, setUploadingOriginal] = useState(false);
+  const [originalError, setOriginalError] = useState(null);
+
   const loadRecipe = useCallback(async (signal) => {
     try {
       setLoadingRecipe(true);
@@ -44,13 +80,21 @@ function RecipeForm() {
         setFormData({
           title: recipe.title || '',
           source: recipe.source || '',
-          instructions: recipe.instructions || '',
+          steps: toEditableSteps(recipe),
           imagePath: recipe.imagePath || '',
+          servings: recipe.servings ?? '',
+          prepTimeMinutes: recipe.prepTimeMinutes ?? '',
+          cookTimeMinutes: recipe.cookTimeMinutes ?? '',
+          totalTimeMinutes: recipe.totalTimeMinutes ?? '',
           ingredients: recipe.ingredients || [],
           tags: recipe.tags || [],
+          story: recipe.story || '',
+          notes: recipe.notes || '',
+          people: (recipe.people || []).map((person) => ({ personId: person.id, name: person.name, role: person.role })),
         });
         // Set images from recipe
         setImages(recipe.images || []);
+        setOriginals(recipe.originals || []);
       }
     } catch (err) {
       if (!signal?.aborted) {
@@ -72,6 +116,18 @@ function RecipeForm() {
     }
   }, [isEditMode, loadRecipe]);
 
+  useEffect(() => {
+    const abortController = new AbortController();
+    peopleAPI.getAll({ signal: abortController.signal })
+      .then((response) => setFamilyMembers(response.data.people))
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          console.error('Error loading family members:', err);
+        }
+      });
+    return () => abortController.abort();
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({
@@ -92,16 +148,15 @@ function RecipeForm() {
     if (ingredientInput.name.trim()) {
       setFormData((prev) => ({
         ...prev,
-        ingredients: [
-          ...prev.ingredients,
-          {
-            name: ingredientInput.name.trim(),
-            quantity: ingredientInput.quantity.trim(),
-            unit: ingredientInput.unit.trim(),
-          },
-        ],
+        ingredients: addToSection(prev.ingredients, {
+          name: ingredientInput.name.trim(),
+          quantity: ingredientInput.quantity.trim(),
+          unit: ingredientInput.unit.trim(),
+          section: ingredientInput.section.trim() || null,
+        }),
       }));
-      setIngredientInput({ name: '', quantity: '', unit: '' });
+      // Keep the group so the next ingredient lands in it too
+      setIngredientInput((prev) => ({ ...prev, name: '', quantity: '', unit: '' }));
     }
   };
 
@@ -112,6 +167,38 @@ function RecipeForm() {
     }));
   };
 
+  const updateStep = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, [field]: value } : step)),
+    }));
+  };
+
+  // New steps start in the same group as the last one
+  const addStep = () => {
+    setFormData((prev) => ({
+      ...prev,
+      steps: [...prev.steps, { ...EMPTY_STEP, section: prev.steps[prev.steps.length - 1]?.section || '' }],
+    }));
+  };
+
+  const removeStep = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      steps: prev.steps.filter((_, i) => i !== index),
+    }));
+  };
+
+  const moveStep = (index, offset) => {
+    setFormData((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.steps.length) return prev;
+      const steps = [...prev.steps];
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+      return { ...prev, steps };
+    });
+  };
+
   const addTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim().toLowerCase())) {
       setFormData((prev) => ({
@@ -129,6 +216,27 @@ function RecipeForm() {
     }));
   };
 
+  const addPerson = () => {
+    const person = familyMembers.find((member) => String(member.id) === personInput.personId);
+    if (!person) return;
+    setFormData((prev) => {
+      const listed = prev.people.some((p) => p.personId === person.id && p.role === personInput.role);
+      if (listed) return prev;
+      return {
+        ...prev,
+        people: [...prev.people, { personId: person.id, name: person.name, role: personInput.role }],
+      };
+    });
+    setPersonInput((prev) => ({ ...prev, personId: '' }));
+  };
+
+  const removePerson = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      people: prev.people.filter((_, i) => i !== index),
+    }));
+  };
+
   // Image upload handlers
   const handleImageUpload = async (e) => {
     const files = e.target.files;
@@ -195,6 +303,78 @@ function RecipeForm() {
     }
   };
 
+  const handleOriginalUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setUploadingOriginal(true);
+    setOriginalError(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      // Pages only apply to PDFs; the server ignores them for photos
+      if (originalPages.pageStart) formData.append('pageStart', originalPages.pageStart);
+      if (originalPages.pageEnd) formData.append('pageEnd', originalPages.pageEnd);
+
+      const response = await recipeAPI.addOriginal(id, formData);
+      setOriginals(response.data.originals);
+      setOriginalPages({ pageStart: '', pageEnd: '' });
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      setOriginalError(errors?.length ? errors.join('. ') : err.response?.data?.error || 'Failed to attach original');
+      console.error('Error attaching original:', err);
+    } finally {
+      setUploadingOriginal(false);
+      if (originalInputRef.current) {
+        originalInputRef.current.value = '';
+      }
+    }
+  };
+
+  const handleRemoveOriginal = async (originalId) => {
+    if (!window.confirm('Remove this original from the recipe?')) return;
+
+    try {
+      await recipeAPI.removeOriginal(id, originalId);
+      setOriginals((prev) => prev.filter((original) => original.id !== originalId));
+    } catch (err) {
+      setOriginalError(err.response?.data?.error || 'Failed to remove original');
+      console.error('Error removing original:', err);
+    }
+  };
+
+  // Empty servings/time inputs are sent as null so existing values can be cleared
+  const parseWholeNumber = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+  };
+
+  // A blank timer is left for the server to detect from the step text; 0 means no timer
+  const toStepPayload = (step) => {
+    const payload = { text: step.text.trim(), section: step.section.trim() || null };
+    if (step.timerMinutes !== '') {
+      payload.timerSeconds = Math.round(parseFloat(step.timerMinutes) * 60) || null;
+    }
+    return payload;
+  };
+
+  // A failed check shouldn't stop the recipe being saved
+  const findDuplicates = async (recipeData) => {
+    try {
+      const response = await recipeAPI.findDuplicates({
+        title: recipeData.title,
+        source: recipeData.source,
+        ingredients: recipeData.ingredients,
+      });
+      return response.data.duplicates;
+    } catch (err) {
+      console.error('Error checking for duplicates:', err);
+      return [];
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -211,13 +391,27 @@ function RecipeForm() {
         ...formData,
         title: formData.title.trim(),
         source: formData.source.trim() || null,
-        instructions: formData.instructions.trim() || null,
+        story: formData.story.trim() || null,
+        notes: formData.notes.trim() || null,
+        people: formData.people.map(({ personId, role }) => ({ personId, role })),
+        steps: formData.steps.filter((step) => step.text.trim()).map(toStepPayload),
         imagePath: formData.imagePath.trim() || null,
+        servings: parseWholeNumber(formData.servings),
+        prepTimeMinutes: parseWholeNumber(formData.prepTimeMinutes),
+        cookTimeMinutes: parseWholeNumber(formData.cookTimeMinutes),
+        totalTimeMinutes: parseWholeNumber(formData.totalTimeMinutes),
       };
 
       if (isEditMode) {
         await recipeAPI.update(id, recipeData);
       } else {
+        if (duplicates === null) {
+          const found = await findDuplicates(recipeData);
+          if (found.length > 0) {
+            setDuplicates(found);
+            return;
+          }
+        }
         await recipeAPI.create(recipeData);
       }
 
@@ -284,6 +478,57 @@ function RecipeForm() {
                 placeholder="e.g., Grandma's cookbook"
               />
             </div>
+
+            <div className="time-input-group">
+              <div className="form-group">
+                <label htmlFor="servings">Servings</label>
+                <input
+                  type="number"
+                  id="servings"
+                  name="servings"
+                  min="1"
+                  value={formData.servings}
+                  onChange={handleChange}
+                  placeholder="e.g., 4"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="prepTimeMinutes">Prep Time (min)</label>
+                <input
+                  type="number"
+                  id="prepTimeMinutes"
+                  name="prepTimeMinutes"
+                  min="0"
+                  value={formData.prepTimeMinutes}
+                  onChange={handleChange}
+                  placeholder="e.g., 15"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="cookTimeMinutes">Cook Time (min)</label>
+                <input
+                  type="number"
+                  id="cookTimeMinutes"
+                  name="cookTimeMinutes"
+                  min="0"
+                  value={formData.cookTimeMinutes}
+                  onChange={handleChange}
+                  placeholder="e.g., 45"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="totalTimeMinutes">Total Time (min)</label>
+                <input
+                  type="number"
+                  id="totalTimeMinutes"
+                  name="totalTimeMinutes"
+                  min="0"
+                  value={formData.totalTimeMinutes}
+                  onChange={handleChange}
+                  placeholder="e.g., 60"
+                />
+              </div>
+            </div>
           </div>
 
           {/* Recipe Images Section */}
@@ -368,8 +613,92 @@ function RecipeForm() {
             )}
           </div>
 
+          {isEditMode && (
+            <div className="form-section">
+              <h2>Original Recipe</h2>
+              <p className="form-hint">
+                Photos of the handwritten card or the PDF it was typed up from, shown with &quot;View Original&quot;.
+                For a PDF, give the pages the recipe is on.
+              </p>
+
+              {originalError && (
+                <div className="error-message" style={{ marginBottom: '1rem' }}>
+                  <p>{originalError}</p>
+                </div>
+              )}
+
+              {originals.length > 0 && (
+                <ul className="original-list">
+                  {originals.map((original) => (
+                    <li key={original.id}>
+                      <a href={getImageUrl(original.url)} target="_blank" rel="noopener noreferrer">
+                        {original.type === 'pdf' ? '📄' : '🖼'} {original.originalName}
+                      </a>
+                      {original.pageStart && (
+                        <span className="original-pages">
+                          {original.pageEnd && original.pageEnd !== original.pageStart
+                            ? `pages ${original.pageStart}–${original.pageEnd}`
+                            : `page ${original.pageStart}`}
+                        </span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveOriginal(original.id)}
+                        className="btn-remove"
+                        aria-label={`Remove ${original.originalName}`}
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="original-upload-row">
+                <input
+                  type="number"
+                  min="1"
+                  value={originalPages.pageStart}
+                  onChange={(e) => setOriginalPages((prev) => ({ ...prev, pageStart: e.target.value }))}
+                  placeholder="First page"
+                  aria-label="First PDF page"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={originalPages.pageEnd}
+                  onChange={(e) => setOriginalPages((prev) => ({ ...prev, pageEnd: e.target.value }))}
+                  placeholder="Last page"
+                  aria-label="Last PDF page"
+                />
+                <input
+                  ref={originalInputRef}
+                  type="file"
+                  id="originalUpload"
+                  accept="application/pdf,image/jpeg,image/png,image/heic,image/heif"
+                  onChange={handleOriginalUpload}
+                  disabled={uploadingOriginal}
+                  className="file-input"
+                />
+                <label htmlFor="originalUpload" className="btn btn-secondary btn-sm">
+                  {uploadingOriginal ? 'Attaching...' : 'Attach PDF or Photo'}
+                </label>
+              </div>
+              <p className="file-hint">PDF, JPEG, PNG or HEIC (max 10MB)</p>
+            </div>
+          )}
+
           <div className="form-section">
             <h2>Ingredients</h2>
+            <input
+              type="text"
+              name="section"
+              value={ingredientInput.section}
+              onChange={handleIngredientChange}
+              placeholder='Group (optional), e.g. "For the crust"'
+              className="ingredient-section-input"
+              maxLength={100}
+            />
             <div className="ingredient-input-group">
               <input
                 type="text"
@@ -406,22 +735,30 @@ function RecipeForm() {
 
             {formData.ingredients.length > 0 && (
               <ul className="items-list">
-                {formData.ingredients.map((ingredient, index) => (
-                  <li key={index}>
-                    <span>
-                      {ingredient.quantity && `${ingredient.quantity} `}
-                      {ingredient.unit && `${ingredient.unit} `}
-                      <strong>{ingredient.name}</strong>
-                    </span>
-                    <button
-                      type="button"
-                      onClick={() => removeIngredient(index)}
-                      className="btn-remove"
-                    >
-                      ✕
-                    </button>
-                  </li>
-                ))}
+                {groupBySection(formData.ingredients).map((group) => [
+                  group.section && (
+                    <li key={`section-${group.items[0].index}`} className="items-list-section">
+                      {group.section}
+                    </li>
+                  ),
+                  ...group.items.map(({ item: ingredient, index }) => (
+                    <li key={index}>
+                      <span>
+                        {ingredient.quantity && `${ingredient.quantity} `}
+                        {ingredient.unit && `${ingredient.unit} `}
+                        <strong>{ingredient.name}</strong>
+                        {ingredient.preparation && `, ${ingredient.preparation}`}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeIngredient(index)}
+                        className="btn-remove"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  )),
+                ])}
               </ul>
             )}
           </div>
@@ -469,19 +806,163 @@ function RecipeForm() {
           </div>
 
           <div className="form-section">
-            <h2>Instructions</h2>
-            <div className="form-group">
-              <textarea
-                id="instructions"
-                name="instructions"
-                value={formData.instructions}
-                onChange={handleChange}
-                placeholder="Enter cooking instructions..."
-                rows="10"
+            <h2>Family History</h2>
+            <p className="form-hint">
+              Who this recipe came from. Add family members on the <Link to="/people">Family</Link> page.
+            </p>
+
+            <div className="person-input-group">
+              <select
+                value={personInput.personId}
+                onChange={(e) => setPersonInput((prev) => ({ ...prev, personId: e.target.value }))}
+                aria-label="Family member"
+              >
+                <option value="">Choose a person...</option>
+                {familyMembers.map((member) => (
+                  <option key={member.id} value={member.id}>
+                    {member.relation ? `${member.name} (${member.relation})` : member.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={personInput.role}
+                onChange={(e) => setPersonInput((prev) => ({ ...prev, role: e.target.value }))}
+                aria-label="Role"
+              >
+                {ATTRIBUTION_ROLES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={addPerson}
+                className="btn btn-secondary btn-sm"
+                disabled={!personInput.personId}
+              >
+                Add
+              </button>
+            </div>
+
+            {formData.people.length > 0 && (
+              <div className="tags-display">
+                {formData.people.map((person, index) => (
+                  <span key={`${person.personId}-${person.role}`} className="tag tag-default">
+                    {ATTRIBUTION_ROLES.find((role) => role.value === person.role)?.label} {person.name}
+                    <button
+                      type="button"
+                      onClick={() => removePerson(index)}
+                      className="tag-remove"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="form-group recipe-story-group">
+              <label htmlFor="story">Story</label>
+              <RichTextEditor
+                id="story"
+                value={formData.story}
+                onChange={(story) => setFormData((prev) => ({ ...prev, story }))}
+                maxLength={MAX_STORY_LENGTH}
+                placeholder="e.g., Aunt Ruth brought this to every Fourth of July picnic"
               />
             </div>
           </div>
 
+          <div className="form-section">
+            <h2>Instructions</h2>
+            <ol className="step-editor-list">
+              {formData.steps.map((step, index) => (
+                <li key={index} className="step-editor">
+                  <div className="step-editor-header">
+                    <span className="step-editor-number">Step {index + 1}</span>
+                    <div className="step-editor-actions">
+                      <button
+                        type="button"
+                        onClick={() => moveStep(index, -1)}
+                        disabled={index === 0}
+                        className="btn-step-move"
+                        aria-label={`Move step ${index + 1} up`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveStep(index, 1)}
+                        disabled={index === formData.steps.length - 1}
+                        className="btn-step-move"
+                        aria-label={`Move step ${index + 1} down`}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeStep(index)}
+                        className="btn-remove"
+                        aria-label={`Remove step ${index + 1}`}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                  <textarea
+                    value={step.text}
+                    onChange={(e) => updateStep(index, 'text', e.target.value)}
+                    placeholder="Describe this step..."
+                    rows="2"
+                    maxLength={5000}
+                    aria-label={`Step ${index + 1}`}
+                  />
+                  <div className="step-editor-meta">
+                    <input
+                      type="text"
+                      value={step.section}
+                      onChange={(e) => updateStep(index, 'section', e.target.value)}
+                      placeholder='Group (optional), e.g. "For the sauce"'
+                      maxLength={100}
+                      aria-label={`Step ${index + 1} group`}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      max="1440"
+                      step="any"
+                      value={step.timerMinutes}
+                      onChange={(e) => updateStep(index, 'timerMinutes', e.target.value)}
+                      placeholder="Timer (min)"
+                      title="Leave blank to pick up a time from the step text, 0 for no timer"
+                      aria-label={`Step ${index + 1} timer in minutes`}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ol>
+            <button type="button" onClick={addStep} className="btn btn-secondary btn-sm">
+              + Add Step
+            </button>
+          </div>
+
+          <div className="form-section">
+            <h2>Cook&apos;s Notes</h2>
+            <p className="form-hint">
+              Tips, substitutions and what to watch out for. Use **bold**, *italic* and &quot;- &quot; lists.
+            </p>
+            <RichTextEditor
+              id="notes"
+              value={formData.notes}
+              onChange={(notes) => setFormData((prev) => ({ ...prev, notes }))}
+              maxLength={MAX_STORY_LENGTH}
+              placeholder={'- Use cold butter\n- Freezes well for up to a month'}
+            />
+          </div>
+
+          {!isEditMode && (
+            <DuplicateWarning duplicates={duplicates} incoming={formData} />
+          )}
+
           <div className="form-actions">
             <Link to="/" className="btn btn-outline">
               Cancel
@@ -491,7 +972,7 @@ function RecipeForm() {
               disabled={loading}
               className="btn btn-primary"
             >
-              {loading ? 'Saving...' : isEditMode ? 'Update Recipe' : 'Add Recipe'}
+              {loading ? 'Saving...' : isEditMode ? 'Update Recipe' : duplicates?.length > 0 ? 'Add Anyway' : 'Add Recipe'}
             </button>
           </div>
         </form>
@@ -0,0 +1,372 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { shoppingListAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import './ShoppingLists.css';
+
+// Store aisles, in the order the API sorts items (see backend utils/shoppingList.js)
+const CATEGORIES = [
+  'Produce', 'Meat & Seafood', 'Dairy & Eggs', 'Bakery', 'Baking', 'Pantry',
+  'Canned & Jarred', 'Spices & Seasonings', 'Frozen', 'Beverages', 'Other',
+];
+
+// One shopping list: check items off by aisle, add your own, print, export and share
+function ShoppingList() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [list, setList] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newItem, setNewItem] = useState({ name: '', quantity: '', category: '' });
+  const [renaming, setRenaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [shareWith, setShareWith] = useState('');
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const loadList = async () => {
+      try {
+        setLoading(true);
+        const response = await shoppingListAPI.getById(id, { signal: abortController.signal });
+        setList(response.data.list);
+        setError(null);
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          setError(err.response?.status === 404 ? 'Shopping list not found.' : 'Failed to load the shopping list.');
+          console.error('Error loading shopping list:', err);
+        }
+      } finally {
+        if (!abortController.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadList();
+    return () => abortController.abort();
+  }, [id]);
+
+  const replaceItem = (item) => {
+    setList((prev) => ({ ...prev, items: prev.items.map((i) => (i.id === item.id ? item : i)) }));
+  };
+
+  const handleToggle = async (item) => {
+    try {
+      setError(null);
+      replaceItem({ ...item, checked: !item.checked });
+      const response = await shoppingListAPI.updateItem(id, item.id, { checked: !item.checked });
+      replaceItem(response.data.item);
+    } catch (err) {
+      replaceItem(item);
+      setError('Failed to update the item.');
+      console.error('Error updating shopping list item:', err);
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    try {
+      setError(null);
+      await shoppingListAPI.deleteItem(id, item.id);
+      setList((prev) => ({ ...prev, items: prev.items.filter((i) => i.id !== item.id) }));
+    } catch (err) {
+      setError('Failed to remove the item.');
+      console.error('Error removing shopping list item:', err);
+    }
+  };
+
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItem.name.trim()) return;
+
+    try {
+      setError(null);
+      const response = await shoppingListAPI.addItem(id, {
+        name: newItem.name.trim(),
+        quantity: newItem.quantity.trim() || null,
+        ...(newItem.category && { category: newItem.category }),
+      });
+      setList((prev) => ({ ...prev, items: [...prev.items, response.data.item] }));
+      setNewItem({ name: '', quantity: '', category: '' });
+    } catch (err) {
+      setError(err.response?.data?.errors?.join('. ') || 'Failed to add the item.');
+      console.error('Error adding shopping list item:', err);
+    }
+  };
+
+  const handleClearChecked = async () => {
+    try {
+      setError(null);
+      const response = await shoppingListAPI.clearChecked(id);
+      setList((prev) => ({ ...prev, items: prev.items.filter((i) => !i.checked) }));
+      setMessage(response.data.message);
+    } catch (err) {
+      setError('Failed to clear checked items.');
+      console.error('Error clearing shopping list:', err);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      setError(null);
+      const response = await shoppingListAPI.rename(id, newName.trim());
+      setList(response.data.list);
+      setRenaming(false);
+    } catch (err) {
+      setError(err.response?.data?.errors?.join('. ') || 'Failed to rename the list.');
+      console.error('Error renaming shopping list:', err);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"? This can't be undone.`)) return;
+
+    try {
+      await shoppingListAPI.delete(id);
+      navigate('/shopping-lists');
+    } catch (err) {
+      setError('Failed to delete the list.');
+      console.error('Error deleting shopping list:', err);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setError(null);
+      const response = await shoppingListAPI.exportText(id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${list.name}.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download the list.');
+      console.error('Error exporting shopping list:', err);
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!shareWith.trim()) return;
+
+    try {
+      setError(null);
+      const response = await shoppingListAPI.addMember(id, shareWith.trim());
+      setList((prev) => ({ ...prev, members: response.data.members }));
+      setMessage(response.data.message);
+      setShareWith('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to share the list.');
+      console.error('Error sharing shopping list:', err);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.id === user?.id;
+    if (leaving && !window.confirm(`Leave "${list.name}"? You won't see it anymore.`)) return;
+
+    try {
+      setError(null);
+      const response = await shoppingListAPI.removeMember(id, member.id);
+      if (leaving) {
+        navigate('/shopping-lists');
+        return;
+      }
+      setList((prev) => ({ ...prev, members: response.data.members }));
+    } catch (err) {
+      setError('Failed to update sharing.');
+      console.error('Error removing shopping list member:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading shopping list...</p>
+      </div>
+    );
+  }
+
+  if (!list) {
+    return (
+      <div className="container">
+        <div className="error-message">{error}</div>
+        <Link to="/shopping-lists" className="btn btn-outline">← Shopping Lists</Link>
+      </div>
+    );
+  }
+
+  const checkedCount = list.items.filter((item) => item.checked).length;
+  const aisles = CATEGORIES
+    .map((category) => ({ category, items: list.items.filter((item) => item.category === category) }))
+    .filter((aisle) => aisle.items.length > 0);
+
+  return (
+    <div className="shopping-page">
+      <div className="hero">
+        {renaming ? (
+          <form className="shopping-rename" onSubmit={handleRename}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={100}
+              aria-label="List name"
+              autoFocus
+            />
+            <button type="submit" className="btn btn-primary btn-small">Save</button>
+            <button type="button" className="btn btn-secondary btn-small" onClick={() => setRenaming(false)}>
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <h1>{list.name}</h1>
+        )}
+        <p className="hero-subtitle">
+          {list.items.length === 0 ? 'Nothing on the list yet' : `${checkedCount} of ${list.items.length} checked`}
+          {!list.isOwner && ` · Shared by ${list.owner.username}`}
+        </p>
+      </div>
+
+      <div className="container">
+        <div className="shopping-toolbar shopping-no-print">
+          <Link to="/shopping-lists" className="btn btn-outline btn-small">← All Lists</Link>
+          <div className="shopping-toolbar-actions">
+            <button type="button" className="btn btn-outline btn-small" onClick={() => window.print()}>
+              Print
+            </button>
+            <button type="button" className="btn btn-outline btn-small" onClick={handleExport}>
+              Download Text
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={handleClearChecked}
+              disabled={checkedCount === 0}
+            >
+              Clear Checked
+            </button>
+            {list.isOwner && (
+              <>
+                <button
+                  type="button"
+                  className="btn btn-outline btn-small"
+                  onClick={() => { setNewName(list.name); setRenaming(true); }}
+                >
+                  Rename
+                </button>
+                <button type="button" className="btn btn-secondary btn-small" onClick={handleDelete}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="error-message shopping-no-print">{error}</div>}
+        {message && <div className="shopping-message shopping-no-print">{message}</div>}
+
+        <form className="shopping-card shopping-add shopping-no-print" onSubmit={handleAddItem}>
+          <input
+            type="text"
+            value={newItem.quantity}
+            onChange={(e) => setNewItem({ ...newItem, quantity: e.target.value })}
+            placeholder="Amount"
+            aria-label="Amount"
+            maxLength={100}
+            className="shopping-add-quantity"
+          />
+          <input
+            type="text"
+            value={newItem.name}
+            onChange={(e) => setNewItem({ ...newItem, name: e.target.value })}
+            placeholder="Add an item..."
+            aria-label="Item"
+            maxLength={255}
+          />
+          <select
+            value={newItem.category}
+            onChange={(e) => setNewItem({ ...newItem, category: e.target.value })}
+            aria-label="Aisle"
+          >
+            <option value="">Any aisle</option>
+            {CATEGORIES.map((category) => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary btn-small">Add</button>
+        </form>
+
+        {aisles.map(({ category, items }) => (
+          <section key={category} className="shopping-aisle">
+            <h2>{category}</h2>
+            <ul>
+              {items.map((item) => (
+                <li key={item.id} className={`shopping-item ${item.checked ? 'checked' : ''}`}>
+                  <label>
+                    <input type="checkbox" checked={item.checked} onChange={() => handleToggle(item)} />
+                    <span className="shopping-item-text">
+                      {item.quantity && <strong>{item.quantity}</strong>} {item.name}
+                    </span>
+                  </label>
+                  {item.source && <span className="shopping-item-source">{item.source}</span>}
+                  <button
+                    type="button"
+                    className="shopping-remove shopping-no-print"
+                    onClick={() => handleRemoveItem(item)}
+                    aria-label={`Remove ${item.name}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+
+        <section className="shopping-card shopping-share shopping-no-print">
+          <h3>Shared With</h3>
+          {list.members.length === 0 ? (
+            <p className="shopping-muted">
+              {list.isOwner ? 'Only you can see this list. Share it with your household to shop together.' : ''}
+            </p>
+          ) : (
+            <ul className="shopping-members">
+              {list.members.map((member) => (
+                <li key={member.id}>
+                  <span>{member.username}</span>
+                  {(list.isOwner || member.id === user?.id) && (
+                    <button type="button" className="btn btn-outline btn-small" onClick={() => handleRemoveMember(member)}>
+                      {member.id === user?.id ? 'Leave' : 'Remove'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {list.isOwner && (
+            <form className="shopping-share-form" onSubmit={handleShare}>
+              <input
+                type="text"
+                value={shareWith}
+                onChange={(e) => setShareWith(e.target.value)}
+                placeholder="Username"
+                aria-label="Username to share with"
+              />
+              <button type="submit" className="btn btn-primary btn-small">Share</button>
+            </form>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default ShoppingList;
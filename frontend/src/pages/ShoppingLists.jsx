@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { shoppingListAPI, recipeAPI } from '../services/api';
+import { addDays, startOfWeek, toDateInputValue, formatDate } from '../utils/recipeHelpers';
+import './ShoppingLists.css';
+
+// The user's shopping lists (and ones shared with them), and building a new one
+function ShoppingLists() {
+  const navigate = useNavigate();
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  // The new list: a name, optionally a meal plan range, and any recipes with their servings
+  const [name, setName] = useState('');
+  const [useMealPlan, setUseMealPlan] = useState(true);
+  const [start, setStart] = useState(() => startOfWeek(toDateInputValue()));
+  const [end, setEnd] = useState(() => addDays(startOfWeek(toDateInputValue()), 6));
+  const [recipes, setRecipes] = useState([]);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const loadLists = async () => {
+      try {
+        const response = await shoppingListAPI.getAll({ signal: abortController.signal });
+        setLists(response.data.lists);
+        setError(null);
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          setError('Failed to load your shopping lists.');
+          console.error('Error loading shopping lists:', err);
+        }
+      } finally {
+        if (!abortController.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadLists();
+    return () => abortController.abort();
+  }, []);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    try {
+      setError(null);
+      const response = await recipeAPI.search({ q: query.trim() });
+      setResults((response.data.recipes || []).slice(0, 8));
+    } catch (err) {
+      setError('Search failed');
+      console.error(err);
+    }
+  };
+
+  const handlePickRecipe = (recipe) => {
+    if (!recipes.some((r) => r.id === recipe.id)) {
+      setRecipes((prev) => [...prev, { id: recipe.id, title: recipe.title, servings: recipe.servings || '' }]);
+    }
+    setQuery('');
+    setResults(null);
+  };
+
+  const handleServings = (id, servings) => {
+    setRecipes((prev) => prev.map((r) => (r.id === id ? { ...r, servings } : r)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!useMealPlan && recipes.length === 0 && !name.trim()) {
+      setError('Pick recipes or a meal plan week, or give the list a name to fill in yourself.');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      setError(null);
+      const response = await shoppingListAPI.create({
+        ...(name.trim() && { name: name.trim() }),
+        recipes: recipes.map((r) => ({ id: r.id, servings: r.servings ? Number(r.servings) : null })),
+        ...(useMealPlan && { mealPlan: { start, end } }),
+      });
+      navigate(`/shopping-lists/${response.data.list.id}`);
+    } catch (err) {
+      setError(err.response?.data?.errors?.join('. ') || err.response?.data?.error || 'Failed to make the list.');
+      console.error('Error creating shopping list:', err);
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="shopping-page">
+      <div className="hero">
+        <h1>Shopping Lists</h1>
+        <p className="hero-subtitle">Everything you need, aisle by aisle</p>
+      </div>
+
+      <div className="container">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm ? (
+          <form className="shopping-card shopping-new" onSubmit={handleCreate}>
+            <h2>New Shopping List</h2>
+
+            <label className="shopping-field">
+              Name
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Shopping List"
+                maxLength={100}
+              />
+            </label>
+
+            <fieldset className="shopping-fieldset">
+              <label className="shopping-check">
+                <input type="checkbox" checked={useMealPlan} onChange={(e) => setUseMealPlan(e.target.checked)} />
+                Everything on my meal plan
+              </label>
+              {useMealPlan && (
+                <div className="shopping-dates">
+                  <label>
+                    From
+                    <input type="date" value={start} onChange={(e) => setStart(e.target.value)} required />
+                  </label>
+                  <label>
+                    To
+                    <input type="date" value={end} min={start} onChange={(e) => setEnd(e.target.value)} required />
+                  </label>
+                </div>
+              )}
+            </fieldset>
+
+            <fieldset className="shopping-fieldset">
+              <legend>Recipes</legend>
+              {recipes.length > 0 && (
+                <ul className="shopping-picked">
+                  {recipes.map((recipe) => (
+                    <li key={recipe.id}>
+                      <span>{recipe.title}</span>
+                      <label>
+                        Serves
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          value={recipe.servings}
+                          onChange={(e) => handleServings(recipe.id, e.target.value)}
+                          aria-label={`Servings of ${recipe.title}`}
+                        />
+                      </label>
+                      <button
+                        type="button"
+                        className="shopping-remove"
+                        onClick={() => setRecipes((prev) => prev.filter((r) => r.id !== recipe.id))}
+                        aria-label={`Remove ${recipe.title}`}
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="shopping-search">
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSearch(e)}
+                  placeholder="Search recipes..."
+                  aria-label="Search recipes"
+                />
+                <button type="button" className="btn btn-outline btn-small" onClick={handleSearch}>
+                  Search
+                </button>
+              </div>
+              {results && results.length === 0 && <p className="shopping-muted">No recipes found.</p>}
+              {results && results.length > 0 && (
+                <ul className="shopping-results">
+                  {results.map((recipe) => (
+                    <li key={recipe.id}>
+                      <button type="button" onClick={() => handlePickRecipe(recipe)}>
+                        {recipe.title}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </fieldset>
+
+            <div className="shopping-form-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={creating}>
+                {creating ? 'Building...' : 'Make List'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="shopping-actions">
+            <button type="button" className="btn btn-primary" onClick={() => setShowForm(true)}>
+              + New List
+            </button>
+          </div>
+        )}
+
+        {loading && (
+          <div className="loading">
+            <div className="spinner"></div>
+            <p>Loading shopping lists...</p>
+          </div>
+        )}
+
+        {!loading && !error && lists.length === 0 && (
+          <div className="no-results">
+            <p>No shopping lists yet. Make one from your meal plan or a few recipes.</p>
+          </div>
+        )}
+
+        {lists.length > 0 && (
+          <div className="shopping-lists">
+            {lists.map((list) => (
+              <Link key={list.id} to={`/shopping-lists/${list.id}`} className="shopping-card shopping-list-card">
+                <h3>{list.name}</h3>
+                <p className="shopping-muted">
+                  {list.itemCount === 0
+                    ? 'Empty'
+                    : `${list.checkedCount} of ${list.itemCount} item${list.itemCount !== 1 ? 's' : ''} checked`}
+                </p>
+                <p className="shopping-muted">
+                  {list.isOwner ? `Updated ${formatDate(list.updatedAt, false)}` : `Shared by ${list.owner.username}`}
+                </p>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ShoppingLists;
@@ -16,6 +16,7 @@ function AISettings() {
   const [selectedModel, setSelectedModel] = useState('');
   const [apiKey, setApiKey] = useState('');
   const [showApiKey, setShowApiKey] = useState(false);
+  const [ocrVision, setOcrVision] = useState(false);
 
   // CSRF token
   const csrfTokenRef = useRef('');
@@ -34,6 +35,7 @@ function AISettings() {
       setConfig(data);
       setSelectedProvider(data.provider);
       setSelectedModel(data.model);
+      setOcrVision(!!data.ocrVision);
     } catch (err) {
       setError('Failed to load AI settings');
       console.error(err);
@@ -79,7 +81,8 @@ function AISettings() {
 
       const payload = {
         provider: selectedProvider,
-        model: selectedModel
+        model: selectedModel,
+        ocrVision
       };
 
       // Only include API key if it was entered
@@ -293,6 +296,24 @@ function AISettings() {
           </p>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="ocrVision" className="ai-settings-checkbox">
+            <input
+              type="checkbox"
+              id="ocrVision"
+              checked={ocrVision}
+              onChange={(e) => setOcrVision(e.target.checked)}
+              disabled={saving}
+            />
+            Read scanned PDFs with AI vision
+          </label>
+          <p className="form-help">
+            Scanned recipe cards and handwritten pages are read on this server with Tesseract OCR by default.
+            Turn this on to send the page images to the AI provider instead, which handles handwriting better
+            but costs an API call per page. Tesseract is still used for any page the AI can&apos;t read.
+          </p>
+        </div>
+
         <div className="form-actions">
           <button
             type="submit"
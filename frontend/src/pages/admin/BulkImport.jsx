@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { batchAPI } from '../../services/api';
+import '../../styles/BulkImport.css';
+
+const SOURCE_ICONS = { files: '📄', zip: '📦', urls: '🔗' };
+
+const ACCEPTED_FILES = '.pdf,.zip,.jpg,.jpeg,.png,.heic,.heif,application/pdf,application/zip,image/jpeg,image/png,image/heic,image/heif';
+
+// The upload route accepts up to 100 files per request; ZIP archives can hold more
+const MAX_FILES = 100;
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+const countUrls = (text) => text.split(/[\s,]+/).filter(Boolean).length;
+
+function BulkImport() {
+  const [files, setFiles] = useState([]);
+  const [urls, setUrls] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState('');
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    batchAPI.getAll()
+      .then((response) => setBatches(response.data?.data || []))
+      .catch((err) => console.error('Failed to load recent bulk imports:', err));
+  }, []);
+
+  const handleFileChange = (e) => {
+    setFiles(Array.from(e.target.files || []));
+    setError('');
+    setErrorDetails([]);
+  };
+
+  const showError = (err, fallback) => {
+    setError(err.response?.data?.error || fallback);
+    setErrorDetails(err.response?.data?.errors || []);
+    console.error('Bulk import error:', err);
+  };
+
+  const handleFilesSubmit = async (e) => {
+    e.preventDefault();
+
+    if (files.length === 0) {
+      setError('Please choose at least one file');
+      return;
+    }
+
+    if (files.length > MAX_FILES) {
+      setError(`Please choose at most ${MAX_FILES} files at a time, or put them in a ZIP archive`);
+      return;
+    }
+
+    setSubmitting('files');
+    setError('');
+    setErrorDetails([]);
+
+    try {
+      const formData = new FormData();
+      files.forEach((file) => formData.append('files', file));
+      if (name.trim()) formData.append('name', name.trim());
+
+      const response = await batchAPI.uploadFiles(formData);
+      navigate(`/admin/import-batches/${response.data.data.id}`);
+    } catch (err) {
+      showError(err, 'Failed to upload files. Please try again.');
+      setSubmitting('');
+    }
+  };
+
+  const handleUrlsSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!urls.trim()) {
+      setError('Please paste at least one URL');
+      return;
+    }
+
+    setSubmitting('urls');
+    setError('');
+    setErrorDetails([]);
+
+    try {
+      const response = await batchAPI.importUrls(urls, name.trim());
+      navigate(`/admin/import-batches/${response.data.data.id}`);
+    } catch (err) {
+      showError(err, 'Failed to queue the URLs. Please try again.');
+      setSubmitting('');
+    }
+  };
+
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+  return (
+    <div className="bulk-import-container">
+      <div className="bulk-import-header">
+        <h1>Bulk Import</h1>
+        <p className="subtitle">
+          Import a whole folder of PDFs and recipe card photos, a ZIP archive, or a list of recipe links.
+          Every item becomes its own pending recipe, and one bad file won't hold up the rest.
+        </p>
+      </div>
+
+      <div className="bulk-import-name">
+        <label htmlFor="bulk-import-name-input">Batch name (optional)</label>
+        <input
+          id="bulk-import-name-input"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Grandma's recipe box"
+          maxLength={255}
+          disabled={Boolean(submitting)}
+        />
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+          {errorDetails.length > 0 && (
+            <ul className="bulk-import-error-details">
+              {errorDetails.map((detail) => <li key={detail}>{detail}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="bulk-import-grid">
+        <form className="bulk-import-card" onSubmit={handleFilesSubmit}>
+          <h2>📄 Files</h2>
+          <p className="bulk-import-hint">
+            PDFs (up to 10MB each), JPEG, PNG or HEIC photos (up to 5MB each), or ZIP archives of them.
+            One photo is imported as one recipe card.
+          </p>
+
+          <input
+            id="bulk-import-files"
+            type="file"
+            multiple
+            accept={ACCEPTED_FILES}
+            onChange={handleFileChange}
+            disabled={Boolean(submitting)}
+            className="bulk-import-file-input"
+          />
+          <label htmlFor="bulk-import-files" className="bulk-import-drop">
+            {files.length === 0 ? (
+              <span>Click to choose files</span>
+            ) : (
+              <span>
+                {files.length} file(s) selected · {(totalSize / 1024 / 1024).toFixed(1)} MB
+              </span>
+            )}
+          </label>
+
+          {files.length > 0 && (
+            <ul className="bulk-import-file-list">
+              {files.slice(0, 10).map((file) => (
+                <li key={`${file.name}-${file.size}-${file.lastModified}`}>{file.name}</li>
+              ))}
+              {files.length > 10 && <li>…and {files.length - 10} more</li>}
+            </ul>
+          )}
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={files.length === 0 || Boolean(submitting)}
+          >
+            {submitting === 'files' ? 'Uploading...' : 'Import Files'}
+          </button>
+        </form>
+
+        <form className="bulk-import-card" onSubmit={handleUrlsSubmit}>
+          <h2>🔗 URLs</h2>
+          <p className="bulk-import-hint">Paste recipe links, one per line.</p>
+
+          <textarea
+            value={urls}
+            onChange={(e) => {
+              setUrls(e.target.value);
+              setError('');
+              setErrorDetails([]);
+            }}
+            placeholder={'https://example.com/recipe/apple-pie\nhttps://example.com/recipe/pot-roast'}
+            rows={8}
+            disabled={Boolean(submitting)}
+            className="bulk-import-urls"
+          />
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!urls.trim() || Boolean(submitting)}
+          >
+            {submitting === 'urls' ? 'Queueing...' : `Import ${countUrls(urls) || ''} URL(s)`}
+          </button>
+        </form>
+      </div>
+
+      {batches.length > 0 && (
+        <div className="bulk-import-recent">
+          <h2>Recent bulk imports</h2>
+          <ul>
+            {batches.map((batch) => (
+              <li key={batch.id}>
+                <Link to={`/admin/import-batches/${batch.id}`}>
+                  <span className="bulk-import-recent-icon">{SOURCE_ICONS[batch.source] || '📦'}</span>
+                  <span className="bulk-import-recent-name">{batch.name}</span>
+                  <span className="bulk-import-recent-meta">
+                    {formatDate(batch.createdAt)} · {batch.completedJobs}/{batch.totalJobs} done
+                    {batch.failedJobs > 0 && ` · ${batch.failedJobs} failed`}
+                    {!batch.finished && ' · in progress'}
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkImport;
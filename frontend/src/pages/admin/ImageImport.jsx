@@ -0,0 +1,266 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api, { jobAPI, waitForJob } from '../../services/api';
+import ImportJobStatus from '../../components/ImportJobStatus';
+import PreviousImports from '../../components/PreviousImports';
+import '../../styles/PdfUpload.css';
+import '../../styles/ImageImport.css';
+
+// Matches the API's limits
+const MAX_PHOTOS = 10;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/heif'];
+
+// Browsers often leave the type of iPhone photos blank, so fall back to the extension
+const isAcceptedPhoto = (file) => ACCEPTED_TYPES.includes(file.type) || /\.(heic|heif)$/i.test(file.name);
+const isHeicPhoto = (file) => file.type === 'image/heic' || file.type === 'image/heif' || /\.(heic|heif)$/i.test(file.name);
+
+function ImageImport() {
+  const [photos, setPhotos] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [job, setJob] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [previousImports, setPreviousImports] = useState([]);
+  const pollRef = useRef(null);
+  const navigate = useNavigate();
+
+  // Most browsers can't preview HEIC, so those show a placeholder
+  const previews = useMemo(
+    () => photos.map((photo) => (isHeicPhoto(photo) ? null : URL.createObjectURL(photo))),
+    [photos]
+  );
+
+  useEffect(() => () => previews.forEach((url) => url && URL.revokeObjectURL(url)), [previews]);
+
+  // Stop polling when leaving the page; the job itself keeps running on the server
+  useEffect(() => () => pollRef.current?.abort(), []);
+
+  const busy = uploading || job?.status === 'queued' || job?.status === 'running';
+
+  const followJob = async (jobId) => {
+    pollRef.current?.abort();
+    const controller = new AbortController();
+    pollRef.current = controller;
+
+    try {
+      const finished = await waitForJob(jobId, { onUpdate: setJob, signal: controller.signal });
+      if (finished.status !== 'completed') return;
+
+      const [recipe] = finished.result.recipes;
+      setSuccess(`Successfully imported "${recipe?.title || 'Untitled Recipe'}"! Opening it for review...`);
+
+      // Go straight to the review page after 2 seconds
+      setTimeout(() => {
+        navigate(`/admin/pending/${recipe.id}`);
+      }, 2000);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError('Lost track of the import. Check Import Jobs for its progress.');
+      console.error('Job polling error:', err);
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setError('');
+
+    try {
+      const response = await jobAPI.retry(job.id);
+      setJob(response.data.data);
+      followJob(job.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to retry the import. Please try again.');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = '';
+    if (selected.length === 0) return;
+
+    if (selected.some((file) => !isAcceptedPhoto(file))) {
+      setError('Please select JPEG, PNG or HEIC photos');
+      return;
+    }
+    if (selected.some((file) => file.size > MAX_PHOTO_SIZE)) {
+      setError('Each photo must be 5 MB or smaller');
+      return;
+    }
+    if (photos.length + selected.length > MAX_PHOTOS) {
+      setError(`You can add up to ${MAX_PHOTOS} photos`);
+      return;
+    }
+
+    setPhotos((prev) => [...prev, ...selected]);
+    setError('');
+    setSuccess('');
+    setJob(null);
+  };
+
+  const handleRemove = (index) => {
+    setPhotos((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (photos.length === 0) {
+      setError('Please add at least one photo');
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    setSuccess('');
+    setJob(null);
+    setPreviousImports([]);
+
+    try {
+      const formData = new FormData();
+      photos.forEach((photo) => formData.append('photos', photo));
+
+      const response = await api.post('/admin/import-image', formData);
+
+      if (response.data.success) {
+        setPhotos([]);
+
+        // Reading and parsing run in the background; follow the job until it's done
+        setPreviousImports(response.data.data.alreadyImported || []);
+        setJob(response.data.data.job);
+        followJob(response.data.data.jobId);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import photos. Please try again.');
+      console.error('Photo import error:', err);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCancel = () => {
+    navigate('/admin');
+  };
+
+  return (
+    <div className="pdf-upload-container">
+      <div className="pdf-upload-header">
+        <h1>Import from Photo</h1>
+        <p className="subtitle">Snap a picture of a recipe card or cookbook page and turn it into a recipe</p>
+      </div>
+
+      <div className="upload-card">
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="photo-file-input" className="file-label">
+              <div className="file-drop-zone">
+                <div className="file-placeholder">
+                  <div className="upload-icon">📷</div>
+                  <p className="upload-text">
+                    {photos.length > 0 ? 'Add another page' : 'Take or choose a photo'}
+                  </p>
+                  <p className="upload-hint">JPEG, PNG or HEIC · one photo per side or page</p>
+                </div>
+              </div>
+              <input
+                id="photo-file-input"
+                type="file"
+                accept="image/jpeg,image/png,image/heic,image/heif,.heic,.heif"
+                multiple
+                onChange={handleFileChange}
+                disabled={busy || photos.length >= MAX_PHOTOS}
+                className="file-input"
+              />
+            </label>
+          </div>
+
+          {photos.length > 0 && (
+            <ol className="image-import-photos">
+              {photos.map((photo, index) => (
+                <li key={`${photo.name}-${photo.lastModified}-${index}`} className="image-import-photo">
+                  {previews[index] ? (
+                    <img src={previews[index]} alt={`Page ${index + 1}`} />
+                  ) : (
+                    <div className="image-import-placeholder">HEIC</div>
+                  )}
+                  <div className="image-import-photo-info">
+                    <span className="image-import-page">Page {index + 1}</span>
+                    <span className="file-name">{photo.name}</span>
+                  </div>
+                  <button
+                    type="button"
+                    className="image-import-remove"
+                    onClick={() => handleRemove(index)}
+                    disabled={busy}
+                    aria-label={`Remove page ${index + 1}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          <PreviousImports imports={previousImports} what="this photo" />
+
+          {job && <ImportJobStatus job={job} onRetry={handleRetry} retrying={retrying} />}
+
+          {success && (
+            <div className="success-message">
+              <span className="success-icon">✓</span>
+              {success}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="btn btn-secondary"
+              disabled={busy}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={photos.length === 0 || busy}
+            >
+              {uploading ? (
+                <>
+                  <span className="spinner-small"></span>
+                  Uploading...
+                </>
+              ) : (
+                'Import Recipe'
+              )}
+            </button>
+          </div>
+        </form>
+
+        <div className="upload-info">
+          <h3>How it works:</h3>
+          <ol>
+            <li>Photograph the recipe flat and well lit, filling the frame (a slight tilt is fine)</li>
+            <li>For two-sided cards or multi-page recipes, add one photo per side in order</li>
+            <li>The text is read and parsed into a recipe, with hard-to-read lines flagged</li>
+            <li>The first photo is kept as the recipe&apos;s first picture</li>
+            <li>Review and approve the recipe before it appears in the collection</li>
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImageImport;
@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { batchAPI, jobAPI } from '../../services/api';
+import '../../styles/BulkImport.css';
+
+const JOB_TYPES = {
+  pdf_import: { icon: '📄', label: 'PDF' },
+  image_import: { icon: '📷', label: 'Photo' },
+  url_import: { icon: '🔗', label: 'URL' },
+};
+
+// How often to refresh while items are still queued or running
+const REFRESH_INTERVAL_MS = 3000;
+
+// Failed items, and PDFs that finished with some recipes unreadable
+const canRetry = (job) => job.status === 'failed' || (job.status === 'completed' && job.result?.failedSegments?.length > 0);
+
+const itemName = (job) => job.payload?.fileName || job.payload?.url || `Item ${job.id}`;
+
+function ImportBatch() {
+  const { id } = useParams();
+  const [batch, setBatch] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [retryingId, setRetryingId] = useState(null);
+  const [retryingAll, setRetryingAll] = useState(false);
+
+  const loadBatch = useCallback(async () => {
+    try {
+      const response = await batchAPI.getById(id);
+      setBatch(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'Import batch not found' : 'Failed to load import batch');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadBatch();
+  }, [loadBatch]);
+
+  const inProgress = batch && !batch.finished;
+
+  useEffect(() => {
+    if (!inProgress) return undefined;
+    const timer = setInterval(loadBatch, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [inProgress, loadBatch]);
+
+  const handleRetry = async (jobId) => {
+    setRetryingId(jobId);
+    try {
+      await jobAPI.retry(jobId);
+      await loadBatch();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to retry item');
+      console.error(err);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const handleRetryAll = async () => {
+    setRetryingAll(true);
+    try {
+      const response = await batchAPI.retry(id);
+      setBatch(response.data.data);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to retry failed items');
+      console.error(err);
+    } finally {
+      setRetryingAll(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="import-batch-container">
+        <div className="import-batch-loading">
+          <div className="import-batch-spinner"></div>
+          <p>Loading import batch...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!batch) {
+    return (
+      <div className="import-batch-container">
+        <div className="error-message">{error}</div>
+        <Link to="/admin/bulk-import">← Back to Bulk Import</Link>
+      </div>
+    );
+  }
+
+  const recipesCount = batch.jobs.reduce((sum, job) => sum + (job.result?.recipes?.length || 0), 0);
+  const retryable = batch.jobs.filter(canRetry);
+  const doneCount = batch.completedJobs + batch.failedJobs;
+
+  return (
+    <div className="import-batch-container">
+      <div className="import-batch-header">
+        <div>
+          <Link to="/admin/bulk-import" className="import-batch-back">← Bulk Import</Link>
+          <h1>{batch.name}</h1>
+          <p className="subtitle">
+            {inProgress
+              ? `Importing… ${doneCount} of ${batch.totalJobs} item(s) done`
+              : `Finished: ${recipesCount} pending recipe(s) from ${batch.totalJobs} item(s)`}
+          </p>
+        </div>
+        <div className="import-batch-header-actions">
+          {recipesCount > 0 && (
+            <Link to="/admin/pending" className="btn btn-secondary">Review Pending Recipes</Link>
+          )}
+          {retryable.length > 0 && (
+            <button type="button" className="btn btn-primary" onClick={handleRetryAll} disabled={retryingAll}>
+              {retryingAll ? 'Retrying...' : `Retry ${retryable.length} failed`}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {inProgress && (
+        <div className="import-batch-progress">
+          <div
+            className="import-batch-progress-bar"
+            style={{ width: `${batch.totalJobs ? (doneCount / batch.totalJobs) * 100 : 0}%` }}
+          ></div>
+        </div>
+      )}
+
+      <div className="import-batch-summary">
+        <span className="import-batch-count import-batch-count-completed">{batch.completedJobs} imported</span>
+        <span className="import-batch-count import-batch-count-failed">{batch.failedJobs} failed</span>
+        {inProgress && (
+          <span className="import-batch-count">{batch.queuedJobs + batch.runningJobs} waiting</span>
+        )}
+        {batch.skipped.length > 0 && (
+          <span className="import-batch-count">{batch.skipped.length} skipped</span>
+        )}
+      </div>
+
+      <ul className="import-batch-items">
+        {batch.jobs.map((job) => {
+          const type = JOB_TYPES[job.type] || { icon: '⚙️', label: job.type };
+          const recipes = job.result?.recipes || [];
+          const failedSegments = job.result?.failedSegments || [];
+
+          return (
+            <li key={job.id} className={`import-batch-item import-batch-item-${job.status}`}>
+              <div className="import-batch-item-main">
+                <span className="import-batch-item-type" title={type.label}>{type.icon}</span>
+                <div className="import-batch-item-details">
+                  <p className="import-batch-item-name" title={itemName(job)}>{itemName(job)}</p>
+
+                  {job.status === 'running' && job.progress && (
+                    <p className="import-batch-item-line">{job.progress}</p>
+                  )}
+                  {job.status === 'queued' && job.error && (
+                    <p className="import-batch-item-line">Last attempt failed: {job.error}. Retrying automatically.</p>
+                  )}
+                  {job.status === 'failed' && (
+                    <p className="import-batch-item-line import-batch-item-error">{job.error}</p>
+                  )}
+                  {job.status === 'completed' && failedSegments.length > 0 && (
+                    <p className="import-batch-item-line import-batch-item-error">
+                      {failedSegments.length} recipe(s) could not be read
+                    </p>
+                  )}
+
+                  {recipes.length > 0 && (
+                    <ul className="import-batch-item-recipes">
+                      {recipes.map((recipe) => (
+                        <li key={recipe.id}>
+                          <Link to={`/admin/pending/${recipe.id}`}>{recipe.title || 'Untitled Recipe'}</Link>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <span className={`import-batch-badge import-batch-badge-${job.status}`}>{job.status}</span>
+                {canRetry(job) && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-small"
+                    onClick={() => handleRetry(job.id)}
+                    disabled={retryingId === job.id || retryingAll}
+                  >
+                    {retryingId === job.id ? 'Retrying...' : 'Retry'}
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {batch.skipped.length > 0 && (
+        <div className="import-batch-skipped">
+          <h2>Skipped</h2>
+          <p className="import-batch-skipped-hint">These weren't imported. Fix them and add them in a new bulk import.</p>
+          <ul>
+            {batch.skipped.map((item, index) => (
+              <li key={`${item.name}-${index}`}>
+                <span className="import-batch-skipped-name">{item.name}</span>
+                <span className="import-batch-skipped-reason">{item.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportBatch;
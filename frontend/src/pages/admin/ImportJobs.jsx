@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { jobAPI } from '../../services/api';
+import '../../styles/ImportJobs.css';
+
+const JOB_TYPES = {
+  pdf_import: { icon: '📄', label: 'PDF' },
+  image_import: { icon: '📷', label: 'Photo' },
+  url_import: { icon: '🔗', label: 'URL' },
+};
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'queued', label: 'Queued' },
+  { value: 'running', label: 'Running' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'failed', label: 'Failed' },
+];
+
+// How often to refresh while any listed job is still queued or running
+const REFRESH_INTERVAL_MS = 5000;
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+// Failed jobs, and PDF imports that finished with some recipes unreadable
+const canRetry = (job) => job.status === 'failed' || (job.status === 'completed' && job.result?.failedSegments?.length > 0);
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+function ImportJobs() {
+  const [jobs, setJobs] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [retryingId, setRetryingId] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setError('');
+      const response = await jobAPI.getAll(status ? { status } : {});
+      setJobs(response.data?.data || []);
+    } catch (err) {
+      setError('Failed to load import jobs');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const hasActiveJobs = jobs.some(isActive);
+
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+    const timer = setInterval(loadJobs, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, loadJobs]);
+
+  const handleRetry = async (id) => {
+    setRetryingId(id);
+    try {
+      const response = await jobAPI.retry(id);
+      setJobs((prev) => prev.map((job) => (job.id === id ? response.data.data : job)));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to retry job');
+      console.error(err);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  return (
+    <div className="import-jobs-container">
+      <div className="import-jobs-header">
+        <div>
+          <h1>Import Jobs</h1>
+          <p className="subtitle">PDF, photo and URL imports run in the background. Failed imports can be retried here without uploading again.</p>
+        </div>
+        <label className="import-jobs-filter">
+          Status
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            {STATUS_FILTERS.map((filter) => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="import-jobs-loading">
+          <div className="import-jobs-spinner"></div>
+          <p>Loading import jobs...</p>
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="import-jobs-empty">
+          <p>{status ? `No ${status} import jobs.` : 'No import jobs yet.'}</p>
+        </div>
+      ) : (
+        <ul className="import-jobs-list">
+          {jobs.map((job) => {
+            const type = JOB_TYPES[job.type] || { icon: '⚙️', label: job.type };
+            const recipes = job.result?.recipes || [];
+            const failedSegments = job.result?.failedSegments || [];
+
+            return (
+              <li key={job.id} className={`import-job-card import-job-${job.status}`}>
+                <div className="import-job-main">
+                  <span className="import-job-type" title={type.label}>{type.icon}</span>
+                  <div className="import-job-details">
+                    <p className="import-job-name">{job.payload?.fileName || job.payload?.url || `${type.label} import`}</p>
+                    <p className="import-job-meta">
+                      {formatDate(job.createdAt)}
+                      {job.createdByUsername && ` · ${job.createdByUsername}`}
+                      {job.attempts > 1 && ` · ${job.attempts} attempts`}
+                    </p>
+                  </div>
+                  <span className={`import-job-badge import-job-badge-${job.status}`}>{job.status}</span>
+                </div>
+
+                {isActive(job) && (job.progress || job.error) && (
+                  <p className="import-job-line">
+                    {job.status === 'running' ? job.progress : `Last attempt failed: ${job.error}. Retrying automatically.`}
+                  </p>
+                )}
+
+                {job.status === 'failed' && <p className="import-job-line import-job-line-error">{job.error}</p>}
+
+                {recipes.length > 0 && (
+                  <ul className="import-job-recipes">
+                    {recipes.map((recipe) => (
+                      <li key={recipe.id}>
+                        <Link to={`/admin/pending/${recipe.id}`}>{recipe.title || 'Untitled Recipe'}</Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {job.status === 'completed' && failedSegments.length > 0 && (
+                  <p className="import-job-line import-job-line-error">
+                    {failedSegments.length} recipe(s) could not be read
+                  </p>
+                )}
+
+                {canRetry(job) && (
+                  <div className="import-job-actions">
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-small"
+                      onClick={() => handleRetry(job.id)}
+                      disabled={retryingId === job.id}
+                    >
+                      {retryingId === job.id ? 'Retrying...' : 'Retry'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ImportJobs;
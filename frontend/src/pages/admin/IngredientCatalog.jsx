@@ -0,0 +1,433 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ingredientCatalogAPI, waitForJob } from '../../services/api';
+import '../../styles/IngredientCatalog.css';
+
+const isActive = (job) => job?.status === 'queued' || job?.status === 'running';
+
+const BACKFILL_LABELS = {
+  ingredient_aliases: 'catalog aliases',
+  ingredients: 'recipe ingredients',
+  pending_ingredients: 'pending import ingredients',
+  user_submitted_ingredients: 'submission ingredients'
+};
+
+// "14 of 120 recipe ingredients updated; ..." from a finished backfill
+const describeBackfill = (result) => Object.entries(BACKFILL_LABELS)
+  .filter(([table]) => result?.[table])
+  .map(([table, label]) => `${result[table].updated} of ${result[table].scanned} ${label} updated`)
+  .join('; ');
+
+function IngredientCatalog() {
+  const [ingredients, setIngredients] = useState([]);
+  const [unmatched, setUnmatched] = useState({ names: [], total: 0, unprocessed: 0 });
+  const [backfill, setBackfill] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState('');
+  const [newName, setNewName] = useState('');
+  // Catalog entry picked for each unmatched name, by key
+  const [aliasTargets, setAliasTargets] = useState({});
+  // New alias typed for each entry, by id
+  const [aliasInputs, setAliasInputs] = useState({});
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [renaming, setRenaming] = useState(null);
+  const pollRef = useRef(null);
+
+  const loadCatalog = useCallback(async () => {
+    try {
+      setError('');
+      const [catalogResponse, unmatchedResponse] = await Promise.all([
+        ingredientCatalogAPI.getAll(),
+        ingredientCatalogAPI.getUnmatched()
+      ]);
+      const { names, total, unprocessed, backfill: latestBackfill } = unmatchedResponse.data;
+      setIngredients(catalogResponse.data.ingredients);
+      setUnmatched({ names, total, unprocessed });
+      return latestBackfill;
+    } catch (err) {
+      setError('Failed to load the ingredient catalog');
+      console.error(err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const followBackfill = useCallback(async (jobId) => {
+    pollRef.current?.abort();
+    const controller = new AbortController();
+    pollRef.current = controller;
+
+    try {
+      const finished = await waitForJob(jobId, { onUpdate: setBackfill, signal: controller.signal });
+      if (finished.status === 'completed') {
+        setMessage(`Backfill finished. ${describeBackfill(finished.result)}.`);
+      }
+      await loadCatalog();
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError('Lost track of the backfill. Check Import Jobs for its progress.');
+      console.error('Job polling error:', err);
+    }
+  }, [loadCatalog]);
+
+  useEffect(() => {
+    loadCatalog().then((latestBackfill) => {
+      setBackfill(latestBackfill);
+      if (isActive(latestBackfill)) followBackfill(latestBackfill.id);
+    });
+  }, [loadCatalog, followBackfill]);
+
+  // Stop polling when leaving the page; the job itself keeps running on the server
+  useEffect(() => () => pollRef.current?.abort(), []);
+
+  // Run a catalog change, then reload so recipe counts and unmatched names stay current
+  const runAction = async (action, success, failure) => {
+    try {
+      setBusy(true);
+      setError('');
+      setMessage('');
+      const response = await action();
+      setMessage(typeof success === 'function' ? success(response) : success);
+      await loadCatalog();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+      console.error(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartBackfill = async () => {
+    try {
+      setBusy(true);
+      setError('');
+      setMessage('');
+      const response = await ingredientCatalogAPI.startBackfill();
+      setBackfill(response.data.job);
+      followBackfill(response.data.job.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start the backfill');
+      console.error(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (await runAction(() => ingredientCatalogAPI.create(name), `${name} added to the catalog.`, 'Failed to add ingredient')) {
+      setNewName('');
+    }
+  };
+
+  const handleAddUnmatched = (entry) => {
+    const targetId = aliasTargets[entry.key];
+    if (targetId) {
+      const target = ingredients.find(ingredient => ingredient.id === Number(targetId));
+      runAction(
+        () => ingredientCatalogAPI.addAlias(targetId, entry.name),
+        `"${entry.name}" now means ${target?.name}.`,
+        'Failed to add alias'
+      );
+    } else {
+      // Other spellings of the name share its key, so they link without their own aliases
+      runAction(
+        () => ingredientCatalogAPI.create(entry.name),
+        `${entry.name} added to the catalog.`,
+        'Failed to add ingredient'
+      );
+    }
+  };
+
+  const handleAddAlias = async (e, ingredient) => {
+    e.preventDefault();
+    const name = (aliasInputs[ingredient.id] || '').trim();
+    if (!name) return;
+    const added = await runAction(
+      () => ingredientCatalogAPI.addAlias(ingredient.id, name),
+      `"${name}" now means ${ingredient.name}.`,
+      'Failed to add alias'
+    );
+    if (added) setAliasInputs({ ...aliasInputs, [ingredient.id]: '' });
+  };
+
+  const handleRemoveAlias = (ingredient, alias) => {
+    runAction(
+      () => ingredientCatalogAPI.removeAlias(ingredient.id, alias.id),
+      `"${alias.name}" no longer means ${ingredient.name}.`,
+      'Failed to remove alias'
+    );
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const name = renaming.name.trim();
+    if (!name) return;
+    if (await runAction(() => ingredientCatalogAPI.rename(renaming.id, name), `Renamed to ${name}.`, 'Failed to rename ingredient')) {
+      setRenaming(null);
+    }
+  };
+
+  const handleMerge = (ingredient) => {
+    const intoId = mergeTargets[ingredient.id];
+    const target = ingredients.find(entry => entry.id === Number(intoId));
+    if (!target) return;
+    if (!window.confirm(`Merge ${ingredient.name} into ${target.name}? Its aliases and recipes move to ${target.name}.`)) {
+      return;
+    }
+    runAction(
+      () => ingredientCatalogAPI.merge(ingredient.id, target.id),
+      (response) => response.data.message,
+      'Failed to merge ingredients'
+    );
+  };
+
+  const handleDelete = (ingredient) => {
+    if (!window.confirm(`Remove ${ingredient.name} from the catalog? Recipes keep their ingredient names.`)) {
+      return;
+    }
+    runAction(
+      () => ingredientCatalogAPI.delete(ingredient.id),
+      (response) => response.data.message,
+      'Failed to remove ingredient'
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="ingredient-catalog-container">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading ingredients...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const search = filter.trim().toLowerCase();
+  const shownIngredients = search
+    ? ingredients.filter(ingredient => [ingredient.name, ...ingredient.aliases.map(alias => alias.name)]
+      .some(name => name.toLowerCase().includes(search)))
+    : ingredients;
+  const backfillRunning = isActive(backfill);
+
+  return (
+    <div className="ingredient-catalog-container">
+      <div className="ingredient-catalog-header">
+        <h1>Ingredients</h1>
+        <p className="subtitle">
+          Recipes that call the same ingredient different things are linked to one catalog entry,
+          so searches and shopping lists find them all.
+        </p>
+      </div>
+
+      {message && <div className="ingredient-catalog-notice">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="ingredient-catalog-section">
+        <h2>Existing recipes</h2>
+        <p className="ingredient-catalog-meta">
+          {unmatched.unprocessed > 0
+            ? `${unmatched.unprocessed} recipe ingredients were saved before the catalog and haven't been checked yet. `
+            : ''}
+          The backfill splits notes like &quot;chopped&quot; out of ingredient names and links every recipe to the catalog.
+        </p>
+        <div className="ingredient-catalog-backfill">
+          <button
+            type="button"
+            className="btn btn-primary btn-small"
+            onClick={handleStartBackfill}
+            disabled={busy || backfillRunning}
+          >
+            {backfillRunning ? 'Backfill running...' : 'Run backfill'}
+          </button>
+          {backfillRunning && (
+            <span className="ingredient-catalog-meta">{backfill.progress || 'Waiting to start...'}</span>
+          )}
+          {backfill?.status === 'failed' && (
+            <span className="ingredient-catalog-failed">Last backfill failed: {backfill.error}</span>
+          )}
+        </div>
+      </section>
+
+      <section className="ingredient-catalog-section">
+        <h2>Unmatched names ({unmatched.total})</h2>
+        {unmatched.names.length === 0 ? (
+          <p className="ingredient-catalog-meta">Every recipe ingredient matches a catalog entry.</p>
+        ) : (
+          <>
+            {unmatched.total > unmatched.names.length && (
+              <p className="ingredient-catalog-meta">Showing the {unmatched.names.length} used by the most recipes.</p>
+            )}
+            <ul className="ingredient-catalog-list">
+              {unmatched.names.map(entry => (
+                <li key={entry.key} className="ingredient-catalog-row">
+                  <div className="ingredient-catalog-name">
+                    <strong>{entry.name}</strong>
+                    <div className="ingredient-catalog-meta">
+                      {entry.recipeCount} {entry.recipeCount === 1 ? 'recipe' : 'recipes'}
+                      {entry.spellings.length > 1 && ` · also written ${entry.spellings.slice(1).join(', ')}`}
+                    </div>
+                  </div>
+                  <div className="ingredient-catalog-actions">
+                    <select
+                      value={aliasTargets[entry.key] || ''}
+                      onChange={(e) => setAliasTargets({ ...aliasTargets, [entry.key]: e.target.value })}
+                      aria-label={`Catalog entry for ${entry.name}`}
+                    >
+                      <option value="">New catalog entry</option>
+                      {ingredients.map(ingredient => (
+                        <option key={ingredient.id} value={ingredient.id}>Alias of {ingredient.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="btn btn-outline btn-small"
+                      onClick={() => handleAddUnmatched(entry)}
+                      disabled={busy}
+                    >
+                      Add
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </section>
+
+      <section className="ingredient-catalog-section">
+        <h2>Catalog ({ingredients.length})</h2>
+        <div className="ingredient-catalog-toolbar">
+          <form onSubmit={handleCreate} className="ingredient-catalog-inline-form">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New ingredient"
+              maxLength={255}
+            />
+            <button type="submit" className="btn btn-primary btn-small" disabled={busy || !newName.trim()}>
+              Add
+            </button>
+          </form>
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter..."
+            aria-label="Filter the catalog"
+          />
+        </div>
+
+        <ul className="ingredient-catalog-list">
+          {shownIngredients.map(ingredient => (
+            <li key={ingredient.id} className="ingredient-catalog-entry">
+              <div className="ingredient-catalog-row">
+                <div className="ingredient-catalog-name">
+                  {renaming?.id === ingredient.id ? (
+                    <form onSubmit={handleRename} className="ingredient-catalog-inline-form">
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        maxLength={255}
+                        aria-label={`New name for ${ingredient.name}`}
+                        autoFocus
+                      />
+                      <button type="submit" className="btn btn-primary btn-small" disabled={busy}>Save</button>
+                      <button type="button" className="btn btn-outline btn-small" onClick={() => setRenaming(null)}>
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <strong>{ingredient.name}</strong>
+                  )}
+                  <div className="ingredient-catalog-meta">
+                    {ingredient.recipeCount} {ingredient.recipeCount === 1 ? 'recipe' : 'recipes'}
+                  </div>
+                </div>
+                <div className="ingredient-catalog-actions">
+                  <button
+                    type="button"
+                    className="btn btn-outline btn-small"
+                    onClick={() => setRenaming({ id: ingredient.id, name: ingredient.name })}
+                    disabled={busy}
+                  >
+                    Rename
+                  </button>
+                  <select
+                    value={mergeTargets[ingredient.id] || ''}
+                    onChange={(e) => setMergeTargets({ ...mergeTargets, [ingredient.id]: e.target.value })}
+                    aria-label={`Merge ${ingredient.name} into`}
+                  >
+                    <option value="">Merge into...</option>
+                    {ingredients.filter(other => other.id !== ingredient.id).map(other => (
+                      <option key={other.id} value={other.id}>{other.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-outline btn-small"
+                    onClick={() => handleMerge(ingredient)}
+                    disabled={busy || !mergeTargets[ingredient.id]}
+                  >
+                    Merge
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-small ingredient-catalog-delete-button"
+                    onClick={() => handleDelete(ingredient)}
+                    disabled={busy}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <div className="ingredient-catalog-aliases">
+                {ingredient.aliases.map(alias => (
+                  <span key={alias.id} className="ingredient-catalog-alias">
+                    {alias.name}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveAlias(ingredient, alias)}
+                      disabled={busy}
+                      aria-label={`Remove alias ${alias.name}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <form onSubmit={(e) => handleAddAlias(e, ingredient)} className="ingredient-catalog-inline-form">
+                  <input
+                    type="text"
+                    value={aliasInputs[ingredient.id] || ''}
+                    onChange={(e) => setAliasInputs({ ...aliasInputs, [ingredient.id]: e.target.value })}
+                    placeholder="Add alias"
+                    maxLength={255}
+                    aria-label={`Add an alias for ${ingredient.name}`}
+                  />
+                </form>
+              </div>
+            </li>
+          ))}
+        </ul>
+        {shownIngredients.length === 0 && (
+          <p className="ingredient-catalog-meta">
+            {ingredients.length === 0 ? 'The catalog is empty.' : 'No ingredients match the filter.'}
+          </p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default IngredientCatalog;
@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { recipeAPI } from '../../services/api';
+import { formatMinutes, getRecipeSteps } from '../../utils/recipeHelpers';
+import '../../styles/MergeRecipes.css';
+
+const formatIngredient = (ingredient) =>
+  [ingredient.quantity, ingredient.unit, ingredient.name].filter(Boolean).join(' ')
+  + (ingredient.preparation ? `, ${ingredient.preparation}` : '');
+
+const renderList = (items, ordered = false) => {
+  if (items.length === 0) return null;
+  const listItems = items.map((item, index) => <li key={index}>{item}</li>);
+  return ordered ? <ol>{listItems}</ol> : <ul>{listItems}</ul>;
+};
+
+// Fields that can come from either recipe (the API's take list)
+const MERGE_FIELDS = [
+  { field: 'title', label: 'Title', render: (recipe) => recipe.title },
+  { field: 'source', label: 'Source', render: (recipe) => recipe.source },
+  { field: 'story', label: 'Story', render: (recipe) => recipe.story },
+  { field: 'notes', label: "Cook's notes", render: (recipe) => recipe.notes },
+  { field: 'servings', label: 'Servings', render: (recipe) => recipe.servings },
+  { field: 'prepTimeMinutes', label: 'Prep time', render: (recipe) => formatMinutes(recipe.prepTimeMinutes) },
+  { field: 'cookTimeMinutes', label: 'Cook time', render: (recipe) => formatMinutes(recipe.cookTimeMinutes) },
+  { field: 'totalTimeMinutes', label: 'Total time', render: (recipe) => formatMinutes(recipe.totalTimeMinutes) },
+  {
+    field: 'ingredients',
+    label: 'Ingredients',
+    render: (recipe) => renderList(recipe.ingredients.map(formatIngredient)),
+  },
+  {
+    field: 'instructions',
+    label: 'Instructions',
+    render: (recipe) => renderList(getRecipeSteps(recipe).map((step) => step.text), true),
+  },
+];
+
+// Start from the kept recipe's values, except where only the other recipe has one
+const defaultChoices = (keep, other) =>
+  Object.fromEntries(MERGE_FIELDS.map(({ field, render }) => [
+    field,
+    !render(keep) && render(other) ? 'other' : 'keep',
+  ]));
+
+function MergeRecipes() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const otherId = searchParams.get('from');
+
+  const [keep, setKeep] = useState(null);
+  const [other, setOther] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [suggestions, setSuggestions] = useState([]);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  // The recipe being kept, plus likely duplicates of it to offer
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await recipeAPI.getById(id, { signal: abortController.signal });
+        const recipe = response.data.recipe;
+        setKeep(recipe);
+
+        // Suggestions are a convenience; searching still works without them
+        recipeAPI.findDuplicates({
+          title: recipe.title,
+          source: recipe.source,
+          ingredients: recipe.ingredients,
+          excludeId: recipe.id,
+        }, { signal: abortController.signal })
+          .then((duplicates) => setSuggestions(duplicates.data.duplicates.map((duplicate) => duplicate.recipe)))
+          .catch((err) => console.error(err));
+      } catch (err) {
+        if (!abortController.signal.aborted) {
+          setError('Failed to load recipe');
+          console.error(err);
+        }
+      } finally {
+        if (!abortController.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+    return () => abortController.abort();
+  }, [id]);
+
+  // The recipe chosen to merge away
+  useEffect(() => {
+    if (!otherId) {
+      setOther(null);
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+
+    recipeAPI.getById(otherId, { signal: abortController.signal })
+      .then((response) => setOther(response.data.recipe))
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          setError('Failed to load the recipe to merge');
+          console.error(err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [otherId]);
+
+  useEffect(() => {
+    if (keep && other) {
+      setChoices(defaultChoices(keep, other));
+    }
+  }, [keep, other]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    try {
+      setError('');
+      const response = await recipeAPI.search({ q: query.trim() });
+      setResults(response.data.recipes.filter((recipe) => recipe.id !== keep.id));
+    } catch (err) {
+      setError('Search failed');
+      console.error(err);
+    }
+  };
+
+  const chooseOther = (recipe) => {
+    setResults(null);
+    setQuery('');
+    setSearchParams({ from: String(recipe.id) });
+  };
+
+  const handleMerge = async () => {
+    const title = choices.title === 'other' ? other.title : keep.title;
+    if (!window.confirm(`Merge "${other.title}" into "${title}"? "${other.title}" will be deleted and its link will open the merged recipe.`)) {
+      return;
+    }
+
+    try {
+      setMerging(true);
+      setError('');
+      const take = MERGE_FIELDS.map(({ field }) => field).filter((field) => choices[field] === 'other');
+      await recipeAPI.merge(keep.id, other.id, take);
+      navigate(`/recipe/${keep.id}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to merge recipes');
+      console.error(err);
+      setMerging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="merge-recipes-container">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading recipe...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!keep) {
+    return (
+      <div className="merge-recipes-container">
+        <div className="error-message">{error || 'Recipe not found'}</div>
+        <Link to="/admin/recipes" className="btn btn-primary">Back to Recipes</Link>
+      </div>
+    );
+  }
+
+  const newTags = other ? other.tags.filter((tag) => !keep.tags.includes(tag)) : [];
+  const newPeople = other
+    ? (other.people || []).filter((person) =>
+      !(keep.people || []).some((kept) => kept.id === person.id && kept.role === person.role))
+    : [];
+  const renderPicker = (recipe) => (
+    <li key={recipe.id}>
+      <button type="button" className="merge-recipes-pick" onClick={() => chooseOther(recipe)}>
+        {recipe.title}
+      </button>
+      {recipe.source && <span className="merge-recipes-pick-source">{recipe.source}</span>}
+    </li>
+  );
+
+  return (
+    <div className="merge-recipes-container">
+      <div className="merge-recipes-header">
+        <h1>Merge Recipes</h1>
+        <p className="subtitle">
+          Combine a duplicate into <Link to={`/recipe/${keep.id}`}>{keep.title}</Link>, choosing which version of each field to keep.
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="merge-recipes-section">
+        <h2>{other ? 'Merging' : 'Which recipe is the duplicate?'}</h2>
+        {other && (
+          <p className="merge-recipes-hint">
+            &quot;{other.title}&quot; will be merged in and deleted.{' '}
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              onClick={() => navigate(`/admin/recipes/${other.id}/merge?from=${keep.id}`)}
+            >
+              Keep this one instead
+            </button>
+          </p>
+        )}
+        {suggestions.length > 0 && (
+          <>
+            <p className="merge-recipes-hint">Likely duplicates:</p>
+            <ul className="merge-recipes-picker">
+              {suggestions.filter((recipe) => recipe.id !== other?.id).map(renderPicker)}
+            </ul>
+          </>
+        )}
+        <form className="merge-recipes-search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            className="form-input"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search for another recipe"
+          />
+          <button type="submit" className="btn btn-outline">Search</button>
+        </form>
+        {results && (
+          results.length > 0
+            ? <ul className="merge-recipes-picker">{results.map(renderPicker)}</ul>
+            : <p className="merge-recipes-hint">No other recipes match.</p>
+        )}
+      </section>
+
+      {other && (
+        <>
+          <section className="merge-recipes-section">
+            <h2>Choose what to keep</h2>
+            <table className="merge-recipes-compare">
+              <thead>
+                <tr>
+                  <th scope="col"></th>
+                  <th scope="col">{keep.title} (kept)</th>
+                  <th scope="col">{other.title}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {MERGE_FIELDS.map(({ field, label, render }) => (
+                  <tr key={field}>
+                    <th scope="row">{label}</th>
+                    {[['keep', keep], ['other', other]].map(([side, recipe]) => (
+                      <td key={side} className={choices[field] === side ? 'merge-recipes-chosen' : undefined}>
+                        <label className="merge-recipes-option">
+                          <input
+                            type="radio"
+                            name={`merge-${field}`}
+                            checked={choices[field] === side}
+                            onChange={() => setChoices((prev) => ({ ...prev, [field]: side }))}
+                          />
+                          {side === 'keep' ? 'Keep' : 'Use this'}
+                        </label>
+                        <div className="merge-recipes-value">{render(recipe) || '—'}</div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="merge-recipes-section">
+            <h2>Also moving over</h2>
+            <ul className="merge-recipes-summary">
+              <li>{other.images.length} image{other.images.length === 1 ? '' : 's'}</li>
+              {other.originals?.length > 0 && (
+                <li>{other.originals.length} original{other.originals.length === 1 ? '' : 's'} (scans and PDFs)</li>
+              )}
+              <li>{newTags.length > 0 ? `New tags: ${newTags.join(', ')}` : 'No new tags'}</li>
+              {newPeople.length > 0 && <li>Family: {newPeople.map((person) => person.name).join(', ')}</li>}
+              <li>Cooked {other.timesCooked || 0} time{other.timesCooked === 1 ? '' : 's'}, with its ratings and notes</li>
+              <li>Everyone who saved it</li>
+            </ul>
+          </section>
+
+          <div className="merge-recipes-actions">
+            <Link to={`/recipe/${keep.id}`} className="btn btn-outline">Cancel</Link>
+            <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={merging}>
+              {merging ? 'Merging...' : 'Merge Recipes'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MergeRecipes;
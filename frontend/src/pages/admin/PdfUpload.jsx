@@ -1,15 +1,75 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import api from '../../services/api';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api, { jobAPI, waitForJob } from '../../services/api';
+import ImportJobStatus from '../../components/ImportJobStatus';
+import PreviousImports from '../../components/PreviousImports';
 import '../../styles/PdfUpload.css';
 
+const formatPages = (start, end) => (start === end ? `Page ${start}` : `Pages ${start}–${end}`);
+
 function PdfUpload() {
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [results, setResults] = useState(null);
+  const [job, setJob] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [previousImports, setPreviousImports] = useState([]);
+  const pollRef = useRef(null);
   const navigate = useNavigate();
 
+  // Stop polling when leaving the page; the job itself keeps running on the server
+  useEffect(() => () => pollRef.current?.abort(), []);
+
+  const busy = uploading || job?.status === 'queued' || job?.status === 'running';
+
+  const showResults = ({ recipesCount, recipes, failedSegments }) => {
+    setSuccess(`Successfully parsed ${recipesCount} recipe(s).`);
+
+    if (recipesCount > 1 || failedSegments?.length) {
+      // Cookbooks and binders: list what was found so each recipe can be reviewed on its own
+      setResults({ recipes, failedSegments: failedSegments || [] });
+    } else {
+      // Navigate to pending recipes after 2 seconds
+      setTimeout(() => {
+        navigate('/admin/pending');
+      }, 2000);
+    }
+  };
+
+  const followJob = async (jobId) => {
+    pollRef.current?.abort();
+    const controller = new AbortController();
+    pollRef.current = controller;
+
+    try {
+      const finished = await waitForJob(jobId, { onUpdate: setJob, signal: controller.signal });
+      if (finished.status === 'completed') showResults(finished.result);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError('Lost track of the import. Check Import Jobs for its progress.');
+      console.error('Job polling error:', err);
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setError('');
+    setSuccess('');
+    setResults(null);
+
+    try {
+      const response = await jobAPI.retry(job.id);
+      setJob(response.data.data);
+      followJob(job.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to retry the import. Please try again.');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
@@ -21,6 +81,8 @@ function PdfUpload() {
       setFile(selectedFile);
       setError('');
       setSuccess('');
+      setResults(null);
+      setJob(null);
     }
   };
 
@@ -35,6 +97,9 @@ function PdfUpload() {
     setUploading(true);
     setError('');
     setSuccess('');
+    setResults(null);
+    setJob(null);
+    setPreviousImports([]);
 
     try {
       const formData = new FormData();
@@ -45,16 +110,15 @@ function PdfUpload() {
       const response = await api.post('/admin/upload-pdf', formData);
 
       if (response.data.success) {
-        setSuccess(`Successfully uploaded! ${response.data.recipesCount} recipe(s) parsed.`);
         setFile(null);
         // Reset file input
         const fileInput = document.getElementById('pdf-file-input');
         if (fileInput) fileInput.value = '';
 
-        // Navigate to pending recipes after 2 seconds
-        setTimeout(() => {
-          navigate('/admin/pending');
-        }, 2000);
+        // Parsing runs in the background; follow the job until it's done
+        setPreviousImports(response.data.data.alreadyImported || []);
+        setJob(response.data.data.job);
+        followJob(response.data.data.jobId);
       }
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to upload PDF. Please try again.');
@@ -101,7 +165,7 @@ function PdfUpload() {
                 type="file"
                 accept=".pdf,application/pdf"
                 onChange={handleFileChange}
-                disabled={uploading}
+                disabled={busy}
                 className="file-input"
               />
             </label>
@@ -114,6 +178,10 @@ function PdfUpload() {
             </div>
           )}
 
+          <PreviousImports imports={previousImports} what="this PDF" />
+
+          {job && <ImportJobStatus job={job} onRetry={handleRetry} retrying={retrying} />}
+
           {success && (
             <div className="success-message">
               <span className="success-icon">✓</span>
@@ -121,19 +189,51 @@ function PdfUpload() {
             </div>
           )}
 
+          {results && (
+            <div className="upload-results">
+              <ul>
+                {results.recipes.map((recipe) => (
+                  <li key={recipe.id}>
+                    <span className="upload-result-title">{recipe.title || 'Untitled Recipe'}</span>
+                    {recipe.pageStart && (
+                      <span className="upload-result-pages">{formatPages(recipe.pageStart, recipe.pageEnd)}</span>
+                    )}
+                    <Link to={`/admin/pending/${recipe.id}`} className="btn btn-primary btn-small">
+                      Review
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+              {results.failedSegments.length > 0 && (
+                <div className="error-message import-job-failed">
+                  <span className="error-icon">⚠️</span>
+                  <span className="import-job-error">
+                    Could not read the recipe on{' '}
+                    {results.failedSegments.map((segment) => formatPages(segment.pageStart, segment.pageEnd).toLowerCase()).join(', ')}.
+                    Try again, or add it by hand if it&apos;s one you want to keep.
+                  </span>
+                  <button type="button" className="btn btn-secondary btn-small" onClick={handleRetry} disabled={retrying}>
+                    {retrying ? 'Retrying...' : 'Retry'}
+                  </button>
+                </div>
+              )}
+              <Link to="/admin/pending">Review all pending recipes →</Link>
+            </div>
+          )}
+
           <div className="form-actions">
             <button
               type="button"
               onClick={handleCancel}
               className="btn btn-secondary"
-              disabled={uploading}
+              disabled={busy}
             >
               Cancel
             </button>
             <button
               type="submit"
               className="btn btn-primary"
-              disabled={!file || uploading}
+              disabled={!file || busy}
             >
               {uploading ? (
                 <>
@@ -151,10 +251,14 @@ function PdfUpload() {
           <h3>How it works:</h3>
           <ol>
             <li>Select a PDF file containing recipes</li>
-            <li>The system will automatically parse and extract recipe information</li>
+            <li>Cookbooks and recipe binders are split into one recipe per title</li>
+            <li>The system will automatically parse and extract recipe information in the background</li>
             <li>Extracted recipes will be saved as pending for review</li>
             <li>Review and approve recipes before they appear in the main collection</li>
           </ol>
+          <p className="upload-bulk-hint">
+            Importing a whole folder? Use <Link to="/admin/bulk-import">Bulk Import</Link> to upload many PDFs, photos or a ZIP archive at once.
+          </p>
         </div>
       </div>
     </div>
@@ -2,6 +2,8 @@ import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import api from '../../services/api';
 import { getImageUrl } from '../../utils/urlHelpers';
+import { ATTRIBUTION_ROLES } from '../../utils/recipeHelpers';
+import DuplicateWarning from '../../components/DuplicateWarning';
 import '../../styles/PendingRecipeReview.css';
 
 function PendingRecipeReview() {
@@ -38,6 +40,29 @@ function PendingRecipeReview() {
     }));
   };
 
+  // People the parser read the recipe as coming from; matched to family members on approval
+  const handleAttributionChange = (index, field, value) => {
+    setRecipe(prev => ({
+      ...prev,
+      attributions: prev.attributions.map((attribution, i) =>
+        i === index ? { ...attribution, [field]: value } : attribution)
+    }));
+  };
+
+  const addAttribution = () => {
+    setRecipe(prev => ({
+      ...prev,
+      attributions: [...(prev.attributions || []), { name: '', relation: '', role: 'contributed' }]
+    }));
+  };
+
+  const removeAttribution = (index) => {
+    setRecipe(prev => ({
+      ...prev,
+      attributions: prev.attributions.filter((_, i) => i !== index)
+    }));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -47,8 +72,14 @@ function PendingRecipeReview() {
         title: recipe.title,
         category: recipe.category,
         description: recipe.description,
+        story: recipe.story || null,
+        attributions: recipe.attributions || [],
         ingredients_text: recipe.ingredients_text,
-        instructions_text: recipe.instructions_text
+        instructions_text: recipe.instructions_text,
+        servings: recipe.servings ?? null,
+        prepTimeMinutes: recipe.prep_time_minutes ?? null,
+        cookTimeMinutes: recipe.cook_time_minutes ?? null,
+        totalTimeMinutes: recipe.total_time_minutes ?? null
       });
 
       alert('Changes saved successfully!');
@@ -80,6 +111,29 @@ function PendingRecipeReview() {
     }
   };
 
+  const handleMerge = async (existing) => {
+    if (!window.confirm(`Merge this recipe into "${existing.title}"? Anything it is missing is filled in from this one, and this pending recipe is removed.`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+
+      const response = await api.post(`/admin/pending-recipes/${id}/merge`, { recipeId: existing.id });
+      const { filled, tagsAdded } = response.data.data;
+
+      alert(filled.length > 0 || tagsAdded.length > 0
+        ? `Merged into "${existing.title}".`
+        : `"${existing.title}" already had everything in this recipe, so nothing was changed.`);
+      navigate('/admin/pending');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to merge recipe');
+      console.error(err);
+      setSaving(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to delete this pending recipe? This cannot be undone.')) {
       return;
@@ -132,12 +186,61 @@ function PendingRecipeReview() {
         </div>
       )}
 
+      <DuplicateWarning
+        duplicates={recipe.duplicates}
+        incoming={{
+          title: recipe.title,
+          source: recipe.source,
+          servings: recipe.servings,
+          prepTimeMinutes: recipe.prep_time_minutes,
+          cookTimeMinutes: recipe.cook_time_minutes,
+          totalTimeMinutes: recipe.total_time_minutes,
+          tags: recipe.tags,
+          ingredients: recipe.ingredients,
+          instructions: recipe.instructions_text
+        }}
+        onMerge={handleMerge}
+        merging={saving}
+      />
+
       <div className="review-content">
         <div className="source-info">
           <div className="info-label">Source:</div>
           <div className="info-value">{recipe.original_name}</div>
         </div>
 
+        {/* Scanned pages: show what OCR read, flagging the lines it had to guess */}
+        {recipe.ocr_data?.pages?.length > 0 && (
+          <div className="form-section ocr-review-section">
+            <h3>Scanned Text</h3>
+            <p className="form-hint">
+              This recipe was read from scanned pages. Highlighted lines were hard to make out, so check them
+              against the original before approving.
+            </p>
+            {recipe.ocr_data.pages.map((page) => (
+              <div key={page.num} className="ocr-page">
+                <div className="ocr-page-header">
+                  <span>Page {page.num}</span>
+                  <span>
+                    {page.confidence}% confidence · read by {page.engine === 'ai' ? 'AI vision' : 'Tesseract OCR'}
+                  </span>
+                </div>
+                <ol className="ocr-lines">
+                  {page.lines.map((line, index) => (
+                    <li
+                      key={index}
+                      className={line.guessed ? 'ocr-line guessed' : 'ocr-line'}
+                      title={`${line.confidence}% confidence`}
+                    >
+                      {line.text}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Display extracted image if available */}
         {recipe.image && (
           <div className="form-section image-preview-section">
@@ -194,6 +297,103 @@ function PendingRecipeReview() {
           </label>
         </div>
 
+        <div className="form-section">
+          <span className="form-label">Family</span>
+          {(recipe.attributions || []).map((attribution, index) => (
+            <div key={index} className="pending-attribution-row">
+              <select
+                className="form-input"
+                value={attribution.role}
+                onChange={(e) => handleAttributionChange(index, 'role', e.target.value)}
+                aria-label="Role"
+              >
+                {ATTRIBUTION_ROLES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="form-input"
+                value={attribution.relation || ''}
+                onChange={(e) => handleAttributionChange(index, 'relation', e.target.value)}
+                placeholder="Relation, e.g. Aunt"
+                aria-label="Relation"
+              />
+              <input
+                type="text"
+                className="form-input"
+                value={attribution.name}
+                onChange={(e) => handleAttributionChange(index, 'name', e.target.value)}
+                placeholder="Name"
+                aria-label="Name"
+              />
+              <button type="button" className="btn btn-outline btn-small" onClick={() => removeAttribution(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn btn-outline btn-small" onClick={addAttribution}>
+            + Add Person
+          </button>
+          <p className="form-hint">On approval each person is matched to a family member by name, or added to the Family page.</p>
+        </div>
+
+        <div className="form-section">
+          <label className="form-label">
+            Story
+            <textarea
+              className="form-textarea"
+              value={recipe.story || ''}
+              onChange={(e) => handleChange('story', e.target.value)}
+              placeholder="A family memory or note about the recipe"
+              rows="3"
+            />
+          </label>
+        </div>
+
+        <div className="form-section time-fields">
+          <label className="form-label">
+            Servings
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={recipe.servings ?? ''}
+              onChange={(e) => handleChange('servings', e.target.value)}
+            />
+          </label>
+          <label className="form-label">
+            Prep Time (min)
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={recipe.prep_time_minutes ?? ''}
+              onChange={(e) => handleChange('prep_time_minutes', e.target.value)}
+            />
+          </label>
+          <label className="form-label">
+            Cook Time (min)
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={recipe.cook_time_minutes ?? ''}
+              onChange={(e) => handleChange('cook_time_minutes', e.target.value)}
+            />
+          </label>
+          <label className="form-label">
+            Total Time (min)
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={recipe.total_time_minutes ?? ''}
+              onChange={(e) => handleChange('total_time_minutes', e.target.value)}
+            />
+          </label>
+        </div>
+
         <div className="form-section">
           <label className="form-label">
             Ingredients *
@@ -205,7 +405,7 @@ function PendingRecipeReview() {
               rows="10"
             />
           </label>
-          <p className="form-hint">Enter each ingredient on a separate line</p>
+          <p className="form-hint">Enter each ingredient on a separate line. Start a group with a heading line such as &quot;For the crust:&quot;</p>
         </div>
 
         <div className="form-section">
@@ -219,7 +419,7 @@ function PendingRecipeReview() {
               rows="10"
             />
           </label>
-          <p className="form-hint">Enter each instruction step on a separate line</p>
+          <p className="form-hint">Enter each instruction step on a separate line. Start a group with a heading line such as &quot;For the sauce:&quot;</p>
         </div>
 
         <div className="action-buttons">
@@ -3,6 +3,22 @@ import { Link } from 'react-router-dom';
 import api from '../../services/api';
 import '../../styles/PendingRecipes.css';
 
+// Recipes split out of the same PDF stay together under a summary of that file;
+// single-recipe uploads share one ungrouped grid
+const groupByFile = (recipes) =>
+  recipes.reduce((groups, recipe) => {
+    const fileId = recipe.recipes_detected > 1 ? recipe.file_id : null;
+    const last = groups[groups.length - 1];
+    if (last && last.fileId === fileId) {
+      last.recipes.push(recipe);
+    } else {
+      groups.push({ fileId, fileName: recipe.original_name, recipesDetected: recipe.recipes_detected, recipes: [recipe] });
+    }
+    return groups;
+  }, []);
+
+const formatPages = (start, end) => (start === end ? `Page ${start}` : `Pages ${start}–${end}`);
+
 function PendingRecipes() {
   const [recipes, setRecipes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -71,62 +87,83 @@ function PendingRecipes() {
           </Link>
         </div>
       ) : (
-        <div className="pending-grid">
-          {recipes.map((recipe) => (
-            <div key={recipe.id} className="pending-card">
-              <div className="pending-card-header">
-                <h3>{recipe.title || 'Untitled Recipe'}</h3>
-                <span className="recipe-badge">Pending</span>
+        groupByFile(recipes).map((group) => (
+          <section key={group.fileId ?? `ungrouped-${group.recipes[0].id}`} className="pending-file-group">
+            {group.fileId && (
+              <div className="pending-file-summary">
+                <span className="pending-file-icon">📚</span>
+                <div>
+                  <h2>{group.fileName}</h2>
+                  <p>
+                    {group.recipesDetected} recipes found · {group.recipes.length} waiting for review
+                  </p>
+                </div>
               </div>
-
-              <div className="pending-card-body">
-                <div className="recipe-meta">
-                  <div className="meta-item">
-                    <span className="meta-label">Source:</span>
-                    <span className="meta-value">{recipe.original_name}</span>
+            )}
+            <div className="pending-grid">
+              {group.recipes.map((recipe) => (
+                <div key={recipe.id} className="pending-card">
+                  <div className="pending-card-header">
+                    <h3>{recipe.title || 'Untitled Recipe'}</h3>
+                    <span className="recipe-badge">Pending</span>
                   </div>
-                  {recipe.category && (
-                    <div className="meta-item">
-                      <span className="meta-label">Category:</span>
-                      <span className="meta-value">{recipe.category}</span>
-                    </div>
-                  )}
-                  {recipe.ingredients_text && (
-                    <div className="meta-item">
-                      <span className="meta-label">Ingredients:</span>
-                      <span className="meta-value">
-                        {recipe.ingredients_text.split('\n').length} items
-                      </span>
+
+                  <div className="pending-card-body">
+                    <div className="recipe-meta">
+                      <div className="meta-item">
+                        <span className="meta-label">Source:</span>
+                        <span className="meta-value">{recipe.original_name}</span>
+                      </div>
+                      {group.fileId && recipe.page_start && (
+                        <div className="meta-item">
+                          <span className="meta-label">Found on:</span>
+                          <span className="meta-value">{formatPages(recipe.page_start, recipe.page_end)}</span>
+                        </div>
+                      )}
+                      {recipe.category && (
+                        <div className="meta-item">
+                          <span className="meta-label">Category:</span>
+                          <span className="meta-value">{recipe.category}</span>
+                        </div>
+                      )}
+                      {recipe.ingredients_text && (
+                        <div className="meta-item">
+                          <span className="meta-label">Ingredients:</span>
+                          <span className="meta-value">
+                            {recipe.ingredients_text.split('\n').length} items
+                          </span>
+                        </div>
+                      )}
                     </div>
-                  )}
-                </div>
 
-                {recipe.description && (
-                  <p className="recipe-description">
-                    {recipe.description.length > 150
-                      ? `${recipe.description.substring(0, 150)}...`
-                      : recipe.description}
-                  </p>
-                )}
-              </div>
+                    {recipe.description && (
+                      <p className="recipe-description">
+                        {recipe.description.length > 150
+                          ? `${recipe.description.substring(0, 150)}...`
+                          : recipe.description}
+                      </p>
+                    )}
+                  </div>
 
-              <div className="pending-card-actions">
-                <button
-                  onClick={() => handleDelete(recipe.id)}
-                  className="btn btn-danger btn-small"
-                >
-                  Delete
-                </button>
-                <Link
-                  to={`/admin/pending/${recipe.id}`}
-                  className="btn btn-primary btn-small"
-                >
-                  Review & Approve
-                </Link>
-              </div>
+                  <div className="pending-card-actions">
+                    <button
+                      onClick={() => handleDelete(recipe.id)}
+                      className="btn btn-danger btn-small"
+                    >
+                      Delete
+                    </button>
+                    <Link
+                      to={`/admin/pending/${recipe.id}`}
+                      className="btn btn-primary btn-small"
+                    >
+                      Review & Approve
+                    </Link>
+                  </div>
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
+          </section>
+        ))
       )}
     </div>
   );
@@ -0,0 +1,240 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { recipeAPI } from '../../services/api';
+import '../../styles/RecipeHistory.css';
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// What the change that replaced each version was
+const ACTION_LABELS = {
+  update: 'Edited',
+  restore: 'Restored an earlier version',
+  merge: 'Merged another recipe in',
+};
+
+const LINE_MARKERS = { same: ' ', removed: '−', added: '+' };
+
+// The current recipe sits at the top of the list as the newest version
+const CURRENT = 'current';
+
+function RecipeHistory() {
+  const { id } = useParams();
+
+  const [history, setHistory] = useState(null);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(CURRENT);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await recipeAPI.getRevisions(id);
+      setHistory(response.data);
+      // Start by comparing the latest earlier version with the current recipe
+      setFromId(response.data.revisions[0]?.id ?? null);
+      setToId(CURRENT);
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'Recipe not found' : 'Failed to load history');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  useEffect(() => {
+    if (!fromId) {
+      setDiff(null);
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+
+    recipeAPI.diffRevisions(id, fromId, toId === CURRENT ? null : toId, { signal: abortController.signal })
+      .then((response) => setDiff(response.data))
+      .catch((err) => {
+        if (!abortController.signal.aborted) {
+          setError('Failed to compare versions');
+          console.error(err);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [id, fromId, toId]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore the version replaced on ${formatDate(revision.createdAt)}? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      setError('');
+      setMessage('');
+      await recipeAPI.restoreRevision(id, revision.id);
+      setMessage('Recipe restored.');
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore version');
+      console.error(err);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading && !history) {
+    return (
+      <div className="recipe-history-container">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading history...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!history) {
+    return (
+      <div className="recipe-history-container">
+        <div className="error-message">{error}</div>
+        <Link to="/admin/recipes" className="btn btn-primary">Back to Recipes</Link>
+      </div>
+    );
+  }
+
+  const { revisions } = history;
+  // Versions newest first; a comparison runs from an older version to a newer one
+  const indexOf = (versionId) => (versionId === CURRENT ? -1 : revisions.findIndex((revision) => revision.id === versionId));
+
+  const renderChange = (change) => (
+    <div key={change.field} className="recipe-history-change">
+      <h3>{change.label}</h3>
+      {change.lines ? (
+        <pre className="recipe-history-lines">
+          {change.lines.map((line, index) => (
+            <span key={index} className={`recipe-history-line ${line.type}`}>
+              {LINE_MARKERS[line.type]} {line.text}
+            </span>
+          ))}
+        </pre>
+      ) : (
+        <p className="recipe-history-value">
+          <del>{change.before ?? '—'}</del> → <ins>{change.after ?? '—'}</ins>
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="recipe-history-container">
+      <div className="recipe-history-header">
+        <h1>Recipe History</h1>
+        <p className="subtitle">
+          Earlier versions of <Link to={`/recipe/${history.recipeId}`}>{history.title}</Link>. Each is kept when the recipe is edited, merged or restored.
+        </p>
+      </div>
+
+      {message && <div className="recipe-history-notice">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {revisions.length === 0 ? (
+        <div className="recipe-history-empty">
+          <p>This recipe hasn&apos;t been changed since it was added.</p>
+        </div>
+      ) : (
+        <>
+          <table className="recipe-history-table">
+            <thead>
+              <tr>
+                <th scope="col">From</th>
+                <th scope="col">To</th>
+                <th scope="col">Version</th>
+                <th scope="col"></th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td></td>
+                <td>
+                  <input
+                    type="radio"
+                    name="compare-to"
+                    aria-label="Compare to the current version"
+                    checked={toId === CURRENT}
+                    onChange={() => setToId(CURRENT)}
+                  />
+                </td>
+                <td>
+                  <strong>Current version</strong>
+                  <div className="recipe-history-meta">{history.title}</div>
+                </td>
+                <td></td>
+              </tr>
+              {revisions.map((revision, index) => (
+                <tr key={revision.id}>
+                  <td>
+                    <input
+                      type="radio"
+                      name="compare-from"
+                      aria-label={`Compare from the version replaced ${formatDate(revision.createdAt)}`}
+                      checked={fromId === revision.id}
+                      disabled={index <= indexOf(toId)}
+                      onChange={() => setFromId(revision.id)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="radio"
+                      name="compare-to"
+                      aria-label={`Compare to the version replaced ${formatDate(revision.createdAt)}`}
+                      checked={toId === revision.id}
+                      disabled={index >= indexOf(fromId)}
+                      onChange={() => setToId(revision.id)}
+                    />
+                  </td>
+                  <td>
+                    <strong>{revision.title}</strong>
+                    <div className="recipe-history-meta">
+                      {ACTION_LABELS[revision.action] || 'Changed'} by {revision.editedBy?.username || 'a removed user'} · {formatDate(revision.createdAt)}
+                    </div>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-outline btn-small"
+                      onClick={() => handleRestore(revision)}
+                      disabled={restoring}
+                    >
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {diff && (
+            <section className="recipe-history-diff">
+              <h2>
+                Changes from {formatDate(diff.from.createdAt)} to {diff.to ? formatDate(diff.to.createdAt) : 'the current version'}
+              </h2>
+              {diff.changes.length === 0
+                ? <p className="recipe-history-meta">These versions are the same.</p>
+                : diff.changes.map(renderChange)}
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RecipeHistory;
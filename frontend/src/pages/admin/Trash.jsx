@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { trashAPI } from '../../services/api';
+import '../../styles/Trash.css';
+
+const PAGE_SIZE = 50;
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+function Trash() {
+  const [recipes, setRecipes] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await trashAPI.getAll({ limit: PAGE_SIZE, offset });
+      setRecipes(response.data.recipes);
+      setRetentionDays(response.data.retentionDays);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      setError('Failed to load the trash');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [offset]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // After the last recipe on a later page goes, step back a page
+  const afterRemoving = async () => {
+    if (recipes.length === 1 && offset > 0) {
+      setOffset(Math.max(0, offset - PAGE_SIZE));
+    } else {
+      await loadTrash();
+    }
+  };
+
+  const handleRestore = async (recipe) => {
+    try {
+      setBusyId(recipe.id);
+      setError('');
+      setMessage('');
+      await trashAPI.restore(recipe.id);
+      setMessage(`"${recipe.title}" was restored.`);
+      await afterRemoving();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore recipe');
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteForever = async (recipe) => {
+    if (!window.confirm(`Permanently delete "${recipe.title}" and its photos? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(recipe.id);
+      setError('');
+      setMessage('');
+      await trashAPI.deleteForever(recipe.id);
+      setMessage(`"${recipe.title}" was permanently deleted.`);
+      await afterRemoving();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete recipe');
+      console.error(err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && recipes.length === 0) {
+    return (
+      <div className="trash-container">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading trash...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trash-container">
+      <div className="trash-header">
+        <h1>Trash</h1>
+        <p className="subtitle">
+          Deleted recipes can be restored until they are permanently deleted
+          {retentionDays ? ` ${retentionDays} days after being moved here` : ''}.
+        </p>
+      </div>
+
+      {message && <div className="trash-notice">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {recipes.length === 0 ? (
+        <div className="trash-empty">
+          <p>The trash is empty.</p>
+        </div>
+      ) : (
+        <>
+          <table className="trash-table">
+            <thead>
+              <tr>
+                <th scope="col">Recipe</th>
+                <th scope="col">Deleted</th>
+                <th scope="col">Purged on</th>
+                <th scope="col"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {recipes.map((recipe) => (
+                <tr key={recipe.id}>
+                  <td>
+                    <strong>{recipe.title}</strong>
+                    {recipe.source && <div className="trash-meta">{recipe.source}</div>}
+                  </td>
+                  <td>
+                    {formatDate(recipe.deletedAt)}
+                    <div className="trash-meta">by {recipe.deletedBy?.username || 'a removed user'}</div>
+                  </td>
+                  <td>{formatDate(recipe.purgeAt)}</td>
+                  <td className="trash-actions">
+                    <button
+                      type="button"
+                      className="btn btn-outline btn-small"
+                      onClick={() => handleRestore(recipe)}
+                      disabled={busyId !== null}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-small trash-delete-button"
+                      onClick={() => handleDeleteForever(recipe)}
+                      disabled={busyId !== null}
+                    >
+                      Delete forever
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {total > PAGE_SIZE && (
+            <div className="trash-pagination">
+              <button
+                type="button"
+                className="btn btn-outline btn-small"
+                onClick={() => setOffset(offset - PAGE_SIZE)}
+                disabled={offset === 0 || loading}
+              >
+                Previous
+              </button>
+              <span>
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </span>
+              <button
+                type="button"
+                className="btn btn-outline btn-small"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total || loading}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      <p className="trash-meta">
+        <Link to="/admin/recipes">Back to all recipes</Link>
+      </p>
+    </div>
+  );
+}
+
+export default Trash;
@@ -1,6 +1,8 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import api from '../../services/api';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api, { jobAPI, waitForJob } from '../../services/api';
+import ImportJobStatus from '../../components/ImportJobStatus';
+import PreviousImports from '../../components/PreviousImports';
 import '../../styles/UrlImport.css';
 
 function UrlImport() {
@@ -8,8 +10,57 @@ function UrlImport() {
   const [importing, setImporting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [job, setJob] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [previousImports, setPreviousImports] = useState([]);
+  const pollRef = useRef(null);
   const navigate = useNavigate();
 
+  // Stop polling when leaving the page; the job itself keeps running on the server
+  useEffect(() => () => pollRef.current?.abort(), []);
+
+  const busy = importing || job?.status === 'queued' || job?.status === 'running';
+
+  const followJob = async (jobId) => {
+    pollRef.current?.abort();
+    const controller = new AbortController();
+    pollRef.current = controller;
+
+    try {
+      const finished = await waitForJob(jobId, { onUpdate: setJob, signal: controller.signal });
+      if (finished.status !== 'completed') return;
+
+      const extractionType = finished.result.extractionType === 'structured'
+        ? 'Found structured recipe data'
+        : 'Parsed with AI';
+      setSuccess(`Recipe imported successfully! (${extractionType})`);
+
+      // Navigate to pending recipes after 2 seconds
+      setTimeout(() => {
+        navigate('/admin/pending');
+      }, 2000);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError('Lost track of the import. Check Import Jobs for its progress.');
+      console.error('Job polling error:', err);
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setError('');
+
+    try {
+      const response = await jobAPI.retry(job.id);
+      setJob(response.data.data);
+      followJob(job.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to retry the import. Please try again.');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   const isValidUrl = (string) => {
     try {
       const url = new URL(string);
@@ -23,6 +74,7 @@ function UrlImport() {
     setUrl(e.target.value);
     setError('');
     setSuccess('');
+    setJob(null);
   };
 
   const handleSubmit = async (e) => {
@@ -41,21 +93,19 @@ function UrlImport() {
     setImporting(true);
     setError('');
     setSuccess('');
+    setJob(null);
+    setPreviousImports([]);
 
     try {
       const response = await api.post('/admin/import-url', { url: url.trim() });
 
       if (response.data.success) {
-        const extractionType = response.data.data.extractionType === 'structured'
-          ? 'Found structured recipe data'
-          : 'Parsed with AI';
-        setSuccess(`Recipe imported successfully! (${extractionType})`);
         setUrl('');
 
-        // Navigate to pending recipes after 2 seconds
-        setTimeout(() => {
-          navigate('/admin/pending');
-        }, 2000);
+        // Fetching and parsing run in the background; follow the job until it's done
+        setPreviousImports(response.data.data.alreadyImported || []);
+        setJob(response.data.data.job);
+        followJob(response.data.data.jobId);
       }
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to import recipe. Please check the URL and try again.');
@@ -88,7 +138,7 @@ function UrlImport() {
                 value={url}
                 onChange={handleUrlChange}
                 placeholder="https://example.com/recipe/delicious-cookies"
-                disabled={importing}
+                disabled={busy}
                 className="url-input"
                 autoComplete="off"
                 autoFocus
@@ -103,6 +153,10 @@ function UrlImport() {
             </div>
           )}
 
+          <PreviousImports imports={previousImports} what="this page" />
+
+          {job && <ImportJobStatus job={job} onRetry={handleRetry} retrying={retrying} />}
+
           {success && (
             <div className="success-message">
               <span className="success-icon">✓</span>
@@ -115,14 +169,14 @@ function UrlImport() {
               type="button"
               onClick={handleCancel}
               className="btn btn-secondary"
-              disabled={importing}
+              disabled={busy}
             >
               Cancel
             </button>
             <button
               type="submit"
               className="btn btn-primary"
-              disabled={!url.trim() || importing}
+              disabled={!url.trim() || busy}
             >
               {importing ? (
                 <>
@@ -150,6 +204,7 @@ function UrlImport() {
               <li>Use direct links to individual recipe pages</li>
               <li>Most popular recipe sites (AllRecipes, Food Network, etc.) work great</li>
               <li>Sites with structured recipe data provide the most accurate results</li>
+              <li>Have a list of links? Paste them all into <Link to="/admin/bulk-import">Bulk Import</Link></li>
             </ul>
           </div>
         </div>
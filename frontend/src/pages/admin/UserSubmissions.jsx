@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import api from '../../services/api';
+import { formatMinutes, groupBySection } from '../../utils/recipeHelpers';
+import DuplicateWarning from '../../components/DuplicateWarning';
 import '../../styles/UserSubmissions.css';
 
 function UserSubmissions() {
@@ -103,6 +105,30 @@ function UserSubmissions() {
     }
   };
 
+  const handleMerge = async (existing) => {
+    if (!selectedSubmission) return;
+    if (!window.confirm(`Merge this submission into "${existing.title}"? Anything it is missing is filled in from the submission, which is marked approved.`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      await api.post(`/admin/submissions/${selectedSubmission.id}/merge`, {
+        recipeId: existing.id,
+        notes: approveNotes || null
+      });
+
+      setSelectedSubmission(null);
+      setApproveNotes('');
+      loadSubmissions(pagination.offset);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to merge submission');
+      console.error(err);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleReject = async () => {
     if (!selectedSubmission || !rejectNotes.trim()) return;
 
@@ -260,6 +286,13 @@ function UserSubmissions() {
                 </span>
               </div>
 
+              <DuplicateWarning
+                duplicates={selectedSubmission.duplicates}
+                incoming={selectedSubmission}
+                onMerge={handleMerge}
+                merging={actionLoading}
+              />
+
               <div className="detail-meta">
                 <p><strong>Submitted by:</strong> {selectedSubmission.submitterUsername}</p>
                 <p><strong>Submitted:</strong> {formatDate(selectedSubmission.createdAt)}</p>
@@ -269,6 +302,9 @@ function UserSubmissions() {
                 {selectedSubmission.servings && (
                   <p><strong>Servings:</strong> {selectedSubmission.servings}</p>
                 )}
+                {selectedSubmission.totalTimeMinutes > 0 && (
+                  <p><strong>Total Time:</strong> {formatMinutes(selectedSubmission.totalTimeMinutes)}</p>
+                )}
               </div>
 
               {selectedSubmission.reviewerUsername && (
@@ -288,15 +324,21 @@ function UserSubmissions() {
               {selectedSubmission.ingredients && selectedSubmission.ingredients.length > 0 && (
                 <div className="detail-section">
                   <h4>Ingredients ({selectedSubmission.ingredients.length})</h4>
-                  <ul className="ingredients-list">
-                    {selectedSubmission.ingredients.map((ing, index) => (
-                      <li key={index}>
-                        {ing.quantity && `${ing.quantity} `}
-                        {ing.unit && `${ing.unit} `}
-                        {ing.name}
-                      </li>
-                    ))}
-                  </ul>
+                  {groupBySection(selectedSubmission.ingredients).map((group) => (
+                    <div key={group.items[0].index}>
+                      {group.section && <p className="ingredient-group-heading">{group.section}</p>}
+                      <ul className="ingredients-list">
+                        {group.items.map(({ item: ing, index }) => (
+                          <li key={index}>
+                            {ing.quantity && `${ing.quantity} `}
+                            {ing.unit && `${ing.unit} `}
+                            {ing.name}
+                            {ing.preparation && `, ${ing.preparation}`}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
                 </div>
               )}
 
@@ -351,7 +393,7 @@ function UserSubmissions() {
               {selectedSubmission.status === 'approved' && (
                 <div className="approved-notice">
                   <p>This recipe has been approved and published to the collection.</p>
-                  <Link to="/" className="btn btn-secondary">
+                  <Link to={selectedSubmission.recipeId ? `/recipe/${selectedSubmission.recipeId}` : '/'} className="btn btn-secondary">
                     View in Collection
                   </Link>
                 </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import api from '../../services/api';
+import { groupBySection } from '../../utils/recipeHelpers';
 import '../../styles/MySubmissions.css';
 
 function MySubmissions() {
@@ -260,15 +261,21 @@ function MySubmissions() {
             {selectedSubmission.ingredients && selectedSubmission.ingredients.length > 0 && (
               <div className="detail-section">
                 <h4>Ingredients</h4>
-                <ul className="ingredients-list">
-                  {selectedSubmission.ingredients.map((ing, index) => (
-                    <li key={index}>
-                      {ing.quantity && `${ing.quantity} `}
-                      {ing.unit && `${ing.unit} `}
-                      {ing.name}
-                    </li>
-                  ))}
-                </ul>
+                {groupBySection(selectedSubmission.ingredients).map((group) => (
+                  <div key={group.items[0].index}>
+                    {group.section && <p className="ingredient-group-heading">{group.section}</p>}
+                    <ul className="ingredients-list">
+                      {group.items.map(({ item: ing, index }) => (
+                        <li key={index}>
+                          {ing.quantity && `${ing.quantity} `}
+                          {ing.unit && `${ing.unit} `}
+                          {ing.name}
+                          {ing.preparation && `, ${ing.preparation}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
               </div>
             )}
 
@@ -1,13 +1,27 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../../services/api';
+import { collectionAPI } from '../../services/api';
+import { getImageUrl } from '../../utils/urlHelpers';
 import RecipeCard from '../../components/RecipeCard';
+import CollectionForm from '../../components/CollectionForm';
 import '../../styles/SavedRecipes.css';
 
+// Arranging loads the whole collection at once (the API's page size limit)
+const ARRANGE_LIMIT = 500;
+
+// The user's collections: Favorites (their saved recipes) plus any cookbooks they've made
 function SavedRecipes() {
+  const [collections, setCollections] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [collection, setCollection] = useState(null);
   const [recipes, setRecipes] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // 'new', 'edit' or null
+  const [formMode, setFormMode] = useState(null);
+  // The full recipe list while arranging, null otherwise
+  const [arrangeList, setArrangeList] = useState(null);
+  const [savingOrder, setSavingOrder] = useState(false);
   const [pagination, setPagination] = useState({
     total: 0,
     limit: 12,
@@ -15,15 +29,31 @@ function SavedRecipes() {
     hasMore: false
   });
 
-  const loadSavedRecipes = useCallback(async (offset = 0) => {
+  const loadCollections = useCallback(async () => {
+    try {
+      const response = await collectionAPI.getAll();
+      const list = response.data.collections || [];
+      setCollections(list);
+      // Start on Favorites; fall back to it if the selected collection is gone
+      setSelectedId(prev => (list.some(c => c.id === prev) ? prev : list.find(c => c.isDefault)?.id ?? null));
+    } catch (err) {
+      setError('Failed to load collections');
+      console.error(err);
+      setLoading(false);
+    }
+  }, []);
+
+  const loadCollection = useCallback(async (offset = 0) => {
+    if (!selectedId) return;
     try {
       setLoading(true);
       setError('');
 
-      const response = await api.get('/users/saved-recipes', {
+      const response = await collectionAPI.getById(selectedId, {
         params: { limit: pagination.limit, offset }
       });
 
+      setCollection(response.data.collection);
       setRecipes(response.data.recipes || []);
       setPagination({
         ...response.data.pagination,
@@ -35,38 +65,110 @@ function SavedRecipes() {
     } finally {
       setLoading(false);
     }
-  }, [pagination.limit]);
+  }, [selectedId, pagination.limit]);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
 
   useEffect(() => {
-    loadSavedRecipes();
-  }, [loadSavedRecipes]);
+    loadCollection();
+  }, [loadCollection]);
+
+  const handleSelect = (id) => {
+    setFormMode(null);
+    setArrangeList(null);
+    setSelectedId(id);
+  };
 
   const handlePageChange = (newOffset) => {
-    loadSavedRecipes(newOffset);
+    loadCollection(newOffset);
     window.scrollTo(0, 0);
   };
 
-  const handleUnsave = async (recipeId, e) => {
+  const handleRemove = async (recipeId, e) => {
     e.preventDefault();
     e.stopPropagation();
 
     try {
-      await api.delete(`/users/saved-recipes/${recipeId}`);
+      await collectionAPI.removeRecipe(selectedId, recipeId);
       // Remove from local state
       setRecipes(prev => prev.filter(r => r.id !== recipeId));
       setPagination(prev => ({
         ...prev,
         total: prev.total - 1
       }));
+      // Counts and covers may have changed
+      loadCollections();
     } catch (err) {
-      console.error('Failed to unsave recipe:', err);
+      console.error('Failed to remove recipe:', err);
+    }
+  };
+
+  const handleSaved = async (saved) => {
+    setFormMode(null);
+    await loadCollections();
+    if (saved.id === selectedId) {
+      loadCollection(pagination.offset);
+    } else {
+      setSelectedId(saved.id);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its recipes are not deleted.`)) {
+      return;
+    }
+
+    try {
+      await collectionAPI.delete(collection.id);
+      setSelectedId(collections.find(c => c.isDefault)?.id ?? null);
+      loadCollections();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete collection');
+      console.error(err);
+    }
+  };
+
+  const startArranging = async () => {
+    try {
+      setError('');
+      const response = await collectionAPI.getById(selectedId, { params: { limit: ARRANGE_LIMIT } });
+      setArrangeList(response.data.recipes || []);
+    } catch (err) {
+      setError('Failed to load recipes');
+      console.error(err);
+    }
+  };
+
+  const moveRecipe = (index, direction) => {
+    setArrangeList(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + direction, 0, moved);
+      return next;
+    });
+  };
+
+  const saveOrder = async () => {
+    try {
+      setSavingOrder(true);
+      await collectionAPI.reorderRecipes(selectedId, arrangeList.map(r => r.id));
+      setArrangeList(null);
+      loadCollection(0);
+      loadCollections();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save order');
+      console.error(err);
+    } finally {
+      setSavingOrder(false);
     }
   };
 
   const currentPage = Math.floor(pagination.offset / pagination.limit) + 1;
   const totalPages = Math.ceil(pagination.total / pagination.limit);
 
-  if (loading && recipes.length === 0) {
+  if (loading && !collection) {
     return <div className="loading">Loading saved recipes...</div>;
   }
 
@@ -75,7 +177,7 @@ function SavedRecipes() {
       <div className="page-header">
         <div className="header-content">
           <h1>Saved Recipes</h1>
-          <p className="page-subtitle">Your collection of favorite recipes</p>
+          <p className="page-subtitle">Your favorites and personal cookbooks</p>
         </div>
         <Link to="/dashboard" className="back-link">
           ← Back to Dashboard
@@ -84,17 +186,134 @@ function SavedRecipes() {
 
       {error && <div className="error-message">{error}</div>}
 
-      {recipes.length === 0 && !loading ? (
+      <div className="collections-strip">
+        {collections.map((c) => (
+          <button
+            key={c.id}
+            type="button"
+            className={`collection-tile ${c.id === selectedId ? 'active' : ''}`}
+            onClick={() => handleSelect(c.id)}
+          >
+            <div className="collection-tile-cover">
+              {c.coverUrl ? (
+                <img src={getImageUrl(c.coverUrl)} alt="" />
+              ) : (
+                <span className="collection-tile-placeholder">{c.isDefault ? '💖' : '📖'}</span>
+              )}
+            </div>
+            <div className="collection-tile-name">{c.name}</div>
+            <div className="collection-tile-count">
+              {c.recipeCount} recipe{c.recipeCount !== 1 ? 's' : ''}
+            </div>
+          </button>
+        ))}
+        <button
+          type="button"
+          className="collection-tile collection-tile-new"
+          onClick={() => setFormMode('new')}
+        >
+          <div className="collection-tile-cover">
+            <span className="collection-tile-placeholder">+</span>
+          </div>
+          <div className="collection-tile-name">New Collection</div>
+        </button>
+      </div>
+
+      {formMode && (
+        <div className="collection-form-panel">
+          <h3>{formMode === 'edit' ? `Edit ${collection.name}` : 'New Collection'}</h3>
+          <CollectionForm
+            collection={formMode === 'edit' ? collection : null}
+            onSaved={handleSaved}
+            onCancel={() => setFormMode(null)}
+          />
+        </div>
+      )}
+
+      {collection && (
+        <div className="collection-header">
+          <div>
+            <h2>{collection.name}</h2>
+            {collection.description && (
+              <p className="collection-description">{collection.description}</p>
+            )}
+          </div>
+          {!arrangeList && (
+            <div className="collection-actions">
+              {pagination.total > 1 && (
+                <button type="button" className="btn btn-outline btn-small" onClick={startArranging}>
+                  Arrange
+                </button>
+              )}
+              <button type="button" className="btn btn-outline btn-small" onClick={() => setFormMode('edit')}>
+                Edit
+              </button>
+              {!collection.isDefault && (
+                <button type="button" className="btn btn-outline btn-small" onClick={handleDelete}>
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {arrangeList ? (
+        <div className="collection-arrange">
+          <ol className="collection-arrange-list">
+            {arrangeList.map((recipe, index) => (
+              <li key={recipe.id}>
+                <span className="collection-arrange-title">{recipe.title}</span>
+                <button
+                  type="button"
+                  className="collection-arrange-btn"
+                  onClick={() => moveRecipe(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${recipe.title} up`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="collection-arrange-btn"
+                  onClick={() => moveRecipe(index, 1)}
+                  disabled={index === arrangeList.length - 1}
+                  aria-label={`Move ${recipe.title} down`}
+                >
+                  ↓
+                </button>
+              </li>
+            ))}
+          </ol>
+          <div className="collection-arrange-actions">
+            <button type="button" className="btn btn-outline" onClick={() => setArrangeList(null)} disabled={savingOrder}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={saveOrder} disabled={savingOrder}>
+              {savingOrder ? 'Saving...' : 'Save Order'}
+            </button>
+          </div>
+        </div>
+      ) : recipes.length === 0 && !loading ? (
         <div className="empty-state">
-          <div className="empty-icon">💖</div>
-          <h3>No Saved Recipes Yet</h3>
-          <p>Browse recipes and click the heart icon to save your favorites here.</p>
+          <div className="empty-icon">{collection?.isDefault ? '💖' : '📖'}</div>
+          {collection?.isDefault ? (
+            <>
+              <h3>No Saved Recipes Yet</h3>
+              <p>Browse recipes and click the heart icon to save your favorites here.</p>
+            </>
+          ) : (
+            <>
+              <h3>This Collection Is Empty</h3>
+              <p>Open any recipe and use &quot;+ Collection&quot; to add it here.</p>
+            </>
+          )}
           <Link to="/" className="btn btn-primary">Browse Recipes</Link>
         </div>
       ) : (
         <>
           <div className="recipes-count">
-            {pagination.total} saved recipe{pagination.total !== 1 ? 's' : ''}
+            {pagination.total} recipe{pagination.total !== 1 ? 's' : ''}
           </div>
 
           <div className="recipes-grid">
@@ -103,8 +322,8 @@ function SavedRecipes() {
                 <RecipeCard recipe={recipe} />
                 <button
                   className="unsave-btn"
-                  onClick={(e) => handleUnsave(recipe.id, e)}
-                  title="Remove from saved"
+                  onClick={(e) => handleRemove(recipe.id, e)}
+                  title={`Remove from ${collection?.name}`}
                 >
                   ✕
                 </button>
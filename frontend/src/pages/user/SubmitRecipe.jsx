@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import api from '../../services/api';
+import { groupBySection, addToSection } from '../../utils/recipeHelpers';
 import '../../styles/SubmitRecipe.css';
 
 function SubmitRecipe() {
@@ -21,6 +22,8 @@ function SubmitRecipe() {
     source: '',
     instructions: '',
     servings: '',
+    prepTimeMinutes: '',
+    cookTimeMinutes: '',
     ingredients: [],
     tags: [],
   });
@@ -29,6 +32,7 @@ function SubmitRecipe() {
     name: '',
     quantity: '',
     unit: '',
+    section: '',
   });
 
   const [tagInput, setTagInput] = useState('');
@@ -56,16 +60,15 @@ function SubmitRecipe() {
     if (ingredientInput.name.trim()) {
       setFormData((prev) => ({
         ...prev,
-        ingredients: [
-          ...prev.ingredients,
-          {
-            name: ingredientInput.name.trim(),
-            quantity: ingredientInput.quantity.trim(),
-            unit: ingredientInput.unit.trim(),
-          },
-        ],
+        ingredients: addToSection(prev.ingredients, {
+          name: ingredientInput.name.trim(),
+          quantity: ingredientInput.quantity.trim(),
+          unit: ingredientInput.unit.trim(),
+          section: ingredientInput.section.trim() || null,
+        }),
       }));
-      setIngredientInput({ name: '', quantity: '', unit: '' });
+      // Keep the group so the next ingredient lands in it too
+      setIngredientInput((prev) => ({ ...prev, name: '', quantity: '', unit: '' }));
     }
   };
 
@@ -110,6 +113,8 @@ function SubmitRecipe() {
         source: formData.source.trim() || null,
         instructions: formData.instructions.trim() || null,
         servings: formData.servings ? parseInt(formData.servings, 10) : null,
+        prepTimeMinutes: formData.prepTimeMinutes ? parseInt(formData.prepTimeMinutes, 10) : null,
+        cookTimeMinutes: formData.cookTimeMinutes ? parseInt(formData.cookTimeMinutes, 10) : null,
         ingredients: formData.ingredients,
         tags: formData.tags,
       };
@@ -208,10 +213,47 @@ function SubmitRecipe() {
                 />
               </div>
             </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="prepTimeMinutes">Prep Time in Minutes (optional)</label>
+                <input
+                  type="number"
+                  id="prepTimeMinutes"
+                  name="prepTimeMinutes"
+                  value={formData.prepTimeMinutes}
+                  onChange={handleChange}
+                  placeholder="e.g., 15"
+                  min="0"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="cookTimeMinutes">Cook Time in Minutes (optional)</label>
+                <input
+                  type="number"
+                  id="cookTimeMinutes"
+                  name="cookTimeMinutes"
+                  value={formData.cookTimeMinutes}
+                  onChange={handleChange}
+                  placeholder="e.g., 45"
+                  min="0"
+                />
+              </div>
+            </div>
           </div>
 
           <div className="form-section">
             <h2>Ingredients</h2>
+            <input
+              type="text"
+              name="section"
+              value={ingredientInput.section}
+              onChange={handleIngredientChange}
+              placeholder='Group (optional), e.g. "For the crust"'
+              className="ingredient-section-input"
+              maxLength={100}
+            />
             <div className="ingredient-input-group">
               <input
                 type="text"
@@ -254,22 +296,29 @@ function SubmitRecipe() {
 
             {formData.ingredients.length > 0 && (
               <ul className="items-list">
-                {formData.ingredients.map((ingredient, index) => (
-                  <li key={index}>
-                    <span>
-                      {ingredient.quantity && `${ingredient.quantity} `}
-                      {ingredient.unit && `${ingredient.unit} `}
-                      <strong>{ingredient.name}</strong>
-                    </span>
-                    <button
-                      type="button"
-                      onClick={() => removeIngredient(index)}
-                      className="btn-remove"
-                    >
-                      ✕
-                    </button>
-                  </li>
-                ))}
+                {groupBySection(formData.ingredients).map((group) => [
+                  group.section && (
+                    <li key={`section-${group.items[0].index}`} className="items-list-section">
+                      {group.section}
+                    </li>
+                  ),
+                  ...group.items.map(({ item: ingredient, index }) => (
+                    <li key={index}>
+                      <span>
+                        {ingredient.quantity && `${ingredient.quantity} `}
+                        {ingredient.unit && `${ingredient.unit} `}
+                        <strong>{ingredient.name}</strong>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeIngredient(index)}
+                        className="btn-remove"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  )),
+                ])}
               </ul>
             )}
           </div>
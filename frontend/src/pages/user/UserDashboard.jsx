@@ -2,18 +2,26 @@ import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
+import StarRating from '../../components/StarRating';
+import { formatCalendarDate } from '../../utils/recipeHelpers';
+import { getImageUrl } from '../../utils/urlHelpers';
 import '../../styles/UserDashboard.css';
 
+const COOK_LOG_PAGE_SIZE = 10;
+
 function UserDashboard() {
   const { user } = useAuth();
   const [stats, setStats] = useState({
     savedCount: 0,
     submissionsCount: 0,
     pendingCount: 0,
-    approvedCount: 0
+    approvedCount: 0,
+    cookedCount: 0
   });
   const [recentSaved, setRecentSaved] = useState([]);
   const [recentSubmissions, setRecentSubmissions] = useState([]);
+  const [cookLog, setCookLog] = useState([]);
+  const [loadingMoreCooks, setLoadingMoreCooks] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -23,14 +31,16 @@ function UserDashboard() {
       setError('');
 
       // Load all data in parallel
-      const [savedResponse, submissionsResponse, countsResponse] = await Promise.all([
+      const [savedResponse, submissionsResponse, countsResponse, cookLogResponse] = await Promise.all([
         api.get('/users/saved-recipes', { params: { limit: 5 } }),
         api.get('/users/submissions', { params: { limit: 5 } }),
-        api.get('/users/submissions/counts')
+        api.get('/users/submissions/counts'),
+        api.get('/users/cook-log', { params: { limit: COOK_LOG_PAGE_SIZE } })
       ]);
 
       setRecentSaved(savedResponse.data.recipes || []);
       setRecentSubmissions(submissionsResponse.data.submissions || []);
+      setCookLog(cookLogResponse.data.entries || []);
 
       // Use dedicated counts endpoint for accurate stats
       const counts = countsResponse.data.counts || {};
@@ -38,7 +48,8 @@ function UserDashboard() {
         savedCount: savedResponse.data.pagination?.total || 0,
         submissionsCount: counts.total || 0,
         pendingCount: counts.pending || 0,
-        approvedCount: counts.approved || 0
+        approvedCount: counts.approved || 0,
+        cookedCount: cookLogResponse.data.pagination?.total || 0
       });
     } catch (err) {
       setError('Failed to load dashboard data');
@@ -52,6 +63,34 @@ function UserDashboard() {
     loadDashboardData();
   }, [loadDashboardData]);
 
+  const loadMoreCooks = async () => {
+    try {
+      setLoadingMoreCooks(true);
+      const response = await api.get('/users/cook-log', {
+        params: { limit: COOK_LOG_PAGE_SIZE, offset: cookLog.length }
+      });
+      setCookLog((prev) => [...prev, ...(response.data.entries || [])]);
+    } catch (err) {
+      setError('Failed to load cooking history');
+      console.error(err);
+    } finally {
+      setLoadingMoreCooks(false);
+    }
+  };
+
+  const deleteCook = async (entryId) => {
+    if (!window.confirm('Remove this entry from your cooking history?')) return;
+
+    try {
+      await api.delete(`/users/cook-log/${entryId}`);
+      setCookLog((prev) => prev.filter((entry) => entry.id !== entryId));
+      setStats((prev) => ({ ...prev, cookedCount: prev.cookedCount - 1 }));
+    } catch (err) {
+      setError('Failed to delete cooking history entry');
+      console.error(err);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       pending: 'badge-pending',
@@ -69,7 +108,7 @@ function UserDashboard() {
     <div className="user-dashboard-container">
       <div className="dashboard-header">
         <h1>Welcome, {user?.username}!</h1>
-        <p className="dashboard-subtitle">Manage your saved recipes and submissions</p>
+        <p className="dashboard-subtitle">Your saved recipes, submissions and cooking history</p>
       </div>
 
       {error && <div className="error-message">{error}</div>}
@@ -96,6 +135,11 @@ function UserDashboard() {
             <div className="metric-value">{stats.approvedCount}</div>
             <div className="metric-label">Approved</div>
           </Link>
+
+          <a href="#cooking-history" className="metric-item clickable">
+            <div className="metric-value">{stats.cookedCount}</div>
+            <div className="metric-label">Times Cooked</div>
+          </a>
         </div>
       </div>
 
@@ -116,6 +160,55 @@ function UserDashboard() {
         </Link>
       </div>
 
+      {cookLog.length > 0 && (
+        <div className="recent-section" id="cooking-history">
+          <div className="section-header">
+            <h2>My Cooking History</h2>
+          </div>
+          <div className="cook-history-list">
+            {cookLog.map((entry) => (
+              <div key={entry.id} className="cook-history-item">
+                <div className="cook-history-info">
+                  <Link to={`/recipe/${entry.recipeId}`} className="cook-history-title">
+                    {entry.recipeTitle}
+                  </Link>
+                  <span className="cook-history-date">{formatCalendarDate(entry.cookedOn)}</span>
+                  {entry.rating && <StarRating value={entry.rating} label="Your rating" />}
+                  <button
+                    type="button"
+                    className="cook-history-delete"
+                    onClick={() => deleteCook(entry.id)}
+                    aria-label={`Delete entry for ${entry.recipeTitle}`}
+                  >
+                    ✕
+                  </button>
+                </div>
+                {entry.notes && <p className="cook-history-notes">{entry.notes}</p>}
+                {entry.photos.length > 0 && (
+                  <div className="cook-history-photos">
+                    {entry.photos.map((photo) => (
+                      <a key={photo.id} href={getImageUrl(photo.url)} target="_blank" rel="noopener noreferrer">
+                        <img src={getImageUrl(photo.url)} alt={photo.originalName} />
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          {cookLog.length < stats.cookedCount && (
+            <button
+              type="button"
+              className="btn btn-secondary cook-history-more"
+              onClick={loadMoreCooks}
+              disabled={loadingMoreCooks}
+            >
+              {loadingMoreCooks ? 'Loading...' : 'Show More'}
+            </button>
+          )}
+        </div>
+      )}
+
       {recentSaved.length > 0 && (
         <div className="recent-section">
           <div className="section-header">
@@ -165,7 +258,7 @@ function UserDashboard() {
         </div>
       )}
 
-      {recentSaved.length === 0 && recentSubmissions.length === 0 && (
+      {recentSaved.length === 0 && recentSubmissions.length === 0 && cookLog.length === 0 && (
         <div className="empty-state">
           <div className="empty-icon">📚</div>
           <h3>Get Started!</h3>
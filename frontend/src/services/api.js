@@ -88,21 +88,51 @@ export const recipeAPI = {
     return api.get('/recipes/search', { params, ...config });
   },
 
+  // Find recipes that can be made from ingredients on hand
+  pantrySearch: (params, config = {}) => {
+    return api.get('/recipes/pantry', { params, ...config });
+  },
+
   // Create recipe
   create: (recipeData, config = {}) => {
     return api.post('/recipes', recipeData, config);
   },
 
+  // Find existing recipes that a recipe about to be created probably duplicates
+  findDuplicates: (recipeData, config = {}) => {
+    return api.post('/recipes/duplicates', recipeData, config);
+  },
+
   // Update recipe
   update: (id, recipeData, config = {}) => {
     return api.put(`/recipes/${id}`, recipeData, config);
   },
 
-  // Delete recipe
+  // Move recipe to the trash
   delete: (id, config = {}) => {
     return api.delete(`/recipes/${id}`, config);
   },
 
+  // Merge another recipe into this one (admin); take lists the fields to keep from the other recipe
+  merge: (id, fromId, take, config = {}) => {
+    return api.post(`/admin/recipes/${id}/merge`, { fromId, take }, config);
+  },
+
+  // Earlier versions of a recipe (admin)
+  getRevisions: (id, config = {}) => {
+    return api.get(`/admin/recipes/${id}/revisions`, config);
+  },
+
+  // What changed between two versions; without `to` the newer one is the current recipe
+  diffRevisions: (id, from, to = null, config = {}) => {
+    return api.get(`/admin/recipes/${id}/revisions/diff`, { params: { from, ...(to && { to }) }, ...config });
+  },
+
+  // Put a recipe back the way it was in an earlier version
+  restoreRevision: (id, revisionId, config = {}) => {
+    return api.post(`/admin/recipes/${id}/revisions/${revisionId}/restore`, {}, config);
+  },
+
   // Get all tags
   getTags: (config = {}) => {
     return api.get('/tags', config);
@@ -113,6 +143,11 @@ export const recipeAPI = {
     return api.post(`/recipes/${id}/estimate-calories`, {}, config);
   },
 
+  // Log that the current user made the recipe (FormData: cookedOn, rating, notes, photos)
+  logCook: (id, formData, config = {}) => {
+    return api.post(`/recipes/${id}/cook-log`, formData, config);
+  },
+
   // Get images for a recipe
   getImages: (id, config = {}) => {
     return api.get(`/recipes/${id}/images`, config);
@@ -137,6 +172,313 @@ export const recipeAPI = {
   reorderImages: (id, imageOrder, config = {}) => {
     return api.put(`/recipes/${id}/images/reorder`, { imageOrder }, config);
   },
+
+  // Attach an original scan or PDF (FormData: file, optional pageStart and pageEnd)
+  addOriginal: (id, formData, config = {}) => {
+    return api.post(`/recipes/${id}/originals`, formData, config);
+  },
+
+  // Remove an original from a recipe
+  removeOriginal: (recipeId, originalId, config = {}) => {
+    return api.delete(`/recipes/${recipeId}/originals/${originalId}`, config);
+  },
+};
+
+// Background import jobs (PDF, photo and URL imports)
+export const jobAPI = {
+  // Recent jobs, optionally filtered by status
+  getAll: (params = {}, config = {}) => {
+    return api.get('/admin/jobs', { params, ...config });
+  },
+
+  // Get a job's status, progress and result
+  getById: (id, config = {}) => {
+    return api.get(`/admin/jobs/${id}`, config);
+  },
+
+  // Run a failed job again using the files already uploaded
+  retry: (id, config = {}) => {
+    return api.post(`/admin/jobs/${id}/retry`, {}, config);
+  },
+};
+
+// Deleted recipes waiting to be purged (admin)
+export const trashAPI = {
+  // Trashed recipes, most recently deleted first, with the retention period
+  getAll: (params = {}, config = {}) => {
+    return api.get('/admin/trash', { params, ...config });
+  },
+
+  // Take a recipe back out of the trash
+  restore: (id, config = {}) => {
+    return api.post(`/admin/trash/${id}/restore`, {}, config);
+  },
+
+  // Delete a trashed recipe and its images for good
+  deleteForever: (id, config = {}) => {
+    return api.delete(`/admin/trash/${id}`, config);
+  },
+};
+
+// Canonical ingredients recipes are linked to, and their aliases (admin)
+export const ingredientCatalogAPI = {
+  // The catalog, alphabetically, with aliases and recipe counts
+  getAll: (config = {}) => {
+    return api.get('/admin/ingredients', config);
+  },
+
+  // Ingredient names no entry matches yet, and the latest backfill job
+  getUnmatched: (params = {}, config = {}) => {
+    return api.get('/admin/ingredients/unmatched', { params, ...config });
+  },
+
+  // Add an entry, with any other names as aliases
+  create: (name, aliases = [], config = {}) => {
+    return api.post('/admin/ingredients', { name, aliases }, config);
+  },
+
+  rename: (id, name, config = {}) => {
+    return api.put(`/admin/ingredients/${id}`, { name }, config);
+  },
+
+  delete: (id, config = {}) => {
+    return api.delete(`/admin/ingredients/${id}`, config);
+  },
+
+  addAlias: (id, name, config = {}) => {
+    return api.post(`/admin/ingredients/${id}/aliases`, { name }, config);
+  },
+
+  removeAlias: (id, aliasId, config = {}) => {
+    return api.delete(`/admin/ingredients/${id}/aliases/${aliasId}`, config);
+  },
+
+  // Move an entry's aliases and recipes to another entry
+  merge: (id, intoId, config = {}) => {
+    return api.post(`/admin/ingredients/${id}/merge`, { intoId }, config);
+  },
+
+  // Queue the job that splits preparation notes out of existing recipes and links them
+  startBackfill: (config = {}) => {
+    return api.post('/admin/ingredients/backfill', {}, config);
+  },
+};
+
+// Family members recipes are attributed to
+export const peopleAPI = {
+  // Everyone, oldest generation first, with recipe counts
+  getAll: (config = {}) => {
+    return api.get('/people', config);
+  },
+
+  // A person and the recipes that came from them
+  getById: (id, config = {}) => {
+    return api.get(`/people/${id}`, config);
+  },
+
+  // Add a person (FormData: name, relation, birthYear, deathYear, optional photo)
+  create: (formData, config = {}) => {
+    return api.post('/people', formData, config);
+  },
+
+  // Update a person (FormData; a new photo replaces the old one, removePhoto=true clears it)
+  update: (id, formData, config = {}) => {
+    return api.put(`/people/${id}`, formData, config);
+  },
+
+  // Delete a person; their recipes are kept
+  delete: (id, config = {}) => {
+    return api.delete(`/people/${id}`, config);
+  },
+};
+
+// The current user's recipe collections (Favorites holds their saved recipes)
+export const collectionAPI = {
+  // Every collection, Favorites first; pass recipeId to learn which ones hold that recipe
+  getAll: (recipeId = null, config = {}) => {
+    const params = recipeId ? { recipeId } : {};
+    return api.get('/users/collections', { ...config, params: { ...config.params, ...params } });
+  },
+
+  // A collection and its recipes in order
+  getById: (id, config = {}) => {
+    return api.get(`/users/collections/${id}`, config);
+  },
+
+  // Create a collection (FormData: name, description, optional cover)
+  create: (formData, config = {}) => {
+    return api.post('/users/collections', formData, config);
+  },
+
+  // Update a collection (FormData; a new cover replaces the old one, removeCover=true clears it)
+  update: (id, formData, config = {}) => {
+    return api.put(`/users/collections/${id}`, formData, config);
+  },
+
+  delete: (id, config = {}) => {
+    return api.delete(`/users/collections/${id}`, config);
+  },
+
+  addRecipe: (id, recipeId, config = {}) => {
+    return api.post(`/users/collections/${id}/recipes`, { recipeId }, config);
+  },
+
+  removeRecipe: (id, recipeId, config = {}) => {
+    return api.delete(`/users/collections/${id}/recipes/${recipeId}`, config);
+  },
+
+  // Save a new order (every recipe ID in the collection)
+  reorderRecipes: (id, recipeOrder, config = {}) => {
+    return api.put(`/users/collections/${id}/recipes/reorder`, { recipeOrder }, config);
+  },
+};
+
+// The current user's weekly meal planner
+export const mealPlanAPI = {
+  // Planned entries and daily calorie totals from start to end (YYYY-MM-DD, inclusive)
+  getRange: (start, end, config = {}) => {
+    return api.get('/meal-plan', { ...config, params: { ...config.params, start, end } });
+  },
+
+  // Plan a recipe ({ recipeId, date, meal, servings })
+  add: (entry, config = {}) => {
+    return api.post('/meal-plan', entry, config);
+  },
+
+  // Move an entry or change its servings (null for the recipe's own)
+  update: (id, changes, config = {}) => {
+    return api.put(`/meal-plan/${id}`, changes, config);
+  },
+
+  delete: (id, config = {}) => {
+    return api.delete(`/meal-plan/${id}`, config);
+  },
+
+  // Copy the week before weekStart into the week starting weekStart
+  copyLastWeek: (weekStart, config = {}) => {
+    return api.post('/meal-plan/copy-week', { weekStart }, config);
+  },
+
+  // The private iCalendar feed link ({ feedPath })
+  getFeed: (config = {}) => {
+    return api.get('/meal-plan/feed', config);
+  },
+
+  // Replace the feed link so the old one stops working
+  resetFeed: (config = {}) => {
+    return api.post('/meal-plan/feed/reset', {}, config);
+  },
+};
+
+export const shoppingListAPI = {
+  // Lists the user owns or that are shared with them
+  getAll: (config = {}) => {
+    return api.get('/shopping-lists', config);
+  },
+
+  getById: (id, config = {}) => {
+    return api.get(`/shopping-lists/${id}`, config);
+  },
+
+  // Build a list ({ name, recipes: [{ id, servings }], mealPlan: { start, end } })
+  create: (list, config = {}) => {
+    return api.post('/shopping-lists', list, config);
+  },
+
+  rename: (id, name, config = {}) => {
+    return api.put(`/shopping-lists/${id}`, { name }, config);
+  },
+
+  delete: (id, config = {}) => {
+    return api.delete(`/shopping-lists/${id}`, config);
+  },
+
+  // Add an item by hand ({ name, quantity, category })
+  addItem: (id, item, config = {}) => {
+    return api.post(`/shopping-lists/${id}/items`, item, config);
+  },
+
+  // Check off an item or change it ({ checked, name, quantity, category })
+  updateItem: (id, itemId, changes, config = {}) => {
+    return api.put(`/shopping-lists/${id}/items/${itemId}`, changes, config);
+  },
+
+  deleteItem: (id, itemId, config = {}) => {
+    return api.delete(`/shopping-lists/${id}/items/${itemId}`, config);
+  },
+
+  clearChecked: (id, config = {}) => {
+    return api.post(`/shopping-lists/${id}/clear-checked`, {}, config);
+  },
+
+  // The list as a plain-text file
+  exportText: (id, config = {}) => {
+    return api.get(`/shopping-lists/${id}/export.txt`, { ...config, responseType: 'blob' });
+  },
+
+  // Share with a household member by username
+  addMember: (id, username, config = {}) => {
+    return api.post(`/shopping-lists/${id}/members`, { username }, config);
+  },
+
+  // Stop sharing with someone (or leave, with your own ID)
+  removeMember: (id, userId, config = {}) => {
+    return api.delete(`/shopping-lists/${id}/members/${userId}`, config);
+  },
+};
+
+export const batchAPI = {
+  // Recent bulk imports with per-status counts
+  getAll: (config = {}) => {
+    return api.get('/admin/import-batches', config);
+  },
+
+  // Upload PDFs, photos and ZIP archives (FormData with "files" and optional "name")
+  uploadFiles: (formData, config = {}) => {
+    return api.post('/admin/import-batches/files', formData, config);
+  },
+
+  // Queue a pasted list of URLs
+  importUrls: (urls, name = '', config = {}) => {
+    return api.post('/admin/import-batches/urls', { urls, name }, config);
+  },
+
+  // Get a batch with every item's job
+  getById: (id, config = {}) => {
+    return api.get(`/admin/import-batches/${id}`, config);
+  },
+
+  // Retry every failed item in a batch
+  retry: (id, config = {}) => {
+    return api.post(`/admin/import-batches/${id}/retry`, {}, config);
+  },
+};
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Poll a job until it completes or fails
+ * @param {number} id - Job ID
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the job after every poll
+ * @param {AbortSignal} options.signal - Abort to stop polling (e.g. on unmount)
+ * @returns {Promise<Object>} - The finished job
+ */
+export const waitForJob = async (id, { onUpdate, signal } = {}) => {
+  for (;;) {
+    const response = await jobAPI.getById(id, { signal });
+    const job = response.data.data;
+    onUpdate?.(job);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, JOB_POLL_INTERVAL_MS);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Polling stopped', 'AbortError'));
+      }, { once: true });
+    });
+  }
 };
 
 // Handle errors globally
@@ -51,3 +51,145 @@ export const formatDate = (timestamp, short = true) => {
     year: 'numeric'
   });
 };
+
+/**
+ * Format a duration in minutes for display
+ * @param {number} minutes - Duration in whole minutes
+ * @returns {string} Formatted duration (e.g. "1 hr 30 min"), or empty string if not set
+ */
+export const formatMinutes = (minutes) => {
+  if (!minutes || minutes <= 0) return '';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  const parts = [];
+  if (days) parts.push(`${days} ${days === 1 ? 'day' : 'days'}`);
+  if (hours) parts.push(`${hours} hr`);
+  if (mins) parts.push(`${mins} min`);
+  return parts.join(' ');
+};
+
+/**
+ * Group consecutive ingredients or steps by section ("For the crust", "For the filling")
+ * @param {Array<Object>} list - Ingredients or steps with an optional `section`
+ * @returns {Array<Object>} Groups of { section, items: [{ item, index }] }; section is null for ungrouped items
+ */
+export const groupBySection = (list = []) =>
+  list.reduce((groups, item, index) => {
+    const section = item.section || null;
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup && lastGroup.section === section) {
+      lastGroup.items.push({ item, index });
+    } else {
+      groups.push({ section, items: [{ item, index }] });
+    }
+    return groups;
+  }, []);
+
+/**
+ * Format a step timer for display
+ * @param {number} seconds - Timer length in seconds
+ * @returns {string} e.g. "45 sec", "25 min", "1 hr 15 min", or empty string if not set
+ */
+export const formatTimer = (seconds) => {
+  if (!seconds || seconds <= 0) return '';
+  if (seconds < 60) return `${seconds} sec`;
+  return formatMinutes(Math.round(seconds / 60));
+};
+
+/**
+ * Add an ingredient after the last one in the same section, so groups stay together
+ * @param {Array<Object>} ingredients - Current ingredients
+ * @param {Object} ingredient - Ingredient to add, with an optional `section`
+ * @returns {Array<Object>} New ingredients array
+ */
+export const addToSection = (ingredients, ingredient) => {
+  const section = ingredient.section || null;
+  const lastIndex = ingredients.findLastIndex((item) => (item.section || null) === section);
+  if (lastIndex === -1) return [...ingredients, ingredient];
+  return [...ingredients.slice(0, lastIndex + 1), ingredient, ...ingredients.slice(lastIndex + 1)];
+};
+
+/**
+ * Get a recipe's instruction steps
+ * Recipes saved before steps existed only have instructions text, which is split one step per line
+ * @param {Object} recipe - Recipe with `steps` and/or `instructions`
+ * @returns {Array<Object>} Steps of { section, text, timerSeconds }
+ */
+export const getRecipeSteps = (recipe) => {
+  if (recipe.steps?.length > 0) return recipe.steps;
+
+  return (recipe.instructions || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*\d+[.)]\s*/, '').trim())
+    .filter(Boolean)
+    .map((text) => ({ section: null, text, timerSeconds: null }));
+};
+
+/**
+ * Get a date as YYYY-MM-DD in the user's time zone (for date inputs and the API)
+ * @param {Date} date - Defaults to now
+ * @returns {string}
+ */
+export const toDateInputValue = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Format a calendar date (YYYY-MM-DD) for display
+ * Parsed as a local date so it doesn't shift a day in time zones behind UTC
+ * @param {string} value - Date as YYYY-MM-DD
+ * @returns {string} Formatted date (e.g. "March 10, 2024")
+ */
+export const formatCalendarDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * The arithmetic is done at UTC midnight so time zones and daylight saving can't shift the day.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the Monday of the week a date falls in (meal plan weeks start on Monday)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const startOfWeek = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+/**
+ * Attribution roles, in the order they are shown on a recipe (matches the API)
+ */
+export const ATTRIBUTION_ROLES = [
+  { value: 'contributed', label: 'Contributed by' },
+  { value: 'handed_down', label: 'Handed down from' },
+];
+
+/**
+ * Format a person's lifespan for display
+ * @param {Object} person - { birthYear, deathYear }
+ * @returns {string} e.g. "1921–2004", "b. 1950", "d. 1988", or empty string if neither is known
+ */
+export const formatLifespan = ({ birthYear, deathYear }) => {
+  if (birthYear && deathYear) return `${birthYear}–${deathYear}`;
+  if (birthYear) return `b. ${birthYear}`;
+  if (deathYear) return `d. ${deathYear}`;
+  return '';
+};
@@ -33,3 +33,11 @@ export const getImageUrl = (path) => {
   if (path.startsWith('http')) return path;
   return `${UPLOADS_BASE_URL}${path}`;
 };
+
+/**
+ * Get an absolute URL for a path on the backend, for links opened outside the app
+ * (e.g. a calendar feed added to a phone)
+ * @param {string} path - A backend path (e.g., "/api/meal-plan/feed/abc.ics")
+ * @returns {string} Full URL including the host
+ */
+export const getAbsoluteUrl = (path) => new URL(`${UPLOADS_BASE_URL}${path}`, window.location.origin).href;